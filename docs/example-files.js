@@ -44,12 +44,22 @@ Try creating your own files with touch or vim!
 - Project started on ${new Date().toISOString().split('T')[0]}
 - This is a minimal Unix shell emulator
 - Add your own notes here!
+`,
+                        '.bashrc': `# ~/.bashrc: runs for every interactive shell
+
+alias ll='ls -la'
+alias la='ls -a'
 `,
                     },
                 },
                 etc: {
                     hostname: 'localhost\n',
                     motd: 'Welcome to Unix Shell JS!\n\nType "help" for available commands.\n',
+                    profile: `# /etc/profile: runs for login shells
+
+export PATH=/usr/local/bin:/usr/bin:/bin
+PS1='\\u@\\h:\\w\\$ '
+`,
                 },
                 tmp: {},
             },
@@ -1,809 +1,15408 @@
 (function (exports) {
     'use strict';
 
-    // Unix Shell JS - Browser-based Unix/Linux Command Emulator
-    // Main entry point for the library
+    /******************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise, SuppressedError, Symbol, Iterator */
+
+
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+            function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+
+    typeof SuppressedError === "function" ? SuppressedError : function (error, suppressed, message) {
+        var e = new Error(message);
+        return e.name = "SuppressedError", e.error = error, e.suppressed = suppressed, e;
+    };
+
+    // Command line lexer and parser
+    // Turns a shell command line into an AST that UnixShell.execute walks
     /**
-     * Main Unix Shell class
+     * Raised for malformed command lines (unterminated quotes, stray operators)
      */
-    class UnixShell {
-        constructor(options = {}) {
-            const { fileSystem, username = 'user', customCommands = {}, persistence = null } = options;
-            // Set up persistence configuration
-            this.persistence = persistence;
-            this.persistencePrefix = 'unixshell';
-            if (this.persistence && this.persistence.enabled) {
-                this.persistencePrefix = this.persistence.prefix || 'unixshell';
-                // Try to load from localStorage if persistence is enabled
-                const loaded = this.loadFromStorage();
-                if (loaded) {
-                    // Successfully loaded from storage
-                    this.fileSystem = loaded.fileSystem;
-                    this.currentUser = loaded.currentUser;
-                    this.currentPath = loaded.currentPath;
+    class ShellSyntaxError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ShellSyntaxError';
+            Object.setPrototypeOf(this, ShellSyntaxError.prototype);
+        }
+    }
+    // Longest operators first so '>>' wins over '>'
+    const OPERATORS = [
+        '||',
+        '&&',
+        '&>>',
+        '&>',
+        '>>',
+        '>&',
+        ';;',
+        '|',
+        '&',
+        ';',
+        '(',
+        ')',
+        '>',
+        '<',
+        '\n',
+    ];
+    const REDIRECT_OPERATORS = ['>', '>>', '<', '>&', '&>', '&>>'];
+    // Parameters that can follow $ without braces
+    const SPECIAL_PARAMS = '?$#@*!0123456789';
+    const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+    // Operators allowed inside ${NAME<op>word}
+    const PARAM_OPERATORS = [':-', ':=', ':+', '-', '=', '+'];
+    // Words that close a compound command, so a list inside one stops there
+    const CLOSING_WORDS = ['then', 'elif', 'else', 'fi', 'do', 'done', 'esac', '}'];
+    // Binary operators in [[ ]] that the lexer reads as redirections
+    const CONDITIONAL_OPERATORS = ['&&', '||', '(', ')', '<', '>'];
+    const isBlank = (ch) => ch === ' ' || ch === '\t' || ch === '\r';
+    /**
+     * Reads the parts of one word, starting at a given position. Top-level words
+     * stop at blanks and operators; nested text (the word in ${X:-word}) runs to
+     * the end of its input.
+     */
+    class WordReader {
+        constructor(input, pos, nested = false) {
+            this.input = input;
+            this.pos = pos;
+            this.nested = nested;
+            this.parts = [];
+        }
+        read() {
+            const input = this.input;
+            while (this.pos < input.length) {
+                const c = input[this.pos];
+                if (!this.nested && (isBlank(c) || OPERATORS.some((o) => input.startsWith(o, this.pos)))) {
+                    break;
+                }
+                if (c === '\\') {
+                    if (input[this.pos + 1] === '\n') {
+                        this.pos += 2;
+                    }
+                    else if (this.pos + 1 < input.length) {
+                        this.pushLiteral(input[this.pos + 1], true);
+                        this.pos += 2;
+                    }
+                    else {
+                        this.pushLiteral('\\', false);
+                        this.pos++;
+                    }
+                    continue;
+                }
+                if (c === "'") {
+                    const end = input.indexOf("'", this.pos + 1);
+                    if (end === -1) {
+                        throw new ShellSyntaxError("unexpected EOF while looking for matching `''");
+                    }
+                    this.pushLiteral(input.slice(this.pos + 1, end), true);
+                    this.pos = end + 1;
+                    continue;
+                }
+                if (c === '"') {
+                    this.readDoubleQuoted();
+                    continue;
+                }
+                if (c === '$' && this.readDollar(false)) {
+                    continue;
+                }
+                if (c === '`') {
+                    this.readBackticks(false);
+                    continue;
+                }
+                this.pushLiteral(c, false);
+                this.pos++;
+            }
+            return this.parts;
+        }
+        pushLiteral(value, quoted) {
+            const last = this.parts[this.parts.length - 1];
+            if (last && last.type === 'literal' && last.quoted === quoted) {
+                last.value += value;
+            }
+            else {
+                this.parts.push({ type: 'literal', value, quoted });
+            }
+        }
+        readDoubleQuoted() {
+            const input = this.input;
+            this.pos++;
+            // An empty "" still produces a (quoted, empty) part
+            this.pushLiteral('', true);
+            while (this.pos < input.length && input[this.pos] !== '"') {
+                const c = input[this.pos];
+                // Inside double quotes a backslash only escapes $ ` " \ and newline
+                if (c === '\\' && this.pos + 1 < input.length && '$`"\\\n'.includes(input[this.pos + 1])) {
+                    if (input[this.pos + 1] !== '\n') {
+                        this.pushLiteral(input[this.pos + 1], true);
+                    }
+                    this.pos += 2;
+                }
+                else if (c === '$' && this.readDollar(true)) {
+                    continue;
+                }
+                else if (c === '`') {
+                    this.readBackticks(true);
                 }
                 else {
-                    // No saved data or loading failed, use provided or default
-                    this.fileSystem = fileSystem || this.createDefaultFileSystem(username);
-                    this.currentUser = username;
-                    this.currentPath = `/home/${username}`;
+                    this.pushLiteral(c, true);
+                    this.pos++;
+                }
+            }
+            if (this.pos >= input.length) {
+                throw new ShellSyntaxError('unexpected EOF while looking for matching `"\'');
+            }
+            this.pos++;
+        }
+        /**
+         * Reads a $ expansion at the current position, returning false if the $ is literal
+         */
+        readDollar(quoted) {
+            const input = this.input;
+            const next = input[this.pos + 1];
+            if (next === '{') {
+                this.readBracedParam(quoted);
+                return true;
+            }
+            if (next === '(') {
+                const end = this.findClosingParen(this.pos + 2);
+                const list = parse(input.slice(this.pos + 2, end));
+                this.parts.push({ type: 'command', list, quoted });
+                this.pos = end + 1;
+                return true;
+            }
+            const name = NAME_PATTERN.exec(input.slice(this.pos + 1));
+            if (name) {
+                this.parts.push({ type: 'param', name: name[0], quoted });
+                this.pos += 1 + name[0].length;
+                return true;
+            }
+            if (next !== undefined && SPECIAL_PARAMS.includes(next)) {
+                this.parts.push({ type: 'param', name: next, quoted });
+                this.pos += 2;
+                return true;
+            }
+            return false;
+        }
+        /**
+         * Finds the ) that closes a $( starting at the given position, skipping
+         * over quoted text and nested parentheses
+         */
+        findClosingParen(start) {
+            const input = this.input;
+            let depth = 1;
+            let i = start;
+            while (i < input.length) {
+                const c = input[i];
+                if (c === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (c === "'" || c === '"') {
+                    let end = i + 1;
+                    while (end < input.length && input[end] !== c) {
+                        end += c === '"' && input[end] === '\\' ? 2 : 1;
+                    }
+                    i = end + 1;
+                    continue;
+                }
+                if (c === '(') {
+                    depth++;
+                }
+                else if (c === ')' && --depth === 0) {
+                    return i;
+                }
+                i++;
+            }
+            throw new ShellSyntaxError("unexpected EOF while looking for matching `)'");
+        }
+        /**
+         * Reads `command`, where \`, \$ and \\ are unescaped before parsing
+         */
+        readBackticks(quoted) {
+            const input = this.input;
+            let source = '';
+            let i = this.pos + 1;
+            while (i < input.length && input[i] !== '`') {
+                if (input[i] === '\\' && '`$\\'.includes(input[i + 1])) {
+                    source += input[i + 1];
+                    i += 2;
+                }
+                else {
+                    source += input[i];
+                    i++;
+                }
+            }
+            if (i >= input.length) {
+                throw new ShellSyntaxError("unexpected EOF while looking for matching ``'");
+            }
+            this.parts.push({ type: 'command', list: parse(source), quoted });
+            this.pos = i + 1;
+        }
+        /**
+         * Reads ${NAME}, ${#NAME} and ${NAME<op>word}
+         */
+        readBracedParam(quoted) {
+            const input = this.input;
+            const start = this.pos + 2;
+            let depth = 1;
+            let end = start;
+            while (end < input.length && depth > 0) {
+                if (input[end] === '\\') {
+                    end += 2;
+                    continue;
+                }
+                if (input.startsWith('${', end)) {
+                    depth++;
+                    end++;
+                }
+                else if (input[end] === '}') {
+                    depth--;
+                }
+                if (depth > 0)
+                    end++;
+            }
+            if (depth > 0) {
+                throw new ShellSyntaxError("unexpected EOF while looking for matching `}'");
+            }
+            const body = input.slice(start, end);
+            this.pos = end + 1;
+            const length = /^#([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?$#@*!])$/.exec(body);
+            if (length) {
+                this.parts.push({ type: 'param', name: length[1], quoted, op: '#' });
+                return;
+            }
+            const name = /^([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?$#@*!])/.exec(body);
+            if (!name) {
+                throw new ShellSyntaxError(`\${${body}}: bad substitution`);
+            }
+            const rest = body.slice(name[1].length);
+            if (!rest) {
+                this.parts.push({ type: 'param', name: name[1], quoted });
+                return;
+            }
+            const op = PARAM_OPERATORS.find((o) => rest.startsWith(o));
+            if (!op) {
+                throw new ShellSyntaxError(`\${${body}}: bad substitution`);
+            }
+            const operand = new WordReader(rest.slice(op.length), 0, true).read();
+            if (quoted) {
+                operand.forEach((part) => (part.quoted = true));
+            }
+            this.parts.push({ type: 'param', name: name[1], quoted, op, operand });
+        }
+    }
+    /**
+     * Splits a command line into word and operator tokens
+     */
+    function tokenize$1(input) {
+        const tokens = [];
+        let i = 0;
+        while (i < input.length) {
+            const ch = input[i];
+            if (isBlank(ch)) {
+                i++;
+                continue;
+            }
+            // Line continuation
+            if (ch === '\\' && input[i + 1] === '\n') {
+                i += 2;
+                continue;
+            }
+            // Comments run to the end of the line
+            if (ch === '#') {
+                while (i < input.length && input[i] !== '\n') {
+                    i++;
+                }
+                continue;
+            }
+            // A descriptor number directly before a redirection, as in 2> or 2>&1
+            const ioNumber = /^(\d+)(?=[<>])/.exec(input.slice(i));
+            if (ioNumber) {
+                const op = OPERATORS.find((o) => input.startsWith(o, i + ioNumber[1].length));
+                if (op && REDIRECT_OPERATORS.includes(op) && op[0] !== '&') {
+                    tokens.push({ type: 'op', op, fd: parseInt(ioNumber[1], 10) });
+                    i += ioNumber[1].length + op.length;
+                    continue;
+                }
+            }
+            const op = OPERATORS.find((o) => input.startsWith(o, i));
+            if (op) {
+                tokens.push({ type: 'op', op });
+                i += op.length;
+                continue;
+            }
+            const reader = new WordReader(input, i);
+            const parts = reader.read();
+            tokens.push({ type: 'word', word: { parts, text: input.slice(i, reader.pos) } });
+            i = reader.pos;
+        }
+        return tokens;
+    }
+    /**
+     * Recognizes NAME=value words, which must start with an unquoted name and =
+     */
+    function toAssignment(word) {
+        const first = word.parts[0];
+        if (!first || first.type !== 'literal' || first.quoted) {
+            return null;
+        }
+        const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(first.value);
+        if (!match) {
+            return null;
+        }
+        const rest = first.value.slice(match[0].length);
+        const parts = rest ? [Object.assign(Object.assign({}, first), { value: rest })] : [];
+        parts.push(...word.parts.slice(1));
+        if (parts.length === 0) {
+            parts.push({ type: 'literal', value: '', quoted: true });
+        }
+        return { name: match[1], value: { parts, text: word.text.slice(match[0].length) } };
+    }
+    /**
+     * Whether a token is the given unquoted word, as reserved words must be
+     */
+    function isWord(token, text) {
+        if (!token || token.type !== 'word' || token.word.parts.length !== 1) {
+            return false;
+        }
+        const part = token.word.parts[0];
+        return part.type === 'literal' && !part.quoted && part.value === text;
+    }
+    /**
+     * A word holding an operator's text, for operators inside [[ ]]
+     */
+    function operatorWord(op) {
+        return { parts: [{ type: 'literal', value: op, quoted: false }], text: op };
+    }
+    /**
+     * Recursive descent parser over the token stream
+     */
+    class Parser {
+        constructor(tokens) {
+            this.tokens = tokens;
+            this.pos = 0;
+        }
+        parse() {
+            const list = this.parseList();
+            const token = this.peek();
+            if (token) {
+                throw this.unexpected(token);
+            }
+            return list;
+        }
+        peek(offset = 0) {
+            return this.tokens[this.pos + offset];
+        }
+        peekOp(...ops) {
+            const token = this.peek();
+            if (token && token.type === 'op' && ops.includes(token.op)) {
+                return token.op;
+            }
+            return null;
+        }
+        skipNewlines() {
+            while (this.peekOp('\n')) {
+                this.pos++;
+            }
+        }
+        unexpected(token) {
+            if (!token) {
+                return new ShellSyntaxError('syntax error: unexpected end of file');
+            }
+            const text = token.type === 'op' ? (token.op === '\n' ? 'newline' : token.op) : token.word.text;
+            return new ShellSyntaxError(`syntax error near unexpected token \`${text}'`);
+        }
+        /**
+         * Consumes a reserved word, or fails with a syntax error
+         */
+        expectWord(text) {
+            if (!isWord(this.peek(), text)) {
+                throw this.unexpected(this.peek());
+            }
+            this.pos++;
+        }
+        /**
+         * Whether the next token ends the list being parsed
+         */
+        atListEnd() {
+            const token = this.peek();
+            if (!token)
+                return true;
+            if (token.type === 'op')
+                return token.op === ')' || token.op === ';;';
+            return CLOSING_WORDS.some((word) => isWord(token, word));
+        }
+        parseList() {
+            const items = [];
+            this.skipNewlines();
+            while (!this.atListEnd()) {
+                const item = this.parseAndOr();
+                items.push(item);
+                const op = this.peekOp(';', '&', '\n');
+                if (!op) {
+                    break;
+                }
+                if (op === '&') {
+                    item.background = true;
+                }
+                this.pos++;
+                this.skipNewlines();
+            }
+            return { type: 'list', items };
+        }
+        /**
+         * Parses the body of a compound command, which can't be empty
+         */
+        parseBody() {
+            const list = this.parseList();
+            if (list.items.length === 0) {
+                throw this.unexpected(this.peek());
+            }
+            return list;
+        }
+        parseAndOr() {
+            const node = { type: 'andor', first: this.parsePipeline(), rest: [] };
+            let op;
+            while ((op = this.peekOp('&&', '||'))) {
+                this.pos++;
+                this.skipNewlines();
+                node.rest.push({ op: op, pipeline: this.parsePipeline() });
+            }
+            return node;
+        }
+        parsePipeline() {
+            const negated = isWord(this.peek(), '!');
+            if (negated) {
+                this.pos++;
+            }
+            const commands = [this.parseCommand()];
+            while (this.peekOp('|')) {
+                this.pos++;
+                this.skipNewlines();
+                commands.push(this.parseCommand());
+            }
+            return { type: 'pipeline', negated, commands };
+        }
+        parseCommand() {
+            const token = this.peek();
+            if (token && token.type === 'op' && token.op === '(') {
+                this.pos++;
+                const body = this.parseBody();
+                if (!this.peekOp(')')) {
+                    throw this.unexpected(this.peek());
+                }
+                this.pos++;
+                return this.withRedirects({ type: 'group', subshell: true, body, redirects: [] });
+            }
+            if (token && token.type === 'word') {
+                const compound = this.parseCompound();
+                if (compound) {
+                    return this.withRedirects(compound);
+                }
+                if (isWord(token, 'function')) {
+                    this.pos++;
+                    return this.parseFunction();
+                }
+                // name() starts a function definition
+                const next = this.peek(1);
+                if (next && next.type === 'op' && next.op === '(') {
+                    return this.parseFunction();
+                }
+                if (CLOSING_WORDS.some((word) => isWord(token, word))) {
+                    throw this.unexpected(token);
+                }
+            }
+            return this.parseSimpleCommand();
+        }
+        /**
+         * Parses a compound command starting with a reserved word, if there is one
+         */
+        parseCompound() {
+            const token = this.peek();
+            if (isWord(token, 'if')) {
+                return this.parseIf();
+            }
+            if (isWord(token, 'for')) {
+                return this.parseFor();
+            }
+            if (isWord(token, 'while') || isWord(token, 'until')) {
+                this.pos++;
+                const condition = this.parseBody();
+                this.expectWord('do');
+                const body = this.parseBody();
+                this.expectWord('done');
+                return { type: 'while', until: isWord(token, 'until'), condition, body, redirects: [] };
+            }
+            if (isWord(token, 'case')) {
+                return this.parseCase();
+            }
+            if (isWord(token, '{')) {
+                this.pos++;
+                const body = this.parseBody();
+                this.expectWord('}');
+                return { type: 'group', subshell: false, body, redirects: [] };
+            }
+            if (isWord(token, '[[')) {
+                return this.parseConditional();
+            }
+            return null;
+        }
+        parseIf() {
+            const node = { type: 'if', clauses: [], elseBody: null, redirects: [] };
+            do {
+                this.pos++;
+                const condition = this.parseBody();
+                this.expectWord('then');
+                node.clauses.push({ condition, body: this.parseBody() });
+            } while (isWord(this.peek(), 'elif'));
+            if (isWord(this.peek(), 'else')) {
+                this.pos++;
+                node.elseBody = this.parseBody();
+            }
+            this.expectWord('fi');
+            return node;
+        }
+        parseFor() {
+            this.pos++;
+            const nameToken = this.peek();
+            if (!nameToken ||
+                nameToken.type !== 'word' ||
+                !/^[A-Za-z_][A-Za-z0-9_]*$/.test(nameToken.word.text)) {
+                throw this.unexpected(nameToken);
+            }
+            this.pos++;
+            let items = null;
+            this.skipNewlines();
+            if (isWord(this.peek(), 'in')) {
+                this.pos++;
+                items = [];
+                let token;
+                while ((token = this.peek()) && token.type === 'word') {
+                    items.push(token.word);
+                    this.pos++;
+                }
+            }
+            if (this.peekOp(';', '\n')) {
+                this.pos++;
+            }
+            this.skipNewlines();
+            this.expectWord('do');
+            const body = this.parseBody();
+            this.expectWord('done');
+            return { type: 'for', name: nameToken.word.text, items, body, redirects: [] };
+        }
+        parseCase() {
+            this.pos++;
+            const wordToken = this.peek();
+            if (!wordToken || wordToken.type !== 'word') {
+                throw this.unexpected(wordToken);
+            }
+            this.pos++;
+            this.skipNewlines();
+            this.expectWord('in');
+            this.skipNewlines();
+            const node = { type: 'case', word: wordToken.word, items: [], redirects: [] };
+            while (!isWord(this.peek(), 'esac')) {
+                if (this.peekOp('(')) {
+                    this.pos++;
+                }
+                const patterns = [];
+                for (;;) {
+                    const pattern = this.peek();
+                    if (!pattern || pattern.type !== 'word') {
+                        throw this.unexpected(pattern);
+                    }
+                    patterns.push(pattern.word);
+                    this.pos++;
+                    if (!this.peekOp('|'))
+                        break;
+                    this.pos++;
+                }
+                if (!this.peekOp(')')) {
+                    throw this.unexpected(this.peek());
+                }
+                this.pos++;
+                // An item's commands may be empty, as in "*) ;;"
+                node.items.push({ patterns, body: this.parseList() });
+                if (!this.peekOp(';;'))
+                    break;
+                this.pos++;
+                this.skipNewlines();
+            }
+            this.expectWord('esac');
+            return node;
+        }
+        parseConditional() {
+            this.pos++;
+            const words = [];
+            for (;;) {
+                const token = this.peek();
+                if (!token) {
+                    throw this.unexpected(token);
+                }
+                this.pos++;
+                if (isWord(token, ']]'))
+                    break;
+                if (token.type === 'word') {
+                    words.push(token.word);
+                }
+                else if (CONDITIONAL_OPERATORS.includes(token.op)) {
+                    words.push(operatorWord(token.op));
+                }
+                else if (token.op !== '\n') {
+                    throw this.unexpected(token);
+                }
+            }
+            if (words.length === 0) {
+                throw this.unexpected(this.peek(-1));
+            }
+            return { type: 'conditional', words, redirects: [] };
+        }
+        parseFunction() {
+            const nameToken = this.peek();
+            if (!nameToken || nameToken.type !== 'word' || /[$`'"\\=]/.test(nameToken.word.text)) {
+                throw this.unexpected(nameToken);
+            }
+            this.pos++;
+            if (this.peekOp('(')) {
+                this.pos++;
+                if (!this.peekOp(')')) {
+                    throw this.unexpected(this.peek());
+                }
+                this.pos++;
+            }
+            this.skipNewlines();
+            const body = this.parseCompound();
+            if (!body) {
+                throw this.unexpected(this.peek());
+            }
+            return { type: 'function', name: nameToken.word.text, body: this.withRedirects(body) };
+        }
+        /**
+         * Reads redirections after a compound command, as in "done > out.txt"
+         */
+        withRedirects(node) {
+            let redirect;
+            while ((redirect = this.parseRedirect())) {
+                node.redirects.push(redirect);
+            }
+            return node;
+        }
+        /**
+         * Parses a redirection operator and its target, if one is next
+         */
+        parseRedirect() {
+            const token = this.peek();
+            const op = this.peekOp(...REDIRECT_OPERATORS);
+            if (!token || token.type !== 'op' || !op) {
+                return null;
+            }
+            const fd = token.fd !== undefined ? token.fd : op === '<' ? 0 : 1;
+            this.pos++;
+            const target = this.peek();
+            if (!target || target.type !== 'word') {
+                throw this.unexpected(target);
+            }
+            this.pos++;
+            return { op, fd, target: target.word };
+        }
+        parseSimpleCommand() {
+            const node = { type: 'command', assignments: [], words: [], redirects: [] };
+            for (;;) {
+                const token = this.peek();
+                if (!token)
+                    break;
+                if (token.type === 'word') {
+                    const assignment = node.words.length === 0 ? toAssignment(token.word) : null;
+                    if (assignment) {
+                        node.assignments.push(assignment);
+                    }
+                    else {
+                        node.words.push(token.word);
+                    }
+                    this.pos++;
+                    continue;
+                }
+                const redirect = this.parseRedirect();
+                if (!redirect)
+                    break;
+                node.redirects.push(redirect);
+            }
+            if (node.words.length === 0 && node.redirects.length === 0 && node.assignments.length === 0) {
+                throw this.unexpected(this.peek());
+            }
+            return node;
+        }
+    }
+    /**
+     * Parses a command line into a list AST
+     */
+    function parse(input) {
+        return new Parser(tokenize$1(input)).parse();
+    }
+    /**
+     * Writes an and-or list back out as a command line, as jobs shows a job
+     */
+    function formatAndOr(node) {
+        let text = formatPipeline(node.first);
+        for (const { op, pipeline } of node.rest) {
+            text += ` ${op} ${formatPipeline(pipeline)}`;
+        }
+        return text;
+    }
+    function formatList(list) {
+        return list.items.map((item) => `${formatAndOr(item)}${item.background ? ' &' : ';'}`).join(' ');
+    }
+    function formatPipeline(pipeline) {
+        return (pipeline.negated ? '! ' : '') + pipeline.commands.map(formatCommand).join(' | ');
+    }
+    function formatCommand(node) {
+        switch (node.type) {
+            case 'command':
+                return [
+                    ...node.assignments.map((assignment) => `${assignment.name}=${assignment.value.text}`),
+                    ...node.words.map((word) => word.text),
+                    ...node.redirects.map(formatRedirect),
+                ].join(' ');
+            case 'function':
+                return `${node.name} () ${formatCommand(node.body)}`;
+        }
+        let text;
+        switch (node.type) {
+            case 'if':
+                text = node.clauses
+                    .map((clause, i) => `${i === 0 ? 'if' : 'elif'} ${formatList(clause.condition)} then ${formatList(clause.body)}`)
+                    .join(' ');
+                text += `${node.elseBody ? ` else ${formatList(node.elseBody)}` : ''} fi`;
+                break;
+            case 'for':
+                text = `for ${node.name}${node.items ? ` in ${node.items.map((word) => word.text).join(' ')}` : ''}; do ${formatList(node.body)} done`;
+                break;
+            case 'while':
+                text = `${node.until ? 'until' : 'while'} ${formatList(node.condition)} do ${formatList(node.body)} done`;
+                break;
+            case 'case':
+                text = `case ${node.word.text} in ${node.items
+                .map((item) => `${item.patterns.map((word) => word.text).join('|')}) ${formatList(item.body)};`)
+                .join(' ')} esac`;
+                break;
+            case 'group':
+                text = node.subshell
+                    ? `( ${formatList(node.body).replace(/;$/, '')} )`
+                    : `{ ${formatList(node.body)} }`;
+                break;
+            case 'conditional':
+                text = `[[ ${node.words.map((word) => word.text).join(' ')} ]]`;
+                break;
+        }
+        return [text, ...node.redirects.map(formatRedirect)].join(' ');
+    }
+    function formatRedirect(redirect) {
+        const fd = redirect.fd === (redirect.op === '<' ? 0 : 1) || redirect.op[0] === '&' ? '' : redirect.fd;
+        return redirect.op === '>&'
+            ? `${fd}>&${redirect.target.text}`
+            : `${fd}${redirect.op} ${redirect.target.text}`;
+    }
+
+    // Conditional expressions for test, [ and [[
+    // Parses the arguments recursively and evaluates them as it goes
+    /**
+     * Raised for malformed expressions and bad integers
+     */
+    class TestError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'TestError';
+            Object.setPrototypeOf(this, TestError.prototype);
+        }
+    }
+    const FILE_OPERATORS = ['-e', '-f', '-d', '-s', '-r', '-w', '-x', '-L', '-h'];
+    const UNARY_OPERATORS = ['-z', '-n', ...FILE_OPERATORS];
+    const INTEGER_OPERATORS = ['-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+    const BINARY_OPERATORS = ['=', '==', '!=', '<', '>', ...INTEGER_OPERATORS];
+    /**
+     * Recursive descent over test arguments. test and [ join terms with -a and
+     * -o; [[ uses && and || and adds pattern matching and =~.
+     */
+    class TestParser {
+        constructor(args, fileTest, extended) {
+            this.args = args;
+            this.fileTest = fileTest;
+            this.extended = extended;
+            this.pos = 0;
+        }
+        parse() {
+            const result = this.parseOr();
+            if (this.pos < this.args.length) {
+                throw new TestError(`${this.args[this.pos].value}: unexpected operator`);
+            }
+            return result;
+        }
+        /**
+         * Whether the argument at an offset is the given operator
+         */
+        isOp(value, offset = 0) {
+            const arg = this.args[this.pos + offset];
+            return arg !== undefined && arg.operator && arg.value === value;
+        }
+        parseOr() {
+            let result = this.parseAnd();
+            while (this.isOp(this.extended ? '||' : '-o')) {
+                this.pos++;
+                // Evaluate the right side even when it can't change the result, so
+                // syntax errors are still reported
+                const right = this.parseAnd();
+                result = result || right;
+            }
+            return result;
+        }
+        parseAnd() {
+            let result = this.parseNot();
+            while (this.isOp(this.extended ? '&&' : '-a')) {
+                this.pos++;
+                const right = this.parseNot();
+                result = result && right;
+            }
+            return result;
+        }
+        parseNot() {
+            // "! = x" compares the string "!"
+            if (this.isOp('!') && !this.isBinaryAt(1)) {
+                this.pos++;
+                return !this.parseNot();
+            }
+            return this.parsePrimary();
+        }
+        isBinaryAt(offset) {
+            const arg = this.args[this.pos + offset];
+            if (!arg || !arg.operator || this.pos + offset + 1 >= this.args.length) {
+                return false;
+            }
+            return BINARY_OPERATORS.includes(arg.value) || (this.extended && arg.value === '=~');
+        }
+        parsePrimary() {
+            const arg = this.args[this.pos];
+            if (!arg) {
+                throw new TestError('argument expected');
+            }
+            if (this.isBinaryAt(1)) {
+                const op = this.args[this.pos + 1].value;
+                const right = this.args[this.pos + 2];
+                this.pos += 3;
+                return this.binary(arg.value, op, right);
+            }
+            if (this.isOp('(')) {
+                this.pos++;
+                const result = this.parseOr();
+                if (!this.isOp(')')) {
+                    throw new TestError("`)' expected");
+                }
+                this.pos++;
+                return result;
+            }
+            if (arg.operator && UNARY_OPERATORS.includes(arg.value) && this.pos + 1 < this.args.length) {
+                const operand = this.args[this.pos + 1].value;
+                this.pos += 2;
+                if (arg.value === '-z')
+                    return operand === '';
+                if (arg.value === '-n')
+                    return operand !== '';
+                return this.fileTest(arg.value, operand);
+            }
+            // A lone string is true when it isn't empty
+            this.pos++;
+            return arg.value !== '';
+        }
+        binary(left, op, right) {
+            switch (op) {
+                case '=':
+                case '==':
+                    return right.pattern ? right.pattern.test(left) : left === right.value;
+                case '!=':
+                    return right.pattern ? !right.pattern.test(left) : left !== right.value;
+                case '<':
+                    return left < right.value;
+                case '>':
+                    return left > right.value;
+                case '=~':
+                    try {
+                        return new RegExp(right.value).test(left);
+                    }
+                    catch (error) {
+                        throw new TestError(`${right.value}: invalid regular expression`);
+                    }
+            }
+            const a = toInteger(left);
+            const b = toInteger(right.value);
+            switch (op) {
+                case '-eq':
+                    return a === b;
+                case '-ne':
+                    return a !== b;
+                case '-lt':
+                    return a < b;
+                case '-le':
+                    return a <= b;
+                case '-gt':
+                    return a > b;
+                default:
+                    return a >= b;
+            }
+        }
+    }
+    function toInteger(value) {
+        if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+            throw new TestError(`${value}: integer expression expected`);
+        }
+        return parseInt(value, 10);
+    }
+    /**
+     * Evaluates a conditional expression, throwing TestError when it is malformed
+     */
+    function evaluateTest(args, fileTest, extended = false) {
+        // With no arguments test is simply false
+        if (args.length === 0) {
+            return false;
+        }
+        return new TestParser(args, fileTest, extended).parse();
+    }
+
+    // Permission bits: parsing chmod modes and showing them the way ls does
+    // Bits for who a symbolic mode applies to
+    const WHO_BITS = {
+        u: 0o4700,
+        g: 0o2070,
+        o: 0o1007,
+        a: 0o7777,
+    };
+    // The letter ls -l shows for each type of file
+    const TYPE_LETTERS = { file: '-', directory: 'd', symlink: 'l' };
+    /**
+     * Formats a type and mode the way ls -l does, such as drwxr-xr-x,
+     * drwxrwxrwt for a sticky directory or lrwxrwxrwx for a symlink
+     */
+    function formatMode(type, mode) {
+        const chars = TYPE_LETTERS[type] + 'rwxrwxrwx';
+        let result = chars[0];
+        for (let i = 0; i < 9; i++) {
+            result += mode & (0o400 >> i) ? chars[i + 1] : '-';
+        }
+        // setuid, setgid and sticky show in place of an x, in capitals when x is off
+        const special = [
+            [0o4000, 3, 's'],
+            [0o2000, 6, 's'],
+            [0o1000, 9, 't'],
+        ];
+        for (const [bit, index, char] of special) {
+            if (mode & bit) {
+                const shown = result[index] === 'x' ? char : char.toUpperCase();
+                result = result.slice(0, index) + shown + result.slice(index + 1);
+            }
+        }
+        return result;
+    }
+    /**
+     * Formats a mode as four octal digits, such as 0755
+     */
+    function formatOctalMode(mode) {
+        return (mode & 0o7777).toString(8).padStart(4, '0');
+    }
+    /**
+     * Applies a chmod mode to an existing mode. The mode is either octal, such
+     * as 755, or symbolic clauses such as u+x,go-w or a=rX. Without u, g, o or a,
+     * bits set in the umask are left alone. Returns null for an invalid mode.
+     */
+    function parseMode(spec, mode, isDirectory, umask) {
+        if (/^[0-7]+$/.test(spec)) {
+            const value = parseInt(spec, 8);
+            return value <= 0o7777 ? value : null;
+        }
+        for (const clause of spec.split(',')) {
+            const match = /^([ugoa]*)((?:[-+=](?:[ugo]|[rwxXst]*))+)$/.exec(clause);
+            if (!match) {
+                return null;
+            }
+            let who = 0;
+            for (const char of match[1]) {
+                who |= WHO_BITS[char];
+            }
+            const mask = who === 0 ? ~umask & 0o7777 : who;
+            const clears = who === 0 ? 0o7777 : who;
+            const actions = /([-+=])([ugo]|[rwxXst]*)/g;
+            let action;
+            while ((action = actions.exec(match[2])) !== null) {
+                const [, op, perms] = action;
+                const bits = permissionBits(perms, mode, isDirectory) & mask;
+                if (op === '+') {
+                    mode |= bits;
+                }
+                else if (op === '-') {
+                    mode &= ~bits;
+                }
+                else {
+                    mode = (mode & ~clears) | bits;
+                }
+            }
+        }
+        return mode;
+    }
+    /**
+     * Bits for the permission letters of one clause, before limiting them to
+     * who they apply to. u, g and o copy that class's current permissions.
+     */
+    function permissionBits(perms, mode, isDirectory) {
+        const copied = { u: (mode >> 6) & 7, g: (mode >> 3) & 7, o: mode & 7 };
+        if (perms in copied) {
+            return copied[perms] * 0o111;
+        }
+        let bits = 0;
+        for (const char of perms) {
+            if (char === 'r')
+                bits |= 0o444;
+            else if (char === 'w')
+                bits |= 0o222;
+            else if (char === 'x')
+                bits |= 0o111;
+            // X only makes directories and files something can already run executable
+            else if (char === 'X' && (isDirectory || mode & 0o111))
+                bits |= 0o111;
+            else if (char === 's')
+                bits |= 0o6000;
+            else if (char === 't')
+                bits |= 0o1000;
+        }
+        return bits;
+    }
+
+    // Users and groups: reading and writing /etc/passwd, /etc/group and
+    // /etc/shadow, and checking commands against /etc/sudoers
+    /**
+     * Splits a colon separated file into its lines' fields, skipping blank lines
+     * and comments
+     */
+    function records(text, minFields) {
+        return text
+            .split('\n')
+            .filter((line) => line.trim() && !line.startsWith('#'))
+            .map((line) => line.split(':'))
+            .filter((fields) => fields.length >= minFields);
+    }
+    function parsePasswd(text) {
+        return records(text, 7)
+            .filter((fields) => /^\d+$/.test(fields[2]) && /^\d+$/.test(fields[3]))
+            .map(([name, password, uid, gid, gecos, home, shell]) => ({
+            name,
+            password,
+            uid: parseInt(uid, 10),
+            gid: parseInt(gid, 10),
+            gecos,
+            home,
+            shell,
+        }));
+    }
+    function formatPasswd(entries) {
+        return entries
+            .map((e) => `${e.name}:${e.password}:${e.uid}:${e.gid}:${e.gecos}:${e.home}:${e.shell}\n`)
+            .join('');
+    }
+    function parseGroup(text) {
+        return records(text, 4)
+            .filter((fields) => /^\d+$/.test(fields[2]))
+            .map(([name, password, gid, members]) => ({
+            name,
+            password,
+            gid: parseInt(gid, 10),
+            members: members.split(',').filter((member) => member),
+        }));
+    }
+    function formatGroup(entries) {
+        return entries.map((e) => `${e.name}:${e.password}:${e.gid}:${e.members.join(',')}\n`).join('');
+    }
+    function parseShadow(text) {
+        return records(text, 2).map(([name, hash, lastChange = '', ...rest]) => ({
+            name,
+            hash,
+            lastChange,
+            rest,
+        }));
+    }
+    function formatShadow(entries) {
+        return entries.map((e) => [e.name, e.hash, e.lastChange, ...e.rest].join(':') + '\n').join('');
+    }
+    /**
+     * A shadow entry for a password set now, with the usual aging fields
+     */
+    function newShadowEntry(name, hash, now) {
+        return {
+            name,
+            hash,
+            lastChange: String(daysSinceEpoch(now)),
+            rest: ['0', '99999', '7', '', '', ''],
+        };
+    }
+    /**
+     * Days since 1970-01-01, as /etc/shadow counts them
+     */
+    function daysSinceEpoch(time) {
+        return Math.floor(time / 86400000);
+    }
+    /**
+     * Whether a name is one useradd accepts: lowercase letters, digits, _ and -,
+     * not starting with a digit or dash
+     */
+    function isValidAccountName(name) {
+        return /^[a-z_][a-z0-9_-]*\$?$/.test(name) && name.length <= 32;
+    }
+    /**
+     * Parses the user specifications in /etc/sudoers. Defaults, aliases and
+     * includes aren't supported and are skipped.
+     */
+    function parseSudoers(text) {
+        const rules = [];
+        for (const raw of text.split('\n')) {
+            const line = raw.replace(/#.*$/, '').trim();
+            const match = /^(\S+)\s+\S+?\s*=\s*(?:\(([^)]*)\))?\s*(.+)$/.exec(line);
+            if (!match || /^(Defaults|\w+_Alias)\b/.test(line)) {
+                continue;
+            }
+            const [, users, runAs = 'root', commandList] = match;
+            const [runAsUsers, runAsGroups = ''] = runAs.split(':');
+            let noPassword = false;
+            const commands = [];
+            for (let spec of commandList.split(',')) {
+                // Tags such as NOPASSWD: carry on to the commands after them
+                let tag;
+                while ((tag = /^\s*(NO)?(PASSWD|SETENV|EXEC):/.exec(spec)) !== null) {
+                    if (tag[2] === 'PASSWD') {
+                        noPassword = tag[1] === 'NO';
+                    }
+                    spec = spec.slice(tag[0].length);
+                }
+                const [command, ...args] = spec.trim().split(/\s+/);
+                if (command) {
+                    // No arguments allows any; "" allows none
+                    const allowed = args.length === 0 ? null : args.filter((arg) => arg !== '""');
+                    commands.push({ command, args: allowed, noPassword });
+                }
+            }
+            rules.push({
+                users: splitList(users),
+                runAsUsers: splitList(runAsUsers || (runAsGroups ? '' : 'root')),
+                runAsGroups: splitList(runAsGroups),
+                commands,
+            });
+        }
+        return rules;
+    }
+    function splitList(list) {
+        return list
+            .split(',')
+            .map((item) => item.trim())
+            .filter((item) => item);
+    }
+    /**
+     * The rules that apply to a user, directly, through one of their groups or to ALL
+     */
+    function sudoRulesFor(rules, user, groups) {
+        return rules.filter((rule) => rule.users.some((who) => who === 'ALL' || who === user || (who.startsWith('%') && groups.includes(who.slice(1)))));
+    }
+    /**
+     * Finds the command spec that lets a user run a command as another user.
+     * As in sudo, the last match wins. Commands match by name, so /usr/bin/cat
+     * in sudoers allows cat.
+     */
+    function findSudoCommand(rules, runAs, command, args) {
+        const name = command.split('/').pop();
+        let found = null;
+        for (const rule of rules) {
+            if (!rule.runAsUsers.includes('ALL') && !rule.runAsUsers.includes(runAs)) {
+                continue;
+            }
+            for (const spec of rule.commands) {
+                const commandMatches = spec.command === 'ALL' ||
+                    spec.command === command ||
+                    spec.command.split('/').pop() === name;
+                const argsMatch = spec.args === null || spec.args.join(' ') === args.join(' ');
+                if (commandMatches && argsMatch) {
+                    found = spec;
+                }
+            }
+        }
+        return found;
+    }
+    /**
+     * Formats a rule the way sudo -l lists it, such as (ALL : ALL) ALL
+     */
+    function formatSudoRule(rule) {
+        const runAs = rule.runAsUsers.join(', ') +
+            (rule.runAsGroups.length ? ` : ${rule.runAsGroups.join(', ')}` : '');
+        let noPassword = false;
+        const commands = rule.commands.map((spec) => {
+            const text = spec.args === null ? spec.command : [spec.command, ...spec.args].join(' ');
+            const tag = spec.noPassword !== noPassword ? (spec.noPassword ? 'NOPASSWD: ' : 'PASSWD: ') : '';
+            noPassword = spec.noPassword;
+            return tag + text;
+        });
+        return `(${runAs}) ${commands.join(', ')}`;
+    }
+
+    // Password hashing for /etc/shadow
+    // SHA-256 is implemented here because the browser's crypto API is async only
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+    ];
+    const SALT_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789./';
+    /**
+     * Encodes text as UTF-8 bytes
+     */
+    function utf8Bytes(text) {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+            }
+            else if (code < 0x800) {
+                bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+            }
+            else if (code < 0x10000) {
+                bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            }
+            else {
+                bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            }
+        }
+        return bytes;
+    }
+    /**
+     * SHA-256 digest of text, as lowercase hex
+     */
+    function sha256(text) {
+        const bytes = utf8Bytes(text);
+        const bitLength = bytes.length * 8;
+        // Pad to a multiple of 64 bytes, ending with the length in bits
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) {
+            bytes.push(0);
+        }
+        for (let shift = 56; shift >= 0; shift -= 8) {
+            bytes.push(shift >= 32 ? Math.floor(bitLength / Math.pow(2, shift)) & 0xff : (bitLength >>> shift) & 0xff);
+        }
+        const hash = [
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+        ];
+        const w = new Array(64);
+        const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+                const choice = (e & f) ^ (~e & g);
+                const t1 = (h + s1 + choice + K[i] + w[i]) | 0;
+                const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+                const majority = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (s0 + majority) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            const state = [a, b, c, d, e, f, g, h];
+            for (let i = 0; i < 8; i++) {
+                hash[i] = (hash[i] + state[i]) | 0;
+            }
+        }
+        return hash.map((word) => (word >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+    /**
+     * Hashes a password for /etc/shadow as $sha256$SALT$DIGEST. A random salt is
+     * used unless one is given.
+     */
+    function hashPassword(password, salt) {
+        if (salt === undefined) {
+            salt = '';
+            for (let i = 0; i < 16; i++) {
+                salt += SALT_CHARS[Math.floor(Math.random() * SALT_CHARS.length)];
+            }
+        }
+        return `$sha256$${salt}$${sha256(salt + password)}`;
+    }
+    /**
+     * Checks a password against a hash made by hashPassword
+     */
+    function verifyPassword(password, hash) {
+        const match = /^\$sha256\$([^$]*)\$[0-9a-f]{64}$/.exec(hash);
+        return match !== null && hashPassword(password, match[1]) === hash;
+    }
+
+    // POSIX regular expressions, basic and extended, translated to JavaScript ones
+    /**
+     * Raised for malformed patterns, with GNU's message
+     */
+    class RegexError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'RegexError';
+            Object.setPrototypeOf(this, RegexError.prototype);
+        }
+    }
+    // What each [:class:] in a bracket expression stands for
+    const CHARACTER_CLASSES = {
+        alpha: 'a-zA-Z',
+        digit: '0-9',
+        alnum: 'a-zA-Z0-9',
+        upper: 'A-Z',
+        lower: 'a-z',
+        space: ' \\t\\n\\r\\f\\v',
+        blank: ' \\t',
+        punct: '!-\\/:-@\\[-`{-~',
+        xdigit: '0-9A-Fa-f',
+        cntrl: '\\x00-\\x1f\\x7f',
+        print: ' -~',
+        graph: '!-~',
+    };
+    // Characters that are only special when escaped in a basic expression, and
+    // only special unescaped in an extended one
+    const EXTENDED_OPERATORS = '(){}|+?';
+    /**
+     * Escapes text to match itself in a JavaScript regular expression
+     */
+    function escapeRegex(text) {
+        return text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+    }
+    /**
+     * Translates a POSIX basic (or with extended, extended) regular expression
+     * to the source of a JavaScript one. GNU's extensions work too: \| \+ and \?
+     * in basic ones, \< \> \b \w \s and back-references.
+     */
+    function translateRegex(pattern, extended) {
+        let source = '';
+        let groups = 0;
+        let depth = 0;
+        // Whether a repetition here would have nothing to repeat, making * itself
+        let atStart = true;
+        for (let i = 0; i < pattern.length; i++) {
+            let char = pattern[i];
+            let escaped = false;
+            if (char === '\\') {
+                if (i === pattern.length - 1) {
+                    throw new RegexError('Trailing backslash');
+                }
+                char = pattern[++i];
+                escaped = true;
+                if (char === '<' || char === '>') {
+                    source += '\\b';
+                    continue;
+                }
+                if (/[1-9]/.test(char) && Number(char) > groups) {
+                    throw new RegexError('Invalid back reference');
+                }
+                if (/[1-9wWsSbB]/.test(char)) {
+                    source += `\\${char}`;
+                    atStart = false;
+                    continue;
+                }
+                if (!EXTENDED_OPERATORS.includes(char)) {
+                    source += escapeRegex(char);
+                    atStart = false;
+                    continue;
+                }
+            }
+            // Basic expressions need \ before an operator, extended ones don't
+            const operator = EXTENDED_OPERATORS.includes(char) && escaped !== extended;
+            if (EXTENDED_OPERATORS.includes(char) && !operator) {
+                source += escapeRegex(char);
+                atStart = false;
+            }
+            else if (char === '(') {
+                groups++;
+                depth++;
+                source += '(';
+                atStart = true;
+            }
+            else if (char === ')') {
+                if (depth === 0) {
+                    throw new RegexError('Unmatched ) or \\)');
+                }
+                depth--;
+                source += ')';
+                atStart = false;
+            }
+            else if (char === '|') {
+                source += '|';
+                atStart = true;
+            }
+            else if ((char === '*' || char === '+' || char === '?') && atStart) {
+                source += `\\${char}`;
+                atStart = false;
+            }
+            else if (char === '{' && (atStart || !/^\d*(,\d*)?\\?\}/.test(pattern.slice(i + 1)))) {
+                // Not an interval, so just a brace
+                source += '\\{';
+                atStart = false;
+            }
+            else if (char === '[') {
+                const end = bracketEnd(pattern, i);
+                source += translateBracket(pattern.slice(i + 1, end));
+                i = end;
+                atStart = false;
+            }
+            else if (char === '^') {
+                // In a basic expression ^ is only an anchor at the start
+                source += extended || atStart ? '^' : '\\^';
+            }
+            else if (char === '$') {
+                const rest = pattern.slice(i + 1);
+                const atEnd = extended || rest === '' || /^\\[)|]/.test(rest);
+                source += atEnd ? '$' : '\\$';
+                atStart = false;
+            }
+            else if (char === ']' || char === '/' || (char === '}' && !operator)) {
+                source += `\\${char}`;
+                atStart = false;
+            }
+            else {
+                source += char;
+                atStart = false;
+            }
+        }
+        if (depth > 0) {
+            throw new RegexError('Unmatched ( or \\(');
+        }
+        try {
+            new RegExp(source);
+        }
+        catch (error) {
+            throw new RegexError('Invalid regular expression');
+        }
+        return source;
+    }
+    /**
+     * Where the bracket expression starting at start ends. A ] straight after
+     * the [ or [^ is part of the set, as are ] inside [:class:].
+     */
+    function bracketEnd(pattern, start) {
+        let i = start + 1;
+        if (pattern[i] === '^') {
+            i++;
+        }
+        if (pattern[i] === ']') {
+            i++;
+        }
+        for (; i < pattern.length; i++) {
+            if (pattern[i] === '[' && /[:.=]/.test(pattern[i + 1] || '')) {
+                const close = pattern.indexOf(`${pattern[i + 1]}]`, i + 2);
+                if (close === -1) {
+                    break;
+                }
+                i = close + 1;
+            }
+            else if (pattern[i] === ']') {
+                return i;
+            }
+        }
+        throw new RegexError('Unmatched [, [^, [:, [., or [=');
+    }
+    /**
+     * Translates the inside of a bracket expression, where backslashes are
+     * themselves and [:class:] names a set of characters
+     */
+    function translateBracket(inside) {
+        let negated = false;
+        if (inside.startsWith('^')) {
+            negated = true;
+            inside = inside.slice(1);
+        }
+        let set = '';
+        for (let i = 0; i < inside.length; i++) {
+            const char = inside[i];
+            if (char === '[' && inside[i + 1] === ':') {
+                const close = inside.indexOf(':]', i + 2);
+                const name = inside.slice(i + 2, close);
+                if (!(name in CHARACTER_CLASSES)) {
+                    throw new RegexError('Invalid character class name');
+                }
+                set += CHARACTER_CLASSES[name];
+                i = close + 1;
+            }
+            else if (char === '[' && (inside[i + 1] === '.' || inside[i + 1] === '=')) {
+                // Collating symbols and equivalence classes are just their character
+                const close = inside.indexOf(`${inside[i + 1]}]`, i + 2);
+                set += escapeRegex(inside.slice(i + 2, close));
+                i = close + 1;
+            }
+            else if (char === '-' && i > 0 && i < inside.length - 1) {
+                set += '-';
+            }
+            else {
+                set += /[\\\]\[^-]/.test(char) ? `\\${char}` : char;
+            }
+        }
+        return `[${negated ? '^' : ''}${set}]`;
+    }
+    /**
+     * Where a global regular expression matches in a line, as [start, end]
+     * pairs. With wholeWords, a match only counts when it isn't part of a
+     * longer word, as for grep -w.
+     */
+    function findMatches(line, regex, wholeWords = false) {
+        const isWordChar = (char) => !!char && /\w/.test(char);
+        const matches = [];
+        let from = 0;
+        while (from <= line.length) {
+            regex.lastIndex = from;
+            const match = regex.exec(line);
+            if (!match) {
+                break;
+            }
+            const start = match.index;
+            const end = start + match[0].length;
+            if (wholeWords && (isWordChar(line[start - 1]) || isWordChar(line[end]))) {
+                from = start + 1;
+                continue;
+            }
+            matches.push([start, end]);
+            from = end > start ? end : end + 1;
+        }
+        return matches;
+    }
+
+    // Text filters: splitting and counting lines, and the field lists, sort
+    // keys and character sets of cut, sort and tr
+    /**
+     * Length of text in UTF-8 bytes, which is what ls reports as a file's size.
+     * Raw bytes carried in text from a stream count one each.
+     */
+    function byteLength(text) {
+        let bytes = 0;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code >= 0xdc80 && code <= 0xdcff) {
+                bytes++;
+                continue;
+            }
+            bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        }
+        return bytes;
+    }
+    /**
+     * Splits text into lines, each keeping its newline. The last line may not
+     * have one.
+     */
+    function splitLines(text) {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    }
+    /**
+     * Splits text into lines without their newlines, as filters that print
+     * whole lines see them
+     */
+    function textLines(text) {
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+    function countText(text) {
+        return {
+            lines: (text.match(/\n/g) || []).length,
+            words: (text.match(/\S+/g) || []).length,
+            chars: Array.from(text).length,
+            bytes: byteLength(text),
+        };
+    }
+    /**
+     * Parses a cut list such as 1,3-5,7- into ranges. Gives an error message
+     * for a malformed list; kind names what's numbered in it.
+     */
+    function parseRanges(list, kind) {
+        const ranges = [];
+        for (const part of list.split(',')) {
+            const match = part.match(/^(\d*)(-?)(\d*)$/);
+            if (!match || part === '') {
+                const invalid = kind === 'field' ? 'field value' : 'byte/character position';
+                return `invalid ${invalid} '${part}'`;
+            }
+            if (part === '-') {
+                return 'invalid range with no endpoint: -';
+            }
+            const start = match[1] ? parseInt(match[1], 10) : 1;
+            const end = match[3] ? parseInt(match[3], 10) : match[2] ? Infinity : start;
+            if (start === 0 || end === 0) {
+                return 'fields and positions are numbered from 1';
+            }
+            if (end < start) {
+                return 'invalid decreasing range';
+            }
+            ranges.push({ start, end });
+        }
+        return ranges;
+    }
+    /**
+     * The items whose positions fall in any of the ranges, in their own order
+     */
+    function selectRanges(items, ranges) {
+        return items.filter((item, i) => ranges.some((range) => i + 1 >= range.start && i + 1 <= range.end));
+    }
+    /**
+     * Parses a sort key such as 2, 2,2 or 1.3,1.5nr. Ordering letters on the
+     * key replace sort's own options for it. Gives null when it's malformed.
+     */
+    function parseSortKey(spec, defaults) {
+        const match = spec.match(/^(\d+)(?:\.(\d+))?([bfhnr]*)(?:,(\d+)(?:\.(\d+))?([bfhnr]*))?$/);
+        if (!match || match[1] === '0' || match[2] === '0' || match[4] === '0') {
+            return null;
+        }
+        const letters = (match[3] || '') + (match[6] || '');
+        const order = letters
+            ? {
+                numeric: letters.includes('n'),
+                human: letters.includes('h'),
+                reverse: letters.includes('r'),
+                foldCase: letters.includes('f'),
+                ignoreBlanks: letters.includes('b'),
+            }
+            : defaults;
+        return Object.assign(Object.assign({}, order), { startField: parseInt(match[1], 10), startChar: match[2] ? parseInt(match[2], 10) : 1, endField: match[4] ? parseInt(match[4], 10) : 0, endChar: match[5] ? parseInt(match[5], 10) : 0 });
+    }
+    /**
+     * Where each field of a line starts and ends. Without a separator, fields
+     * are runs of non-blanks with the blanks before them, as sort sees them.
+     */
+    function fieldBounds(line, separator) {
+        const bounds = [];
+        if (separator === null) {
+            const pattern = /[ \t]*[^ \t]+/g;
+            let match;
+            while ((match = pattern.exec(line))) {
+                bounds.push([match.index, match.index + match[0].length]);
+            }
+            return bounds;
+        }
+        let start = 0;
+        for (const field of line.split(separator)) {
+            bounds.push([start, start + field.length]);
+            start += field.length + 1;
+        }
+        return bounds;
+    }
+    /**
+     * The part of a line a key picks out
+     */
+    function sortKeyText(line, key, separator) {
+        const bounds = fieldBounds(line, separator);
+        const position = (field, char) => {
+            let index = bounds[field - 1][0];
+            if (key.ignoreBlanks) {
+                while (index < bounds[field - 1][1] && /[ \t]/.test(line[index])) {
+                    index++;
+                }
+            }
+            return index + char - 1;
+        };
+        if (key.startField > bounds.length) {
+            return '';
+        }
+        const start = Math.min(position(key.startField, key.startChar), line.length);
+        let end = line.length;
+        if (key.endField > 0 && key.endField <= bounds.length) {
+            end = key.endChar > 0 ? position(key.endField, key.endChar + 1) : bounds[key.endField - 1][1];
+        }
+        return line.slice(start, Math.max(start, Math.min(end, line.length)));
+    }
+    const HUMAN_SUFFIXES$1 = 'KMGTPEZY';
+    /**
+     * The number at the start of text, or 0 when there isn't one, as sort -n
+     * and -h read it
+     */
+    function leadingNumber(text, human) {
+        const match = text.match(/^\s*(-?(?:\d+(?:\.\d*)?|\.\d+))([KMGTPEZY]?)/i);
+        if (!match) {
+            return 0;
+        }
+        const value = parseFloat(match[1]);
+        const power = human && match[2] ? HUMAN_SUFFIXES$1.indexOf(match[2].toUpperCase()) + 1 : 0;
+        return value * Math.pow(1024, power);
+    }
+    /**
+     * Compares two keys, or whole lines, in the given order. Text compares by
+     * character code, as in the C locale.
+     */
+    function compareText(a, b, order) {
+        let result;
+        if (order.numeric || order.human) {
+            result = leadingNumber(a, order.human) - leadingNumber(b, order.human);
+        }
+        else {
+            if (order.ignoreBlanks) {
+                a = a.replace(/^[ \t]+/, '');
+                b = b.replace(/^[ \t]+/, '');
+            }
+            if (order.foldCase) {
+                a = a.toUpperCase();
+                b = b.toUpperCase();
+            }
+            result = a < b ? -1 : a > b ? 1 : 0;
+        }
+        return order.reverse ? -result : result;
+    }
+    // What each [:class:] in a tr set stands for
+    const TR_CLASSES = {
+        alpha: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+        digit: '0123456789',
+        alnum: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+        upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        lower: 'abcdefghijklmnopqrstuvwxyz',
+        space: ' \t\n\v\f\r',
+        blank: ' \t',
+        punct: '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~',
+        xdigit: '0123456789ABCDEFabcdef',
+    };
+    // Escapes tr understands after a backslash
+    const TR_ESCAPES = {
+        n: '\n',
+        t: '\t',
+        r: '\r',
+        f: '\f',
+        v: '\v',
+        a: '\x07',
+        b: '\b',
+        '\\': '\\',
+    };
+    /**
+     * Expands a tr set such as a-z, [:upper:], \n or, in the second set, [x*]
+     * and [x*3] into its characters. [x*] repeats x to fill the set out to
+     * length. Gives an error message for a malformed set.
+     */
+    function expandTrSet(spec, length = 0) {
+        // Resolve escapes first, remembering which characters were escaped
+        const chars = [];
+        for (let i = 0; i < spec.length; i++) {
+            if (spec[i] !== '\\' || i === spec.length - 1) {
+                chars.push({ char: spec[i], escaped: false });
+                continue;
+            }
+            const octal = spec.slice(i + 1).match(/^[0-7]{1,3}/);
+            if (octal) {
+                chars.push({ char: String.fromCharCode(parseInt(octal[0], 8)), escaped: true });
+                i += octal[0].length;
+            }
+            else {
+                const next = spec[++i];
+                chars.push({ char: TR_ESCAPES[next] || next, escaped: true });
+            }
+        }
+        const text = chars.map((c) => (c.escaped ? '\0' : c.char)).join('');
+        const set = [];
+        let fill = null;
+        for (let i = 0; i < chars.length; i++) {
+            const rest = text.slice(i);
+            const named = rest.match(/^\[:([a-z]+):\]/);
+            const repeat = rest.match(/^\[(.)\*(\d*)\]/);
+            if (named) {
+                if (!(named[1] in TR_CLASSES)) {
+                    return `invalid character class '${named[1]}'`;
+                }
+                set.push(...TR_CLASSES[named[1]]);
+                i += named[0].length - 1;
+            }
+            else if (repeat) {
+                const char = chars[i + 1].char;
+                if (repeat[2] && parseInt(repeat[2], 10) > 0) {
+                    set.push(...char.repeat(parseInt(repeat[2], 10)));
+                }
+                else {
+                    fill = { char, at: set.length };
+                }
+                i += repeat[0].length - 1;
+            }
+            else if (i + 2 < chars.length && text[i + 1] === '-') {
+                const from = chars[i].char.charCodeAt(0);
+                const to = chars[i + 2].char.charCodeAt(0);
+                if (to < from) {
+                    const range = spec.slice(i, i + 3);
+                    return `range-endpoints of '${range}' are in reverse collating sequence order`;
+                }
+                for (let code = from; code <= to; code++) {
+                    set.push(String.fromCharCode(code));
+                }
+                i += 2;
+            }
+            else {
+                set.push(chars[i].char);
+            }
+        }
+        if (fill) {
+            set.splice(fill.at, 0, ...fill.char.repeat(Math.max(length - set.length, 0)));
+        }
+        return set;
+    }
+    /**
+     * Splits xargs input into the items on each line, dropping blank lines.
+     * Items are separated by blanks, which quotes and backslashes keep in an
+     * item as they do in the shell. Gives an error message for an unmatched quote.
+     */
+    function splitItems(text) {
+        const lines = [];
+        for (const line of textLines(text)) {
+            const items = [];
+            let item = null;
+            let quote = null;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (quote) {
+                    item += char === quote ? '' : char;
+                    quote = char === quote ? null : quote;
+                }
+                else if (char === "'" || char === '"') {
+                    quote = char;
+                    item = item || '';
+                }
+                else if (char === '\\' && i < line.length - 1) {
+                    item = (item || '') + line[++i];
+                }
+                else if (char === ' ' || char === '\t') {
+                    if (item !== null) {
+                        items.push(item);
+                    }
+                    item = null;
+                }
+                else {
+                    item = (item || '') + char;
+                }
+            }
+            if (quote) {
+                const kind = quote === "'" ? 'single' : 'double';
+                return `unmatched ${kind} quote; by default quotes are special to xargs unless you use the -0 option`;
+            }
+            if (item !== null) {
+                items.push(item);
+            }
+            if (items.length > 0) {
+                lines.push(items);
+            }
+        }
+        return lines;
+    }
+
+    // Expressions for find: tests such as -name and -type and actions such as
+    // -print and -exec, joined with !, -a, -o and parentheses
+    // Parsing builds a tree the shell evaluates against each file it walks
+    /**
+     * Raised for malformed expressions, with GNU's message
+     */
+    class FindError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'FindError';
+            Object.setPrototypeOf(this, FindError.prototype);
+        }
+    }
+    // Units for -size, in bytes; b, 512-byte blocks, is the default
+    const SIZE_UNITS = {
+        b: 512,
+        c: 1,
+        w: 2,
+        k: 1024,
+        M: 1024 * 1024,
+        G: 1024 * 1024 * 1024,
+    };
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+    // Tests that take an argument
+    const TESTS_WITH_ARGUMENT = [
+        '-name',
+        '-iname',
+        '-path',
+        '-ipath',
+        '-wholename',
+        '-iwholename',
+        '-type',
+        '-size',
+        '-mtime',
+        '-mmin',
+        '-newer',
+        '-user',
+        '-group',
+        '-perm',
+    ];
+    // Options that apply to the whole walk wherever they appear
+    const GLOBAL_OPTIONS = ['-maxdepth', '-mindepth', '-depth'];
+    const ACCESS_TESTS = { '-readable': 4, '-writable': 2, '-executable': 1 };
+    /**
+     * Recursive descent over the expression. Tests next to each other are
+     * joined with an implied -a.
+     */
+    class FindParser {
+        constructor(args, lookup) {
+            this.args = args;
+            this.lookup = lookup;
+            this.pos = 0;
+            this.maxDepth = Infinity;
+            this.minDepth = 0;
+            this.depthFirst = false;
+            /** Whether the expression has an action other than -prune, so -print isn't added */
+            this.hasAction = false;
+        }
+        parse() {
+            if (this.pos >= this.args.length) {
+                return null;
+            }
+            const expression = this.parseOr();
+            if (this.pos < this.args.length) {
+                // Only a ) can stop the top level early
+                throw new FindError("invalid expression; you have too many ')'");
+            }
+            return expression;
+        }
+        peek() {
+            return this.args[this.pos];
+        }
+        parseOr() {
+            let left = this.parseAnd();
+            while (this.peek() === '-o' || this.peek() === '-or') {
+                const op = this.args[this.pos++];
+                left = { kind: 'or', left, right: this.operand(op, () => this.parseAnd()) };
+            }
+            return left;
+        }
+        parseAnd() {
+            let left = this.parseNot();
+            for (;;) {
+                const next = this.peek();
+                if (next === '-a' || next === '-and') {
+                    this.pos++;
+                    left = { kind: 'and', left, right: this.operand(next, () => this.parseNot()) };
+                }
+                else if (next !== undefined && next !== ')' && next !== '-o' && next !== '-or') {
+                    left = { kind: 'and', left, right: this.parseNot() };
+                }
+                else {
+                    return left;
+                }
+            }
+        }
+        /**
+         * The side of a binary operator after it, which there has to be
+         */
+        operand(op, parse) {
+            const next = this.peek();
+            if (next === undefined || [')', '-o', '-or', '-a', '-and'].includes(next)) {
+                throw new FindError(`invalid expression; you have used a binary operator '${op}' with nothing after it.`);
+            }
+            return parse();
+        }
+        parseNot() {
+            const next = this.peek();
+            if (next === '!' || next === '-not') {
+                this.pos++;
+                if (this.peek() === undefined || this.peek() === ')') {
+                    throw new FindError(`expected an expression after '${next}'`);
+                }
+                return { kind: 'not', operand: this.parseNot() };
+            }
+            return this.parsePrimary();
+        }
+        parsePrimary() {
+            const arg = this.args[this.pos++];
+            if (arg === '(') {
+                if (this.peek() === ')') {
+                    throw new FindError('invalid expression; empty parentheses are not allowed.');
+                }
+                if (this.peek() === undefined) {
+                    throw new FindError("invalid expression; I was expecting to find a ')' somewhere but did not see one.");
+                }
+                const expression = this.parseOr();
+                if (this.args[this.pos++] !== ')') {
+                    throw new FindError("invalid expression; I was expecting to find a ')' somewhere but did not see one.");
+                }
+                return expression;
+            }
+            if (arg === ')') {
+                throw new FindError("invalid expression; you have too many ')'");
+            }
+            if (['-o', '-or', '-a', '-and'].includes(arg)) {
+                throw new FindError(`invalid expression; you have used a binary operator '${arg}' with nothing before it.`);
+            }
+            if (!arg.startsWith('-')) {
+                throw new FindError(`paths must precede expression: '${arg}'`);
+            }
+            if (GLOBAL_OPTIONS.includes(arg)) {
+                this.globalOption(arg);
+                return { kind: 'constant', value: true };
+            }
+            if (arg === '-exec') {
+                return this.exec();
+            }
+            if (TESTS_WITH_ARGUMENT.includes(arg)) {
+                if (this.pos >= this.args.length) {
+                    throw new FindError(`missing argument to '${arg}'`);
+                }
+                return this.test(arg, this.args[this.pos++]);
+            }
+            return this.primary(arg);
+        }
+        /**
+         * -maxdepth, -mindepth and -depth, which change how the walk goes
+         */
+        globalOption(option) {
+            if (option === '-depth') {
+                this.depthFirst = true;
+                return;
+            }
+            const value = this.args[this.pos++];
+            if (value === undefined) {
+                throw new FindError(`missing argument to '${option}'`);
+            }
+            if (!/^\d+$/.test(value)) {
+                throw new FindError(`Expected a positive decimal integer argument to ${option}, but got '${value}'`);
+            }
+            if (option === '-maxdepth') {
+                this.maxDepth = parseInt(value, 10);
+            }
+            else {
+                this.minDepth = parseInt(value, 10);
+            }
+        }
+        /**
+         * -exec command ;, run for each file, or -exec command {} +, run once
+         * with all of them
+         */
+        exec() {
+            const argv = [];
+            for (; this.pos < this.args.length; this.pos++) {
+                const arg = this.args[this.pos];
+                const batch = arg === '+' && argv[argv.length - 1] === '{}';
+                if (arg === ';' || batch) {
+                    this.pos++;
+                    if (argv.length === 0) {
+                        break;
+                    }
+                    this.hasAction = true;
+                    return { kind: 'exec', argv, batch };
+                }
+                argv.push(arg);
+            }
+            throw new FindError("missing argument to '-exec'");
+        }
+        test(test, arg) {
+            switch (test) {
+                case '-name':
+                case '-iname':
+                    return { kind: 'name', regex: this.lookup.glob(arg, test === '-iname') };
+                case '-path':
+                case '-ipath':
+                case '-wholename':
+                case '-iwholename':
+                    return { kind: 'path', regex: this.lookup.glob(arg, test.startsWith('-i')) };
+                case '-type': {
+                    const types = arg.split(',');
+                    const bad = types.find((type) => !/^[fdl]$/.test(type));
+                    if (bad !== undefined) {
+                        throw new FindError(`Unknown argument to -type: ${bad}`);
+                    }
+                    return { kind: 'type', types: types.join('') };
+                }
+                case '-size': {
+                    const match = arg.match(/^([+-]?)(\d+)([bcwkMG]?)$/);
+                    if (!match) {
+                        const suffix = arg.match(/^[+-]?\d+(.+)$/);
+                        throw new FindError(suffix ? `invalid -size type '${suffix[1]}'` : `invalid argument '${arg}' to '-size'`);
+                    }
+                    const comparison = parseComparison(match[1] + match[2]);
+                    return { kind: 'size', comparison, unit: SIZE_UNITS[match[3] || 'b'] };
+                }
+                case '-mtime':
+                case '-mmin': {
+                    const comparison = parseComparison(arg);
+                    if (!comparison) {
+                        throw new FindError(`invalid argument '${arg}' to '${test}'`);
+                    }
+                    return { kind: 'age', comparison, unit: test === '-mtime' ? DAY : MINUTE };
+                }
+                case '-newer': {
+                    const time = this.lookup.mtime(arg);
+                    if (typeof time === 'string') {
+                        throw new FindError(`'${arg}': ${time}`);
+                    }
+                    return { kind: 'newer', time };
+                }
+                case '-user': {
+                    const uid = /^\d+$/.test(arg) ? parseInt(arg, 10) : this.lookup.user(arg);
+                    if (uid === null) {
+                        throw new FindError(`'${arg}' is not the name of a known user`);
+                    }
+                    return { kind: 'user', uid };
+                }
+                case '-group': {
+                    const gid = /^\d+$/.test(arg) ? parseInt(arg, 10) : this.lookup.group(arg);
+                    if (gid === null) {
+                        throw new FindError(`'${arg}' is not the name of an existing group`);
+                    }
+                    return { kind: 'group', gid };
+                }
+                default: {
+                    // -perm MODE is exact, -perm -MODE needs all its bits and /MODE any
+                    const match = arg[0] === '-' ? 'all' : arg[0] === '/' ? 'any' : 'exact';
+                    const spec = match === 'exact' ? arg : arg.slice(1);
+                    const mode = spec ? parseMode(spec, 0, false, 0) : null;
+                    if (mode === null) {
+                        throw new FindError(`invalid mode '${arg}'`);
+                    }
+                    return { kind: 'perm', mode, match };
+                }
+            }
+        }
+        /**
+         * Tests and actions without an argument
+         */
+        primary(arg) {
+            switch (arg) {
+                case '-print':
+                case '-print0':
+                    this.hasAction = true;
+                    return { kind: 'print', terminator: arg === '-print' ? '\n' : '\0' };
+                case '-delete':
+                    this.hasAction = true;
+                    this.depthFirst = true;
+                    return { kind: 'delete' };
+                case '-quit':
+                    return { kind: 'quit' };
+                case '-prune':
+                    return { kind: 'prune' };
+                case '-empty':
+                    return { kind: 'empty' };
+                case '-true':
+                case '-false':
+                    return { kind: 'constant', value: arg === '-true' };
+            }
+            if (arg in ACCESS_TESTS) {
+                return { kind: 'access', access: ACCESS_TESTS[arg] };
+            }
+            throw new FindError(`unknown predicate '${arg}'`);
+        }
+    }
+    /**
+     * Reads a number with an optional + or - in front, or gives null
+     */
+    function parseComparison(arg) {
+        const match = arg.match(/^([+-]?)(\d+)$/);
+        if (!match) {
+            return null;
+        }
+        return { sign: match[1], value: parseInt(match[2], 10) };
+    }
+    /**
+     * Whether a count is more than, less than or equal to what a comparison asks for
+     */
+    function compareCount(comparison, count) {
+        if (comparison.sign === '+') {
+            return count > comparison.value;
+        }
+        if (comparison.sign === '-') {
+            return count < comparison.value;
+        }
+        return count === comparison.value;
+    }
+    /**
+     * Parses find's arguments: the starting points, then the expression. With
+     * no starting point find starts at ., and with no action other than
+     * -prune it prints whatever the expression is true for. Throws FindError
+     * when the expression is malformed.
+     */
+    function parseFind(args, lookup) {
+        let start = 0;
+        while (start < args.length && !/^(-.|\(|!)/.test(args[start])) {
+            start++;
+        }
+        const paths = args.slice(0, start);
+        const parser = new FindParser(args.slice(start), lookup);
+        let expression = parser.parse();
+        const print = { kind: 'print', terminator: '\n' };
+        if (!expression) {
+            expression = print;
+        }
+        else if (!parser.hasAction) {
+            expression = { kind: 'and', left: expression, right: print };
+        }
+        return {
+            paths: paths.length > 0 ? paths : ['.'],
+            expression,
+            maxDepth: parser.maxDepth,
+            minDepth: parser.minDepth,
+            depthFirst: parser.depthFirst,
+        };
+    }
+
+    // Disk usage: the blocks files take up, as du and df count them, and sizes
+    // in the human-readable form of -h
+    /**
+     * Files take up whole blocks of this many bytes
+     */
+    const BLOCK_SIZE = 4096;
+    /**
+     * Size of the virtual disk df reports on
+     */
+    const DISK_SIZE = 1024 * 1024 * 1024;
+    const HUMAN_SUFFIXES = 'KMGTPE';
+    /**
+     * Bytes a file of the given size takes up on disk, in whole blocks
+     */
+    function allocatedSize(bytes) {
+        return Math.ceil(bytes / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    /**
+     * Formats a size the way du -h and df -h do: 4.0K, 12K, 1.5M. Sizes round
+     * up, and get one decimal below 10.
+     */
+    function humanSize(bytes) {
+        if (bytes < 1024) {
+            return String(bytes);
+        }
+        let value = bytes / 1024;
+        let power = 0;
+        // Rounding up may take it to the next unit: 1023.9K is 1.0M
+        while (Math.ceil(value) >= 1024 && power < HUMAN_SUFFIXES.length - 1) {
+            value /= 1024;
+            power++;
+        }
+        if (value < 10) {
+            const tenths = Math.ceil(value * 10) / 10;
+            if (tenths < 10) {
+                return `${tenths.toFixed(1)}${HUMAN_SUFFIXES[power]}`;
+            }
+        }
+        return `${Math.ceil(value)}${HUMAN_SUFFIXES[power]}`;
+    }
+    /**
+     * Lines up rows of columns, separated by a space. Columns are padded to
+     * their widest entry, on the left where numeric is set and the right
+     * otherwise; the last column isn't padded.
+     */
+    function formatColumns(rows, numeric) {
+        const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+        return rows
+            .map((row) => row
+            .map((cell, i) => {
+            if (i === row.length - 1) {
+                return cell;
+            }
+            return numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]);
+        })
+            .join(' '))
+            .join('\n');
+    }
+
+    // Storage adapters: where persistence keeps the shell's state between
+    // page loads. Each is a store of strings by key, as localStorage is.
+    /**
+     * The browser's localStorage, which persistence uses by default. It's
+     * synchronous but holds only about 5MB for the whole site.
+     */
+    function createLocalStorage() {
+        return {
+            getItem: (key) => localStorage.getItem(key),
+            setItem: (key, value) => localStorage.setItem(key, value),
+            removeItem: (key) => localStorage.removeItem(key),
+        };
+    }
+    /**
+     * Keeps state in memory, starting with the items given, so it lasts only
+     * as long as the page. Shells sharing one see each other's saves, as they
+     * would with localStorage.
+     */
+    function createMemoryStorage(items = {}) {
+        const store = new Map(Object.entries(items));
+        return {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => {
+                store.set(key, value);
+            },
+            removeItem: (key) => {
+                store.delete(key);
+            },
+        };
+    }
+    /**
+     * Keeps state in an IndexedDB database, which may hold far more than
+     * localStorage. It's asynchronous, so shells that use it are made with
+     * UnixShell.create. The database and its object store are made the first
+     * time they're opened.
+     */
+    function createIndexedDBStorage(databaseName = 'unixshell', storeName = 'state') {
+        let database = null;
+        const open = () => {
+            if (!database) {
+                database = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(databaseName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(storeName);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return database;
+        };
+        // Runs one request in a transaction of its own
+        const run = (mode, action) => open().then((db) => new Promise((resolve, reject) => {
+            const request = action(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        return {
+            getItem: (key) => run('readonly', (store) => store.get(key)).then((value) => typeof value === 'string' ? value : null),
+            setItem: (key, value) => run('readwrite', (store) => store.put(value, key)).then(() => { }),
+            removeItem: (key) => run('readwrite', (store) => store.delete(key)).then(() => { }),
+        };
+    }
+
+    // Saved sessions: what persistence keeps of the shell beyond its files,
+    // user and directory. The record carries a version, and records saved by
+    // older versions are upgraded as they're loaded.
+    /**
+     * Version of the session record this shell saves
+     */
+    const SESSION_VERSION = 1;
+    /**
+     * A session record that can't be loaded
+     */
+    class SessionError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'SessionError';
+            Object.setPrototypeOf(this, SessionError.prototype);
+        }
+    }
+    // Each upgrades a record from the version it's at in the list to the next.
+    // Version 0 is no record at all: saves from before sessions were kept have
+    // just the filesystem, user and directory, so the shell logs in afresh.
+    const MIGRATIONS = [
+        () => ({ version: 1, shell: null, userStack: [], umask: 0o022 }),
+    ];
+    const isStrings = (value) => typeof value === 'object' &&
+        value !== null &&
+        Object.values(value).every((item) => typeof item === 'string');
+    function isShell(value) {
+        if (typeof value !== 'object' || value === null) {
+            return false;
+        }
+        const shell = value;
+        return (isStrings(shell.environment) &&
+            isStrings(shell.variables) &&
+            typeof shell.functions === 'object' &&
+            shell.functions !== null &&
+            isStrings(shell.aliases) &&
+            Array.isArray(shell.history) &&
+            isStrings(shell.history) &&
+            typeof shell.historyWritten === 'number');
+    }
+    /**
+     * Brings a session record, as parsed from storage, up to SESSION_VERSION.
+     * null is the missing record of a save from before sessions were kept.
+     * Throws a SessionError for a record from a newer version or one that
+     * isn't a session.
+     */
+    function migrateSession(saved) {
+        if (saved !== null && (typeof saved !== 'object' || Array.isArray(saved))) {
+            throw new SessionError('not a session record');
+        }
+        let record = saved;
+        let version = 0;
+        if (record !== null) {
+            if (typeof record.version !== 'number' || !Number.isInteger(record.version)) {
+                throw new SessionError('session record has no version');
+            }
+            version = record.version;
+        }
+        if (version < 1 && record !== null) {
+            throw new SessionError(`unknown session record version ${version}`);
+        }
+        if (version > SESSION_VERSION) {
+            throw new SessionError(`session record is version ${version}, newer than this shell's ${SESSION_VERSION}`);
+        }
+        for (; version < SESSION_VERSION; version++) {
+            record = MIGRATIONS[version](record);
+        }
+        const session = record;
+        if ((session.shell !== null && !isShell(session.shell)) ||
+            !Array.isArray(session.userStack) ||
+            !session.userStack.every((state) => isShell(state) && typeof state.user === 'string' && typeof state.path === 'string') ||
+            typeof session.umask !== 'number') {
+            throw new SessionError('session record is incomplete');
+        }
+        return session;
+    }
+
+    // Bytes: text in UTF-8, the base64 binary files are stored in, and the
+    // CRC-32 checksum gzip and zip use
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    // Pipes, redirects and $(...) carry text, so bytes that aren't UTF-8 travel
+    // in it as lone surrogates, U+DC80 to U+DCFF for bytes 0x80 to 0xFF, the
+    // way Python's surrogateescape keeps them
+    const RAW_BYTE = 0xdc00;
+    const RAW_BYTES = /[\udc80-\udcff]/u;
+    let crcTable = null;
+    /**
+     * Encodes text in UTF-8
+     */
+    function encodeUtf8(text) {
+        return encode(text, false);
+    }
+    /**
+     * Encodes text from a stream in UTF-8, turning the bytes decodeStream kept
+     * back into themselves
+     */
+    function encodeStream(text) {
+        return encode(text, true);
+    }
+    function encode(text, rawBytes) {
+        const bytes = [];
+        for (const char of text) {
+            let code = char.codePointAt(0);
+            if (rawBytes && code >= RAW_BYTE + 0x80 && code <= RAW_BYTE + 0xff) {
+                bytes.push(code - RAW_BYTE);
+                continue;
+            }
+            // A lone surrogate can't be encoded, so it becomes U+FFFD
+            if (code >= 0xd800 && code <= 0xdfff) {
+                code = 0xfffd;
+            }
+            if (code < 0x80) {
+                bytes.push(code);
+            }
+            else if (code < 0x800) {
+                bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+            }
+            else if (code < 0x10000) {
+                bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            }
+            else {
+                bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+    /**
+     * Decodes UTF-8 as a terminal shows it, with U+FFFD for each byte that
+     * isn't part of a valid sequence
+     */
+    function decodeUtf8(bytes) {
+        return decode(bytes, false);
+    }
+    /**
+     * Decodes UTF-8 to go through a stream, keeping each byte that isn't part
+     * of a valid sequence so encodeStream gives back the same bytes
+     */
+    function decodeStream(bytes) {
+        return decode(bytes, true);
+    }
+    /**
+     * Whether text from a stream holds bytes that aren't UTF-8
+     */
+    function hasRawBytes(text) {
+        return RAW_BYTES.test(text);
+    }
+    /**
+     * Text from a stream as a terminal shows it, with U+FFFD for each byte
+     * that isn't UTF-8
+     */
+    function showRawBytes(text) {
+        return text.replace(new RegExp(RAW_BYTES, 'gu'), '\ufffd');
+    }
+    function decode(bytes, rawBytes) {
+        let text = '';
+        let i = 0;
+        while (i < bytes.length) {
+            const byte = bytes[i];
+            const length = byte < 0x80 ? 1 : byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc2 ? 2 : 0;
+            let code = length === 1 ? byte : byte & (0xff >> (length + 1));
+            let valid = length > 0 && i + length <= bytes.length;
+            for (let j = 1; valid && j < length; j++) {
+                valid = (bytes[i + j] & 0xc0) === 0x80;
+                code = (code << 6) | (bytes[i + j] & 0x3f);
+            }
+            // Overlong forms, surrogates and code points past U+10FFFF are invalid too
+            const smallest = [0, 0, 0x80, 0x800, 0x10000][length];
+            if (!valid || code < smallest || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+                text += rawBytes ? String.fromCharCode(RAW_BYTE + byte) : '�';
+                i++;
+                continue;
+            }
+            text += String.fromCodePoint(code);
+            i += length;
+        }
+        return text;
+    }
+    /**
+     * Encodes bytes in base64
+     */
+    function encodeBase64(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            text += BASE64[chunk >> 18] + BASE64[(chunk >> 12) & 0x3f];
+            text += i + 1 < bytes.length ? BASE64[(chunk >> 6) & 0x3f] : '=';
+            text += i + 2 < bytes.length ? BASE64[chunk & 0x3f] : '=';
+        }
+        return text;
+    }
+    /**
+     * Decodes base64, ignoring anything that isn't part of it
+     */
+    function decodeBase64(text) {
+        const digits = text.replace(/[^A-Za-z0-9+/]/g, '');
+        const bytes = new Uint8Array(Math.floor((digits.length * 3) / 4));
+        let bits = 0;
+        let count = 0;
+        let j = 0;
+        for (const digit of digits) {
+            bits = (bits << 6) | BASE64.indexOf(digit);
+            count += 6;
+            if (count >= 8) {
+                count -= 8;
+                bytes[j++] = (bits >> count) & 0xff;
+            }
+        }
+        return bytes;
+    }
+    /**
+     * Joins byte arrays into one
+     */
+    function concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+    /**
+     * The CRC-32 of bytes, as gzip and zip check their contents with
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // DEFLATE (RFC 1951), the compression in gzip and zip files: inflating
+    // stored, fixed and dynamic Huffman blocks, and deflating with LZ77 matches
+    // in fixed Huffman codes
+    /**
+     * Raised for compressed data that isn't valid DEFLATE
+     */
+    class InflateError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'InflateError';
+            Object.setPrototypeOf(this, InflateError.prototype);
+        }
+    }
+    // Lengths 3 to 258 and distances 1 to 32768 are a base and extra bits
+    const LENGTH_BASE = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+        163, 195, 227, 258,
+    ];
+    const LENGTH_EXTRA = [
+        0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+    ];
+    const DISTANCE_BASE = [
+        1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+        3073, 4097, 6145, 8193, 12289, 16385, 24577,
+    ];
+    const DISTANCE_EXTRA = [
+        0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+    ];
+    // The order a dynamic block gives the code length code's lengths in
+    const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+    const MAX_BITS = 15;
+    const WINDOW_SIZE = 32768;
+    const MIN_MATCH = 3;
+    const MAX_MATCH = 258;
+    // How many earlier positions with the same hash are tried for a match
+    const MAX_CHAIN = 128;
+    const MAX_STORED = 65535;
+    /**
+     * Builds a canonical Huffman code from each symbol's code length
+     */
+    function buildHuffman(lengths) {
+        const counts = new Array(MAX_BITS + 1).fill(0);
+        for (const length of lengths) {
+            counts[length]++;
+        }
+        counts[0] = 0;
+        const offsets = [0, 0];
+        for (let length = 1; length < MAX_BITS; length++) {
+            offsets[length + 1] = offsets[length] + counts[length];
+        }
+        const symbols = [];
+        lengths.forEach((length, symbol) => {
+            if (length !== 0) {
+                symbols[offsets[length]++] = symbol;
+            }
+        });
+        return { counts, symbols };
+    }
+    /**
+     * Code lengths of the fixed literal/length and distance codes
+     */
+    function fixedLengths() {
+        const literals = [];
+        for (let symbol = 0; symbol < 288; symbol++) {
+            literals.push(symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8);
+        }
+        return { literals, distances: new Array(30).fill(5) };
+    }
+    /**
+     * Reads the bits of compressed data, least significant first
+     */
+    class BitReader {
+        constructor(data, start) {
+            this.data = data;
+            this.buffer = 0;
+            this.count = 0;
+            this.position = start;
+        }
+        bits(needed) {
+            let value = this.buffer;
+            while (this.count < needed) {
+                if (this.position >= this.data.length) {
+                    throw new InflateError('unexpected end of file');
+                }
+                value |= this.data[this.position++] << this.count;
+                this.count += 8;
+            }
+            this.buffer = value >>> needed;
+            this.count -= needed;
+            return value & ((1 << needed) - 1);
+        }
+        /**
+         * Drops the bits left in the current byte, as a stored block starts on
+         * a byte boundary
+         */
+        align() {
+            this.buffer = 0;
+            this.count = 0;
+        }
+        decode(code) {
+            let value = 0;
+            let first = 0;
+            let index = 0;
+            for (let length = 1; length <= MAX_BITS; length++) {
+                value |= this.bits(1);
+                const count = code.counts[length];
+                if (value - count < first) {
+                    return code.symbols[index + (value - first)];
+                }
+                index += count;
+                first = (first + count) << 1;
+                value <<= 1;
+            }
+            throw new InflateError('invalid code');
+        }
+    }
+    /**
+     * Inflates raw DEFLATE data starting at start. Gives the data and where
+     * the compressed data ended, so whatever follows can be read.
+     */
+    function inflate(data, start = 0) {
+        const reader = new BitReader(data, start);
+        let output = new Uint8Array(Math.max(1024, data.length * 4));
+        let length = 0;
+        const ensure = (extra) => {
+            if (length + extra > output.length) {
+                const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+                grown.set(output.subarray(0, length));
+                output = grown;
+            }
+        };
+        let last = false;
+        while (!last) {
+            last = reader.bits(1) === 1;
+            const type = reader.bits(2);
+            if (type === 0) {
+                reader.align();
+                const at = reader.position;
+                if (at + 4 > data.length) {
+                    throw new InflateError('unexpected end of file');
+                }
+                const size = data[at] | (data[at + 1] << 8);
+                if ((size ^ (data[at + 2] | (data[at + 3] << 8))) !== 0xffff) {
+                    throw new InflateError('invalid stored block lengths');
+                }
+                if (at + 4 + size > data.length) {
+                    throw new InflateError('unexpected end of file');
+                }
+                ensure(size);
+                output.set(data.subarray(at + 4, at + 4 + size), length);
+                length += size;
+                reader.position = at + 4 + size;
+                continue;
+            }
+            if (type === 3) {
+                throw new InflateError('invalid block type');
+            }
+            let literals;
+            let distances;
+            if (type === 1) {
+                const fixed = fixedLengths();
+                literals = buildHuffman(fixed.literals);
+                distances = buildHuffman(fixed.distances);
+            }
+            else {
+                const literalCount = reader.bits(5) + 257;
+                const distanceCount = reader.bits(5) + 1;
+                const codeLengthCount = reader.bits(4) + 4;
+                const codeLengths = new Array(19).fill(0);
+                for (let i = 0; i < codeLengthCount; i++) {
+                    codeLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+                }
+                const lengthCode = buildHuffman(codeLengths);
+                // 16 repeats the last length, 17 and 18 give runs of zeros
+                const lengths = [];
+                while (lengths.length < literalCount + distanceCount) {
+                    const symbol = reader.decode(lengthCode);
+                    if (symbol < 16) {
+                        lengths.push(symbol);
+                        continue;
+                    }
+                    let value = 0;
+                    let repeat;
+                    if (symbol === 16) {
+                        if (lengths.length === 0) {
+                            throw new InflateError('invalid bit length repeat');
+                        }
+                        value = lengths[lengths.length - 1];
+                        repeat = 3 + reader.bits(2);
+                    }
+                    else {
+                        repeat = symbol === 17 ? 3 + reader.bits(3) : 11 + reader.bits(7);
+                    }
+                    if (lengths.length + repeat > literalCount + distanceCount) {
+                        throw new InflateError('invalid bit length repeat');
+                    }
+                    for (let i = 0; i < repeat; i++) {
+                        lengths.push(value);
+                    }
+                }
+                if (lengths[256] === 0) {
+                    throw new InflateError('invalid code -- missing end-of-block');
+                }
+                literals = buildHuffman(lengths.slice(0, literalCount));
+                distances = buildHuffman(lengths.slice(literalCount));
+            }
+            for (;;) {
+                const symbol = reader.decode(literals);
+                if (symbol < 256) {
+                    ensure(1);
+                    output[length++] = symbol;
+                    continue;
+                }
+                if (symbol === 256) {
+                    break;
+                }
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= 29) {
+                    throw new InflateError('invalid literal/length code');
+                }
+                const size = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+                const distanceIndex = reader.decode(distances);
+                if (distanceIndex >= 30) {
+                    throw new InflateError('invalid distance code');
+                }
+                const distance = DISTANCE_BASE[distanceIndex] + reader.bits(DISTANCE_EXTRA[distanceIndex]);
+                if (distance > length) {
+                    throw new InflateError('invalid distance too far back');
+                }
+                ensure(size);
+                // Copied a byte at a time, as a match may overlap what it writes
+                for (let i = 0; i < size; i++) {
+                    output[length] = output[length - distance];
+                    length++;
+                }
+            }
+        }
+        return { output: output.slice(0, length), end: reader.position };
+    }
+    /**
+     * Writes bits least significant first, as DEFLATE packs them
+     */
+    class BitWriter {
+        constructor() {
+            this.bytes = [];
+            this.buffer = 0;
+            this.count = 0;
+        }
+        bits(value, count) {
+            this.buffer |= value << this.count;
+            this.count += count;
+            while (this.count >= 8) {
+                this.bytes.push(this.buffer & 0xff);
+                this.buffer >>>= 8;
+                this.count -= 8;
+            }
+        }
+        /**
+         * Writes a Huffman code, which goes most significant bit first
+         */
+        code(code, length) {
+            let reversed = 0;
+            for (let i = 0; i < length; i++) {
+                reversed = (reversed << 1) | ((code >> i) & 1);
+            }
+            this.bits(reversed, length);
+        }
+        finish() {
+            if (this.count > 0) {
+                this.bytes.push(this.buffer & 0xff);
+            }
+            return new Uint8Array(this.bytes);
+        }
+    }
+    /**
+     * The fixed code for a literal/length symbol, with its length
+     */
+    function fixedCode(symbol) {
+        if (symbol < 144) {
+            return [0x30 + symbol, 8];
+        }
+        if (symbol < 256) {
+            return [0x190 + symbol - 144, 9];
+        }
+        if (symbol < 280) {
+            return [symbol - 256, 7];
+        }
+        return [0xc0 + symbol - 280, 8];
+    }
+    /**
+     * The index of the last base no greater than value
+     */
+    function baseIndex(bases, value) {
+        let index = bases.length - 1;
+        while (bases[index] > value) {
+            index--;
+        }
+        return index;
+    }
+    /**
+     * Compresses data as raw DEFLATE: repeats found within the last 32K become
+     * matches, written with the fixed Huffman codes. Data that doesn't shrink
+     * is stored as it is.
+     */
+    function deflate(data) {
+        const writer = new BitWriter();
+        writer.bits(1, 1);
+        writer.bits(1, 2);
+        // Chains of earlier positions whose next three bytes hash the same
+        const head = new Map();
+        const previous = new Int32Array(data.length);
+        const hashAt = (i) => (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        const insert = (i) => {
+            if (i + MIN_MATCH <= data.length) {
+                const hash = hashAt(i);
+                const earlier = head.get(hash);
+                previous[i] = earlier === undefined ? -1 : earlier;
+                head.set(hash, i);
+            }
+        };
+        let i = 0;
+        while (i < data.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+            if (i + MIN_MATCH <= data.length) {
+                let candidate = head.get(hashAt(i));
+                const limit = Math.min(MAX_MATCH, data.length - i);
+                for (let chain = 0; candidate !== undefined &&
+                    candidate >= 0 &&
+                    i - candidate <= WINDOW_SIZE &&
+                    chain < MAX_CHAIN; chain++) {
+                    let length = 0;
+                    while (length < limit && data[candidate + length] === data[i + length]) {
+                        length++;
+                    }
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === limit) {
+                            break;
+                        }
+                    }
+                    candidate = previous[candidate];
+                }
+            }
+            if (bestLength >= MIN_MATCH) {
+                const lengthIndex = baseIndex(LENGTH_BASE, bestLength);
+                writer.code(...fixedCode(257 + lengthIndex));
+                writer.bits(bestLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+                const distanceIndex = baseIndex(DISTANCE_BASE, bestDistance);
+                writer.code(distanceIndex, 5);
+                writer.bits(bestDistance - DISTANCE_BASE[distanceIndex], DISTANCE_EXTRA[distanceIndex]);
+                for (let j = 0; j < bestLength; j++) {
+                    insert(i + j);
+                }
+                i += bestLength;
+            }
+            else {
+                writer.code(...fixedCode(data[i]));
+                insert(i);
+                i++;
+            }
+        }
+        writer.code(...fixedCode(256));
+        const compressed = writer.finish();
+        const blocks = Math.max(1, Math.ceil(data.length / MAX_STORED));
+        if (compressed.length <= data.length + blocks * 5) {
+            return compressed;
+        }
+        // Stored blocks: a header byte, then the length and its complement
+        const stored = new Uint8Array(data.length + blocks * 5);
+        for (let block = 0; block < blocks; block++) {
+            const from = block * MAX_STORED;
+            const size = Math.min(MAX_STORED, data.length - from);
+            const at = from + block * 5;
+            stored[at] = block === blocks - 1 ? 1 : 0;
+            stored[at + 1] = size & 0xff;
+            stored[at + 2] = size >> 8;
+            stored[at + 3] = ~size & 0xff;
+            stored[at + 4] = (~size >> 8) & 0xff;
+            stored.set(data.subarray(from, from + size), at + 5);
+        }
+        return stored;
+    }
+
+    // Archive formats: gzip (RFC 1952), POSIX ustar tar with pax headers for
+    // long names, and zip (PKWARE's APPNOTE). Each reads and writes bytes, so
+    // archives made here open with the real tools.
+    /**
+     * Raised for archives that can't be read, with the message the real tool
+     * gives
+     */
+    class ArchiveError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ArchiveError';
+            Object.setPrototypeOf(this, ArchiveError.prototype);
+        }
+    }
+    const GZIP_MAGIC = [0x1f, 0x8b];
+    const GZIP_FNAME = 8;
+    const GZIP_FEXTRA = 4;
+    const GZIP_FCOMMENT = 16;
+    const GZIP_FHCRC = 2;
+    const BLOCK = 512;
+    // GNU tar writes archives in records of 20 blocks
+    const RECORD = 20 * BLOCK;
+    const ZIP_LOCAL = 0x04034b50;
+    const ZIP_CENTRAL = 0x02014b50;
+    const ZIP_END = 0x06054b50;
+    // Names are UTF-8
+    const ZIP_UTF8 = 0x800;
+    // Made by a Unix host, so the external attributes hold the mode
+    const ZIP_UNIX = 3;
+    const S_IFREG = 0o100000;
+    const S_IFDIR = 0o040000;
+    const S_IFLNK = 0o120000;
+    const S_IFMT = 0o170000;
+    /**
+     * Whether bytes start like gzip data
+     */
+    function isGzip(data) {
+        return data[0] === GZIP_MAGIC[0] && data[1] === GZIP_MAGIC[1];
+    }
+    /**
+     * Compresses data as a gzip member, recording the original name and time
+     */
+    function gzip(data, name, mtime) {
+        const header = [...GZIP_MAGIC, 8, name ? GZIP_FNAME : 0];
+        pushUint32(header, Math.floor(mtime / 1000));
+        // No extra flags, made on Unix
+        header.push(0, 3);
+        const trailer = [];
+        pushUint32(trailer, crc32(data));
+        pushUint32(trailer, data.length);
+        const fileName = name ? concatBytes([encodeUtf8(name), new Uint8Array([0])]) : new Uint8Array();
+        return concatBytes([new Uint8Array(header), fileName, deflate(data), new Uint8Array(trailer)]);
+    }
+    /**
+     * Decompresses gzip data, every member of it, giving the name the first
+     * member recorded
+     */
+    function gunzip(data) {
+        const parts = [];
+        let name = null;
+        let at = 0;
+        while (at < data.length) {
+            if (!isGzip(data.subarray(at))) {
+                if (at === 0) {
+                    throw new ArchiveError('not in gzip format');
+                }
+                // Trailing zeros, as tapes pad with, are ignored
+                break;
+            }
+            if (data[at + 2] !== 8) {
+                throw new ArchiveError(`unknown method ${data[at + 2]} -- not supported`);
+            }
+            const flags = data[at + 3];
+            let position = at + 10;
+            if (flags & GZIP_FEXTRA) {
+                position += 2 + (data[position] | (data[position + 1] << 8));
+            }
+            if (flags & GZIP_FNAME) {
+                const end = data.indexOf(0, position);
+                if (at === 0) {
+                    name = decodeUtf8(data.subarray(position, end));
+                }
+                position = end + 1;
+            }
+            if (flags & GZIP_FCOMMENT) {
+                position = data.indexOf(0, position) + 1;
+            }
+            if (flags & GZIP_FHCRC) {
+                position += 2;
+            }
+            let inflated;
+            try {
+                inflated = inflate(data, position);
+            }
+            catch (error) {
+                if (error instanceof InflateError) {
+                    throw new ArchiveError(error.message === 'unexpected end of file'
+                        ? error.message
+                        : 'invalid compressed data--format violated');
+                }
+                throw error;
+            }
+            if (inflated.end + 8 > data.length) {
+                throw new ArchiveError('unexpected end of file');
+            }
+            if (readUint32(data, inflated.end) !== crc32(inflated.output)) {
+                throw new ArchiveError('invalid compressed data--crc error');
+            }
+            if (readUint32(data, inflated.end + 4) !== inflated.output.length % Math.pow(2, 32)) {
+                throw new ArchiveError('invalid compressed data--length error');
+            }
+            parts.push(inflated.output);
+            at = inflated.end + 8;
+        }
+        return { data: concatBytes(parts), name };
+    }
+    /**
+     * Writes entries as a POSIX tar archive. A path or link target too long
+     * for the ustar header goes in a pax extended header before it.
+     */
+    function writeTar(entries) {
+        const blocks = [];
+        for (const entry of entries) {
+            const path = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+            const split = splitUstarPath(path);
+            const linkFits = encodeUtf8(entry.linkTarget).length <= 100;
+            const records = [];
+            if (!split) {
+                records.push(paxRecord('path', path));
+            }
+            if (!linkFits) {
+                records.push(paxRecord('linkpath', entry.linkTarget));
+            }
+            if (records.length > 0) {
+                const data = encodeUtf8(records.join(''));
+                const base = path.replace(/\/$/, '');
+                const paxName = `PaxHeaders/${base.slice(base.lastIndexOf('/') + 1)}`.slice(0, 100);
+                blocks.push(tarHeader(Object.assign(Object.assign({}, entry), { data, linkTarget: '' }), { name: paxName, prefix: '' }, 'x'), padBlock(data));
+            }
+            const type = { file: '0', hardlink: '1', symlink: '2', directory: '5' }[entry.type];
+            const header = tarHeader(Object.assign(Object.assign({}, entry), { linkTarget: linkFits ? entry.linkTarget : '' }), split || { name: path.slice(0, 100), prefix: '' }, type);
+            blocks.push(header);
+            if (entry.type === 'file') {
+                blocks.push(padBlock(entry.data));
+            }
+        }
+        // Two zero blocks end the archive, which is padded to a whole record
+        const archive = concatBytes([...blocks, new Uint8Array(2 * BLOCK)]);
+        const padded = new Uint8Array(Math.ceil(archive.length / RECORD) * RECORD);
+        padded.set(archive);
+        return padded;
+    }
+    /**
+     * Reads the entries of a tar archive: ustar, pax and GNU long names
+     */
+    function readTar(data) {
+        const entries = [];
+        let at = 0;
+        let longName = null;
+        let longLink = null;
+        let pax = {};
+        while (at < data.length) {
+            // A piece of a block left over is a file cut short, or not an archive
+            if (at + BLOCK > data.length) {
+                throw new ArchiveError(entries.length === 0 ? 'This does not look like a tar archive' : 'Unexpected EOF in archive');
+            }
+            const header = data.subarray(at, at + BLOCK);
+            if (header.every((byte) => byte === 0)) {
+                break;
+            }
+            const checksum = readOctal(header, 148, 8);
+            let sum = 0;
+            for (let i = 0; i < BLOCK; i++) {
+                sum += i >= 148 && i < 156 ? 32 : header[i];
+            }
+            if (checksum !== sum) {
+                throw new ArchiveError(entries.length === 0 ? 'This does not look like a tar archive' : 'Skipping to next header');
+            }
+            const size = readOctal(header, 124, 12);
+            const body = data.subarray(at + BLOCK, at + BLOCK + size);
+            if (body.length < size) {
+                throw new ArchiveError('Unexpected EOF in archive');
+            }
+            at += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+            const flag = String.fromCharCode(header[156]);
+            if (flag === 'x') {
+                pax = parsePax(body);
+                continue;
+            }
+            if (flag === 'L' || flag === 'K') {
+                const text = readString(body, 0, body.length);
+                if (flag === 'L') {
+                    longName = text;
+                }
+                else {
+                    longLink = text;
+                }
+                continue;
+            }
+            if (flag === 'g') {
+                continue;
+            }
+            const ustar = readString(header, 257, 5) === 'ustar';
+            const prefix = ustar ? readString(header, 345, 155) : '';
+            const name = readString(header, 0, 100);
+            const path = pax.path || longName || (prefix ? `${prefix}/${name}` : name);
+            const type = flag === '5' || (flag === '0' && path.endsWith('/'))
+                ? 'directory'
+                : flag === '2'
+                    ? 'symlink'
+                    : flag === '1'
+                        ? 'hardlink'
+                        : flag === '0' || flag === '\0' || flag === '7'
+                            ? 'file'
+                            : null;
+            if (type) {
+                entries.push({
+                    path: path.replace(/\/+$/, ''),
+                    type,
+                    mode: readOctal(header, 100, 8) & 0o7777,
+                    uid: readOctal(header, 108, 8),
+                    gid: readOctal(header, 116, 8),
+                    user: ustar ? readString(header, 265, 32) : '',
+                    group: ustar ? readString(header, 297, 32) : '',
+                    mtime: (pax.mtime ? parseFloat(pax.mtime) : readOctal(header, 136, 12)) * 1000,
+                    data: type === 'file' ? body.slice() : new Uint8Array(),
+                    linkTarget: pax.linkpath || longLink || readString(header, 157, 100),
+                });
+            }
+            pax = {};
+            longName = longLink = null;
+        }
+        return entries;
+    }
+    /**
+     * Writes entries as a zip archive, deflating files that shrink and
+     * storing the rest. Modes and symlinks are kept as Unix zip does.
+     */
+    function writeZip(entries) {
+        const parts = [];
+        const central = [];
+        const written = [];
+        let offset = 0;
+        for (const entry of entries) {
+            const name = encodeUtf8(entry.type === 'directory' ? `${entry.path}/` : entry.path);
+            const content = entry.type === 'symlink' ? encodeUtf8(entry.linkTarget) : entry.data;
+            const compressed = entry.type === 'file' && content.length > 0 ? deflate(content) : content;
+            const deflated = compressed.length < content.length;
+            const stored = deflated ? compressed : content;
+            const method = deflated ? 8 : 0;
+            const version = deflated || entry.type === 'directory' ? 20 : 10;
+            const [time, date] = dosDateTime(entry.mtime);
+            const crc = crc32(content);
+            const typeBits = entry.type === 'directory' ? S_IFDIR : entry.type === 'symlink' ? S_IFLNK : S_IFREG;
+            const local = [];
+            pushUint32(local, ZIP_LOCAL);
+            pushUint16(local, version);
+            pushUint16(local, ZIP_UTF8);
+            pushUint16(local, method);
+            pushUint16(local, time);
+            pushUint16(local, date);
+            pushUint32(local, crc);
+            pushUint32(local, stored.length);
+            pushUint32(local, content.length);
+            pushUint16(local, name.length);
+            pushUint16(local, 0);
+            const record = [];
+            pushUint32(record, ZIP_CENTRAL);
+            pushUint16(record, (ZIP_UNIX << 8) | 30);
+            pushUint16(record, version);
+            pushUint16(record, ZIP_UTF8);
+            pushUint16(record, method);
+            pushUint16(record, time);
+            pushUint16(record, date);
+            pushUint32(record, crc);
+            pushUint32(record, stored.length);
+            pushUint32(record, content.length);
+            pushUint16(record, name.length);
+            // No extra field, comment or disk number, and no internal attributes
+            pushUint16(record, 0);
+            pushUint16(record, 0);
+            pushUint16(record, 0);
+            pushUint16(record, 0);
+            // The mode in the high half, and MS-DOS's directory bit in the low
+            pushUint32(record, ((typeBits | entry.mode) * 0x10000 + (entry.type === 'directory' ? 0x10 : 0)) >>> 0);
+            pushUint32(record, offset);
+            parts.push(new Uint8Array(local), name, stored);
+            central.push(new Uint8Array(record), name);
+            offset += local.length + name.length + stored.length;
+            written.push(Object.assign(Object.assign({}, entry), { compressedSize: stored.length, method: deflated ? 'deflated' : 'stored' }));
+        }
+        const directory = concatBytes(central);
+        const end = [];
+        pushUint32(end, ZIP_END);
+        pushUint16(end, 0);
+        pushUint16(end, 0);
+        pushUint16(end, entries.length);
+        pushUint16(end, entries.length);
+        pushUint32(end, directory.length);
+        pushUint32(end, offset);
+        pushUint16(end, 0);
+        return { data: concatBytes([...parts, directory, new Uint8Array(end)]), entries: written };
+    }
+    /**
+     * Reads the entries of a zip archive from its central directory
+     */
+    function readZip(data) {
+        // The end record is last, before a comment of up to 64K
+        let end = -1;
+        for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 65535); i--) {
+            if (readUint32(data, i) === ZIP_END) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new ArchiveError('End-of-central-directory signature not found');
+        }
+        const count = readUint16(data, end + 10);
+        let at = readUint32(data, end + 16);
+        const entries = [];
+        for (let n = 0; n < count; n++) {
+            if (readUint32(data, at) !== ZIP_CENTRAL) {
+                throw new ArchiveError('bad zipfile offset (central directory)');
+            }
+            const madeBy = readUint16(data, at + 4) >> 8;
+            const flags = readUint16(data, at + 8);
+            const methodCode = readUint16(data, at + 10);
+            const time = readUint16(data, at + 12);
+            const date = readUint16(data, at + 14);
+            const crc = readUint32(data, at + 16);
+            const compressedSize = readUint32(data, at + 20);
+            const size = readUint32(data, at + 24);
+            const nameLength = readUint16(data, at + 28);
+            const extraLength = readUint16(data, at + 30);
+            const commentLength = readUint16(data, at + 32);
+            const attributes = readUint32(data, at + 38);
+            const localOffset = readUint32(data, at + 42);
+            const nameBytes = data.subarray(at + 46, at + 46 + nameLength);
+            const name = flags & ZIP_UTF8 ? decodeUtf8(nameBytes) : String.fromCharCode(...Array.from(nameBytes));
+            at += 46 + nameLength + extraLength + commentLength;
+            if (readUint32(data, localOffset) !== ZIP_LOCAL) {
+                throw new ArchiveError('bad zipfile offset (local header sig)');
+            }
+            const start = localOffset + 30 + readUint16(data, localOffset + 26) + readUint16(data, localOffset + 28);
+            const compressed = data.subarray(start, start + compressedSize);
+            let content;
+            if (methodCode === 0) {
+                content = compressed.slice();
+            }
+            else if (methodCode === 8) {
+                try {
+                    content = inflate(compressed).output;
+                }
+                catch (error) {
+                    if (error instanceof InflateError) {
+                        throw new ArchiveError(`${name}: invalid compressed data to inflate`);
+                    }
+                    throw error;
+                }
+            }
+            else {
+                throw new ArchiveError(`${name}: unsupported compression method ${methodCode}`);
+            }
+            if (content.length !== size || crc32(content) !== crc) {
+                throw new ArchiveError(`${name}: bad CRC`);
+            }
+            // Only a Unix host records the mode; otherwise go by the name and the
+            // MS-DOS attributes
+            const unixMode = madeBy === ZIP_UNIX ? attributes >>> 16 : 0;
+            const directory = name.endsWith('/') || (unixMode & S_IFMT) === S_IFDIR || (attributes & 0x10) !== 0;
+            const symlink = (unixMode & S_IFMT) === S_IFLNK;
+            const type = directory ? 'directory' : symlink ? 'symlink' : 'file';
+            entries.push({
+                path: name.replace(/\/+$/, ''),
+                type,
+                mode: unixMode & 0o7777 || (directory ? 0o755 : 0o644),
+                uid: 0,
+                gid: 0,
+                user: '',
+                group: '',
+                mtime: fromDosDateTime(time, date),
+                data: type === 'file' ? content : new Uint8Array(),
+                linkTarget: symlink ? decodeUtf8(content) : '',
+                compressedSize,
+                method: methodCode === 8 ? 'deflated' : 'stored',
+            });
+        }
+        return entries;
+    }
+    /**
+     * Splits a path into the ustar header's prefix and name fields, or null
+     * when it doesn't fit them
+     */
+    function splitUstarPath(path) {
+        if (encodeUtf8(path).length <= 100) {
+            return { name: path, prefix: '' };
+        }
+        const trimmed = path.replace(/\/$/, '');
+        for (let slash = trimmed.indexOf('/'); slash !== -1; slash = trimmed.indexOf('/', slash + 1)) {
+            const prefix = path.slice(0, slash);
+            const name = path.slice(slash + 1);
+            if (encodeUtf8(prefix).length <= 155 && encodeUtf8(name).length <= 100) {
+                return { name, prefix };
+            }
+        }
+        return null;
+    }
+    /**
+     * A pax record: "length key=value\n", where the length counts itself
+     */
+    function paxRecord(key, value) {
+        const rest = ` ${key}=${value}\n`;
+        const restLength = encodeUtf8(rest).length;
+        let length = restLength + String(restLength).length;
+        if (String(length).length + restLength !== length) {
+            length++;
+        }
+        return `${length}${rest}`;
+    }
+    function parsePax(body) {
+        const records = {};
+        let at = 0;
+        while (at < body.length) {
+            const space = body.indexOf(32, at);
+            const length = parseInt(decodeUtf8(body.subarray(at, space)), 10);
+            if (space === -1 || !(length > 0)) {
+                break;
+            }
+            const record = decodeUtf8(body.subarray(space + 1, at + length - 1));
+            const eq = record.indexOf('=');
+            records[record.slice(0, eq)] = record.slice(eq + 1);
+            at += length;
+        }
+        return records;
+    }
+    function tarHeader(entry, path, type) {
+        const header = new Uint8Array(BLOCK);
+        const size = type === '0' || type === 'x' ? entry.data.length : 0;
+        writeString(header, 0, 100, path.name);
+        writeOctal(header, 100, 8, entry.mode & 0o7777);
+        writeOctal(header, 108, 8, entry.uid);
+        writeOctal(header, 116, 8, entry.gid);
+        writeOctal(header, 124, 12, size);
+        writeOctal(header, 136, 12, Math.floor(entry.mtime / 1000));
+        header[156] = type.charCodeAt(0);
+        writeString(header, 157, 100, entry.linkTarget);
+        writeString(header, 257, 6, 'ustar');
+        writeString(header, 263, 2, '00');
+        writeString(header, 265, 32, entry.user);
+        writeString(header, 297, 32, entry.group);
+        writeString(header, 345, 155, path.prefix);
+        // The checksum counts its own field as spaces
+        header.fill(32, 148, 156);
+        const sum = header.reduce((total, byte) => total + byte, 0);
+        writeString(header, 148, 8, `${sum.toString(8).padStart(6, '0')}\0 `);
+        return header;
+    }
+    function padBlock(data) {
+        const padded = new Uint8Array(Math.ceil(data.length / BLOCK) * BLOCK);
+        padded.set(data);
+        return padded;
+    }
+    function writeString(header, at, length, text) {
+        header.set(encodeUtf8(text).subarray(0, length), at);
+    }
+    /**
+     * Writes a number as zero-padded octal ending in a NUL, as ustar fields are
+     */
+    function writeOctal(header, at, length, value) {
+        writeString(header, at, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+    }
+    function readString(bytes, at, length) {
+        const field = bytes.subarray(at, at + length);
+        const end = field.indexOf(0);
+        return decodeUtf8(end === -1 ? field : field.subarray(0, end));
+    }
+    function readOctal(bytes, at, length) {
+        const text = readString(bytes, at, length).trim();
+        return text ? parseInt(text, 8) : 0;
+    }
+    function pushUint16(bytes, value) {
+        bytes.push(value & 0xff, (value >>> 8) & 0xff);
+    }
+    function pushUint32(bytes, value) {
+        bytes.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+    }
+    function readUint16(bytes, at) {
+        return bytes[at] | (bytes[at + 1] << 8);
+    }
+    function readUint32(bytes, at) {
+        return (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+    }
+    /**
+     * A time as MS-DOS's local time and date words, which count from 1980 in
+     * two-second steps
+     */
+    function dosDateTime(time) {
+        const date = new Date(Math.max(time, new Date(1980, 0, 1).getTime()));
+        return [
+            (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        ];
+    }
+    function fromDosDateTime(time, date) {
+        return new Date((date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2).getTime();
+    }
+
+    // Listing files for ls: the orders entries sort in, coloring names as
+    // LS_COLORS says, and laying names out in columns to fit the terminal
+    // GNU ls's colors for when LS_COLORS doesn't give them
+    const BUILTIN_COLORS = {
+        rs: '0',
+        di: '01;34',
+        ln: '01;36',
+        ex: '01;32',
+        su: '37;41',
+        sg: '30;43',
+        st: '37;44',
+        ow: '34;42',
+        tw: '30;42',
+    };
+    // Columns take at least a character and the two spaces after it
+    const MIN_COLUMN_WIDTH = 3;
+    /**
+     * Sorts entries by name, newest first or largest first, ties going by
+     * name, then reverses them for -r
+     */
+    function sortEntries(entries, order, reverse) {
+        const sorted = entries.slice().sort((a, b) => {
+            const key = order === 'time' ? b.mtime - a.mtime : order === 'size' ? b.size - a.size : 0;
+            return key || a.name.localeCompare(b.name);
+        });
+        return reverse ? sorted.reverse() : sorted;
+    }
+    /**
+     * Reads an LS_COLORS value, key=color pairs separated by colons, over
+     * GNU's built-in colors. Malformed pairs are skipped.
+     */
+    function parseLsColors(spec) {
+        const colors = Object.assign({}, BUILTIN_COLORS);
+        for (const pair of (spec || '').split(':')) {
+            const match = pair.match(/^(\*[^=]+|[a-z]{2})=([\d;]*|target)$/);
+            if (match) {
+                colors[match[1]] = match[2];
+            }
+        }
+        return colors;
+    }
+    /**
+     * The color for an entry's name: by file type and mode bits, then by the
+     * first *.ext pattern that ends the name. A dangling symlink is or, and
+     * ln=target colors a symlink as what it points to. Gives null for none.
+     */
+    function entryColor(entry, colors) {
+        const { type, mode } = entry;
+        let color;
+        if (type === 'symlink') {
+            if (!entry.target) {
+                color = colors.or || colors.ln;
+            }
+            else if (colors.ln === 'target') {
+                return entryColor(Object.assign(Object.assign({}, entry), entry.target), colors);
+            }
+            else {
+                color = colors.ln;
+            }
+        }
+        else if (type === 'directory') {
+            const sticky = (mode & 0o1000) !== 0;
+            const otherWritable = (mode & 0o002) !== 0;
+            color =
+                sticky && otherWritable
+                    ? colors.tw
+                    : otherWritable
+                        ? colors.ow
+                        : sticky
+                            ? colors.st
+                            : colors.di;
+        }
+        else if (mode & 0o4000 && colors.su) {
+            color = colors.su;
+        }
+        else if (mode & 0o2000 && colors.sg) {
+            color = colors.sg;
+        }
+        else if (mode & 0o111 && colors.ex) {
+            color = colors.ex;
+        }
+        else {
+            const name = entry.name.toLowerCase();
+            const pattern = Object.keys(colors).find((key) => key.startsWith('*') && name.endsWith(key.slice(1).toLowerCase()));
+            color = pattern ? colors[pattern] : colors.fi;
+        }
+        return color && color !== 'target' && !/^0*$/.test(color) ? color : null;
+    }
+    /**
+     * Wraps a name in a terminal color, resetting it after
+     */
+    function colorName(name, color, colors) {
+        return color ? `\x1b[${color}m${name}\x1b[${colors.rs || '0'}m` : name;
+    }
+    /**
+     * The character -F puts after a name: / for directories, @ for symlinks
+     * and * for executable files
+     */
+    function classifyIndicator(type, mode) {
+        if (type === 'directory') {
+            return '/';
+        }
+        if (type === 'symlink') {
+            return '@';
+        }
+        return mode & 0o111 ? '*' : '';
+    }
+    /**
+     * Lays out names in as many columns as fit in width, as ls -C does: down
+     * the columns, or across the rows for -x. Each column is as wide as its
+     * widest name and two spaces apart from the next. Names come with their
+     * width, which leaves out color codes. A width of 0 means no limit.
+     */
+    function formatGrid(names, width, across) {
+        const count = names.length;
+        if (count === 0) {
+            return '';
+        }
+        const limit = width > 0 ? width : Infinity;
+        const maxColumns = Math.max(1, Math.min(count, Math.floor(limit / MIN_COLUMN_WIDTH)));
+        // The most columns whose widths, with the spaces between, stay narrower
+        // than the terminal, as GNU ls keeps the last character free
+        let layout = { columns: 1, widths: [0] };
+        for (let columns = maxColumns; columns > 1; columns--) {
+            const rows = Math.ceil(count / columns);
+            const widths = [];
+            names.forEach((name, i) => {
+                const column = across ? i % columns : Math.floor(i / rows);
+                widths[column] = Math.max(widths[column] || 0, name.width);
+            });
+            const used = widths.reduce((sum, w) => sum + w, 0) + 2 * (widths.length - 1);
+            if (used < limit) {
+                layout = { columns, widths };
+                break;
+            }
+        }
+        const { columns, widths } = layout;
+        const rows = Math.ceil(count / columns);
+        const lines = [];
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            for (let column = 0; column < columns; column++) {
+                const i = across ? row * columns + column : column * rows + row;
+                if (i >= count) {
+                    break;
+                }
+                const next = across ? i + 1 : i + rows;
+                const last = column === columns - 1 || next >= count;
+                line += names[i].text;
+                if (!last) {
+                    line += ' '.repeat(widths[column] - names[i].width + 2);
+                }
+            }
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    // sed: parsing scripts into commands and running them over text a line at
+    // a time, with a pattern space and a hold space as GNU sed has
+    /**
+     * Raised for malformed scripts, with GNU's message, and for errors running them
+     */
+    class SedError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'SedError';
+            Object.setPrototypeOf(this, SedError.prototype);
+        }
+    }
+    // Commands that take no argument
+    const SIMPLE_COMMANDS = '=dDgGhHnNpPxz';
+    // Characters that are special in a regular expression, so a delimiter
+    // standing for itself has to be put in brackets
+    const REGEX_SPECIAL = '.[]*^$\\+?(){}|';
+    /**
+     * Parses one script piece into commands, adding to those before it.
+     * Blocks that are still open are left on the blocks stack.
+     */
+    class SedParser {
+        constructor(script, extended, commands, blocks) {
+            this.script = script;
+            this.extended = extended;
+            this.commands = commands;
+            this.blocks = blocks;
+            this.pos = 0;
+        }
+        /**
+         * An error at the current position, worded as GNU sed words it
+         */
+        error(message) {
+            const { text, source, fromFile } = this.script;
+            if (fromFile) {
+                const line = text.slice(0, this.pos).split('\n').length;
+                return new SedError(`${source} line ${line}: ${message}`);
+            }
+            return new SedError(`${source}, char ${this.pos}: ${message}`);
+        }
+        peek() {
+            return this.script.text[this.pos];
+        }
+        skipSpaces() {
+            while (this.peek() === ' ' || this.peek() === '\t') {
+                this.pos++;
+            }
+        }
+        parse() {
+            const text = this.script.text;
+            for (;;) {
+                while (this.pos < text.length && /[\s;]/.test(text[this.pos])) {
+                    this.pos++;
+                }
+                if (this.pos >= text.length) {
+                    return;
+                }
+                if (this.peek() === '#') {
+                    while (this.pos < text.length && text[this.pos] !== '\n') {
+                        this.pos++;
+                    }
+                    continue;
+                }
+                this.parseCommand();
+            }
+        }
+        parseCommand() {
+            const command = {
+                name: '',
+                negated: false,
+                text: '',
+                exitCode: 0,
+                jump: -1,
+                inRange: false,
+                rangeEnd: 0,
+            };
+            command.address1 = this.parseAddress(false);
+            if (command.address1) {
+                this.skipSpaces();
+                if (this.peek() === ',') {
+                    this.pos++;
+                    this.skipSpaces();
+                    command.address2 = this.parseAddress(true);
+                    if (!command.address2) {
+                        throw this.error("unexpected `,'");
+                    }
+                }
+            }
+            const first = command.address1;
+            if (first && first.kind === 'line' && first.line === 0) {
+                if (!command.address2 || command.address2.kind !== 'regex') {
+                    throw this.error('invalid usage of line address 0');
+                }
+            }
+            this.skipSpaces();
+            while (this.peek() === '!') {
+                command.negated = true;
+                this.pos++;
+                this.skipSpaces();
+            }
+            const name = this.script.text[this.pos++];
+            if (name === undefined || name === '\n' || name === ';') {
+                throw this.error('missing command');
+            }
+            command.name = name;
+            const addresses = command.address2 ? 2 : command.address1 ? 1 : 0;
+            if (name === '{') {
+                this.blocks.push(this.commands.length);
+                this.commands.push(command);
+                return;
+            }
+            if (name === '}') {
+                if (addresses > 0) {
+                    throw this.error("unexpected `}'");
+                }
+                const open = this.blocks.pop();
+                if (open === undefined) {
+                    throw this.error("unexpected `}'");
+                }
+                this.commands[open].jump = this.commands.length;
+            }
+            else if (name === ':') {
+                if (addresses > 0) {
+                    throw this.error(": doesn't want any addresses");
+                }
+                command.text = this.readLabel();
+                if (!command.text) {
+                    throw this.error('":" lacks a label');
+                }
+            }
+            else if (name === 'b' || name === 't' || name === 'T') {
+                command.text = this.readLabel();
+            }
+            else if (name === 'a' || name === 'i' || name === 'c') {
+                command.text = this.readText();
+            }
+            else if (name === 'q' || name === 'Q') {
+                if (addresses > 1) {
+                    throw this.error('command only uses one address');
+                }
+                this.skipSpaces();
+                const digits = this.script.text.slice(this.pos).match(/^\d+/);
+                if (digits) {
+                    command.exitCode = parseInt(digits[0], 10);
+                    this.pos += digits[0].length;
+                }
+            }
+            else if (name === 's') {
+                command.substitution = this.parseSubstitution();
+            }
+            else if (name === 'y') {
+                command.translation = this.parseTranslation();
+            }
+            else if (!SIMPLE_COMMANDS.includes(name)) {
+                throw this.error(`unknown command: \`${name}'`);
+            }
+            this.commands.push(command);
+            this.endCommand();
+        }
+        /**
+         * Checks nothing but a separator, a comment or a } follows a command
+         */
+        endCommand() {
+            this.skipSpaces();
+            const next = this.peek();
+            if (next !== undefined && !';\n}#'.includes(next)) {
+                throw this.error('extra characters after command');
+            }
+        }
+        parseAddress(second) {
+            const text = this.script.text;
+            const rest = text.slice(this.pos);
+            const number = rest.match(/^(\d+)(?:~(\d+))?/);
+            if (number) {
+                this.pos += number[0].length;
+                if (number[2] !== undefined) {
+                    return { kind: 'step', first: parseInt(number[1], 10), step: parseInt(number[2], 10) };
+                }
+                return { kind: 'line', line: parseInt(number[1], 10) };
+            }
+            const offset = second ? rest.match(/^([+~])(\d+)/) : null;
+            if (offset) {
+                this.pos += offset[0].length;
+                const count = parseInt(offset[2], 10);
+                return offset[1] === '+' ? { kind: 'relative', count } : { kind: 'multiple', step: count };
+            }
+            if (rest[0] === '$') {
+                this.pos++;
+                return { kind: 'last' };
+            }
+            if (rest[0] === '/' || rest[0] === '\\') {
+                if (rest[0] === '\\') {
+                    this.pos++;
+                }
+                const delimiter = text[this.pos++];
+                const pattern = this.readPart(delimiter, true);
+                if (pattern === null) {
+                    throw this.error('unterminated address regex');
+                }
+                let ignoreCase = false;
+                while (this.peek() === 'I') {
+                    ignoreCase = true;
+                    this.pos++;
+                }
+                return { kind: 'regex', regex: pattern ? this.compile(pattern, ignoreCase) : null };
+            }
+            return undefined;
+        }
+        /**
+         * Reads up to the next unescaped delimiter, which the delimiter escaped
+         * stands for. In a regular expression \n and \t are a newline and a tab
+         * and other escapes are kept for the regex; elsewhere they're kept for the
+         * caller. Gives null when the delimiter never comes.
+         */
+        readPart(delimiter, regex) {
+            const text = this.script.text;
+            let part = '';
+            while (this.pos < text.length) {
+                const char = text[this.pos++];
+                if (char === delimiter) {
+                    return part;
+                }
+                if (char === '\n' && regex) {
+                    return null;
+                }
+                if (char !== '\\' || this.pos >= text.length) {
+                    part += char;
+                    continue;
+                }
+                const next = text[this.pos++];
+                if (next === delimiter && regex && REGEX_SPECIAL.includes(next)) {
+                    part += next === '^' ? '\\^' : `[${next}]`;
+                }
+                else if (next === delimiter) {
+                    part += next === '&' ? '\\&' : next;
+                }
+                else if ((next === 'n' || next === 't') && regex) {
+                    part += next === 'n' ? '\n' : '\t';
+                }
+                else if (next === '\n') {
+                    part += '\n';
+                }
+                else {
+                    part += `\\${next}`;
+                }
+            }
+            return null;
+        }
+        compile(pattern, ignoreCase) {
+            try {
+                return new RegExp(translateRegex(pattern, this.extended), ignoreCase ? 'i' : '');
+            }
+            catch (error) {
+                if (error instanceof RegexError) {
+                    throw this.error(error.message);
+                }
+                throw error;
+            }
+        }
+        parseSubstitution() {
+            const delimiter = this.script.text[this.pos++];
+            if (delimiter === undefined || delimiter === '\n' || delimiter === '\\') {
+                throw this.error("unterminated `s' command");
+            }
+            const pattern = this.readPart(delimiter, true);
+            const replacement = pattern === null ? null : this.readPart(delimiter, false);
+            if (pattern === null || replacement === null) {
+                throw this.error("unterminated `s' command");
+            }
+            const substitution = {
+                regex: null,
+                replacement: parseReplacement(replacement),
+                global: false,
+                occurrence: 1,
+                print: false,
+            };
+            let ignoreCase = false;
+            for (;;) {
+                const flag = this.peek();
+                if (flag === 'g') {
+                    substitution.global = true;
+                }
+                else if (flag === 'p') {
+                    substitution.print = true;
+                }
+                else if (flag === 'i' || flag === 'I') {
+                    ignoreCase = true;
+                }
+                else if (flag !== undefined && /\d/.test(flag)) {
+                    const digits = this.script.text.slice(this.pos).match(/^\d+/)[0];
+                    substitution.occurrence = parseInt(digits, 10);
+                    if (substitution.occurrence === 0) {
+                        throw this.error("number option to `s' command may not be zero");
+                    }
+                    this.pos += digits.length - 1;
+                }
+                else if (flag === undefined || /[\s;}#]/.test(flag)) {
+                    break;
+                }
+                else {
+                    throw this.error("unknown option to `s'");
+                }
+                this.pos++;
+            }
+            if (pattern) {
+                substitution.regex = this.compile(pattern, ignoreCase);
+                // A group in the replacement has to be in the expression
+                const groups = new RegExp(`${substitution.regex.source}|`).exec('').length - 1;
+                for (const part of substitution.replacement) {
+                    if (part.kind === 'group' && part.group > groups) {
+                        throw this.error(`invalid reference \\${part.group} on \`s' command's RHS`);
+                    }
+                }
+            }
+            return substitution;
+        }
+        parseTranslation() {
+            const delimiter = this.script.text[this.pos++];
+            const unescape = (part) => Array.from(part.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)));
+            const from = this.readPart(delimiter, false);
+            const to = from === null ? null : this.readPart(delimiter, false);
+            if (from === null || to === null) {
+                throw this.error("unterminated `y' command");
+            }
+            const source = unescape(from);
+            const target = unescape(to);
+            if (source.length !== target.length) {
+                throw this.error("strings for `y' command are different lengths");
+            }
+            return new Map(source.map((char, i) => [char, target[i]]));
+        }
+        /**
+         * A label for :, b, t and T, up to the end of the line or a ;
+         */
+        readLabel() {
+            this.skipSpaces();
+            const match = this.script.text.slice(this.pos).match(/^[^;\n]*/)[0];
+            this.pos += match.length;
+            return match.trim();
+        }
+        /**
+         * The text of a, i or c: the rest of the line, in GNU's one-line form, or
+         * the lines after a\, where a backslash at the end of a line continues it
+         */
+        readText() {
+            const text = this.script.text;
+            this.skipSpaces();
+            if (this.peek() === '\\') {
+                this.pos++;
+                this.skipSpaces();
+                if (this.peek() === '\n') {
+                    this.pos++;
+                }
+            }
+            let result = '';
+            while (this.pos < text.length && text[this.pos] !== '\n') {
+                const char = text[this.pos++];
+                if (char === '\\' && this.pos < text.length) {
+                    result += text[this.pos++];
+                }
+                else {
+                    result += char;
+                }
+            }
+            if (!result) {
+                throw this.error("expected \\ after `a', `c' or `i'");
+            }
+            return result;
+        }
+    }
+    /**
+     * Splits an s command's replacement into text, groups and case conversions
+     */
+    function parseReplacement(replacement) {
+        const parts = [];
+        const addText = (text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.kind === 'text') {
+                last.text += text;
+            }
+            else {
+                parts.push({ kind: 'text', text });
+            }
+        };
+        for (let i = 0; i < replacement.length; i++) {
+            const char = replacement[i];
+            if (char === '&') {
+                parts.push({ kind: 'group', group: 0 });
+            }
+            else if (char !== '\\' || i === replacement.length - 1) {
+                addText(char);
+            }
+            else {
+                const next = replacement[++i];
+                if (/\d/.test(next)) {
+                    parts.push({ kind: 'group', group: Number(next) });
+                }
+                else if ('ULulE'.includes(next)) {
+                    parts.push({ kind: 'case', conversion: next });
+                }
+                else {
+                    addText(next === 'n' ? '\n' : next === 't' ? '\t' : next);
+                }
+            }
+        }
+        return parts;
+    }
+    /**
+     * Parses sed scripts, given with -e, -f or as the first operand. Labels
+     * and blocks may span the pieces. Throws SedError when one is malformed.
+     */
+    function parseSed(scripts, extended) {
+        const commands = [];
+        const blocks = [];
+        for (const script of scripts) {
+            new SedParser(script, extended, commands, blocks).parse();
+        }
+        if (blocks.length > 0) {
+            const source = scripts[scripts.length - 1].source;
+            throw new SedError(`${source}, char 0: unmatched \`{'`);
+        }
+        const labels = new Map();
+        commands.forEach((command, i) => {
+            if (command.name === ':') {
+                labels.set(command.text, i);
+            }
+        });
+        for (const command of commands) {
+            if ('btT'.includes(command.name)) {
+                const target = command.text ? labels.get(command.text) : commands.length;
+                if (target === undefined) {
+                    throw new SedError(`can't find label for jump to \`${command.text}'`);
+                }
+                command.jump = target;
+            }
+        }
+        return { commands };
+    }
+    /**
+     * Runs a script over text, printing each line's pattern space at the end
+     * of its cycle unless quiet (sed -n). A last line without a newline is
+     * printed without one.
+     */
+    function runSed(program, text, quiet) {
+        const lines = splitLines(text);
+        const run = streamSed(program, quiet);
+        let output = '';
+        let index = 0;
+        let step = run.next(null);
+        while (!step.done) {
+            output += step.value;
+            step = run.next(index < lines.length ? lines[index++] : null);
+        }
+        return Object.assign(Object.assign({}, step.value), { output: output + step.value.output });
+    }
+    /**
+     * Runs a script over lines as they come, as from a pipe (see SedStream)
+     */
+    function streamSed(program, quiet) {
+        return new SedRun(program, quiet).run();
+    }
+    /**
+     * The state of running a script: the input, the pattern and hold spaces
+     * and what has been printed
+     */
+    class SedRun {
+        constructor(program, quiet) {
+            this.program = program;
+            this.quiet = quiet;
+            /** The line after the current one once read, null at the end of input */
+            this.ahead = undefined;
+            /** Whether the line read last ended with a newline */
+            this.newline = true;
+            this.lineNumber = 0;
+            this.output = '';
+            /** The last line had no newline and has been printed without one */
+            this.missingNewline = false;
+            this.hold = '';
+            this.lastRegex = null;
+            /** Whether an s has succeeded since the last line was read or t taken */
+            this.substituted = false;
+            /** Text a queued to print at the end of the cycle */
+            this.appended = [];
+            for (const command of program.commands) {
+                const first = command.address1;
+                command.inRange = !!first && first.kind === 'line' && first.line === 0;
+            }
+            this.lookahead = program.commands.some((command) => { var _a, _b; return ((_a = command.address1) === null || _a === void 0 ? void 0 : _a.kind) === 'last' || ((_b = command.address2) === null || _b === void 0 ? void 0 : _b.kind) === 'last'; });
+        }
+        /**
+         * Whether the current line is the last, once the next has been read ahead
+         */
+        isLast() {
+            return this.ahead === null;
+        }
+        /**
+         * Reads the next line ahead if it hasn't been, handing over what's been
+         * printed while waiting for it. Gives whether there is one.
+         */
+        *peek() {
+            if (this.ahead === undefined) {
+                this.ahead = yield this.output;
+                this.output = '';
+            }
+            return this.ahead !== null;
+        }
+        *readLine() {
+            if (!(yield* this.peek())) {
+                return null;
+            }
+            const line = this.ahead;
+            this.ahead = undefined;
+            this.lineNumber++;
+            this.substituted = false;
+            this.newline = line.endsWith('\n');
+            if (this.lookahead) {
+                yield* this.peek();
+            }
+            return line.replace(/\n$/, '');
+        }
+        write(text) {
+            if (this.missingNewline && text) {
+                this.output += '\n';
+                this.missingNewline = false;
+            }
+            this.output += text;
+        }
+        /**
+         * Prints a line, leaving the newline off when it's the last line of
+         * input and that had none
+         */
+        printLine(line) {
+            this.write(line);
+            if (!this.newline) {
+                this.missingNewline = true;
+            }
+            else {
+                this.output += '\n';
+            }
+        }
+        flushAppended() {
+            for (const text of this.appended) {
+                this.write(`${text}\n`);
+            }
+            this.appended = [];
+        }
+        *run() {
+            const commands = this.program.commands;
+            let pattern = yield* this.readLine();
+            while (pattern !== null) {
+                let pc = 0;
+                let print = !this.quiet;
+                let stop = null;
+                // D starts the next cycle without reading a new line
+                let keep = false;
+                cycle: while (pc < commands.length) {
+                    const command = commands[pc];
+                    if (!this.selects(command, pattern)) {
+                        pc = command.name === '{' ? command.jump + 1 : pc + 1;
+                        continue;
+                    }
+                    pc++;
+                    switch (command.name) {
+                        case '=':
+                            this.write(`${this.lineNumber}\n`);
+                            break;
+                        case 'a':
+                            this.appended.push(command.text);
+                            break;
+                        case 'i':
+                            this.write(`${command.text}\n`);
+                            break;
+                        case 'c':
+                            // A range is changed to the text once, at its end
+                            if (!command.address2 || !command.inRange || command.negated) {
+                                this.write(`${command.text}\n`);
+                            }
+                            print = false;
+                            break cycle;
+                        case 'd':
+                            print = false;
+                            break cycle;
+                        case 'D': {
+                            const newline = pattern.indexOf('\n');
+                            print = false;
+                            if (newline !== -1) {
+                                pattern = pattern.slice(newline + 1);
+                                keep = true;
+                            }
+                            break cycle;
+                        }
+                        case 'p':
+                            this.printLine(pattern);
+                            break;
+                        case 'P':
+                            this.write(`${pattern.split('\n')[0]}\n`);
+                            break;
+                        case 'h':
+                            this.hold = pattern;
+                            break;
+                        case 'H':
+                            this.hold += `\n${pattern}`;
+                            break;
+                        case 'g':
+                            pattern = this.hold;
+                            break;
+                        case 'G':
+                            pattern += `\n${this.hold}`;
+                            break;
+                        case 'x':
+                            [pattern, this.hold] = [this.hold, pattern];
+                            break;
+                        case 'z':
+                            pattern = '';
+                            break;
+                        case 'n':
+                        case 'N': {
+                            // Without another line, sed ends as though the script had
+                            if (!(yield* this.peek())) {
+                                stop = 0;
+                                break cycle;
+                            }
+                            if (command.name === 'n' && !this.quiet) {
+                                this.printLine(pattern);
+                            }
+                            this.flushAppended();
+                            const next = (yield* this.readLine());
+                            pattern = command.name === 'n' ? next : `${pattern}\n${next}`;
+                            break;
+                        }
+                        case 'q':
+                            stop = command.exitCode;
+                            break cycle;
+                        case 'Q':
+                            return { output: this.output, exitCode: command.exitCode, quit: true };
+                        case 'b':
+                            pc = command.jump;
+                            break;
+                        case 't':
+                        case 'T':
+                            if (this.substituted === (command.name === 't')) {
+                                pc = command.jump;
+                            }
+                            this.substituted = false;
+                            break;
+                        case 's':
+                            pattern = this.substitute(command.substitution, pattern);
+                            break;
+                        case 'y':
+                            pattern = Array.from(pattern, (char) => command.translation.get(char) || char).join('');
+                            break;
+                    }
+                }
+                if (print) {
+                    this.printLine(pattern);
+                }
+                this.flushAppended();
+                if (stop !== null) {
+                    return { output: this.output, exitCode: stop, quit: true };
+                }
+                if (!keep) {
+                    pattern = yield* this.readLine();
+                }
+            }
+            return { output: this.output, exitCode: 0, quit: false };
+        }
+        /**
+         * Whether a command applies to the current line, opening and closing its
+         * range as lines go by
+         */
+        selects(command, pattern) {
+            const { address1, address2 } = command;
+            if (!address1) {
+                return true;
+            }
+            let selected;
+            if (!address2) {
+                selected = this.matches(address1, pattern);
+            }
+            else if (command.inRange) {
+                selected = true;
+                command.inRange = !this.endsRange(command, address2, pattern);
+            }
+            else if (this.matches(address1, pattern)) {
+                selected = true;
+                command.inRange = this.continuesRange(command, address2);
+            }
+            else {
+                selected = false;
+            }
+            return selected !== command.negated;
+        }
+        matches(address, pattern) {
+            switch (address.kind) {
+                case 'line':
+                    return this.lineNumber === address.line;
+                case 'last':
+                    return this.isLast();
+                case 'step':
+                    if (address.step <= 0) {
+                        return this.lineNumber === address.first;
+                    }
+                    return (this.lineNumber >= address.first && (this.lineNumber - address.first) % address.step === 0);
+                case 'regex':
+                    return this.regex(address.regex).test(pattern);
+                default:
+                    return false;
+            }
+        }
+        /**
+         * Whether a range that has just started goes on past this line
+         */
+        continuesRange(command, end) {
+            switch (end.kind) {
+                case 'line':
+                    return end.line > this.lineNumber;
+                case 'relative':
+                    command.rangeEnd = this.lineNumber + end.count;
+                    return end.count > 0;
+                case 'multiple':
+                    return end.step > 0 && this.lineNumber % end.step !== 0;
+                case 'last':
+                    return !this.isLast();
+                default:
+                    // A regular expression is only checked from the next line
+                    return true;
+            }
+        }
+        /**
+         * Whether an open range ends with this line
+         */
+        endsRange(command, end, pattern) {
+            switch (end.kind) {
+                case 'line':
+                    return this.lineNumber >= end.line;
+                case 'relative':
+                    return this.lineNumber >= command.rangeEnd;
+                case 'multiple':
+                    return this.lineNumber % end.step === 0;
+                default:
+                    return this.matches(end, pattern);
+            }
+        }
+        /**
+         * The regular expression to use, remembering it as the last one used
+         */
+        regex(regex) {
+            const used = regex || this.lastRegex;
+            if (!used) {
+                throw new SedError('no previous regular expression');
+            }
+            this.lastRegex = used;
+            return used;
+        }
+        substitute(substitution, pattern) {
+            const regex = this.regex(substitution.regex);
+            const search = new RegExp(regex.source, `${regex.flags}g`);
+            let result = '';
+            let last = 0;
+            let count = 0;
+            let match;
+            while ((match = search.exec(pattern))) {
+                count++;
+                if (count >= substitution.occurrence) {
+                    result += pattern.slice(last, match.index) + expandReplacement(substitution, match);
+                    last = match.index + match[0].length;
+                    if (!substitution.global) {
+                        break;
+                    }
+                }
+                if (match[0] === '') {
+                    search.lastIndex++;
+                }
+            }
+            if (count < substitution.occurrence) {
+                return pattern;
+            }
+            this.substituted = true;
+            const changed = result + pattern.slice(last);
+            if (substitution.print) {
+                this.printLine(changed);
+            }
+            return changed;
+        }
+    }
+    /**
+     * The text a match is replaced with, with & and \1... filled in and case
+     * converted where \U, \L, \u and \l say
+     */
+    function expandReplacement(substitution, match) {
+        let result = '';
+        let mode = '';
+        let once = '';
+        const add = (text) => {
+            if (mode === 'U') {
+                text = text.toUpperCase();
+            }
+            else if (mode === 'L') {
+                text = text.toLowerCase();
+            }
+            if (once && text) {
+                text = (once === 'u' ? text[0].toUpperCase() : text[0].toLowerCase()) + text.slice(1);
+                once = '';
+            }
+            result += text;
+        };
+        for (const part of substitution.replacement) {
+            if (part.kind === 'text') {
+                add(part.text);
+            }
+            else if (part.kind === 'group') {
+                add(match[part.group] || '');
+            }
+            else if (part.conversion === 'u' || part.conversion === 'l') {
+                once = part.conversion;
+            }
+            else {
+                mode = part.conversion === 'E' ? '' : part.conversion;
+            }
+        }
+        return result;
+    }
+
+    // awk: a lexer, parser and interpreter for the language, covering POSIX
+    // awk's patterns, actions, fields, arrays, functions and built-ins
+    /**
+     * Raised for syntax errors and fatal errors running a program, with gawk's
+     * message. Each line of it goes after "awk: ".
+     */
+    class AwkError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'AwkError';
+            Object.setPrototypeOf(this, AwkError.prototype);
+        }
+    }
+    /**
+     * An error as awk prints it, each line starting "awk: "
+     */
+    function describeAwkError(error) {
+        return error.message
+            .split('\n')
+            .map((line) => `awk: ${line}`)
+            .join('\n');
+    }
+    const KEYWORDS = new Set([
+        'BEGIN',
+        'END',
+        'function',
+        'func',
+        'if',
+        'else',
+        'while',
+        'for',
+        'do',
+        'break',
+        'continue',
+        'next',
+        'exit',
+        'return',
+        'delete',
+        'in',
+        'getline',
+        'print',
+        'printf',
+    ]);
+    const BUILTINS = new Set([
+        'length',
+        'substr',
+        'index',
+        'split',
+        'sub',
+        'gsub',
+        'match',
+        'sprintf',
+        'sin',
+        'cos',
+        'atan2',
+        'exp',
+        'log',
+        'sqrt',
+        'int',
+        'rand',
+        'srand',
+        'tolower',
+        'toupper',
+        'close',
+        'fflush',
+    ]);
+    // Longest first, so >= is read before >
+    const PUNCTUATION = [
+        '**=',
+        '+=',
+        '-=',
+        '*=',
+        '/=',
+        '%=',
+        '^=',
+        '**',
+        '==',
+        '<=',
+        '>=',
+        '!=',
+        '++',
+        '--',
+        '&&',
+        '||',
+        '>>',
+        '!~',
+        ...'{}()[];,+-*/%^!><|?:~$=',
+    ];
+    const ASSIGNMENTS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '^=']);
+    // Escapes in strings, and in regular expressions where they stand for a
+    // character rather than an operator
+    const ESCAPES = {
+        n: '\n',
+        t: '\t',
+        r: '\r',
+        f: '\f',
+        v: '\v',
+        b: '\b',
+        a: '\x07',
+        '/': '/',
+        '"': '"',
+    };
+    /**
+     * Resolves the escapes in a string: \n, \t, \" and \\, \ and octal digits
+     */
+    function unescapeString(text) {
+        return text.replace(/\\([0-7]{1,3}|.)/g, (_, escape) => {
+            if (/^[0-7]/.test(escape)) {
+                return String.fromCharCode(parseInt(escape, 8));
+            }
+            return ESCAPES[escape] || escape;
+        });
+    }
+    /**
+     * An error at a place in the program, shown with the line and a caret
+     * under where it went wrong as gawk shows it
+     */
+    function syntaxError(source, line, column, message) {
+        const where = `${source.name}:${line}`;
+        const text = source.text.split('\n')[line - 1] || '';
+        return new AwkError(`${where}: ${text}\n${where}: ${' '.repeat(column)}^ ${message}`);
+    }
+    /**
+     * Splits a program into tokens. A / starts a regular expression unless it
+     * follows something that could end an operand, when it divides. Newlines
+     * after {, &&, ||, a comma, do and else don't end a statement.
+     */
+    function tokenize(source) {
+        const text = source.text;
+        const tokens = [];
+        let line = 1;
+        let lineStart = 0;
+        let i = 0;
+        const push = (kind, tokenText, value, start) => {
+            tokens.push({ kind, text: tokenText, value, line, column: start - lineStart });
+        };
+        const divides = () => {
+            const last = tokens[tokens.length - 1];
+            if (!last) {
+                return false;
+            }
+            if (['number', 'string', 'regex', 'name', 'builtin'].includes(last.kind)) {
+                return true;
+            }
+            return last.kind === 'punct' && [')', ']', '$', '++', '--'].includes(last.text);
+        };
+        while (i < text.length) {
+            const char = text[i];
+            const start = i;
+            if (char === ' ' || char === '\t' || char === '\r') {
+                i++;
+            }
+            else if (char === '\\' && text[i + 1] === '\n') {
+                i += 2;
+                line++;
+                lineStart = i;
+            }
+            else if (char === '#') {
+                while (i < text.length && text[i] !== '\n') {
+                    i++;
+                }
+            }
+            else if (char === '\n') {
+                const last = tokens[tokens.length - 1];
+                const continues = last &&
+                    (last.kind === 'punct' || last.kind === 'keyword') &&
+                    ['{', '&&', '||', ',', 'do', 'else'].includes(last.text);
+                if (!continues && last && last.kind !== 'newline') {
+                    push('newline', '\n', '\n', start);
+                }
+                i++;
+                line++;
+                lineStart = i;
+            }
+            else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+                const number = text.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/)[0];
+                i += number.length;
+                push('number', number, parseFloat(number), start);
+            }
+            else if (char === '"') {
+                let value = '';
+                i++;
+                while (text[i] !== '"') {
+                    if (i >= text.length || text[i] === '\n') {
+                        throw syntaxError(source, line, start - lineStart, 'unterminated string');
+                    }
+                    if (text[i] === '\\' && text[i + 1] === '\n') {
+                        i += 2;
+                        continue;
+                    }
+                    value += text[i] === '\\' && i + 1 < text.length ? text[i++] + text[i++] : text[i++];
+                }
+                i++;
+                push('string', text.slice(start, i), unescapeString(value), start);
+            }
+            else if (char === '/' && !divides()) {
+                // Escapes for characters are resolved here, and the rest left for
+                // translating the expression
+                let value = '';
+                let bracket = false;
+                i++;
+                while (bracket || text[i] !== '/') {
+                    if (i >= text.length || text[i] === '\n') {
+                        throw syntaxError(source, line, start - lineStart, 'unterminated regexp');
+                    }
+                    if (text[i] === '\\' && i + 1 < text.length) {
+                        const escaped = text[i + 1];
+                        value += escaped in ESCAPES && escaped !== 'b' ? ESCAPES[escaped] : `\\${escaped}`;
+                        i += 2;
+                        continue;
+                    }
+                    if (text[i] === '[' && !bracket) {
+                        bracket = true;
+                        value += text[i++];
+                        // A ] straight after [ or [^ is in the set
+                        if (text[i] === '^') {
+                            value += text[i++];
+                        }
+                        if (text[i] === ']') {
+                            value += text[i++];
+                        }
+                        continue;
+                    }
+                    if (text[i] === ']') {
+                        bracket = false;
+                    }
+                    value += text[i++];
+                }
+                i++;
+                push('regex', text.slice(start, i), value, start);
+            }
+            else if (/[A-Za-z_]/.test(char)) {
+                const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+                i += word.length;
+                if (KEYWORDS.has(word)) {
+                    push('keyword', word === 'func' ? 'function' : word, word, start);
+                }
+                else if (BUILTINS.has(word)) {
+                    push('builtin', word, word, start);
+                }
+                else {
+                    push(text[i] === '(' ? 'funcName' : 'name', word, word, start);
+                }
+            }
+            else {
+                const punct = PUNCTUATION.find((p) => text.startsWith(p, i));
+                if (!punct) {
+                    throw syntaxError(source, line, start - lineStart, `invalid char '${char}' in expression`);
+                }
+                i += punct.length;
+                const normalized = punct === '**' ? '^' : punct === '**=' ? '^=' : punct;
+                push('punct', normalized, normalized, start);
+            }
+        }
+        push('eof', '', '', i);
+        return tokens;
+    }
+    /**
+     * Parses tokens into a program by recursive descent, an operator's
+     * precedence deciding which function reads it
+     */
+    class AwkParser {
+        constructor(source) {
+            this.source = source;
+            this.pos = 0;
+            /** Inside print's arguments, where > redirects rather than compares */
+            this.printing = false;
+            this.calls = [];
+            this.tokens = tokenize(source);
+        }
+        get token() {
+            return this.tokens[this.pos];
+        }
+        is(text) {
+            const { kind } = this.token;
+            return (kind === 'punct' || kind === 'keyword') && this.token.text === text;
+        }
+        error(token = this.token) {
+            const message = token.kind === 'eof' || token.kind === 'newline'
+                ? 'unexpected newline or end of string'
+                : 'syntax error';
+            return syntaxError(this.source, token.line, token.column, message);
+        }
+        expect(text) {
+            if (!this.is(text)) {
+                throw this.error();
+            }
+            return this.tokens[this.pos++];
+        }
+        skipNewlines() {
+            while (this.token.kind === 'newline') {
+                this.pos++;
+            }
+        }
+        skipTerminators() {
+            while (this.token.kind === 'newline' || this.is(';')) {
+                this.pos++;
+            }
+        }
+        parse() {
+            const program = {
+                begin: [],
+                rules: [],
+                end: [],
+                functions: new Map(),
+                source: this.source,
+            };
+            this.skipTerminators();
+            while (this.token.kind !== 'eof') {
+                if (this.is('function')) {
+                    this.parseFunction(program.functions);
+                }
+                else if (this.is('BEGIN') || this.is('END')) {
+                    const list = this.is('BEGIN') ? program.begin : program.end;
+                    this.pos++;
+                    if (!this.is('{')) {
+                        throw this.error();
+                    }
+                    list.push(this.block());
+                }
+                else if (this.is('{')) {
+                    program.rules.push({ pattern: null, end: null, action: this.block() });
+                }
+                else {
+                    const pattern = this.expression();
+                    const end = this.is(',') ? (this.pos++, this.expression()) : null;
+                    const action = this.is('{') ? this.block() : null;
+                    program.rules.push({ pattern, end, action });
+                }
+                this.skipTerminators();
+            }
+            for (const { name, token } of this.calls) {
+                if (!program.functions.has(name)) {
+                    const where = `${this.source.name}:${token.line}`;
+                    throw new AwkError(`${where}: fatal: function \`${name}' not defined`);
+                }
+            }
+            return program;
+        }
+        parseFunction(functions) {
+            this.pos++;
+            const name = this.token;
+            if (name.kind !== 'name' && name.kind !== 'funcName') {
+                throw this.error();
+            }
+            this.pos++;
+            this.expect('(');
+            const params = [];
+            while (!this.is(')')) {
+                if (this.token.kind !== 'name') {
+                    throw this.error();
+                }
+                params.push(this.token.text);
+                this.pos++;
+                if (!this.is(')')) {
+                    this.expect(',');
+                }
+            }
+            this.pos++;
+            this.skipNewlines();
+            if (!this.is('{')) {
+                throw this.error();
+            }
+            functions.set(name.text, { params, body: this.block() });
+        }
+        block() {
+            const line = this.expect('{').line;
+            const body = [];
+            this.skipTerminators();
+            while (!this.is('}')) {
+                if (this.token.kind === 'eof') {
+                    throw this.error();
+                }
+                body.push(this.statement());
+                this.skipTerminators();
+            }
+            this.pos++;
+            return { kind: 'block', body, line };
+        }
+        /**
+         * A statement, or the empty one ; as the body of a loop
+         */
+        body() {
+            if (this.is(';')) {
+                this.pos++;
+                return { kind: 'block', body: [], line: this.token.line };
+            }
+            this.skipNewlines();
+            return this.statement();
+        }
+        condition() {
+            this.expect('(');
+            const test = this.expression();
+            this.expect(')');
+            return test;
+        }
+        statement() {
+            const line = this.token.line;
+            if (this.is('{')) {
+                return this.block();
+            }
+            if (this.is('if')) {
+                this.pos++;
+                const test = this.condition();
+                const then = this.body();
+                const before = this.pos;
+                this.skipTerminators();
+                if (this.is('else')) {
+                    this.pos++;
+                    return { kind: 'if', test, then, else: this.body(), line };
+                }
+                this.pos = before;
+                return { kind: 'if', test, then, else: null, line };
+            }
+            if (this.is('while')) {
+                this.pos++;
+                const test = this.condition();
+                return { kind: 'while', test, body: this.body(), line };
+            }
+            if (this.is('do')) {
+                this.pos++;
+                const body = this.body();
+                this.skipTerminators();
+                this.expect('while');
+                const test = this.condition();
+                this.endSimple();
+                return { kind: 'do', body, test, line };
+            }
+            if (this.is('for')) {
+                return this.forStatement();
+            }
+            const statement = this.simpleStatement();
+            this.endSimple();
+            return statement;
+        }
+        forStatement() {
+            const line = this.token.line;
+            this.pos++;
+            this.expect('(');
+            const [variable, keyword, array, close] = this.tokens.slice(this.pos, this.pos + 4);
+            if (variable.kind === 'name' &&
+                keyword.text === 'in' &&
+                array.kind === 'name' &&
+                close.text === ')') {
+                this.pos += 4;
+                return { kind: 'forIn', variable: variable.text, array: array.text, body: this.body(), line };
+            }
+            const init = this.is(';') ? null : this.expression();
+            this.expect(';');
+            this.skipNewlines();
+            const test = this.is(';') ? null : this.expression();
+            this.expect(';');
+            this.skipNewlines();
+            const update = this.is(')') ? null : this.expression();
+            this.expect(')');
+            return { kind: 'for', init, test, update, body: this.body(), line };
+        }
+        /**
+         * Checks a simple statement ends with a newline, ; or }
+         */
+        endSimple() {
+            if (this.is(';') || this.token.kind === 'newline') {
+                this.pos++;
+            }
+            else if (this.is('|')) {
+                const { line, column } = this.token;
+                throw syntaxError(this.source, line, column, 'pipes to and from commands are not supported');
+            }
+            else if (!this.is('}') && this.token.kind !== 'eof') {
+                throw this.error();
+            }
+        }
+        simpleStatement() {
+            const token = this.token;
+            const line = token.line;
+            if (token.kind !== 'keyword') {
+                return { kind: 'expression', expression: this.expression(), line };
+            }
+            switch (token.text) {
+                case 'print':
+                case 'printf':
+                    return this.printStatement();
+                case 'next':
+                case 'break':
+                case 'continue':
+                    this.pos++;
+                    return { kind: token.text, line };
+                case 'exit':
+                case 'return': {
+                    this.pos++;
+                    const ends = this.is(';') || this.is('}') || ['newline', 'eof'].includes(this.token.kind);
+                    const kind = token.text;
+                    return { kind, value: ends ? null : this.expression(), line };
+                }
+                case 'delete': {
+                    this.pos++;
+                    const name = this.token;
+                    if (name.kind !== 'name') {
+                        throw this.error();
+                    }
+                    this.pos++;
+                    let subscripts = null;
+                    if (this.is('[')) {
+                        this.pos++;
+                        subscripts = this.expressionList(']');
+                    }
+                    return { kind: 'delete', name: name.text, subscripts, line };
+                }
+                default:
+                    return { kind: 'expression', expression: this.expression(), line };
+            }
+        }
+        printStatement() {
+            const token = this.tokens[this.pos++];
+            const kind = token.text;
+            let args = [];
+            const ends = () => this.is(';') ||
+                this.is('}') ||
+                this.is('>') ||
+                this.is('>>') ||
+                this.is('|') ||
+                ['newline', 'eof'].includes(this.token.kind);
+            if (!ends()) {
+                this.printing = true;
+                args.push(this.expression());
+                while (this.is(',')) {
+                    this.pos++;
+                    args.push(this.expression());
+                }
+                this.printing = false;
+            }
+            if (args.length === 1 && args[0].kind === 'group') {
+                args = args[0].items;
+            }
+            if (kind === 'printf' && args.length === 0) {
+                throw this.error();
+            }
+            let redirect = null;
+            if (this.is('>') || this.is('>>')) {
+                const mode = this.tokens[this.pos++].text;
+                this.printing = true;
+                redirect = { mode, target: this.concatenation() };
+                this.printing = false;
+            }
+            return { kind, args, redirect, line: token.line };
+        }
+        /**
+         * Expressions separated by commas, up to the closing bracket
+         */
+        expressionList(close) {
+            const printing = this.printing;
+            this.printing = false;
+            const list = [];
+            while (!this.is(close)) {
+                list.push(this.expression());
+                if (!this.is(close)) {
+                    this.expect(',');
+                }
+            }
+            this.pos++;
+            this.printing = printing;
+            return list;
+        }
+        expression() {
+            const left = this.ternary();
+            if (this.token.kind === 'punct' && ASSIGNMENTS.has(this.token.text) && isLvalue(left)) {
+                const op = this.tokens[this.pos++].text;
+                this.skipNewlines();
+                return { kind: 'assign', op, target: left, value: this.expression() };
+            }
+            return left;
+        }
+        ternary() {
+            const test = this.or();
+            if (!this.is('?')) {
+                return test;
+            }
+            this.pos++;
+            this.skipNewlines();
+            const yes = this.expression();
+            this.skipNewlines();
+            this.expect(':');
+            this.skipNewlines();
+            return { kind: 'condition', test, yes, no: this.expression() };
+        }
+        or() {
+            let left = this.and();
+            while (this.is('||')) {
+                this.pos++;
+                left = { kind: 'logical', op: '||', left, right: this.and() };
+            }
+            return left;
+        }
+        and() {
+            let left = this.inExpression();
+            while (this.is('&&')) {
+                this.pos++;
+                left = { kind: 'logical', op: '&&', left, right: this.inExpression() };
+            }
+            return left;
+        }
+        inExpression() {
+            let left = this.match();
+            while (this.is('in')) {
+                this.pos++;
+                const name = this.token;
+                if (name.kind !== 'name') {
+                    throw this.error();
+                }
+                this.pos++;
+                const subscripts = left.kind === 'group' ? left.items : [left];
+                left = { kind: 'in', subscripts, name: name.text };
+            }
+            return left;
+        }
+        match() {
+            let left = this.comparison();
+            while (this.is('~') || this.is('!~')) {
+                const negated = this.tokens[this.pos++].text === '!~';
+                left = { kind: 'match', negated, left, right: this.comparison() };
+            }
+            return left;
+        }
+        comparison() {
+            const left = this.concatenation();
+            const op = this.token.text;
+            if (this.token.kind === 'punct' &&
+                ['<', '<=', '==', '!=', '>=', '>'].includes(op) &&
+                !(this.printing && op === '>')) {
+                this.pos++;
+                return { kind: 'binary', op, left, right: this.concatenation() };
+            }
+            return left;
+        }
+        /**
+         * Whether the current token starts an operand, so one operand after
+         * another concatenates them. Unary + and - subtract instead.
+         */
+        startsOperand() {
+            const { kind, text } = this.token;
+            if (['number', 'string', 'regex', 'name', 'funcName', 'builtin'].includes(kind)) {
+                return true;
+            }
+            return kind === 'punct' && ['$', '(', '++', '--'].includes(text);
+        }
+        concatenation() {
+            let left = this.additive();
+            while (this.startsOperand()) {
+                left = { kind: 'binary', op: ' ', left, right: this.additive() };
+            }
+            return left;
+        }
+        additive() {
+            let left = this.multiplicative();
+            while (this.is('+') || this.is('-')) {
+                const op = this.tokens[this.pos++].text;
+                left = { kind: 'binary', op, left, right: this.multiplicative() };
+            }
+            return left;
+        }
+        multiplicative() {
+            let left = this.unary();
+            while (this.is('*') || this.is('/') || this.is('%')) {
+                const op = this.tokens[this.pos++].text;
+                left = { kind: 'binary', op, left, right: this.unary() };
+            }
+            return left;
+        }
+        unary() {
+            if (this.is('!') || this.is('-') || this.is('+')) {
+                const op = this.tokens[this.pos++].text;
+                return { kind: 'unary', op, operand: this.unary() };
+            }
+            return this.power();
+        }
+        power() {
+            const base = this.increment();
+            if (!this.is('^')) {
+                return base;
+            }
+            this.pos++;
+            // The exponent may have a sign, and ^ groups to the right
+            let signs = '';
+            while (this.is('-') || this.is('+') || this.is('!')) {
+                signs += this.tokens[this.pos++].text;
+            }
+            let exponent = this.power();
+            for (const op of Array.from(signs).reverse()) {
+                exponent = { kind: 'unary', op, operand: exponent };
+            }
+            return { kind: 'binary', op: '^', left: base, right: exponent };
+        }
+        increment() {
+            if (this.is('++') || this.is('--')) {
+                const op = this.tokens[this.pos++].text;
+                const target = this.increment();
+                if (!isLvalue(target)) {
+                    throw this.error();
+                }
+                return { kind: 'increment', op, prefix: true, target };
+            }
+            const operand = this.primary();
+            if ((this.is('++') || this.is('--')) && isLvalue(operand)) {
+                const op = this.tokens[this.pos++].text;
+                return { kind: 'increment', op, prefix: false, target: operand };
+            }
+            return operand;
+        }
+        primary() {
+            const token = this.token;
+            switch (token.kind) {
+                case 'number':
+                    this.pos++;
+                    return { kind: 'number', value: token.value };
+                case 'string':
+                    this.pos++;
+                    return { kind: 'string', value: token.value };
+                case 'regex':
+                    this.pos++;
+                    try {
+                        return { kind: 'regex', regex: new RegExp(translateRegex(token.value, true)) };
+                    }
+                    catch (error) {
+                        if (error instanceof RegexError) {
+                            throw syntaxError(this.source, token.line, token.column, error.message);
+                        }
+                        throw error;
+                    }
+                case 'name':
+                    this.pos++;
+                    if (this.is('[')) {
+                        this.pos++;
+                        return { kind: 'index', name: token.text, subscripts: this.expressionList(']') };
+                    }
+                    return { kind: 'var', name: token.text };
+                case 'funcName':
+                    this.pos += 2;
+                    this.calls.push({ name: token.text, token });
+                    return { kind: 'call', name: token.text, args: this.expressionList(')'), line: token.line };
+                case 'builtin': {
+                    this.pos++;
+                    if (!this.is('(')) {
+                        if (token.text !== 'length') {
+                            throw this.error();
+                        }
+                        return { kind: 'builtin', name: token.text, args: [] };
+                    }
+                    this.pos++;
+                    return { kind: 'builtin', name: token.text, args: this.expressionList(')') };
+                }
+                case 'keyword':
+                    if (token.text === 'getline') {
+                        return this.getline();
+                    }
+                    break;
+                case 'punct':
+                    if (token.text === '$') {
+                        this.pos++;
+                        if (this.is('-') || this.is('+') || this.is('!')) {
+                            const op = this.tokens[this.pos++].text;
+                            return { kind: 'field', index: { kind: 'unary', op, operand: this.increment() } };
+                        }
+                        return { kind: 'field', index: this.increment() };
+                    }
+                    if (token.text === '(') {
+                        this.pos++;
+                        const items = this.expressionList(')');
+                        if (items.length === 0) {
+                            throw this.error(token);
+                        }
+                        return items.length === 1 ? items[0] : { kind: 'group', items };
+                    }
+                    break;
+            }
+            throw this.error();
+        }
+        /**
+         * getline, into a variable or the record, from the input or a file
+         */
+        getline() {
+            this.pos++;
+            let target = null;
+            if (this.token.kind === 'name' || this.is('$')) {
+                target = this.primary();
+            }
+            let file = null;
+            if (this.is('<')) {
+                this.pos++;
+                file = this.primary();
+            }
+            return { kind: 'getline', target, file };
+        }
+    }
+    function isLvalue(expression) {
+        return ['var', 'index', 'field'].includes(expression.kind);
+    }
+    /**
+     * Parses a program, throwing AwkError for a syntax error
+     */
+    function parseAwk(source) {
+        return new AwkParser(source).parse();
+    }
+    /**
+     * Text that came from input, such as a field, which compares as a number
+     * when it looks like one
+     */
+    class StrNum {
+        constructor(text) {
+            this.text = text;
+        }
+    }
+    // Signals for statements that leave a loop, a rule or a function
+    class NextSignal {
+    }
+    class BreakSignal {
+    }
+    class ContinueSignal {
+    }
+    class ExitSignal {
+        constructor(status) {
+            this.status = status;
+        }
+    }
+    class ReturnSignal {
+        constructor(value) {
+            this.value = value;
+        }
+    }
+    const NUMERIC = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?\s*$/;
+    const NUMERIC_PREFIX = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+    /**
+     * Runs a program over the operands, files and var=value assignments, or
+     * stdin when there are no files. Assignments from -v are made before BEGIN.
+     */
+    function runAwk(program, operands, assignments, host) {
+        return new AwkRun(program, operands, host).run(assignments);
+    }
+    /**
+     * The state of running a program: variables, the current record and its
+     * fields, and where input and output have got to
+     */
+    class AwkRun {
+        constructor(program, operands, host) {
+            this.program = program;
+            this.host = host;
+            this.globals = new Map();
+            this.frames = [];
+            this.record = '';
+            this.fields = [];
+            this.input = null;
+            this.argument = 1;
+            this.readFiles = false;
+            this.readers = new Map();
+            this.output = '';
+            this.errors = '';
+            this.files = new Map();
+            this.open = new Set();
+            this.regexes = new Map();
+            this.ranges = new Set();
+            this.line = 1;
+            this.seed = 0;
+            this.state = 0;
+            const set = (name, value) => {
+                this.globals.set(name, value);
+            };
+            set('FS', ' ');
+            set('OFS', ' ');
+            set('ORS', '\n');
+            set('RS', '\n');
+            set('NR', 0);
+            set('FNR', 0);
+            set('FILENAME', '');
+            set('SUBSEP', '\x1c');
+            set('RSTART', 0);
+            set('RLENGTH', -1);
+            set('CONVFMT', '%.6g');
+            set('OFMT', '%.6g');
+            set('ARGC', operands.length + 1);
+            set('ARGV', new Map(['awk', ...operands].map((arg, i) => [String(i), new StrNum(arg)])));
+            const environment = Object.entries(host.environment);
+            set('ENVIRON', new Map(environment.map(([name, value]) => [name, new StrNum(value)])));
+        }
+        *run(assignments) {
+            let exitCode = 0;
+            try {
+                for (const assignment of assignments) {
+                    if (!this.assignOperand(assignment)) {
+                        throw new AwkError(`fatal: \`${assignment}' argument to \`-v' not in \`var=value' form`);
+                    }
+                }
+                try {
+                    for (const action of this.program.begin) {
+                        yield* this.execute(action);
+                    }
+                    if (this.program.rules.length > 0 || this.program.end.length > 0) {
+                        yield* this.readRecords();
+                    }
+                }
+                catch (signal) {
+                    if (!(signal instanceof ExitSignal)) {
+                        throw signal;
+                    }
+                    exitCode = signal.status;
+                }
+                try {
+                    for (const action of this.program.end) {
+                        yield* this.execute(action);
+                    }
+                }
+                catch (signal) {
+                    if (!(signal instanceof ExitSignal)) {
+                        throw signal;
+                    }
+                    exitCode = signal.status;
+                }
+            }
+            catch (error) {
+                if (error instanceof AwkError) {
+                    this.errors += `${describeAwkError(error)}\n`;
+                }
+                else if (error instanceof RangeError) {
+                    this.errors += `awk: ${this.where()}: fatal: function call nesting too deep\n`;
+                }
+                else {
+                    throw error;
+                }
+                exitCode = 2;
+            }
+            return {
+                output: this.output,
+                errors: this.errors,
+                exitCode,
+                files: Array.from(this.files.values()),
+            };
+        }
+        where() {
+            return `${this.program.source.name}:${this.line}`;
+        }
+        fatal(message) {
+            return new AwkError(`${this.where()}: fatal: ${message}`);
+        }
+        *readRecords() {
+            let record;
+            while ((record = this.nextRecord()) !== null) {
+                yield;
+                this.setRecord(record);
+                for (const rule of this.program.rules) {
+                    if (!(yield* this.selects(rule))) {
+                        continue;
+                    }
+                    try {
+                        if (rule.action) {
+                            yield* this.execute(rule.action);
+                        }
+                        else {
+                            yield* this.write(`${this.record}${this.getString('ORS')}`, null);
+                        }
+                    }
+                    catch (signal) {
+                        if (signal instanceof NextSignal) {
+                            break;
+                        }
+                        throw signal;
+                    }
+                }
+            }
+        }
+        /**
+         * Whether a rule's pattern matches the record. A range matches from a
+         * record matching its pattern through one matching its end.
+         */
+        *selects(rule) {
+            if (!rule.pattern) {
+                return true;
+            }
+            if (!rule.end) {
+                return this.truth(yield* this.evaluate(rule.pattern));
+            }
+            if (!this.ranges.has(rule)) {
+                if (!this.truth(yield* this.evaluate(rule.pattern))) {
+                    return false;
+                }
+                this.ranges.add(rule);
+            }
+            if (this.truth(yield* this.evaluate(rule.end))) {
+                this.ranges.delete(rule);
+            }
+            return true;
+        }
+        /**
+         * Reads the next record of the main input, moving through the operands
+         * in ARGV, counting it in NR and FNR
+         */
+        nextRecord() {
+            for (;;) {
+                if (!this.input && !this.openNextInput()) {
+                    return null;
+                }
+                const record = this.readRecord(this.input);
+                if (record !== null) {
+                    this.globals.set('NR', this.getNumber('NR') + 1);
+                    this.globals.set('FNR', this.getNumber('FNR') + 1);
+                    return record;
+                }
+                this.input = null;
+            }
+        }
+        openNextInput() {
+            const argv = this.getArray('ARGV');
+            while (this.argument < this.getNumber('ARGC')) {
+                const arg = this.toString(argv.get(String(this.argument++)));
+                if (!arg || this.assignOperand(arg)) {
+                    continue;
+                }
+                let text;
+                if (arg === '-') {
+                    text = this.host.stdin;
+                }
+                else {
+                    const file = this.host.readFile(arg);
+                    if (typeof file === 'string') {
+                        throw this.fatal(`cannot open file \`${arg}' for reading: ${file}`);
+                    }
+                    text = file.content;
+                }
+                this.readFiles = true;
+                this.globals.set('FILENAME', arg);
+                this.globals.set('FNR', 0);
+                this.input = { text, pos: 0 };
+                return true;
+            }
+            if (this.readFiles) {
+                return false;
+            }
+            this.readFiles = true;
+            this.input = { text: this.host.stdin, pos: 0 };
+            return true;
+        }
+        /**
+         * Makes an assignment given as an operand or with -v, resolving escapes
+         * in the value. Gives false when it isn't one.
+         */
+        assignOperand(operand) {
+            const match = operand.match(/^([A-Za-z_][A-Za-z0-9_]*)=([^]*)$/);
+            if (!match) {
+                return false;
+            }
+            this.setVariable(match[1], new StrNum(unescapeString(match[2])));
+            return true;
+        }
+        /**
+         * Reads the next record from an input, separated by RS: a newline, any
+         * other character, a regular expression, or blank lines when it's empty
+         */
+        readRecord(input) {
+            const separator = this.getString('RS');
+            const { text } = input;
+            if (separator === '') {
+                while (text[input.pos] === '\n') {
+                    input.pos++;
+                }
+            }
+            if (input.pos >= text.length) {
+                return null;
+            }
+            let end;
+            let next;
+            if (separator.length === 1) {
+                end = text.indexOf(separator, input.pos);
+                next = end + 1;
+            }
+            else {
+                const regex = new RegExp(separator === '' ? '\n\n+' : this.regex(separator).source, 'g');
+                regex.lastIndex = input.pos;
+                const match = regex.exec(text);
+                end = match ? match.index : -1;
+                next = match ? end + match[0].length : -1;
+            }
+            if (end === -1) {
+                end = text.length;
+                next = text.length;
+                if (separator === '' && text.endsWith('\n')) {
+                    end--;
+                }
+            }
+            const record = text.slice(input.pos, end);
+            input.pos = next;
+            return record;
+        }
+        setRecord(record) {
+            this.record = record;
+            this.fields = this.split(record, this.getString('FS'));
+        }
+        /**
+         * Splits text into fields: at runs of blanks for a single space, at a
+         * single character, or at matches of a regular expression. Newlines
+         * separate fields too when RS is empty.
+         */
+        split(text, separator) {
+            const paragraphs = this.getString('RS') === '';
+            if (separator === ' ') {
+                const trimmed = text.replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+                return trimmed ? trimmed.split(/[ \t\n]+/) : [];
+            }
+            if (text === '') {
+                return [];
+            }
+            if (separator === '') {
+                return Array.from(text);
+            }
+            let regex;
+            if (separator instanceof RegExp) {
+                regex = separator;
+            }
+            else if (separator.length === 1 && separator !== '\\') {
+                regex = new RegExp(separator.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&'));
+            }
+            else {
+                regex = this.regex(separator);
+            }
+            const source = paragraphs ? `${regex.source}|\n` : regex.source;
+            const search = new RegExp(source, `${regex.flags.replace('g', '')}g`);
+            const fields = [];
+            let start = 0;
+            let match;
+            while ((match = search.exec(text))) {
+                if (match[0] === '') {
+                    search.lastIndex++;
+                    continue;
+                }
+                fields.push(text.slice(start, match.index));
+                start = match.index + match[0].length;
+            }
+            fields.push(text.slice(start));
+            return fields;
+        }
+        getField(index) {
+            if (index === 0) {
+                return new StrNum(this.record);
+            }
+            return index <= this.fields.length ? new StrNum(this.fields[index - 1]) : undefined;
+        }
+        /**
+         * Sets a field, adding empty ones up to it, and rebuilds the record
+         * joined with OFS. Setting $0 splits it into fields again.
+         */
+        setField(index, value) {
+            if (index === 0) {
+                this.setRecord(this.toString(value));
+                return;
+            }
+            while (this.fields.length < index) {
+                this.fields.push('');
+            }
+            this.fields[index - 1] = this.toString(value);
+            this.record = this.fields.join(this.getString('OFS'));
+        }
+        setFieldCount(count) {
+            count = Math.max(Math.trunc(count), 0);
+            this.fields = this.fields.slice(0, count);
+            while (this.fields.length < count) {
+                this.fields.push('');
+            }
+            this.record = this.fields.join(this.getString('OFS'));
+        }
+        *fieldIndex(expression) {
+            const index = Math.trunc(this.toNumber(yield* this.evaluate(expression)));
+            if (index < 0) {
+                throw this.fatal(`attempt to access field ${index}`);
+            }
+            return index;
+        }
+        /**
+         * The scope a name is in: the running function's parameters, or globals
+         */
+        scope(name) {
+            const frame = this.frames[this.frames.length - 1];
+            return frame && frame.has(name) ? frame : this.globals;
+        }
+        getVariable(name) {
+            if (name === 'NF') {
+                return this.fields.length;
+            }
+            const cell = this.scope(name).get(name);
+            if (cell instanceof Map) {
+                throw this.fatal(`attempt to use array \`${name}' in a scalar context`);
+            }
+            return cell;
+        }
+        setVariable(name, value) {
+            if (name === 'NF') {
+                this.setFieldCount(this.toNumber(value));
+                return;
+            }
+            const scope = this.scope(name);
+            if (scope.get(name) instanceof Map) {
+                throw this.fatal(`attempt to use array \`${name}' in a scalar context`);
+            }
+            scope.set(name, value);
+        }
+        getArray(name) {
+            const scope = this.scope(name);
+            const cell = scope.get(name);
+            if (cell instanceof Map) {
+                return cell;
+            }
+            if (cell !== undefined || name === 'NF') {
+                throw this.fatal(`attempt to use scalar \`${name}' as an array`);
+            }
+            const array = new Map();
+            scope.set(name, array);
+            return array;
+        }
+        getString(name) {
+            return this.toString(this.getVariable(name));
+        }
+        getNumber(name) {
+            return this.toNumber(this.getVariable(name));
+        }
+        toNumber(value) {
+            if (typeof value === 'number') {
+                return value;
+            }
+            if (value === undefined) {
+                return 0;
+            }
+            const text = typeof value === 'string' ? value : value.text;
+            const match = text.match(NUMERIC_PREFIX);
+            return match ? parseFloat(match[0]) : 0;
+        }
+        /**
+         * A value as a string, numbers formatted with CONVFMT, or with format for
+         * output. Whole numbers are always printed as integers.
+         */
+        toString(value, format) {
+            if (typeof value === 'string') {
+                return value;
+            }
+            if (value === undefined) {
+                return '';
+            }
+            if (value instanceof StrNum) {
+                return value.text;
+            }
+            if (Number.isInteger(value)) {
+                return Math.abs(value) < 1e21 ? String(value) : BigInt(value).toString();
+            }
+            return this.format(format || this.getString('CONVFMT'), [value]);
+        }
+        /**
+         * Whether a value compares as a number: a number, input that looks like
+         * one, or a value never set
+         */
+        isNumeric(value) {
+            return (typeof value === 'number' ||
+                value === undefined ||
+                (value instanceof StrNum && NUMERIC.test(value.text)));
+        }
+        truth(value) {
+            if (typeof value === 'number') {
+                return value !== 0;
+            }
+            if (value instanceof StrNum && NUMERIC.test(value.text)) {
+                return this.toNumber(value) !== 0;
+            }
+            return this.toString(value) !== '';
+        }
+        compare(left, right) {
+            if (this.isNumeric(left) && this.isNumeric(right)) {
+                const a = this.toNumber(left);
+                const b = this.toNumber(right);
+                return a < b ? -1 : a > b ? 1 : 0;
+            }
+            const a = this.toString(left);
+            const b = this.toString(right);
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+        /**
+         * A dynamic regular expression, from a string, compiled once
+         */
+        regex(pattern) {
+            let regex = this.regexes.get(pattern);
+            if (!regex) {
+                try {
+                    regex = new RegExp(translateRegex(pattern, true));
+                }
+                catch (error) {
+                    if (error instanceof RegexError) {
+                        throw this.fatal(`${error.message}: /${pattern}/`);
+                    }
+                    throw error;
+                }
+                this.regexes.set(pattern, regex);
+            }
+            return regex;
+        }
+        /**
+         * The regular expression an operand stands for: a /literal/, or the
+         * string a value gives
+         */
+        *toRegex(expression) {
+            if (expression.kind === 'regex') {
+                return expression.regex;
+            }
+            return this.regex(this.toString(yield* this.evaluate(expression)));
+        }
+        *subscript(subscripts) {
+            const keys = [];
+            for (const subscript of subscripts) {
+                keys.push(this.toString(yield* this.evaluate(subscript)));
+            }
+            return keys.join(this.getString('SUBSEP'));
+        }
+        /**
+         * Something that can be assigned to, resolved once so a[i++] += 1 only
+         * increments i once
+         */
+        *reference(target) {
+            if (target.kind === 'field') {
+                const index = yield* this.fieldIndex(target.index);
+                return { get: () => this.getField(index), set: (value) => this.setField(index, value) };
+            }
+            if (target.kind === 'index') {
+                const array = this.getArray(target.name);
+                const key = yield* this.subscript(target.subscripts);
+                return { get: () => array.get(key), set: (value) => array.set(key, value) };
+            }
+            if (target.kind === 'var') {
+                const { name } = target;
+                return {
+                    get: () => this.getVariable(name),
+                    set: (value) => this.setVariable(name, value),
+                };
+            }
+            throw this.fatal('attempt to assign to a value that is not a variable');
+        }
+        *write(text, redirect) {
+            if (!redirect) {
+                this.output += text;
+                return;
+            }
+            const path = this.toString(yield* this.evaluate(redirect.target));
+            if (path === '/dev/stdout' || path === '-') {
+                this.output += text;
+            }
+            else if (path === '/dev/stderr') {
+                this.errors += text;
+            }
+            else {
+                // The first > after opening truncates; later prints add to the file
+                if (!this.open.has(path)) {
+                    this.open.add(path);
+                    const file = this.files.get(path);
+                    if (redirect.mode === '>' || !file) {
+                        this.files.set(path, { path, content: '', append: redirect.mode === '>>' });
+                    }
+                }
+                this.files.get(path).content += text;
+            }
+        }
+        *execute(statement) {
+            this.line = statement.line;
+            switch (statement.kind) {
+                case 'expression':
+                    yield* this.evaluate(statement.expression);
+                    break;
+                case 'print': {
+                    const values = yield* this.evaluateAll(statement.args);
+                    const ofmt = this.getString('OFMT');
+                    const text = values.length === 0
+                        ? this.record
+                        : values.map((value) => this.toString(value, ofmt)).join(this.getString('OFS'));
+                    yield* this.write(`${text}${this.getString('ORS')}`, statement.redirect);
+                    break;
+                }
+                case 'printf': {
+                    const [format, ...values] = yield* this.evaluateAll(statement.args);
+                    yield* this.write(this.format(this.toString(format), values), statement.redirect);
+                    break;
+                }
+                case 'block':
+                    for (const child of statement.body) {
+                        yield* this.execute(child);
+                    }
+                    break;
+                case 'if':
+                    if (this.truth(yield* this.evaluate(statement.test))) {
+                        yield* this.execute(statement.then);
+                    }
+                    else if (statement.else) {
+                        yield* this.execute(statement.else);
+                    }
+                    break;
+                case 'while':
+                    while (this.truth(yield* this.evaluate(statement.test))) {
+                        if (yield* this.loop(statement.body)) {
+                            break;
+                        }
+                    }
+                    break;
+                case 'do':
+                    do {
+                        if (yield* this.loop(statement.body)) {
+                            break;
+                        }
+                    } while (this.truth(yield* this.evaluate(statement.test)));
+                    break;
+                case 'for':
+                    if (statement.init) {
+                        yield* this.evaluate(statement.init);
+                    }
+                    while (!statement.test || this.truth(yield* this.evaluate(statement.test))) {
+                        if (yield* this.loop(statement.body)) {
+                            break;
+                        }
+                        if (statement.update) {
+                            yield* this.evaluate(statement.update);
+                        }
+                    }
+                    break;
+                case 'forIn': {
+                    const array = this.getArray(statement.array);
+                    for (const key of Array.from(array.keys())) {
+                        if (!array.has(key)) {
+                            continue;
+                        }
+                        this.setVariable(statement.variable, new StrNum(key));
+                        if (yield* this.loop(statement.body)) {
+                            break;
+                        }
+                    }
+                    break;
+                }
+                case 'delete': {
+                    const array = this.getArray(statement.name);
+                    if (statement.subscripts) {
+                        array.delete(yield* this.subscript(statement.subscripts));
+                    }
+                    else {
+                        array.clear();
+                    }
+                    break;
+                }
+                case 'next':
+                    throw new NextSignal();
+                case 'break':
+                    throw new BreakSignal();
+                case 'continue':
+                    throw new ContinueSignal();
+                case 'exit':
+                    throw new ExitSignal(statement.value
+                        ? Math.trunc(this.toNumber(yield* this.evaluate(statement.value))) & 255
+                        : 0);
+                case 'return':
+                    throw new ReturnSignal(statement.value ? yield* this.evaluate(statement.value) : undefined);
+            }
+        }
+        /**
+         * Runs a loop's body once, giving true when break leaves the loop
+         */
+        *loop(body) {
+            yield;
+            try {
+                yield* this.execute(body);
+            }
+            catch (signal) {
+                if (signal instanceof BreakSignal) {
+                    return true;
+                }
+                if (!(signal instanceof ContinueSignal)) {
+                    throw signal;
+                }
+            }
+            return false;
+        }
+        *evaluateAll(expressions) {
+            const values = [];
+            for (const expression of expressions) {
+                values.push(yield* this.evaluate(expression));
+            }
+            return values;
+        }
+        *evaluate(expression) {
+            switch (expression.kind) {
+                case 'number':
+                case 'string':
+                    return expression.value;
+                case 'regex':
+                    return expression.regex.test(this.record) ? 1 : 0;
+                case 'var':
+                    return this.getVariable(expression.name);
+                case 'index': {
+                    // Reading an element creates it, as in every awk
+                    const array = this.getArray(expression.name);
+                    const key = yield* this.subscript(expression.subscripts);
+                    if (!array.has(key)) {
+                        array.set(key, undefined);
+                    }
+                    return array.get(key);
+                }
+                case 'field':
+                    return this.getField(yield* this.fieldIndex(expression.index));
+                case 'group':
+                    throw this.fatal('a list in parentheses only goes before in, or after print');
+                case 'assign': {
+                    const value = yield* this.evaluate(expression.value);
+                    const reference = yield* this.reference(expression.target);
+                    const result = expression.op === '='
+                        ? value
+                        : this.arithmetic(expression.op.slice(0, -1), this.toNumber(reference.get()), this.toNumber(value));
+                    reference.set(result);
+                    return result;
+                }
+                case 'increment': {
+                    const reference = yield* this.reference(expression.target);
+                    const old = this.toNumber(reference.get());
+                    const value = expression.op === '++' ? old + 1 : old - 1;
+                    reference.set(value);
+                    return expression.prefix ? value : old;
+                }
+                case 'condition':
+                    return this.truth(yield* this.evaluate(expression.test))
+                        ? yield* this.evaluate(expression.yes)
+                        : yield* this.evaluate(expression.no);
+                case 'logical': {
+                    const left = this.truth(yield* this.evaluate(expression.left));
+                    if (expression.op === '&&' ? !left : left) {
+                        return left ? 1 : 0;
+                    }
+                    return this.truth(yield* this.evaluate(expression.right)) ? 1 : 0;
+                }
+                case 'in':
+                    return this.getArray(expression.name).has(yield* this.subscript(expression.subscripts))
+                        ? 1
+                        : 0;
+                case 'match': {
+                    const text = this.toString(yield* this.evaluate(expression.left));
+                    const matched = (yield* this.toRegex(expression.right)).test(text);
+                    return matched !== expression.negated ? 1 : 0;
+                }
+                case 'binary':
+                    return yield* this.binary(expression.op, expression.left, expression.right);
+                case 'unary': {
+                    const value = yield* this.evaluate(expression.operand);
+                    if (expression.op === '!') {
+                        return this.truth(value) ? 0 : 1;
+                    }
+                    return expression.op === '-' ? -this.toNumber(value) : this.toNumber(value);
+                }
+                case 'call':
+                    return yield* this.call(expression.name, expression.args);
+                case 'builtin':
+                    return yield* this.builtin(expression.name, expression.args);
+                case 'getline':
+                    return yield* this.getline(expression.target, expression.file);
+            }
+        }
+        *binary(op, leftExpression, rightExpression) {
+            const left = yield* this.evaluate(leftExpression);
+            const right = yield* this.evaluate(rightExpression);
+            switch (op) {
+                case ' ':
+                    return this.toString(left) + this.toString(right);
+                case '<':
+                    return this.compare(left, right) < 0 ? 1 : 0;
+                case '<=':
+                    return this.compare(left, right) <= 0 ? 1 : 0;
+                case '==':
+                    return this.compare(left, right) === 0 ? 1 : 0;
+                case '!=':
+                    return this.compare(left, right) !== 0 ? 1 : 0;
+                case '>=':
+                    return this.compare(left, right) >= 0 ? 1 : 0;
+                case '>':
+                    return this.compare(left, right) > 0 ? 1 : 0;
+                default:
+                    return this.arithmetic(op, this.toNumber(left), this.toNumber(right));
+            }
+        }
+        arithmetic(op, left, right) {
+            switch (op) {
+                case '+':
+                    return left + right;
+                case '-':
+                    return left - right;
+                case '*':
+                    return left * right;
+                case '/':
+                    if (right === 0) {
+                        throw this.fatal('division by zero attempted');
+                    }
+                    return left / right;
+                case '%':
+                    if (right === 0) {
+                        throw this.fatal("division by zero attempted in `%'");
+                    }
+                    return left % right;
+                default:
+                    return Math.pow(left, right);
+            }
+        }
+        /**
+         * Calls a function. Arrays are passed by reference and scalars by value;
+         * a variable never set becomes an array if the function uses it as one.
+         */
+        *call(name, args) {
+            const fn = this.program.functions.get(name);
+            if (args.length > fn.params.length) {
+                throw this.fatal(`function \`${name}' called with more arguments than declared`);
+            }
+            const frame = new Map();
+            const unset = [];
+            for (const [i, param] of fn.params.entries()) {
+                const arg = args[i];
+                if (arg && arg.kind === 'var' && arg.name !== 'NF') {
+                    const scope = this.scope(arg.name);
+                    const cell = scope.get(arg.name);
+                    if (cell instanceof Map) {
+                        frame.set(param, cell);
+                        continue;
+                    }
+                    if (cell === undefined) {
+                        unset.push([param, arg.name, scope]);
+                    }
+                }
+                frame.set(param, arg ? yield* this.evaluate(arg) : undefined);
+            }
+            const line = this.line;
+            this.frames.push(frame);
+            let result;
+            try {
+                yield* this.execute(fn.body);
+            }
+            catch (signal) {
+                if (!(signal instanceof ReturnSignal)) {
+                    throw signal;
+                }
+                result = signal.value;
+            }
+            finally {
+                this.frames.pop();
+                this.line = line;
+            }
+            for (const [param, variable, scope] of unset) {
+                const cell = frame.get(param);
+                if (cell instanceof Map && scope.get(variable) === undefined) {
+                    scope.set(variable, cell);
+                }
+            }
+            return result;
+        }
+        /**
+         * Reads a record with getline: the next one of the input, setting NR and
+         * FNR, or one from a file. Gives 1, 0 at the end, or -1 when the file
+         * can't be read.
+         */
+        *getline(target, file) {
+            let record;
+            if (file) {
+                const path = this.toString(yield* this.evaluate(file));
+                let reader = this.readers.get(path);
+                if (!reader) {
+                    const opened = path === '-' ? { content: this.host.stdin } : this.host.readFile(path);
+                    if (typeof opened === 'string') {
+                        return -1;
+                    }
+                    reader = { text: opened.content, pos: 0 };
+                    this.readers.set(path, reader);
+                }
+                record = this.readRecord(reader);
+            }
+            else {
+                record = this.nextRecord();
+            }
+            if (record === null) {
+                return 0;
+            }
+            if (target) {
+                (yield* this.reference(target)).set(new StrNum(record));
+            }
+            else {
+                this.setRecord(record);
+            }
+            return 1;
+        }
+        *builtin(name, args) {
+            const value = (i) => this.operand(args[i]);
+            switch (name) {
+                case 'length': {
+                    if (args.length === 0) {
+                        return this.record.length;
+                    }
+                    const arg = args[0];
+                    if (arg.kind === 'var' && this.scope(arg.name).get(arg.name) instanceof Map) {
+                        return this.getArray(arg.name).size;
+                    }
+                    return this.toString(yield* value(0)).length;
+                }
+                case 'substr': {
+                    const text = this.toString(yield* value(0));
+                    const start = Math.round(this.toNumber(yield* value(1)));
+                    const end = args.length > 2 ? start + Math.round(this.toNumber(yield* value(2))) : Infinity;
+                    const from = Math.max(start, 1);
+                    const to = Math.min(end, text.length + 1);
+                    return to > from ? text.slice(from - 1, to - 1) : '';
+                }
+                case 'index':
+                    return this.toString(yield* value(0)).indexOf(this.toString(yield* value(1))) + 1;
+                case 'split': {
+                    if (!args[1] || args[1].kind !== 'var') {
+                        throw this.fatal('split: second argument is not an array');
+                    }
+                    const text = this.toString(yield* value(0));
+                    const separator = args[2]
+                        ? args[2].kind === 'regex'
+                            ? args[2].regex
+                            : this.toString(yield* value(2))
+                        : this.getString('FS');
+                    const parts = this.split(text, separator);
+                    const array = this.getArray(args[1].name);
+                    array.clear();
+                    parts.forEach((part, i) => array.set(String(i + 1), new StrNum(part)));
+                    return parts.length;
+                }
+                case 'sub':
+                case 'gsub':
+                    return yield* this.substitute(args, name === 'gsub');
+                case 'match': {
+                    const match = (yield* this.toRegex(args[1])).exec(this.toString(yield* value(0)));
+                    const start = match ? match.index + 1 : 0;
+                    this.globals.set('RSTART', start);
+                    this.globals.set('RLENGTH', match ? match[0].length : -1);
+                    return start;
+                }
+                case 'sprintf':
+                    return args.length === 0
+                        ? ''
+                        : this.format(this.toString(yield* value(0)), yield* this.evaluateAll(args.slice(1)));
+                case 'sin':
+                    return Math.sin(this.toNumber(yield* value(0)));
+                case 'cos':
+                    return Math.cos(this.toNumber(yield* value(0)));
+                case 'atan2':
+                    return Math.atan2(this.toNumber(yield* value(0)), this.toNumber(yield* value(1)));
+                case 'exp':
+                    return Math.exp(this.toNumber(yield* value(0)));
+                case 'log':
+                    return Math.log(this.toNumber(yield* value(0)));
+                case 'sqrt':
+                    return Math.sqrt(this.toNumber(yield* value(0)));
+                case 'int':
+                    return Math.trunc(this.toNumber(yield* value(0)));
+                case 'rand':
+                    return this.random();
+                case 'srand': {
+                    const previous = this.seed;
+                    this.seed =
+                        args.length > 0 ? this.toNumber(yield* value(0)) : Math.floor(Date.now() / 1000);
+                    this.state = this.seed;
+                    return previous;
+                }
+                case 'tolower':
+                    return this.toString(yield* value(0)).toLowerCase();
+                case 'toupper':
+                    return this.toString(yield* value(0)).toUpperCase();
+                case 'close': {
+                    const path = this.toString(yield* value(0));
+                    const known = this.open.has(path) || this.readers.has(path);
+                    this.open.delete(path);
+                    this.readers.delete(path);
+                    return known ? 0 : -1;
+                }
+                default:
+                    return 0;
+            }
+        }
+        /**
+         * sub and gsub: replaces the first match, or every one, in the target,
+         * $0 by default. & in the replacement is the match and \\& a literal &.
+         */
+        /**
+         * A builtin's argument's value, or undefined where it's left out
+         */
+        *operand(arg) {
+            return arg ? yield* this.evaluate(arg) : undefined;
+        }
+        *substitute(args, global) {
+            if (args.length < 2) {
+                throw this.fatal(`${global ? 'gsub' : 'sub'}: not enough arguments`);
+            }
+            const regex = yield* this.toRegex(args[0]);
+            const replacement = this.toString(yield* this.evaluate(args[1]));
+            const target = yield* this.reference(args[2] || { kind: 'field', index: { kind: 'number', value: 0 } });
+            const text = this.toString(target.get());
+            const search = new RegExp(regex.source, 'g');
+            let result = '';
+            let last = 0;
+            let count = 0;
+            let match;
+            while ((match = search.exec(text))) {
+                const matched = match[0];
+                result += text.slice(last, match.index);
+                result += replacement.replace(/\\\\|\\&|&/g, (part) => part === '&' ? matched : part.slice(1));
+                last = match.index + matched.length;
+                count++;
+                if (!global) {
+                    break;
+                }
+                if (matched === '') {
+                    // An empty match moves on a character, keeping it
+                    if (search.lastIndex < text.length) {
+                        result += text[search.lastIndex];
+                    }
+                    last = ++search.lastIndex;
+                }
+            }
+            if (count > 0) {
+                target.set(result + text.slice(last));
+            }
+            return count;
+        }
+        /**
+         * The next of a repeatable sequence of numbers from 0 up to 1, which
+         * srand seeds
+         */
+        random() {
+            this.state = (this.state + 0x6d2b79f5) | 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        /**
+         * Formats values as printf does, with %c, %d, %i, %o, %x, %X, %u, %s,
+         * %e, %f, %g and their flags, widths and precisions, * taking one from
+         * the values
+         */
+        format(format, values) {
+            let next = 0;
+            const take = () => values[next++];
+            const pattern = /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?([cdiouxXseEfFgG%])/g;
+            return format.replace(pattern, (spec, flags, width, precision, conversion) => {
+                if (conversion === '%') {
+                    return '%';
+                }
+                let minWidth = width === '*' ? Math.trunc(this.toNumber(take())) : width ? parseInt(width, 10) : 0;
+                if (minWidth < 0) {
+                    flags += '-';
+                    minWidth = -minWidth;
+                }
+                let digits;
+                if (precision !== undefined) {
+                    digits =
+                        precision === '*' ? Math.trunc(this.toNumber(take())) : parseInt(precision || '0', 10);
+                }
+                const value = take();
+                let sign = '';
+                let prefix = '';
+                let body;
+                const number = this.toNumber(value);
+                const signOf = (negative) => negative ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+                switch (conversion) {
+                    case 'c':
+                        body =
+                            typeof value === 'number'
+                                ? String.fromCodePoint(Math.trunc(value) & 0x10ffff)
+                                : this.toString(value).slice(0, 1);
+                        break;
+                    case 's':
+                        body = this.toString(value);
+                        if (digits !== undefined) {
+                            body = body.slice(0, digits);
+                        }
+                        break;
+                    case 'd':
+                    case 'i':
+                    case 'o':
+                    case 'u':
+                    case 'x':
+                    case 'X': {
+                        const integer = Math.trunc(number);
+                        if (!isFinite(integer)) {
+                            sign = signOf(integer < 0 || Number.isNaN(integer));
+                            body = Number.isNaN(integer) ? 'nan' : 'inf';
+                            break;
+                        }
+                        const base = { o: 8, x: 16, X: 16 }[conversion] || 10;
+                        body = Math.abs(integer).toString(base);
+                        if (conversion === 'X') {
+                            body = body.toUpperCase();
+                        }
+                        if (digits !== undefined) {
+                            body = digits === 0 && integer === 0 ? '' : body.padStart(digits, '0');
+                        }
+                        if (flags.includes('#') && integer !== 0) {
+                            prefix =
+                                conversion === 'o' ? '0' : conversion === 'x' ? '0x' : conversion === 'X' ? '0X' : '';
+                        }
+                        sign = 'di'.includes(conversion) ? signOf(integer < 0) : integer < 0 ? '-' : '';
+                        break;
+                    }
+                    default:
+                        sign = signOf(number < 0 || Object.is(number, -0));
+                        body = formatFloat(Math.abs(number), conversion, digits === undefined ? 6 : digits, flags.includes('#'));
+                }
+                const length = sign.length + prefix.length + body.length;
+                if (length >= minWidth) {
+                    return sign + prefix + body;
+                }
+                if (flags.includes('-')) {
+                    return (sign + prefix + body).padEnd(minWidth);
+                }
+                const zeros = flags.includes('0') &&
+                    !'cs'.includes(conversion) &&
+                    (digits === undefined || 'eEfFgG'.includes(conversion));
+                if (zeros && isFinite(number)) {
+                    return sign + prefix + body.padStart(minWidth - sign.length - prefix.length, '0');
+                }
+                return (sign + prefix + body).padStart(minWidth);
+            });
+        }
+    }
+    /**
+     * Formats a number that isn't negative with %e, %f or %g, and their
+     * capitals, the way C's printf does
+     */
+    function formatFloat(value, conversion, digits, alternate) {
+        const upper = conversion === conversion.toUpperCase();
+        digits = Math.min(digits, 100);
+        let text;
+        if (!isFinite(value)) {
+            text = Number.isNaN(value) ? 'nan' : 'inf';
+        }
+        else if (conversion === 'f' || conversion === 'F') {
+            text = value.toFixed(digits);
+        }
+        else if (conversion === 'e' || conversion === 'E') {
+            text = exponential(value, digits);
+        }
+        else {
+            const precision = digits === 0 ? 1 : digits;
+            const exponent = value === 0 ? 0 : parseInt(value.toExponential(precision - 1).split('e')[1], 10);
+            text =
+                exponent < -4 || exponent >= precision
+                    ? exponential(value, precision - 1)
+                    : value.toFixed(precision - 1 - exponent);
+            if (!alternate && text.includes('.')) {
+                text = text.replace(/\.?0+(e|$)/, '$1');
+            }
+        }
+        return upper ? text.toUpperCase() : text;
+    }
+    /**
+     * %e: one digit, the fraction, and an exponent of at least two digits
+     */
+    function exponential(value, digits) {
+        const [mantissa, exponent] = value.toExponential(digits).split('e');
+        return `${mantissa}e${exponent[0]}${exponent.slice(1).padStart(2, '0')}`;
+    }
+
+    // Processes: signals for kill, and the fields ps and /proc show
+    // Signal numbers as on Linux x86
+    const SIGNALS = [
+        ['HUP', 1],
+        ['INT', 2],
+        ['QUIT', 3],
+        ['KILL', 9],
+        ['USR1', 10],
+        ['USR2', 12],
+        ['PIPE', 13],
+        ['ALRM', 14],
+        ['TERM', 15],
+        ['CHLD', 17],
+        ['CONT', 18],
+        ['STOP', 19],
+        ['TSTP', 20],
+        ['TTIN', 21],
+        ['TTOU', 22],
+    ];
+    // How jobs describes a job a signal ended, as bash does
+    const SIGNAL_DESCRIPTIONS = {
+        1: 'Hangup',
+        2: 'Interrupt',
+        3: 'Quit',
+        9: 'Killed',
+        10: 'User defined signal 1',
+        12: 'User defined signal 2',
+        13: 'Broken pipe',
+        14: 'Alarm clock',
+        15: 'Terminated',
+    };
+    const SIGINT = 2;
+    const SIGTERM = 15;
+    const SIGCONT = 18;
+    const SIGSTOP = 19;
+    const SIGTSTP = 20;
+    /**
+     * Whether a signal stops a process rather than ending it
+     */
+    function isStopSignal(signal) {
+        return signal === SIGSTOP || signal === SIGTSTP || signal === 21 || signal === 22;
+    }
+    /**
+     * Parses a signal name with or without SIG, in any case, or a number.
+     * Gives null for signals that don't exist.
+     */
+    function parseSignal(spec) {
+        if (/^\d+$/.test(spec)) {
+            const signal = parseInt(spec, 10);
+            return signal === 0 || signalName(signal) !== null ? signal : null;
+        }
+        const name = spec.toUpperCase().replace(/^SIG/, '');
+        const entry = SIGNALS.find(([other]) => other === name);
+        return entry ? entry[1] : null;
+    }
+    /**
+     * The name of a signal without SIG, or null for an unknown number
+     */
+    function signalName(signal) {
+        const entry = SIGNALS.find(([, number]) => number === signal);
+        return entry ? entry[0] : null;
+    }
+    /**
+     * What jobs shows for a job a signal ended
+     */
+    function signalDescription(signal) {
+        return SIGNAL_DESCRIPTIONS[signal] || `Signal ${signal}`;
+    }
+    /**
+     * The signal table as kill -l prints it
+     */
+    function formatSignalList() {
+        const lines = [];
+        for (let i = 0; i < SIGNALS.length; i += 5) {
+            lines.push(SIGNALS.slice(i, i + 5)
+                .map(([name, number]) => `${String(number).padStart(2)}) SIG${name}`.padEnd(16))
+                .join('')
+                .trimEnd());
+        }
+        return lines.join('\n') + '\n';
+    }
+    /**
+     * HH:MM of a time, as ps shows when a process started
+     */
+    function formatStartTime(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    /**
+     * The contents of /proc/PID/status
+     */
+    function formatProcStatus(process, state, uid, gid) {
+        const states = {
+            R: 'R (running)',
+            S: 'S (sleeping)',
+            T: 'T (stopped)',
+        };
+        const ids = (id) => `${id}\t${id}\t${id}\t${id}`;
+        return (`Name:\t${process.argv[0]}\n` +
+            `State:\t${states[state]}\n` +
+            `Pid:\t${process.pid}\n` +
+            `PPid:\t${process.ppid}\n` +
+            `Uid:\t${ids(uid)}\n` +
+            `Gid:\t${ids(gid)}\n`);
+    }
+
+    // Unix Shell JS - Browser-based Unix/Linux Command Emulator
+    // Main entry point for the library
+    // What persistence saves, each under the prefix and its own key. Each
+    // file is saved under a key of its own too, such as unixshell_file_3.
+    const STORAGE_KEYS = ['filesystem', 'current_user', 'current_path', 'session'];
+    /**
+     * Whether a node of a saved filesystem tree is a StoredFile
+     */
+    function isStoredFile(node) {
+        return (typeof node === 'object' &&
+            node !== null &&
+            node.type === 'file' &&
+            typeof node.id === 'number');
+    }
+    /**
+     * Numbers of the files in a saved filesystem tree
+     */
+    function storedFileIds(node, ids = new Set()) {
+        if (isStoredFile(node)) {
+            ids.add(node.id);
+        }
+        else if (typeof node === 'object' && node !== null) {
+            const entries = directoryEntries(node);
+            for (const child of Object.values(entries || {})) {
+                storedFileIds(child, ids);
+            }
+        }
+        return ids;
+    }
+    // Lines of history kept, in memory and in the history file, unless
+    // $HISTSIZE and $HISTFILESIZE say otherwise
+    const HISTORY_SIZE = 500;
+    // Process ID of the login shell ($$); commands and jobs get the ones after it
+    const SHELL_PID = 100;
+    // The terminal the shell and everything it starts run on
+    const TTY = 'pts/0';
+    // Symlinks followed in one path lookup before giving up, as on Linux
+    const MAX_SYMLINKS = 40;
+    // Filters that read stdin a line at a time, so they can read a pipe as the
+    // stage before them writes to it
+    const PIPE_READERS = [
+        'cat',
+        'grep',
+        'head',
+        'tail',
+        'wc',
+        'sort',
+        'uniq',
+        'cut',
+        'tr',
+        'tee',
+        'sed',
+    ];
+    // Commands and turns of loops run between pauses for the event loop
+    const STEPS_PER_YIELD = 500;
+    // Deepest function recursion allowed before giving up, well within the JS stack
+    const MAX_FUNCTION_DEPTH = 300;
+    /**
+     * Unwinds the interpreter for break, continue, return and exit. Command
+     * handlers throw these, so error handling must let them through.
+     */
+    class ControlSignal {
+    }
+    /**
+     * Thrown by break and continue, and caught by the enclosing loop
+     */
+    class LoopControl extends ControlSignal {
+        constructor(kind, levels) {
+            super();
+            this.kind = kind;
+            this.levels = levels;
+        }
+    }
+    /**
+     * Thrown by return, and caught by the function or sourced file that is running
+     */
+    class FunctionReturn extends ControlSignal {
+        constructor(status) {
+            super();
+            this.status = status;
+        }
+    }
+    /**
+     * Thrown by exit inside a script, and caught where the script was started
+     */
+    class ScriptExit extends ControlSignal {
+        constructor(status) {
+            super();
+            this.status = status;
+        }
+    }
+    /**
+     * A pause while an async command's promise settles. executeAsync waits for
+     * it before resuming; the synchronous methods can't, so they resume straight
+     * away and the command finds it unsettled.
+     */
+    class Waiting {
+        constructor(promise) {
+            this.settled = false;
+            this.failed = false;
+            this.settling = promise.then((value) => {
+                this.settled = true;
+                this.value = value;
+            }, (error) => {
+                this.settled = this.failed = true;
+                this.error = error;
+            });
+        }
+        /** Resolves, and never rejects, once the promise settles */
+        get done() {
+            return this.settling;
+        }
+        /**
+         * The promise's value, throwing its error if it was rejected
+         */
+        result() {
+            if (!this.settled) {
+                throw new Error('asynchronous commands need executeAsync');
+            }
+            if (this.failed) {
+                throw this.error;
+            }
+            return this.value;
+        }
+    }
+    /**
+     * A pause that gives the event loop a turn, which running shell code makes
+     * every so often (see checkpoint). Only waiting for it makes the timer, so
+     * the synchronous methods, which resume straight away, cost nothing.
+     */
+    class Yielding extends Waiting {
+        constructor() {
+            super(Promise.resolve());
+        }
+        get done() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+    /**
+     * Interrupts a command line, as Ctrl-C does. Its commands see it as
+     * context.signal.
+     */
+    class Interrupter {
+        constructor() {
+            this.aborted = false;
+            this.resolve = () => undefined;
+            this.listeners = [];
+            this.interrupted = new Promise((resolve) => (this.resolve = resolve));
+        }
+        addEventListener(type, listener) {
+            this.listeners.push(listener);
+        }
+        removeEventListener(type, listener) {
+            this.listeners = this.listeners.filter((other) => other !== listener);
+        }
+        abort() {
+            if (!this.aborted) {
+                this.aborted = true;
+                this.resolve();
+                this.listeners.forEach((listener) => listener());
+            }
+        }
+    }
+    /**
+     * The request a built-in that runs other commands, such as sh or sudo, makes
+     * when one of those commands stops for the terminal or an async command.
+     * runBuiltin resumes the run itself, so the commands inside still read their
+     * own stdin and their cleanup happens if the run is abandoned.
+     */
+    class PausedRun {
+        constructor(run, pause) {
+            this.run = run;
+            this.pause = pause;
+        }
+        get prompt() {
+            return this.pause instanceof Waiting ? '' : this.pause.prompt;
+        }
+        get masked() {
+            return this.pause instanceof Waiting ? false : this.pause.masked;
+        }
+        onAnswer(answer) {
+            return continueRun(this.run, answer);
+        }
+    }
+    /**
+     * The pipe from a pipeline stage that waits for an async command, or
+     * runs long enough to give the event loop a turn, to a filter after it, which reads it a line at a time as the stage runs. Once
+     * the filter has read what it needs the pipe closes, and the stage is
+     * stopped as SIGPIPE would stop it.
+     */
+    class Pipe {
+        constructor(parent) {
+            this.parent = parent;
+            /** Interrupts the stage writing to the pipe, with the command line or on its own */
+            this.interrupter = new Interrupter();
+            this.run = null;
+            this.buffer = '';
+            this.finished = false;
+            /** Where the stage stopped last, until it's passed on */
+            this.pause = null;
+            this.answer = null;
+            this.abort = () => this.interrupter.abort();
+            parent.addEventListener('abort', this.abort);
+        }
+        write(text) {
+            this.buffer += text;
+        }
+        /**
+         * Runs the stage writing to the pipe to the end, giving what it wrote.
+         * With a filter that reads as it goes, it only runs until it first waits
+         * for an async command or the event loop, giving the pipe for the filter
+         * to read the rest from.
+         */
+        *fill(run, reader) {
+            this.run = run;
+            for (;;) {
+                const step = run.next(this.answer);
+                if (step.done) {
+                    this.finished = true;
+                    return this.buffer;
+                }
+                if (reader && step.value instanceof Waiting) {
+                    this.pause = step.value;
+                    return this;
+                }
+                this.answer = yield step.value;
+            }
+        }
+        /**
+         * The next line written to the pipe, without its line break, running the
+         * stage writing to it until there is one. null once it has finished.
+         */
+        *readLine() {
+            while (!this.finished && !this.buffer.includes('\n')) {
+                if (!this.pause) {
+                    const step = this.run.next(this.answer);
+                    if (step.done) {
+                        this.finished = true;
+                        break;
+                    }
+                    this.pause = step.value;
+                }
+                const pause = this.pause;
+                this.pause = null;
+                this.answer = yield pause;
+            }
+            if (!this.buffer) {
+                return null;
+            }
+            const end = this.buffer.indexOf('\n');
+            const line = end === -1 ? this.buffer : this.buffer.slice(0, end);
+            this.buffer = end === -1 ? '' : this.buffer.slice(end + 1);
+            return line;
+        }
+        /**
+         * Stops the stage writing to the pipe, if it's still running
+         */
+        close() {
+            this.parent.removeEventListener('abort', this.abort);
+            if (!this.finished && this.run) {
+                this.finished = true;
+                this.interrupter.abort();
+                this.run.return(0);
+            }
+        }
+    }
+    /**
+     * Waits for a promise, resuming with its value once it settles
+     */
+    function* waitFor(promise) {
+        const waiting = new Waiting(promise);
+        yield waiting;
+        return waiting.result();
+    }
+    /**
+     * Runs a built-in's commands until they finish or have to stop
+     */
+    function continueRun(run, answer = null) {
+        const step = run.next(answer);
+        return step.done ? step.value : new PausedRun(run, step.value);
+    }
+    /**
+     * Runs to the end where there's no terminal, as for startup files, answering
+     * any request for input with end of input. Async commands can't be waited
+     * for, so they fail.
+     */
+    function runToEnd(run) {
+        let step = run.next(null);
+        while (!step.done) {
+            step = run.next(null);
+        }
+        return step.value;
+    }
+    /**
+     * Whether a handler's output asks for input rather than finishing the command
+     */
+    function isInputRequest(output) {
+        return typeof output === 'object' && 'onAnswer' in output;
+    }
+    function isPromise(output) {
+        return typeof output === 'object' && typeof output.then === 'function';
+    }
+    /**
+     * Whether a handler's output is all there is, as a string or result, rather
+     * than a request for input or something async
+     */
+    function isFinalOutput(output) {
+        return (typeof output !== 'object' ||
+            output === null ||
+            !(isInputRequest(output) || isPromise(output) || Symbol.asyncIterator in output));
+    }
+    // Interpreters a #! line can name
+    const SCRIPT_INTERPRETERS = ['sh', 'bash'];
+    // Modes new files and directories ask for, before the umask takes bits away
+    const NEW_FILE_MODE = 0o666;
+    const NEW_DIRECTORY_MODE = 0o777;
+    // What ls and stat report as the size of a directory
+    const DIRECTORY_SIZE = 4096;
+    // Access a permission check asks for, as in the rwx bits of a mode
+    const READ = 4;
+    const WRITE = 2;
+    const EXECUTE = 1;
+    // Sticky bit: only a file's owner may remove it from such a directory
+    const STICKY = 0o1000;
+    // Set-user-ID and set-group-ID bits, which hard links to others' files mustn't carry
+    const SETUID = 0o4000;
+    const SETGID = 0o2000;
+    // Modes for plain directories that differ from the default when upgraded
+    const UPGRADED_MODES = { '/tmp': 0o1777, '/root': 0o700 };
+    // Id of the nobody user, which a user missing from /etc/passwd runs as
+    const NOBODY_ID = 65534;
+    // Ids of the groups in a generated /etc/group
+    const SUDO_GID = 27;
+    const SHADOW_GID = 42;
+    // How long sudo remembers a password, as in its default timestamp_timeout
+    const SUDO_TIMEOUT = 15 * 60 * 1000;
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    /**
+     * Whether a node is already in the rich format. Plain directories only hold
+     * strings and objects, so a numeric mode tells the two apart.
+     */
+    function isInode(node) {
+        return typeof node === 'object' && typeof node.mode === 'number';
+    }
+    /**
+     * Entries of a directory in either format, or null for a file
+     */
+    function directoryEntries(node) {
+        if (isInode(node)) {
+            return node.type === 'directory' ? node.children : null;
+        }
+        return typeof node === 'object' ? node : null;
+    }
+    /**
+     * Looks up an entry of a directory, ignoring names inherited from Object
+     */
+    function getChild(dir, name) {
+        return Object.prototype.hasOwnProperty.call(dir.children, name) ? dir.children[name] : undefined;
+    }
+    /**
+     * Formats a time the way ls -l does: "Oct 19 14:03" for recent times and
+     * "Oct 19  2024" for anything more than six months away from now
+     */
+    function formatFileTime(time) {
+        const date = new Date(time);
+        const day = String(date.getDate()).padStart(2);
+        const sixMonths = (365.2425 / 2) * 24 * 60 * 60 * 1000;
+        if (Math.abs(Date.now() - time) < sixMonths) {
+            const hours = String(date.getHours()).padStart(2, '0');
+            const minutes = String(date.getMinutes()).padStart(2, '0');
+            return `${MONTHS[date.getMonth()]} ${day} ${hours}:${minutes}`;
+        }
+        return `${MONTHS[date.getMonth()]} ${day}  ${date.getFullYear()}`;
+    }
+    /**
+     * Formats a time as tar -tv and unzip -l do: "2024-10-19 14:03"
+     */
+    function formatShortTime(time) {
+        const date = new Date(time);
+        const parts = [date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()].map((part) => String(part).padStart(2, '0'));
+        return `${date.getFullYear()}-${parts[0]}-${parts[1]} ${parts[2]}:${parts[3]}`;
+    }
+    /**
+     * Contents of a file in either format, or null for a directory
+     */
+    function fileContent(node) {
+        if (typeof node === 'string') {
+            return node;
+        }
+        return isInode(node) && node.type === 'file' ? fileText(node) : null;
+    }
+    /**
+     * The bytes of a file: its text in UTF-8, or its base64 content decoded
+     */
+    function fileBytes(node) {
+        return node.encoding === 'base64' ? decodeBase64(node.content) : encodeUtf8(node.content);
+    }
+    /**
+     * A file's text. Binary files are decoded as UTF-8 with the bytes that
+     * aren't kept raw, so they go through pipes and redirects unchanged.
+     */
+    function fileText(node) {
+        return node.encoding === 'base64' ? decodeStream(decodeBase64(node.content)) : node.content;
+    }
+    /**
+     * Sets a file's content to text, or to bytes. Content that is UTF-8 is kept
+     * as the text it encodes, so it can still be edited, and other bytes, given
+     * as bytes or raw in text from a stream, in base64.
+     */
+    function setContent(node, content) {
+        const text = typeof content === 'string' ? content : decodeStream(content);
+        if (!hasRawBytes(text)) {
+            node.content = text;
+            delete node.encoding;
+        }
+        else {
+            node.content = encodeBase64(typeof content === 'string' ? encodeStream(content) : content);
+            node.encoding = 'base64';
+        }
+    }
+    /**
+     * Hands out the lines of a command's stdin one at a time, as su, sudo -S and
+     * passwd read passwords when it's piped
+     */
+    function lineReader(stdin) {
+        let position = 0;
+        return {
+            read: () => {
+                if (stdin === null || position >= stdin.length) {
+                    return null;
+                }
+                const end = stdin.indexOf('\n', position);
+                const line = stdin.slice(position, end === -1 ? stdin.length : end);
+                position = end === -1 ? stdin.length : end + 1;
+                return line;
+            },
+            rest: () => (stdin === null ? null : stdin.slice(position)),
+        };
+    }
+    /**
+     * Reads a line a built-in asks for: the next line of its stdin when that's
+     * piped or redirected, otherwise a line typed at the terminal
+     */
+    function* readLine(input, prompt, masked) {
+        return input.rest() === null ? yield { prompt, masked } : input.read();
+    }
+    // GNU grep's long options, and the short ones they stand for
+    const GREP_LONG_OPTIONS = {
+        'extended-regexp': 'E',
+        'fixed-strings': 'F',
+        'basic-regexp': 'G',
+        regexp: 'e',
+        file: 'f',
+        'ignore-case': 'i',
+        'invert-match': 'v',
+        'word-regexp': 'w',
+        'line-regexp': 'x',
+        count: 'c',
+        'files-with-matches': 'l',
+        'files-without-match': 'L',
+        'max-count': 'm',
+        'only-matching': 'o',
+        quiet: 'q',
+        silent: 'q',
+        'no-messages': 's',
+        'line-number': 'n',
+        'with-filename': 'H',
+        'no-filename': 'h',
+        recursive: 'r',
+        'dereference-recursive': 'R',
+        'after-context': 'A',
+        'before-context': 'B',
+        context: 'C',
+    };
+    // GNU ls's long options, and the short ones they stand for
+    const LS_LONG_OPTIONS = {
+        all: 'a',
+        'almost-all': 'A',
+        directory: 'd',
+        classify: 'F',
+        'human-readable': 'h',
+        recursive: 'R',
+        reverse: 'r',
+        width: 'w',
+    };
+    const LS_USAGE = `Usage: ls [OPTION]... [FILE]...
+List information about the FILEs (the current directory by default).
+Sort entries alphabetically if none of -tS is specified.
+
+  -a, --all                  do not ignore entries starting with .
+  -A, --almost-all           do not list implied . and ..
+      --color[=WHEN]         color the output WHEN: 'always', 'auto' or 'never'
+  -C                         list entries by columns
+  -d, --directory            list directories themselves, not their contents
+  -F, --classify             append indicator (one of */@) to entries
+  -h, --human-readable       with -l, print sizes like 1K 234M 2G etc.
+  -l                         use a long listing format
+  -r, --reverse              reverse order while sorting
+  -R, --recursive            list subdirectories recursively
+  -S                         sort by file size, largest first
+  -t                         sort by time, newest first
+  -w, --width=COLS           set output width to COLS; 0 means no limit
+  -x                         list entries by lines instead of by columns
+  -1                         list one file per line
+      --help                 display this help and exit
+
+Using color to distinguish file types is disabled both by default and
+with --color=never. With --color=auto, ls emits color codes only when
+standard output is connected to a terminal. The LS_COLORS environment
+variable can change the settings.`;
+    // GNU tar's long options, and the short ones they stand for
+    // rm's long options, and the short ones they stand for
+    const RM_LONG_OPTIONS = {
+        recursive: 'r',
+        force: 'f',
+        dir: 'd',
+        verbose: 'v',
+    };
+    const TAR_LONG_OPTIONS = {
+        create: 'c',
+        extract: 'x',
+        get: 'x',
+        list: 't',
+        file: 'f',
+        gzip: 'z',
+        gunzip: 'z',
+        ungzip: 'z',
+        verbose: 'v',
+        directory: 'C',
+    };
+    // gzip's long options, and the short ones they stand for
+    const GZIP_LONG_OPTIONS = {
+        decompress: 'd',
+        uncompress: 'd',
+        stdout: 'c',
+        'to-stdout': 'c',
+        force: 'f',
+        keep: 'k',
+        recursive: 'r',
+        verbose: 'v',
+    };
+    const UNZIP_USAGE = `Usage: unzip [-lnoq] [-d exdir] file[.zip] [list]
+  -l  list files (short format)
+  -d  extract files into exdir
+  -n  never overwrite existing files
+  -o  overwrite files WITHOUT prompting
+  -q  quiet mode`;
+    // Terminal colors for grep --color: matches, file names, line numbers and
+    // separators, as GNU grep's defaults
+    const GREP_COLORS = { match: '01;31', file: '35', line: '32', separator: '36' };
+    /**
+     * Wraps text in a terminal color, as grep --color does
+     */
+    function colorize(text, color) {
+        return text ? `\x1b[${color}m\x1b[K${text}\x1b[m\x1b[K` : '';
+    }
+    /**
+     * Turns long options into the short ones they stand for, for parseFlags,
+     * taking out --color. With grepNumbers, -NUM is -C NUM as in grep. Gives an
+     * error for unknown long options.
+     */
+    function expandLongOptions(args, longOptions, grepNumbers = false) {
+        const expanded = [];
+        let color = 'never';
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const long = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+            if (arg === '--') {
+                expanded.push(...args.slice(i));
+                break;
+            }
+            else if (grepNumbers && /^-\d+$/.test(arg)) {
+                expanded.push('-C', arg.slice(1));
+            }
+            else if (long && (long[1] === 'color' || long[1] === 'colour')) {
+                color = long[2] === undefined ? 'auto' : long[2];
+                if (!['never', 'always', 'auto'].includes(color)) {
+                    return `invalid argument '${color}' for '--color'`;
+                }
+            }
+            else if (long && longOptions[long[1]]) {
+                expanded.push(`-${longOptions[long[1]]}`);
+                if (long[2] !== undefined) {
+                    expanded.push(long[2]);
+                }
+            }
+            else if (long) {
+                return `unrecognized option '${arg}'`;
+            }
+            else {
+                expanded.push(arg);
+            }
+        }
+        return { args: expanded, color };
+    }
+    /**
+     * Greps the text of one file, giving what to print and whether any line
+     * was selected. separate puts -- before the first group of context lines,
+     * when an earlier file printed some.
+     */
+    function grepText(text, name, options, separate) {
+        const scan = new GrepScan(name, options, separate);
+        let output = '';
+        for (const line of textLines(text)) {
+            if (scan.done) {
+                break;
+            }
+            output += scan.line(line);
+        }
+        return { output: output + scan.end(), selected: scan.selected };
+    }
+    /**
+     * Greps one file a line at a time, as it's read from a pipe, giving what
+     * to print for each line and, at the end, what -c, -l and -L print
+     */
+    class GrepScan {
+        constructor(name, options, separate) {
+            this.name = name;
+            this.options = options;
+            this.separate = separate;
+            this.count = 0;
+            this.index = -1;
+            this.lastPrinted = -1;
+            this.afterLeft = 0;
+            /** The lines just before the current one, as many as -B may print */
+            this.recent = [];
+            this.context = !options.onlyMatching && (options.before > 0 || options.after > 0);
+        }
+        /** Whether any line was selected */
+        get selected() {
+            return this.count > 0;
+        }
+        /**
+         * Whether grep has read all it needs: -m lines and their trailing
+         * context, or with -q, -l and -L the first
+         */
+        get done() {
+            const { maxCount, summary } = this.options;
+            return ((this.count === maxCount && this.afterLeft === 0) ||
+                (this.count > 0 && summary !== null && summary !== 'count'));
+        }
+        /**
+         * What to print for the next line
+         */
+        line(text) {
+            const output = this.scan(++this.index, text);
+            if (this.options.before > 0) {
+                this.recent.push(text);
+                if (this.recent.length > this.options.before) {
+                    this.recent.shift();
+                }
+            }
+            return output;
+        }
+        /**
+         * What to print once the file has been read
+         */
+        end() {
+            const fileName = this.color(this.name, GREP_COLORS.file);
+            switch (this.options.summary) {
+                case 'count':
+                    return ((this.options.withFileNames ? fileName + this.color(':', GREP_COLORS.separator) : '') +
+                        `${this.count}\n`);
+                case 'matching':
+                    return this.count > 0 ? `${fileName}\n` : '';
+                case 'nonmatching':
+                    return this.count === 0 ? `${fileName}\n` : '';
+                default:
+                    return '';
+            }
+        }
+        scan(i, text) {
+            const options = this.options;
+            const matches = findMatches(text, options.regex, options.wholeWords);
+            const matched = matches.length > 0 !== options.invert;
+            if (!matched || this.count === options.maxCount) {
+                if (this.afterLeft > 0 && options.summary === null) {
+                    this.afterLeft--;
+                    return this.print(i, text, '-', matches);
+                }
+                return '';
+            }
+            this.count++;
+            if (options.summary !== null) {
+                return '';
+            }
+            let output = '';
+            if (options.onlyMatching) {
+                for (const [start, end] of matches.filter(([start, end]) => end > start)) {
+                    output +=
+                        this.prefix(i, ':') + this.color(text.slice(start, end), GREP_COLORS.match) + '\n';
+                }
+                return output;
+            }
+            // recent holds the lines from i - recent.length on
+            for (let j = Math.max(i - options.before, this.lastPrinted + 1, 0); j < i; j++) {
+                const before = this.recent[j - i + this.recent.length];
+                output += this.print(j, before, '-', findMatches(before, options.regex, options.wholeWords));
+            }
+            output += this.print(i, text, ':', options.invert ? [] : matches);
+            this.afterLeft = options.after;
+            return output;
+        }
+        print(index, text, separator, matches) {
+            let output = '';
+            if (this.context && (this.lastPrinted === -1 ? this.separate : index > this.lastPrinted + 1)) {
+                output += this.color('--', GREP_COLORS.separator) + '\n';
+            }
+            this.lastPrinted = index;
+            return output + this.prefix(index, separator) + this.highlight(text, matches) + '\n';
+        }
+        color(part, code) {
+            return this.options.color ? colorize(part, code) : part;
+        }
+        highlight(line, matches) {
+            if (!this.options.color) {
+                return line;
+            }
+            let result = '';
+            let last = 0;
+            for (const [start, end] of matches) {
+                result += line.slice(last, start) + colorize(line.slice(start, end), GREP_COLORS.match);
+                last = end;
+            }
+            return result + line.slice(last);
+        }
+        prefix(index, separator) {
+            const { withFileNames, lineNumbers } = this.options;
+            return ((withFileNames
+                ? this.color(this.name, GREP_COLORS.file) + this.color(separator, GREP_COLORS.separator)
+                : '') +
+                (lineNumbers
+                    ? this.color(String(index + 1), GREP_COLORS.line) +
+                        this.color(separator, GREP_COLORS.separator)
+                    : ''));
+        }
+    }
+    /**
+     * Splits a command's arguments into single-letter flags, which may be
+     * grouped as in -rv, and operands, in any order. -- ends the flags and a
+     * lone - is an operand. As with getopt, a letter followed by : in allowed
+     * takes an argument, joined (-n5) or separate (-n 5), and one followed by ::
+     * an optional one, only joined (-i.bak). Gives GNU's error for a letter not
+     * in allowed or a missing argument. With inOrder the flags end
+     * at the first operand, so the rest can be a command and its own flags.
+     */
+    function parseFlags(command, args, allowed, inOrder = false) {
+        const parsed = { flags: new Set(), values: {}, lists: {}, operands: [] };
+        const help = `Try '${command} --help' for more information.`;
+        let endOfFlags = false;
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (endOfFlags || !arg.startsWith('-') || arg === '-') {
+                parsed.operands.push(arg);
+                endOfFlags = endOfFlags || inOrder;
+                continue;
+            }
+            if (arg === '--') {
+                endOfFlags = true;
+                continue;
+            }
+            for (let j = 1; j < arg.length; j++) {
+                const flag = arg[j];
+                const index = allowed.indexOf(flag);
+                if (index === -1 || flag === ':') {
+                    return failure(`${command}: invalid option -- '${flag}'\n${help}`);
+                }
+                parsed.flags.add(flag);
+                if (allowed[index + 1] !== ':') {
+                    continue;
+                }
+                let value = arg.slice(j + 1);
+                if (!value && allowed[index + 2] !== ':') {
+                    if (i === args.length - 1) {
+                        return failure(`${command}: option requires an argument -- '${flag}'\n${help}`);
+                    }
+                    value = args[++i];
+                }
+                parsed.values[flag] = value;
+                (parsed.lists[flag] = parsed.lists[flag] || []).push(value);
+                break;
+            }
+        }
+        return parsed;
+    }
+    /**
+     * The last part of a path, ignoring trailing slashes
+     */
+    function baseName(path) {
+        const trimmed = path.replace(/\/+$/, '');
+        return trimmed ? trimmed.slice(trimmed.lastIndexOf('/') + 1) : '/';
+    }
+    /**
+     * The path of an entry in a directory
+     */
+    function joinPath(dir, name) {
+        return `${dir.replace(/\/+$/, '')}/${name}`;
+    }
+    /**
+     * Size of a node as stat reports it: bytes of content, 4096 for a
+     * directory, or the length of a link's target
+     */
+    function nodeSize(node) {
+        if (node.type === 'directory') {
+            return DIRECTORY_SIZE;
+        }
+        if (node.type === 'file') {
+            return node.encoding === 'base64' ? fileBytes(node).length : byteLength(node.content);
+        }
+        return byteLength(node.target);
+    }
+    /**
+     * The character an xargs -d delimiter stands for: itself, or an escape
+     * such as \n or \0. Gives null for anything longer.
+     */
+    function parseDelimiter(spec) {
+        const escapes = { n: '\n', t: '\t', '0': '\0', '\\': '\\' };
+        if (spec.length === 1) {
+            return spec;
+        }
+        return spec.length === 2 && spec[0] === '\\' && spec[1] in escapes ? escapes[spec[1]] : null;
+    }
+    /**
+     * Ends non-empty text with a newline, turning lines of output into a stream
+     */
+    function toLines(text) {
+        return text && !text.endsWith('\n') ? text + '\n' : text;
+    }
+    /**
+     * Builds a failed command result with an error message on stderr
+     */
+    function failure(message, exitCode = 1) {
+        return { stdout: '', stderr: toLines(message), exitCode };
+    }
+    /**
+     * The command name of a user's login shell, as ps shows it
+     */
+    function shellName(account) {
+        return account.shell.slice(account.shell.lastIndexOf('/') + 1) || 'bash';
+    }
+    /**
+     * Writes output to a command line's result and the host's listener, with
+     * raw bytes shown as a terminal shows them
+     */
+    function writeToSink(sink, text, stream) {
+        text = showRawBytes(text);
+        sink.result[stream] += text;
+        sink.result.output += text;
+        if (sink.onOutput) {
+            sink.onOutput(text, stream);
+        }
+    }
+    /**
+     * A result with no output yet
+     */
+    function emptyResult() {
+        return { stdout: '', stderr: '', exitCode: 0, output: '' };
+    }
+    /**
+     * Normalizes a handler's return value into a full command result
+     */
+    function toCommandResult(output) {
+        if (output === null || output === undefined) {
+            return { stdout: '', stderr: '', exitCode: 0 };
+        }
+        if (typeof output === 'string') {
+            return { stdout: toLines(output), stderr: '', exitCode: 0 };
+        }
+        return {
+            stdout: output.stdout || '',
+            stderr: output.stderr || '',
+            exitCode: output.exitCode || 0,
+        };
+    }
+    /**
+     * Main Unix Shell class
+     */
+    class UnixShell {
+        constructor(options = {}) {
+            /** Where persistence saves, or null when it's off or there's nowhere */
+            this.storage = null;
+            /** What was last saved under each key, so a save writes only what changed */
+            this.savedRecords = {};
+            /** Whether directories, symlinks or which names files have changed since the last save */
+            this.treeChanged = true;
+            /** Files written to or otherwise changed since the last save */
+            this.changedFiles = new Set();
+            /** The number each file is saved under */
+            this.fileIds = new WeakMap();
+            this.nextFileId = 1;
+            /** Numbers of the files in storage */
+            this.storedFiles = new Set();
+            /** A save waiting for saveDelay to pass */
+            this.saveTimer = null;
+            /** Writes to asynchronous storage that haven't finished */
+            this.storageWrites = Promise.resolve();
+            /** How many lines of commandHistory the history file has already */
+            this.historyWritten = 0;
+            /** Status of the last $(...) in the command being expanded, if any */
+            this.substitutionStatus = null;
+            /** Names given to export before they were set, exported once they are */
+            this.exportMarks = new Set();
+            /** Variables shadowed by "local", one scope per running function */
+            this.localScopes = [];
+            /** Number of loops around the running command, for break and continue */
+            this.loopDepth = 0;
+            /** Number of files being sourced, which return can leave */
+            this.sourceDepth = 0;
+            /** Number of child shells (scripts, ( ) and $(...)) that exit would leave */
+            this.subshellDepth = 0;
+            /** $0 inside a script */
+            this.scriptName = null;
+            /** Where the running built-in writes, for built-ins such as sh that run other commands */
+            this.commandIO = null;
+            /** Aliases being expanded, so an alias such as ls='ls -a' doesn't expand itself */
+            this.expandingAliases = [];
+            /** When each user last gave sudo their password */
+            this.sudoTimestamps = {};
+            /** Permission bits taken away from new files and directories */
+            this.umask = 0o022;
+            /** The command line waiting for the terminal or an async command, if any */
+            this.pendingCommand = null;
+            /** Interrupts the command line or job running now */
+            this.interrupter = new Interrupter();
+            /** Steps run since the last pause for the event loop */
+            this.steps = 0;
+            /** The command line running in the foreground, which the terminal shows output for */
+            this.foreground = null;
+            /** What background jobs wrote while no command line was running */
+            this.terminalBacklog = [];
+            /** Running processes by PID: init, shells, commands and background jobs */
+            this.processes = new Map();
+            this.nextPid = SHELL_PID + 1;
+            /** PID of the shell reading commands: the login shell, or the last su started */
+            this.shellPid = SHELL_PID;
+            /** PID of the running command or job that new processes are children of, or null for the shell */
+            this.parentPid = null;
+            /** Background jobs, in the order they started */
+            this.jobs = [];
+            /** Counts job starts and stops, to tell which was latest */
+            this.jobClock = 0;
+            /** PID of the last background job, as $! gives */
+            this.lastBackgroundPid = null;
+            /** The job being stepped now, if any */
+            this.runningJob = null;
+            /** The built-in filters that can read a pipe as it's written (see PIPE_READERS) */
+            this.pipeReaders = new Set();
+            /** Width of the terminal in characters, which ls lays out columns to fit */
+            this.terminalColumns = 80;
+            const { fileSystem, username = 'user', customCommands = {}, persistence = null } = options;
+            // Set up persistence configuration
+            this.persistence = persistence;
+            this.persistencePrefix = 'unixshell';
+            let session = null;
+            if (this.persistence && this.persistence.enabled) {
+                this.persistencePrefix = this.persistence.prefix || 'unixshell';
+                this.storage =
+                    this.persistence.storage ||
+                        (typeof localStorage === 'undefined' ? null : createLocalStorage());
+                // What saveDelay holds back is saved before the page goes away
+                if (typeof window !== 'undefined') {
+                    window.addEventListener('pagehide', () => this.flushStorage());
+                }
+                // Try to load from storage if persistence is enabled
+                const loaded = this.loadFromStorage();
+                if (loaded) {
+                    // Successfully loaded from storage
+                    this.fileSystem = this.loadFileSystem(loaded.fileSystem, loaded.currentUser);
+                    this.currentUser = loaded.currentUser;
+                    this.currentPath = loaded.currentPath;
+                    session = loaded.session;
+                }
+                else {
+                    // No saved data or loading failed, use provided or default
+                    this.fileSystem = this.loadFileSystem(fileSystem || this.createDefaultFileSystem(username), username);
+                    this.currentUser = username;
+                    this.currentPath = '';
+                }
+            }
+            else {
+                // No persistence, use provided or default
+                this.fileSystem = this.loadFileSystem(fileSystem || this.createDefaultFileSystem(username), username);
+                this.currentUser = username;
+                this.currentPath = '';
+            }
+            // Users, home directories and login shells come from /etc/passwd
+            this.ensureAccount(this.currentUser);
+            const account = this.getAccount(this.currentUser);
+            if (!this.currentPath) {
+                const home = this.getNode(account.home);
+                this.currentPath = home && home.type === 'directory' ? account.home : '/';
+            }
+            // Shells su started that exit goes back to, as the saved session left them
+            const stack = session ? session.userStack : [];
+            this.userStack = stack.map((state, i) => (Object.assign(Object.assign({}, state), { pid: SHELL_PID + i })));
+            // init, then the login shell the terminal runs and a shell for each su
+            const started = Date.now();
+            this.processes.set(1, { pid: 1, ppid: 0, user: 'root', argv: ['init'], tty: '?', started });
+            [...stack.map((state) => state.user), this.currentUser].forEach((user, i) => {
+                const owner = this.getAccount(user);
+                this.processes.set(SHELL_PID + i, {
+                    pid: SHELL_PID + i,
+                    ppid: i === 0 ? 1 : SHELL_PID + i - 1,
+                    user,
+                    argv: [owner ? shellName(owner) : 'bash'],
+                    tty: TTY,
+                    started,
+                });
+            });
+            this.shellPid = SHELL_PID + stack.length;
+            this.nextPid = this.shellPid + 1;
+            this.addProcDirectory();
+            this.addNullDevice();
+            const shell = session && session.shell;
+            this.environment = shell
+                ? shell.environment
+                : {
+                    USER: this.currentUser,
+                    HOME: account.home,
+                    PWD: this.currentPath,
+                    PATH: '/usr/local/bin:/usr/bin:/bin',
+                    SHELL: account.shell,
+                };
+            this.variables = shell ? shell.variables : {};
+            this.functions = shell ? shell.functions : {};
+            this.positionalParams = [];
+            this.aliases = shell ? shell.aliases : {};
+            this.commandHistory = shell ? shell.history : [];
+            this.historyWritten = shell ? shell.historyWritten : 0;
+            if (session) {
+                this.umask = session.umask;
+            }
+            this.lastExitStatus = 0;
+            // Initialize commands with custom commands
+            this.commands = {};
+            this.initializeCommands(customCommands);
+            // A saved shell carries on where it was, otherwise the terminal starts
+            // a login shell, which reads the history file
+            this.startupOutput = '';
+            if (!shell) {
+                this.startupOutput = this.runStartupFiles(true);
+                this.readHistory();
+            }
+        }
+        /**
+         * Creates a default filesystem structure
+         */
+        createDefaultFileSystem(username) {
+            return {
+                '/': {
+                    home: {
+                        [username]: {
+                            'README.md': '# Welcome\n\nThis is a simple Unix shell emulator.\n',
+                            'example.txt': 'This is an example file.\n',
+                        },
+                    },
+                    etc: {
+                        hostname: 'localhost\n',
+                    },
+                    tmp: {},
+                },
+            };
+        }
+        /**
+         * Upgrades plain strings and objects in a filesystem to nodes with
+         * metadata, and makes sure it has accounts for everyone. Files under
+         * /home/NAME belong to that user, everything else to root, and all of them
+         * get the default modes and the current time. Files starting with #! are
+         * made executable, /tmp sticky and /root private.
+         */
+        loadFileSystem(fileSystem, username) {
+            var _a, _b, _c;
+            const owners = { root: { uid: 0, gid: 0 } };
+            const home = (_a = directoryEntries(fileSystem['/'])) === null || _a === void 0 ? void 0 : _a.home;
+            const homeEntries = (home && directoryEntries(home)) || {};
+            const etc = (_b = directoryEntries(fileSystem['/'])) === null || _b === void 0 ? void 0 : _b.etc;
+            const passwd = etc && ((_c = directoryEntries(etc)) === null || _c === void 0 ? void 0 : _c.passwd);
+            if (passwd !== undefined && fileContent(passwd) !== null) {
+                // Users with accounts own their homes by their account's ids
+                for (const entry of parsePasswd(fileContent(passwd))) {
+                    owners[entry.name] = { uid: entry.uid, gid: entry.gid };
+                }
+            }
+            else {
+                // Home directories that already have metadata say which id each user has
+                for (const [name, node] of Object.entries(homeEntries)) {
+                    if (isInode(node) && node.uid !== 0) {
+                        owners[name] = { uid: node.uid, gid: node.gid };
+                    }
+                }
+            }
+            // Users seen for the first time get the next free id from 1000, this
+            // shell's user first
+            const ownerOf = (name) => {
+                if (!Object.prototype.hasOwnProperty.call(owners, name)) {
+                    const id = Math.max(999, ...Object.values(owners).map((owner) => owner.uid)) + 1;
+                    owners[name] = { uid: id, gid: id };
+                }
+                return owners[name];
+            };
+            if (Object.prototype.hasOwnProperty.call(homeEntries, username)) {
+                ownerOf(username);
+            }
+            const root = this.upgradeNode(fileSystem['/'], '/', owners.root, Date.now(), ownerOf);
+            return { '/': root };
+        }
+        /**
+         * Upgrades one node and everything below it, giving plain nodes the owner
+         */
+        upgradeNode(node, path, owner, now, ownerOf) {
+            var _a;
+            const { uid, gid } = owner;
+            if (typeof node === 'string') {
+                // Scripts with a #! line stay runnable
+                const mode = node.startsWith('#!') ? NEW_DIRECTORY_MODE : NEW_FILE_MODE;
+                return {
+                    type: 'file',
+                    content: node,
+                    mode: mode & ~this.umask,
+                    uid,
+                    gid,
+                    atime: now,
+                    mtime: now,
+                    ctime: now,
+                };
+            }
+            if (isInode(node) && node.type !== 'directory') {
+                return node;
+            }
+            const entries = directoryEntries(node);
+            const children = {};
+            for (const [name, child] of Object.entries(entries)) {
+                const childPath = path === '/' ? `/${name}` : `${path}/${name}`;
+                const childOwner = path === '/home' ? ownerOf(name) : isInode(node) ? node : owner;
+                children[name] = this.upgradeNode(child, childPath, childOwner, now, ownerOf);
+            }
+            if (isInode(node)) {
+                node.children = children;
+                return node;
+            }
+            return {
+                type: 'directory',
+                children,
+                mode: (_a = UPGRADED_MODES[path]) !== null && _a !== void 0 ? _a : NEW_DIRECTORY_MODE & ~this.umask,
+                uid,
+                gid,
+                atime: now,
+                mtime: now,
+                ctime: now,
+            };
+        }
+        /**
+         * Makes sure a user has an account. A filesystem without /etc/passwd gets
+         * one, with /etc/group, /etc/shadow and /etc/sudoers, for root, the owners
+         * of the directories in /home and this user. Nobody has a password, and
+         * this user may use sudo.
+         */
+        ensureAccount(username) {
+            if (this.readSystemFile('/etc/passwd') !== null) {
+                if (!this.getAccount(username)) {
+                    this.addAccount(username, {}, '');
+                }
+                return;
+            }
+            const users = [
+                {
+                    name: 'root',
+                    password: 'x',
+                    uid: 0,
+                    gid: 0,
+                    gecos: 'root',
+                    home: '/root',
+                    shell: '/bin/bash',
+                },
+            ];
+            const home = this.getNode('/home');
+            for (const [name, node] of Object.entries((home === null || home === void 0 ? void 0 : home.type) === 'directory' ? home.children : {})) {
+                if (node.type === 'directory' && node.uid !== 0) {
+                    users.push({
+                        name,
+                        password: 'x',
+                        uid: node.uid,
+                        gid: node.gid,
+                        gecos: '',
+                        home: `/home/${name}`,
+                        shell: '/bin/bash',
+                    });
+                }
+            }
+            users.sort((a, b) => a.uid - b.uid);
+            const groups = [
+                { name: 'root', password: 'x', gid: 0, members: [] },
+                { name: 'sudo', password: 'x', gid: SUDO_GID, members: [] },
+                { name: 'shadow', password: 'x', gid: SHADOW_GID, members: [] },
+                ...users
+                    .filter((user) => user.uid !== 0)
+                    .map((user) => ({ name: user.name, password: 'x', gid: user.gid, members: [] })),
+            ];
+            const now = Date.now();
+            this.writeSystemFile('/etc/passwd', formatPasswd(users), 0o644);
+            this.writeSystemFile('/etc/group', formatGroup(groups), 0o644);
+            this.writeSystemFile('/etc/shadow', formatShadow(users.map((user) => newShadowEntry(user.name, '', now))), 0o640, SHADOW_GID);
+            this.writeSystemFile('/etc/sudoers', '# User privilege specification\n' +
+                'root\tALL=(ALL:ALL) ALL\n\n' +
+                '# Members of group sudo may run any command\n' +
+                '%sudo\tALL=(ALL:ALL) ALL\n', 0o440);
+            if (!this.getAccount(username)) {
+                this.addAccount(username, {}, '');
+            }
+            if (username !== 'root') {
+                this.editGroups((entries) => {
+                    entries.find((group) => group.gid === SUDO_GID).members.push(username);
+                });
+            }
+        }
+        /**
+         * Makes a shell, first loading its saved state from storage that works
+         * asynchronously, such as IndexedDB. Other options are as for the
+         * constructor.
+         */
+        static create() {
+            return __awaiter(this, arguments, void 0, function* (options = {}) {
+                const persistence = options.persistence;
+                const storage = persistence && persistence.enabled ? persistence.storage : undefined;
+                if (!persistence || !storage) {
+                    return new UnixShell(options);
+                }
+                // The constructor reads what's saved from a copy already loaded, with
+                // the files the saved tree names
+                const prefix = persistence.prefix || 'unixshell';
+                const keys = STORAGE_KEYS.map((name) => `${prefix}_${name}`);
+                const values = yield Promise.all(keys.map((key) => storage.getItem(key)));
+                let tree = null;
+                try {
+                    tree = values[0] === null ? null : JSON.parse(values[0]);
+                }
+                catch (_a) {
+                    // The constructor reports it
+                }
+                const fileKeys = [...storedFileIds(tree)].map((id) => `${prefix}_file_${id}`);
+                keys.push(...fileKeys);
+                values.push(...(yield Promise.all(fileKeys.map((key) => storage.getItem(key)))));
+                const loaded = createMemoryStorage();
+                keys.forEach((key, i) => {
+                    if (values[i] !== null) {
+                        loaded.setItem(key, values[i]);
+                    }
+                });
+                const shell = new UnixShell(Object.assign(Object.assign({}, options), { persistence: Object.assign(Object.assign({}, persistence), { storage: loaded }) }));
+                shell.storage = storage;
+                return shell;
+            });
+        }
+        /**
+         * Loads shell state from storage. Storage that's asynchronous can only
+         * be loaded by UnixShell.create, so this gives null for it.
+         */
+        loadFromStorage() {
+            if (!this.storage) {
+                return null;
+            }
+            try {
+                const saved = {};
+                for (const name of STORAGE_KEYS) {
+                    const value = this.storage.getItem(`${this.persistencePrefix}_${name}`);
+                    if (value instanceof Promise) {
+                        console.warn('Storage is asynchronous - use UnixShell.create to load from it');
+                        // Saving now would replace what couldn't be loaded
+                        this.storage = null;
+                        return null;
+                    }
+                    saved[name] = value;
+                }
+                const savedFS = saved.filesystem;
+                const savedUser = saved.current_user;
+                const savedPath = saved.current_path;
+                if (!savedFS || !savedUser || !savedPath) {
+                    return null;
+                }
+                const fileSystem = JSON.parse(savedFS);
+                // Validate filesystem structure
+                if (!fileSystem['/']) {
+                    console.warn('Invalid filesystem structure in storage - missing root');
+                    return null;
+                }
+                // Files are saved under keys of their own, except in saves from
+                // before they were, which have them in the tree
+                const files = new Map();
+                for (const id of storedFileIds(fileSystem)) {
+                    const value = this.storage.getItem(`${this.persistencePrefix}_file_${id}`);
+                    const file = value === null ? null : JSON.parse(value);
+                    if (!file || file.type !== 'file' || typeof file.content !== 'string') {
+                        console.warn('Invalid filesystem structure in storage - missing file', id);
+                        return null;
+                    }
+                    files.set(id, file);
+                }
+                let inTree = false;
+                const restore = (node) => {
+                    if (isStoredFile(node)) {
+                        return files.get(node.id);
+                    }
+                    inTree = inTree || typeof node === 'string' || (isInode(node) && node.type === 'file');
+                    const entries = directoryEntries(node);
+                    for (const [name, child] of Object.entries(entries || {})) {
+                        entries[name] = restore(child);
+                    }
+                    return node;
+                };
+                restore(fileSystem['/']);
+                // Validate that the saved path exists in the filesystem
+                const pathParts = savedPath.split('/').filter((p) => p);
+                let current = fileSystem['/'];
+                for (const part of pathParts) {
+                    const entries = directoryEntries(current);
+                    if (!entries || !(part in entries)) {
+                        console.warn('Invalid filesystem structure in storage - saved path does not exist:', savedPath);
+                        return null;
+                    }
+                    current = entries[part];
+                }
+                // A session that can't be loaded leaves the rest to log in afresh
+                let session;
+                try {
+                    session = migrateSession(saved.session === null ? null : JSON.parse(saved.session));
+                }
+                catch (e) {
+                    console.warn('Ignoring the session in storage:', e instanceof Error ? e.message : e);
+                    session = migrateSession(null);
+                }
+                for (const name of STORAGE_KEYS) {
+                    if (saved[name] !== null) {
+                        this.savedRecords[`${this.persistencePrefix}_${name}`] = saved[name];
+                    }
+                }
+                for (const [id, file] of files) {
+                    this.fileIds.set(file, id);
+                    this.storedFiles.add(id);
+                    this.nextFileId = Math.max(this.nextFileId, id + 1);
+                }
+                // An older save is written again with its files apart
+                this.treeChanged = inTree;
+                return {
+                    fileSystem: fileSystem,
+                    currentUser: savedUser,
+                    currentPath: savedPath,
+                    session,
+                };
+            }
+            catch (e) {
+                console.error('Error loading from storage:', e);
+                return null;
+            }
+        }
+        /**
+         * Saves all of the shell's state to storage at once, including a save
+         * waiting for saveDelay
+         */
+        saveToStorage() {
+            this.savedRecords = {};
+            this.treeChanged = true;
+            this.saveChanges(true);
+        }
+        /**
+         * The session record for storage: each shell's variables, aliases and
+         * history, down the stack su left
+         */
+        saveSession() {
+            return {
+                version: SESSION_VERSION,
+                shell: {
+                    environment: this.environment,
+                    variables: this.variables,
+                    functions: this.functions,
+                    aliases: this.aliases,
+                    history: this.commandHistory,
+                    historyWritten: this.historyWritten,
+                },
+                userStack: this.userStack.map((state) => ({
+                    user: state.user,
+                    path: state.path,
+                    environment: state.environment,
+                    variables: state.variables,
+                    functions: state.functions,
+                    aliases: state.aliases,
+                    history: state.history,
+                    historyWritten: state.historyWritten,
+                })),
+                umask: this.umask,
+            };
+        }
+        /**
+         * Saves what changed since the last save, now or, with saveDelay, once
+         * that long has passed without another command
+         */
+        scheduleSave() {
+            var _a, _b;
+            const delay = (_b = (_a = this.persistence) === null || _a === void 0 ? void 0 : _a.saveDelay) !== null && _b !== void 0 ? _b : 0;
+            if (!this.storage || delay <= 0) {
+                this.saveChanges();
+                return;
+            }
+            if (this.saveTimer !== null) {
+                clearTimeout(this.saveTimer);
+            }
+            this.saveTimer = setTimeout(() => this.saveChanges(), delay);
+        }
+        /**
+         * Writes the state that's different from what was last saved: the tree
+         * if it changed, the files that changed and the other records that are
+         * different. everything writes every file.
+         */
+        saveChanges(everything = false) {
+            if (this.saveTimer !== null) {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+            }
+            const storage = this.storage;
+            if (!storage) {
+                return;
+            }
+            // A write that fails is tried again by the next save
+            const write = (name, value, failed) => {
+                const retry = (e) => {
+                    console.error('Error saving to storage:', e);
+                    failed();
+                };
+                try {
+                    const written = storage.setItem(`${this.persistencePrefix}_${name}`, value);
+                    if (written instanceof Promise) {
+                        const done = written.catch(retry);
+                        this.storageWrites = this.storageWrites.then(() => done);
+                    }
+                }
+                catch (e) {
+                    retry(e);
+                }
+            };
+            if (this.treeChanged) {
+                this.treeChanged = false;
+                const ids = new Set();
+                const tree = { '/': this.storedTree(this.fileSystem['/'], ids, everything) };
+                write('filesystem', JSON.stringify(tree), () => {
+                    this.treeChanged = true;
+                });
+                for (const id of this.storedFiles) {
+                    if (!ids.has(id)) {
+                        this.removeFromStorage(`file_${id}`);
+                    }
+                }
+                this.storedFiles = ids;
+            }
+            const files = [...this.changedFiles];
+            this.changedFiles.clear();
+            for (const file of files) {
+                const id = this.fileIds.get(file);
+                // Files that were removed have nothing to save
+                if (id !== undefined && this.storedFiles.has(id)) {
+                    write(`file_${id}`, JSON.stringify(file), () => this.changedFiles.add(file));
+                }
+            }
+            const records = {
+                current_user: this.currentUser,
+                current_path: this.currentPath,
+                session: JSON.stringify(this.saveSession()),
+            };
+            for (const [name, value] of Object.entries(records)) {
+                const key = `${this.persistencePrefix}_${name}`;
+                if (this.savedRecords[key] === value) {
+                    continue;
+                }
+                this.savedRecords[key] = value;
+                write(name, value, () => delete this.savedRecords[key]);
+            }
+        }
+        /**
+         * A directory as the saved tree has it, with each file in it standing for
+         * the number it's saved under. Files new since the last save are given a
+         * number and saved too, or with everything all of them are. ids gathers
+         * the numbers.
+         */
+        storedTree(dir, ids, everything) {
+            const children = {};
+            for (const [name, child] of Object.entries(dir.children)) {
+                if (child.type === 'directory') {
+                    children[name] = this.storedTree(child, ids, everything);
+                    continue;
+                }
+                if (child.type === 'symlink') {
+                    children[name] = child;
+                    continue;
+                }
+                let id = this.fileIds.get(child);
+                if (id === undefined) {
+                    id = this.nextFileId++;
+                    this.fileIds.set(child, id);
+                }
+                if (everything || !this.storedFiles.has(id)) {
+                    this.changedFiles.add(child);
+                }
+                ids.add(id);
+                children[name] = { type: 'file', id };
+            }
+            return Object.assign(Object.assign({}, dir), { children });
+        }
+        /**
+         * Removes a record from storage, by its name after the prefix
+         */
+        removeFromStorage(name) {
+            try {
+                const removed = this.storage.removeItem(`${this.persistencePrefix}_${name}`);
+                if (removed instanceof Promise) {
+                    const done = removed.catch((e) => console.error('Error clearing storage:', e));
+                    this.storageWrites = this.storageWrites.then(() => done);
+                }
+            }
+            catch (e) {
+                console.error('Error clearing storage:', e);
+            }
+        }
+        /**
+         * Saves now anything waiting for saveDelay, resolving once storage has
+         * finished writing it, as a page might before it's closed
+         */
+        flushStorage() {
+            if (this.saveTimer !== null) {
+                this.saveChanges();
+            }
+            return this.storageWrites;
+        }
+        /**
+         * Clears saved state from storage
+         */
+        clearStorage() {
+            if (this.saveTimer !== null) {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+            }
+            this.savedRecords = {};
+            this.treeChanged = true;
+            this.changedFiles.clear();
+            const files = this.storedFiles;
+            this.storedFiles = new Set();
+            if (!this.storage) {
+                return;
+            }
+            for (const name of STORAGE_KEYS) {
+                this.removeFromStorage(name);
+            }
+            for (const id of files) {
+                this.removeFromStorage(`file_${id}`);
+            }
+        }
+        /**
+         * Initializes built-in and custom commands
+         */
+        initializeCommands(customCommands) {
+            // Built-ins that run other commands pause with them when they wait for input
+            const running = (handler) => (args, context) => continueRun(handler.call(this, args, context));
+            // Built-in commands
+            this.commands = {
+                help: this.cmd_help.bind(this),
+                ls: this.cmd_ls.bind(this),
+                cd: this.cmd_cd.bind(this),
+                pwd: this.cmd_pwd.bind(this),
+                cat: this.cmd_cat.bind(this),
+                grep: this.cmd_grep.bind(this),
+                head: this.cmd_head.bind(this),
+                tail: this.cmd_tail.bind(this),
+                wc: this.cmd_wc.bind(this),
+                sort: this.cmd_sort.bind(this),
+                uniq: this.cmd_uniq.bind(this),
+                cut: this.cmd_cut.bind(this),
+                tr: this.cmd_tr.bind(this),
+                tee: this.cmd_tee.bind(this),
+                sed: this.cmd_sed.bind(this),
+                awk: running(this.cmd_awk),
+                echo: this.cmd_echo.bind(this),
+                clear: this.cmd_clear.bind(this),
+                whoami: this.cmd_whoami.bind(this),
+                date: this.cmd_date.bind(this),
+                sleep: this.cmd_sleep.bind(this),
+                uname: this.cmd_uname.bind(this),
+                env: this.cmd_env.bind(this),
+                export: this.cmd_export.bind(this),
+                unset: this.cmd_unset.bind(this),
+                set: this.cmd_set.bind(this),
+                local: this.cmd_local.bind(this),
+                shift: this.cmd_shift.bind(this),
+                test: this.cmd_test.bind(this),
+                '[': this.cmd_bracket.bind(this),
+                true: this.cmd_true.bind(this),
+                false: this.cmd_false.bind(this),
+                ':': this.cmd_true.bind(this),
+                break: this.cmd_break.bind(this),
+                continue: this.cmd_continue.bind(this),
+                return: this.cmd_return.bind(this),
+                history: this.cmd_history.bind(this),
+                mkdir: this.cmd_mkdir.bind(this),
+                touch: this.cmd_touch.bind(this),
+                rm: running(this.cmd_rm),
+                cp: running(this.cmd_cp),
+                mv: running(this.cmd_mv),
+                ln: this.cmd_ln.bind(this),
+                readlink: this.cmd_readlink.bind(this),
+                chmod: this.cmd_chmod.bind(this),
+                chown: this.cmd_chown.bind(this),
+                chgrp: this.cmd_chgrp.bind(this),
+                umask: this.cmd_umask.bind(this),
+                tree: this.cmd_tree.bind(this),
+                find: running(this.cmd_find),
+                xargs: running(this.cmd_xargs),
+                du: this.cmd_du.bind(this),
+                df: this.cmd_df.bind(this),
+                tar: this.cmd_tar.bind(this),
+                gzip: this.cmd_gzip.bind(this),
+                gunzip: (args, context) => this.cmd_gzip(['-d', ...args], context),
+                zcat: (args, context) => this.cmd_gzip(['-dc', ...args], context),
+                zip: this.cmd_zip.bind(this),
+                unzip: running(this.cmd_unzip),
+                ps: this.cmd_ps.bind(this),
+                jobs: this.cmd_jobs.bind(this),
+                fg: running(this.cmd_fg),
+                bg: this.cmd_bg.bind(this),
+                kill: this.cmd_kill.bind(this),
+                wait: running(this.cmd_wait),
+                vi: this.cmd_vi.bind(this),
+                vim: this.cmd_vim.bind(this),
+                su: running(this.cmd_su),
+                sudo: running(this.cmd_sudo),
+                id: this.cmd_id.bind(this),
+                groups: this.cmd_groups.bind(this),
+                useradd: this.cmd_useradd.bind(this),
+                userdel: this.cmd_userdel.bind(this),
+                usermod: this.cmd_usermod.bind(this),
+                passwd: running(this.cmd_passwd),
+                exit: this.cmd_exit.bind(this),
+                sh: running(this.cmd_sh),
+                bash: running(this.cmd_bash),
+                source: running(this.cmd_source),
+                '.': running(this.cmd_source),
+                alias: this.cmd_alias.bind(this),
+                unalias: this.cmd_unalias.bind(this),
+            };
+            this.pipeReaders = new Set(PIPE_READERS.map((name) => this.commands[name]));
+            // Add custom commands (these will overwrite built-in commands if same name)
+            for (const [name, handler] of Object.entries(customCommands)) {
+                this.commands[name] = handler.bind(this);
+            }
+        }
+        /**
+         * The directory ~ stands for: HOME, or with HOME unset the user's home
+         * directory in /etc/passwd
+         */
+        homeDirectory() {
+            var _a, _b, _c;
+            return (_c = (_a = this.getVariable('HOME')) !== null && _a !== void 0 ? _a : (_b = this.getAccount(this.currentUser)) === null || _b === void 0 ? void 0 : _b.home) !== null && _c !== void 0 ? _c : '/';
+        }
+        /**
+         * Resolves a path (relative or absolute) to an absolute path
+         */
+        resolvePath(path) {
+            // Expand ~ to home directory
+            if (path.startsWith('~')) {
+                path = this.homeDirectory() + path.slice(1);
+            }
+            const parts = path.startsWith('/') ? [] : this.currentPath.split('/').filter((p) => p);
+            const newParts = path.split('/').filter((p) => p);
+            for (const part of newParts) {
+                if (part === '..') {
+                    parts.pop();
+                }
+                else if (part !== '.') {
+                    parts.push(part);
+                }
+            }
+            return '/' + parts.join('/');
+        }
+        /**
+         * Gets a filesystem node at the specified path, following symlinks unless
+         * followLinks is false, when a link at the end of the path is returned itself
+         */
+        getNode(path, followLinks = true) {
+            const found = this.walkPath(path, followLinks, false);
+            return typeof found === 'string' ? null : found.node;
+        }
+        /**
+         * The absolute path to a file with every symlink on the way resolved, as
+         * readlink -f and pwd -P give, or null if it doesn't exist
+         */
+        realPath(path) {
+            const found = this.walkPath(path, true, false);
+            return typeof found === 'string' ? null : found.path;
+        }
+        /**
+         * Walks a path from /, following symlinks on the way, and the one at the
+         * end too if followLast is set or the path ends in /. With check set,
+         * directories on the way must be searchable. Returns the node and the path
+         * it was found at, or the error that stopped the walk.
+         */
+        walkPath(path, followLast, check) {
+            let parts = this.resolvePath(path)
+                .split('/')
+                .filter((p) => p);
+            followLast = followLast || path.endsWith('/');
+            let current = this.fileSystem['/'];
+            let links = 0;
+            for (let i = 0; i < parts.length; i++) {
+                if (current.type !== 'directory') {
+                    return 'Not a directory';
+                }
+                if (check && !this.canAccess(current, EXECUTE)) {
+                    return 'Permission denied';
+                }
+                const child = this.getEntry(current, parts[i]);
+                if (!child) {
+                    return 'No such file or directory';
+                }
+                if (child.type === 'symlink' && (followLast || i < parts.length - 1)) {
+                    if (++links > MAX_SYMLINKS) {
+                        return 'Too many levels of symbolic links';
+                    }
+                    // Carry on from / with the target in place of the link
+                    const base = child.target.startsWith('/') ? '' : `/${parts.slice(0, i).join('/')}`;
+                    const rest = parts.slice(i + 1).join('/');
+                    parts = this.resolvePath(`${base}/${child.target}/${rest}`)
+                        .split('/')
+                        .filter((p) => p);
+                    current = this.fileSystem['/'];
+                    i = -1;
+                    continue;
+                }
+                current = child;
+            }
+            return { node: current, path: `/${parts.join('/')}` };
+        }
+        /**
+         * Gets the type, size, mode, owner and times of a file or directory. With
+         * followLinks false, a symlink is described itself, as lstat does.
+         */
+        stat(path, followLinks = true) {
+            const node = this.getNode(path, followLinks);
+            if (!node) {
+                return null;
+            }
+            return {
+                type: node.type,
+                size: nodeSize(node),
+                mode: node.mode,
+                uid: node.uid,
+                gid: node.gid,
+                atime: node.atime,
+                mtime: node.mtime,
+                ctime: node.ctime,
+            };
+        }
+        /**
+         * Gets the bytes of a file, such as an archive to download, or null when
+         * there's no file at path
+         */
+        readFileBytes(path) {
+            const node = this.getNode(path);
+            return node && node.type === 'file' ? fileBytes(node) : null;
+        }
+        /**
+         * Gets the names of the user and group owning a file or directory
+         */
+        getOwner(path) {
+            const node = this.getNode(path);
+            if (!node) {
+                return { user: 'root', group: 'root' };
+            }
+            return { user: this.userName(node.uid), group: this.groupName(node.gid) };
+        }
+        /**
+         * Reads a file as the system does, without permission checks. Returns
+         * null when it doesn't exist.
+         */
+        readSystemFile(path) {
+            const node = this.getNode(path);
+            return node && node.type === 'file' ? fileText(node) : null;
+        }
+        /**
+         * Writes a file as the system does, creating it owned by root when it's new
+         */
+        writeSystemFile(path, content, mode, gid = 0) {
+            const node = this.getNode(path);
+            if (node && node.type === 'file') {
+                setContent(node, content);
+                this.markModified(node);
+                return;
+            }
+            const slash = path.lastIndexOf('/');
+            const dirPath = path.slice(0, slash) || '/';
+            let dir = this.getNode(dirPath);
+            if (!dir) {
+                this.writeSystemDirectory(dirPath);
+                dir = this.getNode(dirPath);
+            }
+            if (dir.type !== 'directory') {
+                return;
+            }
+            const now = Date.now();
+            dir.children[path.slice(slash + 1)] = {
+                type: 'file',
+                content,
+                mode,
+                uid: 0,
+                gid,
+                atime: now,
+                mtime: now,
+                ctime: now,
+            };
+            this.markModified(dir);
+        }
+        /**
+         * Creates a directory owned by root, such as a missing /etc
+         */
+        writeSystemDirectory(path) {
+            const parent = this.getNode(path.slice(0, path.lastIndexOf('/')) || '/');
+            if (parent && parent.type === 'directory') {
+                const now = Date.now();
+                parent.children[path.slice(path.lastIndexOf('/') + 1)] = {
+                    type: 'directory',
+                    children: {},
+                    mode: 0o755,
+                    uid: 0,
+                    gid: 0,
+                    atime: now,
+                    mtime: now,
+                    ctime: now,
+                };
+                this.markChanged(parent);
+            }
+        }
+        /**
+         * Looks up an entry in a directory, where /proc shows the process table as
+         * it is now and /dev/null is always empty
+         */
+        getEntry(dir, name) {
+            const root = this.fileSystem['/'];
+            if (name === 'proc' && dir === root) {
+                return this.procDirectory();
+            }
+            const node = getChild(dir, name);
+            if (name === 'null' && node && node.type === 'file' && dir === getChild(root, 'dev')) {
+                node.content = '';
+                delete node.encoding;
+            }
+            return node;
+        }
+        /**
+         * Adds an empty /proc to the filesystem so that listings of / show it;
+         * getNode fills it in from the process table
+         */
+        addProcDirectory() {
+            const root = this.fileSystem['/'];
+            if (!getChild(root, 'proc')) {
+                this.writeSystemDirectory('/proc');
+                root.children.proc.mode = 0o555;
+            }
+        }
+        /**
+         * Adds /dev/null, which reads as empty and discards what's written to it
+         */
+        addNullDevice() {
+            const node = this.getNode('/dev/null');
+            if (node && node.type === 'file') {
+                node.mode = 0o666;
+                this.markChanged(node);
+            }
+            else {
+                this.writeSystemFile('/dev/null', '', 0o666);
+            }
+        }
+        /**
+         * Builds /proc from the process table, with a directory for each process
+         * holding its cmdline, comm and status
+         */
+        procDirectory() {
+            const now = Date.now();
+            const children = {};
+            for (const process of this.processes.values()) {
+                const account = this.getAccount(process.user);
+                const uid = account ? account.uid : 0;
+                const gid = account ? account.gid : 0;
+                const times = { atime: process.started, mtime: process.started, ctime: process.started };
+                const file = (content) => (Object.assign({ type: 'file', content, mode: 0o444, uid,
+                    gid }, times));
+                children[process.pid] = Object.assign({ type: 'directory', children: {
+                        cmdline: file(`${process.argv.join('\0')}\0`),
+                        comm: file(`${process.argv[0]}\n`),
+                        status: file(formatProcStatus(process, this.processState(process), uid, gid)),
+                    }, mode: 0o555, uid,
+                    gid }, times);
+            }
+            return {
+                type: 'directory',
+                children,
+                mode: 0o555,
+                uid: 0,
+                gid: 0,
+                atime: now,
+                mtime: now,
+                ctime: now,
+            };
+        }
+        /**
+         * Users from /etc/passwd
+         */
+        getAccounts() {
+            return parsePasswd(this.readSystemFile('/etc/passwd') || '');
+        }
+        /**
+         * Looks up a user in /etc/passwd
+         */
+        getAccount(name) {
+            return this.getAccounts().find((account) => account.name === name) || null;
+        }
+        /**
+         * Groups from /etc/group
+         */
+        getGroupEntries() {
+            return parseGroup(this.readSystemFile('/etc/group') || '');
+        }
+        editAccounts(edit) {
+            const entries = this.getAccounts();
+            this.writeSystemFile('/etc/passwd', formatPasswd(edit(entries) || entries), 0o644);
+        }
+        editGroups(edit) {
+            const entries = this.getGroupEntries();
+            this.writeSystemFile('/etc/group', formatGroup(edit(entries) || entries), 0o644);
+        }
+        editShadow(edit) {
+            const entries = parseShadow(this.readSystemFile('/etc/shadow') || '');
+            this.writeSystemFile('/etc/shadow', formatShadow(edit(entries) || entries), 0o640, SHADOW_GID);
+        }
+        /**
+         * Adds a user to /etc/passwd and /etc/shadow, with a group of the same
+         * name unless they are given a gid. A user whose home directory already
+         * exists keeps the id that owns it when nobody else has it.
+         */
+        addAccount(name, details, hash) {
+            var _a;
+            const accounts = this.getAccounts();
+            const groups = this.getGroupEntries();
+            const home = details.home || `/home/${name}`;
+            const taken = (id) => accounts.some((account) => account.uid === id) ||
+                (details.gid === undefined && groups.some((group) => group.gid === id));
+            let uid = details.uid;
+            const homeNode = this.getNode(home);
+            if (uid === undefined && homeNode && homeNode.uid !== 0 && !taken(homeNode.uid)) {
+                uid = homeNode.uid;
+            }
+            if (uid === undefined) {
+                uid = Math.max(999, ...accounts.map((a) => a.uid).filter((id) => id < NOBODY_ID)) + 1;
+                while (taken(uid)) {
+                    uid++;
+                }
+            }
+            const entry = {
+                name,
+                password: 'x',
+                uid,
+                gid: (_a = details.gid) !== null && _a !== void 0 ? _a : uid,
+                gecos: details.gecos || '',
+                home,
+                shell: details.shell || '/bin/bash',
+            };
+            this.editAccounts((entries) => [...entries, entry]);
+            if (details.gid === undefined) {
+                this.editGroups((entries) => [...entries, { name, password: 'x', gid: uid, members: [] }]);
+            }
+            this.editShadow((entries) => [...entries, newShadowEntry(name, hash, Date.now())]);
+            return entry;
+        }
+        /**
+         * Ids of the groups a user is in: their primary group, then every group
+         * that lists them as a member
+         */
+        groupIds(account) {
+            const ids = [account.gid];
+            for (const group of this.getGroupEntries()) {
+                if (group.members.includes(account.name) && !ids.includes(group.gid)) {
+                    ids.push(group.gid);
+                }
+            }
+            return ids;
+        }
+        /**
+         * Uid of the current user. Someone missing from /etc/passwd is nobody.
+         */
+        currentUid() {
+            const account = this.getAccount(this.currentUser);
+            return account ? account.uid : NOBODY_ID;
+        }
+        /**
+         * Name of the user with a uid, or the uid itself when nobody has it
+         */
+        userName(uid) {
+            const account = this.getAccounts().find((entry) => entry.uid === uid);
+            return account ? account.name : String(uid);
+        }
+        /**
+         * Name of the group with a gid, or the gid itself when no group has it
+         */
+        groupName(gid) {
+            const group = this.getGroupEntries().find((entry) => entry.gid === gid);
+            return group ? group.name : String(gid);
+        }
+        /**
+         * Looks up a uid by user name or number
+         */
+        lookupUser(name) {
+            const account = this.getAccount(name);
+            if (account) {
+                return account.uid;
+            }
+            return /^\d+$/.test(name) ? parseInt(name, 10) : null;
+        }
+        /**
+         * Looks up a gid by group name or number
+         */
+        lookupGroup(name) {
+            const group = this.getGroupEntries().find((entry) => entry.name === name);
+            if (group) {
+                return group.gid;
+            }
+            return /^\d+$/.test(name) ? parseInt(name, 10) : null;
+        }
+        /**
+         * The password hash of a user: the one in /etc/shadow, or in /etc/passwd
+         * for an account without a shadow entry. Empty means no password.
+         */
+        passwordHash(name) {
+            const shadow = parseShadow(this.readSystemFile('/etc/shadow') || '');
+            const entry = shadow.find((line) => line.name === name);
+            if (entry) {
+                return entry.hash;
+            }
+            const account = this.getAccount(name);
+            return account && account.password !== 'x' ? account.password : '';
+        }
+        /**
+         * Checks a user's password. Anything will do for a user without one, and
+         * nothing for a locked account.
+         */
+        checkPassword(name, password) {
+            const hash = this.passwordHash(name);
+            return hash === '' || (password !== null && verifyPassword(password, hash));
+        }
+        /**
+         * Creates a file owned by the current user
+         */
+        createFile(content) {
+            return Object.assign({ type: 'file', content }, this.newMetadata(NEW_FILE_MODE));
+        }
+        /**
+         * Creates an empty directory owned by the current user
+         */
+        createDirectory() {
+            return Object.assign({ type: 'directory', children: {} }, this.newMetadata(NEW_DIRECTORY_MODE));
+        }
+        newMetadata(mode) {
+            const account = this.getAccount(this.currentUser);
+            const uid = account ? account.uid : NOBODY_ID;
+            const gid = account ? account.gid : NOBODY_ID;
+            const now = Date.now();
+            return { mode: mode & ~this.umask, uid, gid, atime: now, mtime: now, ctime: now };
+        }
+        /**
+         * Records that a node's contents changed, such as a directory gaining an entry
+         */
+        markModified(node) {
+            node.mtime = node.ctime = Date.now();
+            this.markChanged(node);
+        }
+        /**
+         * Records that a node changed, for the next save to write. Reading a file
+         * isn't a change: its access time is saved along with the next one.
+         */
+        markChanged(node) {
+            if (node.type === 'file') {
+                this.changedFiles.add(node);
+            }
+            else {
+                this.treeChanged = true;
+            }
+        }
+        /**
+         * Checks if current user may write to a path, or create it when it doesn't exist
+         */
+        canWrite(path) {
+            const node = this.findNode(path);
+            if (typeof node !== 'string') {
+                return this.canAccess(node, WRITE);
+            }
+            return this.checkCreate(path) === null;
+        }
+        /**
+         * Whether the current user has the requested rwx bits on a node, going by
+         * the owner, group or other bits that apply to them. Root may read and
+         * write anything, but only runs files with an x bit set for someone.
+         */
+        canAccess(node, access) {
+            const uid = this.currentUid();
+            if (uid === 0) {
+                return !(access & EXECUTE) || node.type === 'directory' || (node.mode & 0o111) !== 0;
+            }
+            let bits = node.mode & 7;
+            if (node.uid === uid) {
+                bits = (node.mode >> 6) & 7;
+            }
+            else if (this.inGroup(node.gid)) {
+                bits = (node.mode >> 3) & 7;
+            }
+            return (bits & access) === access;
+        }
+        /**
+         * Whether the current user belongs to a group, as their primary group or
+         * as a member listed in /etc/group
+         */
+        inGroup(gid) {
+            const account = this.getAccount(this.currentUser);
+            return account !== null && this.groupIds(account).includes(gid);
+        }
+        /**
+         * Walks a path, checking the directories on the way can be searched and
+         * following symlinks as getNode does. Returns the node, or the error that
+         * stopped the walk.
+         */
+        findNode(path, followLinks = true) {
+            const found = this.walkPath(path, followLinks, true);
+            return typeof found === 'string' ? found : found.node;
+        }
+        /**
+         * Finds the directory a new entry at path would go in, checking the
+         * current user may add to it. Returns the directory or an error.
+         */
+        findParent(path) {
+            const parts = this.resolvePath(path)
+                .split('/')
+                .filter((p) => p);
+            const name = parts.pop() || '';
+            const parent = this.findNode('/' + parts.join('/'));
+            if (typeof parent === 'string') {
+                return parent;
+            }
+            if (parent.type !== 'directory') {
+                return 'Not a directory';
+            }
+            return { parent, name };
+        }
+        /**
+         * Finds the file at path, or where it would be created, following symlinks
+         * to the files they point to, which may not exist yet. Returns the
+         * directory it's in, its name there and the file if it exists, or an error.
+         */
+        findTarget(path) {
+            let current = this.resolvePath(path);
+            for (let links = 0;; links++) {
+                const found = this.findParent(current);
+                if (typeof found === 'string') {
+                    return found;
+                }
+                const existing = found.name ? getChild(found.parent, found.name) : found.parent;
+                if (!existing || existing.type !== 'symlink') {
+                    return Object.assign(Object.assign({}, found), { existing });
+                }
+                if (links === MAX_SYMLINKS) {
+                    return 'Too many levels of symbolic links';
+                }
+                current = this.linkTarget(current, existing);
+            }
+        }
+        /**
+         * The absolute path a symlink at path points to
+         */
+        linkTarget(path, link) {
+            if (link.target.startsWith('/')) {
+                return this.resolvePath(link.target);
+            }
+            const full = this.resolvePath(path);
+            return this.resolvePath(`${full.slice(0, full.lastIndexOf('/'))}/${link.target}`);
+        }
+        /**
+         * Checks that a new file or directory can be created at path
+         */
+        checkCreate(path) {
+            const found = this.findParent(path);
+            if (typeof found === 'string') {
+                return found;
+            }
+            return this.canAccess(found.parent, WRITE | EXECUTE) ? null : 'Permission denied';
+        }
+        /**
+         * Reads a file operand for a command, where '-' means stdin.
+         * Returns null and records an error message if the file can't be read,
+         * as "command: file: error" unless the command words it another way.
+         */
+        readOperand(command, file, context, errors, describe = (error) => `${command}: ${file}: ${error}`) {
+            if (file === '-') {
+                return context.stdin || '';
+            }
+            const node = this.openFile(file);
+            if (typeof node === 'string') {
+                errors.push(describe(node));
+                return null;
+            }
+            return fileText(node);
+        }
+        /**
+         * Whether a filter given these file operands reads the terminal: it reads
+         * stdin for no files or '-', and stdin isn't piped or redirected
+         */
+        readsTerminal(files, context) {
+            return context.stdin === null && (files.length === 0 || files.includes('-'));
+        }
+        /**
+         * Reads lines typed at the terminal up to the end of input (Ctrl-D),
+         * then runs a filter with them as its stdin. enough, told of each line,
+         * stops it sooner for filters that only need so much.
+         */
+        readTerminal(run, enough = () => false, text = '') {
+            return {
+                prompt: '',
+                onAnswer: (line) => {
+                    if (line === null) {
+                        return run(text);
+                    }
+                    const read = `${text}${line}\n`;
+                    return enough(line, read) ? run(read) : this.readTerminal(run, enough, read);
+                },
+            };
+        }
+        /**
+         * Reads lines typed at the terminal, or from a pipe, up to the end of
+         * input, writing what a filter makes of each as soon as it's read. finish
+         * gives the rest of its result at the end of input, or once done says it
+         * needs no more.
+         */
+        filterLines(filter, finish, done = () => false, io = this.commandIO) {
+            return {
+                prompt: '',
+                onAnswer: (line) => {
+                    if (line === null) {
+                        return finish();
+                    }
+                    const output = filter(line);
+                    if (output) {
+                        io.stdout(output);
+                    }
+                    return done() ? finish() : this.filterLines(filter, finish, done, io);
+                },
+            };
+        }
+        /**
+         * Whether a filter's operands only name stdin, so it can write each line
+         * as it's read
+         */
+        readsOnlyStdin(files) {
+            return files.every((file) => file === '-');
+        }
+        /**
+         * Opens a file for reading, recording the access. Returns the file, or
+         * the error that stopped it.
+         */
+        openFile(path) {
+            const node = this.findNode(path);
+            if (typeof node === 'string') {
+                return node;
+            }
+            if (!this.canAccess(node, READ)) {
+                return 'Permission denied';
+            }
+            if (node.type !== 'file') {
+                return 'Is a directory';
+            }
+            node.atime = Date.now();
+            return node;
+        }
+        // Command implementations
+        cmd_help() {
+            const commandList = Object.keys(this.commands).sort();
+            return `Available commands:\n${commandList.map((cmd) => `  ${cmd}`).join('\n')}\n\nType any command to try it out!`;
+        }
+        /**
+         * Lists what's in each directory operand, or the current directory, and
+         * other operands themselves. Entries sort by name, newest first with -t
+         * or largest first with -S, and go in columns sized to the terminal, one
+         * per line when piped or with -1, or in a long listing with -l. -R lists
+         * subdirectories too, -F marks entries by type and --color colors them as
+         * LS_COLORS says.
+         */
+        cmd_ls(args, context) {
+            const end = args.indexOf('--');
+            if ((end === -1 ? args : args.slice(0, end)).includes('--help')) {
+                return { stdout: `${LS_USAGE}\n` };
+            }
+            const expanded = expandLongOptions(args, LS_LONG_OPTIONS);
+            if (typeof expanded === 'string') {
+                return failure(`ls: ${expanded}\nTry 'ls --help' for more information.`, 2);
+            }
+            const parsed = parseFlags('ls', expanded.args, 'aAdFhlrRStxC1w:');
+            if (!('flags' in parsed)) {
+                return Object.assign(Object.assign({}, parsed), { exitCode: 2 });
+            }
+            const { flags, values, operands } = parsed;
+            // -w, then an exported COLUMNS, then the terminal's own width
+            let width = context.columns;
+            if (values.w !== undefined) {
+                if (!/^\d+$/.test(values.w)) {
+                    return failure(`ls: invalid line width: '${values.w}'`, 2);
+                }
+                width = parseInt(values.w, 10);
+            }
+            else if (/^[1-9]\d*$/.test(context.env.COLUMNS || '')) {
+                width = parseInt(context.env.COLUMNS, 10);
+            }
+            // The last of -l, -1, -C and -x picks the format, as in GNU ls
+            let format = context.isTTY ? 'C' : '1';
+            for (const arg of expanded.args) {
+                if (arg === '--') {
+                    break;
+                }
+                if (/^-[^-]/.test(arg)) {
+                    for (const flag of arg.slice(1).split('w')[0]) {
+                        format = 'l1Cx'.includes(flag) ? flag : format;
+                    }
+                }
+            }
+            const sort = flags.has('t') ? 'time' : flags.has('S') ? 'size' : 'name';
+            const classify = flags.has('F');
+            const colors = expanded.color === 'always' || (expanded.color === 'auto' && context.isTTY)
+                ? parseLsColors(context.env.LS_COLORS)
+                : null;
+            const errors = [];
+            let exitCode = 0;
+            // A name as shown, with its width on screen leaving out color codes. In
+            // the long format a symlink shows its target instead of an @.
+            const showName = (entry) => {
+                const color = colors ? entryColor(entry, colors) : null;
+                let text = colors ? colorName(entry.name, color, colors) : entry.name;
+                let mark = classify ? classifyIndicator(entry.type, entry.mode) : '';
+                if (format === 'l' && entry.node.type === 'symlink') {
+                    const target = entry.node.target;
+                    const targetColor = !colors
+                        ? null
+                        : entry.target
+                            ? entryColor(Object.assign(Object.assign(Object.assign({}, entry), entry.target), { name: target }), colors)
+                            : colors.mi || null;
+                    mark =
+                        classify && entry.target ? classifyIndicator(entry.target.type, entry.target.mode) : '';
+                    text += ` -> ${colors ? colorName(target, targetColor, colors) : target}`;
+                }
+                return { text: text + mark, width: entry.name.length + mark.length };
+            };
+            // Lines of ls -l, their columns as wide as the widest entry's
+            let linkCounts = null;
+            const longListing = (entries) => {
+                const rows = entries.map((entry) => {
+                    const node = entry.node;
+                    // A directory is linked from its parent, its own . and each
+                    // subdirectory's .., and a file from each name it has
+                    let links;
+                    if (node.type === 'directory') {
+                        links = 2 + Object.values(node.children).filter((c) => c.type === 'directory').length;
+                    }
+                    else {
+                        linkCounts = linkCounts || this.countLinks();
+                        links = linkCounts.get(node) || 1;
+                    }
+                    return [
+                        formatMode(node.type, node.mode),
+                        String(links),
+                        this.userName(node.uid),
+                        this.groupName(node.gid),
+                        flags.has('h') ? humanSize(entry.size) : String(entry.size),
+                        formatFileTime(node.mtime),
+                        showName(entry).text,
+                    ];
+                });
+                return rows.length > 0
+                    ? formatColumns(rows, [false, true, false, false, true, false, false]).split('\n')
+                    : [];
+            };
+            const render = (entries) => {
+                if (format === 'l') {
+                    return longListing(entries).join('\n');
+                }
+                const names = entries.map(showName);
+                if (format === '1') {
+                    return names.map((name) => name.text).join('\n');
+                }
+                return formatGrid(names, width, format === 'x');
+            };
+            // Operands that are directories are listed after the rest. -d, -F and
+            // -l show a symlink named on the command line rather than following it,
+            // and a dangling one is shown either way.
+            const files = [];
+            const directories = [];
+            for (const operand of operands.length > 0 ? operands : ['.']) {
+                const path = this.resolvePath(operand);
+                const link = operand.endsWith('/') ? null : this.getNode(path, false);
+                const symlink = link && link.type === 'symlink' ? link : null;
+                let node = symlink && (flags.has('d') || classify || format === 'l') ? symlink : null;
+                if (!node) {
+                    const found = this.findNode(path);
+                    if (typeof found === 'string' && !symlink) {
+                        errors.push(`ls: cannot access '${operand}': ${found}`);
+                        exitCode = 2;
+                        continue;
+                    }
+                    node = typeof found === 'string' ? symlink : found;
+                }
+                const entry = this.listingEntry(operand, node, path);
+                (node.type === 'directory' && !flags.has('d') ? directories : files).push(entry);
+            }
+            const blocks = [];
+            if (files.length > 0) {
+                blocks.push(render(sortEntries(files, sort, flags.has('r'))));
+            }
+            const headers = operands.length > 1 || flags.has('R');
+            const listDirectory = (label, path, dir, operand) => {
+                if (!this.canAccess(dir, READ)) {
+                    errors.push(`ls: cannot open directory '${label}': Permission denied`);
+                    exitCode = operand ? 2 : Math.max(exitCode, 1);
+                    return;
+                }
+                const entries = Object.keys(dir.children)
+                    .filter((name) => flags.has('a') || flags.has('A') || !name.startsWith('.'))
+                    .map((name) => this.listingEntry(name, dir.children[name], joinPath(path, name)));
+                if (flags.has('a')) {
+                    const parentPath = this.resolvePath(joinPath(path, '..'));
+                    const parent = this.getNode(parentPath);
+                    entries.push(this.listingEntry('.', dir, path), this.listingEntry('..', parent, parentPath));
+                }
+                const sorted = sortEntries(entries, sort, flags.has('r'));
+                const lines = headers ? [`${label}:`] : [];
+                if (format === 'l') {
+                    const bytes = sorted.reduce((sum, entry) => sum + (entry.type === 'symlink' ? 0 : allocatedSize(entry.size)), 0);
+                    lines.push(`total ${flags.has('h') ? humanSize(bytes) : bytes / 1024}`);
+                }
+                if (sorted.length > 0) {
+                    lines.push(render(sorted));
+                }
+                if (lines.length > 0) {
+                    blocks.push(lines.join('\n'));
+                }
+                if (flags.has('R')) {
+                    for (const entry of sorted) {
+                        if (entry.node.type === 'directory' && entry.name !== '.' && entry.name !== '..') {
+                            listDirectory(joinPath(label, entry.name), entry.path, entry.node, false);
+                        }
+                    }
+                }
+            };
+            for (const entry of sortEntries(directories, sort, flags.has('r'))) {
+                if (entry.node.type === 'directory') {
+                    listDirectory(entry.name, entry.path, entry.node, true);
+                }
+            }
+            return {
+                stdout: toLines(blocks.join('\n\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode,
+            };
+        }
+        /**
+         * What ls shows of a node at path under the given name, with the type and
+         * mode of what a symlink points to
+         */
+        listingEntry(name, node, path) {
+            const entry = {
+                name,
+                type: node.type,
+                mode: node.mode,
+                size: nodeSize(node),
+                mtime: node.mtime,
+                node,
+                path,
+            };
+            if (node.type === 'symlink') {
+                const target = this.getNode(path);
+                entry.target = target ? { type: target.type, mode: target.mode } : null;
+            }
+            return entry;
+        }
+        /**
+         * How many names each file and symlink has across the filesystem, as hard
+         * links share the node
+         */
+        countLinks() {
+            const counts = new Map();
+            const visit = (dir) => {
+                for (const child of Object.values(dir.children)) {
+                    if (child.type === 'directory') {
+                        visit(child);
+                    }
+                    else {
+                        counts.set(child, (counts.get(child) || 0) + 1);
+                    }
+                }
+            };
+            visit(this.fileSystem['/']);
+            return counts;
+        }
+        cmd_cd(args) {
+            if (!args[0]) {
+                const home = this.getVariable('HOME');
+                if (home === undefined) {
+                    return failure('bash: cd: HOME not set');
+                }
+                if (!home) {
+                    return '';
+                }
+                args = [home];
+            }
+            const newPath = this.resolvePath(args[0]);
+            const node = this.findNode(newPath);
+            if (typeof node === 'string') {
+                return failure(`cd: ${args[0]}: ${node}`);
+            }
+            if (node.type === 'file') {
+                return failure(`cd: ${args[0]}: Not a directory`);
+            }
+            if (!this.canAccess(node, EXECUTE)) {
+                return failure(`cd: ${args[0]}: Permission denied`);
+            }
+            this.currentPath = newPath;
+            this.environment.PWD = this.currentPath;
+            return '';
+        }
+        cmd_pwd() {
+            return this.currentPath;
+        }
+        cmd_cat(args, context) {
+            if (this.readsTerminal(args, context)) {
+                if (this.readsOnlyStdin(args)) {
+                    return this.filterLines((line) => `${line}\n`, () => '');
+                }
+                return this.readTerminal((stdin) => this.cmd_cat(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const files = args.length > 0 ? args : ['-'];
+            const errors = [];
+            let output = '';
+            for (const file of files) {
+                const content = this.readOperand('cat', file, context, errors);
+                if (content !== null) {
+                    output += content;
+                }
+            }
+            return {
+                stdout: output,
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Prints lines matching a basic regular expression, or with -E an
+         * extended one and with -F a fixed string, from files or stdin. -r
+         * searches directories. Matches are highlighted with --color=always, or
+         * --color=auto when output goes to the terminal.
+         */
+        cmd_grep(args, context) {
+            const expanded = expandLongOptions(args, GREP_LONG_OPTIONS, true);
+            if (typeof expanded === 'string') {
+                return failure(`grep: ${expanded}\nTry 'grep --help' for more information.`, 2);
+            }
+            const parsed = parseFlags('grep', expanded.args, 'iyvnclLrRwxoqshHEFGe:f:m:A:B:C:');
+            if (!('flags' in parsed)) {
+                return Object.assign(Object.assign({}, parsed), { exitCode: 2 });
+            }
+            const { flags, values, lists, operands } = parsed;
+            const errors = [];
+            // Patterns come from -e and -f, or else the first operand
+            let patterns = [];
+            if (flags.has('e') || flags.has('f')) {
+                for (const file of lists.f || []) {
+                    const content = this.readOperand('grep', file, context, errors);
+                    if (content === null) {
+                        return failure(errors.join('\n'), 2);
+                    }
+                    patterns.push(...textLines(content));
+                }
+                patterns.push(...(lists.e || []));
+            }
+            else if (operands.length > 0) {
+                patterns.push(operands.shift());
+            }
+            const recursive = flags.has('r') || flags.has('R');
+            if (patterns.length === 0) {
+                return failure('Usage: grep [OPTION]... PATTERN [FILE]...', 2);
+            }
+            patterns = patterns.reduce((all, pattern) => all.concat(pattern.split('\n')), []);
+            let source;
+            try {
+                const extended = flags.has('E') && !flags.has('G');
+                source = patterns
+                    .map((pattern) => flags.has('F') ? escapeRegex(pattern) : translateRegex(pattern, extended))
+                    .map((pattern) => (patterns.length > 1 ? `(?:${pattern})` : pattern))
+                    .join('|');
+            }
+            catch (error) {
+                return failure(`grep: ${error instanceof RegexError ? error.message : error}`, 2);
+            }
+            if (flags.has('x')) {
+                source = `^(?:${source})$`;
+            }
+            const numbers = {};
+            for (const flag of ['A', 'B', 'C', 'm']) {
+                if (values[flag] === undefined) {
+                    continue;
+                }
+                if (!/^\d+$/.test(values[flag])) {
+                    const message = flag === 'm' ? 'invalid max count' : `${values[flag]}: invalid context length argument`;
+                    return failure(`grep: ${message}`, 2);
+                }
+                numbers[flag] = parseInt(values[flag], 10);
+            }
+            const contextLines = numbers.C || 0;
+            const files = operands.length > 0 ? operands : [recursive ? '.' : '-'];
+            const options = {
+                regex: new RegExp(source, flags.has('i') || flags.has('y') ? 'gi' : 'g'),
+                invert: flags.has('v'),
+                wholeWords: flags.has('w'),
+                lineNumbers: flags.has('n'),
+                withFileNames: flags.has('H') || (!flags.has('h') && (files.length > 1 || recursive)),
+                onlyMatching: flags.has('o'),
+                summary: flags.has('q')
+                    ? 'quiet'
+                    : flags.has('l')
+                        ? 'matching'
+                        : flags.has('L')
+                            ? 'nonmatching'
+                            : flags.has('c')
+                                ? 'count'
+                                : null,
+                maxCount: numbers.m !== undefined ? numbers.m : Infinity,
+                before: numbers.B !== undefined ? numbers.B : contextLines,
+                after: numbers.A !== undefined ? numbers.A : contextLines,
+                color: expanded.color === 'always' || (expanded.color === 'auto' && context.isTTY),
+            };
+            if (!recursive && this.readsTerminal(operands, context)) {
+                // Stdin alone is grepped as it's read, and -m, -q, -l and -L stop
+                // reading once they have what they need
+                if (this.readsOnlyStdin(operands) && operands.length <= 1) {
+                    const scan = new GrepScan('(standard input)', options, false);
+                    return this.filterLines((line) => scan.line(line), () => ({ stdout: scan.end(), exitCode: scan.selected ? 0 : 1 }), () => scan.done);
+                }
+                const scan = new GrepScan('', options, false);
+                return this.readTerminal((stdin) => this.cmd_grep(args, Object.assign(Object.assign({}, context), { stdin })), (line) => {
+                    scan.line(line);
+                    return scan.done;
+                });
+            }
+            // Recursive searches list what's in directories, naming files from the
+            // operand, or from the current directory without ./ when there's none
+            const inputs = [];
+            for (const file of files) {
+                const node = file === '-' ? null : this.getNode(file);
+                if (recursive && node && node.type === 'directory') {
+                    const prefix = operands.length > 0 ? file.replace(/\/+$/, '') + '/' : '';
+                    this.grepDirectory(prefix, file, flags.has('R'), inputs, errors);
+                }
+                else {
+                    inputs.push([file, this.readOperand('grep', file, context, errors)]);
+                }
+            }
+            let output = '';
+            let selected = false;
+            let separate = false;
+            for (const [file, content] of inputs) {
+                if (content === null) {
+                    continue;
+                }
+                const name = file === '-' ? '(standard input)' : file;
+                const result = grepText(content, name, options, separate);
+                output += result.output;
+                separate = separate || result.output !== '';
+                selected = selected || result.selected;
+                if (selected && options.summary === 'quiet') {
+                    break;
+                }
+            }
+            // Exit status 0 when something matched, 1 when nothing did, 2 on errors
+            const quietMatch = selected && options.summary === 'quiet';
+            return {
+                stdout: output,
+                stderr: flags.has('s') ? '' : toLines(errors.join('\n')),
+                exitCode: errors.length > 0 && !quietMatch ? 2 : selected ? 0 : 1,
+            };
+        }
+        /**
+         * Reads every file under a directory for grep -r, following symlinks in
+         * it with -R
+         */
+        grepDirectory(prefix, path, followLinks, inputs, errors) {
+            const dir = this.getNode(path);
+            if (!dir || dir.type !== 'directory') {
+                return;
+            }
+            if (!this.canAccess(dir, READ | EXECUTE)) {
+                errors.push(`grep: ${prefix.replace(/\/$/, '') || path}: Permission denied`);
+                return;
+            }
+            for (const name of Object.keys(dir.children)) {
+                const childPath = `${path.replace(/\/+$/, '')}/${name}`;
+                const node = this.getNode(childPath, followLinks);
+                if (!node || node.type === 'symlink') {
+                    continue;
+                }
+                if (node.type === 'directory') {
+                    this.grepDirectory(`${prefix}${name}/`, childPath, followLinks, inputs, errors);
+                    continue;
+                }
+                const file = this.openFile(childPath);
+                if (typeof file === 'string') {
+                    errors.push(`grep: ${prefix}${name}: ${file}`);
+                }
+                else {
+                    inputs.push([`${prefix}${name}`, fileText(file)]);
+                }
+            }
+        }
+        /**
+         * Prints the first 10 lines of files or stdin, or the first -n lines or
+         * -c bytes. A negative count prints all but that many at the end.
+         */
+        cmd_head(args, context) {
+            return this.headOrTail('head', args, context);
+        }
+        /**
+         * Prints the last 10 lines of files or stdin, or the last -n lines or -c
+         * bytes. A count of +N starts from line or byte N instead.
+         */
+        cmd_tail(args, context) {
+            return this.headOrTail('tail', args, context);
+        }
+        /**
+         * head and tail, which only differ in which end of the text they keep.
+         * Several files get ==> name <== headers, unless -q; -v always adds them.
+         */
+        headOrTail(command, args, context) {
+            // head -5 and tail -5 are short for -n 5
+            if (args.length > 0 && /^-\d+$/.test(args[0])) {
+                args = ['-n', args[0].slice(1), ...args.slice(1)];
+            }
+            const parsed = parseFlags(command, args, 'n:c:qv');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            const bytes = flags.has('c');
+            const spec = (bytes ? values.c : values.n) || '10';
+            if (!/^[-+]?\d+$/.test(spec)) {
+                return failure(`${command}: invalid number of ${bytes ? 'bytes' : 'lines'}: '${spec}'`);
+            }
+            const count = parseInt(spec, 10);
+            const fromStart = command === 'tail' && spec.startsWith('+');
+            if (this.readsTerminal(operands, context)) {
+                // head stops reading once it has the lines or bytes it prints
+                let lines = 0;
+                const enough = (line, text) => command === 'head' && count >= 0 && (bytes ? text.length >= count : ++lines >= count);
+                return this.readTerminal((stdin) => this.headOrTail(command, args, Object.assign(Object.assign({}, context), { stdin })), enough);
+            }
+            const files = operands.length > 0 ? operands : ['-'];
+            const headers = flags.has('v') || (files.length > 1 && !flags.has('q'));
+            const errors = [];
+            const parts = [];
+            for (const file of files) {
+                const content = this.readOperand(command, file, context, errors, (error) => `${command}: cannot open '${file}' for reading: ${error}`);
+                if (content === null) {
+                    continue;
+                }
+                const units = bytes ? Array.from(content) : splitLines(content);
+                let kept;
+                if (command === 'head') {
+                    kept =
+                        count < 0 ? units.slice(0, Math.max(units.length + count, 0)) : units.slice(0, count);
+                }
+                else if (fromStart) {
+                    kept = units.slice(Math.max(count - 1, 0));
+                }
+                else {
+                    kept = Math.abs(count) === 0 ? [] : units.slice(-Math.abs(count));
+                }
+                const name = file === '-' ? 'standard input' : file;
+                parts.push((headers ? `==> ${name} <==\n` : '') + kept.join(''));
+            }
+            return {
+                stdout: parts.join('\n'),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Counts lines, words and bytes in files or stdin, or just those asked
+         * for with -l, -w, -c and -m (characters), with a total for several files
+         */
+        cmd_wc(args, context) {
+            const parsed = parseFlags('wc', args, 'lwcm');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const columns = ['l', 'w', 'm', 'c'].filter((flag) => flags.has(flag));
+            if (columns.length === 0) {
+                columns.push('l', 'w', 'c');
+            }
+            const keys = { l: 'lines', w: 'words', m: 'chars', c: 'bytes' };
+            if (this.readsTerminal(operands, context)) {
+                return this.readTerminal((stdin) => this.cmd_wc(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const files = operands.length > 0 ? operands : ['-'];
+            const errors = [];
+            const rows = [];
+            const total = [0, 0, 0, 0].slice(0, columns.length);
+            for (const file of files) {
+                const content = this.readOperand('wc', file, context, errors);
+                if (content === null) {
+                    continue;
+                }
+                const counts = countText(content);
+                const row = columns.map((column) => counts[keys[column]]);
+                row.forEach((count, i) => (total[i] += count));
+                rows.push([row, file === '-' ? '' : file]);
+            }
+            if (files.length > 1) {
+                rows.push([total, 'total']);
+            }
+            // Counts line up in columns wide enough for the biggest file, or for
+            // anything stdin might hold; a lone count isn't padded
+            let width = 1;
+            if (columns.length > 1 || files.length > 1) {
+                width = String(rows.reduce((max, [row]) => Math.max(max, ...row), 0)).length;
+                if (files.includes('-')) {
+                    width = Math.max(width, 7);
+                }
+            }
+            const lines = rows.map(([row, name]) => [...row.map((count) => String(count).padStart(width)), ...(name ? [name] : [])].join(' '));
+            return {
+                stdout: toLines(lines.join('\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Sorts lines of files or stdin by character code, as in the C locale.
+         * -n sorts numbers, -h numbers like 2K and 1G, -f ignores case, -b leading
+         * blanks and -r reverses. -k sorts by fields, split at blanks or at -t. -u
+         * drops lines that sort the same and -o writes the result to a file.
+         */
+        cmd_sort(args, context) {
+            const parsed = parseFlags('sort', args, 'bfhnrsuk:t:o:');
+            if (!('flags' in parsed)) {
+                return Object.assign(Object.assign({}, parsed), { exitCode: 2 });
+            }
+            const { flags, values, lists, operands } = parsed;
+            const order = {
+                numeric: flags.has('n'),
+                human: flags.has('h'),
+                reverse: flags.has('r'),
+                foldCase: flags.has('f'),
+                ignoreBlanks: flags.has('b'),
+            };
+            const separator = values.t === undefined ? null : values.t;
+            if (separator !== null && separator.length !== 1) {
+                return failure(separator ? `sort: multi-character tab '${separator}'` : 'sort: empty tab', 2);
+            }
+            const keys = [];
+            for (const spec of lists.k || []) {
+                const key = parseSortKey(spec, order);
+                if (!key) {
+                    return failure(`sort: invalid field specification '${spec}'`, 2);
+                }
+                keys.push(key);
+            }
+            if (this.readsTerminal(operands, context)) {
+                return this.readTerminal((stdin) => this.cmd_sort(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const errors = [];
+            let lines = [];
+            for (const file of operands.length > 0 ? operands : ['-']) {
+                const content = this.readOperand('sort', file, context, errors, (error) => `sort: cannot read: ${file}: ${error}`);
+                if (content === null) {
+                    return failure(errors.join('\n'), 2);
+                }
+                lines = lines.concat(textLines(content));
+            }
+            // Lines whose keys are equal sort by the whole line, unless -s or -u
+            const compareKeys = (a, b) => {
+                if (keys.length === 0) {
+                    return compareText(a, b, order);
+                }
+                for (const key of keys) {
+                    const result = compareText(sortKeyText(a, key, separator), sortKeyText(b, key, separator), key);
+                    if (result !== 0) {
+                        return result;
+                    }
+                }
+                return 0;
+            };
+            const plain = Object.assign(Object.assign({}, order), { numeric: false, human: false, foldCase: false, ignoreBlanks: false });
+            const lastResort = !flags.has('s') && !flags.has('u');
+            lines.sort((a, b) => compareKeys(a, b) || (lastResort ? compareText(a, b, plain) : 0));
+            if (flags.has('u')) {
+                lines = lines.filter((line, i) => i === 0 || compareKeys(lines[i - 1], line) !== 0);
+            }
+            const output = toLines(lines.join('\n'));
+            if (values.o !== undefined) {
+                const error = this.writeFile(values.o, output, 'overwrite');
+                return error ? failure(`sort: open failed: ${values.o}: ${error}`, 2) : '';
+            }
+            return output;
+        }
+        /**
+         * Collapses runs of the same line in a file or stdin into one, writing to
+         * stdout or an output file. -c counts each run, -d prints only repeated
+         * lines and -u only unrepeated ones. -i ignores case, and -f and -s skip
+         * fields and characters before comparing.
+         */
+        cmd_uniq(args, context) {
+            const parsed = parseFlags('uniq', args, 'cdiuf:s:');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            if (operands.length > 2) {
+                return failure(`uniq: extra operand '${operands[2]}'\nTry 'uniq --help' for more information.`);
+            }
+            for (const flag of ['f', 's']) {
+                if (values[flag] !== undefined && !/^\d+$/.test(values[flag])) {
+                    const what = flag === 'f' ? 'fields' : 'bytes';
+                    return failure(`uniq: ${values[flag]}: invalid number of ${what} to skip`);
+                }
+            }
+            const skipFields = parseInt(values.f || '0', 10);
+            const skipChars = parseInt(values.s || '0', 10);
+            if (this.readsTerminal(operands.slice(0, 1), context)) {
+                return this.readTerminal((stdin) => this.cmd_uniq(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const errors = [];
+            const content = this.readOperand('uniq', operands[0] || '-', context, errors);
+            if (content === null) {
+                return failure(errors.join('\n'));
+            }
+            const compared = (line) => {
+                let rest = line;
+                for (let i = 0; i < skipFields; i++) {
+                    rest = rest.replace(/^\s*\S+/, '');
+                }
+                rest = rest.slice(skipChars);
+                return flags.has('i') ? rest.toLowerCase() : rest;
+            };
+            const runs = [];
+            for (const line of textLines(content)) {
+                const last = runs[runs.length - 1];
+                if (last && compared(last[0]) === compared(line)) {
+                    last[1]++;
+                }
+                else {
+                    runs.push([line, 1]);
+                }
+            }
+            const output = runs
+                .filter(([, count]) => !(flags.has('d') && count === 1) && !(flags.has('u') && count > 1))
+                .map(([line, count]) => (flags.has('c') ? `${String(count).padStart(7)} ${line}` : line));
+            const text = toLines(output.join('\n'));
+            if (operands[1] !== undefined) {
+                const error = this.writeFile(operands[1], text, 'overwrite');
+                return error ? failure(`uniq: ${operands[1]}: ${error}`) : '';
+            }
+            return text;
+        }
+        /**
+         * Prints parts of each line of files or stdin: the fields in -f, split
+         * at tabs or the -d delimiter, or the characters in -c (or bytes in -b).
+         * Lists are like 1,3-5,7-. Lines without a delimiter print whole, unless -s.
+         */
+        cmd_cut(args, context) {
+            const parsed = parseFlags('cut', args, 'b:c:f:d:s');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            const help = "Try 'cut --help' for more information.";
+            const modes = ['b', 'c', 'f'].filter((flag) => flags.has(flag));
+            if (modes.length === 0) {
+                return failure(`cut: you must specify a list of bytes, characters, or fields\n${help}`);
+            }
+            if (modes.length > 1) {
+                return failure(`cut: only one type of list may be specified\n${help}`);
+            }
+            const fields = modes[0] === 'f';
+            if (!fields && (flags.has('d') || flags.has('s'))) {
+                const what = flags.has('d')
+                    ? 'an input delimiter may be specified'
+                    : 'suppressing non-delimited lines makes sense';
+                return failure(`cut: ${what} only when operating on fields\n${help}`);
+            }
+            const delimiter = values.d === undefined ? '\t' : values.d;
+            if (delimiter.length !== 1) {
+                return failure(`cut: the delimiter must be a single character\n${help}`);
+            }
+            const ranges = parseRanges(values[modes[0]], fields ? 'field' : 'byte/character');
+            if (typeof ranges === 'string') {
+                return failure(`cut: ${ranges}\n${help}`);
+            }
+            // The part of a line cut prints, or null for a line -s leaves out
+            const cut = (line) => {
+                if (!fields) {
+                    return selectRanges(Array.from(line), ranges).join('');
+                }
+                else if (line.includes(delimiter)) {
+                    return selectRanges(line.split(delimiter), ranges).join(delimiter);
+                }
+                return flags.has('s') ? null : line;
+            };
+            if (this.readsTerminal(operands, context)) {
+                if (this.readsOnlyStdin(operands)) {
+                    return this.filterLines((line) => {
+                        const part = cut(line);
+                        return part === null ? '' : `${part}\n`;
+                    }, () => '');
+                }
+                return this.readTerminal((stdin) => this.cmd_cut(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const errors = [];
+            const output = [];
+            for (const file of operands.length > 0 ? operands : ['-']) {
+                const content = this.readOperand('cut', file, context, errors);
+                if (content === null) {
+                    continue;
+                }
+                for (const line of textLines(content)) {
+                    const part = cut(line);
+                    if (part !== null) {
+                        output.push(part);
+                    }
+                }
+            }
+            return {
+                stdout: toLines(output.join('\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Translates the characters of stdin in the first set to those in the
+         * second, or with -d deletes them. -s squeezes runs of a character in the
+         * last set into one, and -c uses every character not in the first set.
+         */
+        cmd_tr(args, context) {
+            const parsed = parseFlags('tr', args, 'cCds');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const help = "Try 'tr --help' for more information.";
+            const complement = flags.has('c') || flags.has('C');
+            const deleting = flags.has('d');
+            const squeezing = flags.has('s');
+            const translating = !deleting && !(squeezing && operands.length === 1);
+            if (operands.length === 0) {
+                return failure(`tr: missing operand\n${help}`);
+            }
+            if (operands.length === 1 && (translating || (deleting && squeezing))) {
+                const why = translating
+                    ? 'Two strings must be given when translating.'
+                    : 'Two strings must be given when deleting and squeezing.';
+                return failure(`tr: missing operand after '${operands[0]}'\n${why}\n${help}`);
+            }
+            const maxOperands = deleting && !squeezing ? 1 : 2;
+            if (operands.length > maxOperands) {
+                const why = maxOperands === 1
+                    ? 'Only one string may be given when deleting without squeezing repeats.\n'
+                    : '';
+                return failure(`tr: extra operand '${operands[maxOperands]}'\n${why}${help}`);
+            }
+            const set1 = expandTrSet(operands[0]);
+            if (typeof set1 === 'string') {
+                return failure(`tr: ${set1}`);
+            }
+            const set2 = operands[1] === undefined ? [] : expandTrSet(operands[1], set1.length);
+            if (typeof set2 === 'string') {
+                return failure(`tr: ${set2}`);
+            }
+            if (translating && set2.length === 0) {
+                return failure('tr: when not truncating set1, string2 must be non-empty');
+            }
+            const inSet1 = (char) => set1.includes(char) !== complement;
+            const mapping = new Map();
+            if (translating && !complement) {
+                set1.forEach((char, i) => mapping.set(char, set2[Math.min(i, set2.length - 1)]));
+            }
+            const squeezeSet = operands.length === 2 ? set2 : set1;
+            const inSqueezeSet = (char) => operands.length === 2 ? squeezeSet.includes(char) : inSet1(char);
+            // Squeezing carries on from one piece of input to the next
+            let last = '';
+            const translate = (text) => {
+                let output = '';
+                for (const char of text) {
+                    if (deleting && inSet1(char)) {
+                        continue;
+                    }
+                    let result = char;
+                    if (translating) {
+                        result = complement
+                            ? inSet1(char)
+                                ? set2[set2.length - 1]
+                                : char
+                            : mapping.has(char)
+                                ? mapping.get(char)
+                                : char;
+                    }
+                    if (squeezing && result === last && inSqueezeSet(result)) {
+                        continue;
+                    }
+                    output += result;
+                    last = result;
+                }
+                return output;
+            };
+            if (this.readsTerminal([], context)) {
+                return this.filterLines((line) => translate(`${line}\n`), () => '');
+            }
+            return { stdout: translate(context.stdin || '') };
+        }
+        /**
+         * Copies stdin to stdout and to each file, appending with -a
+         */
+        cmd_tee(args, context) {
+            const parsed = parseFlags('tee', args, 'ai');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            if (this.readsTerminal([], context)) {
+                return this.readTerminal((stdin) => this.cmd_tee(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            const input = context.stdin || '';
+            const errors = [];
+            for (const file of operands) {
+                const error = this.writeFile(file, input, flags.has('a') ? 'append' : 'overwrite');
+                if (error) {
+                    errors.push(`tee: ${file}: ${error}`);
+                }
+            }
+            return {
+                stdout: input,
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Edits text a line at a time with a sed script (see sed.ts), from the
+         * first operand or -e and -f. With -i each file is edited in place,
+         * keeping a copy of the original when -i gives a suffix.
+         */
+        cmd_sed(args, context) {
+            const parsed = parseFlags('sed', args, 'ne:f:i::Ers');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, lists, operands } = parsed;
+            const errors = [];
+            const describe = (file) => (error) => error === 'Is a directory'
+                ? `sed: read error on ${file}: ${error}`
+                : `sed: can't read ${file}: ${error}`;
+            const scripts = (lists.e || []).map((text, i) => ({
+                text,
+                source: `-e expression #${i + 1}`,
+                fromFile: false,
+            }));
+            for (const file of lists.f || []) {
+                const text = this.readOperand('sed', file, context, errors, (error) => {
+                    return `sed: couldn't open file ${file}: ${error}`;
+                });
+                if (text === null) {
+                    return failure(errors.join('\n'));
+                }
+                scripts.push({ text, source: `file ${file}`, fromFile: true });
+            }
+            if (scripts.length === 0) {
+                if (operands.length === 0) {
+                    return failure('Usage: sed [OPTION]... {script-only-if-no-other-script} [input-file]...');
+                }
+                scripts.push({ text: operands.shift(), source: '-e expression #1', fromFile: false });
+            }
+            if (!flags.has('i') && this.readsTerminal(operands, context)) {
+                if (this.readsOnlyStdin(operands)) {
+                    return this.streamSed(scripts, flags);
+                }
+                return this.readTerminal((stdin) => this.cmd_sed(args, Object.assign(Object.assign({}, context), { stdin })));
+            }
+            let program;
+            let output = '';
+            let exitCode = 0;
+            try {
+                program = parseSed(scripts, flags.has('E') || flags.has('r'));
+                if (flags.has('i')) {
+                    if (operands.length === 0) {
+                        return failure('sed: no input files');
+                    }
+                    // Each file is its own input, written back with what the script printed
+                    for (const file of operands) {
+                        const node = this.openFile(file);
+                        if (typeof node === 'string') {
+                            errors.push(node === 'Is a directory'
+                                ? `sed: couldn't edit ${file}: not a regular file`
+                                : describe(file)(node));
+                            continue;
+                        }
+                        const original = fileText(node);
+                        const result = runSed(program, original, flags.has('n'));
+                        const backup = values.i ? this.writeFile(file + values.i, original, 'overwrite') : null;
+                        const error = backup || this.writeFile(file, result.output, 'overwrite');
+                        if (error) {
+                            errors.push(`sed: couldn't open temporary file ${file}: ${error}`);
+                        }
+                        if (result.quit) {
+                            exitCode = result.exitCode;
+                            break;
+                        }
+                    }
+                }
+                else {
+                    const texts = [];
+                    for (const file of operands.length > 0 ? operands : ['-']) {
+                        const text = this.readOperand('sed', file, context, errors, describe(file));
+                        if (text !== null) {
+                            texts.push(text);
+                        }
+                    }
+                    // Files are one stream, their line numbers running on, unless -s
+                    const joined = texts
+                        .map((text, i) => (i < texts.length - 1 && /[^\n]$/.test(text) ? `${text}\n` : text))
+                        .join('');
+                    const inputs = flags.has('s') ? texts : [joined];
+                    for (const text of inputs) {
+                        const result = runSed(program, text, flags.has('n'));
+                        output += result.output;
+                        if (result.quit) {
+                            exitCode = result.exitCode;
+                            break;
+                        }
+                    }
+                }
+            }
+            catch (error) {
+                if (error instanceof SedError) {
+                    return { stdout: output, stderr: toLines(`sed: ${error.message}`), exitCode: 1 };
+                }
+                throw error;
+            }
+            return {
+                stdout: output,
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 2 : exitCode,
+            };
+        }
+        /**
+         * Runs sed over stdin as it's read, writing each line once the script is
+         * done with it, until the end of input or q
+         */
+        streamSed(scripts, flags) {
+            let run;
+            let step;
+            let error = null;
+            const resume = (line) => {
+                try {
+                    step = run.next(line);
+                    return step.done ? step.value.output : step.value;
+                }
+                catch (caught) {
+                    if (!(caught instanceof SedError))
+                        throw caught;
+                    error = caught;
+                    return '';
+                }
+            };
+            try {
+                run = streamSed(parseSed(scripts, flags.has('E') || flags.has('r')), flags.has('n'));
+                step = run.next(null);
+            }
+            catch (caught) {
+                if (!(caught instanceof SedError))
+                    throw caught;
+                return failure(`sed: ${caught.message}`);
+            }
+            return this.filterLines((line) => resume(`${line}\n`), () => {
+                const stdout = step.done ? '' : resume(null);
+                return error
+                    ? { stdout, stderr: toLines(`sed: ${error.message}`), exitCode: 1 }
+                    : { stdout, exitCode: step.done ? step.value.exitCode : 0 };
+            }, () => error !== null || !!step.done);
+        }
+        /**
+         * Runs an awk program (see awk.ts) over files or stdin. The program is
+         * the first operand, or read with -f; -F sets FS and -v other variables.
+         * Files it prints to with > and >> are written when it finishes.
+         */
+        *cmd_awk(args, context) {
+            const parsed = parseFlags('awk', args, 'F:v:f:', true);
+            if (!('flags' in parsed)) {
+                return Object.assign(Object.assign({}, parsed), { exitCode: 2 });
+            }
+            const { values, lists, operands } = parsed;
+            const errors = [];
+            let source;
+            if (lists.f) {
+                const texts = [];
+                for (const file of lists.f) {
+                    const text = this.readOperand('awk', file, context, errors, (error) => {
+                        return `awk: fatal: can't open source file \`${file}' for reading: ${error}`;
+                    });
+                    if (text === null) {
+                        return failure(errors.join('\n'), 2);
+                    }
+                    texts.push(text);
+                }
+                source = { text: texts.join('\n'), name: lists.f[0] };
+            }
+            else if (operands.length > 0) {
+                source = { text: operands.shift(), name: 'cmd. line' };
+            }
+            else {
+                return failure('Usage: awk [POSIX or GNU style options] -f progfile [--] file ...\n' +
+                    "Usage: awk [POSIX or GNU style options] [--] 'program' file ...", 2);
+            }
+            // -F t means a tab, as POSIX has it
+            const assignments = lists.v || [];
+            if (values.F !== undefined) {
+                assignments.unshift(`FS=${values.F === 't' ? '\t' : values.F}`);
+            }
+            let program;
+            try {
+                program = parseAwk(source);
+            }
+            catch (error) {
+                if (error instanceof AwkError) {
+                    return failure(describeAwkError(error), 2);
+                }
+                throw error;
+            }
+            const run = runAwk(program, operands, assignments, {
+                stdin: context.stdin || '',
+                environment: context.env,
+                readFile: (path) => {
+                    const file = this.openFile(path);
+                    return typeof file === 'string' ? file : { content: fileText(file) };
+                },
+            });
+            let step = run.next();
+            while (!step.done) {
+                yield* this.checkpoint();
+                step = run.next();
+            }
+            const result = step.value;
+            for (const file of result.files) {
+                const error = this.writeFile(file.path, file.content, file.append ? 'append' : 'overwrite');
+                if (error) {
+                    errors.push(`awk: fatal: can't redirect to \`${file.path}' (${error})`);
+                }
+            }
+            return {
+                stdout: result.output,
+                stderr: result.errors + toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 2 : result.exitCode,
+            };
+        }
+        /**
+         * Prints its arguments and a newline, leaving the newline off with -n
+         */
+        cmd_echo(args) {
+            let newline = true;
+            while (args.length > 0 && /^-n+$/.test(args[0])) {
+                newline = false;
+                args = args.slice(1);
+            }
+            return { stdout: args.join(' ') + (newline ? '\n' : '') };
+        }
+        cmd_clear() {
+            return '__CLEAR__';
+        }
+        cmd_whoami() {
+            return this.currentUser;
+        }
+        cmd_date() {
+            return new Date().toString();
+        }
+        /**
+         * Waits for the total of its durations, each a number of seconds with an
+         * optional s, m, h or d suffix. Interrupting it ends the wait.
+         */
+        cmd_sleep(args, context) {
+            if (args.length === 0) {
+                return failure("sleep: missing operand\nTry 'sleep --help' for more information.");
+            }
+            const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+            let seconds = 0;
+            for (const arg of args) {
+                const match = /^(\d+\.?\d*|\.\d+)([smhd]?)$/.exec(arg);
+                if (!match) {
+                    return failure(`sleep: invalid time interval '${arg}'\nTry 'sleep --help' for more information.`);
+                }
+                seconds += parseFloat(match[1]) * units[match[2]];
+            }
+            const { signal } = context;
+            return new Promise((resolve) => {
+                const wake = () => {
+                    clearTimeout(timer);
+                    signal.removeEventListener('abort', wake);
+                    resolve('');
+                };
+                const timer = setTimeout(wake, seconds * 1000);
+                signal.addEventListener('abort', wake);
+            });
+        }
+        cmd_uname(args) {
+            if (args.includes('-a')) {
+                return 'UnixShell 1.0.0 UnixShell Terminal x86_64 GNU/JavaScript';
+            }
+            return 'UnixShell';
+        }
+        cmd_env(args, context) {
+            return Object.entries(context.env)
+                .map(([key, value]) => `${key}=${value}`)
+                .join('\n');
+        }
+        cmd_export(args) {
+            const unexport = args.includes('-n');
+            const names = args.filter((arg) => arg !== '-p' && arg !== '-n');
+            if (names.length === 0) {
+                return Object.keys(this.environment)
+                    .sort()
+                    .map((name) => `declare -x ${name}="${this.environment[name]}"`)
+                    .join('\n');
+            }
+            const errors = [];
+            for (const arg of names) {
+                const eq = arg.indexOf('=');
+                const name = eq === -1 ? arg : arg.slice(0, eq);
+                if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                    errors.push(`export: \`${arg}': not a valid identifier`);
+                    continue;
+                }
+                // export -n removes the export but keeps the variable
+                if (unexport) {
+                    this.exportMarks.delete(name);
+                    if (name in this.environment) {
+                        this.variables[name] = this.environment[name];
+                        delete this.environment[name];
+                    }
+                    continue;
+                }
+                // A name without a value is exported when it's set, as bash does
+                const value = eq === -1 ? this.getVariable(name) : arg.slice(eq + 1);
+                if (value === undefined) {
+                    this.exportMarks.add(name);
+                    continue;
+                }
+                this.environment[name] = value;
+                delete this.variables[name];
+                this.exportMarks.delete(name);
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        cmd_unset(args) {
+            const errors = [];
+            const unsetFunctions = args.includes('-f');
+            for (const name of args.filter((arg) => arg !== '-v' && arg !== '-f')) {
+                if (unsetFunctions) {
+                    delete this.functions[name];
+                    continue;
+                }
+                if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                    errors.push(`unset: \`${name}': not a valid identifier`);
+                    continue;
+                }
+                delete this.environment[name];
+                delete this.variables[name];
+                this.exportMarks.delete(name);
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        cmd_set(args) {
+            // set -- a b c (or just set a b c) replaces the positional parameters
+            if (args[0] === '--' || (args.length > 0 && !args[0].startsWith('-'))) {
+                this.positionalParams = args[0] === '--' ? args.slice(1) : args;
+                return '';
+            }
+            if (args.length > 0) {
+                return failure(`set: ${args[0]}: invalid option`, 2);
+            }
+            // Lists every variable, quoting values the way bash does
+            const all = Object.assign(Object.assign({}, this.variables), this.environment);
+            return Object.keys(all)
+                .sort()
+                .map((name) => {
+                const value = all[name];
+                return /^[A-Za-z0-9_./:@%+,=-]*$/.test(value)
+                    ? `${name}=${value}`
+                    : `${name}='${value.replace(/'/g, "'\\''")}'`;
+            })
+                .join('\n');
+        }
+        cmd_local(args) {
+            if (this.localScopes.length === 0) {
+                return failure('local: can only be used in a function');
+            }
+            const errors = [];
+            for (const arg of args) {
+                const eq = arg.indexOf('=');
+                const name = eq === -1 ? arg : arg.slice(0, eq);
+                if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                    errors.push(`local: \`${arg}': not a valid identifier`);
+                    continue;
+                }
+                this.declareLocal(name);
+                if (eq === -1) {
+                    delete this.environment[name];
+                    delete this.variables[name];
+                }
+                else {
+                    this.setVariable(name, arg.slice(eq + 1));
+                }
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        cmd_shift(args) {
+            const count = args[0] === undefined ? 1 : Number(args[0]);
+            if (!Number.isInteger(count) || count < 0) {
+                return failure(`shift: ${args[0]}: numeric argument required`);
+            }
+            if (count > this.positionalParams.length) {
+                return { exitCode: 1 };
+            }
+            this.positionalParams = this.positionalParams.slice(count);
+            return '';
+        }
+        cmd_test(args) {
+            return this.runTest('test', args);
+        }
+        cmd_bracket(args) {
+            if (args[args.length - 1] !== ']') {
+                return failure("[: missing `]'", 2);
+            }
+            return this.runTest('[', args.slice(0, -1));
+        }
+        cmd_true() {
+            return '';
+        }
+        cmd_false() {
+            return { exitCode: 1 };
+        }
+        cmd_break(args) {
+            return this.loopControl('break', args);
+        }
+        cmd_continue(args) {
+            return this.loopControl('continue', args);
+        }
+        cmd_return(args) {
+            if (this.localScopes.length === 0 && this.sourceDepth === 0) {
+                return failure("return: can only `return' from a function or sourced script");
+            }
+            let status = this.lastExitStatus;
+            if (args[0] !== undefined) {
+                if (!/^-?\d+$/.test(args[0])) {
+                    return failure(`return: ${args[0]}: numeric argument required`, 2);
+                }
+                status = parseInt(args[0], 10) & 255;
+            }
+            throw new FunctionReturn(status);
+        }
+        /**
+         * Evaluates test and [ arguments into an exit status
+         */
+        runTest(name, args) {
+            try {
+                const testArgs = args.map((value) => ({ value, operator: true }));
+                return { exitCode: evaluateTest(testArgs, (op, path) => this.fileTest(op, path)) ? 0 : 1 };
+            }
+            catch (error) {
+                if (error instanceof TestError) {
+                    return failure(`${name}: ${error.message}`, 2);
+                }
+                throw error;
+            }
+        }
+        /**
+         * Answers -e, -f, -d and the other file checks in conditional expressions
+         */
+        fileTest(op, path) {
+            if (op === '-L' || op === '-h') {
+                const link = path ? this.getNode(path, false) : null;
+                return link !== null && link.type === 'symlink';
+            }
+            const node = path ? this.findNode(path) : null;
+            if (node === null || typeof node === 'string') {
+                return false;
+            }
+            switch (op) {
+                case '-f':
+                    return node.type === 'file';
+                case '-d':
+                    return node.type === 'directory';
+                case '-s':
+                    return node.type !== 'file' || node.content.length > 0;
+                case '-r':
+                    return this.canAccess(node, READ);
+                case '-w':
+                    return this.canAccess(node, WRITE);
+                case '-x':
+                    return this.canAccess(node, EXECUTE);
+                default:
+                    return true;
+            }
+        }
+        /**
+         * Breaks out of (or continues) the innermost loops
+         */
+        loopControl(kind, args) {
+            const levels = args[0] === undefined ? 1 : Number(args[0]);
+            if (!/^\d*$/.test(args[0] || '')) {
+                return failure(`${kind}: ${args[0]}: numeric argument required`);
+            }
+            if (levels < 1) {
+                return failure(`${kind}: ${args[0]}: loop count out of range`);
+            }
+            if (this.loopDepth === 0) {
+                return failure(`${kind}: only meaningful in a \`for', \`while', or \`until' loop`, 0);
+            }
+            throw new LoopControl(kind, Math.min(levels, this.loopDepth));
+        }
+        *cmd_sh(args, context) {
+            return yield* this.runShell('sh', args, context);
+        }
+        *cmd_bash(args, context) {
+            return yield* this.runShell('bash', args, context);
+        }
+        *cmd_source(args, context) {
+            if (args.length === 0) {
+                return failure('bash: source: filename argument required', 2);
+            }
+            const script = this.readScript(args[0]);
+            if (typeof script !== 'string') {
+                return failure(`bash: ${args[0]}: ${script.error}`);
+            }
+            const io = Object.assign(Object.assign({}, this.commandIO), { stdin: context.stdin });
+            return { exitCode: yield* this.sourceScript(script, args[0], args.slice(1), io) };
+        }
+        /**
+         * Runs sh or bash with a script file, -c command string, or script on stdin
+         */
+        *runShell(shell, args, context) {
+            const io = Object.assign(Object.assign({}, this.commandIO), { stdin: context.stdin });
+            if (args[0] === '-c') {
+                if (args.length < 2) {
+                    return failure(`${shell}: -c: option requires an argument`, 2);
+                }
+                const name = args.length > 2 ? args[2] : shell;
+                return {
+                    exitCode: yield* this.runChildScript(args[1], name, args.slice(3), context.env, io),
+                };
+            }
+            // Without a file the script comes from stdin, as in "echo ls | sh"
+            if (args.length === 0) {
+                const source = context.stdin || '';
+                return { exitCode: yield* this.runChildScript(source, shell, [], context.env, io) };
+            }
+            const script = this.readScript(args[0]);
+            if (typeof script !== 'string') {
+                return failure(`${shell}: ${args[0]}: ${script.error}`, script.exitCode);
+            }
+            return {
+                exitCode: yield* this.runChildScript(script, args[0], args.slice(1), context.env, io),
+            };
+        }
+        /**
+         * Runs ./script or any other command given as a path, choosing the
+         * interpreter from its #! line
+         */
+        *runExecutable(path, args, env, io) {
+            const script = this.readScript(path, true);
+            if (typeof script !== 'string') {
+                io.stderr(`bash: ${path}: ${script.error}\n`);
+                return script.exitCode;
+            }
+            // Without a #! line, bash runs the file as a shell script
+            if (!script.startsWith('#!')) {
+                return yield* this.runChildScript(script, path, args, env, io);
+            }
+            // #!/bin/sh and #!/usr/bin/env bash both name a shell we can run
+            const [interpreter, argument] = script.split('\n')[0].slice(2).trim().split(/\s+/);
+            const program = interpreter.endsWith('/env') ? argument : interpreter.split('/').pop();
+            if (!program || !SCRIPT_INTERPRETERS.includes(program)) {
+                io.stderr(`bash: ${path}: ${interpreter}: bad interpreter: No such file or directory\n`);
+                return 126;
+            }
+            return yield* this.runChildScript(script, path, args, env, io);
+        }
+        /**
+         * Reads a script file, or explains why it can't be run. Running it as a
+         * program also needs its execute bit.
+         */
+        readScript(path, execute = false) {
+            const node = this.findNode(path);
+            if (typeof node === 'string') {
+                return { error: node, exitCode: node === 'No such file or directory' ? 127 : 126 };
+            }
+            if (node.type !== 'file') {
+                return { error: 'Is a directory', exitCode: 126 };
+            }
+            if ((execute && !this.canAccess(node, EXECUTE)) || !this.canAccess(node, READ)) {
+                return { error: 'Permission denied', exitCode: 126 };
+            }
+            node.atime = Date.now();
+            return fileText(node);
+        }
+        /**
+         * Parses a script, reporting syntax errors against the script's name
+         */
+        parseScript(source, name, io) {
+            try {
+                return parse(source);
+            }
+            catch (error) {
+                if (error instanceof ShellSyntaxError) {
+                    io.stderr(`${name}: ${error.message}\n`);
+                    return null;
+                }
+                throw error;
+            }
+        }
+        /**
+         * Runs a script in a child shell: it sees only exported variables, and its
+         * variables, functions and directory changes are gone when it finishes
+         */
+        *runChildScript(source, name, args, env, io) {
+            const ast = this.parseScript(source, name, io);
+            if (!ast) {
+                return 2;
+            }
+            const saved = {
+                environment: this.environment,
+                variables: this.variables,
+                exportMarks: this.exportMarks,
+                functions: this.functions,
+                positionalParams: this.positionalParams,
+                currentPath: this.currentPath,
+                umask: this.umask,
+                localScopes: this.localScopes,
+                loopDepth: this.loopDepth,
+                sourceDepth: this.sourceDepth,
+                scriptName: this.scriptName,
+            };
+            this.environment = Object.assign({}, env);
+            this.variables = {};
+            this.exportMarks = new Set();
+            this.functions = {};
+            this.positionalParams = args;
+            this.localScopes = [];
+            this.loopDepth = 0;
+            this.sourceDepth = 0;
+            this.scriptName = name;
+            this.subshellDepth++;
+            try {
+                return yield* this.runList(ast, io);
+            }
+            catch (error) {
+                if (!(error instanceof ScriptExit))
+                    throw error;
+                return error.status;
+            }
+            finally {
+                this.subshellDepth--;
+                Object.assign(this, saved);
+            }
+        }
+        /**
+         * Runs a script in the current shell, as source and . do. Arguments
+         * replace the positional parameters while it runs.
+         */
+        *sourceScript(source, name, args, io) {
+            const ast = this.parseScript(source, name, io);
+            if (!ast) {
+                return 2;
+            }
+            const positionalParams = this.positionalParams;
+            if (args.length > 0) {
+                this.positionalParams = args;
+            }
+            this.sourceDepth++;
+            try {
+                return yield* this.runList(ast, io);
+            }
+            catch (error) {
+                if (!(error instanceof FunctionReturn))
+                    throw error;
+                return error.status;
+            }
+            finally {
+                this.sourceDepth--;
+                if (args.length > 0) {
+                    this.positionalParams = positionalParams;
+                }
+            }
+        }
+        cmd_alias(args) {
+            const show = (name) => `alias ${name}='${this.aliases[name].replace(/'/g, "'\\''")}'`;
+            const names = args.filter((arg) => arg !== '-p');
+            if (names.length === 0) {
+                return Object.keys(this.aliases).sort().map(show).join('\n');
+            }
+            const lines = [];
+            const errors = [];
+            for (const arg of names) {
+                const eq = arg.indexOf('=');
+                if (eq === -1) {
+                    if (arg in this.aliases) {
+                        lines.push(show(arg));
+                    }
+                    else {
+                        errors.push(`alias: ${arg}: not found`);
+                    }
+                    continue;
+                }
+                const name = arg.slice(0, eq);
+                if (!name || /[\s/$`=|&;<>()'"\\]/.test(name)) {
+                    errors.push(`alias: \`${name}': invalid alias name`);
+                    continue;
+                }
+                this.aliases[name] = arg.slice(eq + 1);
+            }
+            return {
+                stdout: toLines(lines.join('\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        cmd_unalias(args) {
+            if (args.length === 0) {
+                return failure('unalias: usage: unalias [-a] name [name ...]', 2);
+            }
+            if (args.includes('-a')) {
+                this.aliases = {};
+                return '';
+            }
+            const errors = [];
+            for (const name of args) {
+                if (name in this.aliases) {
+                    delete this.aliases[name];
+                }
+                else {
+                    errors.push(`unalias: ${name}: not found`);
+                }
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Sources /etc/profile and ~/.profile for a login shell, then ~/.bashrc,
+         * returning whatever they printed. There's no terminal to answer them yet,
+         * so commands in them that ask for input get end of input.
+         */
+        runStartupFiles(login) {
+            const home = this.environment.HOME;
+            const files = login
+                ? ['/etc/profile', `${home}/.profile`, `${home}/.bashrc`]
+                : [`${home}/.bashrc`];
+            let output = '';
+            const io = {
+                stdout: (text) => (output += text),
+                stderr: (text) => (output += text),
+                isTTY: true,
+            };
+            for (const file of files) {
+                const script = this.readScript(file);
+                if (typeof script === 'string') {
+                    runToEnd(this.sourceScript(script, file, [], io));
+                }
+            }
+            return output;
+        }
+        cmd_history(args) {
+            const [option, operand] = args;
+            const usage = 'history: usage: history [-c] [-d offset] [n] or history -anrw [filename]';
+            if (option === '-c') {
+                this.commandHistory = [];
+                this.historyWritten = 0;
+                return '';
+            }
+            if (option === '-d') {
+                const offset = operand !== undefined && /^-?\d+$/.test(operand) ? parseInt(operand, 10) : NaN;
+                // Negative offsets count back from the end
+                const index = offset < 0 ? this.commandHistory.length + offset : offset - 1;
+                if (!(index >= 0 && index < this.commandHistory.length)) {
+                    return failure(operand === undefined
+                        ? `history: -d: option requires an argument\n${usage}`
+                        : `history: ${operand}: history position out of range`, operand === undefined ? 2 : 1);
+                }
+                this.commandHistory.splice(index, 1);
+                if (index < this.historyWritten) {
+                    this.historyWritten--;
+                }
+                return '';
+            }
+            if (option === '-a' || option === '-r' || option === '-w') {
+                const file = operand === undefined ? this.historyFile() : operand;
+                if (!file) {
+                    return '';
+                }
+                if (option === '-r') {
+                    const lines = this.readHistoryFile(file);
+                    if (typeof lines === 'string') {
+                        return failure(`history: ${file}: ${lines}`);
+                    }
+                    this.commandHistory.push(...lines);
+                    this.historyWritten = this.commandHistory.length;
+                    return '';
+                }
+                const error = this.writeHistory(file, option === '-a');
+                return error ? failure(`history: ${file}: ${error}`) : '';
+            }
+            if (option !== undefined && option.startsWith('-') && option !== '--') {
+                return failure(`history: ${option}: invalid option\n${usage}`, 2);
+            }
+            const count = option === '--' ? operand : option;
+            if (count !== undefined && !/^\d+$/.test(count)) {
+                return failure(`history: ${count}: numeric argument required`);
+            }
+            const start = count === undefined ? 0 : Math.max(0, this.commandHistory.length - parseInt(count, 10));
+            return this.commandHistory
+                .slice(start)
+                .map((cmd, i) => `${start + i + 1}  ${cmd}`)
+                .join('\n');
+        }
+        /**
+         * The file history is kept in: $HISTFILE, or ~/.bash_history unless
+         * HISTFILE is set but empty
+         */
+        historyFile() {
+            const file = this.getVariable('HISTFILE');
+            if (file === undefined) {
+                return this.environment.HOME ? `${this.environment.HOME}/.bash_history` : null;
+            }
+            return file || null;
+        }
+        /**
+         * $HISTSIZE or $HISTFILESIZE: how many lines of history to keep
+         */
+        historySize(name) {
+            const value = this.getVariable(name);
+            return value !== undefined && /^\d+$/.test(value) ? parseInt(value, 10) : HISTORY_SIZE;
+        }
+        /**
+         * Gives the lines of a history file, or why it can't be read
+         */
+        readHistoryFile(file) {
+            const text = this.readScript(file);
+            return typeof text === 'string' ? text.split('\n').filter((line) => line !== '') : text.error;
+        }
+        /**
+         * Starts a shell's history with the last $HISTSIZE lines of its history
+         * file, as bash does when it starts. A missing file is an empty history.
+         */
+        readHistory() {
+            const file = this.historyFile();
+            const lines = file ? this.readHistoryFile(file) : [];
+            const size = this.historySize('HISTSIZE');
+            this.commandHistory = typeof lines === 'string' || size === 0 ? [] : lines.slice(-size);
+            this.historyWritten = this.commandHistory.length;
+        }
+        /**
+         * Writes the history to a file, or appends what it has that the file
+         * doesn't yet, then trims the file to its last $HISTFILESIZE lines.
+         * Gives the error if the file can't be written.
+         */
+        writeHistory(file, append) {
+            let lines = this.commandHistory;
+            if (append) {
+                const existing = this.readHistoryFile(file);
+                lines = [
+                    ...(typeof existing === 'string' ? [] : existing),
+                    ...lines.slice(this.historyWritten),
+                ];
+            }
+            const size = this.historySize('HISTFILESIZE');
+            lines = size === 0 ? [] : lines.slice(-size);
+            const error = this.writeFile(file, lines.map((line) => `${line}\n`).join(''), 'overwrite');
+            if (!error) {
+                this.historyWritten = this.commandHistory.length;
+            }
+            return error;
+        }
+        cmd_mkdir(args) {
+            if (!args[0]) {
+                return failure('mkdir: missing operand');
+            }
+            const found = this.findParent(args[0]);
+            if (typeof found === 'string') {
+                return failure(`mkdir: cannot create directory '${args[0]}': ${found}`);
+            }
+            const { parent, name: dirName } = found;
+            if (!dirName || getChild(parent, dirName)) {
+                return failure(`mkdir: cannot create directory '${args[0]}': File exists`);
+            }
+            // Check write permission
+            if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                return failure(`mkdir: cannot create directory '${args[0]}': Permission denied`);
+            }
+            parent.children[dirName] = this.createDirectory();
+            this.markModified(parent);
+            return '';
+        }
+        cmd_touch(args) {
+            // -a and -m update only the access or modification time, -c never creates files
+            let accessOnly = false;
+            let modifyOnly = false;
+            let noCreate = false;
+            const files = [];
+            for (const arg of args) {
+                if (arg.startsWith('-') && arg.length > 1 && files.length === 0) {
+                    for (const flag of arg.slice(1)) {
+                        if (flag === 'a')
+                            accessOnly = true;
+                        else if (flag === 'm')
+                            modifyOnly = true;
+                        else if (flag === 'c')
+                            noCreate = true;
+                        else {
+                            return failure(`touch: invalid option -- '${flag}'\nTry 'touch --help' for more information.`);
+                        }
+                    }
+                }
+                else {
+                    files.push(arg);
+                }
+            }
+            if (files.length === 0) {
+                return failure('touch: missing file operand');
+            }
+            const errors = [];
+            for (const file of files) {
+                const error = this.touchFile(file, !modifyOnly || accessOnly, !accessOnly || modifyOnly, noCreate);
+                if (error) {
+                    errors.push(error);
+                }
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Sets a file's times to now, creating it when it doesn't exist
+         */
+        touchFile(file, access, modify, noCreate) {
+            const found = this.findTarget(file);
+            if (typeof found === 'string') {
+                return noCreate ? null : `touch: cannot touch '${file}': ${found}`;
+            }
+            const { parent, name: fileName, existing } = found;
+            if (!existing) {
+                if (noCreate) {
+                    return null;
+                }
+                if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                    return `touch: cannot touch '${file}': Permission denied`;
+                }
+                parent.children[fileName] = this.createFile('');
+                this.markModified(parent);
+                return null;
+            }
+            // Setting the times takes write access, or owning the file
+            const uid = this.currentUid();
+            if (uid !== 0 && existing.uid !== uid && !this.canAccess(existing, WRITE)) {
+                return `touch: cannot touch '${file}': Permission denied`;
+            }
+            const now = Date.now();
+            if (access)
+                existing.atime = now;
+            if (modify)
+                existing.mtime = now;
+            existing.ctime = now;
+            this.markChanged(existing);
+            return null;
+        }
+        /**
+         * Removes files, and directories with -r or empty ones with -d. -i asks
+         * before each removal, descending into directories to ask about what's
+         * in them. -f ignores missing files and, given after -i, stops the asking.
+         */
+        *cmd_rm(args, context) {
+            const expanded = expandLongOptions(args, RM_LONG_OPTIONS);
+            if (typeof expanded === 'string') {
+                return failure(`rm: ${expanded}\nTry 'rm --help' for more information.`);
+            }
+            const parsed = parseFlags('rm', expanded.args, 'rRfidv');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            if (operands.length === 0) {
+                return failure('rm: missing operand');
+            }
+            // Whichever of -i and -f comes last decides whether rm asks
+            const given = expanded.args.filter((arg) => /^-[^-]/.test(arg)).join('');
+            const options = {
+                recursive: flags.has('r') || flags.has('R'),
+                emptyDirectories: flags.has('d'),
+                force: flags.has('f'),
+                interactive: given.lastIndexOf('i') > given.lastIndexOf('f'),
+                verbose: flags.has('v'),
+                input: lineReader(context.stdin),
+            };
+            const errors = [];
+            for (const target of operands) {
+                const found = this.findParent(target);
+                const node = typeof found === 'string' ? undefined : getChild(found.parent, found.name);
+                if (typeof found === 'string' || !node) {
+                    const error = typeof found === 'string' ? found : 'No such file or directory';
+                    if (!options.force || error !== 'No such file or directory') {
+                        errors.push(`rm: cannot remove '${target}': ${error}`);
+                    }
+                    continue;
+                }
+                yield* this.removePath(found.parent, found.name, target, options, errors);
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Removes what one of rm's operands names, giving whether it's gone.
+         * With -i a directory's contents are each asked about first, and the
+         * directory is only removed if they all were.
+         */
+        *removePath(parent, name, path, options, errors) {
+            const node = getChild(parent, name);
+            const ask = (question) => readLine(options.input, `rm: ${question} '${path}'? `, false);
+            if (node.type === 'directory') {
+                const empty = Object.keys(node.children).length === 0;
+                if (!options.recursive && !(options.emptyDirectories && empty)) {
+                    if (!options.force) {
+                        errors.push(`rm: cannot remove '${path}': Is a directory`);
+                    }
+                    return false;
+                }
+                if (options.interactive && !empty) {
+                    if (!/^y/i.test((yield* ask('descend into directory')) || '')) {
+                        return false;
+                    }
+                    let removedAll = true;
+                    for (const child of Object.keys(node.children)) {
+                        const childPath = `${path.replace(/\/+$/, '')}/${child}`;
+                        removedAll =
+                            (yield* this.removePath(node, child, childPath, options, errors)) && removedAll;
+                    }
+                    if (!removedAll) {
+                        return false;
+                    }
+                }
+            }
+            if (options.interactive) {
+                const kind = node.type === 'directory'
+                    ? 'directory'
+                    : node.type === 'symlink'
+                        ? 'symbolic link'
+                        : node.content
+                            ? 'regular file'
+                            : 'regular empty file';
+                if (!/^y/i.test((yield* ask(`remove ${kind}`)) || '')) {
+                    return false;
+                }
+            }
+            const error = this.checkRemove(parent, node);
+            if (error) {
+                errors.push(`rm: cannot remove '${path}': ${error}`);
+                return false;
+            }
+            delete parent.children[name];
+            this.markModified(parent);
+            if (options.verbose) {
+                const kind = node.type === 'directory' ? 'directory ' : '';
+                this.commandIO.stdout(`removed ${kind}'${path}'\n`);
+            }
+            return true;
+        }
+        /**
+         * Checks the current user may remove a node: that takes write access to
+         * its directory, owning it (or the directory) when the directory is
+         * sticky, and for a directory, being allowed to remove everything in it
+         */
+        checkRemove(parent, node) {
+            const error = this.checkUnlink(parent, node);
+            if (error) {
+                return error;
+            }
+            if (node.type === 'directory') {
+                for (const child of Object.values(node.children)) {
+                    const error = this.canAccess(node, READ)
+                        ? this.checkRemove(node, child)
+                        : 'Permission denied';
+                    if (error) {
+                        return error;
+                    }
+                }
+            }
+            return null;
+        }
+        /**
+         * Checks the current user may take a node out of its directory, as mv
+         * does: that takes write access to the directory, and owning the node (or
+         * the directory) when the directory is sticky
+         */
+        checkUnlink(parent, node) {
+            if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                return 'Permission denied';
+            }
+            const uid = this.currentUid();
+            if (parent.mode & STICKY && uid !== 0 && node.uid !== uid && parent.uid !== uid) {
+                return 'Operation not permitted';
+            }
+            return null;
+        }
+        /**
+         * Whether the user may hard link to a file, as with Linux's
+         * protected_hardlinks: root and the owner may, and others only to a
+         * regular file they can read and write that isn't setuid, or setgid and
+         * executable
+         */
+        mayHardLink(node) {
+            const uid = this.currentUid();
+            if (uid === 0 || node.uid === uid) {
+                return true;
+            }
+            return (node.type === 'file' &&
+                !(node.mode & SETUID) &&
+                (node.mode & (SETGID | 0o010)) !== (SETGID | 0o010) &&
+                this.canAccess(node, READ | WRITE));
+        }
+        /**
+         * Copies files, or directories with -r, to a new name or into a
+         * directory. -i asks before overwriting, -n never overwrites and -v names
+         * each copy. Symlinks are followed, except by -r, which copies them as links.
+         */
+        *cmd_cp(args, context) {
+            const parsed = parseFlags('cp', args, 'rRinvf');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const targets = this.copyTargets('cp', operands);
+            if (!Array.isArray(targets)) {
+                return targets;
+            }
+            const options = {
+                recursive: flags.has('r') || flags.has('R'),
+                interactive: flags.has('i') && !flags.has('n'),
+                noClobber: flags.has('n'),
+                verbose: flags.has('v'),
+                input: lineReader(context.stdin),
+            };
+            const errors = [];
+            for (const [source, target] of targets) {
+                yield* this.copyPath(source, target, options, errors);
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Pairs each source operand of cp, mv or ln with where it goes: into the
+         * last operand when that's a directory, otherwise to that name
+         */
+        copyTargets(command, operands, followDestination = true) {
+            const help = `Try '${command} --help' for more information.`;
+            if (operands.length === 0) {
+                return failure(`${command}: missing file operand\n${help}`);
+            }
+            if (operands.length === 1) {
+                return failure(`${command}: missing destination file operand after '${operands[0]}'\n${help}`);
+            }
+            const sources = operands.slice(0, -1);
+            const destination = operands[operands.length - 1];
+            const node = this.getNode(destination, followDestination);
+            if (node && node.type === 'directory') {
+                const dir = destination.replace(/\/+$/, '');
+                return sources.map((source) => [source, `${dir}/${baseName(source)}`]);
+            }
+            if (sources.length > 1) {
+                return failure(`${command}: target '${destination}' is not a directory`);
+            }
+            return [[sources[0], destination]];
+        }
+        /**
+         * Copies one file, symlink or directory tree for cp, recording errors
+         */
+        *copyPath(source, target, options, errors) {
+            const node = this.findNode(source, !options.recursive);
+            if (typeof node === 'string') {
+                errors.push(`cp: cannot stat '${source}': ${node}`);
+                return;
+            }
+            if (node.type === 'directory') {
+                if (!options.recursive) {
+                    errors.push(`cp: -r not specified; omitting directory '${source}'`);
+                    return;
+                }
+                yield* this.copyDirectory(source, target, node, options, errors);
+                return;
+            }
+            if (node.type === 'symlink') {
+                // Only -r gets here, and it copies the link as it is
+                const found = this.findParent(target);
+                const existing = typeof found === 'string' ? undefined : getChild(found.parent, found.name);
+                if (typeof found === 'string' || !this.canAccess(found.parent, WRITE | EXECUTE)) {
+                    const error = typeof found === 'string' ? found : 'Permission denied';
+                    errors.push(`cp: cannot create symbolic link '${target}': ${error}`);
+                    return;
+                }
+                if (existing && existing.type === 'directory') {
+                    errors.push(`cp: cannot overwrite directory '${target}' with non-directory`);
+                    return;
+                }
+                if (existing && !(yield* this.confirmOverwrite('cp', target, options))) {
+                    return;
+                }
+                found.parent.children[found.name] = this.createSymlink(node.target);
+                this.markModified(found.parent);
+                this.reportCopy(source, target, options);
+                return;
+            }
+            if (!this.canAccess(node, READ)) {
+                errors.push(`cp: cannot open '${source}' for reading: Permission denied`);
+                return;
+            }
+            const found = this.findTarget(target);
+            if (typeof found === 'string') {
+                errors.push(`cp: cannot create regular file '${target}': ${found}`);
+                return;
+            }
+            const { parent, name, existing } = found;
+            if (existing === node) {
+                errors.push(`cp: '${source}' and '${target}' are the same file`);
+                return;
+            }
+            if (existing && existing.type === 'directory') {
+                errors.push(`cp: cannot overwrite directory '${target}' with non-directory`);
+                return;
+            }
+            if (existing && !(yield* this.confirmOverwrite('cp', target, options))) {
+                return;
+            }
+            if (existing) {
+                if (!this.canAccess(existing, WRITE)) {
+                    errors.push(`cp: cannot create regular file '${target}': Permission denied`);
+                    return;
+                }
+                existing.content = node.content;
+                existing.encoding = node.encoding;
+                this.markModified(existing);
+            }
+            else {
+                if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                    errors.push(`cp: cannot create regular file '${target}': Permission denied`);
+                    return;
+                }
+                // A new copy keeps the original's permissions, less the umask
+                parent.children[name] = Object.assign(Object.assign({}, this.createFile(node.content)), { encoding: node.encoding, mode: node.mode & ~this.umask });
+                this.markModified(parent);
+            }
+            node.atime = Date.now();
+            this.reportCopy(source, target, options);
+        }
+        /**
+         * Copies a directory and everything in it for cp -r
+         */
+        *copyDirectory(source, target, node, options, errors) {
+            const found = this.findParent(target);
+            if (typeof found === 'string') {
+                errors.push(`cp: cannot create directory '${target}': ${found}`);
+                return;
+            }
+            const from = this.realPath(source);
+            const to = this.destinationPath(target);
+            if (to === from || to.startsWith(`${from}/`)) {
+                errors.push(`cp: cannot copy a directory, '${source}', into itself, '${target}'`);
+                return;
+            }
+            let dir = this.getNode(target);
+            if (dir && dir.type !== 'directory') {
+                errors.push(`cp: cannot overwrite non-directory '${target}' with directory '${source}'`);
+                return;
+            }
+            if (!this.canAccess(node, READ | EXECUTE)) {
+                errors.push(`cp: cannot access '${source}': Permission denied`);
+                return;
+            }
+            if (!dir) {
+                if (!this.canAccess(found.parent, WRITE | EXECUTE)) {
+                    errors.push(`cp: cannot create directory '${target}': Permission denied`);
+                    return;
+                }
+                dir = Object.assign(Object.assign({}, this.createDirectory()), { mode: node.mode & ~this.umask & 0o777 });
+                found.parent.children[found.name] = dir;
+                this.markModified(found.parent);
+                this.reportCopy(source, target, options);
+            }
+            for (const name of Object.keys(node.children)) {
+                yield* this.copyPath(`${source}/${name}`, `${target}/${name}`, options, errors);
+            }
+        }
+        /**
+         * Whether cp or mv may replace a file that's in the way: never with -n,
+         * and with -i only if the user says yes
+         */
+        *confirmOverwrite(command, target, options) {
+            if (options.noClobber) {
+                return false;
+            }
+            if (!options.interactive) {
+                return true;
+            }
+            const answer = yield* readLine(options.input, `${command}: overwrite '${target}'? `, false);
+            return /^y/i.test(answer || '');
+        }
+        /**
+         * The absolute path of a file about to be created, with symlinks in the
+         * directories on the way resolved, to compare with where it came from
+         */
+        destinationPath(path) {
+            const full = this.resolvePath(path);
+            const slash = full.lastIndexOf('/');
+            const dir = this.realPath(full.slice(0, slash) || '/') || full.slice(0, slash);
+            return `${dir === '/' ? '' : dir}/${full.slice(slash + 1)}`;
+        }
+        reportCopy(source, target, options) {
+            if (options.verbose) {
+                this.commandIO.stdout(`'${source}' -> '${target}'\n`);
+            }
+        }
+        /**
+         * Creates a symlink owned by the current user. Symlinks show every
+         * permission; it's their target's that count.
+         */
+        createSymlink(target) {
+            return Object.assign(Object.assign({ type: 'symlink', target }, this.newMetadata(0o777)), { mode: 0o777 });
+        }
+        /**
+         * Moves or renames files and directories. A symlink moves itself, not what
+         * it points to. -i asks before overwriting, -n never overwrites and -v
+         * names each move.
+         */
+        *cmd_mv(args, context) {
+            const parsed = parseFlags('mv', args, 'finv');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const targets = this.copyTargets('mv', operands);
+            if (!Array.isArray(targets)) {
+                return targets;
+            }
+            const options = {
+                interactive: flags.has('i') && !flags.has('f') && !flags.has('n'),
+                noClobber: flags.has('n'),
+                input: lineReader(context.stdin),
+            };
+            const errors = [];
+            for (const [source, target] of targets) {
+                const error = yield* this.movePath(source, target, options);
+                if (error) {
+                    errors.push(error);
+                }
+                else if (error === null && flags.has('v')) {
+                    this.commandIO.stdout(`renamed '${source}' -> '${target}'\n`);
+                }
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Moves one node for mv. Gives an error, '' when it was skipped, or null
+         * once it's moved.
+         */
+        *movePath(source, target, options) {
+            const from = this.findParent(source);
+            const node = typeof from === 'string' ? undefined : getChild(from.parent, from.name);
+            if (typeof from === 'string' || !node || !from.name) {
+                const error = typeof from === 'string' ? from : 'No such file or directory';
+                return `mv: cannot stat '${source}': ${error}`;
+            }
+            const to = this.findParent(target);
+            if (typeof to === 'string') {
+                return `mv: cannot move '${source}' to '${target}': ${to}`;
+            }
+            const existing = getChild(to.parent, to.name);
+            if (existing === node) {
+                return `mv: '${source}' and '${target}' are the same file`;
+            }
+            if (node.type === 'directory') {
+                const real = this.realPath(source);
+                if (this.destinationPath(target).startsWith(`${real}/`)) {
+                    return `mv: cannot move '${source}' to a subdirectory of itself, '${target}'`;
+                }
+            }
+            if (existing) {
+                if (existing.type === 'directory' && node.type !== 'directory') {
+                    return `mv: cannot overwrite directory '${target}' with non-directory`;
+                }
+                if (existing.type !== 'directory' && node.type === 'directory') {
+                    return `mv: cannot overwrite non-directory '${target}' with directory '${source}'`;
+                }
+                if (existing.type === 'directory' && Object.keys(existing.children).length > 0) {
+                    return `mv: cannot move '${source}' to '${target}': Directory not empty`;
+                }
+                if (!(yield* this.confirmOverwrite('mv', target, options))) {
+                    return '';
+                }
+            }
+            const error = this.checkUnlink(from.parent, node) ||
+                (existing ? this.checkUnlink(to.parent, existing) : null) ||
+                (this.canAccess(to.parent, WRITE | EXECUTE) ? null : 'Permission denied');
+            if (error) {
+                return `mv: cannot move '${source}' to '${target}': ${error}`;
+            }
+            delete from.parent.children[from.name];
+            to.parent.children[to.name] = node;
+            this.markModified(from.parent);
+            this.markModified(to.parent);
+            node.ctime = Date.now();
+            this.markChanged(node);
+            return null;
+        }
+        /**
+         * Makes links: hard links by default, which share the file itself, or
+         * symlinks with -s, which hold the path given. -f replaces what's in the
+         * way, -n treats a symlink to a directory as a file and -v names each link.
+         */
+        cmd_ln(args) {
+            const parsed = parseFlags('ln', args, 'sfnv');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const symbolic = flags.has('s');
+            // With only a target the link goes in the current directory
+            const targets = operands.length === 1
+                ? this.copyTargets('ln', [operands[0], '.'])
+                : this.copyTargets('ln', operands, !flags.has('n'));
+            if (!Array.isArray(targets)) {
+                return targets;
+            }
+            const messages = [];
+            const errors = [];
+            for (const [target, linkPath] of targets) {
+                const failed = (error) => {
+                    errors.push(symbolic
+                        ? `ln: failed to create symbolic link '${linkPath}': ${error}`
+                        : `ln: failed to create hard link '${linkPath}' => '${target}': ${error}`);
+                };
+                let node = '';
+                if (!symbolic) {
+                    node = this.findNode(target);
+                    if (typeof node === 'string') {
+                        errors.push(`ln: failed to access '${target}': ${node}`);
+                        continue;
+                    }
+                    if (node.type === 'directory') {
+                        errors.push(`ln: ${target}: hard link not allowed for directory`);
+                        continue;
+                    }
+                    if (!this.mayHardLink(node)) {
+                        failed('Operation not permitted');
+                        continue;
+                    }
+                }
+                const found = this.findParent(linkPath);
+                if (typeof found === 'string') {
+                    failed(found);
+                    continue;
+                }
+                const existing = getChild(found.parent, found.name);
+                if (existing) {
+                    if (!flags.has('f')) {
+                        failed('File exists');
+                        continue;
+                    }
+                    if (existing.type === 'directory') {
+                        errors.push(`ln: ${linkPath}: cannot overwrite directory`);
+                        continue;
+                    }
+                    if (existing === node) {
+                        errors.push(`ln: '${target}' and '${linkPath}' are the same file`);
+                        continue;
+                    }
+                }
+                const error = existing
+                    ? this.checkUnlink(found.parent, existing)
+                    : this.canAccess(found.parent, WRITE | EXECUTE)
+                        ? null
+                        : 'Permission denied';
+                if (error) {
+                    failed(error);
+                    continue;
+                }
+                if (typeof node === 'string') {
+                    found.parent.children[found.name] = this.createSymlink(target);
+                }
+                else {
+                    found.parent.children[found.name] = node;
+                    node.ctime = Date.now();
+                    this.markChanged(node);
+                }
+                this.markModified(found.parent);
+                if (flags.has('v')) {
+                    messages.push(`'${linkPath}' ${symbolic ? '->' : '=>'} '${target}'`);
+                }
+            }
+            return {
+                stdout: toLines(messages.join('\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Prints where symlinks point. -f, -e and -m print the full path with
+         * every symlink resolved instead: -e needs all of it to exist, -f all but
+         * the last part, -m none of it. -n leaves off the newline and -v reports
+         * errors, which are otherwise only an exit status of 1.
+         */
+        cmd_readlink(args) {
+            const parsed = parseFlags('readlink', args, 'femnvqs');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            if (operands.length === 0) {
+                return failure("readlink: missing operand\nTry 'readlink --help' for more information.");
+            }
+            const mode = ['e', 'f', 'm'].filter((flag) => flags.has(flag)).pop();
+            const verbose = flags.has('v') && !flags.has('q') && !flags.has('s');
+            const lines = [];
+            const errors = [];
+            for (const file of operands) {
+                if (mode) {
+                    const path = this.canonicalPath(file, mode);
+                    if (path === null) {
+                        errors.push(`readlink: ${file}: No such file or directory`);
+                    }
+                    else {
+                        lines.push(path);
+                    }
+                    continue;
+                }
+                const link = this.getNode(file, false);
+                if (link && link.type === 'symlink') {
+                    lines.push(link.target);
+                }
+                else {
+                    errors.push(`readlink: ${file}: ${link ? 'Invalid argument' : 'No such file or directory'}`);
+                }
+            }
+            const end = flags.has('n') && operands.length === 1 ? '' : '\n';
+            return {
+                stdout: lines.length > 0 ? lines.join('\n') + end : '',
+                stderr: verbose ? toLines(errors.join('\n')) : '',
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * The absolute path to a file with every symlink resolved, for readlink:
+         * mode e needs all of the path to exist, f all but the last part, and m
+         * none of it. Gives null when too much is missing.
+         */
+        canonicalPath(path, mode, links = 0) {
+            const real = this.realPath(path);
+            if (real !== null || mode === 'e') {
+                return real;
+            }
+            // A symlink to something missing resolves to where it points
+            const full = this.resolvePath(path);
+            const link = this.getNode(full, false);
+            if (link && link.type === 'symlink') {
+                const target = this.linkTarget(full, link);
+                return links < MAX_SYMLINKS ? this.canonicalPath(target, mode, links + 1) : null;
+            }
+            const slash = full.lastIndexOf('/');
+            const dir = this.canonicalPath(full.slice(0, slash) || '/', mode === 'f' ? 'e' : 'm', links);
+            if (dir === null || (mode === 'f' && this.getNode(dir).type !== 'directory')) {
+                return null;
+            }
+            return `${dir === '/' ? '' : dir}/${full.slice(slash + 1)}`;
+        }
+        cmd_chmod(args) {
+            // -w and -rx are modes, not options
+            const options = this.parseChangeOptions('chmod', args, /^-[rwxXst]+$/);
+            if (!('operands' in options)) {
+                return options;
+            }
+            const [mode, ...files] = options.operands;
+            if (mode === undefined || files.length === 0) {
+                const after = mode === undefined ? '' : ` after '${mode}'`;
+                return failure(`chmod: missing operand${after}\nTry 'chmod --help' for more information.`);
+            }
+            if (parseMode(mode, 0, false, this.umask) === null) {
+                return failure(`chmod: invalid mode: '${mode}'\nTry 'chmod --help' for more information.`);
+            }
+            const uid = this.currentUid();
+            return this.changeEach('chmod', files, options, (node, name) => {
+                if (uid !== 0 && node.uid !== uid) {
+                    return { error: `changing permissions of '${name}': Operation not permitted` };
+                }
+                const before = node.mode;
+                node.mode = parseMode(mode, before, node.type === 'directory', this.umask);
+                node.ctime = Date.now();
+                this.markChanged(node);
+                const show = (bits) => `${formatOctalMode(bits)} (${formatMode(node.type, bits).slice(1)})`;
+                return {
+                    message: before === node.mode
+                        ? `mode of '${name}' retained as ${show(before)}`
+                        : `mode of '${name}' changed from ${show(before)} to ${show(node.mode)}`,
+                };
+            });
+        }
+        cmd_chown(args) {
+            const options = this.parseChangeOptions('chown', args);
+            if (!('operands' in options)) {
+                return options;
+            }
+            const [spec, ...files] = options.operands;
+            if (spec === undefined || files.length === 0) {
+                const after = spec === undefined ? '' : ` after '${spec}'`;
+                return failure(`chown: missing operand${after}\nTry 'chown --help' for more information.`);
+            }
+            // OWNER, OWNER:GROUP, OWNER: for the owner's own group, or :GROUP
+            const colon = spec.indexOf(':');
+            const userPart = colon === -1 ? spec : spec.slice(0, colon);
+            const groupPart = colon === -1 ? '' : spec.slice(colon + 1);
+            const newUid = userPart ? this.lookupUser(userPart) : undefined;
+            if (newUid === null) {
+                return failure(`chown: invalid user: '${spec}'`);
+            }
+            let newGid = groupPart ? this.lookupGroup(groupPart) : undefined;
+            if (newGid === null) {
+                return failure(`chown: invalid group: '${spec}'`);
+            }
+            if (colon !== -1 && !groupPart && newUid !== undefined) {
+                // OWNER: means the owner's login group
+                const account = this.getAccounts().find((entry) => entry.uid === newUid);
+                newGid = account ? account.gid : newUid;
+            }
+            return this.changeEach('chown', files, options, (node, name) => this.changeOwner('chown', node, name, newUid, newGid));
+        }
+        cmd_chgrp(args) {
+            const options = this.parseChangeOptions('chgrp', args);
+            if (!('operands' in options)) {
+                return options;
+            }
+            const [group, ...files] = options.operands;
+            if (group === undefined || files.length === 0) {
+                const after = group === undefined ? '' : ` after '${group}'`;
+                return failure(`chgrp: missing operand${after}\nTry 'chgrp --help' for more information.`);
+            }
+            const gid = this.lookupGroup(group);
+            if (gid === null) {
+                return failure(`chgrp: invalid group: '${group}'`);
+            }
+            return this.changeEach('chgrp', files, options, (node, name) => this.changeOwner('chgrp', node, name, undefined, gid));
+        }
+        /**
+         * Gives a node a new owner and/or group. Only root may change the owner;
+         * the owner may change the group to one they belong to.
+         */
+        changeOwner(command, node, name, newUid, newGid) {
+            const uid = this.currentUid();
+            const allowed = uid === 0 ||
+                (node.uid === uid &&
+                    (newUid === undefined || newUid === uid) &&
+                    (newGid === undefined || this.inGroup(newGid)));
+            const what = command === 'chown' ? 'ownership' : 'group';
+            if (!allowed) {
+                return { error: `changing ${what} of '${name}': Operation not permitted` };
+            }
+            const show = (user, group) => command === 'chown'
+                ? `${this.userName(user)}:${this.groupName(group)}`
+                : this.groupName(group);
+            const before = show(node.uid, node.gid);
+            node.uid = newUid !== null && newUid !== void 0 ? newUid : node.uid;
+            node.gid = newGid !== null && newGid !== void 0 ? newGid : node.gid;
+            node.ctime = Date.now();
+            this.markChanged(node);
+            const after = show(node.uid, node.gid);
+            return {
+                message: before === after
+                    ? `${what} of '${name}' retained as ${after}`
+                    : `changed ${what} of '${name}' from ${before} to ${after}`,
+            };
+        }
+        /**
+         * Parses -R, -f and -v for chmod, chown and chgrp. Arguments matching
+         * operandPattern are operands even though they start with a dash.
+         */
+        parseChangeOptions(command, args, operandPattern) {
+            const options = {
+                recursive: false,
+                quiet: false,
+                verbose: false,
+                operands: [],
+            };
+            for (const arg of args) {
+                if (!arg.startsWith('-') || arg === '-' || (operandPattern === null || operandPattern === void 0 ? void 0 : operandPattern.test(arg))) {
+                    options.operands.push(arg);
+                    continue;
+                }
+                for (const flag of arg.slice(1)) {
+                    if (flag === 'R')
+                        options.recursive = true;
+                    else if (flag === 'f')
+                        options.quiet = true;
+                    else if (flag === 'v')
+                        options.verbose = true;
+                    else {
+                        return failure(`${command}: invalid option -- '${flag}'\nTry '${command} --help' for more information.`);
+                    }
+                }
+            }
+            return options;
+        }
+        /**
+         * Applies a change to each file, and with -R to everything under it.
+         * The change returns an error, or what -v reports.
+         */
+        changeEach(command, files, options, change) {
+            const messages = [];
+            const errors = [];
+            const visit = (node, name) => {
+                const result = change(node, name);
+                if (result.error) {
+                    errors.push(`${command}: ${result.error}`);
+                }
+                else if (options.verbose && result.message) {
+                    messages.push(result.message);
+                }
+                if (options.recursive && node.type === 'directory') {
+                    if (!this.canAccess(node, READ | EXECUTE)) {
+                        errors.push(`${command}: cannot read directory '${name}': Permission denied`);
+                        return;
+                    }
+                    // Symlinks on the way are left alone rather than followed
+                    for (const [childName, child] of Object.entries(node.children)) {
+                        if (child.type !== 'symlink') {
+                            visit(child, `${name.replace(/\/$/, '')}/${childName}`);
+                        }
+                    }
+                }
+            };
+            for (const file of files) {
+                const node = this.findNode(file);
+                if (typeof node === 'string') {
+                    errors.push(`${command}: cannot access '${file}': ${node}`);
+                    continue;
+                }
+                visit(node, file);
+            }
+            return {
+                stdout: toLines(messages.join('\n')),
+                // -f hides most errors, but not the exit status
+                stderr: options.quiet ? '' : toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        cmd_umask(args) {
+            const symbolic = args[0] === '-S';
+            const mode = symbolic ? args[1] : args[0];
+            if (mode === undefined) {
+                if (!symbolic) {
+                    return formatOctalMode(this.umask);
+                }
+                const allowed = ~this.umask & 0o777;
+                return ['u', 'g', 'o']
+                    .map((who, i) => {
+                    const bits = (allowed >> (6 - 3 * i)) & 7;
+                    return `${who}=${bits & 4 ? 'r' : ''}${bits & 2 ? 'w' : ''}${bits & 1 ? 'x' : ''}`;
+                })
+                    .join(',');
+            }
+            if (/^\d+$/.test(mode)) {
+                if (!/^[0-7]+$/.test(mode) || parseInt(mode, 8) > 0o777) {
+                    return failure(`umask: ${mode}: octal number out of range`);
+                }
+                this.umask = parseInt(mode, 8);
+                return '';
+            }
+            // u=rwx,g=rx,o= names the bits to allow, so the umask is the rest
+            const allowed = parseMode(mode, ~this.umask & 0o777, true, 0);
+            if (allowed === null) {
+                return failure(`umask: \`${mode}': invalid symbolic mode`);
+            }
+            this.umask = ~allowed & 0o777;
+            return '';
+        }
+        cmd_tree() {
+            const buildTree = (node, prefix = '', isLast = true) => {
+                let result = '';
+                const entries = Object.entries(node.children);
+                entries.forEach(([name, value], index) => {
+                    const isLastEntry = index === entries.length - 1;
+                    const connector = isLastEntry ? '└── ' : '├── ';
+                    const isDir = value.type === 'directory';
+                    // Like tree, show directories we can't list without their contents
+                    const unreadable = isDir && !this.canAccess(value, READ | EXECUTE);
+                    result += prefix + connector + name + (isDir ? '/' : '');
+                    result += value.type === 'symlink' ? ` -> ${value.target}` : '';
+                    result += unreadable ? '  [error opening dir]\n' : '\n';
+                    if (value.type === 'directory' && !unreadable) {
+                        const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
+                        result += buildTree(value, newPrefix, isLastEntry);
+                    }
+                });
+                return result;
+            };
+            const node = this.getNode(this.currentPath);
+            return this.currentPath + '/\n' + buildTree(node);
+        }
+        /**
+         * Searches directory trees for files an expression is true for, printing
+         * them unless it has an action of its own. Symlinks aren't followed.
+         * Output is written as it's found, between that of -exec commands.
+         */
+        *cmd_find(args, context) {
+            let command;
+            try {
+                command = parseFind(args, {
+                    glob: (pattern, ignoreCase) => this.globPattern(pattern, ignoreCase),
+                    user: (name) => this.lookupUser(name),
+                    group: (name) => this.lookupGroup(name),
+                    mtime: (path) => {
+                        const node = this.findNode(path);
+                        return typeof node === 'string' ? node : node.mtime;
+                    },
+                });
+            }
+            catch (error) {
+                if (error instanceof FindError) {
+                    return failure(`find: ${error.message}`);
+                }
+                throw error;
+            }
+            const walk = {
+                command,
+                batches: new Map(),
+                pruned: false,
+                quit: false,
+                failed: false,
+                stdin: context.stdin,
+            };
+            for (const path of command.paths) {
+                const node = this.findNode(path, false);
+                if (typeof node === 'string') {
+                    this.commandIO.stderr(`find: '${path}': ${node}\n`);
+                    walk.failed = true;
+                    continue;
+                }
+                yield* this.findIn(path, node, 0, walk);
+                if (walk.quit) {
+                    break;
+                }
+            }
+            // -exec ... {} + runs once everything is found
+            for (const [exec, paths] of walk.batches) {
+                if (exec.kind === 'exec' && !(yield* this.findExec(exec.argv, paths, true, walk))) {
+                    walk.failed = true;
+                }
+            }
+            return { exitCode: walk.failed ? 1 : 0 };
+        }
+        /**
+         * Evaluates find's expression for a file and, unless pruned, everything
+         * under it, down to -maxdepth and from -mindepth
+         */
+        *findIn(path, node, depth, walk) {
+            const { command } = walk;
+            const visit = depth >= command.minDepth;
+            walk.pruned = false;
+            if (visit && !command.depthFirst) {
+                yield* this.evaluateFind(command.expression, path, node, walk);
+            }
+            if (node.type === 'directory' && depth < command.maxDepth && !walk.pruned && !walk.quit) {
+                if (!this.canAccess(node, READ | EXECUTE)) {
+                    this.commandIO.stderr(`find: '${path}': Permission denied\n`);
+                    walk.failed = true;
+                }
+                else {
+                    for (const name of Object.keys(node.children)) {
+                        // -exec and -delete may have removed it on the way
+                        const child = this.getEntry(node, name);
+                        if (child) {
+                            yield* this.findIn(joinPath(path, name), child, depth + 1, walk);
+                        }
+                        if (walk.quit) {
+                            return;
+                        }
+                    }
+                }
+            }
+            if (visit && command.depthFirst) {
+                yield* this.evaluateFind(command.expression, path, node, walk);
+            }
+        }
+        /**
+         * Whether find's expression is true for a file, carrying out its actions
+         * on the way. -a and -o only evaluate their right side when it matters.
+         */
+        *evaluateFind(expression, path, node, walk) {
+            switch (expression.kind) {
+                case 'and':
+                    return ((yield* this.evaluateFind(expression.left, path, node, walk)) &&
+                        (yield* this.evaluateFind(expression.right, path, node, walk)));
+                case 'or':
+                    return ((yield* this.evaluateFind(expression.left, path, node, walk)) ||
+                        (yield* this.evaluateFind(expression.right, path, node, walk)));
+                case 'not':
+                    return !(yield* this.evaluateFind(expression.operand, path, node, walk));
+                case 'name':
+                    return expression.regex.test(baseName(path));
+                case 'path':
+                    return expression.regex.test(path);
+                case 'type':
+                    return expression.types.includes({ file: 'f', directory: 'd', symlink: 'l' }[node.type]);
+                case 'size':
+                    return compareCount(expression.comparison, Math.ceil(nodeSize(node) / expression.unit));
+                case 'age':
+                    return compareCount(expression.comparison, Math.floor((Date.now() - node.mtime) / expression.unit));
+                case 'newer':
+                    return node.mtime > expression.time;
+                case 'empty':
+                    if (node.type === 'directory') {
+                        return Object.keys(node.children).length === 0;
+                    }
+                    return node.type === 'file' && node.content === '';
+                case 'user':
+                    return node.uid === expression.uid;
+                case 'group':
+                    return node.gid === expression.gid;
+                case 'perm': {
+                    const mode = node.mode & 0o7777;
+                    if (expression.match === 'all') {
+                        return (mode & expression.mode) === expression.mode;
+                    }
+                    if (expression.match === 'any') {
+                        return expression.mode === 0 || (mode & expression.mode) !== 0;
+                    }
+                    return mode === expression.mode;
+                }
+                case 'access':
+                    return this.canAccess(node, expression.access);
+                case 'constant':
+                    return expression.value;
+                case 'print':
+                    this.commandIO.stdout(path + expression.terminator);
+                    return true;
+                case 'exec':
+                    if (expression.batch) {
+                        walk.batches.set(expression, [...(walk.batches.get(expression) || []), path]);
+                        return true;
+                    }
+                    return yield* this.findExec(expression.argv, [path], false, walk);
+                case 'delete':
+                    return this.findDelete(path, node, walk);
+                case 'prune':
+                    walk.pruned = true;
+                    return true;
+                case 'quit':
+                    walk.quit = true;
+                    return true;
+            }
+        }
+        /**
+         * Runs a command for find -exec, with {} standing for the path found, or
+         * in a batch for all of them. Returns whether it succeeded.
+         */
+        *findExec(argv, paths, batch, walk) {
+            const words = batch
+                ? [...argv.slice(0, -1), ...paths]
+                : argv.map((arg) => arg.split('{}').join(paths[0]));
+            const status = yield* this.runProgram(words, Object.assign(Object.assign({}, this.commandIO), { stdin: walk.stdin }));
+            if (status === null) {
+                this.commandIO.stderr(`find: '${words[0]}': No such file or directory\n`);
+                walk.failed = true;
+            }
+            return status === 0;
+        }
+        /**
+         * Removes a file or empty directory for find -delete, reporting why when
+         * it can't. find never removes the . it started from.
+         */
+        findDelete(path, node, walk) {
+            if (baseName(path) === '.') {
+                return true;
+            }
+            const found = this.findParent(path);
+            const error = typeof found === 'string'
+                ? found
+                : node.type === 'directory' && Object.keys(node.children).length > 0
+                    ? 'Directory not empty'
+                    : this.checkUnlink(found.parent, node);
+            if (typeof found === 'string' || error) {
+                this.commandIO.stderr(`find: cannot delete '${path}': ${error}\n`);
+                walk.failed = true;
+                return false;
+            }
+            delete found.parent.children[found.name];
+            this.markModified(found.parent);
+            return true;
+        }
+        /**
+         * Runs a program for find -exec or xargs, which start it themselves
+         * rather than through the shell: a file when its name has a slash,
+         * otherwise a built-in. Gives null when there's no such program.
+         */
+        *runProgram(argv, io) {
+            const [name, ...args] = argv;
+            if (name.includes('/')) {
+                return yield* this.runExecutable(name, args, this.environment, io);
+            }
+            if (!(name in this.commands)) {
+                return null;
+            }
+            return yield* this.runBuiltin(name, args, this.environment, io);
+        }
+        /**
+         * Runs a command, echo unless one is given, with items read from stdin
+         * as its arguments: all at once, -n at a time, for every -L lines, or
+         * with -I once for each line, put in place of a placeholder. Items are
+         * split at blanks and newlines, at NULs with -0 or at the -d delimiter;
+         * -a reads them from a file. -r runs nothing for no input and -t shows
+         * each command on stderr before running it.
+         */
+        *cmd_xargs(args, context) {
+            const parsed = parseFlags('xargs', args, '0a:d:I:L:n:rt', true);
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            const command = operands.length > 0 ? operands : ['echo'];
+            for (const option of ['n', 'L']) {
+                if (option in values && !/^\d+$/.test(values[option])) {
+                    return failure(`xargs: invalid number "${values[option]}" for -${option} option`);
+                }
+                if (option in values && parseInt(values[option], 10) === 0) {
+                    return failure(`xargs: value ${values[option]} for -${option} option should be >= 1`);
+                }
+            }
+            let input = context.stdin || '';
+            if ('a' in values) {
+                const errors = [];
+                const content = this.readOperand('xargs', values.a, context, errors, (error) => {
+                    return `xargs: cannot open input file '${values.a}': ${error}`;
+                });
+                if (content === null) {
+                    return failure(errors.join('\n'));
+                }
+                input = content;
+            }
+            // The items on each line, or on their own with a delimiter
+            let lines;
+            if (flags.has('0') || 'd' in values) {
+                const delimiter = flags.has('0') ? '\0' : parseDelimiter(values.d);
+                if (delimiter === null) {
+                    return failure(`xargs: invalid input delimiter specification ${values.d}: the delimiter must be ` +
+                        'either a single character or an escape sequence starting with \\.');
+                }
+                const items = input.split(delimiter);
+                if (items[items.length - 1] === '') {
+                    items.pop();
+                }
+                lines = items.map((item) => [item]);
+            }
+            else if ('I' in values) {
+                lines = textLines(input)
+                    .map((line) => line.replace(/^[ \t]+/, ''))
+                    .filter((line) => line !== '')
+                    .map((line) => [line]);
+            }
+            else {
+                const split = splitItems(input);
+                if (typeof split === 'string') {
+                    return failure(`xargs: ${split}`);
+                }
+                lines = split;
+            }
+            const runs = [];
+            if ('I' in values) {
+                for (const [line] of lines) {
+                    runs.push(command.map((arg) => arg.split(values.I).join(line)));
+                }
+            }
+            else if ('L' in values) {
+                const count = parseInt(values.L, 10);
+                for (let i = 0; i < lines.length; i += count) {
+                    runs.push([...command, ...lines.slice(i, i + count).flat()]);
+                }
+            }
+            else {
+                const items = lines.flat();
+                const count = 'n' in values ? parseInt(values.n, 10) : Math.max(items.length, 1);
+                for (let i = 0; i < items.length; i += count) {
+                    runs.push([...command, ...items.slice(i, i + count)]);
+                }
+            }
+            // Without input the command still runs once, unless -r says not to
+            if (runs.length === 0 && !flags.has('r') && !('I' in values)) {
+                runs.push(command);
+            }
+            // Commands get no input of their own
+            const io = Object.assign(Object.assign({}, this.commandIO), { stdin: '' });
+            let exitCode = 0;
+            for (const argv of runs) {
+                if (flags.has('t')) {
+                    this.commandIO.stderr(`${argv.join(' ')}\n`);
+                }
+                const status = yield* this.runProgram(argv, io);
+                if (status === null) {
+                    return failure(`xargs: ${argv[0]}: No such file or directory`, 127);
+                }
+                if (status === 255) {
+                    return failure(`xargs: ${argv[0]}: exited with status 255; aborting`, 124);
+                }
+                if (status !== 0) {
+                    exitCode = 123;
+                }
+            }
+            return { exitCode };
+        }
+        /**
+         * Reports the disk space directories take up, with everything in them,
+         * in 1K blocks or with -h as 4.0K, 12M and so on. -a shows files too, -s
+         * only the total for each path, -d the levels down to a depth and -c adds
+         * a grand total. -b counts bytes of content rather than the blocks files
+         * fill. Files with several hard links count once.
+         */
+        cmd_du(args) {
+            const parsed = parseFlags('du', args, 'abcd:hks');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            if (flags.has('s') && flags.has('a')) {
+                return failure("du: cannot both summarize and show all entries\nTry 'du --help' for more information.");
+            }
+            if ('d' in values && !/^\d+$/.test(values.d)) {
+                return failure(`du: invalid maximum depth '${values.d}'`);
+            }
+            const options = {
+                all: flags.has('a'),
+                apparent: flags.has('b'),
+                maxDepth: flags.has('s') ? 0 : 'd' in values ? parseInt(values.d, 10) : Infinity,
+                seen: new Set(),
+                entries: [],
+                errors: [],
+            };
+            let total = 0;
+            for (const path of operands.length > 0 ? operands : ['.']) {
+                const node = this.findNode(path, false);
+                if (typeof node === 'string') {
+                    options.errors.push(`du: cannot access '${path}': ${node}`);
+                    continue;
+                }
+                total += this.diskUsage(path, node, 0, options);
+            }
+            if (flags.has('c')) {
+                options.entries.push([total, 'total']);
+            }
+            const format = (bytes) => {
+                if (flags.has('h')) {
+                    return humanSize(bytes);
+                }
+                return String(flags.has('b') ? bytes : Math.ceil(bytes / 1024));
+            };
+            return {
+                stdout: toLines(options.entries.map(([size, path]) => `${format(size)}\t${path}`).join('\n')),
+                stderr: toLines(options.errors.join('\n')),
+                exitCode: options.errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Adds up the space a file or directory takes for du, noting the entries
+         * to show on the way. Returns the size in bytes.
+         */
+        diskUsage(path, node, depth, options) {
+            if (options.seen.has(node)) {
+                return 0;
+            }
+            options.seen.add(node);
+            // Short symlinks live in their inode and take no blocks
+            let size = nodeSize(node);
+            if (!options.apparent) {
+                size = node.type === 'symlink' ? 0 : allocatedSize(size);
+            }
+            if (node.type === 'directory') {
+                if (!this.canAccess(node, READ | EXECUTE)) {
+                    options.errors.push(`du: cannot read directory '${path}': Permission denied`);
+                }
+                else {
+                    for (const name of Object.keys(node.children)) {
+                        const child = this.getEntry(node, name);
+                        if (child) {
+                            size += this.diskUsage(joinPath(path, name), child, depth + 1, options);
+                        }
+                    }
+                }
+            }
+            if (depth <= options.maxDepth && (depth === 0 || options.all || node.type === 'directory')) {
+                options.entries.push([size, path]);
+            }
+            return size;
+        }
+        /**
+         * Reports the size of the virtual disk and how much of it files use, in
+         * 1K blocks or with -h as 1.0G and so on. Every path is on the one disk.
+         */
+        cmd_df(args) {
+            const parsed = parseFlags('df', args, 'hk');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const errors = [];
+            let count = operands.length > 0 ? 0 : 1;
+            for (const path of operands) {
+                const node = this.findNode(path);
+                if (typeof node === 'string') {
+                    errors.push(`df: ${path}: ${node}`);
+                }
+                else {
+                    count++;
+                }
+            }
+            // Count every file, readable or not, and hard links once
+            const seen = new Set();
+            const usage = (node) => {
+                if (seen.has(node)) {
+                    return 0;
+                }
+                seen.add(node);
+                if (node.type === 'symlink') {
+                    return 0;
+                }
+                let size = allocatedSize(nodeSize(node));
+                if (node.type === 'directory') {
+                    size += Object.values(node.children).reduce((sum, child) => sum + usage(child), 0);
+                }
+                return size;
+            };
+            const used = usage(this.fileSystem['/']);
+            const available = Math.max(DISK_SIZE - used, 0);
+            const percent = `${Math.ceil((used * 100) / DISK_SIZE)}%`;
+            const human = flags.has('h');
+            const format = (bytes) => human ? humanSize(bytes) : String(Math.ceil(bytes / 1024));
+            const rows = [
+                human
+                    ? ['Filesystem', 'Size', 'Used', 'Avail', 'Use%', 'Mounted on']
+                    : ['Filesystem', '1K-blocks', 'Used', 'Available', 'Use%', 'Mounted on'],
+            ];
+            for (let i = 0; i < count; i++) {
+                rows.push(['rootfs', format(DISK_SIZE), format(used), format(available), percent, '/']);
+            }
+            return {
+                stdout: count > 0 ? toLines(formatColumns(rows, [false, true, true, true, true, false])) : '',
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        /**
+         * Creates, extracts or lists tar archives: -c, -x or -t with the archive
+         * named by -f, or stdin or stdout for - or no -f. -z compresses with
+         * gzip, and extracting or listing finds gzip by itself. -C works from
+         * another directory and -v names each member. The first argument may be
+         * letters without a dash, as in tar czf backup.tgz dir.
+         */
+        cmd_tar(args, context) {
+            var _a, _b, _c;
+            // Old-style letters take their arguments from the ones after, in order
+            if (args.length > 0 && !args[0].startsWith('-')) {
+                const rest = args.slice(1);
+                const letters = [];
+                for (const letter of args[0]) {
+                    letters.push(`-${letter}`);
+                    if ('fC'.includes(letter) && rest.length > 0) {
+                        letters.push(rest.shift());
+                    }
+                }
+                args = [...letters, ...rest];
+            }
+            const help = "Try 'tar --help' or 'tar --usage' for more information.";
+            const expanded = expandLongOptions(args, TAR_LONG_OPTIONS);
+            if (typeof expanded === 'string') {
+                return failure(`tar: ${expanded}\n${help}`, 2);
+            }
+            const parsed = parseFlags('tar', expanded.args, 'cxtf:zvC:');
+            if (!('flags' in parsed)) {
+                return Object.assign(Object.assign({}, parsed), { exitCode: 2 });
+            }
+            const { flags, values, operands } = parsed;
+            const modes = ['c', 'x', 't'].filter((mode) => flags.has(mode));
+            if (modes.length !== 1) {
+                return failure(modes.length === 0
+                    ? `tar: You must specify one of the '-Acdtrux', '--delete' or '--test-label' options\n${help}`
+                    : `tar: You may not specify more than one '-Acdtrux', '--delete' or  '--test-label' option\n${help}`, 2);
+            }
+            // Archives are bytes, which don't belong on a terminal
+            const file = (_a = values.f) !== null && _a !== void 0 ? _a : '-';
+            if (file === '-' && (flags.has('c') ? context.isTTY : context.stdin === null)) {
+                const direction = flags.has('c') ? 'write archive contents to' : 'read archive contents from';
+                return failure(`tar: Refusing to ${direction} terminal (missing -f option?)\ntar: Error is not recoverable: exiting now`, 2);
+            }
+            const root = this.resolvePath((_b = values.C) !== null && _b !== void 0 ? _b : '.');
+            const rootNode = this.findNode(root);
+            if (typeof rootNode === 'string' || rootNode.type !== 'directory') {
+                const error = typeof rootNode === 'string' ? rootNode : 'Not a directory';
+                return failure(`tar: ${values.C}: Cannot open: ${error}\ntar: Error is not recoverable: exiting now`, 2);
+            }
+            if (flags.has('c')) {
+                return this.createTar(file, root, operands, flags.has('z'), flags.has('v'));
+            }
+            const archive = file === '-' ? encodeStream((_c = context.stdin) !== null && _c !== void 0 ? _c : '') : this.readArchive('tar', file);
+            if (typeof archive === 'string') {
+                return failure(`${archive}\ntar: Error is not recoverable: exiting now`, 2);
+            }
+            let data = archive;
+            let entries;
+            try {
+                if (isGzip(data)) {
+                    data = gunzip(data).data;
+                }
+                else if (flags.has('z')) {
+                    throw new ArchiveError('not in gzip format');
+                }
+            }
+            catch (error) {
+                if (!(error instanceof ArchiveError)) {
+                    throw error;
+                }
+                return failure(`gzip: stdin: ${error.message}\ntar: Child returned status 1\ntar: Error is not recoverable: exiting now`, 2);
+            }
+            try {
+                entries = readTar(data);
+            }
+            catch (error) {
+                if (!(error instanceof ArchiveError)) {
+                    throw error;
+                }
+                return failure(`tar: ${error.message}\ntar: Exiting with failure status due to previous errors`, 2);
+            }
+            // Operands pick members by name, with everything in a directory
+            const names = operands.map((operand) => operand.replace(/\/+$/, '').replace(/^(\.\/)+/, ''));
+            const selected = (entry, name) => entry.path === name || entry.path.startsWith(`${name}/`);
+            const messages = [];
+            let failed = false;
+            for (const name of names) {
+                if (!entries.some((entry) => selected(entry, name))) {
+                    messages.push(`tar: ${name}: Not found in archive`);
+                    failed = true;
+                }
+            }
+            if (names.length > 0) {
+                entries = entries.filter((entry) => names.some((name) => selected(entry, name)));
+            }
+            const lines = [];
+            if (flags.has('t')) {
+                // tar -tv widens the owner and size column as it goes, as GNU tar does
+                let width = 19;
+                for (const entry of entries) {
+                    if (!flags.has('v')) {
+                        lines.push(entry.type === 'directory' ? `${entry.path}/` : entry.path);
+                        continue;
+                    }
+                    const owner = `${entry.user || entry.uid}/${entry.group || entry.gid}`;
+                    const size = String(entry.data.length);
+                    width = Math.max(width, owner.length + size.length + 1);
+                    let mode = formatMode(entry.type === 'hardlink' ? 'file' : entry.type, entry.mode);
+                    let name = entry.path;
+                    if (entry.type === 'directory') {
+                        name += '/';
+                    }
+                    else if (entry.type === 'symlink') {
+                        name += ` -> ${entry.linkTarget}`;
+                    }
+                    else if (entry.type === 'hardlink') {
+                        mode = `h${mode.slice(1)}`;
+                        name += ` link to ${entry.linkTarget}`;
+                    }
+                    const time = formatShortTime(entry.mtime);
+                    lines.push(`${mode} ${owner} ${size.padStart(width - owner.length - 1)} ${time} ${name}`);
+                }
+            }
+            else {
+                const keepOwner = this.currentUid() === 0;
+                const directories = [];
+                let strippedSlash = false;
+                for (const entry of entries) {
+                    const path = entry.path.replace(/^\/+/, '');
+                    if (path !== entry.path && !strippedSlash) {
+                        messages.push("tar: Removing leading `/' from member names");
+                        strippedSlash = true;
+                    }
+                    if (path.split('/').includes('..')) {
+                        messages.push(`tar: ${path}: Member name contains '..'`);
+                        failed = true;
+                        continue;
+                    }
+                    if (flags.has('v')) {
+                        lines.push(entry.type === 'directory' ? `${path}/` : path);
+                    }
+                    const error = this.extractEntry(entry, path, root, keepOwner, directories);
+                    if (error) {
+                        const action = {
+                            file: 'Cannot open',
+                            directory: 'Cannot mkdir',
+                            symlink: `Cannot create symlink to '${entry.linkTarget}'`,
+                            hardlink: `Cannot hard link to '${entry.linkTarget}'`,
+                        }[entry.type];
+                        messages.push(`tar: ${path}: ${action}: ${error}`);
+                        failed = true;
+                    }
+                }
+                for (const [dir, mtime] of directories) {
+                    dir.mtime = mtime;
+                    this.markChanged(dir);
+                }
+            }
+            if (failed) {
+                messages.push('tar: Exiting with failure status due to previous errors');
+            }
+            return {
+                stdout: toLines(lines.join('\n')),
+                stderr: toLines(messages.join('\n')),
+                exitCode: failed ? 2 : 0,
+            };
+        }
+        /**
+         * Writes the files and directories named by operands, relative to root,
+         * to a tar archive, gzipped with compress. A file seen again is stored as
+         * a hard link to where it was first, and the archive itself is skipped.
+         * An archive of - goes to stdout, and the names -v gives to stderr.
+         */
+        createTar(archive, root, operands, compress, verbose) {
+            if (operands.length === 0) {
+                return failure("tar: Cowardly refusing to create an empty archive\nTry 'tar --help' or 'tar --usage' for more information.", 2);
+            }
+            const archiveNode = archive === '-' ? null : this.getNode(this.resolvePath(archive));
+            const entries = [];
+            const links = new Map();
+            const lines = [];
+            const messages = [];
+            let failed = false;
+            const add = (name, node) => {
+                if (node === archiveNode) {
+                    messages.push(`tar: ${name}: file is the archive; not dumped`);
+                    return;
+                }
+                const entry = this.archiveEntry(name, node);
+                if (node.type === 'file') {
+                    const first = links.get(node);
+                    if (first !== undefined) {
+                        entry.type = 'hardlink';
+                        entry.linkTarget = first;
+                        entry.data = new Uint8Array();
+                    }
+                    else if (!this.canAccess(node, READ)) {
+                        messages.push(`tar: ${name}: Cannot open: Permission denied`);
+                        failed = true;
+                        return;
+                    }
+                    else {
+                        links.set(node, name);
+                    }
+                }
+                if (name) {
+                    entries.push(entry);
+                    lines.push(node.type === 'directory' ? `${name}/` : name);
+                }
+                if (node.type === 'directory') {
+                    if (!this.canAccess(node, READ | EXECUTE)) {
+                        messages.push(`tar: ${name}: Cannot open: Permission denied`);
+                        failed = true;
+                        return;
+                    }
+                    for (const child of Object.keys(node.children)) {
+                        add(name ? `${name}/${child}` : child, node.children[child]);
+                    }
+                }
+            };
+            let strippedSlash = false;
+            for (const operand of operands) {
+                const node = this.findNode(operand.startsWith('/') ? operand : joinPath(root, operand), false);
+                if (typeof node === 'string') {
+                    messages.push(`tar: ${operand}: Cannot stat: ${node}`);
+                    failed = true;
+                    continue;
+                }
+                let name = operand.replace(/\/+$/, '') || operand;
+                if (name.startsWith('/')) {
+                    name = name.replace(/^\/+/, '');
+                    if (!strippedSlash) {
+                        messages.push("tar: Removing leading `/' from member names");
+                        strippedSlash = true;
+                    }
+                }
+                add(name, node);
+            }
+            let data = writeTar(entries);
+            if (compress) {
+                data = gzip(data, '', Date.now());
+            }
+            if (failed) {
+                messages.push('tar: Exiting with failure status due to previous errors');
+            }
+            if (archive === '-') {
+                return {
+                    stdout: decodeStream(data),
+                    stderr: toLines([...(verbose ? lines : []), ...messages].join('\n')),
+                    exitCode: failed ? 2 : 0,
+                };
+            }
+            const error = this.writeFile(archive, data, 'overwrite');
+            if (error) {
+                return failure(`tar: ${archive}: Cannot open: ${error}\ntar: Error is not recoverable: exiting now`, 2);
+            }
+            return {
+                stdout: toLines(verbose ? lines.join('\n') : ''),
+                stderr: toLines(messages.join('\n')),
+                exitCode: failed ? 2 : 0,
+            };
+        }
+        /**
+         * A node as an archive entry named path
+         */
+        archiveEntry(path, node) {
+            return {
+                path,
+                type: node.type,
+                mode: node.mode & 0o7777,
+                uid: node.uid,
+                gid: node.gid,
+                user: this.userName(node.uid),
+                group: this.groupName(node.gid),
+                mtime: node.mtime,
+                data: node.type === 'file' ? fileBytes(node) : new Uint8Array(),
+                linkTarget: node.type === 'symlink' ? node.target : '',
+            };
+        }
+        /**
+         * The bytes of an archive file, or the error a command gives for it
+         */
+        readArchive(command, path) {
+            const node = this.findNode(path);
+            if (typeof node === 'string' || node.type !== 'file' || !this.canAccess(node, READ)) {
+                const error = typeof node === 'string'
+                    ? node
+                    : node.type === 'directory'
+                        ? 'Is a directory'
+                        : 'Permission denied';
+                return `${command}: ${path}: Cannot open: ${error}`;
+            }
+            node.atime = Date.now();
+            return fileBytes(node);
+        }
+        /**
+         * Writes out an archive entry at path under root, making any missing
+         * directories on the way. Root keeps the archive's owners and modes;
+         * anyone else gets their own files, with the umask applied. A directory's
+         * time goes in directories, to be set once what's in it is written.
+         * Returns an error, or null.
+         */
+        extractEntry(entry, path, root, keepOwner, directories) {
+            var _a, _b;
+            const full = this.resolvePath(joinPath(root, path));
+            const parent = this.makeDirectories(full.slice(0, full.lastIndexOf('/')) || '/');
+            if (typeof parent === 'string') {
+                return parent;
+            }
+            const name = baseName(full);
+            const existing = getChild(parent, name);
+            const owner = keepOwner
+                ? {
+                    uid: (_a = this.lookupUser(entry.user)) !== null && _a !== void 0 ? _a : entry.uid,
+                    gid: (_b = this.lookupGroup(entry.group)) !== null && _b !== void 0 ? _b : entry.gid,
+                }
+                : {};
+            const mode = keepOwner ? entry.mode : entry.mode & ~this.umask;
+            if (entry.type === 'directory' && existing && existing.type === 'directory') {
+                if (keepOwner || existing.uid === this.currentUid()) {
+                    existing.mode = mode;
+                    this.markChanged(existing);
+                }
+                directories.push([existing, entry.mtime]);
+                return null;
+            }
+            if (existing && existing.type === 'directory') {
+                return 'Is a directory';
+            }
+            let node;
+            if (entry.type === 'hardlink') {
+                const linked = this.getNode(this.resolvePath(joinPath(root, entry.linkTarget)), false);
+                if (!linked || linked.type !== 'file') {
+                    return 'No such file or directory';
+                }
+                if (linked === existing) {
+                    return null;
+                }
+                node = linked;
+            }
+            else if (entry.type === 'symlink') {
+                node = Object.assign(Object.assign(Object.assign({}, this.createSymlink(entry.linkTarget)), owner), { mtime: entry.mtime });
+            }
+            else if (entry.type === 'directory') {
+                node = Object.assign(Object.assign(Object.assign({}, this.createDirectory()), owner), { mode });
+                directories.push([node, entry.mtime]);
+            }
+            else {
+                const file = Object.assign(Object.assign(Object.assign({}, this.createFile('')), owner), { mode, mtime: entry.mtime });
+                setContent(file, entry.data);
+                node = file;
+            }
+            // Whatever is in the way is replaced, as GNU tar unlinks it first
+            const error = existing ? this.checkUnlink(parent, existing) : null;
+            if (error || !this.canAccess(parent, WRITE | EXECUTE)) {
+                return error || 'Permission denied';
+            }
+            parent.children[name] = node;
+            this.markModified(parent);
+            return null;
+        }
+        /**
+         * Finds the directory at path, making it and any missing directories on
+         * the way as mkdir -p does. Returns it, or an error.
+         */
+        makeDirectories(path) {
+            const found = this.findNode(path);
+            if (typeof found !== 'string') {
+                return found.type === 'directory' ? found : 'Not a directory';
+            }
+            if (found !== 'No such file or directory') {
+                return found;
+            }
+            const full = this.resolvePath(path);
+            const parent = this.makeDirectories(full.slice(0, full.lastIndexOf('/')) || '/');
+            if (typeof parent === 'string') {
+                return parent;
+            }
+            if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                return 'Permission denied';
+            }
+            const dir = this.createDirectory();
+            parent.children[baseName(full)] = dir;
+            this.markModified(parent);
+            return dir;
+        }
+        /**
+         * Compresses each file into FILE.gz, which keeps its mode and time, and
+         * removes the file, or with -d turns FILE.gz back into FILE. -k keeps the
+         * original, -c writes the result to stdout instead, as with no file or
+         * - for stdin, -f replaces a file in the way and -r goes into
+         * directories. gunzip is gzip -d and zcat is gzip -dc.
+         */
+        cmd_gzip(args, context) {
+            const expanded = expandLongOptions(args, GZIP_LONG_OPTIONS);
+            if (typeof expanded === 'string') {
+                return failure(`gzip: ${expanded}\nTry 'gzip --help' for more information.`);
+            }
+            const parsed = parseFlags('gzip', expanded.args, 'cdfkrv');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            const decompress = flags.has('d');
+            const toStdout = flags.has('c');
+            const files = operands.length > 0 ? operands : ['-'];
+            // Compressed data is bytes, which don't belong on a terminal
+            const fromStdin = files.includes('-');
+            if (!flags.has('f') && !decompress && (toStdout || fromStdin) && context.isTTY) {
+                return failure('gzip: compressed data not written to a terminal. Use -f to force compression.\nFor help, type: gzip -h');
+            }
+            if (!flags.has('f') && decompress && fromStdin && context.stdin === null) {
+                return failure('gzip: compressed data not read from a terminal. Use -f to force decompression.\nFor help, type: gzip -h');
+            }
+            let stdout = '';
+            const messages = [];
+            let exitCode = 0;
+            const error = (message) => {
+                messages.push(`gzip: ${message}`);
+                exitCode = 1;
+            };
+            const warn = (message) => {
+                messages.push(`gzip: ${message}`);
+                exitCode = exitCode || 2;
+            };
+            const processFile = (name) => {
+                var _a;
+                if (name === '-') {
+                    const input = encodeStream((_a = context.stdin) !== null && _a !== void 0 ? _a : '');
+                    try {
+                        stdout += decodeStream(decompress ? gunzip(input).data : gzip(input, '', 0));
+                    }
+                    catch (caught) {
+                        if (!(caught instanceof ArchiveError)) {
+                            throw caught;
+                        }
+                        error(`stdin: ${caught.message}`);
+                    }
+                    return;
+                }
+                const node = this.findNode(name, false);
+                if (typeof node === 'string') {
+                    error(`${name}: ${node}`);
+                    return;
+                }
+                if (node.type === 'directory') {
+                    if (!flags.has('r')) {
+                        warn(`${name} is a directory -- ignored`);
+                        return;
+                    }
+                    for (const child of Object.keys(node.children)) {
+                        processFile(joinPath(name, child));
+                    }
+                    return;
+                }
+                if (node.type === 'symlink') {
+                    warn(`${name} is not a directory or a regular file - ignored`);
+                    return;
+                }
+                let target = `${name}.gz`;
+                if (decompress) {
+                    target = name.replace(/\.tgz$/i, '.tar').replace(/\.(gz|z)$/i, '');
+                    if (target === name && !toStdout) {
+                        warn(`${name}: unknown suffix -- ignored`);
+                        return;
+                    }
+                }
+                else if (/\.(gz|tgz)$/i.test(name)) {
+                    warn(`${name} already has .gz suffix -- unchanged`);
+                    return;
+                }
+                if (!this.canAccess(node, READ)) {
+                    error(`${name}: Permission denied`);
+                    return;
+                }
+                const original = fileBytes(node);
+                let data;
+                try {
+                    data = decompress ? gunzip(original).data : gzip(original, baseName(name), node.mtime);
+                }
+                catch (caught) {
+                    if (!(caught instanceof ArchiveError)) {
+                        throw caught;
+                    }
+                    error(`${name}: ${caught.message}`);
+                    return;
+                }
+                node.atime = Date.now();
+                if (toStdout) {
+                    stdout += decodeStream(data);
+                    return;
+                }
+                if (this.getNode(this.resolvePath(target), false) && !flags.has('f')) {
+                    warn(`${target} already exists;\tnot overwritten`);
+                    return;
+                }
+                const failed = this.writeFile(target, data, 'overwrite');
+                if (failed) {
+                    error(`${target}: ${failed}`);
+                    return;
+                }
+                const written = this.getNode(this.resolvePath(target));
+                written.mode = node.mode;
+                written.mtime = node.mtime;
+                this.markChanged(written);
+                const found = this.findParent(name);
+                const unlinkError = typeof found === 'string' ? found : this.checkUnlink(found.parent, node);
+                if (!flags.has('k') && typeof found !== 'string' && !unlinkError) {
+                    delete found.parent.children[found.name];
+                    this.markModified(found.parent);
+                }
+                else if (!flags.has('k')) {
+                    error(`${name}: ${unlinkError}`);
+                }
+                if (flags.has('v')) {
+                    const [small, large] = decompress ? [original, data] : [data, original];
+                    const ratio = large.length > 0 ? (1 - small.length / large.length) * 100 : 0;
+                    const action = flags.has('k') ? 'created' : 'replaced with';
+                    messages.push(`${name}:\t${ratio.toFixed(1).padStart(5)}% -- ${action} ${target}`);
+                }
+            };
+            for (const file of files) {
+                processFile(file);
+            }
+            return { stdout, stderr: toLines(messages.join('\n')), exitCode };
+        }
+        /**
+         * Packs files into a zip archive, deflating those it shrinks, and adds
+         * .zip to the archive's name when it has no extension. An archive that
+         * exists is updated. -r goes into directories, -y stores symlinks as
+         * links rather than what they point to and -q prints nothing.
+         */
+        cmd_zip(args) {
+            const parsed = parseFlags('zip', args, 'qry');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, operands } = parsed;
+            if (operands.length === 0) {
+                return failure('zip error: Nothing to do!', 12);
+            }
+            let archive = operands[0];
+            if (!baseName(archive).includes('.')) {
+                archive += '.zip';
+            }
+            const existing = this.findNode(archive);
+            let entries = [];
+            if (typeof existing !== 'string' && existing.type === 'file') {
+                const data = this.readArchive('zip', archive);
+                if (typeof data === 'string') {
+                    return failure(`zip error: Could not open for reading: ${archive}`, 15);
+                }
+                try {
+                    entries = readZip(data);
+                }
+                catch (error) {
+                    if (!(error instanceof ArchiveError)) {
+                        throw error;
+                    }
+                    return failure(`zip error: Zip file structure invalid (${archive})`, 3);
+                }
+            }
+            const messages = [];
+            const added = [];
+            const add = (name, path) => {
+                const node = this.findNode(path, !flags.has('y'));
+                if (typeof node === 'string') {
+                    messages.push(`\tzip warning: name not matched: ${name}`);
+                    return;
+                }
+                if (node === existing) {
+                    return;
+                }
+                if (node.type === 'file' && !this.canAccess(node, READ)) {
+                    messages.push(`\tzip warning: could not open for reading: ${name}`);
+                    return;
+                }
+                // zip -r . adds what's in the directory, not the directory itself
+                if (name) {
+                    const index = entries.findIndex((entry) => entry.path === name);
+                    const entry = this.archiveEntry(name, node);
+                    entries.splice(index === -1 ? entries.length : index, index === -1 ? 0 : 1, entry);
+                    added.push([name, index !== -1]);
+                }
+                if (node.type === 'directory' && flags.has('r') && this.canAccess(node, READ | EXECUTE)) {
+                    for (const child of Object.keys(node.children)) {
+                        add(name ? `${name}/${child}` : child, joinPath(path, child));
+                    }
+                }
+            };
+            for (const operand of operands.slice(1)) {
+                add(operand
+                    .replace(/^\/+/, '')
+                    .replace(/^(\.\/)+/, '')
+                    .replace(/\/+$/, '')
+                    .replace(/^\.$/, ''), operand);
+            }
+            if (added.length === 0 && typeof existing === 'string') {
+                messages.push(`\nzip error: Nothing to do! (${archive})`);
+                return { stderr: toLines(messages.join('\n')), exitCode: 12 };
+            }
+            const zip = writeZip(entries);
+            const error = this.writeFile(archive, zip.data, 'overwrite');
+            if (error) {
+                messages.push(`zip I/O error: ${error}\n\nzip error: Could not create output file (${archive})`);
+                return { stderr: toLines(messages.join('\n')), exitCode: 15 };
+            }
+            const lines = [];
+            for (const [name, updated] of added) {
+                const entry = zip.entries.find((written) => written.path === name);
+                const percent = entry.data.length > 0
+                    ? Math.round((1 - entry.compressedSize / entry.data.length) * 100)
+                    : 0;
+                const shown = entry.type === 'directory' ? `${name}/` : name;
+                lines.push(`  ${updated ? 'updating' : 'adding'}: ${shown} (${entry.method} ${percent}%)`);
+            }
+            return {
+                stdout: flags.has('q') ? '' : toLines(lines.join('\n')),
+                stderr: toLines(messages.join('\n')),
+            };
+        }
+        /**
+         * Extracts a zip archive, or the members named after it, into the current
+         * directory or the one -d names. It asks before replacing a file; -o
+         * replaces without asking and -n never does. -l lists what's in the
+         * archive instead and -q extracts quietly.
+         */
+        *cmd_unzip(args, context) {
+            var _a;
+            const parsed = parseFlags('unzip', args, 'd:lnoq');
+            if (!('flags' in parsed)) {
+                return parsed;
+            }
+            const { flags, values, operands } = parsed;
+            if (operands.length === 0) {
+                return { stdout: `${UNZIP_USAGE}\n` };
+            }
+            let archive = operands[0];
+            let node = this.findNode(archive);
+            if (typeof node === 'string' && !/\.zip$/i.test(archive)) {
+                const withSuffix = this.findNode(`${archive}.zip`);
+                if (typeof withSuffix !== 'string') {
+                    archive += '.zip';
+                    node = withSuffix;
+                }
+            }
+            const data = typeof node === 'string' ? node : this.readArchive('unzip', archive);
+            if (typeof data === 'string') {
+                const name = operands[0];
+                return failure(`unzip:  cannot find or open ${name}, ${name}.zip or ${name}.ZIP.`, 9);
+            }
+            const header = `Archive:  ${archive}`;
+            let entries;
+            try {
+                entries = readZip(data);
+            }
+            catch (error) {
+                if (!(error instanceof ArchiveError)) {
+                    throw error;
+                }
+                if (error.message.startsWith('End-of-central-directory')) {
+                    return failure(`${header}\n  End-of-central-directory signature not found.  Either this file is not\n` +
+                        '  a zipfile, or it constitutes one disk of a multi-part archive.  In the\n' +
+                        '  latter case the central directory and zipfile comment will be found on\n' +
+                        `  the last disk(s) of this archive.\nunzip:  cannot find zipfile directory in one of ${archive} or\n` +
+                        `        ${archive}.zip, and cannot find ${archive}.ZIP, period.`, 9);
+                }
+                return failure(`${header}\n  error:  ${error.message}`, 2);
+            }
+            // Names after the archive pick members, with everything in a directory
+            const names = operands.slice(1).map((name) => name.replace(/\/+$/, ''));
+            const missing = names.filter((name) => !entries.some((entry) => entry.path === name || entry.path.startsWith(`${name}/`)));
+            if (names.length > 0) {
+                entries = entries.filter((entry) => names.some((name) => entry.path === name || entry.path.startsWith(`${name}/`)));
+            }
+            const errors = missing.map((name) => `caution: filename not matched:  ${name}`);
+            const quiet = flags.has('q');
+            if (flags.has('l')) {
+                const total = entries.reduce((sum, entry) => sum + entry.data.length, 0);
+                const lines = [
+                    header,
+                    '  Length      Date    Time    Name',
+                    '---------  ---------- -----   ----',
+                ];
+                for (const entry of entries) {
+                    const name = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+                    const size = String(entry.data.length).padStart(9);
+                    lines.push(`${size}  ${formatShortTime(entry.mtime)}   ${name}`);
+                }
+                const count = `${entries.length} file${entries.length === 1 ? '' : 's'}`;
+                lines.push('---------                     -------', `${String(total).padStart(9)}                     ${count}`);
+                return {
+                    stdout: toLines(lines.join('\n')),
+                    stderr: toLines(errors.join('\n')),
+                    exitCode: errors.length > 0 ? 11 : 0,
+                };
+            }
+            const root = (_a = values.d) !== null && _a !== void 0 ? _a : '.';
+            if (values.d !== undefined) {
+                const dir = this.makeDirectories(values.d);
+                if (typeof dir === 'string') {
+                    return failure(`checkdir:  cannot create extraction directory: ${values.d}\n           ${dir}`, 3);
+                }
+            }
+            const print = (line) => {
+                if (!quiet) {
+                    this.commandIO.stdout(`${line}\n`);
+                }
+            };
+            print(header);
+            const input = lineReader(context.stdin);
+            let replace = flags.has('o') ? 'all' : flags.has('n') ? 'none' : 'ask';
+            const directories = [];
+            for (const entry of entries) {
+                // Members can't reach outside the directory they're extracted to
+                const parts = entry.path.split('/');
+                let path = parts.filter((part) => part && part !== '.' && part !== '..').join('/');
+                if (parts.includes('..')) {
+                    print(`warning:  skipped "../" path component(s) in ${entry.path}`);
+                }
+                if (!path) {
+                    continue;
+                }
+                const existing = this.getNode(this.resolvePath(joinPath(root, path)), false);
+                if (existing && existing.type !== 'directory' && entry.type !== 'directory') {
+                    if (replace === 'ask') {
+                        const prompt = `replace ${path}? [y]es, [n]o, [A]ll, [N]one, [r]ename: `;
+                        const answer = yield* readLine(input, prompt, false);
+                        if (answer === null) {
+                            errors.push('(EOF or read error, treating as "[N]one" ...)');
+                            replace = 'none';
+                        }
+                        else if (answer.startsWith('A')) {
+                            replace = 'all';
+                        }
+                        else if (answer.startsWith('N')) {
+                            replace = 'none';
+                        }
+                        else if (answer.startsWith('r')) {
+                            const renamed = yield* readLine(input, 'new name: ', false);
+                            if (!renamed) {
+                                continue;
+                            }
+                            path = renamed;
+                        }
+                        else if (!answer.startsWith('y')) {
+                            continue;
+                        }
+                    }
+                    if (replace === 'none') {
+                        continue;
+                    }
+                }
+                const verb = entry.type === 'directory'
+                    ? '   creating'
+                    : entry.type === 'symlink'
+                        ? '    linking'
+                        : entry.method === 'deflated'
+                            ? '  inflating'
+                            : ' extracting';
+                const shown = entry.type === 'directory' ? `${path}/` : path;
+                print(`${verb}: ${shown}${entry.type === 'symlink' ? ` -> ${entry.linkTarget}` : ''}`);
+                const error = this.extractEntry(entry, path, root, false, directories);
+                if (error) {
+                    errors.push(`error:  cannot create ${shown}\n        ${error}`);
+                }
+            }
+            for (const [dir, mtime] of directories) {
+                dir.mtime = mtime;
+                this.markChanged(dir);
+            }
+            return { stderr: toLines(errors.join('\n')), exitCode: errors.length > 0 ? 1 : 0 };
+        }
+        /**
+         * Reports processes from the process table. Without options it shows the
+         * user's processes on this terminal; -e, -A, a or x show everyone's, -f
+         * the full format and u (as in ps aux) the user-oriented one.
+         */
+        cmd_ps(args) {
+            let all = false;
+            let full = false;
+            let userFormat = false;
+            for (const arg of args) {
+                const bsd = !arg.startsWith('-');
+                for (const flag of bsd ? arg : arg.slice(1)) {
+                    if (flag === 'e' || flag === 'A' || (bsd && (flag === 'a' || flag === 'x'))) {
+                        all = true;
+                    }
+                    else if (flag === 'f' && !bsd) {
+                        full = true;
+                    }
+                    else if (flag === 'u' && bsd) {
+                        userFormat = true;
+                    }
+                    else {
+                        const kind = bsd ? 'option (BSD syntax)' : 'SysV option';
+                        return failure(`error: unsupported ${kind}\n\nUsage:\n ps [options]`);
+                    }
+                }
+            }
+            const processes = [...this.processes.values()]
+                .filter((process) => all || (process.user === this.currentUser && process.tty !== '?'))
+                .sort((a, b) => a.pid - b.pid);
+            if (userFormat) {
+                let output = 'USER         PID %CPU %MEM    VSZ   RSS TTY      STAT START   TIME COMMAND\n';
+                for (const process of processes) {
+                    output +=
+                        `${process.user.padEnd(8)}${String(process.pid).padStart(8)}  0.0  0.0      0     0 ` +
+                            `${process.tty.padEnd(8)} ${this.processState(process).padEnd(4)} ` +
+                            `${formatStartTime(process.started)}   0:00 ${process.argv.join(' ')}\n`;
+                }
+                return output;
+            }
+            if (full) {
+                let output = 'UID          PID    PPID  C STIME TTY          TIME CMD\n';
+                for (const process of processes) {
+                    output +=
+                        `${process.user.padEnd(8)}${String(process.pid).padStart(8)}` +
+                            `${String(process.ppid).padStart(8)}  0 ${formatStartTime(process.started)} ` +
+                            `${process.tty.padEnd(8)} 00:00:00 ${process.argv.join(' ')}\n`;
+                }
+                return output;
+            }
+            let output = '  PID TTY          TIME CMD\n';
+            for (const process of processes) {
+                output += `${String(process.pid).padStart(5)} ${process.tty.padEnd(8)} 00:00:00 ${process.argv[0]}\n`;
+            }
+            return output;
+        }
+        /**
+         * Lists background jobs: -l adds PIDs, -p shows only PIDs, and -r and -s
+         * only running or stopped jobs
+         */
+        cmd_jobs(args) {
+            const options = { l: false, p: false, r: false, s: false };
+            const specs = [];
+            for (const arg of args) {
+                if (arg.startsWith('-') && arg.length > 1) {
+                    for (const flag of arg.slice(1)) {
+                        if (!(flag in options)) {
+                            return failure(`jobs: -${flag}: invalid option\njobs: usage: jobs [-lprs] [jobspec ...]`, 2);
+                        }
+                        options[flag] = true;
+                    }
+                }
+                else {
+                    specs.push(arg);
+                }
+            }
+            let jobs = this.shellJobs();
+            let stderr = '';
+            if (specs.length > 0) {
+                jobs = [];
+                for (const spec of specs) {
+                    const job = this.findJob(spec, 'jobs');
+                    if (typeof job === 'string') {
+                        stderr += `${job}\n`;
+                    }
+                    else {
+                        jobs.push(job);
+                    }
+                }
+            }
+            let stdout = '';
+            for (const job of jobs) {
+                const running = job.status === null && !job.stopped;
+                if ((options.r && !running) || (options.s && !job.stopped)) {
+                    continue;
+                }
+                stdout += options.p ? `${job.pid}\n` : `${this.formatJob(job, options.l)}\n`;
+                job.notified = true;
+            }
+            this.forgetFinishedJobs();
+            return { stdout, stderr, exitCode: stderr ? 1 : 0 };
+        }
+        /**
+         * Brings a job to the foreground, giving it the terminal and waiting for it
+         */
+        *cmd_fg(args, context) {
+            const job = this.findJob(args[0], 'fg');
+            if (typeof job === 'string') {
+                return failure(job);
+            }
+            const io = this.commandIO;
+            io.stdout(`${job.command}\n`);
+            job.touched = ++this.jobClock;
+            this.continueJob(job);
+            try {
+                for (;;) {
+                    if (job.status !== null) {
+                        job.notified = true;
+                        this.forgetFinishedJobs();
+                        return { exitCode: job.status };
+                    }
+                    if (job.request) {
+                        // It can read the terminal now
+                        const request = job.request;
+                        job.request = null;
+                        job.stopped = false;
+                        const answer = yield request;
+                        this.driveJob(job, answer);
+                    }
+                    else if (job.stopped) {
+                        io.stderr(`\n${this.formatJob(job)}\n`);
+                        job.notified = true;
+                        return { exitCode: 128 + SIGTSTP };
+                    }
+                    else {
+                        yield* waitFor(this.jobChange(job));
+                    }
+                }
+            }
+            finally {
+                // Ctrl-C goes to the job in the foreground
+                if (context.signal.aborted && job.status === null) {
+                    this.signalJob(job, SIGINT);
+                    job.notified = true;
+                    this.forgetFinishedJobs();
+                }
+            }
+        }
+        /**
+         * Continues stopped jobs in the background
+         */
+        cmd_bg(args) {
+            let stdout = '';
+            let stderr = '';
+            for (const spec of args.length > 0 ? args : [undefined]) {
+                const job = this.findJob(spec, 'bg');
+                if (typeof job === 'string') {
+                    stderr += `${job}\n`;
+                }
+                else if (!job.stopped) {
+                    stderr += `bg: job ${job.id} already in background\n`;
+                }
+                else {
+                    job.touched = ++this.jobClock;
+                    this.continueJob(job);
+                    job.notified = true;
+                    const mark = this.jobsByRecency()[0] === job ? '+' : ' ';
+                    stdout += `[${job.id}]${mark} ${job.command} &\n`;
+                }
+            }
+            return { stdout, stderr, exitCode: stderr && !stdout ? 1 : 0 };
+        }
+        /**
+         * Sends a signal, TERM by default, to processes or jobs. Jobs stop for
+         * STOP and TSTP, continue for CONT and end for the rest; other processes
+         * ignore signals. -l lists signals.
+         */
+        cmd_kill(args) {
+            const usage = 'kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]';
+            if (args[0] === '-l' || args[0] === '-L') {
+                if (args.length === 1) {
+                    return formatSignalList();
+                }
+                // Names for numbers, as in kill -l $?, and numbers for names
+                let stdout = '';
+                let stderr = '';
+                for (const spec of args.slice(1)) {
+                    const number = parseInt(spec, 10);
+                    const name = /^\d+$/.test(spec) ? signalName(number > 128 ? number - 128 : number) : null;
+                    const signal = /^\d+$/.test(spec) ? null : parseSignal(spec);
+                    if (name !== null) {
+                        stdout += `${name}\n`;
+                    }
+                    else if (signal !== null) {
+                        stdout += `${signal}\n`;
+                    }
+                    else {
+                        stderr += `kill: ${spec}: invalid signal specification\n`;
+                    }
+                }
+                return { stdout, stderr, exitCode: stderr ? 1 : 0 };
+            }
+            let spec;
+            let i = 0;
+            if (args[0] === '-s' || args[0] === '-n') {
+                if (args.length < 2) {
+                    return failure(`kill: ${args[0]}: option requires an argument\n${usage}`, 2);
+                }
+                spec = args[1];
+                i = 2;
+            }
+            else if (args[0] && args[0].length > 1 && args[0].startsWith('-') && args[0] !== '--') {
+                spec = args[0].slice(1);
+                i = 1;
+            }
+            if (args[i] === '--') {
+                i++;
+            }
+            const signal = spec === undefined ? SIGTERM : parseSignal(spec);
+            if (signal === null) {
+                return failure(`kill: ${spec}: invalid signal specification`);
+            }
+            const targets = args.slice(i);
+            if (targets.length === 0) {
+                return failure(usage, 2);
+            }
+            const errors = [];
+            for (const target of targets) {
+                if (target.startsWith('%')) {
+                    const job = this.findJob(target, 'kill');
+                    if (typeof job === 'string') {
+                        errors.push(job);
+                    }
+                    else {
+                        this.signalJob(job, signal);
+                    }
+                }
+                else if (/^\d+$/.test(target)) {
+                    const process = this.processes.get(parseInt(target, 10));
+                    if (!process) {
+                        errors.push(`kill: (${target}) - No such process`);
+                    }
+                    else if (this.currentUser !== 'root' && process.user !== this.currentUser) {
+                        errors.push(`kill: (${target}) - Operation not permitted`);
+                    }
+                    else {
+                        const job = this.jobOfProcess(process.pid);
+                        if (job) {
+                            this.signalJob(job, signal);
+                        }
+                    }
+                }
+                else {
+                    errors.push(`kill: ${target}: arguments must be process or job IDs`);
+                }
+            }
+            return errors.length > 0 ? failure(errors.join('\n')) : '';
+        }
+        /**
+         * Waits for jobs to finish or stop: all of them, or those given by PID or
+         * job spec, giving the exit status of the last
+         */
+        *cmd_wait(args) {
+            const jobs = [];
+            let stderr = '';
+            let exitCode = 0;
+            for (const arg of args) {
+                const pid = parseInt(arg, 10);
+                const job = arg.startsWith('%')
+                    ? this.findJob(arg, 'wait')
+                    : /^\d+$/.test(arg)
+                        ? this.shellJobs().find((other) => other.pid === pid) ||
+                            `wait: pid ${arg} is not a child of this shell`
+                        : null;
+                if (job === null) {
+                    stderr += `wait: \`${arg}': not a pid or valid job spec\n`;
+                    exitCode = 2;
+                }
+                else if (typeof job === 'string') {
+                    stderr += `${job}\n`;
+                    exitCode = 127;
+                }
+                else {
+                    jobs.push(job);
+                }
+            }
+            for (const job of args.length > 0 ? jobs : this.shellJobs()) {
+                while (job.status === null && !job.stopped) {
+                    yield* waitFor(this.jobChange(job));
+                }
+                exitCode = job.status === null ? 128 + SIGTSTP : job.status;
+            }
+            return { stdout: '', stderr, exitCode: args.length > 0 ? exitCode : 0 };
+        }
+        cmd_vi(args) {
+            return this.openEditor(args[0] || 'untitled');
+        }
+        cmd_vim(args) {
+            return this.openEditor(args[0] || 'untitled');
+        }
+        *cmd_su(args, context) {
+            return yield* this.su(args, context, this.currentUid() === 0);
+        }
+        /**
+         * Switches to another user, or runs a command as them with -c. Unless the
+         * caller is trusted, as root and sudo are, it asks for the user's password,
+         * which comes from the first line of stdin when that's piped.
+         */
+        *su(args, context, trusted) {
+            // su - (or -l, --login) starts a login shell in the user's home directory.
+            // Options can come after the user name too, until --
+            let login = false;
+            let command = null;
+            const operands = [];
+            for (let i = 0; i < args.length; i++) {
+                const arg = args[i];
+                if (arg === '--') {
+                    operands.push(...args.slice(i + 1));
+                    break;
+                }
+                else if (['-', '-l', '--login'].includes(arg)) {
+                    login = true;
+                }
+                else if (arg === '-c' || arg === '--command') {
+                    if (i + 1 >= args.length) {
+                        return failure("su: option requires an argument -- 'c'\nTry 'su --help' for more information.");
+                    }
+                    command = args[++i];
+                }
+                else if (arg.startsWith('--command=')) {
+                    command = arg.slice('--command='.length);
+                }
+                else if (arg.startsWith('-')) {
+                    return failure(`su: invalid option -- '${arg[1]}'\nTry 'su --help' for more information.`);
+                }
+                else {
+                    operands.push(arg);
+                }
+            }
+            // Operands after the user name are $0, $1, ... of the command
+            const [name, ...params] = operands;
+            const account = this.getAccount(name || 'root');
+            if (!account) {
+                return failure(`su: user ${name} does not exist or the user entry does not contain all the required fields`);
+            }
+            const input = lineReader(context.stdin);
+            if (!trusted && !this.checkPassword(account.name, '')) {
+                const password = yield* readLine(input, 'Password: ', true);
+                if (!this.checkPassword(account.name, password)) {
+                    return failure('su: Authentication failure');
+                }
+            }
+            if (/\/(nologin|false)$/.test(account.shell)) {
+                return failure('This account is currently not available.');
+            }
+            if (command === null) {
+                return this.switchUser(account, login);
+            }
+            const env = this.userEnvironment(account, login);
+            const io = Object.assign(Object.assign({}, this.commandIO), { stdin: input.rest() });
+            const path = login ? this.loginPath(account) : this.currentPath;
+            return {
+                exitCode: yield* this.runAs(account.name, env, path, () => { var _a; return this.runChildScript(command, (_a = params[0]) !== null && _a !== void 0 ? _a : 'bash', params.slice(1), env, io); }),
+            };
+        }
+        /**
+         * Starts a shell as another user, which exit leaves. A login shell starts
+         * in their home directory with a fresh environment.
+         */
+        switchUser(account, login) {
+            // su starts a new shell, so exit has to bring this one back as it was
+            this.userStack.push({
+                user: this.currentUser,
+                path: this.currentPath,
+                environment: this.environment,
+                variables: this.variables,
+                functions: this.functions,
+                aliases: this.aliases,
+                history: this.commandHistory,
+                historyWritten: this.historyWritten,
+                pid: this.shellPid,
+            });
+            this.shellPid = this.startProcess([shellName(account)], account.name, this.shellPid);
+            this.currentUser = account.name;
+            this.variables = {};
+            this.exportMarks = new Set();
+            this.functions = {};
+            this.aliases = {};
+            if (login) {
+                this.currentPath = this.loginPath(account);
+            }
+            this.environment = this.userEnvironment(account, login);
+            const output = this.runStartupFiles(login).replace(/\n$/, '');
+            this.readHistory();
+            return `__USER_SWITCHED__:${account.name}${output ? `\n${output}` : ''}`;
+        }
+        /**
+         * The environment a user gets from su: a fresh one for a login, otherwise
+         * this one with the user's name, home and shell
+         */
+        userEnvironment(account, login) {
+            if (login) {
+                return {
+                    USER: account.name,
+                    HOME: account.home,
+                    PWD: this.loginPath(account),
+                    PATH: '/usr/local/bin:/usr/bin:/bin',
+                    SHELL: account.shell,
+                };
+            }
+            return Object.assign(Object.assign({}, this.environment), { USER: account.name, HOME: account.home, PWD: this.currentPath, SHELL: account.shell });
+        }
+        /**
+         * Where a login starts: the user's home directory, or the current
+         * directory when their home doesn't exist
+         */
+        loginPath(account) {
+            const home = this.getNode(account.home);
+            return home && home.type === 'directory' ? account.home : this.currentPath;
+        }
+        /**
+         * Runs something as another user in a given environment and directory,
+         * as sudo and su -c do, then puts this user back
+         */
+        *runAs(name, env, path, run) {
+            const saved = {
+                currentUser: this.currentUser,
+                environment: this.environment,
+                currentPath: this.currentPath,
+            };
+            this.currentUser = name;
+            this.environment = env;
+            this.currentPath = path;
+            try {
+                return yield* run();
+            }
+            finally {
+                Object.assign(this, saved);
+            }
+        }
+        *cmd_sudo(args, context) {
+            const usage = 'usage: sudo -h | -K | -k | -V\n' +
+                'usage: sudo [-u user] [-S] [-k] [-l] [-i | -s] [command [arg ...]]';
+            let runAsName = 'root';
+            let readStdin = false;
+            let list = false;
+            let reset = false;
+            let shell = null;
+            let i = 0;
+            for (; i < args.length && args[i].startsWith('-') && args[i] !== '-'; i++) {
+                const arg = args[i];
+                if (arg === '--') {
+                    i++;
+                    break;
+                }
+                if (arg === '-u' || arg === '--user') {
+                    if (i + 1 >= args.length) {
+                        return failure(`sudo: option requires an argument -- 'u'\n${usage}`);
+                    }
+                    runAsName = args[++i];
+                    continue;
+                }
+                for (const flag of arg.slice(1)) {
+                    if (flag === 'S')
+                        readStdin = true;
+                    else if (flag === 'l')
+                        list = true;
+                    else if (flag === 'k' || flag === 'K')
+                        reset = true;
+                    else if (flag === 'i')
+                        shell = 'login';
+                    else if (flag === 's')
+                        shell = 'shell';
+                    else
+                        return failure(`sudo: invalid option -- '${flag}'\n${usage}`);
+                }
+            }
+            const command = args.slice(i);
+            if (reset) {
+                delete this.sudoTimestamps[this.currentUser];
+            }
+            if (command.length === 0 && !list && !shell) {
+                return reset ? '' : failure(usage);
+            }
+            const target = this.getAccount(runAsName);
+            if (!target) {
+                return failure(`sudo: unknown user ${runAsName}`);
+            }
+            const account = this.getAccount(this.currentUser);
+            const groups = account ? this.groupIds(account).map((gid) => this.groupName(gid)) : [];
+            const rules = sudoRulesFor(parseSudoers(this.readSystemFile('/etc/sudoers') || ''), this.currentUser, groups);
+            const host = this.hostname();
+            if (list) {
+                if (rules.length === 0) {
+                    return failure(`Sorry, user ${this.currentUser} may not run sudo on ${host}.`);
+                }
+                const lines = rules.map((rule) => `    ${formatSudoRule(rule)}`);
+                return `User ${this.currentUser} may run the following commands on ${host}:\n${lines.join('\n')}`;
+            }
+            // Root may run anything; everyone else needs a rule in /etc/sudoers
+            const [name, ...rest] = shell ? [target.shell] : command;
+            let noPassword = true;
+            if (this.currentUid() !== 0) {
+                if (rules.length === 0) {
+                    return failure(`${this.currentUser} is not in the sudoers file.  This incident will be reported.`);
+                }
+                const spec = findSudoCommand(rules, target.name, name, rest);
+                if (!spec) {
+                    return failure(`Sorry, user ${this.currentUser} is not allowed to execute '${[name, ...rest].join(' ')}' as ${target.name} on ${host}.`);
+                }
+                noPassword = spec.noPassword;
+            }
+            // The password comes from the terminal, or with -S from stdin
+            const input = lineReader(readStdin ? context.stdin || '' : null);
+            const denied = yield* this.sudoAuthenticate(noPassword, input);
+            if (denied) {
+                return denied;
+            }
+            // sudo -i and sudo su start a shell as the user, which exit leaves
+            if (shell) {
+                return this.switchUser(target, shell === 'login');
+            }
+            if (name === 'su') {
+                const stdin = readStdin ? input.rest() : context.stdin;
+                return yield* this.su(rest, Object.assign(Object.assign({}, context), { stdin }), target.uid === 0);
+            }
+            const env = Object.assign(Object.assign({}, this.environment), { USER: target.name, LOGNAME: target.name, HOME: target.home, SHELL: target.shell, SUDO_USER: this.currentUser, SUDO_UID: String(this.currentUid()), SUDO_GID: String(account ? account.gid : NOBODY_ID), SUDO_COMMAND: command.join(' ') });
+            const io = Object.assign(Object.assign({}, this.commandIO), { stdin: readStdin ? input.rest() : context.stdin });
+            if (!name.includes('/') && !(name in this.commands)) {
+                return failure(`sudo: ${name}: command not found`);
+            }
+            const status = yield* this.runAs(target.name, env, this.currentPath, () => name.includes('/')
+                ? this.runExecutable(name, rest, env, io)
+                : this.runBuiltin(name, rest, env, io));
+            return { exitCode: status };
+        }
+        /**
+         * Asks for the user's password before sudo runs something, unless they
+         * don't need one or gave it in the last 15 minutes. They get three tries,
+         * at the terminal or on stdin for -S. Returns the error if they don't get in.
+         */
+        *sudoAuthenticate(noPassword, input) {
+            const user = this.currentUser;
+            const last = this.sudoTimestamps[user];
+            if (noPassword ||
+                this.passwordHash(user) === '' ||
+                (last !== undefined && Date.now() - last < SUDO_TIMEOUT)) {
+                return null;
+            }
+            // With -S the prompt goes to stderr, and whatever is read isn't echoed
+            // back with a newline the way the terminal does
+            const prompt = `[sudo] password for ${user}: `;
+            const readStdin = input.rest() !== null;
+            let attempts = 0;
+            while (attempts < 3) {
+                if (readStdin) {
+                    this.commandIO.stderr(prompt);
+                }
+                const password = yield* readLine(input, prompt, true);
+                if (password === null) {
+                    break;
+                }
+                if (this.checkPassword(user, password)) {
+                    this.sudoTimestamps[user] = Date.now();
+                    return null;
+                }
+                attempts++;
+                if (attempts < 3) {
+                    this.commandIO.stderr('Sorry, try again.\n');
+                }
+            }
+            const newline = readStdin ? '\n' : '';
+            if (attempts === 0) {
+                return failure(`${newline}sudo: no password was provided`);
+            }
+            return failure(`${newline}sudo: ${attempts} incorrect password attempt${attempts === 1 ? '' : 's'}`);
+        }
+        cmd_id(args) {
+            var _a;
+            let only = null;
+            let names = false;
+            const users = [];
+            for (const arg of args) {
+                if (!arg.startsWith('-') || arg === '-') {
+                    users.push(arg);
+                    continue;
+                }
+                for (const flag of arg.slice(1)) {
+                    if (flag === 'u' || flag === 'g' || flag === 'G') {
+                        if (only !== null && only !== flag) {
+                            return failure('id: cannot print "only" of more than one choice');
+                        }
+                        only = flag;
+                    }
+                    else if (flag === 'n') {
+                        names = true;
+                    }
+                    else if (flag !== 'r') {
+                        return failure(`id: invalid option -- '${flag}'\nTry 'id --help' for more information.`);
+                    }
+                }
+            }
+            if (users.length > 1) {
+                return failure(`id: extra operand '${users[1]}'\nTry 'id --help' for more information.`);
+            }
+            if (names && only === null) {
+                return failure('id: cannot print only names or real IDs in default format');
+            }
+            const name = (_a = users[0]) !== null && _a !== void 0 ? _a : this.currentUser;
+            const account = this.getAccount(name);
+            if (!account) {
+                return failure(`id: '${name}': no such user`);
+            }
+            const gids = this.groupIds(account);
+            if (only === 'u') {
+                return names ? account.name : String(account.uid);
+            }
+            if (only === 'g') {
+                return names ? this.groupName(account.gid) : String(account.gid);
+            }
+            if (only === 'G') {
+                return gids.map((gid) => (names ? this.groupName(gid) : String(gid))).join(' ');
+            }
+            const groups = gids.map((gid) => `${gid}(${this.groupName(gid)})`).join(',');
+            return `uid=${account.uid}(${account.name}) gid=${account.gid}(${this.groupName(account.gid)}) groups=${groups}`;
+        }
+        cmd_groups(args) {
+            const groupsOf = (account) => this.groupIds(account)
+                .map((gid) => this.groupName(gid))
+                .join(' ');
+            if (args.length === 0) {
+                const account = this.getAccount(this.currentUser);
+                return account ? groupsOf(account) : '';
+            }
+            const lines = [];
+            const errors = [];
+            for (const name of args) {
+                const account = this.getAccount(name);
+                if (account) {
+                    lines.push(`${name} : ${groupsOf(account)}`);
+                }
+                else {
+                    errors.push(`groups: '${name}': no such user`);
+                }
+            }
+            return {
+                stdout: toLines(lines.join('\n')),
+                stderr: toLines(errors.join('\n')),
+                exitCode: errors.length > 0 ? 1 : 0,
+            };
+        }
+        cmd_useradd(args) {
+            const parsed = this.parseAccountOptions('useradd', args, 'mM', 'cdgGsu');
+            if (!('options' in parsed)) {
+                return parsed;
+            }
+            const { options, operands } = parsed;
+            if (operands.length !== 1) {
+                return failure('Usage: useradd [options] LOGIN', 2);
+            }
+            const denied = this.requireRoot('useradd');
+            if (denied) {
+                return denied;
+            }
+            const name = operands[0];
+            if (!isValidAccountName(name)) {
+                return failure(`useradd: invalid user name '${name}'`, 3);
+            }
+            if (this.getAccount(name)) {
+                return failure(`useradd: user '${name}' already exists`, 9);
+            }
+            let uid;
+            if (options.u !== undefined) {
+                if (!/^\d+$/.test(options.u)) {
+                    return failure(`useradd: invalid user ID '${options.u}'`, 3);
+                }
+                uid = parseInt(options.u, 10);
+                if (this.getAccounts().some((account) => account.uid === uid)) {
+                    return failure(`useradd: UID ${uid} is not unique`, 4);
+                }
+            }
+            const groups = this.getGroupEntries();
+            let gid;
+            if (options.g !== undefined) {
+                const group = groups.find((entry) => entry.name === options.g || String(entry.gid) === options.g);
+                if (!group) {
+                    return failure(`useradd: group '${options.g}' does not exist`, 6);
+                }
+                gid = group.gid;
+            }
+            else if (groups.some((group) => group.name === name)) {
+                return failure(`useradd: group ${name} exists - if you want to add this user to that group, use -g.`, 9);
+            }
+            const supplementary = options.G ? options.G.split(',') : [];
+            const missing = supplementary.find((group) => !groups.some((entry) => entry.name === group));
+            if (missing !== undefined) {
+                return failure(`useradd: group '${missing}' does not exist`, 6);
+            }
+            // New accounts are locked until passwd gives them a password
+            const account = this.addAccount(name, { uid, gid, home: options.d, shell: options.s || '/bin/sh', gecos: options.c }, '!');
+            if (supplementary.length > 0) {
+                this.editGroups((entries) => {
+                    for (const group of entries) {
+                        if (supplementary.includes(group.name) && !group.members.includes(name)) {
+                            group.members.push(name);
+                        }
+                    }
+                });
+            }
+            if (options.m && !options.M) {
+                return this.createHome(account);
+            }
+            return '';
+        }
+        /**
+         * Creates a new user's home directory for useradd -m, with a copy of /etc/skel
+         */
+        createHome(account) {
+            if (this.getNode(account.home)) {
+                return {
+                    stderr: `useradd: warning: the home directory ${account.home} already exists.\n` +
+                        'useradd: Not copying any file from skel directory into it.\n',
+                    exitCode: 0,
+                };
+            }
+            const parent = this.getNode(account.home.slice(0, account.home.lastIndexOf('/')) || '/');
+            if (!parent || parent.type !== 'directory') {
+                return failure(`useradd: cannot create directory ${account.home}`, 12);
+            }
+            const skel = this.getNode('/etc/skel');
+            const copy = (node) => {
+                const now = Date.now();
+                const metadata = { uid: account.uid, gid: account.gid, atime: now, mtime: now, ctime: now };
+                if (node.type !== 'directory') {
+                    return Object.assign(Object.assign({}, node), metadata);
+                }
+                const children = {};
+                for (const [name, child] of Object.entries(node.children)) {
+                    children[name] = copy(child);
+                }
+                return Object.assign(Object.assign(Object.assign({}, node), metadata), { children });
+            };
+            const home = copy(skel && skel.type === 'directory' ? skel : this.createDirectory());
+            home.mode = 0o755;
+            parent.children[account.home.slice(account.home.lastIndexOf('/') + 1)] = home;
+            this.markModified(parent);
+            return '';
+        }
+        cmd_userdel(args) {
+            const parsed = this.parseAccountOptions('userdel', args, 'rf', '');
+            if (!('options' in parsed)) {
+                return parsed;
+            }
+            const { options, operands } = parsed;
+            if (operands.length !== 1) {
+                return failure('Usage: userdel [options] LOGIN', 2);
+            }
+            const denied = this.requireRoot('userdel');
+            if (denied) {
+                return denied;
+            }
+            const name = operands[0];
+            const account = this.getAccount(name);
+            if (!account) {
+                return failure(`userdel: user '${name}' does not exist`, 6);
+            }
+            const inUse = name === this.currentUser ||
+                name === this.environment.SUDO_USER ||
+                this.userStack.some((state) => state.user === name);
+            const process = [...this.processes.values()].find((other) => other.user === name);
+            if ((inUse || process) && !options.f) {
+                const pid = process ? process.pid : this.shellPid;
+                return failure(`userdel: user ${name} is currently used by process ${pid}`, 8);
+            }
+            this.editAccounts((entries) => entries.filter((entry) => entry.name !== name));
+            this.editShadow((entries) => entries.filter((entry) => entry.name !== name));
+            const accounts = this.getAccounts();
+            this.editGroups((entries) => entries
+                .filter((group) => group.name !== name ||
+                group.gid !== account.gid ||
+                accounts.some((other) => other.gid === group.gid))
+                .map((group) => (Object.assign(Object.assign({}, group), { members: group.members.filter((member) => member !== name) }))));
+            if (options.r) {
+                const home = this.getNode(account.home);
+                const parent = this.getNode(account.home.slice(0, account.home.lastIndexOf('/')) || '/');
+                if (!home || !parent || parent.type !== 'directory') {
+                    return failure(`userdel: ${name} home directory (${account.home}) not found`, 12);
+                }
+                delete parent.children[account.home.slice(account.home.lastIndexOf('/') + 1)];
+                this.markModified(parent);
+            }
+            return '';
+        }
+        cmd_usermod(args) {
+            const usage = 'Usage: usermod [options] LOGIN';
+            const parsed = this.parseAccountOptions('usermod', args, 'aLU', 'cdgGs');
+            if (!('options' in parsed)) {
+                return parsed;
+            }
+            const { options, operands } = parsed;
+            if (operands.length !== 1 || Object.keys(options).length === 0) {
+                return failure(usage, 2);
+            }
+            if (options.a && options.G === undefined) {
+                return failure(`usermod: -a flag is ONLY allowed with the -G flag\n${usage}`, 2);
+            }
+            const denied = this.requireRoot('usermod');
+            if (denied) {
+                return denied;
+            }
+            const name = operands[0];
+            if (!this.getAccount(name)) {
+                return failure(`usermod: user '${name}' does not exist`, 6);
+            }
+            const groups = this.getGroupEntries();
+            let gid;
+            if (options.g !== undefined) {
+                const group = groups.find((entry) => entry.name === options.g || String(entry.gid) === options.g);
+                if (!group) {
+                    return failure(`usermod: group '${options.g}' does not exist`, 6);
+                }
+                gid = group.gid;
+            }
+            const supplementary = options.G ? options.G.split(',') : [];
+            const missing = supplementary.find((group) => !groups.some((entry) => entry.name === group));
+            if (missing !== undefined) {
+                return failure(`usermod: group '${missing}' does not exist`, 6);
+            }
+            this.editAccounts((entries) => {
+                var _a, _b, _c;
+                const entry = entries.find((account) => account.name === name);
+                entry.gid = gid !== null && gid !== void 0 ? gid : entry.gid;
+                entry.shell = (_a = options.s) !== null && _a !== void 0 ? _a : entry.shell;
+                entry.home = (_b = options.d) !== null && _b !== void 0 ? _b : entry.home;
+                entry.gecos = (_c = options.c) !== null && _c !== void 0 ? _c : entry.gecos;
+            });
+            // -G sets the supplementary groups, or adds to them with -a
+            if (options.G !== undefined) {
+                this.editGroups((entries) => {
+                    for (const group of entries) {
+                        const wanted = supplementary.includes(group.name);
+                        const member = group.members.includes(name);
+                        if (wanted && !member) {
+                            group.members.push(name);
+                        }
+                        else if (!wanted && member && !options.a) {
+                            group.members = group.members.filter((other) => other !== name);
+                        }
+                    }
+                });
+            }
+            let warning = '';
+            if (options.L || options.U) {
+                this.editShadow((entries) => {
+                    const entry = entries.find((line) => line.name === name);
+                    if (!entry) {
+                        return;
+                    }
+                    if (options.L && !entry.hash.startsWith('!')) {
+                        entry.hash = '!' + entry.hash;
+                    }
+                    else if (options.U && entry.hash.startsWith('!')) {
+                        if (entry.hash === '!') {
+                            warning =
+                                "usermod: unlocking the user's password would result in a passwordless account.\n" +
+                                    "You should set a password with usermod -p to unlock this user's password.\n";
+                        }
+                        else {
+                            entry.hash = entry.hash.slice(1);
+                        }
+                    }
+                });
+            }
+            return { stderr: warning, exitCode: 0 };
+        }
+        *cmd_passwd(args, context) {
+            var _a;
+            let action = null;
+            const operands = [];
+            for (const arg of args) {
+                if (['-l', '-u', '-d', '-S'].includes(arg)) {
+                    action = arg[1];
+                }
+                else if (arg.startsWith('-')) {
+                    return failure(`passwd: invalid option -- '${arg[1]}'\nUsage: passwd [options] [LOGIN]`, 2);
+                }
+                else {
+                    operands.push(arg);
+                }
+            }
+            const name = (_a = operands[0]) !== null && _a !== void 0 ? _a : this.currentUser;
+            const account = this.getAccount(name);
+            if (!account) {
+                return failure(`passwd: user '${name}' does not exist`);
+            }
+            const isRoot = this.currentUid() === 0;
+            if (!isRoot && name !== this.currentUser) {
+                return failure(`passwd: You may not view or modify password information for ${name}.`);
+            }
+            const shadow = parseShadow(this.readSystemFile('/etc/shadow') || '');
+            const entry = shadow.find((line) => line.name === name) || newShadowEntry(name, this.passwordHash(name), 0);
+            if (action === 'S') {
+                const status = /^[!*]/.test(entry.hash) ? 'L' : entry.hash === '' ? 'NP' : 'P';
+                const changed = new Date(parseInt(entry.lastChange, 10) * 86400000);
+                const date = [changed.getUTCMonth() + 1, changed.getUTCDate()]
+                    .map((part) => String(part).padStart(2, '0'))
+                    .concat(String(changed.getUTCFullYear()))
+                    .join('/');
+                // Empty aging fields show as their defaults
+                const aging = ['0', '99999', '7', '-1'].map((fallback, i) => entry.rest[i] || fallback);
+                return `${name} ${status} ${date} ${aging.join(' ')}`;
+            }
+            if (action !== null) {
+                if (!isRoot) {
+                    return failure('passwd: Permission denied.');
+                }
+                if (action === 'u' && entry.hash === '!') {
+                    return failure('passwd: unlocking the password would result in a passwordless account.\n' +
+                        'You should set a password with usermod -p to unlock the password of this account.', 3);
+                }
+                if (action === 'l' && !entry.hash.startsWith('!')) {
+                    entry.hash = '!' + entry.hash;
+                }
+                else if (action === 'u' && entry.hash.startsWith('!')) {
+                    entry.hash = entry.hash.slice(1);
+                }
+                else if (action === 'd') {
+                    entry.hash = '';
+                }
+                this.savePassword(entry);
+                return 'passwd: password expiry information changed.';
+            }
+            // Users give their current password first; root just sets a new one
+            const input = lineReader(context.stdin);
+            const stdout = isRoot ? '' : `Changing password for ${name}.\n`;
+            const unchanged = 'passwd: Authentication token manipulation error\npasswd: password unchanged\n';
+            if (stdout) {
+                this.commandIO.stdout(stdout);
+            }
+            if (!isRoot && !this.checkPassword(name, yield* readLine(input, 'Current password: ', true))) {
+                return { stderr: unchanged, exitCode: 10 };
+            }
+            const password = yield* readLine(input, 'New password: ', true);
+            if (!password) {
+                return { stderr: 'No password has been supplied.\n' + unchanged, exitCode: 10 };
+            }
+            if ((yield* readLine(input, 'Retype new password: ', true)) !== password) {
+                return { stderr: 'Sorry, passwords do not match.\n' + unchanged, exitCode: 10 };
+            }
+            entry.hash = hashPassword(password);
+            entry.lastChange = String(daysSinceEpoch(Date.now()));
+            this.savePassword(entry);
+            return 'passwd: password updated successfully';
+        }
+        /**
+         * Writes a user's shadow entry back, adding it if they had none
+         */
+        savePassword(updated) {
+            this.editShadow((entries) => {
+                const index = entries.findIndex((entry) => entry.name === updated.name);
+                if (index === -1) {
+                    entries.push(updated);
+                }
+                else {
+                    entries[index] = updated;
+                }
+            });
+            this.editAccounts((entries) => {
+                const account = entries.find((entry) => entry.name === updated.name);
+                if (account) {
+                    account.password = 'x';
+                }
+            });
+        }
+        /**
+         * Refuses account changes from anyone but root, the way useradd, userdel
+         * and usermod do
+         */
+        requireRoot(command) {
+            if (this.currentUid() === 0) {
+                return null;
+            }
+            return failure(`${command}: Permission denied.\n${command}: cannot lock /etc/passwd; try again later.`);
+        }
+        /**
+         * Parses options for useradd, userdel and usermod. Letters in flags stand
+         * alone; letters in withValue take the rest of the argument or the next one.
+         */
+        parseAccountOptions(command, args, flags, withValue) {
+            const options = {};
+            const operands = [];
+            for (let i = 0; i < args.length; i++) {
+                const arg = args[i];
+                if (!arg.startsWith('-') || arg === '-') {
+                    operands.push(arg);
+                    continue;
+                }
+                for (let j = 1; j < arg.length; j++) {
+                    const letter = arg[j];
+                    if (flags.includes(letter)) {
+                        options[letter] = 'yes';
+                    }
+                    else if (withValue.includes(letter)) {
+                        const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+                        if (value === undefined) {
+                            return failure(`${command}: option requires an argument -- '${letter}'\nUsage: ${command} [options] LOGIN`, 2);
+                        }
+                        options[letter] = value;
+                        break;
+                    }
+                    else {
+                        return failure(`${command}: invalid option -- '${letter}'\nUsage: ${command} [options] LOGIN`, 2);
+                    }
+                }
+            }
+            return { options, operands };
+        }
+        cmd_exit(args) {
+            // Inside a script or subshell, exit only ends that
+            if (this.subshellDepth > 0) {
+                if (args[0] !== undefined && !/^-?\d+$/.test(args[0])) {
+                    this.commandIO.stderr(`exit: ${args[0]}: numeric argument required\n`);
+                    throw new ScriptExit(2);
+                }
+                throw new ScriptExit(args[0] === undefined ? this.lastExitStatus : parseInt(args[0], 10) & 255);
+            }
+            // Pop the previous user from the stack
+            if (this.userStack.length === 0) {
+                return failure('exit: no other user session to return to');
+            }
+            // The shell leaving adds what was typed into it to its history file
+            const file = this.historyFile();
+            if (file) {
+                this.writeHistory(file, true);
+            }
+            const previousUser = this.userStack.pop();
+            this.processes.delete(this.shellPid);
+            this.shellPid = previousUser.pid;
+            this.currentUser = previousUser.user;
+            this.environment = previousUser.environment;
+            this.variables = previousUser.variables;
+            this.exportMarks = new Set();
+            this.functions = previousUser.functions;
+            this.aliases = previousUser.aliases;
+            this.commandHistory = previousUser.history;
+            this.historyWritten = previousUser.historyWritten;
+            this.currentPath = previousUser.path;
+            this.environment.PWD = this.currentPath;
+            return `__USER_SWITCHED__:${previousUser.user}`;
+        }
+        /**
+         * Expands a parsed word into arguments: parameters and command substitutions
+         * first, then word splitting of unquoted expansions, then wildcard matching
+         * on unquoted * and ?
+         */
+        *expandWord(word, io) {
+            const fields = [];
+            let current = [];
+            // Empty unquoted expansions vanish, but "" is still an argument
+            const endField = () => {
+                if (current.some((segment) => segment.quoted || segment.value)) {
+                    fields.push(current);
+                }
+                current = [];
+            };
+            for (let index = 0; index < word.parts.length; index++) {
+                const part = word.parts[index];
+                if (part.type === 'literal') {
+                    // Tilde expansion for a leading unquoted ~ or ~/
+                    if (index === 0 && !part.quoted && /^~(\/|$)/.test(part.value)) {
+                        current.push({ value: this.homeDirectory(), quoted: true });
+                        current.push({ value: part.value.slice(1), quoted: false });
+                    }
+                    else {
+                        current.push({ value: part.value, quoted: part.quoted });
+                    }
+                    continue;
+                }
+                // "$@" gives each positional parameter its own field
+                if (part.type === 'param' && part.name === '@' && !part.op && part.quoted) {
+                    if (this.positionalParams.length === 0) {
+                        current = current.filter((segment) => segment.value);
+                    }
+                    this.positionalParams.forEach((param, i) => {
+                        if (i > 0)
+                            endField();
+                        current.push({ value: param, quoted: true });
+                    });
+                    continue;
+                }
+                const value = yield* this.expandPart(part, io);
+                if (part.quoted) {
+                    current.push({ value, quoted: true });
+                    continue;
+                }
+                value.split(/[ \t\n]+/).forEach((piece, i) => {
+                    if (i > 0)
+                        endField();
+                    if (piece)
+                        current.push({ value: piece, quoted: false });
+                });
+            }
+            endField();
+            const expanded = [];
+            for (const segments of fields) {
+                const value = segments.map((segment) => segment.value).join('');
+                const hasWildcard = segments.some((segment) => !segment.quoted && /[*?[]/.test(segment.value));
+                if (!hasWildcard) {
+                    expanded.push(value);
+                    continue;
+                }
+                expanded.push(...this.expandWildcards(value, this.globToRegExp(segments)));
+            }
+            return expanded;
+        }
+        /**
+         * Turns expanded segments into a regex where unquoted *, ? and [...] are
+         * wildcards, as used for file names, case patterns and == in [[ ]]
+         */
+        globToRegExp(segments) {
+            const chars = [];
+            segments.forEach((segment) => {
+                for (const ch of segment.value) {
+                    chars.push({ ch, quoted: segment.quoted });
+                }
+            });
+            let pattern = '';
+            for (let i = 0; i < chars.length; i++) {
+                const { ch, quoted } = chars[i];
+                if (!quoted && ch === '*') {
+                    pattern += '.*';
+                }
+                else if (!quoted && ch === '?') {
+                    pattern += '.';
+                }
+                else if (!quoted && ch === '[') {
+                    // A ] right after [ or [! is part of the set
+                    let end = i + 1;
+                    if (chars[end] && (chars[end].ch === '!' || chars[end].ch === '^'))
+                        end++;
+                    if (chars[end] && chars[end].ch === ']')
+                        end++;
+                    while (end < chars.length && chars[end].ch !== ']')
+                        end++;
+                    if (end >= chars.length) {
+                        pattern += '\\[';
+                        continue;
+                    }
+                    let set = chars
+                        .slice(i + 1, end)
+                        .map((c) => c.ch)
+                        .join('');
+                    const negated = set[0] === '!' || set[0] === '^';
+                    if (negated)
+                        set = set.slice(1);
+                    pattern += `[${negated ? '^' : ''}${set.replace(/[\\\]^]/g, '\\$&')}]`;
+                    i = end;
+                }
+                else {
+                    pattern += ch.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+                }
+            }
+            return new RegExp(`^${pattern}$`);
+        }
+        /**
+         * Turns a pattern given as an argument, as to find -name, into a regular
+         * expression. A backslash makes the character after it match itself.
+         */
+        globPattern(pattern, ignoreCase = false) {
+            const segments = [];
+            for (let i = 0; i < pattern.length; i++) {
+                const escaped = pattern[i] === '\\' && i < pattern.length - 1;
+                segments.push({ value: escaped ? pattern[++i] : pattern[i], quoted: escaped });
+            }
+            const regex = this.globToRegExp(segments);
+            return ignoreCase ? new RegExp(regex.source, 'i') : regex;
+        }
+        /**
+         * Expands a word into one string without splitting, keeping track of which
+         * text was quoted so it can still be used as a pattern
+         */
+        *expandSegments(word, io) {
+            const segments = [];
+            for (const part of word.parts) {
+                segments.push({ value: yield* this.expandPart(part, io), quoted: part.quoted });
+            }
+            return segments;
+        }
+        /**
+         * Expands parts into a single string with no splitting or wildcards,
+         * as used for assignment values and ${NAME:-word} operands
+         */
+        *expandToString(parts, io) {
+            let value = '';
+            for (const part of parts) {
+                value += yield* this.expandPart(part, io);
+            }
+            return value;
+        }
+        /**
+         * Expands one part of a word without splitting it
+         */
+        *expandPart(part, io) {
+            switch (part.type) {
+                case 'literal':
+                    return part.value;
+                case 'param':
+                    return yield* this.expandParameter(part, io);
+                default:
+                    return yield* this.substituteCommand(part.list, io);
+            }
+        }
+        /**
+         * Runs $(...) and returns its output without trailing newlines. Errors
+         * still reach the surrounding command's stderr.
+         */
+        *substituteCommand(list, io) {
+            let output = '';
+            let status;
+            // Like a subshell, break, return and exit can't leave the substitution
+            const loopDepth = this.loopDepth;
+            this.loopDepth = 0;
+            this.subshellDepth++;
+            try {
+                status = yield* this.runList(list, {
+                    stdout: (text) => (output += text),
+                    stderr: io.stderr,
+                    isTTY: false,
+                });
+            }
+            catch (error) {
+                if (!(error instanceof FunctionReturn || error instanceof ScriptExit))
+                    throw error;
+                status = error.status;
+            }
+            finally {
+                this.loopDepth = loopDepth;
+                this.subshellDepth--;
+            }
+            this.lastExitStatus = this.substitutionStatus = status;
+            return output.replace(/\n+$/, '');
+        }
+        /**
+         * Expands $NAME, ${#NAME} and ${NAME<op>word}
+         */
+        *expandParameter(part, io) {
+            const value = this.getVariable(part.name);
+            if (part.op === '#') {
+                return String((value || '').length);
+            }
+            if (!part.op) {
+                return value || '';
+            }
+            // With a colon an empty value counts as unset
+            const isUnset = value === undefined || (part.op[0] === ':' && value === '');
+            const operand = () => this.expandToString(part.operand || [], io);
+            switch (part.op.replace(':', '')) {
+                case '-':
+                    return isUnset ? yield* operand() : value;
+                case '=':
+                    if (isUnset) {
+                        const assigned = yield* operand();
+                        this.setVariable(part.name, assigned);
+                        return assigned;
+                    }
+                    return value;
+                default:
+                    return isUnset ? '' : yield* operand();
+            }
+        }
+        /**
+         * Gets a shell variable, exported variable or special parameter such as $?
+         */
+        getVariable(name) {
+            switch (name) {
+                case '?':
+                    return String(this.lastExitStatus);
+                case '$':
+                    return String(this.shellPid);
+                case '!':
+                    return this.lastBackgroundPid === null ? undefined : String(this.lastBackgroundPid);
+                case '0':
+                    return this.scriptName === null ? 'bash' : this.scriptName;
+                case '#':
+                    return String(this.positionalParams.length);
+                case '@':
+                case '*':
+                    return this.positionalParams.join(' ');
+            }
+            if (/^[1-9]\d*$/.test(name)) {
+                return this.positionalParams[parseInt(name, 10) - 1];
+            }
+            if (name in this.environment) {
+                return this.environment[name];
+            }
+            if (name in this.variables) {
+                return this.variables[name];
+            }
+            return undefined;
+        }
+        /**
+         * Sets a variable, keeping it exported if it already was or export named it
+         */
+        setVariable(name, value) {
+            if (name in this.environment || this.exportMarks.has(name)) {
+                this.exportMarks.delete(name);
+                this.environment[name] = value;
+            }
+            else {
+                this.variables[name] = value;
+            }
+        }
+        /**
+         * Expands a wildcard pattern against the current directory
+         */
+        expandWildcards(arg, regex) {
+            const currentDir = this.getNode(this.currentPath);
+            if (currentDir && currentDir.type === 'directory' && this.canAccess(currentDir, READ)) {
+                // Hidden files only match patterns that start with a dot
+                const matches = Object.keys(currentDir.children).filter((name) => regex.test(name) && (!name.startsWith('.') || arg.startsWith('.')));
+                if (matches.length > 0) {
+                    return matches;
+                }
+            }
+            // No matches, keep the pattern as-is
+            return [arg];
+        }
+        /**
+         * Executes a command line input and returns what the terminal should show
+         */
+        execute(commandLine) {
+            const { output } = this.executeDetailed(commandLine);
+            // The terminal shows output without the final line break
+            return output.endsWith('\n') ? output.slice(0, -1) : output;
+        }
+        /**
+         * Executes a command line input, keeping stdout, stderr and the exit status apart
+         */
+        executeDetailed(commandLine) {
+            const command = this.startCommand(commandLine, { result: emptyResult() });
+            return 'run' in command ? this.continueCommand(command, null) : command;
+        }
+        /**
+         * Executes a command line input like execute, waiting for commands that
+         * return promises or async iterables
+         */
+        executeAsync(commandLine_1) {
+            return __awaiter(this, arguments, void 0, function* (commandLine, options = {}) {
+                const { output } = yield this.executeDetailedAsync(commandLine, options);
+                return output.endsWith('\n') ? output.slice(0, -1) : output;
+            });
+        }
+        /**
+         * Executes a command line input like executeDetailed, waiting for commands
+         * that return promises or async iterables
+         */
+        executeDetailedAsync(commandLine_1) {
+            return __awaiter(this, arguments, void 0, function* (commandLine, options = {}) {
+                const sink = { result: emptyResult(), onOutput: options.onOutput };
+                const command = this.startCommand(commandLine, sink);
+                return 'run' in command ? this.continueCommandAsync(command, null, options.signal) : command;
+            });
+        }
+        /**
+         * Parses a command line and sets it up to run, writing to the sink. Gives
+         * the result straight away when there's nothing to run.
+         */
+        startCommand(commandLine, sink) {
+            if (!commandLine.trim()) {
+                this.catchUpTerminal(sink);
+                return sink.result;
+            }
+            // A new command line abandons one still waiting
+            this.abandonPendingCommand();
+            // Add to history, keeping the last $HISTSIZE lines
+            this.commandHistory.push(commandLine);
+            const excess = this.commandHistory.length - this.historySize('HISTSIZE');
+            if (excess > 0) {
+                this.commandHistory.splice(0, excess);
+                this.historyWritten = Math.max(0, this.historyWritten - excess);
+            }
+            // Output goes to whichever command line has the terminal, as background
+            // jobs keep writing after the command line that started them
+            const io = {
+                stdout: (text) => this.writeTerminal(text, 'stdout'),
+                stderr: (text) => this.writeTerminal(text, 'stderr'),
+                isTTY: true,
+            };
+            let ast;
+            try {
+                ast = parse(commandLine);
+            }
+            catch (error) {
+                if (error instanceof ShellSyntaxError) {
+                    writeToSink(sink, `bash: ${error.message}\n`, 'stderr');
+                    sink.result.exitCode = this.lastExitStatus = 2;
+                    this.catchUpTerminal(sink);
+                    return sink.result;
+                }
+                throw error;
+            }
+            this.interrupter = new Interrupter();
+            return { run: this.runList(ast, io), sink, interrupter: this.interrupter, request: null };
+        }
+        /**
+         * Answers the line of input a command is waiting for, or null for end of
+         * input as Ctrl-D gives, and carries on running it. The result has the
+         * output from here on, and may be waiting for input again.
+         */
+        respond(answer) {
+            const command = this.takePendingInput();
+            return command ? this.continueCommand(command, answer) : emptyResult();
+        }
+        /**
+         * Answers the line of input a command is waiting for like respond, waiting
+         * for async commands as it carries on
+         */
+        respondAsync(answer_1) {
+            return __awaiter(this, arguments, void 0, function* (answer, options = {}) {
+                const command = this.takePendingInput();
+                if (!command) {
+                    return emptyResult();
+                }
+                command.sink.onOutput = options.onOutput;
+                return this.continueCommandAsync(command, answer, options.signal);
+            });
+        }
+        /**
+         * The line of input a command is waiting for, or null when none is
+         */
+        getPendingInput() {
+            return this.pendingCommand && this.pendingCommand.request;
+        }
+        /**
+         * Interrupts the running command line, as Ctrl-C sends SIGINT. Its
+         * commands' signal is aborted and it stops with exit status 130 once it's
+         * waiting for input or an async command; executeAsync then resolves with
+         * the output so far.
+         */
+        interrupt() {
+            const command = this.pendingCommand;
+            if (!command) {
+                // Called while it runs, as from onOutput, it stops at its next wait
+                if (this.foreground) {
+                    this.foreground.interrupter.abort();
                 }
+                return;
             }
-            else {
-                // No persistence, use provided or default
-                this.fileSystem = fileSystem || this.createDefaultFileSystem(username);
-                this.currentUser = username;
-                this.currentPath = `/home/${username}`;
-            }
-            // User stack for exit command (don't persist this)
-            this.userStack = [];
-            this.environment = {
-                USER: this.currentUser,
-                HOME: `/home/${this.currentUser}`,
-                PWD: this.currentPath,
-                PATH: '/usr/local/bin:/usr/bin:/bin',
-                SHELL: '/bin/bash',
-            };
-            this.commandHistory = [];
-            // Piped output flag
-            this._isPiped = false;
-            // Initialize commands with custom commands
-            this.commands = {};
-            this.initializeCommands(customCommands);
+            this.abandonPendingCommand();
+            delete command.sink.result.pendingInput;
+            this.finishCommand(command.sink, (this.lastExitStatus = 130));
         }
         /**
-         * Creates a default filesystem structure
+         * Takes the command waiting for input, starting a new result for its output
          */
-        createDefaultFileSystem(username) {
-            return {
-                '/': {
-                    home: {
-                        [username]: {
-                            'README.md': '# Welcome\n\nThis is a simple Unix shell emulator.\n',
-                            'example.txt': 'This is an example file.\n',
-                        },
-                    },
-                    etc: {
-                        hostname: 'localhost\n',
-                    },
-                    tmp: {},
-                },
-            };
+        takePendingInput() {
+            const command = this.pendingCommand;
+            if (!command || !command.request) {
+                return null;
+            }
+            this.pendingCommand = null;
+            command.sink.result = emptyResult();
+            command.sink.onOutput = undefined;
+            this.interrupter = command.interrupter;
+            return command;
         }
         /**
-         * Loads shell state from localStorage
+         * Runs a command line until it finishes or waits for input. There's no
+         * waiting here, so async commands find their promises unsettled and fail.
          */
-        loadFromStorage() {
-            if (typeof localStorage === 'undefined') {
-                return null;
+        continueCommand(command, answer) {
+            this.giveTerminal(command);
+            let step = command.run.next(answer);
+            for (;;) {
+                if (step.done) {
+                    return this.finishCommand(command.sink, step.value);
+                }
+                if (!(step.value instanceof Waiting)) {
+                    return this.pauseCommand(command, step.value);
+                }
+                step = command.run.next(null);
             }
-            try {
-                const fsKey = `${this.persistencePrefix}_filesystem`;
-                const userKey = `${this.persistencePrefix}_current_user`;
-                const pathKey = `${this.persistencePrefix}_current_path`;
-                const savedFS = localStorage.getItem(fsKey);
-                const savedUser = localStorage.getItem(userKey);
-                const savedPath = localStorage.getItem(pathKey);
-                if (!savedFS || !savedUser || !savedPath) {
-                    return null;
+        }
+        /**
+         * Runs a command line until it finishes or waits for input, waiting for
+         * async commands as they come. Another command line abandons it, and the
+         * signal or interrupt() stops it.
+         */
+        continueCommandAsync(command, answer, signal) {
+            return __awaiter(this, void 0, void 0, function* () {
+                const { run, sink, interrupter } = command;
+                const interrupt = () => interrupter.abort();
+                if (signal) {
+                    signal.addEventListener('abort', interrupt);
+                    if (signal.aborted) {
+                        interrupter.abort();
+                    }
                 }
-                const fileSystem = JSON.parse(savedFS);
-                // Validate filesystem structure
-                if (!fileSystem['/']) {
-                    console.warn('Invalid filesystem structure in localStorage - missing root');
-                    return null;
+                try {
+                    this.giveTerminal(command);
+                    let step = run.next(answer);
+                    for (;;) {
+                        if (step.done) {
+                            return this.finishCommand(sink, step.value);
+                        }
+                        if (!(step.value instanceof Waiting)) {
+                            return this.pauseCommand(command, step.value);
+                        }
+                        command.request = null;
+                        this.pendingCommand = command;
+                        yield Promise.race([step.value.done, interrupter.interrupted]);
+                        if (this.pendingCommand !== command) {
+                            return sink.result;
+                        }
+                        if (interrupter.aborted) {
+                            this.interrupt();
+                            return sink.result;
+                        }
+                        this.pendingCommand = null;
+                        this.interrupter = interrupter;
+                        step = run.next(null);
+                    }
                 }
-                // Validate that the saved path exists in the filesystem
-                const pathParts = savedPath.split('/').filter((p) => p);
-                let current = fileSystem['/'];
-                for (const part of pathParts) {
-                    if (!current || typeof current !== 'object' || !(part in current)) {
-                        console.warn('Invalid filesystem structure in localStorage - saved path does not exist:', savedPath);
-                        return null;
+                finally {
+                    if (signal) {
+                        signal.removeEventListener('abort', interrupt);
                     }
-                    current = current[part];
                 }
-                return {
-                    fileSystem: fileSystem,
-                    currentUser: savedUser,
-                    currentPath: savedPath,
-                };
+            });
+        }
+        /**
+         * Keeps a command line until the terminal answers its request for input
+         */
+        pauseCommand(command, request) {
+            command.request = request;
+            this.pendingCommand = command;
+            this.foreground = null;
+            command.sink.result.pendingInput = request;
+            return command.sink.result;
+        }
+        /**
+         * Records the exit status of a command line that has finished
+         */
+        finishCommand(sink, exitCode) {
+            sink.result.exitCode = exitCode;
+            this.foreground = null;
+            this.catchUpTerminal(sink);
+            // As with bash's PROMPT_COMMAND='history -a', the history file gets each
+            // command line once it has run, so nothing typed is lost with the page
+            const file = this.historyFile();
+            if (file && this.historyWritten < this.commandHistory.length) {
+                this.writeHistory(file, true);
             }
-            catch (e) {
-                console.error('Error loading from localStorage:', e);
-                return null;
+            // Save to storage after command execution (if persistence is enabled)
+            this.scheduleSave();
+            return sink.result;
+        }
+        /**
+         * Stops the command waiting for input or an async command, aborting its
+         * signal and undoing what it had set up to run
+         */
+        abandonPendingCommand() {
+            const command = this.pendingCommand;
+            if (command) {
+                this.pendingCommand = null;
+                if (this.foreground === command) {
+                    this.foreground = null;
+                }
+                command.interrupter.abort();
+                command.run.return(this.lastExitStatus);
             }
         }
         /**
-         * Saves shell state to localStorage
+         * Lets a command line write to the terminal, first showing what background
+         * jobs wrote while none could
          */
-        saveToStorage() {
-            if (!this.persistence || !this.persistence.enabled || typeof localStorage === 'undefined') {
-                return;
+        giveTerminal(command) {
+            this.foreground = command;
+            for (const [text, stream] of this.terminalBacklog.splice(0)) {
+                writeToSink(command.sink, text, stream);
             }
-            try {
-                const fsKey = `${this.persistencePrefix}_filesystem`;
-                const userKey = `${this.persistencePrefix}_current_user`;
-                const pathKey = `${this.persistencePrefix}_current_path`;
-                localStorage.setItem(fsKey, JSON.stringify(this.fileSystem));
-                localStorage.setItem(userKey, this.currentUser);
-                localStorage.setItem(pathKey, this.currentPath);
+        }
+        /**
+         * Writes to the terminal, which shows it in the result of the command line
+         * running now, or of the next one when none is
+         */
+        writeTerminal(text, stream) {
+            if (this.foreground) {
+                writeToSink(this.foreground.sink, text, stream);
             }
-            catch (e) {
-                console.error('Error saving to localStorage:', e);
+            else {
+                this.terminalBacklog.push([text, stream]);
             }
         }
         /**
-         * Clears saved state from localStorage
+         * Adds what background jobs wrote while nothing had the terminal to a
+         * command line's result, then notices of jobs that finished or stopped, as
+         * bash shows before the next prompt
          */
-        clearStorage() {
-            if (!this.persistence || !this.persistence.enabled || typeof localStorage === 'undefined') {
-                return;
-            }
-            try {
-                const fsKey = `${this.persistencePrefix}_filesystem`;
-                const userKey = `${this.persistencePrefix}_current_user`;
-                const pathKey = `${this.persistencePrefix}_current_path`;
-                localStorage.removeItem(fsKey);
-                localStorage.removeItem(userKey);
-                localStorage.removeItem(pathKey);
+        catchUpTerminal(sink) {
+            for (const [text, stream] of this.terminalBacklog.splice(0)) {
+                writeToSink(sink, text, stream);
             }
-            catch (e) {
-                console.error('Error clearing localStorage:', e);
+            const notices = this.jobNotices();
+            if (notices) {
+                writeToSink(sink, notices, 'stderr');
             }
         }
         /**
-         * Initializes built-in and custom commands
+         * The parts of the shell a job has its own copy of, as they are now
          */
-        initializeCommands(customCommands) {
-            // Built-in commands
-            this.commands = {
-                help: this.cmd_help.bind(this),
-                ls: this.cmd_ls.bind(this),
-                cd: this.cmd_cd.bind(this),
-                pwd: this.cmd_pwd.bind(this),
-                cat: this.cmd_cat.bind(this),
-                echo: this.cmd_echo.bind(this),
-                clear: this.cmd_clear.bind(this),
-                whoami: this.cmd_whoami.bind(this),
-                date: this.cmd_date.bind(this),
-                uname: this.cmd_uname.bind(this),
-                env: this.cmd_env.bind(this),
-                history: this.cmd_history.bind(this),
-                mkdir: this.cmd_mkdir.bind(this),
-                touch: this.cmd_touch.bind(this),
-                rm: this.cmd_rm.bind(this),
-                tree: this.cmd_tree.bind(this),
-                ps: this.cmd_ps.bind(this),
-                vi: this.cmd_vi.bind(this),
-                vim: this.cmd_vim.bind(this),
-                su: this.cmd_su.bind(this),
-                sudo: this.cmd_sudo.bind(this),
-                exit: this.cmd_exit.bind(this),
+        saveShellState() {
+            return {
+                currentUser: this.currentUser,
+                currentPath: this.currentPath,
+                environment: this.environment,
+                variables: this.variables,
+                exportMarks: this.exportMarks,
+                functions: this.functions,
+                positionalParams: this.positionalParams,
+                lastExitStatus: this.lastExitStatus,
+                umask: this.umask,
+                substitutionStatus: this.substitutionStatus,
+                localScopes: this.localScopes,
+                loopDepth: this.loopDepth,
+                sourceDepth: this.sourceDepth,
+                subshellDepth: this.subshellDepth,
+                scriptName: this.scriptName,
+                commandIO: this.commandIO,
+                expandingAliases: this.expandingAliases,
+                interrupter: this.interrupter,
+                shellPid: this.shellPid,
+                parentPid: this.parentPid,
             };
-            // Add custom commands (these will overwrite built-in commands if same name)
-            for (const [name, handler] of Object.entries(customCommands)) {
-                this.commands[name] = handler.bind(this);
+        }
+        /**
+         * Adds a process the current user starts, giving its PID
+         */
+        startProcess(argv, user, ppid) {
+            var _a;
+            if (user === void 0) { user = this.currentUser; }
+            if (ppid === void 0) { ppid = (_a = this.parentPid) !== null && _a !== void 0 ? _a : this.shellPid; }
+            const pid = this.nextPid++;
+            this.processes.set(pid, { pid, ppid, user, argv, tty: TTY, started: Date.now() });
+            return pid;
+        }
+        /**
+         * Starts an and-or list ending in & as a job in a subshell, running it
+         * until it first has to wait or, if it never does, for its first slice
+         * of STEPS_PER_YIELD steps
+         */
+        startJob(node, io) {
+            // Scripts' jobs read no input, having no terminal to stop for
+            if (this.subshellDepth > 0 && (io.stdin === undefined || io.stdin === null)) {
+                io = Object.assign(Object.assign({}, io), { stdin: '' });
+            }
+            const pid = this.startProcess(['bash']);
+            const job = {
+                id: Math.max(0, ...this.shellJobs().map((other) => other.id)) + 1,
+                depth: this.subshellDepth,
+                pid,
+                command: formatAndOr(node),
+                run: this.runJob(node, io),
+                state: Object.assign(Object.assign({}, this.saveShellState()), { environment: Object.assign({}, this.environment), variables: Object.assign({}, this.variables), exportMarks: new Set(this.exportMarks), functions: Object.assign({}, this.functions), substitutionStatus: null, localScopes: [], loopDepth: 0, sourceDepth: 0, subshellDepth: this.subshellDepth + 1, commandIO: null, expandingAliases: [], interrupter: new Interrupter(), parentPid: pid }),
+                status: null,
+                signal: null,
+                stopped: false,
+                request: null,
+                notified: true,
+                touched: ++this.jobClock,
+                listeners: [],
+            };
+            this.jobs.push(job);
+            this.lastBackgroundPid = pid;
+            // Interactive shells say which job it is
+            if (this.subshellDepth === 0) {
+                io.stderr(`[${job.id}] ${pid}\n`);
             }
+            this.driveJob(job, null);
         }
         /**
-         * Resolves a path (relative or absolute) to an absolute path
+         * Runs a job's and-or list, stopping at exit as a subshell does
          */
-        resolvePath(path) {
-            // Expand ~ to home directory
-            if (path.startsWith('~')) {
-                path = this.environment.HOME + path.slice(1);
+        *runJob(node, io) {
+            try {
+                return yield* this.runAndOr(node, io);
             }
-            if (path.startsWith('/')) {
-                return path;
+            catch (error) {
+                if (!(error instanceof ScriptExit))
+                    throw error;
+                return error.status;
             }
-            const parts = this.currentPath.split('/').filter((p) => p);
-            const newParts = path.split('/').filter((p) => p);
-            for (const part of newParts) {
-                if (part === '..') {
-                    parts.pop();
+        }
+        /**
+         * Steps a job with its own state swapped in for the shell's
+         */
+        stepJob(job, step) {
+            const outer = this.saveShellState();
+            const runningJob = this.runningJob;
+            Object.assign(this, job.state);
+            this.runningJob = job;
+            try {
+                return step(job.run);
+            }
+            finally {
+                job.state = this.saveShellState();
+                Object.assign(this, outer);
+                this.runningJob = runningJob;
+            }
+        }
+        /**
+         * Runs a job until it finishes or stops to read the terminal, waiting for
+         * its async commands and holding while it's stopped. Between its slices
+         * the event loop, and so the shell, gets a turn. Never rejects.
+         */
+        driveJob(job, answer) {
+            return __awaiter(this, void 0, void 0, function* () {
+                try {
+                    let step = this.stepJob(job, (run) => run.next(answer));
+                    for (;;) {
+                        if (step.done) {
+                            this.endJob(job, step.value, job.signal);
+                            return;
+                        }
+                        if (!(step.value instanceof Waiting)) {
+                            // Reading the terminal stops a background job until fg gives it the terminal
+                            job.request = step.value;
+                            this.stopJob(job);
+                            return;
+                        }
+                        yield Promise.race([step.value.done, job.state.interrupter.interrupted]);
+                        while (job.stopped && job.status === null) {
+                            yield this.jobChange(job);
+                        }
+                        if (job.status !== null) {
+                            return;
+                        }
+                        step = this.stepJob(job, (run) => run.next(null));
+                    }
                 }
-                else if (part !== '.') {
-                    parts.push(part);
+                catch (error) {
+                    this.writeTerminal(`bash: ${error.message}\n`, 'stderr');
+                    this.endJob(job, 1, null);
                 }
+            });
+        }
+        /**
+         * Resolves the next time a job stops, continues or finishes
+         */
+        jobChange(job) {
+            return new Promise((resolve) => job.listeners.push(resolve));
+        }
+        /**
+         * Tells whatever waits for a job that it changed, and that jobs hasn't shown it
+         */
+        changeJob(job) {
+            job.notified = false;
+            for (const listener of job.listeners.splice(0)) {
+                listener();
             }
-            return '/' + parts.join('/');
+        }
+        stopJob(job) {
+            job.stopped = true;
+            job.touched = ++this.jobClock;
+            this.changeJob(job);
         }
         /**
-         * Gets a filesystem node at the specified path
+         * Continues a stopped job, unless it's waiting to read the terminal
          */
-        getNode(path) {
-            const fullPath = this.resolvePath(path);
-            const parts = fullPath.split('/').filter((p) => p);
-            let current = this.fileSystem['/'];
-            for (const part of parts) {
-                if (current && typeof current === 'object' && part in current) {
-                    current = current[part];
-                }
-                else {
-                    return null;
+        continueJob(job) {
+            if (!job.stopped || job.request) {
+                return;
+            }
+            job.stopped = false;
+            job.touched = ++this.jobClock;
+            this.changeJob(job);
+        }
+        endJob(job, status, signal) {
+            job.status = status;
+            job.signal = signal;
+            job.stopped = false;
+            job.request = null;
+            this.processes.delete(job.pid);
+            this.changeJob(job);
+        }
+        /**
+         * Sends a signal to a job: stop signals stop it, CONT continues it, and
+         * the rest end it with 128 plus the signal
+         */
+        signalJob(job, signal) {
+            if (job.status !== null || signal === 0) {
+                return;
+            }
+            if (isStopSignal(signal)) {
+                if (!job.stopped) {
+                    this.stopJob(job);
                 }
+                return;
+            }
+            if (signal === SIGCONT) {
+                this.continueJob(job);
+                return;
+            }
+            if (this.runningJob === job) {
+                // A job killing itself stops where it is
+                job.signal = signal;
+                throw new ScriptExit(128 + signal);
             }
-            return current;
+            this.endJob(job, 128 + signal, signal);
+            job.state.interrupter.abort();
+            this.stepJob(job, (run) => run.return(128 + signal));
         }
         /**
-         * Gets the owner of a file/directory based on path
+         * The jobs this shell started, rather than a script or subshell it ran
          */
-        getOwner(path) {
-            if (path.startsWith(`/home/${this.currentUser}`) || path === `/home/${this.currentUser}`) {
-                return { user: this.currentUser, group: this.currentUser };
+        shellJobs() {
+            return this.jobs.filter((job) => job.depth === this.subshellDepth);
+        }
+        /**
+         * Jobs by how recently they started, stopped or continued, stopped ones
+         * first, so the first is the current job (%+) and the second the previous one (%-)
+         */
+        jobsByRecency() {
+            return this.shellJobs().sort((a, b) => Number(b.stopped) - Number(a.stopped) || b.touched - a.touched);
+        }
+        /**
+         * Finds a job from a job spec: %N, %+, %% or %- for the current or
+         * previous job, %STRING for the one whose command starts with STRING, or
+         * %?STRING for the one containing it. fg, bg and jobs also take a bare N.
+         * Gives an error message when there's no such job.
+         */
+        findJob(spec, builtin) {
+            const jobs = this.jobsByRecency();
+            if (spec === undefined || spec === '%' || spec === '%%' || spec === '%+') {
+                return jobs[0] || `${builtin}: current: no such job`;
+            }
+            if (spec === '%-') {
+                return jobs[1] || jobs[0] || `${builtin}: previous: no such job`;
+            }
+            const name = spec.replace(/^%/, '');
+            if (/^\d+$/.test(name)) {
+                const job = this.shellJobs().find((other) => other.id === parseInt(name, 10));
+                return job || `${builtin}: ${spec}: no such job`;
+            }
+            const matches = this.shellJobs().filter((job) => name.startsWith('?') ? job.command.includes(name.slice(1)) : job.command.startsWith(name));
+            if (matches.length > 1) {
+                return `${builtin}: ${spec}: ambiguous job spec`;
             }
-            return { user: 'root', group: 'root' };
+            return matches[0] || `${builtin}: ${spec}: no such job`;
         }
         /**
-         * Checks if current user has write permission to a path
+         * A job as jobs shows it, with its PID for jobs -l
          */
-        canWrite(path) {
-            // Root can write anywhere
-            if (this.currentUser === 'root') {
-                return true;
+        formatJob(job, withPid = false) {
+            const [current, previous] = this.jobsByRecency();
+            const mark = job === current ? '+' : job === previous ? '-' : ' ';
+            let state;
+            if (job.status === null) {
+                state = job.stopped ? 'Stopped' : 'Running';
+            }
+            else if (job.signal !== null) {
+                state = signalDescription(job.signal);
+            }
+            else {
+                state = job.status === 0 ? 'Done' : `Exit ${job.status}`;
             }
-            // Regular user can only write in their home directory
-            const fullPath = this.resolvePath(path);
-            return fullPath.startsWith(`/home/${this.currentUser}`);
+            const command = job.status === null && !job.stopped ? `${job.command} &` : job.command;
+            const pid = withPid ? ` ${job.pid}` : ' ';
+            return `[${job.id}]${mark}${pid} ${state.padEnd(24)}${command}`;
         }
-        // Command implementations
-        cmd_help() {
-            const commandList = Object.keys(this.commands).sort();
-            return `Available commands:\n${commandList.map((cmd) => `  ${cmd}`).join('\n')}\n\nType any command to try it out!`;
+        /**
+         * Notices of jobs that finished or stopped since jobs last showed them,
+         * forgetting the finished ones
+         */
+        jobNotices() {
+            let notices = '';
+            for (const job of this.shellJobs()) {
+                if (!job.notified) {
+                    notices += `${this.formatJob(job)}\n`;
+                    job.notified = true;
+                }
+            }
+            this.forgetFinishedJobs();
+            return notices;
         }
-        cmd_ls(args) {
-            // Parse flags and paths
-            let showHidden = false;
-            let longFormat = false;
-            let humanReadable = false;
-            const targetPaths = [];
-            for (const arg of args) {
-                if (arg.startsWith('-')) {
-                    // Parse flags
-                    if (arg.includes('a'))
-                        showHidden = true;
-                    if (arg.includes('l'))
-                        longFormat = true;
-                    if (arg.includes('h'))
-                        humanReadable = true;
+        /**
+         * Drops finished jobs once they've been shown, and those of scripts and
+         * subshells that have ended, which show nothing
+         */
+        forgetFinishedJobs() {
+            this.jobs = this.jobs.filter((job) => job.status === null || (!job.notified && job.depth <= this.subshellDepth));
+        }
+        /**
+         * The job a process belongs to, if it's a running job's subshell or one of
+         * its commands
+         */
+        jobOfProcess(pid) {
+            for (let process = this.processes.get(pid); process; process = this.processes.get(process.ppid)) {
+                const job = this.jobs.find((other) => other.pid === process.pid && other.status === null);
+                if (job) {
+                    return job;
+                }
+            }
+            return undefined;
+        }
+        /**
+         * R for the command running now, T for stopped jobs, S for the rest
+         */
+        processState(process) {
+            const job = this.jobOfProcess(process.pid);
+            if (job && job.stopped) {
+                return 'T';
+            }
+            return process.pid === this.parentPid ? 'R' : 'S';
+        }
+        /**
+         * Runs each and-or list in order, returning the last exit status
+         */
+        *runList(list, io) {
+            let status = 0;
+            for (const item of list.items) {
+                if (item.background) {
+                    this.startJob(item, io);
+                    status = this.lastExitStatus = 0;
                 }
                 else {
-                    targetPaths.push(arg);
+                    status = yield* this.runAndOr(item, io);
                 }
             }
-            // If no paths specified, use current directory
-            if (targetPaths.length === 0) {
-                targetPaths.push(this.currentPath);
+            return status;
+        }
+        /**
+         * Runs an && / || chain. Chains are left-associative: each operator looks
+         * at the status of whatever ran last, so "a || b && c" runs c when a succeeds.
+         */
+        *runAndOr(node, io) {
+            let status = yield* this.runPipeline(node.first, io);
+            for (const { op, pipeline } of node.rest) {
+                if ((op === '&&' && status === 0) || (op === '||' && status !== 0)) {
+                    status = yield* this.runPipeline(pipeline, io);
+                }
             }
-            const results = [];
-            for (const targetPath of targetPaths) {
-                const path = targetPath === '.' ? this.currentPath : this.resolvePath(targetPath);
-                const node = this.getNode(path);
-                if (node === null || node === undefined) {
-                    results.push(`ls: cannot access '${targetPath}': No such file or directory`);
-                    continue;
+            return status;
+        }
+        /**
+         * Runs a pipeline, feeding each stage's output to the next stage's stdin.
+         * The pipeline's status is that of its last command, inverted by !.
+         */
+        *runPipeline(pipeline, io) {
+            const last = pipeline.commands.length - 1;
+            let stdin = io.stdin === undefined ? null : io.stdin;
+            const pipes = [];
+            let status;
+            try {
+                for (let i = 0; i < last; i++) {
+                    const pipe = new Pipe(this.interrupter);
+                    const stageIO = {
+                        stdout: (text) => pipe.write(text),
+                        stderr: io.stderr,
+                        isTTY: false,
+                    };
+                    pipes.push(pipe);
+                    const run = this.runApart(this.runStage(pipeline.commands[i], stdin, stageIO), pipe);
+                    stdin = yield* pipe.fill(run, this.readsPipe(pipeline.commands[i + 1]));
                 }
-                if (typeof node === 'string') {
-                    // It's a file, just list the filename
-                    results.push(targetPath);
-                    continue;
+                status = yield* this.runStage(pipeline.commands[last], stdin, io);
+            }
+            finally {
+                for (const pipe of pipes) {
+                    pipe.close();
                 }
-                let entries = Object.keys(node);
-                // Filter hidden files unless -a is specified
-                if (!showHidden) {
-                    entries = entries.filter((name) => !name.startsWith('.'));
+            }
+            if (pipeline.negated) {
+                status = status === 0 ? 1 : 0;
+            }
+            this.lastExitStatus = status;
+            return status;
+        }
+        /**
+         * Runs one stage of a pipeline. Given a pipe, it reads it as the stage
+         * before writes to it, and closes it when done.
+         */
+        *runStage(node, stdin, io) {
+            if (!(stdin instanceof Pipe)) {
+                return yield* this.runCommand(node, stdin, io);
+            }
+            try {
+                return yield* this.runCommand(node, null, Object.assign(Object.assign({}, io), { pipe: stdin }));
+            }
+            finally {
+                stdin.close();
+            }
+        }
+        /**
+         * Runs a stage writing to a pipe, which may be resumed while the stage
+         * reading it runs, with the pipe's signal and its own running built-in
+         */
+        *runApart(run, pipe) {
+            let own = {
+                interrupter: pipe.interrupter,
+                commandIO: this.commandIO,
+                parentPid: this.parentPid,
+            };
+            const step = (resume) => {
+                const outer = {
+                    interrupter: this.interrupter,
+                    commandIO: this.commandIO,
+                    parentPid: this.parentPid,
+                };
+                Object.assign(this, own);
+                try {
+                    return resume();
                 }
-                if (entries.length === 0) {
-                    continue;
+                finally {
+                    own = {
+                        interrupter: this.interrupter,
+                        commandIO: this.commandIO,
+                        parentPid: this.parentPid,
+                    };
+                    Object.assign(this, outer);
                 }
-                // Sort entries (directories first, then alphabetically)
-                entries.sort((a, b) => {
-                    const aIsDir = typeof node[a] === 'object';
-                    const bIsDir = typeof node[b] === 'object';
-                    if (aIsDir && !bIsDir)
-                        return -1;
-                    if (!aIsDir && bIsDir)
-                        return 1;
-                    return a.localeCompare(b);
-                });
-                if (longFormat) {
-                    // Long format listing
-                    const listing = entries
-                        .map((name) => {
-                        const isDir = typeof node[name] === 'object';
-                        const perms = isDir ? 'drwxr-xr-x' : '-rw-r--r--';
-                        const links = isDir ? '2' : '1';
-                        // Determine ownership based on file path
-                        const filePath = path === '/' ? `/${name}` : `${path}/${name}`;
-                        const owner = this.getOwner(filePath);
-                        const user = owner.user;
-                        const group = owner.group;
-                        let size;
-                        if (isDir) {
-                            size = '4096';
-                        }
-                        else {
-                            const bytes = node[name].length;
-                            if (humanReadable) {
-                                if (bytes < 1024)
-                                    size = bytes + 'B';
-                                else if (bytes < 1024 * 1024)
-                                    size = Math.round(bytes / 1024) + 'K';
-                                else
-                                    size = Math.round(bytes / (1024 * 1024)) + 'M';
-                            }
-                            else {
-                                size = bytes.toString();
-                            }
-                        }
-                        const date = new Date().toLocaleDateString('en-US', {
-                            month: 'short',
-                            day: 'numeric',
-                            hour: '2-digit',
-                            minute: '2-digit',
-                        });
-                        return `${perms} ${links} ${user.padEnd(8)} ${group.padEnd(8)} ${size.padStart(humanReadable ? 5 : 8)} ${date} ${name}`;
-                    })
-                        .join('\n');
-                    results.push(listing);
-                }
-                else {
-                    // Simple format
-                    const formatted = entries.map((name) => {
-                        const isDir = typeof node[name] === 'object';
-                        return isDir ? `${name}/` : name;
-                    });
-                    // If output is being piped, use one per line
-                    // Otherwise, use columns (space-separated)
-                    if (this._isPiped) {
-                        results.push(formatted.join('\n'));
-                    }
-                    else {
-                        // Multi-column output for terminal display with wider spacing
-                        results.push(formatted.join('    '));
+            };
+            let answer = null;
+            try {
+                for (;;) {
+                    const next = step(() => run.next(answer));
+                    if (next.done) {
+                        return next.value;
                     }
+                    answer = yield next.value;
                 }
             }
-            return results.join('\n');
+            finally {
+                step(() => run.return(0));
+            }
         }
-        cmd_cd(args) {
-            if (!args[0]) {
-                this.currentPath = this.environment.HOME;
-                this.environment.PWD = this.currentPath;
-                return '';
+        /**
+         * Whether a pipeline stage can read its pipe a line at a time: one of the
+         * filters that do, named outright, without < input
+         */
+        readsPipe(node) {
+            if (node.type !== 'command' ||
+                node.redirects.some((redirect) => redirect.op === '<') ||
+                this.aliasFor(node) !== null) {
+                return false;
             }
-            const newPath = this.resolvePath(args[0]);
-            const node = this.getNode(newPath);
-            if (node === null || node === undefined) {
-                return `cd: ${args[0]}: No such file or directory`;
+            const [first] = node.words;
+            const part = first && first.parts.length === 1 ? first.parts[0] : null;
+            return (part !== null &&
+                part.type === 'literal' &&
+                !(part.value in this.functions) &&
+                this.pipeReaders.has(this.commands[part.value]));
+        }
+        /**
+         * Runs one stage of a pipeline, returning its exit status
+         */
+        *runCommand(node, stdin, io) {
+            yield* this.checkpoint();
+            if (node.type === 'command') {
+                return yield* this.runSimpleCommand(node, stdin, io);
             }
-            if (typeof node === 'string') {
-                return `cd: ${args[0]}: Not a directory`;
+            if (node.type === 'function') {
+                this.functions[node.name] = node.body;
+                return 0;
             }
-            this.currentPath = newPath;
-            this.environment.PWD = this.currentPath;
-            return '';
-        }
-        cmd_pwd() {
-            return this.currentPath;
+            const redirected = yield* this.applyRedirects(node.redirects, stdin, io);
+            return redirected ? yield* this.runCompound(node, redirected) : 1;
         }
-        cmd_cat(args) {
-            if (!args[0]) {
-                return 'cat: missing file operand';
+        /**
+         * Runs a single simple command with its redirections, returning its exit status
+         */
+        *runSimpleCommand(node, stdin, io) {
+            const alias = this.aliasFor(node);
+            if (alias !== null) {
+                return yield* this.runAlias(alias, node, Object.assign(Object.assign({}, io), { stdin }));
             }
-            const node = this.getNode(args[0]);
-            if (node === null || node === undefined) {
-                return `cat: ${args[0]}: No such file or directory`;
+            this.substitutionStatus = null;
+            const args = [];
+            for (const word of node.words) {
+                args.push(...(yield* this.expandWord(word, io)));
             }
-            if (typeof node !== 'string') {
-                return `cat: ${args[0]}: Is a directory`;
+            const [command, ...commandArgs] = args;
+            // NAME=value on its own sets a shell variable; before a command it only
+            // applies to that command's environment
+            const assigned = {};
+            for (const assignment of node.assignments) {
+                assigned[assignment.name] = yield* this.expandToString(assignment.value.parts, io);
+                if (command === undefined) {
+                    this.setVariable(assignment.name, assigned[assignment.name]);
+                }
             }
-            return node;
-        }
-        cmd_echo(args) {
-            // Join arguments and remove surrounding quotes
-            const text = args.join(' ');
-            // Remove surrounding single or double quotes
-            return text.replace(/^["']|["']$/g, '');
-        }
-        cmd_clear() {
-            return '__CLEAR__';
-        }
-        cmd_whoami() {
-            return this.environment.USER;
-        }
-        cmd_date() {
-            return new Date().toString();
-        }
-        cmd_uname(args) {
-            if (args.includes('-a')) {
-                return 'UnixShell 1.0.0 UnixShell Terminal x86_64 GNU/JavaScript';
+            const target = yield* this.applyRedirects(node.redirects, stdin, io);
+            if (!target) {
+                return 1;
             }
-            return 'UnixShell';
-        }
-        cmd_env() {
-            return Object.entries(this.environment)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('\n');
-        }
-        cmd_history() {
-            return this.commandHistory.map((cmd, i) => `${i + 1}  ${cmd}`).join('\n');
+            // A command with a slash is a file to run, never a function or built-in
+            const env = node.assignments.length > 0 ? Object.assign(Object.assign({}, this.environment), assigned) : this.environment;
+            if (command !== undefined && command.includes('/')) {
+                return yield* this.runExecutable(command, commandArgs, env, target);
+            }
+            if (command !== undefined && command in this.functions) {
+                return yield* this.runFunction(command, commandArgs, assigned, target);
+            }
+            if (command === undefined) {
+                // Redirections only, e.g. "> file" truncates. A bare assignment takes
+                // the status of its last command substitution.
+                return this.substitutionStatus === null ? 0 : this.substitutionStatus;
+            }
+            if (!(command in this.commands)) {
+                target.stderr(`${command}: command not found\n`);
+                return 127;
+            }
+            return yield* this.runBuiltin(command, commandArgs, env, target);
         }
-        cmd_mkdir(args) {
-            if (!args[0]) {
-                return 'mkdir: missing operand';
+        /**
+         * Runs a built-in or custom command, writing its output to io. A command
+         * asking for input gets the next line of its stdin when that's piped or
+         * redirected, and waits for the terminal otherwise.
+         */
+        *runBuiltin(command, args, env, io) {
+            const context = {
+                stdin: io.stdin === undefined ? null : io.stdin,
+                env,
+                cwd: this.currentPath,
+                isTTY: io.isTTY,
+                columns: this.terminalColumns,
+                signal: this.interrupter,
+            };
+            const input = lineReader(context.stdin);
+            let result;
+            const commandIO = this.commandIO;
+            const parentPid = this.parentPid;
+            const pid = this.startProcess([command, ...args]);
+            this.commandIO = io;
+            this.parentPid = pid;
+            try {
+                let output = this.commands[command](args, context);
+                while (!isFinalOutput(output)) {
+                    if (output instanceof PausedRun) {
+                        output = yield* this.resumeRun(output);
+                    }
+                    else if (isInputRequest(output)) {
+                        let answer;
+                        if (io.pipe) {
+                            answer = yield* io.pipe.readLine();
+                        }
+                        else if (context.stdin === null) {
+                            answer = yield { prompt: output.prompt, masked: !!output.masked };
+                        }
+                        else {
+                            answer = input.read();
+                        }
+                        output = output.onAnswer(answer);
+                    }
+                    else if (isPromise(output)) {
+                        output = yield* waitFor(output);
+                    }
+                    else {
+                        output = yield* this.writeChunks(output, io);
+                    }
+                }
+                result = toCommandResult(output);
             }
-            const path = this.resolvePath(args[0]);
-            // Check write permission
-            if (!this.canWrite(path)) {
-                return `mkdir: cannot create directory '${args[0]}': Permission denied`;
+            catch (error) {
+                if (error instanceof ControlSignal) {
+                    throw error;
+                }
+                result = toCommandResult(failure(`Error executing ${command}: ${error.message}`));
             }
-            const parts = path.split('/').filter((p) => p);
-            const dirName = parts.pop();
-            const parentPath = '/' + parts.join('/');
-            const parent = this.getNode(parentPath);
-            if (!parent) {
-                return `mkdir: cannot create directory '${args[0]}': No such file or directory`;
+            finally {
+                this.commandIO = commandIO;
+                this.parentPid = parentPid;
+                this.processes.delete(pid);
             }
-            if (typeof parent !== 'object') {
-                return `mkdir: cannot create directory '${args[0]}': Not a directory`;
+            if (result.stdout) {
+                io.stdout(result.stdout);
             }
-            if (dirName in parent) {
-                return `mkdir: cannot create directory '${args[0]}': File exists`;
+            if (result.stderr) {
+                io.stderr(result.stderr);
             }
-            parent[dirName] = {};
-            return '';
+            return result.exitCode;
         }
-        cmd_touch(args) {
-            if (!args[0]) {
-                return 'touch: missing file operand';
+        /**
+         * Writes an async command's chunks as they come, returning its exit status
+         */
+        *writeChunks(chunks, io) {
+            const iterator = chunks[Symbol.asyncIterator]();
+            let exitCode = 0;
+            let finished = false;
+            try {
+                for (;;) {
+                    const next = yield* waitFor(iterator.next());
+                    if (next.done) {
+                        finished = true;
+                        return { exitCode };
+                    }
+                    const chunk = typeof next.value === 'string' ? { stdout: next.value } : next.value;
+                    if (chunk.stdout) {
+                        io.stdout(chunk.stdout);
+                    }
+                    if (chunk.stderr) {
+                        io.stderr(chunk.stderr);
+                    }
+                    if (chunk.exitCode !== undefined) {
+                        exitCode = chunk.exitCode;
+                    }
+                }
             }
-            const path = this.resolvePath(args[0]);
-            // Check write permission
-            if (!this.canWrite(path)) {
-                return `touch: cannot touch '${args[0]}': Permission denied`;
+            finally {
+                // Stop the command if it's abandoned or can't be waited for
+                if (!finished && iterator.return) {
+                    iterator.return().catch(() => undefined);
+                }
+            }
+        }
+        /**
+         * Carries on with a built-in that paused where a command it runs had to
+         * stop, passing each pause on. If the run is abandoned, so is
+         * the built-in.
+         */
+        *resumeRun(paused) {
+            let pause = paused.pause;
+            try {
+                for (;;) {
+                    const step = paused.run.next(yield pause);
+                    if (step.done) {
+                        return step.value;
+                    }
+                    pause = step.value;
+                }
             }
-            const parts = path.split('/').filter((p) => p);
-            const fileName = parts.pop();
-            const parentPath = '/' + parts.join('/');
-            const parent = this.getNode(parentPath);
-            if (!parent) {
-                return `touch: cannot touch '${args[0]}': No such file or directory`;
+            finally {
+                paused.run.return('');
             }
-            if (typeof parent !== 'object') {
-                return `touch: cannot touch '${args[0]}': Not a directory`;
+        }
+        /**
+         * Finds the alias a command starts with, if its first word is an unquoted alias name
+         */
+        aliasFor(node) {
+            const first = node.words[0];
+            if (!first || first.parts.length !== 1) {
+                return null;
             }
-            if (!(fileName in parent)) {
-                parent[fileName] = '';
+            const part = first.parts[0];
+            if (part.type !== 'literal' || part.quoted || !(part.value in this.aliases)) {
+                return null;
             }
-            return '';
+            return this.expandingAliases.includes(part.value) ? null : part.value;
         }
-        cmd_rm(args) {
-            if (!args[0]) {
-                return 'rm: missing operand';
+        /**
+         * Runs a command whose first word is an alias. The alias text is parsed,
+         * and the rest of the command's words and redirections join its last command.
+         */
+        *runAlias(name, node, io) {
+            let list;
+            try {
+                list = parse(this.aliases[name]);
             }
-            // Parse flags
-            let recursive = false;
-            let force = false;
-            let verbose = false;
-            const targets = [];
-            for (const arg of args) {
-                if (arg.startsWith('-')) {
-                    if (arg.includes('r') || arg.includes('R'))
-                        recursive = true;
-                    if (arg.includes('f'))
-                        force = true;
-                    if (arg.includes('v'))
-                        verbose = true;
+            catch (error) {
+                if (!(error instanceof ShellSyntaxError))
+                    throw error;
+                io.stderr(`bash: ${error.message}\n`);
+                return 2;
+            }
+            const rest = Object.assign(Object.assign({}, node), { words: node.words.slice(1) });
+            const lastItem = list.items[list.items.length - 1];
+            if (!lastItem) {
+                // alias x='' just drops the word
+                list.items.push({
+                    type: 'andor',
+                    first: { type: 'pipeline', negated: false, commands: [rest] },
+                    rest: [],
+                });
+            }
+            else {
+                const pipeline = lastItem.rest.length
+                    ? lastItem.rest[lastItem.rest.length - 1].pipeline
+                    : lastItem.first;
+                const last = pipeline.commands[pipeline.commands.length - 1];
+                if (last.type === 'command') {
+                    last.words.push(...rest.words);
+                    last.redirects.push(...rest.redirects);
                 }
-                else {
-                    targets.push(arg);
+                else if (rest.words.length > 0) {
+                    io.stderr(`bash: syntax error near unexpected token \`${rest.words[0].text}'\n`);
+                    return 2;
+                }
+                const first = list.items[0].first.commands[0];
+                if (first.type === 'command') {
+                    first.assignments.unshift(...node.assignments);
                 }
             }
-            if (targets.length === 0) {
-                return 'rm: missing operand';
+            this.expandingAliases.push(name);
+            try {
+                return yield* this.runList(list, io);
             }
-            const errors = [];
-            const removed = [];
-            // Process each target
-            for (const target of targets) {
-                const path = this.resolvePath(target);
-                const parts = path.split('/').filter((p) => p);
-                const fileName = parts.pop();
-                const parentPath = '/' + parts.join('/');
-                const parent = this.getNode(parentPath);
-                // Check write permission
-                if (!this.canWrite(parentPath)) {
-                    errors.push(`rm: cannot remove '${target}': Permission denied`);
-                    continue;
-                }
-                if (!parent || typeof parent !== 'object' || !(fileName in parent)) {
-                    if (!force) {
-                        errors.push(`rm: cannot remove '${target}': No such file or directory`);
+            finally {
+                this.expandingAliases.pop();
+            }
+        }
+        /**
+         * Applies redirections in order, returning where the command's stdin,
+         * stdout and stderr now point, or null after reporting an error
+         */
+        *applyRedirects(redirects, stdin, io) {
+            // Descriptor table: where fd 1 and fd 2 currently point
+            const fds = { 1: io.stdout, 2: io.stderr };
+            let isTTY = io.isTTY;
+            let pipe = io.pipe;
+            for (const redirect of redirects) {
+                const target = (yield* this.expandWord(redirect.target, io)).join(' ');
+                if (redirect.op === '<') {
+                    const inputNode = this.openFile(target);
+                    if (typeof inputNode === 'string') {
+                        io.stderr(`bash: ${target}: ${inputNode}\n`);
+                        return null;
                     }
+                    stdin = fileText(inputNode);
+                    pipe = undefined;
                     continue;
                 }
-                const isDir = typeof parent[fileName] === 'object';
-                if (isDir && !recursive) {
-                    if (!force) {
-                        errors.push(`rm: cannot remove '${target}': Is a directory`);
+                // 2>&1 and >&2 point one descriptor at another
+                if (redirect.op === '>&' && /^\d+$/.test(target)) {
+                    const source = parseInt(target, 10);
+                    if (!(source in fds)) {
+                        io.stderr(`bash: ${target}: Bad file descriptor\n`);
+                        return null;
+                    }
+                    fds[redirect.fd] = fds[source];
+                    if (redirect.fd === 1) {
+                        isTTY = isTTY && source === 1;
                     }
                     continue;
                 }
-                delete parent[fileName];
-                if (verbose) {
-                    removed.push(`removed '${target}'`);
+                // Open (and for > truncate) the file up front, like bash does
+                const append = redirect.op === '>>' || redirect.op === '&>>';
+                const openError = this.writeToFile(target, '', append ? 'append' : 'overwrite');
+                if (openError) {
+                    io.stderr(toLines(openError));
+                    return null;
                 }
-            }
-            // Build output
-            let output = '';
-            if (verbose && removed.length > 0) {
-                output = removed.join('\n');
-            }
-            if (errors.length > 0) {
-                if (output)
-                    output += '\n';
-                output += errors.join('\n');
-            }
-            return output;
-        }
-        cmd_tree() {
-            const buildTree = (node, prefix = '', isLast = true) => {
-                let result = '';
-                const entries = Object.entries(node);
-                entries.forEach(([name, value], index) => {
-                    const isLastEntry = index === entries.length - 1;
-                    const connector = isLastEntry ? '└── ' : '├── ';
-                    const isDir = typeof value === 'object';
-                    result += prefix + connector + name + (isDir ? '/\n' : '\n');
-                    if (isDir) {
-                        const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
-                        result += buildTree(value, newPrefix, isLastEntry);
+                const writeFile = (text) => {
+                    this.writeToFile(target, text, 'append');
+                };
+                if (redirect.op === '>&' || redirect.op === '&>' || redirect.op === '&>>') {
+                    fds[1] = fds[2] = writeFile;
+                    isTTY = false;
+                }
+                else {
+                    fds[redirect.fd] = writeFile;
+                    if (redirect.fd === 1) {
+                        isTTY = false;
                     }
-                });
-                return result;
-            };
-            const node = this.getNode(this.currentPath);
-            return this.currentPath + '/\n' + buildTree(node);
-        }
-        cmd_ps(args) {
-            // Basic ps command - shows minimal process list
-            // Can be overridden by custom commands for more detailed output
-            // Base processes
-            const processes = [
-                { pid: 1, user: 'root', tty: '?', time: '0:01', cmd: 'init' },
-                { pid: 100, user: this.currentUser, tty: 'pts/0', time: '0:00', cmd: 'bash' },
-                { pid: 101, user: this.currentUser, tty: 'pts/0', time: '0:00', cmd: 'ps' },
-            ];
-            // Simple output format
-            let output = '  PID TTY          TIME CMD\n';
-            processes.forEach((p) => {
-                output += `${String(p.pid).padStart(5)} ${p.tty.padEnd(12)} ${p.time.padStart(8)} ${p.cmd}\n`;
-            });
-            return output;
-        }
-        cmd_vi(args) {
-            return this.openEditor(args[0] || 'untitled');
-        }
-        cmd_vim(args) {
-            return this.openEditor(args[0] || 'untitled');
-        }
-        cmd_su(args) {
-            const targetUser = args[0] || 'root';
-            // Push current user to stack before switching
-            this.userStack.push({
-                user: this.currentUser,
-                home: this.environment.HOME,
-                path: this.currentPath,
-            });
-            this.currentUser = targetUser;
-            this.environment.USER = targetUser;
-            this.environment.HOME = targetUser === 'root' ? '/root' : `/home/${targetUser}`;
-            // Keep current directory (don't change to home)
-            this.environment.PWD = this.currentPath;
-            return `__USER_SWITCHED__:${targetUser}`;
-        }
-        cmd_sudo(args) {
-            // Handle "sudo su" specifically
-            if (args[0] === 'su') {
-                return this.cmd_su(args.slice(1));
-            }
-            // For other sudo commands, just run as current user
-            const command = args[0];
-            const cmdArgs = args.slice(1);
-            if (command in this.commands) {
-                return this.commands[command](cmdArgs);
-            }
-            else {
-                return `sudo: ${command}: command not found`;
-            }
-        }
-        cmd_exit() {
-            // Pop the previous user from the stack
-            if (this.userStack.length === 0) {
-                return 'exit: no other user session to return to';
+                }
             }
-            const previousUser = this.userStack.pop();
-            this.currentUser = previousUser.user;
-            this.environment.USER = previousUser.user;
-            this.environment.HOME = previousUser.home;
-            this.currentPath = previousUser.path;
-            this.environment.PWD = this.currentPath;
-            return `__USER_SWITCHED__:${previousUser.user}`;
+            return { stdout: fds[1], stderr: fds[2], isTTY, stdin, pipe };
         }
         /**
-         * Expands wildcards in arguments
+         * Runs if, loops, case, groups and [[ ]]
          */
-        expandWildcards(args) {
-            const expanded = [];
-            for (const arg of args) {
-                // Check if argument contains wildcards
-                if (arg.includes('*') || arg.includes('?')) {
-                    const currentDir = this.getNode(this.currentPath);
-                    if (currentDir && typeof currentDir === 'object') {
-                        const pattern = arg.replace(/\*/g, '.*').replace(/\?/g, '.');
-                        const regex = new RegExp(`^${pattern}$`);
-                        const matches = Object.keys(currentDir).filter((name) => regex.test(name));
-                        if (matches.length > 0) {
-                            expanded.push(...matches);
+        *runCompound(node, io) {
+            switch (node.type) {
+                case 'if':
+                    for (const clause of node.clauses) {
+                        if ((yield* this.runList(clause.condition, io)) === 0) {
+                            return yield* this.runList(clause.body, io);
                         }
-                        else {
-                            // No matches, keep the pattern as-is
-                            expanded.push(arg);
+                    }
+                    return node.elseBody ? yield* this.runList(node.elseBody, io) : 0;
+                case 'for': {
+                    let items = this.positionalParams.slice();
+                    if (node.items) {
+                        items = [];
+                        for (const word of node.items) {
+                            items.push(...(yield* this.expandWord(word, io)));
                         }
                     }
-                    else {
-                        expanded.push(arg);
+                    let index = 0;
+                    return yield* this.runLoop(function* () {
+                        if (index >= items.length)
+                            return null;
+                        this.setVariable(node.name, items[index++]);
+                        return yield* this.runList(node.body, io);
+                    });
+                }
+                case 'while':
+                    return yield* this.runLoop(function* () {
+                        const status = yield* this.runList(node.condition, io);
+                        if ((status === 0) === node.until)
+                            return null;
+                        return yield* this.runList(node.body, io);
+                    });
+                case 'case': {
+                    const value = yield* this.expandToString(node.word.parts, io);
+                    for (const item of node.items) {
+                        for (const pattern of item.patterns) {
+                            if (this.globToRegExp(yield* this.expandSegments(pattern, io)).test(value)) {
+                                return yield* this.runList(item.body, io);
+                            }
+                        }
                     }
+                    return 0;
                 }
-                else {
-                    expanded.push(arg);
+                case 'group':
+                    return node.subshell
+                        ? yield* this.runSubshell(node.body, io)
+                        : yield* this.runList(node.body, io);
+                case 'conditional':
+                    return yield* this.runConditional(node.words, io);
+            }
+        }
+        /**
+         * Runs loop iterations until one returns null, handling break and continue.
+         * The status is that of the last command run in the body.
+         */
+        *runLoop(iterate) {
+            let status = 0;
+            this.loopDepth++;
+            try {
+                for (;;) {
+                    yield* this.checkpoint();
+                    try {
+                        const result = yield* iterate.call(this);
+                        if (result === null)
+                            break;
+                        status = result;
+                    }
+                    catch (error) {
+                        if (!(error instanceof LoopControl))
+                            throw error;
+                        // break 2 and continue 2 are handled by the next loop out
+                        if (error.levels > 1) {
+                            error.levels--;
+                            throw error;
+                        }
+                        status = 0;
+                        if (error.kind === 'break')
+                            break;
+                    }
                 }
             }
-            return expanded;
+            finally {
+                this.loopDepth--;
+            }
+            return status;
         }
         /**
-         * Executes a command line input
+         * Counts a step of running code: a command, a turn of a loop or, for
+         * awk, a record. Every STEPS_PER_YIELD steps, and at once when the
+         * command line is interrupted, it pauses for the event loop, so that an
+         * endless loop still lets executeAsync be interrupted and background jobs
+         * take turns with the terminal.
          */
-        execute(commandLine) {
-            if (!commandLine.trim()) {
-                return '';
+        *checkpoint() {
+            if (++this.steps >= STEPS_PER_YIELD || this.interrupter.aborted) {
+                this.steps = 0;
+                yield new Yielding();
             }
-            // Add to history
-            this.commandHistory.push(commandLine);
-            // Check for pipe to grep
-            let grepPattern = null;
-            let grepFlags = { ignoreCase: false, invert: false };
-            let actualCommand = commandLine;
-            const pipeIndex = commandLine.indexOf('|');
-            if (pipeIndex !== -1) {
-                const beforePipe = commandLine.substring(0, pipeIndex).trim();
-                const afterPipe = commandLine.substring(pipeIndex + 1).trim();
-                if (afterPipe.startsWith('grep ') || afterPipe === 'grep') {
-                    actualCommand = beforePipe;
-                    const grepCommand = afterPipe.substring(4).trim();
-                    let grepArgs = grepCommand;
-                    const redirectMatch = grepCommand.match(/^(.+?)\s*>>?\s*.+$/);
-                    if (redirectMatch) {
-                        grepArgs = redirectMatch[1].trim();
-                        commandLine = beforePipe + ' ' + grepCommand.substring(grepArgs.length);
-                    }
-                    const grepParts = grepArgs.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
-                    for (let i = 0; i < grepParts.length; i++) {
-                        const part = grepParts[i];
-                        if (part === '-i') {
-                            grepFlags.ignoreCase = true;
-                        }
-                        else if (part === '-v') {
-                            grepFlags.invert = true;
-                        }
-                        else if (!grepPattern) {
-                            grepPattern = part.replace(/^["']|["']$/g, '');
-                        }
-                    }
-                }
-            }
-            // Check for output redirection
-            let redirectMode = null;
-            let redirectFile = null;
-            const appendMatch = commandLine.match(/^(.+?)\s*>>\s*(.+)$/);
-            const overwriteMatch = commandLine.match(/^(.+?)\s*>\s*(.+)$/);
-            if (appendMatch) {
-                redirectMode = 'append';
-                actualCommand = appendMatch[1].trim();
-                redirectFile = appendMatch[2].trim();
-            }
-            else if (overwriteMatch) {
-                redirectMode = 'overwrite';
-                actualCommand = overwriteMatch[1].trim();
-                redirectFile = overwriteMatch[2].trim();
-            }
-            // Parse command and arguments
-            const parts = actualCommand.trim().split(/\s+/);
-            const command = parts[0];
-            let args = parts.slice(1);
-            // Expand wildcards in arguments
-            args = this.expandWildcards(args);
-            // Execute the command
-            let output = '';
-            if (command in this.commands) {
-                try {
-                    this._isPiped = grepPattern !== null;
-                    output = this.commands[command](args);
-                    this._isPiped = false;
-                }
-                catch (error) {
-                    return `Error executing ${command}: ${error.message}`;
-                }
+        }
+        /**
+         * Runs ( list ), undoing any changes to variables, functions and the
+         * working directory afterwards
+         */
+        *runSubshell(list, io) {
+            const environment = Object.assign({}, this.environment);
+            const variables = Object.assign({}, this.variables);
+            const exportMarks = new Set(this.exportMarks);
+            const functions = Object.assign({}, this.functions);
+            const positionalParams = this.positionalParams;
+            const currentPath = this.currentPath;
+            const umask = this.umask;
+            this.subshellDepth++;
+            try {
+                return yield* this.runList(list, io);
             }
-            else {
-                return `${command}: command not found`;
+            catch (error) {
+                if (!(error instanceof ScriptExit))
+                    throw error;
+                return error.status;
             }
-            // Apply grep filter if present
-            if (grepPattern !== null && output) {
-                const lines = output.split('\n');
-                const filtered = lines.filter((line) => {
-                    let matches;
-                    if (grepFlags.ignoreCase) {
-                        matches = line.toLowerCase().includes(grepPattern.toLowerCase());
-                    }
-                    else {
-                        matches = line.includes(grepPattern);
-                    }
-                    return grepFlags.invert ? !matches : matches;
+            finally {
+                this.environment = environment;
+                this.variables = variables;
+                this.exportMarks = exportMarks;
+                this.functions = functions;
+                this.positionalParams = positionalParams;
+                this.currentPath = currentPath;
+                this.umask = umask;
+                this.subshellDepth--;
+            }
+        }
+        /**
+         * Evaluates [[ expression ]]. Words aren't split or globbed, and the right
+         * side of == and != is a pattern unless quoted.
+         */
+        *runConditional(words, io) {
+            const args = [];
+            for (const word of words) {
+                const segments = yield* this.expandSegments(word, io);
+                const [part] = word.parts;
+                args.push({
+                    value: segments.map((segment) => segment.value).join(''),
+                    operator: word.parts.length === 1 && part.type === 'literal' && !part.quoted,
+                    pattern: this.globToRegExp(segments),
                 });
-                output = filtered.join('\n');
-                if (output.endsWith('\n\n')) {
-                    output = output.slice(0, -1);
+            }
+            try {
+                return evaluateTest(args, (op, path) => this.fileTest(op, path), true) ? 0 : 1;
+            }
+            catch (error) {
+                if (error instanceof TestError) {
+                    io.stderr(`bash: [[: ${error.message}\n`);
+                    return 2;
                 }
+                throw error;
+            }
+        }
+        /**
+         * Calls a shell function with its own positional parameters and local scope
+         */
+        *runFunction(name, args, assigned, io) {
+            if (this.localScopes.length >= MAX_FUNCTION_DEPTH) {
+                io.stderr(`bash: ${name}: maximum function nesting level exceeded (${MAX_FUNCTION_DEPTH})\n`);
+                return 1;
+            }
+            const positionalParams = this.positionalParams;
+            const loopDepth = this.loopDepth;
+            this.positionalParams = args;
+            this.loopDepth = 0;
+            this.localScopes.push({});
+            // VAR=value before a function call lasts for the call
+            for (const [variable, value] of Object.entries(assigned)) {
+                this.declareLocal(variable);
+                delete this.variables[variable];
+                this.environment[variable] = value;
+            }
+            try {
+                const stdin = io.stdin === undefined ? null : io.stdin;
+                return yield* this.runCommand(this.functions[name], stdin, io);
+            }
+            catch (error) {
+                if (!(error instanceof FunctionReturn))
+                    throw error;
+                return error.status;
+            }
+            finally {
+                this.restoreLocals(this.localScopes.pop());
+                this.positionalParams = positionalParams;
+                this.loopDepth = loopDepth;
+            }
+        }
+        /**
+         * Remembers a variable's current value so the running function can shadow it
+         */
+        declareLocal(name) {
+            const scope = this.localScopes[this.localScopes.length - 1];
+            if (!(name in scope)) {
+                const exported = name in this.environment;
+                scope[name] = { value: exported ? this.environment[name] : this.variables[name], exported };
             }
-            // Handle redirection
-            if (redirectMode && redirectFile) {
-                const writeResult = this.writeToFile(redirectFile, output, redirectMode);
-                if (writeResult) {
-                    return writeResult;
+        }
+        /**
+         * Puts back the variables a function shadowed with "local"
+         */
+        restoreLocals(scope) {
+            for (const [name, saved] of Object.entries(scope)) {
+                delete this.environment[name];
+                delete this.variables[name];
+                if (saved.value !== undefined) {
+                    (saved.exported ? this.environment : this.variables)[name] = saved.value;
                 }
-                // Save to storage after file write
-                this.saveToStorage();
-                return '';
             }
-            // Save to storage after command execution (if persistence is enabled)
-            this.saveToStorage();
-            return output;
         }
         /**
-         * Writes content to a file
+         * Writes content to a file. Bytes make a binary file, as when importing
+         * one from the host.
          */
         writeToFile(filePath, content, mode) {
+            const error = this.writeFile(filePath, content, mode);
+            return error && `bash: ${filePath}: ${error}`;
+        }
+        /**
+         * Writes content to a file as writeToFile does, giving just the error
+         * for commands such as tee to report their own way. Bytes make a binary
+         * file.
+         */
+        writeFile(filePath, content, mode) {
             const fullPath = this.resolvePath(filePath);
-            const parts = fullPath.split('/').filter((p) => p);
-            const fileName = parts.pop();
-            const parentPath = '/' + parts.join('/');
-            const parent = this.getNode(parentPath);
-            if (!parent) {
-                return `bash: ${filePath}: No such file or directory`;
+            // Anything written to /dev/null is discarded
+            if (fullPath === '/dev/null') {
+                return null;
+            }
+            const found = this.findTarget(fullPath);
+            if (typeof found === 'string') {
+                return found;
+            }
+            const { parent, name: fileName, existing } = found;
+            if (!existing) {
+                if (!this.canAccess(parent, WRITE | EXECUTE)) {
+                    return 'Permission denied';
+                }
+                const file = this.createFile('');
+                setContent(file, content);
+                parent.children[fileName] = file;
+                this.markModified(parent);
+                return null;
             }
-            if (typeof parent !== 'object') {
-                return `bash: ${filePath}: Not a directory`;
+            if (existing.type === 'directory') {
+                return 'Is a directory';
             }
-            if (fileName in parent && typeof parent[fileName] === 'object') {
-                return `bash: ${filePath}: Is a directory`;
+            if (!this.canAccess(existing, WRITE)) {
+                return 'Permission denied';
             }
-            if (mode === 'append' && fileName in parent) {
-                parent[fileName] = parent[fileName] + content;
+            if (mode === 'append' && (existing.encoding || typeof content !== 'string')) {
+                const bytes = typeof content === 'string' ? encodeStream(content) : content;
+                setContent(existing, concatBytes([fileBytes(existing), bytes]));
             }
             else {
-                parent[fileName] = content;
+                setContent(existing, mode === 'append' ? existing.content + content : content);
             }
+            this.markModified(existing);
             return null;
         }
+        /**
+         * Tells the shell the terminal's size in characters, as the host measures
+         * it when it starts and whenever it's resized. Commands see the width as
+         * context.columns, and like bash it sets COLUMNS and LINES.
+         */
+        setTerminalSize(columns, rows) {
+            this.terminalColumns = columns;
+            this.setVariable('COLUMNS', String(columns));
+            this.setVariable('LINES', String(rows));
+        }
         /**
          * Gets the current working directory
          */
         getCurrentPath() {
             return this.currentPath;
         }
+        /**
+         * The machine's name from /etc/hostname, or localhost
+         */
+        hostname() {
+            const name = (this.readSystemFile('/etc/hostname') || '').trim();
+            return name || 'localhost';
+        }
+        /**
+         * Builds the prompt from $PS1, expanding \u, \h, \H, \w, \W, \$ and \n
+         * the way bash does. Without PS1 the prompt looks like user@host:~$
+         */
+        getPrompt() {
+            const ps1 = this.getVariable('PS1');
+            const template = ps1 === undefined ? '\\u@\\h:\\w\\$ ' : ps1;
+            const hostname = this.hostname();
+            const home = this.environment.HOME;
+            let path = this.currentPath;
+            if (home && path === home) {
+                path = '~';
+            }
+            else if (home && path.startsWith(home + '/')) {
+                path = '~' + path.slice(home.length);
+            }
+            return template.replace(/\\([uhHwW$n\\])/g, (match, code) => {
+                switch (code) {
+                    case 'u':
+                        return this.currentUser;
+                    case 'h':
+                        return hostname.split('.')[0];
+                    case 'H':
+                        return hostname;
+                    case 'w':
+                        return path;
+                    case 'W':
+                        return path === '/' || path === '~' ? path : path.split('/').pop();
+                    case '$':
+                        return this.currentUser === 'root' ? '#' : '$';
+                    case 'n':
+                        return '\n';
+                    default:
+                        return '\\';
+                }
+            });
+        }
         /**
          * Gets the current user
          */
@@ -811,14 +15410,19 @@
             return this.currentUser;
         }
         /**
-         * Opens the Vi editor
+         * Opens the Vi editor. A file that can't be read opens empty and
+         * read-only, with the error showing, as in vim.
          */
         openEditor(filename) {
             const fullPath = this.resolvePath(filename);
-            const node = this.getNode(fullPath);
+            const node = this.openFile(fullPath);
             let content = '';
-            if (node && typeof node === 'string') {
-                content = node;
+            let error = '';
+            if (typeof node !== 'string') {
+                content = fileText(node);
+            }
+            else if (node !== 'No such file or directory') {
+                error = node;
             }
             const saveCallback = (filename, content) => {
                 const result = this.writeToFile(filename, content, 'overwrite');
@@ -833,7 +15437,7 @@
                 window.disableTerminal();
             }
             if (typeof window !== 'undefined' && window.ViEditor) {
-                new window.ViEditor(filename, content, saveCallback, exitCallback);
+                new window.ViEditor(filename, content, saveCallback, exitCallback, error !== '', error && `"${filename}" [${error}]`);
             }
             return '__VI_OPENED__';
         }
@@ -856,22 +15460,33 @@
                 filePrefix = pathPrefix.substring(lastSlash + 1);
                 searchDir = this.resolvePath(dirPart);
             }
-            const node = this.getNode(searchDir);
-            if (!node || typeof node !== 'object') {
+            const node = this.findNode(searchDir);
+            if (typeof node === 'string' || node.type !== 'directory' || !this.canAccess(node, READ)) {
                 return { type: 'path', matches: [], prefix: pathPrefix };
             }
-            const matches = Object.keys(node)
+            const matches = Object.keys(node.children)
                 .filter((name) => name.startsWith(filePrefix))
                 .map((name) => {
-                const isDir = typeof node[name] === 'object';
+                // Symlinks to directories complete like directories
+                const child = node.children[name];
+                const target = child.type === 'symlink' ? this.getNode(`${searchDir}/${name}`) : child;
+                const isDir = target !== null && target.type === 'directory';
                 return isDir ? name + '/' : name;
             });
             return { type: 'path', matches, prefix: pathPrefix, filePrefix };
         }
     }
 
+    exports.ShellSyntaxError = ShellSyntaxError;
     exports.UnixShell = UnixShell;
+    exports.createIndexedDBStorage = createIndexedDBStorage;
+    exports.createLocalStorage = createLocalStorage;
+    exports.createMemoryStorage = createMemoryStorage;
     exports.default = UnixShell;
+    exports.hashPassword = hashPassword;
+    exports.parse = parse;
+    exports.tokenize = tokenize$1;
+    exports.verifyPassword = verifyPassword;
 
     Object.defineProperty(exports, '__esModule', { value: true });
 
@@ -13,8 +13,10 @@
          * @param content - Initial file content
          * @param saveCallback - Function to call when saving
          * @param exitCallback - Function to call when exiting
+         * @param readOnly - Whether writing needs ! to override, as for a file that couldn't be read
+         * @param message - Message to show when the editor opens
          */
-        constructor(filename, content, saveCallback, exitCallback) {
+        constructor(filename, content, saveCallback, exitCallback, readOnly = false, message = '') {
             this.filename = filename;
             this.lines = content ? content.split('\n') : [''];
             this.saveCallback = saveCallback;
@@ -25,8 +27,9 @@
             this.commandBuffer = '';
             this.normalModeBuffer = '';
             this.yankBuffer = '';
-            this.message = '';
+            this.message = message;
             this.modified = false;
+            this.readOnly = readOnly;
             this.element = null;
             this.setupUI();
             this.render();
@@ -440,10 +443,11 @@
          * Executes a command mode command
          */
         executeCommand(cmd) {
-            if (cmd === 'w') {
+            if (cmd === 'w' || cmd === 'w!') {
                 // Write file
-                this.save();
-                this.message = `"${this.filename}" ${this.lines.length}L written`;
+                if (this.save(cmd === 'w!')) {
+                    this.message = `"${this.filename}" ${this.lines.length}L written`;
+                }
                 this.mode = 'normal';
             }
             else if (cmd === 'q') {
@@ -460,10 +464,14 @@
                 // Force quit
                 this.close();
             }
-            else if (cmd === 'wq' || cmd === 'x') {
+            else if (cmd === 'wq' || cmd === 'wq!' || cmd === 'x') {
                 // Write and quit
-                this.save();
-                this.close();
+                if (this.save(cmd === 'wq!')) {
+                    this.close();
+                }
+                else {
+                    this.mode = 'normal';
+                }
             }
             else {
                 this.message = `Not an editor command: ${cmd}`;
@@ -471,14 +479,22 @@
             }
         }
         /**
-         * Saves the file
+         * Saves the file, unless it's read-only and not forced. Returns whether
+         * it was written, leaving an error message if not.
          */
-        save() {
+        save(force = false) {
+            if (this.readOnly && !force) {
+                this.message = "E45: 'readonly' option is set (add ! to override)";
+                return false;
+            }
             const content = this.lines.join('\n');
-            if (this.saveCallback) {
-                this.saveCallback(this.filename, content);
+            if (this.saveCallback && !this.saveCallback(this.filename, content)) {
+                this.message = `"${this.filename}" E212: Can't open file for writing`;
+                return false;
             }
             this.modified = false;
+            this.readOnly = false;
+            return true;
         }
         /**
          * Closes the editor
@@ -21,7 +21,7 @@ export default [
         sourceMap: false,
         target: 'ES2015',
         module: 'ES2015',
-        lib: ['ES2015', 'DOM'],
+        lib: ['ES2015', 'ES2018.AsyncIterable', 'ES2018.AsyncGenerator', 'DOM'],
         compilerOptions: {
           outDir: null,
           rootDir: './src',
@@ -48,7 +48,7 @@ export default [
         sourceMap: false,
         target: 'ES2015',
         module: 'ES2015',
-        lib: ['ES2015', 'DOM'],
+        lib: ['ES2015', 'ES2018.AsyncIterable', 'ES2018.AsyncGenerator', 'DOM'],
         compilerOptions: {
           outDir: null,
           rootDir: './src',
@@ -75,7 +75,7 @@ export default [
         sourceMap: false,
         target: 'ES2015',
         module: 'ES2015',
-        lib: ['ES2015', 'DOM'],
+        lib: ['ES2015', 'ES2018.AsyncIterable', 'ES2018.AsyncGenerator', 'DOM'],
         compilerOptions: {
           outDir: null,
           rootDir: './src',
@@ -0,0 +1,267 @@
+// Users and groups: reading and writing /etc/passwd, /etc/group and
+// /etc/shadow, and checking commands against /etc/sudoers
+
+/**
+ * A line of /etc/passwd
+ */
+export interface PasswdEntry {
+  name: string;
+  /** x when the password is in /etc/shadow */
+  password: string;
+  uid: number;
+  gid: number;
+  /** Full name and other comments */
+  gecos: string;
+  home: string;
+  shell: string;
+}
+
+/**
+ * A line of /etc/group
+ */
+export interface GroupEntry {
+  name: string;
+  password: string;
+  gid: number;
+  /** Users with this as a supplementary group */
+  members: string[];
+}
+
+/**
+ * A line of /etc/shadow. Fields after the last change date are kept as they are.
+ */
+export interface ShadowEntry {
+  name: string;
+  /** Password hash, empty for no password, or starting with ! or * when locked */
+  hash: string;
+  /** Day of the last password change, counted from 1970-01-01 */
+  lastChange: string;
+  rest: string[];
+}
+
+/**
+ * One command a sudoers rule allows
+ */
+export interface SudoCommand {
+  /** A path such as /usr/bin/apt, or ALL */
+  command: string;
+  /** Arguments the command must have, or null for any */
+  args: string[] | null;
+  noPassword: boolean;
+}
+
+/**
+ * A user specification from /etc/sudoers, such as
+ * %sudo ALL=(ALL:ALL) ALL or alice ALL=(root) NOPASSWD: /usr/bin/cat
+ */
+export interface SudoRule {
+  /** User names, %groups or ALL */
+  users: string[];
+  runAsUsers: string[];
+  runAsGroups: string[];
+  commands: SudoCommand[];
+}
+
+/**
+ * Splits a colon separated file into its lines' fields, skipping blank lines
+ * and comments
+ */
+function records(text: string, minFields: number): string[][] {
+  return text
+    .split('\n')
+    .filter((line) => line.trim() && !line.startsWith('#'))
+    .map((line) => line.split(':'))
+    .filter((fields) => fields.length >= minFields);
+}
+
+export function parsePasswd(text: string): PasswdEntry[] {
+  return records(text, 7)
+    .filter((fields) => /^\d+$/.test(fields[2]) && /^\d+$/.test(fields[3]))
+    .map(([name, password, uid, gid, gecos, home, shell]) => ({
+      name,
+      password,
+      uid: parseInt(uid, 10),
+      gid: parseInt(gid, 10),
+      gecos,
+      home,
+      shell,
+    }));
+}
+
+export function formatPasswd(entries: PasswdEntry[]): string {
+  return entries
+    .map((e) => `${e.name}:${e.password}:${e.uid}:${e.gid}:${e.gecos}:${e.home}:${e.shell}\n`)
+    .join('');
+}
+
+export function parseGroup(text: string): GroupEntry[] {
+  return records(text, 4)
+    .filter((fields) => /^\d+$/.test(fields[2]))
+    .map(([name, password, gid, members]) => ({
+      name,
+      password,
+      gid: parseInt(gid, 10),
+      members: members.split(',').filter((member) => member),
+    }));
+}
+
+export function formatGroup(entries: GroupEntry[]): string {
+  return entries.map((e) => `${e.name}:${e.password}:${e.gid}:${e.members.join(',')}\n`).join('');
+}
+
+export function parseShadow(text: string): ShadowEntry[] {
+  return records(text, 2).map(([name, hash, lastChange = '', ...rest]) => ({
+    name,
+    hash,
+    lastChange,
+    rest,
+  }));
+}
+
+export function formatShadow(entries: ShadowEntry[]): string {
+  return entries.map((e) => [e.name, e.hash, e.lastChange, ...e.rest].join(':') + '\n').join('');
+}
+
+/**
+ * A shadow entry for a password set now, with the usual aging fields
+ */
+export function newShadowEntry(name: string, hash: string, now: number): ShadowEntry {
+  return {
+    name,
+    hash,
+    lastChange: String(daysSinceEpoch(now)),
+    rest: ['0', '99999', '7', '', '', ''],
+  };
+}
+
+/**
+ * Days since 1970-01-01, as /etc/shadow counts them
+ */
+export function daysSinceEpoch(time: number): number {
+  return Math.floor(time / 86400000);
+}
+
+/**
+ * Whether a name is one useradd accepts: lowercase letters, digits, _ and -,
+ * not starting with a digit or dash
+ */
+export function isValidAccountName(name: string): boolean {
+  return /^[a-z_][a-z0-9_-]*\$?$/.test(name) && name.length <= 32;
+}
+
+/**
+ * Parses the user specifications in /etc/sudoers. Defaults, aliases and
+ * includes aren't supported and are skipped.
+ */
+export function parseSudoers(text: string): SudoRule[] {
+  const rules: SudoRule[] = [];
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const match = /^(\S+)\s+\S+?\s*=\s*(?:\(([^)]*)\))?\s*(.+)$/.exec(line);
+    if (!match || /^(Defaults|\w+_Alias)\b/.test(line)) {
+      continue;
+    }
+
+    const [, users, runAs = 'root', commandList] = match;
+    const [runAsUsers, runAsGroups = ''] = runAs.split(':');
+
+    let noPassword = false;
+    const commands: SudoCommand[] = [];
+    for (let spec of commandList.split(',')) {
+      // Tags such as NOPASSWD: carry on to the commands after them
+      let tag: RegExpExecArray | null;
+      while ((tag = /^\s*(NO)?(PASSWD|SETENV|EXEC):/.exec(spec)) !== null) {
+        if (tag[2] === 'PASSWD') {
+          noPassword = tag[1] === 'NO';
+        }
+        spec = spec.slice(tag[0].length);
+      }
+
+      const [command, ...args] = spec.trim().split(/\s+/);
+      if (command) {
+        // No arguments allows any; "" allows none
+        const allowed = args.length === 0 ? null : args.filter((arg) => arg !== '""');
+        commands.push({ command, args: allowed, noPassword });
+      }
+    }
+
+    rules.push({
+      users: splitList(users),
+      runAsUsers: splitList(runAsUsers || (runAsGroups ? '' : 'root')),
+      runAsGroups: splitList(runAsGroups),
+      commands,
+    });
+  }
+
+  return rules;
+}
+
+function splitList(list: string): string[] {
+  return list
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+/**
+ * The rules that apply to a user, directly, through one of their groups or to ALL
+ */
+export function sudoRulesFor(rules: SudoRule[], user: string, groups: string[]): SudoRule[] {
+  return rules.filter((rule) =>
+    rule.users.some(
+      (who) =>
+        who === 'ALL' || who === user || (who.startsWith('%') && groups.includes(who.slice(1)))
+    )
+  );
+}
+
+/**
+ * Finds the command spec that lets a user run a command as another user.
+ * As in sudo, the last match wins. Commands match by name, so /usr/bin/cat
+ * in sudoers allows cat.
+ */
+export function findSudoCommand(
+  rules: SudoRule[],
+  runAs: string,
+  command: string,
+  args: string[]
+): SudoCommand | null {
+  const name = command.split('/').pop();
+  let found: SudoCommand | null = null;
+
+  for (const rule of rules) {
+    if (!rule.runAsUsers.includes('ALL') && !rule.runAsUsers.includes(runAs)) {
+      continue;
+    }
+    for (const spec of rule.commands) {
+      const commandMatches =
+        spec.command === 'ALL' ||
+        spec.command === command ||
+        spec.command.split('/').pop() === name;
+      const argsMatch = spec.args === null || spec.args.join(' ') === args.join(' ');
+      if (commandMatches && argsMatch) {
+        found = spec;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Formats a rule the way sudo -l lists it, such as (ALL : ALL) ALL
+ */
+export function formatSudoRule(rule: SudoRule): string {
+  const runAs =
+    rule.runAsUsers.join(', ') +
+    (rule.runAsGroups.length ? ` : ${rule.runAsGroups.join(', ')}` : '');
+
+  let noPassword = false;
+  const commands = rule.commands.map((spec) => {
+    const text = spec.args === null ? spec.command : [spec.command, ...spec.args].join(' ');
+    const tag = spec.noPassword !== noPassword ? (spec.noPassword ? 'NOPASSWD: ' : 'PASSWD: ') : '';
+    noPassword = spec.noPassword;
+    return tag + text;
+  });
+  return `(${runAs}) ${commands.join(', ')}`;
+}
@@ -0,0 +1,613 @@
+// Archive formats: gzip (RFC 1952), POSIX ustar tar with pax headers for
+// long names, and zip (PKWARE's APPNOTE). Each reads and writes bytes, so
+// archives made here open with the real tools.
+
+import { concatBytes, crc32, decodeUtf8, encodeUtf8 } from './bytes';
+import { InflateError, deflate, inflate } from './deflate';
+
+/**
+ * Raised for archives that can't be read, with the message the real tool
+ * gives
+ */
+export class ArchiveError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ArchiveError';
+    Object.setPrototypeOf(this, ArchiveError.prototype);
+  }
+}
+
+/**
+ * A file, directory or link in an archive. Paths use / and have no
+ * leading or trailing slash.
+ */
+export interface ArchiveEntry {
+  path: string;
+  type: 'file' | 'directory' | 'symlink' | 'hardlink';
+  /** Permission bits, without the file type */
+  mode: number;
+  uid: number;
+  gid: number;
+  user: string;
+  group: string;
+  /** In milliseconds since the epoch */
+  mtime: number;
+  data: Uint8Array;
+  /** Where a symlink points, or the path a hard link shares its file with */
+  linkTarget: string;
+}
+
+/**
+ * A zip entry as read, with how much it was compressed
+ */
+export interface ZipEntry extends ArchiveEntry {
+  compressedSize: number;
+  method: 'stored' | 'deflated';
+}
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const GZIP_FNAME = 8;
+const GZIP_FEXTRA = 4;
+const GZIP_FCOMMENT = 16;
+const GZIP_FHCRC = 2;
+
+const BLOCK = 512;
+// GNU tar writes archives in records of 20 blocks
+const RECORD = 20 * BLOCK;
+
+const ZIP_LOCAL = 0x04034b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_END = 0x06054b50;
+// Names are UTF-8
+const ZIP_UTF8 = 0x800;
+// Made by a Unix host, so the external attributes hold the mode
+const ZIP_UNIX = 3;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+const S_IFMT = 0o170000;
+
+/**
+ * Whether bytes start like gzip data
+ */
+export function isGzip(data: Uint8Array): boolean {
+  return data[0] === GZIP_MAGIC[0] && data[1] === GZIP_MAGIC[1];
+}
+
+/**
+ * Compresses data as a gzip member, recording the original name and time
+ */
+export function gzip(data: Uint8Array, name: string, mtime: number): Uint8Array {
+  const header = [...GZIP_MAGIC, 8, name ? GZIP_FNAME : 0];
+  pushUint32(header, Math.floor(mtime / 1000));
+  // No extra flags, made on Unix
+  header.push(0, 3);
+  const trailer: number[] = [];
+  pushUint32(trailer, crc32(data));
+  pushUint32(trailer, data.length);
+  const fileName = name ? concatBytes([encodeUtf8(name), new Uint8Array([0])]) : new Uint8Array();
+  return concatBytes([new Uint8Array(header), fileName, deflate(data), new Uint8Array(trailer)]);
+}
+
+/**
+ * Decompresses gzip data, every member of it, giving the name the first
+ * member recorded
+ */
+export function gunzip(data: Uint8Array): { data: Uint8Array; name: string | null } {
+  const parts: Uint8Array[] = [];
+  let name: string | null = null;
+  let at = 0;
+  while (at < data.length) {
+    if (!isGzip(data.subarray(at))) {
+      if (at === 0) {
+        throw new ArchiveError('not in gzip format');
+      }
+      // Trailing zeros, as tapes pad with, are ignored
+      break;
+    }
+    if (data[at + 2] !== 8) {
+      throw new ArchiveError(`unknown method ${data[at + 2]} -- not supported`);
+    }
+    const flags = data[at + 3];
+    let position = at + 10;
+    if (flags & GZIP_FEXTRA) {
+      position += 2 + (data[position] | (data[position + 1] << 8));
+    }
+    if (flags & GZIP_FNAME) {
+      const end = data.indexOf(0, position);
+      if (at === 0) {
+        name = decodeUtf8(data.subarray(position, end));
+      }
+      position = end + 1;
+    }
+    if (flags & GZIP_FCOMMENT) {
+      position = data.indexOf(0, position) + 1;
+    }
+    if (flags & GZIP_FHCRC) {
+      position += 2;
+    }
+
+    let inflated: { output: Uint8Array; end: number };
+    try {
+      inflated = inflate(data, position);
+    } catch (error) {
+      if (error instanceof InflateError) {
+        throw new ArchiveError(
+          error.message === 'unexpected end of file'
+            ? error.message
+            : 'invalid compressed data--format violated'
+        );
+      }
+      throw error;
+    }
+    if (inflated.end + 8 > data.length) {
+      throw new ArchiveError('unexpected end of file');
+    }
+    if (readUint32(data, inflated.end) !== crc32(inflated.output)) {
+      throw new ArchiveError('invalid compressed data--crc error');
+    }
+    if (readUint32(data, inflated.end + 4) !== inflated.output.length % 2 ** 32) {
+      throw new ArchiveError('invalid compressed data--length error');
+    }
+    parts.push(inflated.output);
+    at = inflated.end + 8;
+  }
+  return { data: concatBytes(parts), name };
+}
+
+/**
+ * Writes entries as a POSIX tar archive. A path or link target too long
+ * for the ustar header goes in a pax extended header before it.
+ */
+export function writeTar(entries: ArchiveEntry[]): Uint8Array {
+  const blocks: Uint8Array[] = [];
+  for (const entry of entries) {
+    const path = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+    const split = splitUstarPath(path);
+    const linkFits = encodeUtf8(entry.linkTarget).length <= 100;
+
+    const records: string[] = [];
+    if (!split) {
+      records.push(paxRecord('path', path));
+    }
+    if (!linkFits) {
+      records.push(paxRecord('linkpath', entry.linkTarget));
+    }
+    if (records.length > 0) {
+      const data = encodeUtf8(records.join(''));
+      const base = path.replace(/\/$/, '');
+      const paxName = `PaxHeaders/${base.slice(base.lastIndexOf('/') + 1)}`.slice(0, 100);
+      blocks.push(
+        tarHeader({ ...entry, data, linkTarget: '' }, { name: paxName, prefix: '' }, 'x'),
+        padBlock(data)
+      );
+    }
+
+    const type = { file: '0', hardlink: '1', symlink: '2', directory: '5' }[entry.type];
+    const header = tarHeader(
+      { ...entry, linkTarget: linkFits ? entry.linkTarget : '' },
+      split || { name: path.slice(0, 100), prefix: '' },
+      type
+    );
+    blocks.push(header);
+    if (entry.type === 'file') {
+      blocks.push(padBlock(entry.data));
+    }
+  }
+
+  // Two zero blocks end the archive, which is padded to a whole record
+  const archive = concatBytes([...blocks, new Uint8Array(2 * BLOCK)]);
+  const padded = new Uint8Array(Math.ceil(archive.length / RECORD) * RECORD);
+  padded.set(archive);
+  return padded;
+}
+
+/**
+ * Reads the entries of a tar archive: ustar, pax and GNU long names
+ */
+export function readTar(data: Uint8Array): ArchiveEntry[] {
+  const entries: ArchiveEntry[] = [];
+  let at = 0;
+  let longName: string | null = null;
+  let longLink: string | null = null;
+  let pax: Record<string, string> = {};
+  while (at < data.length) {
+    // A piece of a block left over is a file cut short, or not an archive
+    if (at + BLOCK > data.length) {
+      throw new ArchiveError(
+        entries.length === 0 ? 'This does not look like a tar archive' : 'Unexpected EOF in archive'
+      );
+    }
+    const header = data.subarray(at, at + BLOCK);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const checksum = readOctal(header, 148, 8);
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) {
+      sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+    if (checksum !== sum) {
+      throw new ArchiveError(
+        entries.length === 0 ? 'This does not look like a tar archive' : 'Skipping to next header'
+      );
+    }
+
+    const size = readOctal(header, 124, 12);
+    const body = data.subarray(at + BLOCK, at + BLOCK + size);
+    if (body.length < size) {
+      throw new ArchiveError('Unexpected EOF in archive');
+    }
+    at += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+
+    const flag = String.fromCharCode(header[156]);
+    if (flag === 'x') {
+      pax = parsePax(body);
+      continue;
+    }
+    if (flag === 'L' || flag === 'K') {
+      const text = readString(body, 0, body.length);
+      if (flag === 'L') {
+        longName = text;
+      } else {
+        longLink = text;
+      }
+      continue;
+    }
+    if (flag === 'g') {
+      continue;
+    }
+
+    const ustar = readString(header, 257, 5) === 'ustar';
+    const prefix = ustar ? readString(header, 345, 155) : '';
+    const name = readString(header, 0, 100);
+    const path = pax.path || longName || (prefix ? `${prefix}/${name}` : name);
+    const type =
+      flag === '5' || (flag === '0' && path.endsWith('/'))
+        ? 'directory'
+        : flag === '2'
+          ? 'symlink'
+          : flag === '1'
+            ? 'hardlink'
+            : flag === '0' || flag === '\0' || flag === '7'
+              ? 'file'
+              : null;
+    if (type) {
+      entries.push({
+        path: path.replace(/\/+$/, ''),
+        type,
+        mode: readOctal(header, 100, 8) & 0o7777,
+        uid: readOctal(header, 108, 8),
+        gid: readOctal(header, 116, 8),
+        user: ustar ? readString(header, 265, 32) : '',
+        group: ustar ? readString(header, 297, 32) : '',
+        mtime: (pax.mtime ? parseFloat(pax.mtime) : readOctal(header, 136, 12)) * 1000,
+        data: type === 'file' ? body.slice() : new Uint8Array(),
+        linkTarget: pax.linkpath || longLink || readString(header, 157, 100),
+      });
+    }
+    pax = {};
+    longName = longLink = null;
+  }
+  return entries;
+}
+
+/**
+ * Writes entries as a zip archive, deflating files that shrink and
+ * storing the rest. Modes and symlinks are kept as Unix zip does.
+ */
+export function writeZip(entries: ArchiveEntry[]): {
+  data: Uint8Array;
+  entries: ZipEntry[];
+} {
+  const parts: Uint8Array[] = [];
+  const central: Uint8Array[] = [];
+  const written: ZipEntry[] = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = encodeUtf8(entry.type === 'directory' ? `${entry.path}/` : entry.path);
+    const content = entry.type === 'symlink' ? encodeUtf8(entry.linkTarget) : entry.data;
+    const compressed = entry.type === 'file' && content.length > 0 ? deflate(content) : content;
+    const deflated = compressed.length < content.length;
+    const stored = deflated ? compressed : content;
+    const method = deflated ? 8 : 0;
+    const version = deflated || entry.type === 'directory' ? 20 : 10;
+    const [time, date] = dosDateTime(entry.mtime);
+    const crc = crc32(content);
+    const typeBits =
+      entry.type === 'directory' ? S_IFDIR : entry.type === 'symlink' ? S_IFLNK : S_IFREG;
+
+    const local: number[] = [];
+    pushUint32(local, ZIP_LOCAL);
+    pushUint16(local, version);
+    pushUint16(local, ZIP_UTF8);
+    pushUint16(local, method);
+    pushUint16(local, time);
+    pushUint16(local, date);
+    pushUint32(local, crc);
+    pushUint32(local, stored.length);
+    pushUint32(local, content.length);
+    pushUint16(local, name.length);
+    pushUint16(local, 0);
+
+    const record: number[] = [];
+    pushUint32(record, ZIP_CENTRAL);
+    pushUint16(record, (ZIP_UNIX << 8) | 30);
+    pushUint16(record, version);
+    pushUint16(record, ZIP_UTF8);
+    pushUint16(record, method);
+    pushUint16(record, time);
+    pushUint16(record, date);
+    pushUint32(record, crc);
+    pushUint32(record, stored.length);
+    pushUint32(record, content.length);
+    pushUint16(record, name.length);
+    // No extra field, comment or disk number, and no internal attributes
+    pushUint16(record, 0);
+    pushUint16(record, 0);
+    pushUint16(record, 0);
+    pushUint16(record, 0);
+    // The mode in the high half, and MS-DOS's directory bit in the low
+    pushUint32(
+      record,
+      ((typeBits | entry.mode) * 0x10000 + (entry.type === 'directory' ? 0x10 : 0)) >>> 0
+    );
+    pushUint32(record, offset);
+
+    parts.push(new Uint8Array(local), name, stored);
+    central.push(new Uint8Array(record), name);
+    offset += local.length + name.length + stored.length;
+    written.push({
+      ...entry,
+      compressedSize: stored.length,
+      method: deflated ? 'deflated' : 'stored',
+    });
+  }
+
+  const directory = concatBytes(central);
+  const end: number[] = [];
+  pushUint32(end, ZIP_END);
+  pushUint16(end, 0);
+  pushUint16(end, 0);
+  pushUint16(end, entries.length);
+  pushUint16(end, entries.length);
+  pushUint32(end, directory.length);
+  pushUint32(end, offset);
+  pushUint16(end, 0);
+  return { data: concatBytes([...parts, directory, new Uint8Array(end)]), entries: written };
+}
+
+/**
+ * Reads the entries of a zip archive from its central directory
+ */
+export function readZip(data: Uint8Array): ZipEntry[] {
+  // The end record is last, before a comment of up to 64K
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 65535); i--) {
+    if (readUint32(data, i) === ZIP_END) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new ArchiveError('End-of-central-directory signature not found');
+  }
+
+  const count = readUint16(data, end + 10);
+  let at = readUint32(data, end + 16);
+  const entries: ZipEntry[] = [];
+  for (let n = 0; n < count; n++) {
+    if (readUint32(data, at) !== ZIP_CENTRAL) {
+      throw new ArchiveError('bad zipfile offset (central directory)');
+    }
+    const madeBy = readUint16(data, at + 4) >> 8;
+    const flags = readUint16(data, at + 8);
+    const methodCode = readUint16(data, at + 10);
+    const time = readUint16(data, at + 12);
+    const date = readUint16(data, at + 14);
+    const crc = readUint32(data, at + 16);
+    const compressedSize = readUint32(data, at + 20);
+    const size = readUint32(data, at + 24);
+    const nameLength = readUint16(data, at + 28);
+    const extraLength = readUint16(data, at + 30);
+    const commentLength = readUint16(data, at + 32);
+    const attributes = readUint32(data, at + 38);
+    const localOffset = readUint32(data, at + 42);
+    const nameBytes = data.subarray(at + 46, at + 46 + nameLength);
+    const name =
+      flags & ZIP_UTF8 ? decodeUtf8(nameBytes) : String.fromCharCode(...Array.from(nameBytes));
+    at += 46 + nameLength + extraLength + commentLength;
+
+    if (readUint32(data, localOffset) !== ZIP_LOCAL) {
+      throw new ArchiveError('bad zipfile offset (local header sig)');
+    }
+    const start =
+      localOffset + 30 + readUint16(data, localOffset + 26) + readUint16(data, localOffset + 28);
+    const compressed = data.subarray(start, start + compressedSize);
+    let content: Uint8Array;
+    if (methodCode === 0) {
+      content = compressed.slice();
+    } else if (methodCode === 8) {
+      try {
+        content = inflate(compressed).output;
+      } catch (error) {
+        if (error instanceof InflateError) {
+          throw new ArchiveError(`${name}: invalid compressed data to inflate`);
+        }
+        throw error;
+      }
+    } else {
+      throw new ArchiveError(`${name}: unsupported compression method ${methodCode}`);
+    }
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new ArchiveError(`${name}: bad CRC`);
+    }
+
+    // Only a Unix host records the mode; otherwise go by the name and the
+    // MS-DOS attributes
+    const unixMode = madeBy === ZIP_UNIX ? attributes >>> 16 : 0;
+    const directory =
+      name.endsWith('/') || (unixMode & S_IFMT) === S_IFDIR || (attributes & 0x10) !== 0;
+    const symlink = (unixMode & S_IFMT) === S_IFLNK;
+    const type = directory ? 'directory' : symlink ? 'symlink' : 'file';
+    entries.push({
+      path: name.replace(/\/+$/, ''),
+      type,
+      mode: unixMode & 0o7777 || (directory ? 0o755 : 0o644),
+      uid: 0,
+      gid: 0,
+      user: '',
+      group: '',
+      mtime: fromDosDateTime(time, date),
+      data: type === 'file' ? content : new Uint8Array(),
+      linkTarget: symlink ? decodeUtf8(content) : '',
+      compressedSize,
+      method: methodCode === 8 ? 'deflated' : 'stored',
+    });
+  }
+  return entries;
+}
+
+/**
+ * Splits a path into the ustar header's prefix and name fields, or null
+ * when it doesn't fit them
+ */
+function splitUstarPath(path: string): { name: string; prefix: string } | null {
+  if (encodeUtf8(path).length <= 100) {
+    return { name: path, prefix: '' };
+  }
+  const trimmed = path.replace(/\/$/, '');
+  for (let slash = trimmed.indexOf('/'); slash !== -1; slash = trimmed.indexOf('/', slash + 1)) {
+    const prefix = path.slice(0, slash);
+    const name = path.slice(slash + 1);
+    if (encodeUtf8(prefix).length <= 155 && encodeUtf8(name).length <= 100) {
+      return { name, prefix };
+    }
+  }
+  return null;
+}
+
+/**
+ * A pax record: "length key=value\n", where the length counts itself
+ */
+function paxRecord(key: string, value: string): string {
+  const rest = ` ${key}=${value}\n`;
+  const restLength = encodeUtf8(rest).length;
+  let length = restLength + String(restLength).length;
+  if (String(length).length + restLength !== length) {
+    length++;
+  }
+  return `${length}${rest}`;
+}
+
+function parsePax(body: Uint8Array): Record<string, string> {
+  const records: Record<string, string> = {};
+  let at = 0;
+  while (at < body.length) {
+    const space = body.indexOf(32, at);
+    const length = parseInt(decodeUtf8(body.subarray(at, space)), 10);
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = decodeUtf8(body.subarray(space + 1, at + length - 1));
+    const eq = record.indexOf('=');
+    records[record.slice(0, eq)] = record.slice(eq + 1);
+    at += length;
+  }
+  return records;
+}
+
+function tarHeader(
+  entry: ArchiveEntry,
+  path: { name: string; prefix: string },
+  type: string
+): Uint8Array {
+  const header = new Uint8Array(BLOCK);
+  const size = type === '0' || type === 'x' ? entry.data.length : 0;
+  writeString(header, 0, 100, path.name);
+  writeOctal(header, 100, 8, entry.mode & 0o7777);
+  writeOctal(header, 108, 8, entry.uid);
+  writeOctal(header, 116, 8, entry.gid);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(entry.mtime / 1000));
+  header[156] = type.charCodeAt(0);
+  writeString(header, 157, 100, entry.linkTarget);
+  writeString(header, 257, 6, 'ustar');
+  writeString(header, 263, 2, '00');
+  writeString(header, 265, 32, entry.user);
+  writeString(header, 297, 32, entry.group);
+  writeString(header, 345, 155, path.prefix);
+
+  // The checksum counts its own field as spaces
+  header.fill(32, 148, 156);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  writeString(header, 148, 8, `${sum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+function padBlock(data: Uint8Array): Uint8Array {
+  const padded = new Uint8Array(Math.ceil(data.length / BLOCK) * BLOCK);
+  padded.set(data);
+  return padded;
+}
+
+function writeString(header: Uint8Array, at: number, length: number, text: string): void {
+  header.set(encodeUtf8(text).subarray(0, length), at);
+}
+
+/**
+ * Writes a number as zero-padded octal ending in a NUL, as ustar fields are
+ */
+function writeOctal(header: Uint8Array, at: number, length: number, value: number): void {
+  writeString(header, at, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+function readString(bytes: Uint8Array, at: number, length: number): string {
+  const field = bytes.subarray(at, at + length);
+  const end = field.indexOf(0);
+  return decodeUtf8(end === -1 ? field : field.subarray(0, end));
+}
+
+function readOctal(bytes: Uint8Array, at: number, length: number): number {
+  const text = readString(bytes, at, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function pushUint16(bytes: number[], value: number): void {
+  bytes.push(value & 0xff, (value >>> 8) & 0xff);
+}
+
+function pushUint32(bytes: number[], value: number): void {
+  bytes.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+}
+
+function readUint16(bytes: Uint8Array, at: number): number {
+  return bytes[at] | (bytes[at + 1] << 8);
+}
+
+function readUint32(bytes: Uint8Array, at: number): number {
+  return (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+}
+
+/**
+ * A time as MS-DOS's local time and date words, which count from 1980 in
+ * two-second steps
+ */
+function dosDateTime(time: number): [number, number] {
+  const date = new Date(Math.max(time, new Date(1980, 0, 1).getTime()));
+  return [
+    (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  ];
+}
+
+function fromDosDateTime(time: number, date: number): number {
+  return new Date(
+    (date >> 9) + 1980,
+    ((date >> 5) & 0xf) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
@@ -0,0 +1,2238 @@
+// awk: a lexer, parser and interpreter for the language, covering POSIX
+// awk's patterns, actions, fields, arrays, functions and built-ins
+
+import { RegexError, translateRegex } from './regex';
+
+/**
+ * Raised for syntax errors and fatal errors running a program, with gawk's
+ * message. Each line of it goes after "awk: ".
+ */
+export class AwkError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AwkError';
+    Object.setPrototypeOf(this, AwkError.prototype);
+  }
+}
+
+/**
+ * An error as awk prints it, each line starting "awk: "
+ */
+export function describeAwkError(error: AwkError): string {
+  return error.message
+    .split('\n')
+    .map((line) => `awk: ${line}`)
+    .join('\n');
+}
+
+/**
+ * Program text, and what to call it in messages: cmd. line, or the file
+ * given with -f
+ */
+export interface AwkSource {
+  text: string;
+  name: string;
+}
+
+type TokenKind =
+  | 'number'
+  | 'string'
+  | 'regex'
+  | 'name'
+  | 'funcName'
+  | 'builtin'
+  | 'keyword'
+  | 'punct'
+  | 'newline'
+  | 'eof';
+
+interface Token {
+  kind: TokenKind;
+  text: string;
+  /** The number, or the string or regular expression with escapes resolved */
+  value: string | number;
+  line: number;
+  column: number;
+}
+
+const KEYWORDS = new Set([
+  'BEGIN',
+  'END',
+  'function',
+  'func',
+  'if',
+  'else',
+  'while',
+  'for',
+  'do',
+  'break',
+  'continue',
+  'next',
+  'exit',
+  'return',
+  'delete',
+  'in',
+  'getline',
+  'print',
+  'printf',
+]);
+
+const BUILTINS = new Set([
+  'length',
+  'substr',
+  'index',
+  'split',
+  'sub',
+  'gsub',
+  'match',
+  'sprintf',
+  'sin',
+  'cos',
+  'atan2',
+  'exp',
+  'log',
+  'sqrt',
+  'int',
+  'rand',
+  'srand',
+  'tolower',
+  'toupper',
+  'close',
+  'fflush',
+]);
+
+// Longest first, so >= is read before >
+const PUNCTUATION = [
+  '**=',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '%=',
+  '^=',
+  '**',
+  '==',
+  '<=',
+  '>=',
+  '!=',
+  '++',
+  '--',
+  '&&',
+  '||',
+  '>>',
+  '!~',
+  ...'{}()[];,+-*/%^!><|?:~$=',
+];
+
+const ASSIGNMENTS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '^=']);
+
+// Escapes in strings, and in regular expressions where they stand for a
+// character rather than an operator
+const ESCAPES: Record<string, string> = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  f: '\f',
+  v: '\v',
+  b: '\b',
+  a: '\x07',
+  '/': '/',
+  '"': '"',
+};
+
+/**
+ * Resolves the escapes in a string: \n, \t, \" and \\, \ and octal digits
+ */
+export function unescapeString(text: string): string {
+  return text.replace(/\\([0-7]{1,3}|.)/g, (_, escape: string) => {
+    if (/^[0-7]/.test(escape)) {
+      return String.fromCharCode(parseInt(escape, 8));
+    }
+    return ESCAPES[escape] || escape;
+  });
+}
+
+/**
+ * An error at a place in the program, shown with the line and a caret
+ * under where it went wrong as gawk shows it
+ */
+function syntaxError(source: AwkSource, line: number, column: number, message: string): AwkError {
+  const where = `${source.name}:${line}`;
+  const text = source.text.split('\n')[line - 1] || '';
+  return new AwkError(`${where}: ${text}\n${where}: ${' '.repeat(column)}^ ${message}`);
+}
+
+/**
+ * Splits a program into tokens. A / starts a regular expression unless it
+ * follows something that could end an operand, when it divides. Newlines
+ * after {, &&, ||, a comma, do and else don't end a statement.
+ */
+function tokenize(source: AwkSource): Token[] {
+  const text = source.text;
+  const tokens: Token[] = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+
+  const push = (
+    kind: TokenKind,
+    tokenText: string,
+    value: string | number,
+    start: number
+  ): void => {
+    tokens.push({ kind, text: tokenText, value, line, column: start - lineStart });
+  };
+  const divides = (): boolean => {
+    const last = tokens[tokens.length - 1];
+    if (!last) {
+      return false;
+    }
+    if (['number', 'string', 'regex', 'name', 'builtin'].includes(last.kind)) {
+      return true;
+    }
+    return last.kind === 'punct' && [')', ']', '$', '++', '--'].includes(last.text);
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const start = i;
+    if (char === ' ' || char === '\t' || char === '\r') {
+      i++;
+    } else if (char === '\\' && text[i + 1] === '\n') {
+      i += 2;
+      line++;
+      lineStart = i;
+    } else if (char === '#') {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+    } else if (char === '\n') {
+      const last = tokens[tokens.length - 1];
+      const continues =
+        last &&
+        (last.kind === 'punct' || last.kind === 'keyword') &&
+        ['{', '&&', '||', ',', 'do', 'else'].includes(last.text);
+      if (!continues && last && last.kind !== 'newline') {
+        push('newline', '\n', '\n', start);
+      }
+      i++;
+      line++;
+      lineStart = i;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      const number = text.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/)![0];
+      i += number.length;
+      push('number', number, parseFloat(number), start);
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (text[i] !== '"') {
+        if (i >= text.length || text[i] === '\n') {
+          throw syntaxError(source, line, start - lineStart, 'unterminated string');
+        }
+        if (text[i] === '\\' && text[i + 1] === '\n') {
+          i += 2;
+          continue;
+        }
+        value += text[i] === '\\' && i + 1 < text.length ? text[i++] + text[i++] : text[i++];
+      }
+      i++;
+      push('string', text.slice(start, i), unescapeString(value), start);
+    } else if (char === '/' && !divides()) {
+      // Escapes for characters are resolved here, and the rest left for
+      // translating the expression
+      let value = '';
+      let bracket = false;
+      i++;
+      while (bracket || text[i] !== '/') {
+        if (i >= text.length || text[i] === '\n') {
+          throw syntaxError(source, line, start - lineStart, 'unterminated regexp');
+        }
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const escaped = text[i + 1];
+          value += escaped in ESCAPES && escaped !== 'b' ? ESCAPES[escaped] : `\\${escaped}`;
+          i += 2;
+          continue;
+        }
+        if (text[i] === '[' && !bracket) {
+          bracket = true;
+          value += text[i++];
+          // A ] straight after [ or [^ is in the set
+          if (text[i] === '^') {
+            value += text[i++];
+          }
+          if (text[i] === ']') {
+            value += text[i++];
+          }
+          continue;
+        }
+        if (text[i] === ']') {
+          bracket = false;
+        }
+        value += text[i++];
+      }
+      i++;
+      push('regex', text.slice(start, i), value, start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)![0];
+      i += word.length;
+      if (KEYWORDS.has(word)) {
+        push('keyword', word === 'func' ? 'function' : word, word, start);
+      } else if (BUILTINS.has(word)) {
+        push('builtin', word, word, start);
+      } else {
+        push(text[i] === '(' ? 'funcName' : 'name', word, word, start);
+      }
+    } else {
+      const punct = PUNCTUATION.find((p) => text.startsWith(p, i));
+      if (!punct) {
+        throw syntaxError(source, line, start - lineStart, `invalid char '${char}' in expression`);
+      }
+      i += punct.length;
+      const normalized = punct === '**' ? '^' : punct === '**=' ? '^=' : punct;
+      push('punct', normalized, normalized, start);
+    }
+  }
+  push('eof', '', '', i);
+  return tokens;
+}
+
+/**
+ * An expression. Names may be scalars or arrays, and $ reads a field.
+ * A parenthesized list only goes before in, or after print.
+ */
+type AwkExpression =
+  | { kind: 'number'; value: number }
+  | { kind: 'string'; value: string }
+  | { kind: 'regex'; regex: RegExp }
+  | { kind: 'var'; name: string }
+  | { kind: 'index'; name: string; subscripts: AwkExpression[] }
+  | { kind: 'field'; index: AwkExpression }
+  | { kind: 'group'; items: AwkExpression[] }
+  | { kind: 'assign'; op: string; target: AwkExpression; value: AwkExpression }
+  | { kind: 'increment'; op: string; prefix: boolean; target: AwkExpression }
+  | { kind: 'condition'; test: AwkExpression; yes: AwkExpression; no: AwkExpression }
+  | { kind: 'logical'; op: string; left: AwkExpression; right: AwkExpression }
+  | { kind: 'in'; subscripts: AwkExpression[]; name: string }
+  | { kind: 'match'; negated: boolean; left: AwkExpression; right: AwkExpression }
+  | { kind: 'binary'; op: string; left: AwkExpression; right: AwkExpression }
+  | { kind: 'unary'; op: string; operand: AwkExpression }
+  | { kind: 'call'; name: string; args: AwkExpression[]; line: number }
+  | { kind: 'builtin'; name: string; args: AwkExpression[] }
+  | { kind: 'getline'; target: AwkExpression | null; file: AwkExpression | null };
+
+/**
+ * Where print and printf send their output: a file, truncated the first
+ * time with > or added to with >>
+ */
+interface Redirect {
+  mode: '>' | '>>';
+  target: AwkExpression;
+}
+
+type AwkStatement = { line: number } & (
+  | { kind: 'expression'; expression: AwkExpression }
+  | { kind: 'print' | 'printf'; args: AwkExpression[]; redirect: Redirect | null }
+  | { kind: 'block'; body: AwkStatement[] }
+  | { kind: 'if'; test: AwkExpression; then: AwkStatement; else: AwkStatement | null }
+  | { kind: 'while'; test: AwkExpression; body: AwkStatement }
+  | { kind: 'do'; body: AwkStatement; test: AwkExpression }
+  | {
+      kind: 'for';
+      init: AwkExpression | null;
+      test: AwkExpression | null;
+      update: AwkExpression | null;
+      body: AwkStatement;
+    }
+  | { kind: 'forIn'; variable: string; array: string; body: AwkStatement }
+  | { kind: 'delete'; name: string; subscripts: AwkExpression[] | null }
+  | { kind: 'exit' | 'return'; value: AwkExpression | null }
+  | { kind: 'next' | 'break' | 'continue' }
+);
+
+/**
+ * A pattern and its action. Without a pattern it's run for every record,
+ * and without an action it prints the record. With end it's a range.
+ */
+interface AwkRule {
+  pattern: AwkExpression | null;
+  end: AwkExpression | null;
+  action: AwkStatement | null;
+}
+
+interface AwkFunction {
+  params: string[];
+  body: AwkStatement;
+}
+
+/**
+ * A parsed program, run by runAwk
+ */
+export interface AwkProgram {
+  begin: AwkStatement[];
+  rules: AwkRule[];
+  end: AwkStatement[];
+  functions: Map<string, AwkFunction>;
+  source: AwkSource;
+}
+
+/**
+ * Parses tokens into a program by recursive descent, an operator's
+ * precedence deciding which function reads it
+ */
+class AwkParser {
+  private tokens: Token[];
+  private pos = 0;
+  /** Inside print's arguments, where > redirects rather than compares */
+  private printing = false;
+  private calls: { name: string; token: Token }[] = [];
+
+  constructor(private source: AwkSource) {
+    this.tokens = tokenize(source);
+  }
+
+  private get token(): Token {
+    return this.tokens[this.pos];
+  }
+
+  private is(text: string): boolean {
+    const { kind } = this.token;
+    return (kind === 'punct' || kind === 'keyword') && this.token.text === text;
+  }
+
+  private error(token = this.token): AwkError {
+    const message =
+      token.kind === 'eof' || token.kind === 'newline'
+        ? 'unexpected newline or end of string'
+        : 'syntax error';
+    return syntaxError(this.source, token.line, token.column, message);
+  }
+
+  private expect(text: string): Token {
+    if (!this.is(text)) {
+      throw this.error();
+    }
+    return this.tokens[this.pos++];
+  }
+
+  private skipNewlines(): void {
+    while (this.token.kind === 'newline') {
+      this.pos++;
+    }
+  }
+
+  private skipTerminators(): void {
+    while (this.token.kind === 'newline' || this.is(';')) {
+      this.pos++;
+    }
+  }
+
+  parse(): AwkProgram {
+    const program: AwkProgram = {
+      begin: [],
+      rules: [],
+      end: [],
+      functions: new Map(),
+      source: this.source,
+    };
+    this.skipTerminators();
+    while (this.token.kind !== 'eof') {
+      if (this.is('function')) {
+        this.parseFunction(program.functions);
+      } else if (this.is('BEGIN') || this.is('END')) {
+        const list = this.is('BEGIN') ? program.begin : program.end;
+        this.pos++;
+        if (!this.is('{')) {
+          throw this.error();
+        }
+        list.push(this.block());
+      } else if (this.is('{')) {
+        program.rules.push({ pattern: null, end: null, action: this.block() });
+      } else {
+        const pattern = this.expression();
+        const end = this.is(',') ? (this.pos++, this.expression()) : null;
+        const action = this.is('{') ? this.block() : null;
+        program.rules.push({ pattern, end, action });
+      }
+      this.skipTerminators();
+    }
+
+    for (const { name, token } of this.calls) {
+      if (!program.functions.has(name)) {
+        const where = `${this.source.name}:${token.line}`;
+        throw new AwkError(`${where}: fatal: function \`${name}' not defined`);
+      }
+    }
+    return program;
+  }
+
+  private parseFunction(functions: Map<string, AwkFunction>): void {
+    this.pos++;
+    const name = this.token;
+    if (name.kind !== 'name' && name.kind !== 'funcName') {
+      throw this.error();
+    }
+    this.pos++;
+    this.expect('(');
+    const params: string[] = [];
+    while (!this.is(')')) {
+      if (this.token.kind !== 'name') {
+        throw this.error();
+      }
+      params.push(this.token.text);
+      this.pos++;
+      if (!this.is(')')) {
+        this.expect(',');
+      }
+    }
+    this.pos++;
+    this.skipNewlines();
+    if (!this.is('{')) {
+      throw this.error();
+    }
+    functions.set(name.text, { params, body: this.block() });
+  }
+
+  private block(): AwkStatement {
+    const line = this.expect('{').line;
+    const body: AwkStatement[] = [];
+    this.skipTerminators();
+    while (!this.is('}')) {
+      if (this.token.kind === 'eof') {
+        throw this.error();
+      }
+      body.push(this.statement());
+      this.skipTerminators();
+    }
+    this.pos++;
+    return { kind: 'block', body, line };
+  }
+
+  /**
+   * A statement, or the empty one ; as the body of a loop
+   */
+  private body(): AwkStatement {
+    if (this.is(';')) {
+      this.pos++;
+      return { kind: 'block', body: [], line: this.token.line };
+    }
+    this.skipNewlines();
+    return this.statement();
+  }
+
+  private condition(): AwkExpression {
+    this.expect('(');
+    const test = this.expression();
+    this.expect(')');
+    return test;
+  }
+
+  private statement(): AwkStatement {
+    const line = this.token.line;
+    if (this.is('{')) {
+      return this.block();
+    }
+    if (this.is('if')) {
+      this.pos++;
+      const test = this.condition();
+      const then = this.body();
+      const before = this.pos;
+      this.skipTerminators();
+      if (this.is('else')) {
+        this.pos++;
+        return { kind: 'if', test, then, else: this.body(), line };
+      }
+      this.pos = before;
+      return { kind: 'if', test, then, else: null, line };
+    }
+    if (this.is('while')) {
+      this.pos++;
+      const test = this.condition();
+      return { kind: 'while', test, body: this.body(), line };
+    }
+    if (this.is('do')) {
+      this.pos++;
+      const body = this.body();
+      this.skipTerminators();
+      this.expect('while');
+      const test = this.condition();
+      this.endSimple();
+      return { kind: 'do', body, test, line };
+    }
+    if (this.is('for')) {
+      return this.forStatement();
+    }
+
+    const statement = this.simpleStatement();
+    this.endSimple();
+    return statement;
+  }
+
+  private forStatement(): AwkStatement {
+    const line = this.token.line;
+    this.pos++;
+    this.expect('(');
+    const [variable, keyword, array, close] = this.tokens.slice(this.pos, this.pos + 4);
+    if (
+      variable.kind === 'name' &&
+      keyword.text === 'in' &&
+      array.kind === 'name' &&
+      close.text === ')'
+    ) {
+      this.pos += 4;
+      return { kind: 'forIn', variable: variable.text, array: array.text, body: this.body(), line };
+    }
+
+    const init = this.is(';') ? null : this.expression();
+    this.expect(';');
+    this.skipNewlines();
+    const test = this.is(';') ? null : this.expression();
+    this.expect(';');
+    this.skipNewlines();
+    const update = this.is(')') ? null : this.expression();
+    this.expect(')');
+    return { kind: 'for', init, test, update, body: this.body(), line };
+  }
+
+  /**
+   * Checks a simple statement ends with a newline, ; or }
+   */
+  private endSimple(): void {
+    if (this.is(';') || this.token.kind === 'newline') {
+      this.pos++;
+    } else if (this.is('|')) {
+      const { line, column } = this.token;
+      throw syntaxError(this.source, line, column, 'pipes to and from commands are not supported');
+    } else if (!this.is('}') && this.token.kind !== 'eof') {
+      throw this.error();
+    }
+  }
+
+  private simpleStatement(): AwkStatement {
+    const token = this.token;
+    const line = token.line;
+    if (token.kind !== 'keyword') {
+      return { kind: 'expression', expression: this.expression(), line };
+    }
+
+    switch (token.text) {
+      case 'print':
+      case 'printf':
+        return this.printStatement();
+      case 'next':
+      case 'break':
+      case 'continue':
+        this.pos++;
+        return { kind: token.text as 'next' | 'break' | 'continue', line };
+      case 'exit':
+      case 'return': {
+        this.pos++;
+        const ends = this.is(';') || this.is('}') || ['newline', 'eof'].includes(this.token.kind);
+        const kind = token.text as 'exit' | 'return';
+        return { kind, value: ends ? null : this.expression(), line };
+      }
+      case 'delete': {
+        this.pos++;
+        const name = this.token;
+        if (name.kind !== 'name') {
+          throw this.error();
+        }
+        this.pos++;
+        let subscripts: AwkExpression[] | null = null;
+        if (this.is('[')) {
+          this.pos++;
+          subscripts = this.expressionList(']');
+        }
+        return { kind: 'delete', name: name.text, subscripts, line };
+      }
+      default:
+        return { kind: 'expression', expression: this.expression(), line };
+    }
+  }
+
+  private printStatement(): AwkStatement {
+    const token = this.tokens[this.pos++];
+    const kind = token.text as 'print' | 'printf';
+    let args: AwkExpression[] = [];
+    const ends = (): boolean =>
+      this.is(';') ||
+      this.is('}') ||
+      this.is('>') ||
+      this.is('>>') ||
+      this.is('|') ||
+      ['newline', 'eof'].includes(this.token.kind);
+
+    if (!ends()) {
+      this.printing = true;
+      args.push(this.expression());
+      while (this.is(',')) {
+        this.pos++;
+        args.push(this.expression());
+      }
+      this.printing = false;
+    }
+    if (args.length === 1 && args[0].kind === 'group') {
+      args = args[0].items;
+    }
+    if (kind === 'printf' && args.length === 0) {
+      throw this.error();
+    }
+
+    let redirect: Redirect | null = null;
+    if (this.is('>') || this.is('>>')) {
+      const mode = this.tokens[this.pos++].text as '>' | '>>';
+      this.printing = true;
+      redirect = { mode, target: this.concatenation() };
+      this.printing = false;
+    }
+    return { kind, args, redirect, line: token.line };
+  }
+
+  /**
+   * Expressions separated by commas, up to the closing bracket
+   */
+  private expressionList(close: string): AwkExpression[] {
+    const printing = this.printing;
+    this.printing = false;
+    const list: AwkExpression[] = [];
+    while (!this.is(close)) {
+      list.push(this.expression());
+      if (!this.is(close)) {
+        this.expect(',');
+      }
+    }
+    this.pos++;
+    this.printing = printing;
+    return list;
+  }
+
+  expression(): AwkExpression {
+    const left = this.ternary();
+    if (this.token.kind === 'punct' && ASSIGNMENTS.has(this.token.text) && isLvalue(left)) {
+      const op = this.tokens[this.pos++].text;
+      this.skipNewlines();
+      return { kind: 'assign', op, target: left, value: this.expression() };
+    }
+    return left;
+  }
+
+  private ternary(): AwkExpression {
+    const test = this.or();
+    if (!this.is('?')) {
+      return test;
+    }
+    this.pos++;
+    this.skipNewlines();
+    const yes = this.expression();
+    this.skipNewlines();
+    this.expect(':');
+    this.skipNewlines();
+    return { kind: 'condition', test, yes, no: this.expression() };
+  }
+
+  private or(): AwkExpression {
+    let left = this.and();
+    while (this.is('||')) {
+      this.pos++;
+      left = { kind: 'logical', op: '||', left, right: this.and() };
+    }
+    return left;
+  }
+
+  private and(): AwkExpression {
+    let left = this.inExpression();
+    while (this.is('&&')) {
+      this.pos++;
+      left = { kind: 'logical', op: '&&', left, right: this.inExpression() };
+    }
+    return left;
+  }
+
+  private inExpression(): AwkExpression {
+    let left = this.match();
+    while (this.is('in')) {
+      this.pos++;
+      const name = this.token;
+      if (name.kind !== 'name') {
+        throw this.error();
+      }
+      this.pos++;
+      const subscripts = left.kind === 'group' ? left.items : [left];
+      left = { kind: 'in', subscripts, name: name.text };
+    }
+    return left;
+  }
+
+  private match(): AwkExpression {
+    let left = this.comparison();
+    while (this.is('~') || this.is('!~')) {
+      const negated = this.tokens[this.pos++].text === '!~';
+      left = { kind: 'match', negated, left, right: this.comparison() };
+    }
+    return left;
+  }
+
+  private comparison(): AwkExpression {
+    const left = this.concatenation();
+    const op = this.token.text;
+    if (
+      this.token.kind === 'punct' &&
+      ['<', '<=', '==', '!=', '>=', '>'].includes(op) &&
+      !(this.printing && op === '>')
+    ) {
+      this.pos++;
+      return { kind: 'binary', op, left, right: this.concatenation() };
+    }
+    return left;
+  }
+
+  /**
+   * Whether the current token starts an operand, so one operand after
+   * another concatenates them. Unary + and - subtract instead.
+   */
+  private startsOperand(): boolean {
+    const { kind, text } = this.token;
+    if (['number', 'string', 'regex', 'name', 'funcName', 'builtin'].includes(kind)) {
+      return true;
+    }
+    return kind === 'punct' && ['$', '(', '++', '--'].includes(text);
+  }
+
+  private concatenation(): AwkExpression {
+    let left = this.additive();
+    while (this.startsOperand()) {
+      left = { kind: 'binary', op: ' ', left, right: this.additive() };
+    }
+    return left;
+  }
+
+  private additive(): AwkExpression {
+    let left = this.multiplicative();
+    while (this.is('+') || this.is('-')) {
+      const op = this.tokens[this.pos++].text;
+      left = { kind: 'binary', op, left, right: this.multiplicative() };
+    }
+    return left;
+  }
+
+  private multiplicative(): AwkExpression {
+    let left = this.unary();
+    while (this.is('*') || this.is('/') || this.is('%')) {
+      const op = this.tokens[this.pos++].text;
+      left = { kind: 'binary', op, left, right: this.unary() };
+    }
+    return left;
+  }
+
+  private unary(): AwkExpression {
+    if (this.is('!') || this.is('-') || this.is('+')) {
+      const op = this.tokens[this.pos++].text;
+      return { kind: 'unary', op, operand: this.unary() };
+    }
+    return this.power();
+  }
+
+  private power(): AwkExpression {
+    const base = this.increment();
+    if (!this.is('^')) {
+      return base;
+    }
+    this.pos++;
+    // The exponent may have a sign, and ^ groups to the right
+    let signs = '';
+    while (this.is('-') || this.is('+') || this.is('!')) {
+      signs += this.tokens[this.pos++].text;
+    }
+    let exponent = this.power();
+    for (const op of Array.from(signs).reverse()) {
+      exponent = { kind: 'unary', op, operand: exponent };
+    }
+    return { kind: 'binary', op: '^', left: base, right: exponent };
+  }
+
+  private increment(): AwkExpression {
+    if (this.is('++') || this.is('--')) {
+      const op = this.tokens[this.pos++].text;
+      const target = this.increment();
+      if (!isLvalue(target)) {
+        throw this.error();
+      }
+      return { kind: 'increment', op, prefix: true, target };
+    }
+    const operand = this.primary();
+    if ((this.is('++') || this.is('--')) && isLvalue(operand)) {
+      const op = this.tokens[this.pos++].text;
+      return { kind: 'increment', op, prefix: false, target: operand };
+    }
+    return operand;
+  }
+
+  private primary(): AwkExpression {
+    const token = this.token;
+    switch (token.kind) {
+      case 'number':
+        this.pos++;
+        return { kind: 'number', value: token.value as number };
+      case 'string':
+        this.pos++;
+        return { kind: 'string', value: token.value as string };
+      case 'regex':
+        this.pos++;
+        try {
+          return { kind: 'regex', regex: new RegExp(translateRegex(token.value as string, true)) };
+        } catch (error) {
+          if (error instanceof RegexError) {
+            throw syntaxError(this.source, token.line, token.column, error.message);
+          }
+          throw error;
+        }
+      case 'name':
+        this.pos++;
+        if (this.is('[')) {
+          this.pos++;
+          return { kind: 'index', name: token.text, subscripts: this.expressionList(']') };
+        }
+        return { kind: 'var', name: token.text };
+      case 'funcName':
+        this.pos += 2;
+        this.calls.push({ name: token.text, token });
+        return { kind: 'call', name: token.text, args: this.expressionList(')'), line: token.line };
+      case 'builtin': {
+        this.pos++;
+        if (!this.is('(')) {
+          if (token.text !== 'length') {
+            throw this.error();
+          }
+          return { kind: 'builtin', name: token.text, args: [] };
+        }
+        this.pos++;
+        return { kind: 'builtin', name: token.text, args: this.expressionList(')') };
+      }
+      case 'keyword':
+        if (token.text === 'getline') {
+          return this.getline();
+        }
+        break;
+      case 'punct':
+        if (token.text === '$') {
+          this.pos++;
+          if (this.is('-') || this.is('+') || this.is('!')) {
+            const op = this.tokens[this.pos++].text;
+            return { kind: 'field', index: { kind: 'unary', op, operand: this.increment() } };
+          }
+          return { kind: 'field', index: this.increment() };
+        }
+        if (token.text === '(') {
+          this.pos++;
+          const items = this.expressionList(')');
+          if (items.length === 0) {
+            throw this.error(token);
+          }
+          return items.length === 1 ? items[0] : { kind: 'group', items };
+        }
+        break;
+    }
+    throw this.error();
+  }
+
+  /**
+   * getline, into a variable or the record, from the input or a file
+   */
+  private getline(): AwkExpression {
+    this.pos++;
+    let target: AwkExpression | null = null;
+    if (this.token.kind === 'name' || this.is('$')) {
+      target = this.primary();
+    }
+    let file: AwkExpression | null = null;
+    if (this.is('<')) {
+      this.pos++;
+      file = this.primary();
+    }
+    return { kind: 'getline', target, file };
+  }
+}
+
+function isLvalue(expression: AwkExpression): boolean {
+  return ['var', 'index', 'field'].includes(expression.kind);
+}
+
+/**
+ * Parses a program, throwing AwkError for a syntax error
+ */
+export function parseAwk(source: AwkSource): AwkProgram {
+  return new AwkParser(source).parse();
+}
+
+/**
+ * Text that came from input, such as a field, which compares as a number
+ * when it looks like one
+ */
+class StrNum {
+  constructor(readonly text: string) {}
+}
+
+/** A value: undefined for one never set, which is both "" and 0 */
+type AwkValue = number | string | StrNum | undefined;
+type AwkArray = Map<string, AwkValue>;
+type Cell = AwkValue | AwkArray;
+
+// Signals for statements that leave a loop, a rule or a function
+class NextSignal {}
+class BreakSignal {}
+class ContinueSignal {}
+class ExitSignal {
+  constructor(readonly status: number) {}
+}
+class ReturnSignal {
+  constructor(readonly value: AwkValue) {}
+}
+
+const NUMERIC = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?\s*$/;
+const NUMERIC_PREFIX = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+/**
+ * What a program can read: stdin, the environment and files
+ */
+export interface AwkHost {
+  stdin: string;
+  environment: Record<string, string>;
+  /** A file's contents, or the error opening it */
+  readFile(path: string): { content: string } | string;
+}
+
+/**
+ * A file print or printf wrote to with > or >>
+ */
+export interface AwkOutputFile {
+  path: string;
+  content: string;
+  append: boolean;
+}
+
+export interface AwkResult {
+  output: string;
+  errors: string;
+  exitCode: number;
+  files: AwkOutputFile[];
+}
+
+/**
+ * A program as it runs. It yields at each record and each turn of a loop,
+ * so whoever runs it can stop there for a while, or not resume it at all.
+ */
+export type AwkSteps<T> = Generator<void, T, undefined>;
+
+/**
+ * Runs a program over the operands, files and var=value assignments, or
+ * stdin when there are no files. Assignments from -v are made before BEGIN.
+ */
+export function runAwk(
+  program: AwkProgram,
+  operands: string[],
+  assignments: string[],
+  host: AwkHost
+): AwkSteps<AwkResult> {
+  return new AwkRun(program, operands, host).run(assignments);
+}
+
+/**
+ * An input being read a record at a time
+ */
+interface AwkInput {
+  text: string;
+  pos: number;
+}
+
+/**
+ * The state of running a program: variables, the current record and its
+ * fields, and where input and output have got to
+ */
+class AwkRun {
+  private globals = new Map<string, Cell>();
+  private frames: Map<string, Cell>[] = [];
+  private record = '';
+  private fields: string[] = [];
+  private input: AwkInput | null = null;
+  private argument = 1;
+  private readFiles = false;
+  private readers = new Map<string, AwkInput>();
+  private output = '';
+  private errors = '';
+  private files = new Map<string, AwkOutputFile>();
+  private open = new Set<string>();
+  private regexes = new Map<string, RegExp>();
+  private ranges = new Set<AwkRule>();
+  private line = 1;
+  private seed = 0;
+  private state = 0;
+
+  constructor(
+    private program: AwkProgram,
+    operands: string[],
+    private host: AwkHost
+  ) {
+    const set = (name: string, value: Cell): void => {
+      this.globals.set(name, value);
+    };
+    set('FS', ' ');
+    set('OFS', ' ');
+    set('ORS', '\n');
+    set('RS', '\n');
+    set('NR', 0);
+    set('FNR', 0);
+    set('FILENAME', '');
+    set('SUBSEP', '\x1c');
+    set('RSTART', 0);
+    set('RLENGTH', -1);
+    set('CONVFMT', '%.6g');
+    set('OFMT', '%.6g');
+    set('ARGC', operands.length + 1);
+    set('ARGV', new Map(['awk', ...operands].map((arg, i) => [String(i), new StrNum(arg)])));
+    const environment = Object.entries(host.environment);
+    set('ENVIRON', new Map(environment.map(([name, value]) => [name, new StrNum(value)])));
+  }
+
+  *run(assignments: string[]): AwkSteps<AwkResult> {
+    let exitCode = 0;
+    try {
+      for (const assignment of assignments) {
+        if (!this.assignOperand(assignment)) {
+          throw new AwkError(`fatal: \`${assignment}' argument to \`-v' not in \`var=value' form`);
+        }
+      }
+      try {
+        for (const action of this.program.begin) {
+          yield* this.execute(action);
+        }
+        if (this.program.rules.length > 0 || this.program.end.length > 0) {
+          yield* this.readRecords();
+        }
+      } catch (signal) {
+        if (!(signal instanceof ExitSignal)) {
+          throw signal;
+        }
+        exitCode = signal.status;
+      }
+      try {
+        for (const action of this.program.end) {
+          yield* this.execute(action);
+        }
+      } catch (signal) {
+        if (!(signal instanceof ExitSignal)) {
+          throw signal;
+        }
+        exitCode = signal.status;
+      }
+    } catch (error) {
+      if (error instanceof AwkError) {
+        this.errors += `${describeAwkError(error)}\n`;
+      } else if (error instanceof RangeError) {
+        this.errors += `awk: ${this.where()}: fatal: function call nesting too deep\n`;
+      } else {
+        throw error;
+      }
+      exitCode = 2;
+    }
+    return {
+      output: this.output,
+      errors: this.errors,
+      exitCode,
+      files: Array.from(this.files.values()),
+    };
+  }
+
+  private where(): string {
+    return `${this.program.source.name}:${this.line}`;
+  }
+
+  private fatal(message: string): AwkError {
+    return new AwkError(`${this.where()}: fatal: ${message}`);
+  }
+
+  private *readRecords(): AwkSteps<void> {
+    let record: string | null;
+    while ((record = this.nextRecord()) !== null) {
+      yield;
+      this.setRecord(record);
+      for (const rule of this.program.rules) {
+        if (!(yield* this.selects(rule))) {
+          continue;
+        }
+        try {
+          if (rule.action) {
+            yield* this.execute(rule.action);
+          } else {
+            yield* this.write(`${this.record}${this.getString('ORS')}`, null);
+          }
+        } catch (signal) {
+          if (signal instanceof NextSignal) {
+            break;
+          }
+          throw signal;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a rule's pattern matches the record. A range matches from a
+   * record matching its pattern through one matching its end.
+   */
+  private *selects(rule: AwkRule): AwkSteps<boolean> {
+    if (!rule.pattern) {
+      return true;
+    }
+    if (!rule.end) {
+      return this.truth(yield* this.evaluate(rule.pattern));
+    }
+    if (!this.ranges.has(rule)) {
+      if (!this.truth(yield* this.evaluate(rule.pattern))) {
+        return false;
+      }
+      this.ranges.add(rule);
+    }
+    if (this.truth(yield* this.evaluate(rule.end))) {
+      this.ranges.delete(rule);
+    }
+    return true;
+  }
+
+  /**
+   * Reads the next record of the main input, moving through the operands
+   * in ARGV, counting it in NR and FNR
+   */
+  private nextRecord(): string | null {
+    for (;;) {
+      if (!this.input && !this.openNextInput()) {
+        return null;
+      }
+      const record = this.readRecord(this.input!);
+      if (record !== null) {
+        this.globals.set('NR', this.getNumber('NR') + 1);
+        this.globals.set('FNR', this.getNumber('FNR') + 1);
+        return record;
+      }
+      this.input = null;
+    }
+  }
+
+  private openNextInput(): boolean {
+    const argv = this.getArray('ARGV');
+    while (this.argument < this.getNumber('ARGC')) {
+      const arg = this.toString(argv.get(String(this.argument++)));
+      if (!arg || this.assignOperand(arg)) {
+        continue;
+      }
+      let text: string;
+      if (arg === '-') {
+        text = this.host.stdin;
+      } else {
+        const file = this.host.readFile(arg);
+        if (typeof file === 'string') {
+          throw this.fatal(`cannot open file \`${arg}' for reading: ${file}`);
+        }
+        text = file.content;
+      }
+      this.readFiles = true;
+      this.globals.set('FILENAME', arg);
+      this.globals.set('FNR', 0);
+      this.input = { text, pos: 0 };
+      return true;
+    }
+    if (this.readFiles) {
+      return false;
+    }
+    this.readFiles = true;
+    this.input = { text: this.host.stdin, pos: 0 };
+    return true;
+  }
+
+  /**
+   * Makes an assignment given as an operand or with -v, resolving escapes
+   * in the value. Gives false when it isn't one.
+   */
+  private assignOperand(operand: string): boolean {
+    const match = operand.match(/^([A-Za-z_][A-Za-z0-9_]*)=([^]*)$/);
+    if (!match) {
+      return false;
+    }
+    this.setVariable(match[1], new StrNum(unescapeString(match[2])));
+    return true;
+  }
+
+  /**
+   * Reads the next record from an input, separated by RS: a newline, any
+   * other character, a regular expression, or blank lines when it's empty
+   */
+  private readRecord(input: AwkInput): string | null {
+    const separator = this.getString('RS');
+    const { text } = input;
+    if (separator === '') {
+      while (text[input.pos] === '\n') {
+        input.pos++;
+      }
+    }
+    if (input.pos >= text.length) {
+      return null;
+    }
+
+    let end: number;
+    let next: number;
+    if (separator.length === 1) {
+      end = text.indexOf(separator, input.pos);
+      next = end + 1;
+    } else {
+      const regex = new RegExp(separator === '' ? '\n\n+' : this.regex(separator).source, 'g');
+      regex.lastIndex = input.pos;
+      const match = regex.exec(text);
+      end = match ? match.index : -1;
+      next = match ? end + match[0].length : -1;
+    }
+    if (end === -1) {
+      end = text.length;
+      next = text.length;
+      if (separator === '' && text.endsWith('\n')) {
+        end--;
+      }
+    }
+    const record = text.slice(input.pos, end);
+    input.pos = next;
+    return record;
+  }
+
+  private setRecord(record: string): void {
+    this.record = record;
+    this.fields = this.split(record, this.getString('FS'));
+  }
+
+  /**
+   * Splits text into fields: at runs of blanks for a single space, at a
+   * single character, or at matches of a regular expression. Newlines
+   * separate fields too when RS is empty.
+   */
+  private split(text: string, separator: string | RegExp): string[] {
+    const paragraphs = this.getString('RS') === '';
+    if (separator === ' ') {
+      const trimmed = text.replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+      return trimmed ? trimmed.split(/[ \t\n]+/) : [];
+    }
+    if (text === '') {
+      return [];
+    }
+    if (separator === '') {
+      return Array.from(text);
+    }
+    let regex: RegExp;
+    if (separator instanceof RegExp) {
+      regex = separator;
+    } else if (separator.length === 1 && separator !== '\\') {
+      regex = new RegExp(separator.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&'));
+    } else {
+      regex = this.regex(separator);
+    }
+    const source = paragraphs ? `${regex.source}|\n` : regex.source;
+    const search = new RegExp(source, `${regex.flags.replace('g', '')}g`);
+
+    const fields: string[] = [];
+    let start = 0;
+    let match: RegExpExecArray | null;
+    while ((match = search.exec(text))) {
+      if (match[0] === '') {
+        search.lastIndex++;
+        continue;
+      }
+      fields.push(text.slice(start, match.index));
+      start = match.index + match[0].length;
+    }
+    fields.push(text.slice(start));
+    return fields;
+  }
+
+  private getField(index: number): AwkValue {
+    if (index === 0) {
+      return new StrNum(this.record);
+    }
+    return index <= this.fields.length ? new StrNum(this.fields[index - 1]) : undefined;
+  }
+
+  /**
+   * Sets a field, adding empty ones up to it, and rebuilds the record
+   * joined with OFS. Setting $0 splits it into fields again.
+   */
+  private setField(index: number, value: AwkValue): void {
+    if (index === 0) {
+      this.setRecord(this.toString(value));
+      return;
+    }
+    while (this.fields.length < index) {
+      this.fields.push('');
+    }
+    this.fields[index - 1] = this.toString(value);
+    this.record = this.fields.join(this.getString('OFS'));
+  }
+
+  private setFieldCount(count: number): void {
+    count = Math.max(Math.trunc(count), 0);
+    this.fields = this.fields.slice(0, count);
+    while (this.fields.length < count) {
+      this.fields.push('');
+    }
+    this.record = this.fields.join(this.getString('OFS'));
+  }
+
+  private *fieldIndex(expression: AwkExpression): AwkSteps<number> {
+    const index = Math.trunc(this.toNumber(yield* this.evaluate(expression)));
+    if (index < 0) {
+      throw this.fatal(`attempt to access field ${index}`);
+    }
+    return index;
+  }
+
+  /**
+   * The scope a name is in: the running function's parameters, or globals
+   */
+  private scope(name: string): Map<string, Cell> {
+    const frame = this.frames[this.frames.length - 1];
+    return frame && frame.has(name) ? frame : this.globals;
+  }
+
+  private getVariable(name: string): AwkValue {
+    if (name === 'NF') {
+      return this.fields.length;
+    }
+    const cell = this.scope(name).get(name);
+    if (cell instanceof Map) {
+      throw this.fatal(`attempt to use array \`${name}' in a scalar context`);
+    }
+    return cell;
+  }
+
+  private setVariable(name: string, value: AwkValue): void {
+    if (name === 'NF') {
+      this.setFieldCount(this.toNumber(value));
+      return;
+    }
+    const scope = this.scope(name);
+    if (scope.get(name) instanceof Map) {
+      throw this.fatal(`attempt to use array \`${name}' in a scalar context`);
+    }
+    scope.set(name, value);
+  }
+
+  private getArray(name: string): AwkArray {
+    const scope = this.scope(name);
+    const cell = scope.get(name);
+    if (cell instanceof Map) {
+      return cell;
+    }
+    if (cell !== undefined || name === 'NF') {
+      throw this.fatal(`attempt to use scalar \`${name}' as an array`);
+    }
+    const array: AwkArray = new Map();
+    scope.set(name, array);
+    return array;
+  }
+
+  private getString(name: string): string {
+    return this.toString(this.getVariable(name));
+  }
+
+  private getNumber(name: string): number {
+    return this.toNumber(this.getVariable(name));
+  }
+
+  private toNumber(value: AwkValue): number {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value === undefined) {
+      return 0;
+    }
+    const text = typeof value === 'string' ? value : value.text;
+    const match = text.match(NUMERIC_PREFIX);
+    return match ? parseFloat(match[0]) : 0;
+  }
+
+  /**
+   * A value as a string, numbers formatted with CONVFMT, or with format for
+   * output. Whole numbers are always printed as integers.
+   */
+  private toString(value: AwkValue, format?: string): string {
+    if (typeof value === 'string') {
+      return value;
+    }
+    if (value === undefined) {
+      return '';
+    }
+    if (value instanceof StrNum) {
+      return value.text;
+    }
+    if (Number.isInteger(value)) {
+      return Math.abs(value) < 1e21 ? String(value) : BigInt(value).toString();
+    }
+    return this.format(format || this.getString('CONVFMT'), [value]);
+  }
+
+  /**
+   * Whether a value compares as a number: a number, input that looks like
+   * one, or a value never set
+   */
+  private isNumeric(value: AwkValue): boolean {
+    return (
+      typeof value === 'number' ||
+      value === undefined ||
+      (value instanceof StrNum && NUMERIC.test(value.text))
+    );
+  }
+
+  private truth(value: AwkValue): boolean {
+    if (typeof value === 'number') {
+      return value !== 0;
+    }
+    if (value instanceof StrNum && NUMERIC.test(value.text)) {
+      return this.toNumber(value) !== 0;
+    }
+    return this.toString(value) !== '';
+  }
+
+  private compare(left: AwkValue, right: AwkValue): number {
+    if (this.isNumeric(left) && this.isNumeric(right)) {
+      const a = this.toNumber(left);
+      const b = this.toNumber(right);
+      return a < b ? -1 : a > b ? 1 : 0;
+    }
+    const a = this.toString(left);
+    const b = this.toString(right);
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * A dynamic regular expression, from a string, compiled once
+   */
+  private regex(pattern: string): RegExp {
+    let regex = this.regexes.get(pattern);
+    if (!regex) {
+      try {
+        regex = new RegExp(translateRegex(pattern, true));
+      } catch (error) {
+        if (error instanceof RegexError) {
+          throw this.fatal(`${error.message}: /${pattern}/`);
+        }
+        throw error;
+      }
+      this.regexes.set(pattern, regex);
+    }
+    return regex;
+  }
+
+  /**
+   * The regular expression an operand stands for: a /literal/, or the
+   * string a value gives
+   */
+  private *toRegex(expression: AwkExpression): AwkSteps<RegExp> {
+    if (expression.kind === 'regex') {
+      return expression.regex;
+    }
+    return this.regex(this.toString(yield* this.evaluate(expression)));
+  }
+
+  private *subscript(subscripts: AwkExpression[]): AwkSteps<string> {
+    const keys: string[] = [];
+    for (const subscript of subscripts) {
+      keys.push(this.toString(yield* this.evaluate(subscript)));
+    }
+    return keys.join(this.getString('SUBSEP'));
+  }
+
+  /**
+   * Something that can be assigned to, resolved once so a[i++] += 1 only
+   * increments i once
+   */
+  private *reference(target: AwkExpression): AwkSteps<{
+    get: () => AwkValue;
+    set: (value: AwkValue) => void;
+  }> {
+    if (target.kind === 'field') {
+      const index = yield* this.fieldIndex(target.index);
+      return { get: () => this.getField(index), set: (value) => this.setField(index, value) };
+    }
+    if (target.kind === 'index') {
+      const array = this.getArray(target.name);
+      const key = yield* this.subscript(target.subscripts);
+      return { get: () => array.get(key), set: (value) => array.set(key, value) };
+    }
+    if (target.kind === 'var') {
+      const { name } = target;
+      return {
+        get: () => this.getVariable(name),
+        set: (value) => this.setVariable(name, value),
+      };
+    }
+    throw this.fatal('attempt to assign to a value that is not a variable');
+  }
+
+  private *write(text: string, redirect: Redirect | null): AwkSteps<void> {
+    if (!redirect) {
+      this.output += text;
+      return;
+    }
+    const path = this.toString(yield* this.evaluate(redirect.target));
+    if (path === '/dev/stdout' || path === '-') {
+      this.output += text;
+    } else if (path === '/dev/stderr') {
+      this.errors += text;
+    } else {
+      // The first > after opening truncates; later prints add to the file
+      if (!this.open.has(path)) {
+        this.open.add(path);
+        const file = this.files.get(path);
+        if (redirect.mode === '>' || !file) {
+          this.files.set(path, { path, content: '', append: redirect.mode === '>>' });
+        }
+      }
+      this.files.get(path)!.content += text;
+    }
+  }
+
+  private *execute(statement: AwkStatement): AwkSteps<void> {
+    this.line = statement.line;
+    switch (statement.kind) {
+      case 'expression':
+        yield* this.evaluate(statement.expression);
+        break;
+      case 'print': {
+        const values = yield* this.evaluateAll(statement.args);
+        const ofmt = this.getString('OFMT');
+        const text =
+          values.length === 0
+            ? this.record
+            : values.map((value) => this.toString(value, ofmt)).join(this.getString('OFS'));
+        yield* this.write(`${text}${this.getString('ORS')}`, statement.redirect);
+        break;
+      }
+      case 'printf': {
+        const [format, ...values] = yield* this.evaluateAll(statement.args);
+        yield* this.write(this.format(this.toString(format), values), statement.redirect);
+        break;
+      }
+      case 'block':
+        for (const child of statement.body) {
+          yield* this.execute(child);
+        }
+        break;
+      case 'if':
+        if (this.truth(yield* this.evaluate(statement.test))) {
+          yield* this.execute(statement.then);
+        } else if (statement.else) {
+          yield* this.execute(statement.else);
+        }
+        break;
+      case 'while':
+        while (this.truth(yield* this.evaluate(statement.test))) {
+          if (yield* this.loop(statement.body)) {
+            break;
+          }
+        }
+        break;
+      case 'do':
+        do {
+          if (yield* this.loop(statement.body)) {
+            break;
+          }
+        } while (this.truth(yield* this.evaluate(statement.test)));
+        break;
+      case 'for':
+        if (statement.init) {
+          yield* this.evaluate(statement.init);
+        }
+        while (!statement.test || this.truth(yield* this.evaluate(statement.test))) {
+          if (yield* this.loop(statement.body)) {
+            break;
+          }
+          if (statement.update) {
+            yield* this.evaluate(statement.update);
+          }
+        }
+        break;
+      case 'forIn': {
+        const array = this.getArray(statement.array);
+        for (const key of Array.from(array.keys())) {
+          if (!array.has(key)) {
+            continue;
+          }
+          this.setVariable(statement.variable, new StrNum(key));
+          if (yield* this.loop(statement.body)) {
+            break;
+          }
+        }
+        break;
+      }
+      case 'delete': {
+        const array = this.getArray(statement.name);
+        if (statement.subscripts) {
+          array.delete(yield* this.subscript(statement.subscripts));
+        } else {
+          array.clear();
+        }
+        break;
+      }
+      case 'next':
+        throw new NextSignal();
+      case 'break':
+        throw new BreakSignal();
+      case 'continue':
+        throw new ContinueSignal();
+      case 'exit':
+        throw new ExitSignal(
+          statement.value
+            ? Math.trunc(this.toNumber(yield* this.evaluate(statement.value))) & 255
+            : 0
+        );
+      case 'return':
+        throw new ReturnSignal(statement.value ? yield* this.evaluate(statement.value) : undefined);
+    }
+  }
+
+  /**
+   * Runs a loop's body once, giving true when break leaves the loop
+   */
+  private *loop(body: AwkStatement): AwkSteps<boolean> {
+    yield;
+    try {
+      yield* this.execute(body);
+    } catch (signal) {
+      if (signal instanceof BreakSignal) {
+        return true;
+      }
+      if (!(signal instanceof ContinueSignal)) {
+        throw signal;
+      }
+    }
+    return false;
+  }
+
+  private *evaluateAll(expressions: AwkExpression[]): AwkSteps<AwkValue[]> {
+    const values: AwkValue[] = [];
+    for (const expression of expressions) {
+      values.push(yield* this.evaluate(expression));
+    }
+    return values;
+  }
+
+  private *evaluate(expression: AwkExpression): AwkSteps<AwkValue> {
+    switch (expression.kind) {
+      case 'number':
+      case 'string':
+        return expression.value;
+      case 'regex':
+        return expression.regex.test(this.record) ? 1 : 0;
+      case 'var':
+        return this.getVariable(expression.name);
+      case 'index': {
+        // Reading an element creates it, as in every awk
+        const array = this.getArray(expression.name);
+        const key = yield* this.subscript(expression.subscripts);
+        if (!array.has(key)) {
+          array.set(key, undefined);
+        }
+        return array.get(key);
+      }
+      case 'field':
+        return this.getField(yield* this.fieldIndex(expression.index));
+      case 'group':
+        throw this.fatal('a list in parentheses only goes before in, or after print');
+      case 'assign': {
+        const value = yield* this.evaluate(expression.value);
+        const reference = yield* this.reference(expression.target);
+        const result =
+          expression.op === '='
+            ? value
+            : this.arithmetic(
+                expression.op.slice(0, -1),
+                this.toNumber(reference.get()),
+                this.toNumber(value)
+              );
+        reference.set(result);
+        return result;
+      }
+      case 'increment': {
+        const reference = yield* this.reference(expression.target);
+        const old = this.toNumber(reference.get());
+        const value = expression.op === '++' ? old + 1 : old - 1;
+        reference.set(value);
+        return expression.prefix ? value : old;
+      }
+      case 'condition':
+        return this.truth(yield* this.evaluate(expression.test))
+          ? yield* this.evaluate(expression.yes)
+          : yield* this.evaluate(expression.no);
+      case 'logical': {
+        const left = this.truth(yield* this.evaluate(expression.left));
+        if (expression.op === '&&' ? !left : left) {
+          return left ? 1 : 0;
+        }
+        return this.truth(yield* this.evaluate(expression.right)) ? 1 : 0;
+      }
+      case 'in':
+        return this.getArray(expression.name).has(yield* this.subscript(expression.subscripts))
+          ? 1
+          : 0;
+      case 'match': {
+        const text = this.toString(yield* this.evaluate(expression.left));
+        const matched = (yield* this.toRegex(expression.right)).test(text);
+        return matched !== expression.negated ? 1 : 0;
+      }
+      case 'binary':
+        return yield* this.binary(expression.op, expression.left, expression.right);
+      case 'unary': {
+        const value = yield* this.evaluate(expression.operand);
+        if (expression.op === '!') {
+          return this.truth(value) ? 0 : 1;
+        }
+        return expression.op === '-' ? -this.toNumber(value) : this.toNumber(value);
+      }
+      case 'call':
+        return yield* this.call(expression.name, expression.args);
+      case 'builtin':
+        return yield* this.builtin(expression.name, expression.args);
+      case 'getline':
+        return yield* this.getline(expression.target, expression.file);
+    }
+  }
+
+  private *binary(
+    op: string,
+    leftExpression: AwkExpression,
+    rightExpression: AwkExpression
+  ): AwkSteps<AwkValue> {
+    const left = yield* this.evaluate(leftExpression);
+    const right = yield* this.evaluate(rightExpression);
+    switch (op) {
+      case ' ':
+        return this.toString(left) + this.toString(right);
+      case '<':
+        return this.compare(left, right) < 0 ? 1 : 0;
+      case '<=':
+        return this.compare(left, right) <= 0 ? 1 : 0;
+      case '==':
+        return this.compare(left, right) === 0 ? 1 : 0;
+      case '!=':
+        return this.compare(left, right) !== 0 ? 1 : 0;
+      case '>=':
+        return this.compare(left, right) >= 0 ? 1 : 0;
+      case '>':
+        return this.compare(left, right) > 0 ? 1 : 0;
+      default:
+        return this.arithmetic(op, this.toNumber(left), this.toNumber(right));
+    }
+  }
+
+  private arithmetic(op: string, left: number, right: number): number {
+    switch (op) {
+      case '+':
+        return left + right;
+      case '-':
+        return left - right;
+      case '*':
+        return left * right;
+      case '/':
+        if (right === 0) {
+          throw this.fatal('division by zero attempted');
+        }
+        return left / right;
+      case '%':
+        if (right === 0) {
+          throw this.fatal("division by zero attempted in `%'");
+        }
+        return left % right;
+      default:
+        return Math.pow(left, right);
+    }
+  }
+
+  /**
+   * Calls a function. Arrays are passed by reference and scalars by value;
+   * a variable never set becomes an array if the function uses it as one.
+   */
+  private *call(name: string, args: AwkExpression[]): AwkSteps<AwkValue> {
+    const fn = this.program.functions.get(name)!;
+    if (args.length > fn.params.length) {
+      throw this.fatal(`function \`${name}' called with more arguments than declared`);
+    }
+
+    const frame = new Map<string, Cell>();
+    const unset: [string, string, Map<string, Cell>][] = [];
+    for (const [i, param] of fn.params.entries()) {
+      const arg = args[i];
+      if (arg && arg.kind === 'var' && arg.name !== 'NF') {
+        const scope = this.scope(arg.name);
+        const cell = scope.get(arg.name);
+        if (cell instanceof Map) {
+          frame.set(param, cell);
+          continue;
+        }
+        if (cell === undefined) {
+          unset.push([param, arg.name, scope]);
+        }
+      }
+      frame.set(param, arg ? yield* this.evaluate(arg) : undefined);
+    }
+
+    const line = this.line;
+    this.frames.push(frame);
+    let result: AwkValue;
+    try {
+      yield* this.execute(fn.body);
+    } catch (signal) {
+      if (!(signal instanceof ReturnSignal)) {
+        throw signal;
+      }
+      result = signal.value;
+    } finally {
+      this.frames.pop();
+      this.line = line;
+    }
+    for (const [param, variable, scope] of unset) {
+      const cell = frame.get(param);
+      if (cell instanceof Map && scope.get(variable) === undefined) {
+        scope.set(variable, cell);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Reads a record with getline: the next one of the input, setting NR and
+   * FNR, or one from a file. Gives 1, 0 at the end, or -1 when the file
+   * can't be read.
+   */
+  private *getline(target: AwkExpression | null, file: AwkExpression | null): AwkSteps<number> {
+    let record: string | null;
+    if (file) {
+      const path = this.toString(yield* this.evaluate(file));
+      let reader = this.readers.get(path);
+      if (!reader) {
+        const opened = path === '-' ? { content: this.host.stdin } : this.host.readFile(path);
+        if (typeof opened === 'string') {
+          return -1;
+        }
+        reader = { text: opened.content, pos: 0 };
+        this.readers.set(path, reader);
+      }
+      record = this.readRecord(reader);
+    } else {
+      record = this.nextRecord();
+    }
+    if (record === null) {
+      return 0;
+    }
+
+    if (target) {
+      (yield* this.reference(target)).set(new StrNum(record));
+    } else {
+      this.setRecord(record);
+    }
+    return 1;
+  }
+
+  private *builtin(name: string, args: AwkExpression[]): AwkSteps<AwkValue> {
+    const value = (i: number): AwkSteps<AwkValue> => this.operand(args[i]);
+
+    switch (name) {
+      case 'length': {
+        if (args.length === 0) {
+          return this.record.length;
+        }
+        const arg = args[0];
+        if (arg.kind === 'var' && this.scope(arg.name).get(arg.name) instanceof Map) {
+          return this.getArray(arg.name).size;
+        }
+        return this.toString(yield* value(0)).length;
+      }
+      case 'substr': {
+        const text = this.toString(yield* value(0));
+        const start = Math.round(this.toNumber(yield* value(1)));
+        const end = args.length > 2 ? start + Math.round(this.toNumber(yield* value(2))) : Infinity;
+        const from = Math.max(start, 1);
+        const to = Math.min(end, text.length + 1);
+        return to > from ? text.slice(from - 1, to - 1) : '';
+      }
+      case 'index':
+        return this.toString(yield* value(0)).indexOf(this.toString(yield* value(1))) + 1;
+      case 'split': {
+        if (!args[1] || args[1].kind !== 'var') {
+          throw this.fatal('split: second argument is not an array');
+        }
+        const text = this.toString(yield* value(0));
+        const separator = args[2]
+          ? args[2].kind === 'regex'
+            ? args[2].regex
+            : this.toString(yield* value(2))
+          : this.getString('FS');
+        const parts = this.split(text, separator);
+        const array = this.getArray(args[1].name);
+        array.clear();
+        parts.forEach((part, i) => array.set(String(i + 1), new StrNum(part)));
+        return parts.length;
+      }
+      case 'sub':
+      case 'gsub':
+        return yield* this.substitute(args, name === 'gsub');
+      case 'match': {
+        const match = (yield* this.toRegex(args[1])).exec(this.toString(yield* value(0)));
+        const start = match ? match.index + 1 : 0;
+        this.globals.set('RSTART', start);
+        this.globals.set('RLENGTH', match ? match[0].length : -1);
+        return start;
+      }
+      case 'sprintf':
+        return args.length === 0
+          ? ''
+          : this.format(this.toString(yield* value(0)), yield* this.evaluateAll(args.slice(1)));
+      case 'sin':
+        return Math.sin(this.toNumber(yield* value(0)));
+      case 'cos':
+        return Math.cos(this.toNumber(yield* value(0)));
+      case 'atan2':
+        return Math.atan2(this.toNumber(yield* value(0)), this.toNumber(yield* value(1)));
+      case 'exp':
+        return Math.exp(this.toNumber(yield* value(0)));
+      case 'log':
+        return Math.log(this.toNumber(yield* value(0)));
+      case 'sqrt':
+        return Math.sqrt(this.toNumber(yield* value(0)));
+      case 'int':
+        return Math.trunc(this.toNumber(yield* value(0)));
+      case 'rand':
+        return this.random();
+      case 'srand': {
+        const previous = this.seed;
+        this.seed =
+          args.length > 0 ? this.toNumber(yield* value(0)) : Math.floor(Date.now() / 1000);
+        this.state = this.seed;
+        return previous;
+      }
+      case 'tolower':
+        return this.toString(yield* value(0)).toLowerCase();
+      case 'toupper':
+        return this.toString(yield* value(0)).toUpperCase();
+      case 'close': {
+        const path = this.toString(yield* value(0));
+        const known = this.open.has(path) || this.readers.has(path);
+        this.open.delete(path);
+        this.readers.delete(path);
+        return known ? 0 : -1;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * sub and gsub: replaces the first match, or every one, in the target,
+   * $0 by default. & in the replacement is the match and \\& a literal &.
+   */
+  /**
+   * A builtin's argument's value, or undefined where it's left out
+   */
+  private *operand(arg: AwkExpression | undefined): AwkSteps<AwkValue> {
+    return arg ? yield* this.evaluate(arg) : undefined;
+  }
+
+  private *substitute(args: AwkExpression[], global: boolean): AwkSteps<number> {
+    if (args.length < 2) {
+      throw this.fatal(`${global ? 'gsub' : 'sub'}: not enough arguments`);
+    }
+    const regex = yield* this.toRegex(args[0]);
+    const replacement = this.toString(yield* this.evaluate(args[1]));
+    const target = yield* this.reference(
+      args[2] || { kind: 'field', index: { kind: 'number', value: 0 } }
+    );
+    const text = this.toString(target.get());
+
+    const search = new RegExp(regex.source, 'g');
+    let result = '';
+    let last = 0;
+    let count = 0;
+    let match: RegExpExecArray | null;
+    while ((match = search.exec(text))) {
+      const matched = match[0];
+      result += text.slice(last, match.index);
+      result += replacement.replace(/\\\\|\\&|&/g, (part) =>
+        part === '&' ? matched : part.slice(1)
+      );
+      last = match.index + matched.length;
+      count++;
+      if (!global) {
+        break;
+      }
+      if (matched === '') {
+        // An empty match moves on a character, keeping it
+        if (search.lastIndex < text.length) {
+          result += text[search.lastIndex];
+        }
+        last = ++search.lastIndex;
+      }
+    }
+    if (count > 0) {
+      target.set(result + text.slice(last));
+    }
+    return count;
+  }
+
+  /**
+   * The next of a repeatable sequence of numbers from 0 up to 1, which
+   * srand seeds
+   */
+  private random(): number {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Formats values as printf does, with %c, %d, %i, %o, %x, %X, %u, %s,
+   * %e, %f, %g and their flags, widths and precisions, * taking one from
+   * the values
+   */
+  private format(format: string, values: AwkValue[]): string {
+    let next = 0;
+    const take = (): AwkValue => values[next++];
+    const pattern = /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?([cdiouxXseEfFgG%])/g;
+
+    return format.replace(pattern, (spec, flags: string, width, precision, conversion: string) => {
+      if (conversion === '%') {
+        return '%';
+      }
+      let minWidth =
+        width === '*' ? Math.trunc(this.toNumber(take())) : width ? parseInt(width, 10) : 0;
+      if (minWidth < 0) {
+        flags += '-';
+        minWidth = -minWidth;
+      }
+      let digits: number | undefined;
+      if (precision !== undefined) {
+        digits =
+          precision === '*' ? Math.trunc(this.toNumber(take())) : parseInt(precision || '0', 10);
+      }
+      const value = take();
+
+      let sign = '';
+      let prefix = '';
+      let body: string;
+      const number = this.toNumber(value);
+      const signOf = (negative: boolean): string =>
+        negative ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+
+      switch (conversion) {
+        case 'c':
+          body =
+            typeof value === 'number'
+              ? String.fromCodePoint(Math.trunc(value) & 0x10ffff)
+              : this.toString(value).slice(0, 1);
+          break;
+        case 's':
+          body = this.toString(value);
+          if (digits !== undefined) {
+            body = body.slice(0, digits);
+          }
+          break;
+        case 'd':
+        case 'i':
+        case 'o':
+        case 'u':
+        case 'x':
+        case 'X': {
+          const integer = Math.trunc(number);
+          if (!isFinite(integer)) {
+            sign = signOf(integer < 0 || Number.isNaN(integer));
+            body = Number.isNaN(integer) ? 'nan' : 'inf';
+            break;
+          }
+          const base = { o: 8, x: 16, X: 16 }[conversion as 'o' | 'x' | 'X'] || 10;
+          body = Math.abs(integer).toString(base);
+          if (conversion === 'X') {
+            body = body.toUpperCase();
+          }
+          if (digits !== undefined) {
+            body = digits === 0 && integer === 0 ? '' : body.padStart(digits, '0');
+          }
+          if (flags.includes('#') && integer !== 0) {
+            prefix =
+              conversion === 'o' ? '0' : conversion === 'x' ? '0x' : conversion === 'X' ? '0X' : '';
+          }
+          sign = 'di'.includes(conversion) ? signOf(integer < 0) : integer < 0 ? '-' : '';
+          break;
+        }
+        default:
+          sign = signOf(number < 0 || Object.is(number, -0));
+          body = formatFloat(
+            Math.abs(number),
+            conversion,
+            digits === undefined ? 6 : digits,
+            flags.includes('#')
+          );
+      }
+
+      const length = sign.length + prefix.length + body.length;
+      if (length >= minWidth) {
+        return sign + prefix + body;
+      }
+      if (flags.includes('-')) {
+        return (sign + prefix + body).padEnd(minWidth);
+      }
+      const zeros =
+        flags.includes('0') &&
+        !'cs'.includes(conversion) &&
+        (digits === undefined || 'eEfFgG'.includes(conversion));
+      if (zeros && isFinite(number)) {
+        return sign + prefix + body.padStart(minWidth - sign.length - prefix.length, '0');
+      }
+      return (sign + prefix + body).padStart(minWidth);
+    });
+  }
+}
+
+/**
+ * Formats a number that isn't negative with %e, %f or %g, and their
+ * capitals, the way C's printf does
+ */
+function formatFloat(
+  value: number,
+  conversion: string,
+  digits: number,
+  alternate: boolean
+): string {
+  const upper = conversion === conversion.toUpperCase();
+  digits = Math.min(digits, 100);
+  let text: string;
+  if (!isFinite(value)) {
+    text = Number.isNaN(value) ? 'nan' : 'inf';
+  } else if (conversion === 'f' || conversion === 'F') {
+    text = value.toFixed(digits);
+  } else if (conversion === 'e' || conversion === 'E') {
+    text = exponential(value, digits);
+  } else {
+    const precision = digits === 0 ? 1 : digits;
+    const exponent =
+      value === 0 ? 0 : parseInt(value.toExponential(precision - 1).split('e')[1], 10);
+    text =
+      exponent < -4 || exponent >= precision
+        ? exponential(value, precision - 1)
+        : value.toFixed(precision - 1 - exponent);
+    if (!alternate && text.includes('.')) {
+      text = text.replace(/\.?0+(e|$)/, '$1');
+    }
+  }
+  return upper ? text.toUpperCase() : text;
+}
+
+/**
+ * %e: one digit, the fraction, and an exponent of at least two digits
+ */
+function exponential(value: number, digits: number): string {
+  const [mantissa, exponent] = value.toExponential(digits).split('e');
+  return `${mantissa}e${exponent[0]}${exponent.slice(1).padStart(2, '0')}`;
+}
@@ -0,0 +1,181 @@
+// Bytes: text in UTF-8, the base64 binary files are stored in, and the
+// CRC-32 checksum gzip and zip use
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Pipes, redirects and $(...) carry text, so bytes that aren't UTF-8 travel
+// in it as lone surrogates, U+DC80 to U+DCFF for bytes 0x80 to 0xFF, the
+// way Python's surrogateescape keeps them
+const RAW_BYTE = 0xdc00;
+const RAW_BYTES = /[\udc80-\udcff]/u;
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * Encodes text in UTF-8
+ */
+export function encodeUtf8(text: string): Uint8Array {
+  return encode(text, false);
+}
+
+/**
+ * Encodes text from a stream in UTF-8, turning the bytes decodeStream kept
+ * back into themselves
+ */
+export function encodeStream(text: string): Uint8Array {
+  return encode(text, true);
+}
+
+function encode(text: string, rawBytes: boolean): Uint8Array {
+  const bytes: number[] = [];
+  for (const char of text) {
+    let code = char.codePointAt(0)!;
+    if (rawBytes && code >= RAW_BYTE + 0x80 && code <= RAW_BYTE + 0xff) {
+      bytes.push(code - RAW_BYTE);
+      continue;
+    }
+    // A lone surrogate can't be encoded, so it becomes U+FFFD
+    if (code >= 0xd800 && code <= 0xdfff) {
+      code = 0xfffd;
+    }
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decodes UTF-8 as a terminal shows it, with U+FFFD for each byte that
+ * isn't part of a valid sequence
+ */
+export function decodeUtf8(bytes: Uint8Array): string {
+  return decode(bytes, false);
+}
+
+/**
+ * Decodes UTF-8 to go through a stream, keeping each byte that isn't part
+ * of a valid sequence so encodeStream gives back the same bytes
+ */
+export function decodeStream(bytes: Uint8Array): string {
+  return decode(bytes, true);
+}
+
+/**
+ * Whether text from a stream holds bytes that aren't UTF-8
+ */
+export function hasRawBytes(text: string): boolean {
+  return RAW_BYTES.test(text);
+}
+
+/**
+ * Text from a stream as a terminal shows it, with U+FFFD for each byte
+ * that isn't UTF-8
+ */
+export function showRawBytes(text: string): string {
+  return text.replace(new RegExp(RAW_BYTES, 'gu'), '\ufffd');
+}
+
+function decode(bytes: Uint8Array, rawBytes: boolean): string {
+  let text = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    const length = byte < 0x80 ? 1 : byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc2 ? 2 : 0;
+    let code = length === 1 ? byte : byte & (0xff >> (length + 1));
+    let valid = length > 0 && i + length <= bytes.length;
+    for (let j = 1; valid && j < length; j++) {
+      valid = (bytes[i + j] & 0xc0) === 0x80;
+      code = (code << 6) | (bytes[i + j] & 0x3f);
+    }
+    // Overlong forms, surrogates and code points past U+10FFFF are invalid too
+    const smallest = [0, 0, 0x80, 0x800, 0x10000][length];
+    if (!valid || code < smallest || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+      text += rawBytes ? String.fromCharCode(RAW_BYTE + byte) : '�';
+      i++;
+      continue;
+    }
+    text += String.fromCodePoint(code);
+    i += length;
+  }
+  return text;
+}
+
+/**
+ * Encodes bytes in base64
+ */
+export function encodeBase64(bytes: Uint8Array): string {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    text += BASE64[chunk >> 18] + BASE64[(chunk >> 12) & 0x3f];
+    text += i + 1 < bytes.length ? BASE64[(chunk >> 6) & 0x3f] : '=';
+    text += i + 2 < bytes.length ? BASE64[chunk & 0x3f] : '=';
+  }
+  return text;
+}
+
+/**
+ * Decodes base64, ignoring anything that isn't part of it
+ */
+export function decodeBase64(text: string): Uint8Array {
+  const digits = text.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((digits.length * 3) / 4));
+  let bits = 0;
+  let count = 0;
+  let j = 0;
+  for (const digit of digits) {
+    bits = (bits << 6) | BASE64.indexOf(digit);
+    count += 6;
+    if (count >= 8) {
+      count -= 8;
+      bytes[j++] = (bits >> count) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Joins byte arrays into one
+ */
+export function concatBytes(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * The CRC-32 of bytes, as gzip and zip check their contents with
+ */
+export function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
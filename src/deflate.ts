@@ -0,0 +1,423 @@
+// DEFLATE (RFC 1951), the compression in gzip and zip files: inflating
+// stored, fixed and dynamic Huffman blocks, and deflating with LZ77 matches
+// in fixed Huffman codes
+
+/**
+ * Raised for compressed data that isn't valid DEFLATE
+ */
+export class InflateError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InflateError';
+    Object.setPrototypeOf(this, InflateError.prototype);
+  }
+}
+
+/**
+ * Code lengths as a canonical Huffman code: how many codes have each
+ * length, and the symbols in code order
+ */
+interface Huffman {
+  counts: number[];
+  symbols: number[];
+}
+
+// Lengths 3 to 258 and distances 1 to 32768 are a base and extra bits
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// The order a dynamic block gives the code length code's lengths in
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const MAX_BITS = 15;
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+// How many earlier positions with the same hash are tried for a match
+const MAX_CHAIN = 128;
+const MAX_STORED = 65535;
+
+/**
+ * Builds a canonical Huffman code from each symbol's code length
+ */
+function buildHuffman(lengths: number[]): Huffman {
+  const counts = new Array(MAX_BITS + 1).fill(0);
+  for (const length of lengths) {
+    counts[length]++;
+  }
+  counts[0] = 0;
+  const offsets = [0, 0];
+  for (let length = 1; length < MAX_BITS; length++) {
+    offsets[length + 1] = offsets[length] + counts[length];
+  }
+  const symbols: number[] = [];
+  lengths.forEach((length, symbol) => {
+    if (length !== 0) {
+      symbols[offsets[length]++] = symbol;
+    }
+  });
+  return { counts, symbols };
+}
+
+/**
+ * Code lengths of the fixed literal/length and distance codes
+ */
+function fixedLengths(): { literals: number[]; distances: number[] } {
+  const literals: number[] = [];
+  for (let symbol = 0; symbol < 288; symbol++) {
+    literals.push(symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8);
+  }
+  return { literals, distances: new Array(30).fill(5) };
+}
+
+/**
+ * Reads the bits of compressed data, least significant first
+ */
+class BitReader {
+  position: number;
+  private buffer = 0;
+  private count = 0;
+
+  constructor(
+    private data: Uint8Array,
+    start: number
+  ) {
+    this.position = start;
+  }
+
+  bits(needed: number): number {
+    let value = this.buffer;
+    while (this.count < needed) {
+      if (this.position >= this.data.length) {
+        throw new InflateError('unexpected end of file');
+      }
+      value |= this.data[this.position++] << this.count;
+      this.count += 8;
+    }
+    this.buffer = value >>> needed;
+    this.count -= needed;
+    return value & ((1 << needed) - 1);
+  }
+
+  /**
+   * Drops the bits left in the current byte, as a stored block starts on
+   * a byte boundary
+   */
+  align(): void {
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  decode(code: Huffman): number {
+    let value = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length <= MAX_BITS; length++) {
+      value |= this.bits(1);
+      const count = code.counts[length];
+      if (value - count < first) {
+        return code.symbols[index + (value - first)];
+      }
+      index += count;
+      first = (first + count) << 1;
+      value <<= 1;
+    }
+    throw new InflateError('invalid code');
+  }
+}
+
+/**
+ * Inflates raw DEFLATE data starting at start. Gives the data and where
+ * the compressed data ended, so whatever follows can be read.
+ */
+export function inflate(data: Uint8Array, start = 0): { output: Uint8Array; end: number } {
+  const reader = new BitReader(data, start);
+  let output = new Uint8Array(Math.max(1024, data.length * 4));
+  let length = 0;
+  const ensure = (extra: number) => {
+    if (length + extra > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+      grown.set(output.subarray(0, length));
+      output = grown;
+    }
+  };
+
+  let last = false;
+  while (!last) {
+    last = reader.bits(1) === 1;
+    const type = reader.bits(2);
+    if (type === 0) {
+      reader.align();
+      const at = reader.position;
+      if (at + 4 > data.length) {
+        throw new InflateError('unexpected end of file');
+      }
+      const size = data[at] | (data[at + 1] << 8);
+      if ((size ^ (data[at + 2] | (data[at + 3] << 8))) !== 0xffff) {
+        throw new InflateError('invalid stored block lengths');
+      }
+      if (at + 4 + size > data.length) {
+        throw new InflateError('unexpected end of file');
+      }
+      ensure(size);
+      output.set(data.subarray(at + 4, at + 4 + size), length);
+      length += size;
+      reader.position = at + 4 + size;
+      continue;
+    }
+    if (type === 3) {
+      throw new InflateError('invalid block type');
+    }
+
+    let literals: Huffman;
+    let distances: Huffman;
+    if (type === 1) {
+      const fixed = fixedLengths();
+      literals = buildHuffman(fixed.literals);
+      distances = buildHuffman(fixed.distances);
+    } else {
+      const literalCount = reader.bits(5) + 257;
+      const distanceCount = reader.bits(5) + 1;
+      const codeLengthCount = reader.bits(4) + 4;
+      const codeLengths = new Array(19).fill(0);
+      for (let i = 0; i < codeLengthCount; i++) {
+        codeLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+      }
+      const lengthCode = buildHuffman(codeLengths);
+
+      // 16 repeats the last length, 17 and 18 give runs of zeros
+      const lengths: number[] = [];
+      while (lengths.length < literalCount + distanceCount) {
+        const symbol = reader.decode(lengthCode);
+        if (symbol < 16) {
+          lengths.push(symbol);
+          continue;
+        }
+        let value = 0;
+        let repeat: number;
+        if (symbol === 16) {
+          if (lengths.length === 0) {
+            throw new InflateError('invalid bit length repeat');
+          }
+          value = lengths[lengths.length - 1];
+          repeat = 3 + reader.bits(2);
+        } else {
+          repeat = symbol === 17 ? 3 + reader.bits(3) : 11 + reader.bits(7);
+        }
+        if (lengths.length + repeat > literalCount + distanceCount) {
+          throw new InflateError('invalid bit length repeat');
+        }
+        for (let i = 0; i < repeat; i++) {
+          lengths.push(value);
+        }
+      }
+      if (lengths[256] === 0) {
+        throw new InflateError('invalid code -- missing end-of-block');
+      }
+      literals = buildHuffman(lengths.slice(0, literalCount));
+      distances = buildHuffman(lengths.slice(literalCount));
+    }
+
+    for (;;) {
+      const symbol = reader.decode(literals);
+      if (symbol < 256) {
+        ensure(1);
+        output[length++] = symbol;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= 29) {
+        throw new InflateError('invalid literal/length code');
+      }
+      const size = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = reader.decode(distances);
+      if (distanceIndex >= 30) {
+        throw new InflateError('invalid distance code');
+      }
+      const distance = DISTANCE_BASE[distanceIndex] + reader.bits(DISTANCE_EXTRA[distanceIndex]);
+      if (distance > length) {
+        throw new InflateError('invalid distance too far back');
+      }
+      ensure(size);
+      // Copied a byte at a time, as a match may overlap what it writes
+      for (let i = 0; i < size; i++) {
+        output[length] = output[length - distance];
+        length++;
+      }
+    }
+  }
+  return { output: output.slice(0, length), end: reader.position };
+}
+
+/**
+ * Writes bits least significant first, as DEFLATE packs them
+ */
+class BitWriter {
+  private bytes: number[] = [];
+  private buffer = 0;
+  private count = 0;
+
+  bits(value: number, count: number): void {
+    this.buffer |= value << this.count;
+    this.count += count;
+    while (this.count >= 8) {
+      this.bytes.push(this.buffer & 0xff);
+      this.buffer >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  /**
+   * Writes a Huffman code, which goes most significant bit first
+   */
+  code(code: number, length: number): void {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.bits(reversed, length);
+  }
+
+  finish(): Uint8Array {
+    if (this.count > 0) {
+      this.bytes.push(this.buffer & 0xff);
+    }
+    return new Uint8Array(this.bytes);
+  }
+}
+
+/**
+ * The fixed code for a literal/length symbol, with its length
+ */
+function fixedCode(symbol: number): [number, number] {
+  if (symbol < 144) {
+    return [0x30 + symbol, 8];
+  }
+  if (symbol < 256) {
+    return [0x190 + symbol - 144, 9];
+  }
+  if (symbol < 280) {
+    return [symbol - 256, 7];
+  }
+  return [0xc0 + symbol - 280, 8];
+}
+
+/**
+ * The index of the last base no greater than value
+ */
+function baseIndex(bases: number[], value: number): number {
+  let index = bases.length - 1;
+  while (bases[index] > value) {
+    index--;
+  }
+  return index;
+}
+
+/**
+ * Compresses data as raw DEFLATE: repeats found within the last 32K become
+ * matches, written with the fixed Huffman codes. Data that doesn't shrink
+ * is stored as it is.
+ */
+export function deflate(data: Uint8Array): Uint8Array {
+  const writer = new BitWriter();
+  writer.bits(1, 1);
+  writer.bits(1, 2);
+
+  // Chains of earlier positions whose next three bytes hash the same
+  const head = new Map<number, number>();
+  const previous = new Int32Array(data.length);
+  const hashAt = (i: number) => (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+  const insert = (i: number) => {
+    if (i + MIN_MATCH <= data.length) {
+      const hash = hashAt(i);
+      const earlier = head.get(hash);
+      previous[i] = earlier === undefined ? -1 : earlier;
+      head.set(hash, i);
+    }
+  };
+
+  let i = 0;
+  while (i < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (i + MIN_MATCH <= data.length) {
+      let candidate = head.get(hashAt(i));
+      const limit = Math.min(MAX_MATCH, data.length - i);
+      for (
+        let chain = 0;
+        candidate !== undefined &&
+        candidate >= 0 &&
+        i - candidate <= WINDOW_SIZE &&
+        chain < MAX_CHAIN;
+        chain++
+      ) {
+        let length = 0;
+        while (length < limit && data[candidate + length] === data[i + length]) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = i - candidate;
+          if (length === limit) {
+            break;
+          }
+        }
+        candidate = previous[candidate];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const lengthIndex = baseIndex(LENGTH_BASE, bestLength);
+      writer.code(...fixedCode(257 + lengthIndex));
+      writer.bits(bestLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = baseIndex(DISTANCE_BASE, bestDistance);
+      writer.code(distanceIndex, 5);
+      writer.bits(bestDistance - DISTANCE_BASE[distanceIndex], DISTANCE_EXTRA[distanceIndex]);
+      for (let j = 0; j < bestLength; j++) {
+        insert(i + j);
+      }
+      i += bestLength;
+    } else {
+      writer.code(...fixedCode(data[i]));
+      insert(i);
+      i++;
+    }
+  }
+  writer.code(...fixedCode(256));
+  const compressed = writer.finish();
+
+  const blocks = Math.max(1, Math.ceil(data.length / MAX_STORED));
+  if (compressed.length <= data.length + blocks * 5) {
+    return compressed;
+  }
+
+  // Stored blocks: a header byte, then the length and its complement
+  const stored = new Uint8Array(data.length + blocks * 5);
+  for (let block = 0; block < blocks; block++) {
+    const from = block * MAX_STORED;
+    const size = Math.min(MAX_STORED, data.length - from);
+    const at = from + block * 5;
+    stored[at] = block === blocks - 1 ? 1 : 0;
+    stored[at + 1] = size & 0xff;
+    stored[at + 2] = size >> 8;
+    stored[at + 3] = ~size & 0xff;
+    stored[at + 4] = (~size >> 8) & 0xff;
+    stored.set(data.subarray(from, from + size), at + 5);
+  }
+  return stored;
+}
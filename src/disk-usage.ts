@@ -0,0 +1,66 @@
+// Disk usage: the blocks files take up, as du and df count them, and sizes
+// in the human-readable form of -h
+
+/**
+ * Files take up whole blocks of this many bytes
+ */
+export const BLOCK_SIZE = 4096;
+
+/**
+ * Size of the virtual disk df reports on
+ */
+export const DISK_SIZE = 1024 * 1024 * 1024;
+
+const HUMAN_SUFFIXES = 'KMGTPE';
+
+/**
+ * Bytes a file of the given size takes up on disk, in whole blocks
+ */
+export function allocatedSize(bytes: number): number {
+  return Math.ceil(bytes / BLOCK_SIZE) * BLOCK_SIZE;
+}
+
+/**
+ * Formats a size the way du -h and df -h do: 4.0K, 12K, 1.5M. Sizes round
+ * up, and get one decimal below 10.
+ */
+export function humanSize(bytes: number): string {
+  if (bytes < 1024) {
+    return String(bytes);
+  }
+  let value = bytes / 1024;
+  let power = 0;
+  // Rounding up may take it to the next unit: 1023.9K is 1.0M
+  while (Math.ceil(value) >= 1024 && power < HUMAN_SUFFIXES.length - 1) {
+    value /= 1024;
+    power++;
+  }
+  if (value < 10) {
+    const tenths = Math.ceil(value * 10) / 10;
+    if (tenths < 10) {
+      return `${tenths.toFixed(1)}${HUMAN_SUFFIXES[power]}`;
+    }
+  }
+  return `${Math.ceil(value)}${HUMAN_SUFFIXES[power]}`;
+}
+
+/**
+ * Lines up rows of columns, separated by a space. Columns are padded to
+ * their widest entry, on the left where numeric is set and the right
+ * otherwise; the last column isn't padded.
+ */
+export function formatColumns(rows: string[][], numeric: boolean[]): string {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  return rows
+    .map((row) =>
+      row
+        .map((cell, i) => {
+          if (i === row.length - 1) {
+            return cell;
+          }
+          return numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]);
+        })
+        .join(' ')
+    )
+    .join('\n');
+}
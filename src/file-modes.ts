@@ -0,0 +1,114 @@
+// Permission bits: parsing chmod modes and showing them the way ls does
+
+// Bits for who a symbolic mode applies to
+const WHO_BITS: Record<string, number> = {
+  u: 0o4700,
+  g: 0o2070,
+  o: 0o1007,
+  a: 0o7777,
+};
+
+// The letter ls -l shows for each type of file
+const TYPE_LETTERS = { file: '-', directory: 'd', symlink: 'l' };
+
+/**
+ * Formats a type and mode the way ls -l does, such as drwxr-xr-x,
+ * drwxrwxrwt for a sticky directory or lrwxrwxrwx for a symlink
+ */
+export function formatMode(type: 'file' | 'directory' | 'symlink', mode: number): string {
+  const chars = TYPE_LETTERS[type] + 'rwxrwxrwx';
+  let result = chars[0];
+  for (let i = 0; i < 9; i++) {
+    result += mode & (0o400 >> i) ? chars[i + 1] : '-';
+  }
+
+  // setuid, setgid and sticky show in place of an x, in capitals when x is off
+  const special: [number, number, string][] = [
+    [0o4000, 3, 's'],
+    [0o2000, 6, 's'],
+    [0o1000, 9, 't'],
+  ];
+  for (const [bit, index, char] of special) {
+    if (mode & bit) {
+      const shown = result[index] === 'x' ? char : char.toUpperCase();
+      result = result.slice(0, index) + shown + result.slice(index + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Formats a mode as four octal digits, such as 0755
+ */
+export function formatOctalMode(mode: number): string {
+  return (mode & 0o7777).toString(8).padStart(4, '0');
+}
+
+/**
+ * Applies a chmod mode to an existing mode. The mode is either octal, such
+ * as 755, or symbolic clauses such as u+x,go-w or a=rX. Without u, g, o or a,
+ * bits set in the umask are left alone. Returns null for an invalid mode.
+ */
+export function parseMode(
+  spec: string,
+  mode: number,
+  isDirectory: boolean,
+  umask: number
+): number | null {
+  if (/^[0-7]+$/.test(spec)) {
+    const value = parseInt(spec, 8);
+    return value <= 0o7777 ? value : null;
+  }
+
+  for (const clause of spec.split(',')) {
+    const match = /^([ugoa]*)((?:[-+=](?:[ugo]|[rwxXst]*))+)$/.exec(clause);
+    if (!match) {
+      return null;
+    }
+
+    let who = 0;
+    for (const char of match[1]) {
+      who |= WHO_BITS[char];
+    }
+    const mask = who === 0 ? ~umask & 0o7777 : who;
+    const clears = who === 0 ? 0o7777 : who;
+
+    const actions = /([-+=])([ugo]|[rwxXst]*)/g;
+    let action: RegExpExecArray | null;
+    while ((action = actions.exec(match[2])) !== null) {
+      const [, op, perms] = action;
+      const bits = permissionBits(perms, mode, isDirectory) & mask;
+      if (op === '+') {
+        mode |= bits;
+      } else if (op === '-') {
+        mode &= ~bits;
+      } else {
+        mode = (mode & ~clears) | bits;
+      }
+    }
+  }
+  return mode;
+}
+
+/**
+ * Bits for the permission letters of one clause, before limiting them to
+ * who they apply to. u, g and o copy that class's current permissions.
+ */
+function permissionBits(perms: string, mode: number, isDirectory: boolean): number {
+  const copied: Record<string, number> = { u: (mode >> 6) & 7, g: (mode >> 3) & 7, o: mode & 7 };
+  if (perms in copied) {
+    return copied[perms] * 0o111;
+  }
+
+  let bits = 0;
+  for (const char of perms) {
+    if (char === 'r') bits |= 0o444;
+    else if (char === 'w') bits |= 0o222;
+    else if (char === 'x') bits |= 0o111;
+    // X only makes directories and files something can already run executable
+    else if (char === 'X' && (isDirectory || mode & 0o111)) bits |= 0o111;
+    else if (char === 's') bits |= 0o6000;
+    else if (char === 't') bits |= 0o1000;
+  }
+  return bits;
+}
@@ -0,0 +1,37 @@
+// A storage adapter for Node, keeping the shell's state in files. It's a
+// module of its own so the browser bundle doesn't pull in fs.
+
+import * as fs from 'fs';
+import * as path from 'path';
+import type { StorageAdapter } from './storage';
+
+/**
+ * Keeps state in a directory, a file for each key, making the directory
+ * when something is first saved. It's synchronous, like localStorage, and
+ * a file is written whole under another name and then renamed, so a crash
+ * never leaves half of one.
+ */
+export function createFileStorage(directory: string): StorageAdapter {
+  const file = (key: string): string => path.join(directory, encodeURIComponent(key));
+  return {
+    getItem: (key) => {
+      try {
+        return fs.readFileSync(file(key), 'utf8');
+      } catch (e) {
+        if ((e as NodeJS.ErrnoException).code === 'ENOENT') {
+          return null;
+        }
+        throw e;
+      }
+    },
+    setItem: (key, value) => {
+      fs.mkdirSync(directory, { recursive: true });
+      const temporary = `${file(key)}.tmp`;
+      fs.writeFileSync(temporary, value);
+      fs.renameSync(temporary, file(key));
+    },
+    removeItem: (key) => {
+      fs.rmSync(file(key), { force: true });
+    },
+  };
+}
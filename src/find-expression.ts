@@ -0,0 +1,445 @@
+// Expressions for find: tests such as -name and -type and actions such as
+// -print and -exec, joined with !, -a, -o and parentheses
+// Parsing builds a tree the shell evaluates against each file it walks
+
+import { parseMode } from './file-modes';
+
+/**
+ * Raised for malformed expressions, with GNU's message
+ */
+export class FindError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FindError';
+    Object.setPrototypeOf(this, FindError.prototype);
+  }
+}
+
+/**
+ * A number from -size or -mtime: more than it with +, less with -,
+ * otherwise exactly it
+ */
+export interface Comparison {
+  sign: '+' | '-' | '';
+  value: number;
+}
+
+/**
+ * Tests, which say whether a file matches, and actions, which do something
+ * with it. Names, users and times are resolved while parsing.
+ */
+export type FindPrimary =
+  | { kind: 'name'; regex: RegExp }
+  | { kind: 'path'; regex: RegExp }
+  | { kind: 'type'; types: string }
+  | { kind: 'size'; comparison: Comparison; unit: number }
+  | { kind: 'age'; comparison: Comparison; unit: number }
+  | { kind: 'newer'; time: number }
+  | { kind: 'empty' }
+  | { kind: 'user'; uid: number }
+  | { kind: 'group'; gid: number }
+  | { kind: 'perm'; mode: number; match: 'exact' | 'all' | 'any' }
+  | { kind: 'access'; access: number }
+  | { kind: 'constant'; value: boolean }
+  | { kind: 'print'; terminator: string }
+  | { kind: 'exec'; argv: string[]; batch: boolean }
+  | { kind: 'delete' }
+  | { kind: 'prune' }
+  | { kind: 'quit' };
+
+export type FindExpression =
+  | FindPrimary
+  | { kind: 'and' | 'or'; left: FindExpression; right: FindExpression }
+  | { kind: 'not'; operand: FindExpression };
+
+/**
+ * A parsed find command line: where to start, what to do with each file
+ * and how deep to go
+ */
+export interface FindCommand {
+  paths: string[];
+  expression: FindExpression;
+  maxDepth: number;
+  minDepth: number;
+  /** Visit a directory's contents before the directory, as -depth and -delete do */
+  depthFirst: boolean;
+}
+
+/**
+ * What parsing needs from the shell: glob patterns, and the users, groups
+ * and files that tests name
+ */
+export interface FindLookup {
+  glob: (pattern: string, ignoreCase: boolean) => RegExp;
+  user: (name: string) => number | null;
+  group: (name: string) => number | null;
+  /** Modification time of a file, or the error looking it up */
+  mtime: (path: string) => number | string;
+}
+
+// Units for -size, in bytes; b, 512-byte blocks, is the default
+const SIZE_UNITS: Record<string, number> = {
+  b: 512,
+  c: 1,
+  w: 2,
+  k: 1024,
+  M: 1024 * 1024,
+  G: 1024 * 1024 * 1024,
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Tests that take an argument
+const TESTS_WITH_ARGUMENT = [
+  '-name',
+  '-iname',
+  '-path',
+  '-ipath',
+  '-wholename',
+  '-iwholename',
+  '-type',
+  '-size',
+  '-mtime',
+  '-mmin',
+  '-newer',
+  '-user',
+  '-group',
+  '-perm',
+];
+
+// Options that apply to the whole walk wherever they appear
+const GLOBAL_OPTIONS = ['-maxdepth', '-mindepth', '-depth'];
+
+const ACCESS_TESTS: Record<string, number> = { '-readable': 4, '-writable': 2, '-executable': 1 };
+
+/**
+ * Recursive descent over the expression. Tests next to each other are
+ * joined with an implied -a.
+ */
+class FindParser {
+  private pos = 0;
+  maxDepth = Infinity;
+  minDepth = 0;
+  depthFirst = false;
+  /** Whether the expression has an action other than -prune, so -print isn't added */
+  hasAction = false;
+
+  constructor(
+    private args: string[],
+    private lookup: FindLookup
+  ) {}
+
+  parse(): FindExpression | null {
+    if (this.pos >= this.args.length) {
+      return null;
+    }
+    const expression = this.parseOr();
+    if (this.pos < this.args.length) {
+      // Only a ) can stop the top level early
+      throw new FindError("invalid expression; you have too many ')'");
+    }
+    return expression;
+  }
+
+  private peek(): string | undefined {
+    return this.args[this.pos];
+  }
+
+  private parseOr(): FindExpression {
+    let left = this.parseAnd();
+    while (this.peek() === '-o' || this.peek() === '-or') {
+      const op = this.args[this.pos++];
+      left = { kind: 'or', left, right: this.operand(op, () => this.parseAnd()) };
+    }
+    return left;
+  }
+
+  private parseAnd(): FindExpression {
+    let left = this.parseNot();
+    for (;;) {
+      const next = this.peek();
+      if (next === '-a' || next === '-and') {
+        this.pos++;
+        left = { kind: 'and', left, right: this.operand(next, () => this.parseNot()) };
+      } else if (next !== undefined && next !== ')' && next !== '-o' && next !== '-or') {
+        left = { kind: 'and', left, right: this.parseNot() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  /**
+   * The side of a binary operator after it, which there has to be
+   */
+  private operand(op: string, parse: () => FindExpression): FindExpression {
+    const next = this.peek();
+    if (next === undefined || [')', '-o', '-or', '-a', '-and'].includes(next)) {
+      throw new FindError(
+        `invalid expression; you have used a binary operator '${op}' with nothing after it.`
+      );
+    }
+    return parse();
+  }
+
+  private parseNot(): FindExpression {
+    const next = this.peek();
+    if (next === '!' || next === '-not') {
+      this.pos++;
+      if (this.peek() === undefined || this.peek() === ')') {
+        throw new FindError(`expected an expression after '${next}'`);
+      }
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): FindExpression {
+    const arg = this.args[this.pos++];
+    if (arg === '(') {
+      if (this.peek() === ')') {
+        throw new FindError('invalid expression; empty parentheses are not allowed.');
+      }
+      if (this.peek() === undefined) {
+        throw new FindError(
+          "invalid expression; I was expecting to find a ')' somewhere but did not see one."
+        );
+      }
+      const expression = this.parseOr();
+      if (this.args[this.pos++] !== ')') {
+        throw new FindError(
+          "invalid expression; I was expecting to find a ')' somewhere but did not see one."
+        );
+      }
+      return expression;
+    }
+    if (arg === ')') {
+      throw new FindError("invalid expression; you have too many ')'");
+    }
+    if (['-o', '-or', '-a', '-and'].includes(arg)) {
+      throw new FindError(
+        `invalid expression; you have used a binary operator '${arg}' with nothing before it.`
+      );
+    }
+    if (!arg.startsWith('-')) {
+      throw new FindError(`paths must precede expression: '${arg}'`);
+    }
+
+    if (GLOBAL_OPTIONS.includes(arg)) {
+      this.globalOption(arg);
+      return { kind: 'constant', value: true };
+    }
+    if (arg === '-exec') {
+      return this.exec();
+    }
+    if (TESTS_WITH_ARGUMENT.includes(arg)) {
+      if (this.pos >= this.args.length) {
+        throw new FindError(`missing argument to '${arg}'`);
+      }
+      return this.test(arg, this.args[this.pos++]);
+    }
+    return this.primary(arg);
+  }
+
+  /**
+   * -maxdepth, -mindepth and -depth, which change how the walk goes
+   */
+  private globalOption(option: string): void {
+    if (option === '-depth') {
+      this.depthFirst = true;
+      return;
+    }
+    const value = this.args[this.pos++];
+    if (value === undefined) {
+      throw new FindError(`missing argument to '${option}'`);
+    }
+    if (!/^\d+$/.test(value)) {
+      throw new FindError(
+        `Expected a positive decimal integer argument to ${option}, but got '${value}'`
+      );
+    }
+    if (option === '-maxdepth') {
+      this.maxDepth = parseInt(value, 10);
+    } else {
+      this.minDepth = parseInt(value, 10);
+    }
+  }
+
+  /**
+   * -exec command ;, run for each file, or -exec command {} +, run once
+   * with all of them
+   */
+  private exec(): FindPrimary {
+    const argv: string[] = [];
+    for (; this.pos < this.args.length; this.pos++) {
+      const arg = this.args[this.pos];
+      const batch = arg === '+' && argv[argv.length - 1] === '{}';
+      if (arg === ';' || batch) {
+        this.pos++;
+        if (argv.length === 0) {
+          break;
+        }
+        this.hasAction = true;
+        return { kind: 'exec', argv, batch };
+      }
+      argv.push(arg);
+    }
+    throw new FindError("missing argument to '-exec'");
+  }
+
+  private test(test: string, arg: string): FindPrimary {
+    switch (test) {
+      case '-name':
+      case '-iname':
+        return { kind: 'name', regex: this.lookup.glob(arg, test === '-iname') };
+      case '-path':
+      case '-ipath':
+      case '-wholename':
+      case '-iwholename':
+        return { kind: 'path', regex: this.lookup.glob(arg, test.startsWith('-i')) };
+      case '-type': {
+        const types = arg.split(',');
+        const bad = types.find((type) => !/^[fdl]$/.test(type));
+        if (bad !== undefined) {
+          throw new FindError(`Unknown argument to -type: ${bad}`);
+        }
+        return { kind: 'type', types: types.join('') };
+      }
+      case '-size': {
+        const match = arg.match(/^([+-]?)(\d+)([bcwkMG]?)$/);
+        if (!match) {
+          const suffix = arg.match(/^[+-]?\d+(.+)$/);
+          throw new FindError(
+            suffix ? `invalid -size type '${suffix[1]}'` : `invalid argument '${arg}' to '-size'`
+          );
+        }
+        const comparison = parseComparison(match[1] + match[2])!;
+        return { kind: 'size', comparison, unit: SIZE_UNITS[match[3] || 'b'] };
+      }
+      case '-mtime':
+      case '-mmin': {
+        const comparison = parseComparison(arg);
+        if (!comparison) {
+          throw new FindError(`invalid argument '${arg}' to '${test}'`);
+        }
+        return { kind: 'age', comparison, unit: test === '-mtime' ? DAY : MINUTE };
+      }
+      case '-newer': {
+        const time = this.lookup.mtime(arg);
+        if (typeof time === 'string') {
+          throw new FindError(`'${arg}': ${time}`);
+        }
+        return { kind: 'newer', time };
+      }
+      case '-user': {
+        const uid = /^\d+$/.test(arg) ? parseInt(arg, 10) : this.lookup.user(arg);
+        if (uid === null) {
+          throw new FindError(`'${arg}' is not the name of a known user`);
+        }
+        return { kind: 'user', uid };
+      }
+      case '-group': {
+        const gid = /^\d+$/.test(arg) ? parseInt(arg, 10) : this.lookup.group(arg);
+        if (gid === null) {
+          throw new FindError(`'${arg}' is not the name of an existing group`);
+        }
+        return { kind: 'group', gid };
+      }
+      default: {
+        // -perm MODE is exact, -perm -MODE needs all its bits and /MODE any
+        const match = arg[0] === '-' ? 'all' : arg[0] === '/' ? 'any' : 'exact';
+        const spec = match === 'exact' ? arg : arg.slice(1);
+        const mode = spec ? parseMode(spec, 0, false, 0) : null;
+        if (mode === null) {
+          throw new FindError(`invalid mode '${arg}'`);
+        }
+        return { kind: 'perm', mode, match };
+      }
+    }
+  }
+
+  /**
+   * Tests and actions without an argument
+   */
+  private primary(arg: string): FindPrimary {
+    switch (arg) {
+      case '-print':
+      case '-print0':
+        this.hasAction = true;
+        return { kind: 'print', terminator: arg === '-print' ? '\n' : '\0' };
+      case '-delete':
+        this.hasAction = true;
+        this.depthFirst = true;
+        return { kind: 'delete' };
+      case '-quit':
+        return { kind: 'quit' };
+      case '-prune':
+        return { kind: 'prune' };
+      case '-empty':
+        return { kind: 'empty' };
+      case '-true':
+      case '-false':
+        return { kind: 'constant', value: arg === '-true' };
+    }
+    if (arg in ACCESS_TESTS) {
+      return { kind: 'access', access: ACCESS_TESTS[arg] };
+    }
+    throw new FindError(`unknown predicate '${arg}'`);
+  }
+}
+
+/**
+ * Reads a number with an optional + or - in front, or gives null
+ */
+function parseComparison(arg: string): Comparison | null {
+  const match = arg.match(/^([+-]?)(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return { sign: match[1] as Comparison['sign'], value: parseInt(match[2], 10) };
+}
+
+/**
+ * Whether a count is more than, less than or equal to what a comparison asks for
+ */
+export function compareCount(comparison: Comparison, count: number): boolean {
+  if (comparison.sign === '+') {
+    return count > comparison.value;
+  }
+  if (comparison.sign === '-') {
+    return count < comparison.value;
+  }
+  return count === comparison.value;
+}
+
+/**
+ * Parses find's arguments: the starting points, then the expression. With
+ * no starting point find starts at ., and with no action other than
+ * -prune it prints whatever the expression is true for. Throws FindError
+ * when the expression is malformed.
+ */
+export function parseFind(args: string[], lookup: FindLookup): FindCommand {
+  let start = 0;
+  while (start < args.length && !/^(-.|\(|!)/.test(args[start])) {
+    start++;
+  }
+  const paths = args.slice(0, start);
+
+  const parser = new FindParser(args.slice(start), lookup);
+  let expression = parser.parse();
+  const print: FindPrimary = { kind: 'print', terminator: '\n' };
+  if (!expression) {
+    expression = print;
+  } else if (!parser.hasAction) {
+    expression = { kind: 'and', left: expression, right: print };
+  }
+
+  return {
+    paths: paths.length > 0 ? paths : ['.'],
+    expression,
+    maxDepth: parser.maxDepth,
+    minDepth: parser.minDepth,
+    depthFirst: parser.depthFirst,
+  };
+}
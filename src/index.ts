@@ -1,10 +1,127 @@
 // Unix Shell JS - Browser-based Unix/Linux Command Emulator
 // Main entry point for the library
 
+import {
+  parse,
+  ShellSyntaxError,
+  ListNode,
+  AndOrNode,
+  PipelineNode,
+  CommandNode,
+  CompoundCommandNode,
+  SimpleCommandNode,
+  Redirect,
+  Word,
+  WordPart,
+  ParamPart,
+  formatAndOr,
+} from './parser';
+import { evaluateTest, TestArg, TestError } from './test-expression';
+import { formatMode, formatOctalMode, parseMode } from './file-modes';
+import {
+  PasswdEntry,
+  GroupEntry,
+  ShadowEntry,
+  parsePasswd,
+  formatPasswd,
+  parseGroup,
+  formatGroup,
+  parseShadow,
+  formatShadow,
+  newShadowEntry,
+  daysSinceEpoch,
+  isValidAccountName,
+  parseSudoers,
+  sudoRulesFor,
+  findSudoCommand,
+  formatSudoRule,
+} from './accounts';
+import { hashPassword, verifyPassword } from './passwords';
+import { RegexError, escapeRegex, findMatches, translateRegex } from './regex';
+import {
+  Range,
+  SortKey,
+  SortOrder,
+  byteLength,
+  compareText,
+  countText,
+  expandTrSet,
+  parseRanges,
+  parseSortKey,
+  selectRanges,
+  sortKeyText,
+  splitItems,
+  splitLines,
+  textLines,
+} from './text-filters';
+import { FindCommand, FindError, FindExpression, compareCount, parseFind } from './find-expression';
+import { DISK_SIZE, allocatedSize, formatColumns, humanSize } from './disk-usage';
+import { StorageAdapter, createLocalStorage, createMemoryStorage } from './storage';
+import { SESSION_VERSION, SavedSession, SavedUser, migrateSession } from './session';
+import {
+  concatBytes,
+  decodeBase64,
+  decodeStream,
+  encodeBase64,
+  encodeStream,
+  encodeUtf8,
+  hasRawBytes,
+  showRawBytes,
+} from './bytes';
+import {
+  ArchiveEntry,
+  ArchiveError,
+  ZipEntry,
+  gunzip,
+  gzip,
+  isGzip,
+  readTar,
+  readZip,
+  writeTar,
+  writeZip,
+} from './archives';
+import {
+  ListingEntry,
+  ListingOrder,
+  classifyIndicator,
+  colorName,
+  entryColor,
+  formatGrid,
+  parseLsColors,
+  sortEntries,
+} from './listing';
+import {
+  SedError,
+  SedProgram,
+  SedResult,
+  SedScript,
+  SedStream,
+  parseSed,
+  runSed,
+  streamSed,
+} from './sed';
+import { AwkError, AwkProgram, AwkSource, describeAwkError, parseAwk, runAwk } from './awk';
+import {
+  Process,
+  ProcessState,
+  SIGCONT,
+  SIGINT,
+  SIGTERM,
+  SIGTSTP,
+  formatProcStatus,
+  formatSignalList,
+  formatStartTime,
+  isStopSignal,
+  parseSignal,
+  signalDescription,
+  signalName,
+} from './processes';
+
 /**
- * Represents a file (string) or directory (nested FileSystemNode)
+ * Represents a file (string) or directory (nested FileSystemNode), either
+ * plain or as a node carrying its own metadata
  */
-export type FileSystemNode = string | FileSystemDirectory;
+export type FileSystemNode = string | FileSystemDirectory | Inode;
 
 /**
  * Directory structure where keys are file/folder names
@@ -17,7 +134,66 @@ export interface FileSystemDirectory {
  * Root filesystem structure
  */
 export interface FileSystem {
-  '/': FileSystemDirectory;
+  '/': FileSystemDirectory | DirectoryNode;
+}
+
+/**
+ * Mode, ownership and times stored with every file and directory
+ */
+export interface FileMetadata {
+  /** Permission bits, such as 0o644 */
+  mode: number;
+  uid: number;
+  gid: number;
+  /** Last read, in milliseconds since the epoch */
+  atime: number;
+  /** Last change to the contents */
+  mtime: number;
+  /** Last change to the contents or the metadata */
+  ctime: number;
+}
+
+/**
+ * A file with its metadata
+ */
+export interface FileNode extends FileMetadata {
+  type: 'file';
+  /** Text, or with encoding set the file's bytes in base64 */
+  content: string;
+  /** Set for binary files, such as archives */
+  encoding?: 'base64';
+}
+
+/**
+ * A directory with its metadata
+ */
+export interface DirectoryNode extends FileMetadata {
+  type: 'directory';
+  children: Record<string, Inode>;
+}
+
+/**
+ * A symbolic link, holding the path it points to. The path is looked up
+ * each time the link is used, relative to the link's directory.
+ */
+export interface SymlinkNode extends FileMetadata {
+  type: 'symlink';
+  target: string;
+}
+
+/**
+ * A filesystem entry in the rich format the shell works with. Plain strings
+ * and objects are upgraded to these when the filesystem is loaded.
+ */
+export type Inode = FileNode | DirectoryNode | SymlinkNode;
+
+/**
+ * What stat reports about a path
+ */
+export interface FileStat extends FileMetadata {
+  type: 'file' | 'directory' | 'symlink';
+  /** Bytes of content, 4096 for a directory, or the length of a link's target */
+  size: number;
 }
 
 /**
@@ -26,6 +202,13 @@ export interface FileSystem {
 export interface PersistenceOptions {
   enabled: boolean;
   prefix?: string;
+  /** Where state is kept: localStorage unless another adapter is given */
+  storage?: StorageAdapter;
+  /**
+   * Milliseconds to wait after a command before saving, so a burst of
+   * commands is saved once. With 0, the default, each command saves.
+   */
+  saveDelay?: number;
 }
 
 /**
@@ -51,9 +234,114 @@ export interface Environment {
 }
 
 /**
- * Command handler function type
+ * Per-invocation context passed to command handlers
+ */
+export interface CommandContext {
+  /** Piped or < redirected input, or null when reading from the terminal */
+  stdin: string | null;
+  /** Environment variables of the shell */
+  env: Environment;
+  /** Current working directory */
+  cwd: string;
+  /** False when output is piped to another command or redirected to a file */
+  isTTY: boolean;
+  /** Width of the terminal in characters, as given to setTerminalSize */
+  columns: number;
+  /** Aborted when the command line is interrupted, so async commands can stop */
+  signal: InterruptSignal;
+}
+
+/**
+ * Full result of a command. Unlike a plain string return, stdout and stderr
+ * are written exactly as given, so end lines with '\n' yourself.
+ */
+export interface CommandResult {
+  stdout?: string;
+  stderr?: string;
+  /** Exit status, 0 for success (default 0) */
+  exitCode?: number;
+}
+
+/**
+ * Returned by a command that needs a line of input, such as a password or an
+ * answer to a question. The host terminal shows the prompt and the shell
+ * calls onAnswer with the line typed, or null at end of input (Ctrl-D).
+ * When the command's stdin is piped or redirected, the answer is its next
+ * line instead. onAnswer returns the command's output, which may be another
+ * request.
+ */
+export interface InputRequest {
+  prompt: string;
+  /** Hide what is typed, as for a password */
+  masked?: boolean;
+  onAnswer: (answer: string | null) => CommandOutput;
+}
+
+/**
+ * Tells a command that it was interrupted, as by Ctrl-C. An AbortSignal fits.
+ */
+export interface InterruptSignal {
+  readonly aborted: boolean;
+  addEventListener(type: 'abort', listener: () => void): void;
+  removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+/**
+ * Options for executeAsync, executeDetailedAsync and respondAsync
+ */
+export interface ExecuteOptions {
+  /** Called with each piece of output as it's written, to show it before the command line finishes */
+  onOutput?: (text: string, stream: 'stdout' | 'stderr') => void;
+  /** Interrupts the command line when aborted, as interrupt() does */
+  signal?: InterruptSignal;
+}
+
+/**
+ * What a command handler may return. A plain string is stdout with exit
+ * status 0, and gets a trailing newline if it lacks one. Async commands
+ * return a promise of their output, or an async iterable of chunks that are
+ * written as they come, and only run with executeAsync.
+ */
+export type CommandOutput =
+  | string
+  | CommandResult
+  | InputRequest
+  | Promise<CommandOutput>
+  | AsyncIterable<OutputChunk>;
+
+/**
+ * A piece of an async command's output: text for stdout, written exactly as
+ * given, or a result to also write stderr and set the exit status
+ */
+export type OutputChunk = string | CommandResult;
+
+/**
+ * Command handler function type. Handlers that only need their arguments
+ * can ignore the context parameter.
+ */
+export type CommandHandler = (args: string[], context: CommandContext) => CommandOutput;
+
+/**
+ * Result of running a command line with executeDetailed
+ */
+export interface ExecutionResult {
+  stdout: string;
+  stderr: string;
+  /** Exit status of the last command run */
+  exitCode: number;
+  /** stdout and stderr interleaved, as the terminal shows them */
+  output: string;
+  /** Set when a command is waiting for a line of input; answer it with respond() */
+  pendingInput?: PendingInput;
+}
+
+/**
+ * A line of input a running command is waiting for
  */
-export type CommandHandler = (args: string[]) => string;
+export interface PendingInput {
+  prompt: string;
+  masked: boolean;
+}
 
 /**
  * Commands registry
@@ -63,11 +351,80 @@ export interface Commands {
 }
 
 /**
- * User state for exit command
+ * Who owns a file or directory, by id
  */
-interface UserState {
-  user: string;
-  home: string;
+interface Owner {
+  uid: number;
+  gid: number;
+}
+
+/**
+ * User state for exit command: the shell su started from, put back by exit
+ */
+interface UserState extends SavedUser {
+  /** PID of the shell, which exit ends */
+  pid: number;
+}
+
+/**
+ * How rm removes: recursively, empty directories too, ignoring missing
+ * files, asking first and telling what it removed
+ */
+interface RemoveOptions {
+  recursive: boolean;
+  emptyDirectories: boolean;
+  force: boolean;
+  interactive: boolean;
+  verbose: boolean;
+  input: LineReader;
+}
+
+/**
+ * How cp copies: recursively, asking before overwriting, never
+ * overwriting, or naming each copy
+ */
+interface CopyOptions {
+  recursive: boolean;
+  interactive: boolean;
+  noClobber: boolean;
+  verbose: boolean;
+  /** Where -i reads its answers */
+  input: LineReader;
+}
+
+/**
+ * A find walk as it goes: the command, the paths waiting for each
+ * -exec ... {} + and whether -prune or -quit stopped it
+ */
+interface FindWalk {
+  command: FindCommand;
+  batches: Map<FindExpression, string[]>;
+  pruned: boolean;
+  quit: boolean;
+  failed: boolean;
+  /** What -exec commands read */
+  stdin: string | null;
+}
+
+/**
+ * What du counts and shows: -a files too, -b bytes rather than blocks,
+ * down to a depth. Hard links already counted are in seen.
+ */
+interface DiskUsageOptions {
+  all: boolean;
+  apparent: boolean;
+  maxDepth: number;
+  seen: Set<Inode>;
+  /** Size and path of each entry shown, in the order du prints them */
+  entries: [number, string][];
+  errors: string[];
+}
+
+/**
+ * An entry ls lists, with its node and path for the long format and -R
+ */
+interface ListedNode extends ListingEntry {
+  node: Inode;
   path: string;
 }
 
@@ -80,11 +437,65 @@ interface FileOwner {
 }
 
 /**
- * Grep flags for filtering output
+ * Where a running command writes: the terminal, a pipe or a file
+ */
+interface ShellIO {
+  stdout: (text: string) => void;
+  stderr: (text: string) => void;
+  /** Whether stdout reaches the terminal */
+  isTTY: boolean;
+  /** Input for a compound command whose stdin was piped or redirected */
+  stdin?: string | null;
+  /** A pipe a filter reads as the stage before it still runs */
+  pipe?: Pipe;
+}
+
+/**
+ * A variable's value before "local" shadowed it, restored when the function returns
+ */
+interface SavedVariable {
+  value: string | undefined;
+  exported: boolean;
+}
+
+/**
+ * Part of an expanded word, remembering whether wildcards in it are literal
+ */
+interface WordSegment {
+  value: string;
+  quoted: boolean;
+}
+
+/**
+ * How grep matches lines and what it prints for them
  */
-interface GrepFlags {
-  ignoreCase: boolean;
+interface GrepOptions {
+  regex: RegExp;
   invert: boolean;
+  /** -w: matches have to be whole words */
+  wholeWords: boolean;
+  lineNumbers: boolean;
+  withFileNames: boolean;
+  /** -o: print just the matching parts */
+  onlyMatching: boolean;
+  /** What to print instead of lines: -c counts, -l and -L file names, -q nothing */
+  summary: 'count' | 'matching' | 'nonmatching' | 'quiet' | null;
+  maxCount: number;
+  before: number;
+  after: number;
+  /** Highlight with the terminal colors GNU grep uses */
+  color: boolean;
+}
+
+/**
+ * Options shared by chmod, chown and chgrp
+ */
+interface ChangeOptions {
+  recursive: boolean;
+  /** -f: don't report errors */
+  quiet: boolean;
+  verbose: boolean;
+  operands: string[];
 }
 
 /**
@@ -98,954 +509,10012 @@ export interface CompletionResult {
 }
 
 /**
- * Process information for ps command
+ * The parts of the shell that a background job has its own copy of, swapped
+ * in while it runs
+ */
+interface ShellState {
+  currentUser: string;
+  currentPath: string;
+  environment: Environment;
+  variables: Record<string, string>;
+  exportMarks: Set<string>;
+  functions: Record<string, CompoundCommandNode>;
+  positionalParams: string[];
+  lastExitStatus: number;
+  umask: number;
+  substitutionStatus: number | null;
+  localScopes: Record<string, SavedVariable>[];
+  loopDepth: number;
+  sourceDepth: number;
+  subshellDepth: number;
+  scriptName: string | null;
+  commandIO: ShellIO | null;
+  expandingAliases: string[];
+  interrupter: Interrupter;
+  shellPid: number;
+  parentPid: number | null;
+}
+
+/**
+ * A command run in the background with &, which jobs, fg, bg, kill and wait
+ * manage. It runs in a subshell with its own copy of the shell's state.
  */
-interface ProcessInfo {
+interface Job {
+  id: number;
+  /** How deep in subshells and scripts the shell that started it was; 0 for the terminal's */
+  depth: number;
+  /** PID of the subshell running it, as $! gives */
   pid: number;
-  user: string;
-  tty: string;
-  time: string;
-  cmd: string;
+  /** The command as jobs shows it */
+  command: string;
+  run: Run<number>;
+  state: ShellState;
+  /** Exit status once it has finished */
+  status: number | null;
+  /** The signal that ended it, if one did */
+  signal: number | null;
+  stopped: boolean;
+  /** The line of terminal input it stopped for, which fg asks for */
+  request: PendingInput | null;
+  /** Whether jobs or a notice has shown how it is now */
+  notified: boolean;
+  /** When it was last started, stopped or continued, to pick the current job */
+  touched: number;
+  /** Called the next time it stops, continues or finishes */
+  listeners: (() => void)[];
+}
+
+/**
+ * Where a command line's output is collected. respond() starts a new result
+ * for the output after each answer.
+ */
+interface OutputSink {
+  result: ExecutionResult;
+  /** The host's listener for output as it's written */
+  onOutput?: (text: string, stream: 'stdout' | 'stderr') => void;
+}
+
+/**
+ * A command line that has started running. It's kept as the shell's
+ * pendingCommand while paused until the terminal answers its request for
+ * input, or, with no request, until an async command it runs settles.
+ */
+interface PendingCommand {
+  run: Run<number>;
+  sink: OutputSink;
+  interrupter: Interrupter;
+  request: PendingInput | null;
 }
 
 /**
- * Loaded state from localStorage
+ * Loaded state from storage
  */
 interface LoadedState {
   fileSystem: FileSystem;
   currentUser: string;
   currentPath: string;
+  session: SavedSession;
 }
 
+// What persistence saves, each under the prefix and its own key. Each
+// file is saved under a key of its own too, such as unixshell_file_3.
+const STORAGE_KEYS = ['filesystem', 'current_user', 'current_path', 'session'];
+
 /**
- * Main Unix Shell class
+ * A file in the filesystem tree as saved, standing for the node saved
+ * under its number. Hard links share the number.
  */
-export class UnixShell {
-  public fileSystem: FileSystem;
-  public currentUser: string;
-  public currentPath: string;
-  public environment: Environment;
-  public commandHistory: string[];
-  public commands: Commands;
-
-  private persistence: PersistenceOptions | null;
-  private persistencePrefix: string;
-  private userStack: UserState[];
-  private _isPiped: boolean;
-
-  constructor(options: UnixShellOptions = {}) {
-    const { fileSystem, username = 'user', customCommands = {}, persistence = null } = options;
-
-    // Set up persistence configuration
-    this.persistence = persistence;
-    this.persistencePrefix = 'unixshell';
+interface StoredFile {
+  type: 'file';
+  id: number;
+}
 
-    if (this.persistence && this.persistence.enabled) {
-      this.persistencePrefix = this.persistence.prefix || 'unixshell';
+/**
+ * Whether a node of a saved filesystem tree is a StoredFile
+ */
+function isStoredFile(node: unknown): node is StoredFile {
+  return (
+    typeof node === 'object' &&
+    node !== null &&
+    (node as StoredFile).type === 'file' &&
+    typeof (node as StoredFile).id === 'number'
+  );
+}
 
-      // Try to load from localStorage if persistence is enabled
-      const loaded = this.loadFromStorage();
-      if (loaded) {
-        // Successfully loaded from storage
-        this.fileSystem = loaded.fileSystem;
-        this.currentUser = loaded.currentUser;
-        this.currentPath = loaded.currentPath;
-      } else {
-        // No saved data or loading failed, use provided or default
-        this.fileSystem = fileSystem || this.createDefaultFileSystem(username);
-        this.currentUser = username;
-        this.currentPath = `/home/${username}`;
-      }
-    } else {
-      // No persistence, use provided or default
-      this.fileSystem = fileSystem || this.createDefaultFileSystem(username);
-      this.currentUser = username;
-      this.currentPath = `/home/${username}`;
+/**
+ * Numbers of the files in a saved filesystem tree
+ */
+function storedFileIds(node: unknown, ids: Set<number> = new Set()): Set<number> {
+  if (isStoredFile(node)) {
+    ids.add(node.id);
+  } else if (typeof node === 'object' && node !== null) {
+    const entries = directoryEntries(node as FileSystemNode);
+    for (const child of Object.values(entries || {})) {
+      storedFileIds(child, ids);
     }
+  }
+  return ids;
+}
 
-    // User stack for exit command (don't persist this)
-    this.userStack = [];
+// Lines of history kept, in memory and in the history file, unless
+// $HISTSIZE and $HISTFILESIZE say otherwise
+const HISTORY_SIZE = 500;
+
+// Process ID of the login shell ($$); commands and jobs get the ones after it
+const SHELL_PID = 100;
+
+// The terminal the shell and everything it starts run on
+const TTY = 'pts/0';
+
+// Symlinks followed in one path lookup before giving up, as on Linux
+const MAX_SYMLINKS = 40;
+
+// Filters that read stdin a line at a time, so they can read a pipe as the
+// stage before them writes to it
+const PIPE_READERS = [
+  'cat',
+  'grep',
+  'head',
+  'tail',
+  'wc',
+  'sort',
+  'uniq',
+  'cut',
+  'tr',
+  'tee',
+  'sed',
+];
+
+// Commands and turns of loops run between pauses for the event loop
+const STEPS_PER_YIELD = 500;
+
+// Deepest function recursion allowed before giving up, well within the JS stack
+const MAX_FUNCTION_DEPTH = 300;
 
-    this.environment = {
-      USER: this.currentUser,
-      HOME: `/home/${this.currentUser}`,
-      PWD: this.currentPath,
-      PATH: '/usr/local/bin:/usr/bin:/bin',
-      SHELL: '/bin/bash',
-    };
-    this.commandHistory = [];
+/**
+ * Unwinds the interpreter for break, continue, return and exit. Command
+ * handlers throw these, so error handling must let them through.
+ */
+class ControlSignal {}
 
-    // Piped output flag
-    this._isPiped = false;
+/**
+ * Thrown by break and continue, and caught by the enclosing loop
+ */
+class LoopControl extends ControlSignal {
+  constructor(
+    public kind: 'break' | 'continue',
+    public levels: number
+  ) {
+    super();
+  }
+}
 
-    // Initialize commands with custom commands
-    this.commands = {};
-    this.initializeCommands(customCommands);
+/**
+ * Thrown by return, and caught by the function or sourced file that is running
+ */
+class FunctionReturn extends ControlSignal {
+  constructor(public status: number) {
+    super();
   }
+}
 
-  /**
-   * Creates a default filesystem structure
-   */
-  createDefaultFileSystem(username: string): FileSystem {
-    return {
-      '/': {
-        home: {
-          [username]: {
-            'README.md': '# Welcome\n\nThis is a simple Unix shell emulator.\n',
-            'example.txt': 'This is an example file.\n',
-          },
-        },
-        etc: {
-          hostname: 'localhost\n',
-        },
-        tmp: {},
+/**
+ * Thrown by exit inside a script, and caught where the script was started
+ */
+class ScriptExit extends ControlSignal {
+  constructor(public status: number) {
+    super();
+  }
+}
+
+/**
+ * A pause while an async command's promise settles. executeAsync waits for
+ * it before resuming; the synchronous methods can't, so they resume straight
+ * away and the command finds it unsettled.
+ */
+class Waiting<T> {
+  private settling: Promise<void>;
+  private settled = false;
+  private failed = false;
+  private value: T | undefined;
+  private error: unknown;
+
+  constructor(promise: Promise<T>) {
+    this.settling = promise.then(
+      (value) => {
+        this.settled = true;
+        this.value = value;
       },
-    };
+      (error) => {
+        this.settled = this.failed = true;
+        this.error = error;
+      }
+    );
+  }
+
+  /** Resolves, and never rejects, once the promise settles */
+  get done(): Promise<void> {
+    return this.settling;
   }
 
   /**
-   * Loads shell state from localStorage
+   * The promise's value, throwing its error if it was rejected
    */
-  loadFromStorage(): LoadedState | null {
-    if (typeof localStorage === 'undefined') {
-      return null;
+  result(): T {
+    if (!this.settled) {
+      throw new Error('asynchronous commands need executeAsync');
     }
+    if (this.failed) {
+      throw this.error;
+    }
+    return this.value as T;
+  }
+}
 
-    try {
-      const fsKey = `${this.persistencePrefix}_filesystem`;
-      const userKey = `${this.persistencePrefix}_current_user`;
-      const pathKey = `${this.persistencePrefix}_current_path`;
-
-      const savedFS = localStorage.getItem(fsKey);
-      const savedUser = localStorage.getItem(userKey);
-      const savedPath = localStorage.getItem(pathKey);
+/**
+ * A pause that gives the event loop a turn, which running shell code makes
+ * every so often (see checkpoint). Only waiting for it makes the timer, so
+ * the synchronous methods, which resume straight away, cost nothing.
+ */
+class Yielding extends Waiting<void> {
+  constructor() {
+    super(Promise.resolve());
+  }
 
-      if (!savedFS || !savedUser || !savedPath) {
-        return null;
-      }
+  get done(): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
 
-      const fileSystem = JSON.parse(savedFS) as FileSystem;
+/**
+ * Interrupts a command line, as Ctrl-C does. Its commands see it as
+ * context.signal.
+ */
+class Interrupter implements InterruptSignal {
+  aborted = false;
+  /** Resolves once interrupted */
+  interrupted: Promise<void>;
+  private resolve: () => void = () => undefined;
+  private listeners: (() => void)[] = [];
+
+  constructor() {
+    this.interrupted = new Promise((resolve) => (this.resolve = resolve));
+  }
 
-      // Validate filesystem structure
-      if (!fileSystem['/']) {
-        console.warn('Invalid filesystem structure in localStorage - missing root');
-        return null;
-      }
+  addEventListener(type: 'abort', listener: () => void): void {
+    this.listeners.push(listener);
+  }
 
-      // Validate that the saved path exists in the filesystem
-      const pathParts = savedPath.split('/').filter((p) => p);
-      let current: FileSystemNode = fileSystem['/'];
-      for (const part of pathParts) {
-        if (!current || typeof current !== 'object' || !(part in current)) {
-          console.warn(
-            'Invalid filesystem structure in localStorage - saved path does not exist:',
-            savedPath
-          );
-          return null;
-        }
-        current = current[part];
-      }
+  removeEventListener(type: 'abort', listener: () => void): void {
+    this.listeners = this.listeners.filter((other) => other !== listener);
+  }
 
-      return {
-        fileSystem: fileSystem,
-        currentUser: savedUser,
-        currentPath: savedPath,
-      };
-    } catch (e) {
-      console.error('Error loading from localStorage:', e);
-      return null;
+  abort(): void {
+    if (!this.aborted) {
+      this.aborted = true;
+      this.resolve();
+      this.listeners.forEach((listener) => listener());
     }
   }
+}
 
-  /**
-   * Saves shell state to localStorage
-   */
-  saveToStorage(): void {
-    if (!this.persistence || !this.persistence.enabled || typeof localStorage === 'undefined') {
-      return;
-    }
+/**
+ * Where running shell code stops: for a line from the terminal, or for an
+ * async command
+ */
+type Pause = PendingInput | Waiting<unknown>;
 
-    try {
-      const fsKey = `${this.persistencePrefix}_filesystem`;
-      const userKey = `${this.persistencePrefix}_current_user`;
-      const pathKey = `${this.persistencePrefix}_current_path`;
+/**
+ * A running piece of shell code. It yields wherever it has to stop, and is
+ * resumed with the line typed (null at end of input) or, after a Waiting,
+ * with null.
+ */
+type Run<T> = Generator<Pause, T, string | null>;
 
-      localStorage.setItem(fsKey, JSON.stringify(this.fileSystem));
-      localStorage.setItem(userKey, this.currentUser);
-      localStorage.setItem(pathKey, this.currentPath);
-    } catch (e) {
-      console.error('Error saving to localStorage:', e);
-    }
-  }
+/**
+ * The request a built-in that runs other commands, such as sh or sudo, makes
+ * when one of those commands stops for the terminal or an async command.
+ * runBuiltin resumes the run itself, so the commands inside still read their
+ * own stdin and their cleanup happens if the run is abandoned.
+ */
+class PausedRun implements InputRequest {
+  constructor(
+    public run: Run<CommandOutput>,
+    public pause: Pause
+  ) {}
+
+  get prompt(): string {
+    return this.pause instanceof Waiting ? '' : this.pause.prompt;
+  }
+
+  get masked(): boolean {
+    return this.pause instanceof Waiting ? false : this.pause.masked;
+  }
+
+  onAnswer(answer: string | null): CommandOutput {
+    return continueRun(this.run, answer);
+  }
+}
+
+/**
+ * The pipe from a pipeline stage that waits for an async command, or
+ * runs long enough to give the event loop a turn, to a filter after it, which reads it a line at a time as the stage runs. Once
+ * the filter has read what it needs the pipe closes, and the stage is
+ * stopped as SIGPIPE would stop it.
+ */
+class Pipe {
+  /** Interrupts the stage writing to the pipe, with the command line or on its own */
+  readonly interrupter = new Interrupter();
+  private run: Run<number> | null = null;
+  private buffer = '';
+  private finished = false;
+  /** Where the stage stopped last, until it's passed on */
+  private pause: Pause | null = null;
+  private answer: string | null = null;
+  private abort = (): void => this.interrupter.abort();
+
+  constructor(private parent: Interrupter) {
+    parent.addEventListener('abort', this.abort);
+  }
+
+  write(text: string): void {
+    this.buffer += text;
+  }
+
+  /**
+   * Runs the stage writing to the pipe to the end, giving what it wrote.
+   * With a filter that reads as it goes, it only runs until it first waits
+   * for an async command or the event loop, giving the pipe for the filter
+   * to read the rest from.
+   */
+  *fill(run: Run<number>, reader: boolean): Run<string | Pipe> {
+    this.run = run;
+    for (;;) {
+      const step = run.next(this.answer);
+      if (step.done) {
+        this.finished = true;
+        return this.buffer;
+      }
+      if (reader && step.value instanceof Waiting) {
+        this.pause = step.value;
+        return this;
+      }
+      this.answer = yield step.value;
+    }
+  }
+
+  /**
+   * The next line written to the pipe, without its line break, running the
+   * stage writing to it until there is one. null once it has finished.
+   */
+  *readLine(): Run<string | null> {
+    while (!this.finished && !this.buffer.includes('\n')) {
+      if (!this.pause) {
+        const step = this.run!.next(this.answer);
+        if (step.done) {
+          this.finished = true;
+          break;
+        }
+        this.pause = step.value;
+      }
+      const pause = this.pause;
+      this.pause = null;
+      this.answer = yield pause;
+    }
+
+    if (!this.buffer) {
+      return null;
+    }
+    const end = this.buffer.indexOf('\n');
+    const line = end === -1 ? this.buffer : this.buffer.slice(0, end);
+    this.buffer = end === -1 ? '' : this.buffer.slice(end + 1);
+    return line;
+  }
+
+  /**
+   * Stops the stage writing to the pipe, if it's still running
+   */
+  close(): void {
+    this.parent.removeEventListener('abort', this.abort);
+    if (!this.finished && this.run) {
+      this.finished = true;
+      this.interrupter.abort();
+      this.run.return(0);
+    }
+  }
+}
+
+/**
+ * Waits for a promise, resuming with its value once it settles
+ */
+function* waitFor<T>(promise: Promise<T>): Run<T> {
+  const waiting = new Waiting(promise);
+  yield waiting;
+  return waiting.result();
+}
+
+/**
+ * Runs a built-in's commands until they finish or have to stop
+ */
+function continueRun(run: Run<CommandOutput>, answer: string | null = null): CommandOutput {
+  const step = run.next(answer);
+  return step.done ? step.value : new PausedRun(run, step.value);
+}
+
+/**
+ * Runs to the end where there's no terminal, as for startup files, answering
+ * any request for input with end of input. Async commands can't be waited
+ * for, so they fail.
+ */
+function runToEnd<T>(run: Run<T>): T {
+  let step = run.next(null);
+  while (!step.done) {
+    step = run.next(null);
+  }
+  return step.value;
+}
+
+/**
+ * Whether a handler's output asks for input rather than finishing the command
+ */
+function isInputRequest(output: CommandOutput): output is InputRequest {
+  return typeof output === 'object' && 'onAnswer' in output;
+}
+
+function isPromise(output: CommandOutput): output is Promise<CommandOutput> {
+  return typeof output === 'object' && typeof (output as Promise<unknown>).then === 'function';
+}
+
+/**
+ * Whether a handler's output is all there is, as a string or result, rather
+ * than a request for input or something async
+ */
+function isFinalOutput(
+  output: CommandOutput | null | undefined
+): output is string | CommandResult | null | undefined {
+  return (
+    typeof output !== 'object' ||
+    output === null ||
+    !(isInputRequest(output) || isPromise(output) || Symbol.asyncIterator in output)
+  );
+}
+
+// Interpreters a #! line can name
+const SCRIPT_INTERPRETERS = ['sh', 'bash'];
+
+// Modes new files and directories ask for, before the umask takes bits away
+const NEW_FILE_MODE = 0o666;
+const NEW_DIRECTORY_MODE = 0o777;
+
+// What ls and stat report as the size of a directory
+const DIRECTORY_SIZE = 4096;
+
+// Access a permission check asks for, as in the rwx bits of a mode
+const READ = 4;
+const WRITE = 2;
+const EXECUTE = 1;
+
+// Sticky bit: only a file's owner may remove it from such a directory
+const STICKY = 0o1000;
+
+// Set-user-ID and set-group-ID bits, which hard links to others' files mustn't carry
+const SETUID = 0o4000;
+const SETGID = 0o2000;
+
+// Modes for plain directories that differ from the default when upgraded
+const UPGRADED_MODES: Record<string, number> = { '/tmp': 0o1777, '/root': 0o700 };
+
+// Id of the nobody user, which a user missing from /etc/passwd runs as
+const NOBODY_ID = 65534;
+
+// Ids of the groups in a generated /etc/group
+const SUDO_GID = 27;
+const SHADOW_GID = 42;
+
+// How long sudo remembers a password, as in its default timestamp_timeout
+const SUDO_TIMEOUT = 15 * 60 * 1000;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Whether a node is already in the rich format. Plain directories only hold
+ * strings and objects, so a numeric mode tells the two apart.
+ */
+function isInode(node: FileSystemNode): node is Inode {
+  return typeof node === 'object' && typeof (node as Inode).mode === 'number';
+}
+
+/**
+ * Entries of a directory in either format, or null for a file
+ */
+function directoryEntries(node: FileSystemNode): Record<string, FileSystemNode> | null {
+  if (isInode(node)) {
+    return node.type === 'directory' ? node.children : null;
+  }
+  return typeof node === 'object' ? node : null;
+}
+
+/**
+ * Looks up an entry of a directory, ignoring names inherited from Object
+ */
+function getChild(dir: DirectoryNode, name: string): Inode | undefined {
+  return Object.prototype.hasOwnProperty.call(dir.children, name) ? dir.children[name] : undefined;
+}
+
+/**
+ * Formats a time the way ls -l does: "Oct 19 14:03" for recent times and
+ * "Oct 19  2024" for anything more than six months away from now
+ */
+function formatFileTime(time: number): string {
+  const date = new Date(time);
+  const day = String(date.getDate()).padStart(2);
+  const sixMonths = (365.2425 / 2) * 24 * 60 * 60 * 1000;
+  if (Math.abs(Date.now() - time) < sixMonths) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${MONTHS[date.getMonth()]} ${day} ${hours}:${minutes}`;
+  }
+  return `${MONTHS[date.getMonth()]} ${day}  ${date.getFullYear()}`;
+}
+
+/**
+ * Formats a time as tar -tv and unzip -l do: "2024-10-19 14:03"
+ */
+function formatShortTime(time: number): string {
+  const date = new Date(time);
+  const parts = [date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()].map(
+    (part) => String(part).padStart(2, '0')
+  );
+  return `${date.getFullYear()}-${parts[0]}-${parts[1]} ${parts[2]}:${parts[3]}`;
+}
+
+/**
+ * Contents of a file in either format, or null for a directory
+ */
+function fileContent(node: FileSystemNode): string | null {
+  if (typeof node === 'string') {
+    return node;
+  }
+  return isInode(node) && node.type === 'file' ? fileText(node) : null;
+}
+
+/**
+ * The bytes of a file: its text in UTF-8, or its base64 content decoded
+ */
+function fileBytes(node: FileNode): Uint8Array {
+  return node.encoding === 'base64' ? decodeBase64(node.content) : encodeUtf8(node.content);
+}
+
+/**
+ * A file's text. Binary files are decoded as UTF-8 with the bytes that
+ * aren't kept raw, so they go through pipes and redirects unchanged.
+ */
+function fileText(node: FileNode): string {
+  return node.encoding === 'base64' ? decodeStream(decodeBase64(node.content)) : node.content;
+}
+
+/**
+ * Sets a file's content to text, or to bytes. Content that is UTF-8 is kept
+ * as the text it encodes, so it can still be edited, and other bytes, given
+ * as bytes or raw in text from a stream, in base64.
+ */
+function setContent(node: FileNode, content: string | Uint8Array): void {
+  const text = typeof content === 'string' ? content : decodeStream(content);
+  if (!hasRawBytes(text)) {
+    node.content = text;
+    delete node.encoding;
+  } else {
+    node.content = encodeBase64(typeof content === 'string' ? encodeStream(content) : content);
+    node.encoding = 'base64';
+  }
+}
+
+/**
+ * Reads a command's stdin a line at a time
+ */
+interface LineReader {
+  read: () => string | null;
+  /** Whatever hasn't been read, or null without stdin */
+  rest: () => string | null;
+}
+
+/**
+ * Hands out the lines of a command's stdin one at a time, as su, sudo -S and
+ * passwd read passwords when it's piped
+ */
+function lineReader(stdin: string | null): LineReader {
+  let position = 0;
+  return {
+    read: () => {
+      if (stdin === null || position >= stdin.length) {
+        return null;
+      }
+      const end = stdin.indexOf('\n', position);
+      const line = stdin.slice(position, end === -1 ? stdin.length : end);
+      position = end === -1 ? stdin.length : end + 1;
+      return line;
+    },
+    rest: () => (stdin === null ? null : stdin.slice(position)),
+  };
+}
+
+/**
+ * Reads a line a built-in asks for: the next line of its stdin when that's
+ * piped or redirected, otherwise a line typed at the terminal
+ */
+function* readLine(input: LineReader, prompt: string, masked: boolean): Run<string | null> {
+  return input.rest() === null ? yield { prompt, masked } : input.read();
+}
+
+// GNU grep's long options, and the short ones they stand for
+const GREP_LONG_OPTIONS: Record<string, string> = {
+  'extended-regexp': 'E',
+  'fixed-strings': 'F',
+  'basic-regexp': 'G',
+  regexp: 'e',
+  file: 'f',
+  'ignore-case': 'i',
+  'invert-match': 'v',
+  'word-regexp': 'w',
+  'line-regexp': 'x',
+  count: 'c',
+  'files-with-matches': 'l',
+  'files-without-match': 'L',
+  'max-count': 'm',
+  'only-matching': 'o',
+  quiet: 'q',
+  silent: 'q',
+  'no-messages': 's',
+  'line-number': 'n',
+  'with-filename': 'H',
+  'no-filename': 'h',
+  recursive: 'r',
+  'dereference-recursive': 'R',
+  'after-context': 'A',
+  'before-context': 'B',
+  context: 'C',
+};
+
+// GNU ls's long options, and the short ones they stand for
+const LS_LONG_OPTIONS: Record<string, string> = {
+  all: 'a',
+  'almost-all': 'A',
+  directory: 'd',
+  classify: 'F',
+  'human-readable': 'h',
+  recursive: 'R',
+  reverse: 'r',
+  width: 'w',
+};
+
+const LS_USAGE = `Usage: ls [OPTION]... [FILE]...
+List information about the FILEs (the current directory by default).
+Sort entries alphabetically if none of -tS is specified.
+
+  -a, --all                  do not ignore entries starting with .
+  -A, --almost-all           do not list implied . and ..
+      --color[=WHEN]         color the output WHEN: 'always', 'auto' or 'never'
+  -C                         list entries by columns
+  -d, --directory            list directories themselves, not their contents
+  -F, --classify             append indicator (one of */@) to entries
+  -h, --human-readable       with -l, print sizes like 1K 234M 2G etc.
+  -l                         use a long listing format
+  -r, --reverse              reverse order while sorting
+  -R, --recursive            list subdirectories recursively
+  -S                         sort by file size, largest first
+  -t                         sort by time, newest first
+  -w, --width=COLS           set output width to COLS; 0 means no limit
+  -x                         list entries by lines instead of by columns
+  -1                         list one file per line
+      --help                 display this help and exit
+
+Using color to distinguish file types is disabled both by default and
+with --color=never. With --color=auto, ls emits color codes only when
+standard output is connected to a terminal. The LS_COLORS environment
+variable can change the settings.`;
+
+// GNU tar's long options, and the short ones they stand for
+// rm's long options, and the short ones they stand for
+const RM_LONG_OPTIONS: Record<string, string> = {
+  recursive: 'r',
+  force: 'f',
+  dir: 'd',
+  verbose: 'v',
+};
+
+const TAR_LONG_OPTIONS: Record<string, string> = {
+  create: 'c',
+  extract: 'x',
+  get: 'x',
+  list: 't',
+  file: 'f',
+  gzip: 'z',
+  gunzip: 'z',
+  ungzip: 'z',
+  verbose: 'v',
+  directory: 'C',
+};
+
+// gzip's long options, and the short ones they stand for
+const GZIP_LONG_OPTIONS: Record<string, string> = {
+  decompress: 'd',
+  uncompress: 'd',
+  stdout: 'c',
+  'to-stdout': 'c',
+  force: 'f',
+  keep: 'k',
+  recursive: 'r',
+  verbose: 'v',
+};
+
+const UNZIP_USAGE = `Usage: unzip [-lnoq] [-d exdir] file[.zip] [list]
+  -l  list files (short format)
+  -d  extract files into exdir
+  -n  never overwrite existing files
+  -o  overwrite files WITHOUT prompting
+  -q  quiet mode`;
+
+// Terminal colors for grep --color: matches, file names, line numbers and
+// separators, as GNU grep's defaults
+const GREP_COLORS = { match: '01;31', file: '35', line: '32', separator: '36' };
+
+/**
+ * Wraps text in a terminal color, as grep --color does
+ */
+function colorize(text: string, color: string): string {
+  return text ? `\x1b[${color}m\x1b[K${text}\x1b[m\x1b[K` : '';
+}
+
+/**
+ * Turns long options into the short ones they stand for, for parseFlags,
+ * taking out --color. With grepNumbers, -NUM is -C NUM as in grep. Gives an
+ * error for unknown long options.
+ */
+function expandLongOptions(
+  args: string[],
+  longOptions: Record<string, string>,
+  grepNumbers = false
+): { args: string[]; color: string } | string {
+  const expanded: string[] = [];
+  let color = 'never';
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const long = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (arg === '--') {
+      expanded.push(...args.slice(i));
+      break;
+    } else if (grepNumbers && /^-\d+$/.test(arg)) {
+      expanded.push('-C', arg.slice(1));
+    } else if (long && (long[1] === 'color' || long[1] === 'colour')) {
+      color = long[2] === undefined ? 'auto' : long[2];
+      if (!['never', 'always', 'auto'].includes(color)) {
+        return `invalid argument '${color}' for '--color'`;
+      }
+    } else if (long && longOptions[long[1]]) {
+      expanded.push(`-${longOptions[long[1]]}`);
+      if (long[2] !== undefined) {
+        expanded.push(long[2]);
+      }
+    } else if (long) {
+      return `unrecognized option '${arg}'`;
+    } else {
+      expanded.push(arg);
+    }
+  }
+  return { args: expanded, color };
+}
+
+/**
+ * Greps the text of one file, giving what to print and whether any line
+ * was selected. separate puts -- before the first group of context lines,
+ * when an earlier file printed some.
+ */
+function grepText(
+  text: string,
+  name: string,
+  options: GrepOptions,
+  separate: boolean
+): { output: string; selected: boolean } {
+  const scan = new GrepScan(name, options, separate);
+  let output = '';
+  for (const line of textLines(text)) {
+    if (scan.done) {
+      break;
+    }
+    output += scan.line(line);
+  }
+  return { output: output + scan.end(), selected: scan.selected };
+}
+
+/**
+ * Greps one file a line at a time, as it's read from a pipe, giving what
+ * to print for each line and, at the end, what -c, -l and -L print
+ */
+class GrepScan {
+  private count = 0;
+  private index = -1;
+  private lastPrinted = -1;
+  private afterLeft = 0;
+  /** The lines just before the current one, as many as -B may print */
+  private recent: string[] = [];
+  /** Whether groups of context lines are printed, with -- between them */
+  private context: boolean;
+
+  constructor(
+    private name: string,
+    private options: GrepOptions,
+    private separate: boolean
+  ) {
+    this.context = !options.onlyMatching && (options.before > 0 || options.after > 0);
+  }
+
+  /** Whether any line was selected */
+  get selected(): boolean {
+    return this.count > 0;
+  }
+
+  /**
+   * Whether grep has read all it needs: -m lines and their trailing
+   * context, or with -q, -l and -L the first
+   */
+  get done(): boolean {
+    const { maxCount, summary } = this.options;
+    return (
+      (this.count === maxCount && this.afterLeft === 0) ||
+      (this.count > 0 && summary !== null && summary !== 'count')
+    );
+  }
+
+  /**
+   * What to print for the next line
+   */
+  line(text: string): string {
+    const output = this.scan(++this.index, text);
+    if (this.options.before > 0) {
+      this.recent.push(text);
+      if (this.recent.length > this.options.before) {
+        this.recent.shift();
+      }
+    }
+    return output;
+  }
+
+  /**
+   * What to print once the file has been read
+   */
+  end(): string {
+    const fileName = this.color(this.name, GREP_COLORS.file);
+    switch (this.options.summary) {
+      case 'count':
+        return (
+          (this.options.withFileNames ? fileName + this.color(':', GREP_COLORS.separator) : '') +
+          `${this.count}\n`
+        );
+      case 'matching':
+        return this.count > 0 ? `${fileName}\n` : '';
+      case 'nonmatching':
+        return this.count === 0 ? `${fileName}\n` : '';
+      default:
+        return '';
+    }
+  }
+
+  private scan(i: number, text: string): string {
+    const options = this.options;
+    const matches = findMatches(text, options.regex, options.wholeWords);
+    const matched = matches.length > 0 !== options.invert;
+    if (!matched || this.count === options.maxCount) {
+      if (this.afterLeft > 0 && options.summary === null) {
+        this.afterLeft--;
+        return this.print(i, text, '-', matches);
+      }
+      return '';
+    }
+
+    this.count++;
+    if (options.summary !== null) {
+      return '';
+    }
+    let output = '';
+    if (options.onlyMatching) {
+      for (const [start, end] of matches.filter(([start, end]) => end > start)) {
+        output +=
+          this.prefix(i, ':') + this.color(text.slice(start, end), GREP_COLORS.match) + '\n';
+      }
+      return output;
+    }
+    // recent holds the lines from i - recent.length on
+    for (let j = Math.max(i - options.before, this.lastPrinted + 1, 0); j < i; j++) {
+      const before = this.recent[j - i + this.recent.length];
+      output += this.print(j, before, '-', findMatches(before, options.regex, options.wholeWords));
+    }
+    output += this.print(i, text, ':', options.invert ? [] : matches);
+    this.afterLeft = options.after;
+    return output;
+  }
+
+  private print(
+    index: number,
+    text: string,
+    separator: string,
+    matches: [number, number][]
+  ): string {
+    let output = '';
+    if (this.context && (this.lastPrinted === -1 ? this.separate : index > this.lastPrinted + 1)) {
+      output += this.color('--', GREP_COLORS.separator) + '\n';
+    }
+    this.lastPrinted = index;
+    return output + this.prefix(index, separator) + this.highlight(text, matches) + '\n';
+  }
+
+  private color(part: string, code: string): string {
+    return this.options.color ? colorize(part, code) : part;
+  }
+
+  private highlight(line: string, matches: [number, number][]): string {
+    if (!this.options.color) {
+      return line;
+    }
+    let result = '';
+    let last = 0;
+    for (const [start, end] of matches) {
+      result += line.slice(last, start) + colorize(line.slice(start, end), GREP_COLORS.match);
+      last = end;
+    }
+    return result + line.slice(last);
+  }
+
+  private prefix(index: number, separator: string): string {
+    const { withFileNames, lineNumbers } = this.options;
+    return (
+      (withFileNames
+        ? this.color(this.name, GREP_COLORS.file) + this.color(separator, GREP_COLORS.separator)
+        : '') +
+      (lineNumbers
+        ? this.color(String(index + 1), GREP_COLORS.line) +
+          this.color(separator, GREP_COLORS.separator)
+        : '')
+    );
+  }
+}
+
+/**
+ * Options parsed by parseFlags: the letters given, the argument of each
+ * option that takes one (the last, when it's given again) and all of them
+ */
+interface ParsedFlags {
+  flags: Set<string>;
+  values: Record<string, string>;
+  lists: Record<string, string[]>;
+  operands: string[];
+}
+
+/**
+ * Splits a command's arguments into single-letter flags, which may be
+ * grouped as in -rv, and operands, in any order. -- ends the flags and a
+ * lone - is an operand. As with getopt, a letter followed by : in allowed
+ * takes an argument, joined (-n5) or separate (-n 5), and one followed by ::
+ * an optional one, only joined (-i.bak). Gives GNU's error for a letter not
+ * in allowed or a missing argument. With inOrder the flags end
+ * at the first operand, so the rest can be a command and its own flags.
+ */
+function parseFlags(
+  command: string,
+  args: string[],
+  allowed: string,
+  inOrder = false
+): ParsedFlags | CommandResult {
+  const parsed: ParsedFlags = { flags: new Set(), values: {}, lists: {}, operands: [] };
+  const help = `Try '${command} --help' for more information.`;
+  let endOfFlags = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (endOfFlags || !arg.startsWith('-') || arg === '-') {
+      parsed.operands.push(arg);
+      endOfFlags = endOfFlags || inOrder;
+      continue;
+    }
+    if (arg === '--') {
+      endOfFlags = true;
+      continue;
+    }
+
+    for (let j = 1; j < arg.length; j++) {
+      const flag = arg[j];
+      const index = allowed.indexOf(flag);
+      if (index === -1 || flag === ':') {
+        return failure(`${command}: invalid option -- '${flag}'\n${help}`);
+      }
+      parsed.flags.add(flag);
+      if (allowed[index + 1] !== ':') {
+        continue;
+      }
+
+      let value = arg.slice(j + 1);
+      if (!value && allowed[index + 2] !== ':') {
+        if (i === args.length - 1) {
+          return failure(`${command}: option requires an argument -- '${flag}'\n${help}`);
+        }
+        value = args[++i];
+      }
+      parsed.values[flag] = value;
+      (parsed.lists[flag] = parsed.lists[flag] || []).push(value);
+      break;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * The last part of a path, ignoring trailing slashes
+ */
+function baseName(path: string): string {
+  const trimmed = path.replace(/\/+$/, '');
+  return trimmed ? trimmed.slice(trimmed.lastIndexOf('/') + 1) : '/';
+}
+
+/**
+ * The path of an entry in a directory
+ */
+function joinPath(dir: string, name: string): string {
+  return `${dir.replace(/\/+$/, '')}/${name}`;
+}
+
+/**
+ * Size of a node as stat reports it: bytes of content, 4096 for a
+ * directory, or the length of a link's target
+ */
+function nodeSize(node: Inode): number {
+  if (node.type === 'directory') {
+    return DIRECTORY_SIZE;
+  }
+  if (node.type === 'file') {
+    return node.encoding === 'base64' ? fileBytes(node).length : byteLength(node.content);
+  }
+  return byteLength(node.target);
+}
+
+/**
+ * The character an xargs -d delimiter stands for: itself, or an escape
+ * such as \n or \0. Gives null for anything longer.
+ */
+function parseDelimiter(spec: string): string | null {
+  const escapes: Record<string, string> = { n: '\n', t: '\t', '0': '\0', '\\': '\\' };
+  if (spec.length === 1) {
+    return spec;
+  }
+  return spec.length === 2 && spec[0] === '\\' && spec[1] in escapes ? escapes[spec[1]] : null;
+}
+
+/**
+ * Ends non-empty text with a newline, turning lines of output into a stream
+ */
+function toLines(text: string): string {
+  return text && !text.endsWith('\n') ? text + '\n' : text;
+}
+
+/**
+ * Builds a failed command result with an error message on stderr
+ */
+function failure(message: string, exitCode: number = 1): CommandResult {
+  return { stdout: '', stderr: toLines(message), exitCode };
+}
+
+/**
+ * The command name of a user's login shell, as ps shows it
+ */
+function shellName(account: PasswdEntry): string {
+  return account.shell.slice(account.shell.lastIndexOf('/') + 1) || 'bash';
+}
+
+/**
+ * Writes output to a command line's result and the host's listener, with
+ * raw bytes shown as a terminal shows them
+ */
+function writeToSink(sink: OutputSink, text: string, stream: 'stdout' | 'stderr'): void {
+  text = showRawBytes(text);
+  sink.result[stream] += text;
+  sink.result.output += text;
+  if (sink.onOutput) {
+    sink.onOutput(text, stream);
+  }
+}
+
+/**
+ * A result with no output yet
+ */
+function emptyResult(): ExecutionResult {
+  return { stdout: '', stderr: '', exitCode: 0, output: '' };
+}
+
+/**
+ * Normalizes a handler's return value into a full command result
+ */
+function toCommandResult(
+  output: string | CommandResult | null | undefined
+): Required<CommandResult> {
+  if (output === null || output === undefined) {
+    return { stdout: '', stderr: '', exitCode: 0 };
+  }
+  if (typeof output === 'string') {
+    return { stdout: toLines(output), stderr: '', exitCode: 0 };
+  }
+  return {
+    stdout: output.stdout || '',
+    stderr: output.stderr || '',
+    exitCode: output.exitCode || 0,
+  };
+}
+
+/**
+ * Main Unix Shell class
+ */
+export class UnixShell {
+  public fileSystem: FileSystem;
+  public currentUser: string;
+  public currentPath: string;
+  public environment: Environment;
+  public commandHistory: string[];
+  public commands: Commands;
+  /** Shell variables that aren't exported to the environment */
+  public variables: Record<string, string>;
+  /** Exit status of the last command, as read by $? */
+  public lastExitStatus: number;
+  /** Shell functions by name */
+  public functions: Record<string, CompoundCommandNode>;
+  /** $1, $2, ... of the running function */
+  public positionalParams: string[];
+  /** Aliases defined with alias, expanded at the start of a command */
+  public aliases: Record<string, string>;
+  /** What startup files such as ~/.bashrc printed, for the host to show before the first prompt */
+  public startupOutput: string;
+
+  private persistence: PersistenceOptions | null;
+  private persistencePrefix: string;
+  /** Where persistence saves, or null when it's off or there's nowhere */
+  private storage: StorageAdapter | null = null;
+  /** What was last saved under each key, so a save writes only what changed */
+  private savedRecords: Record<string, string> = {};
+  /** Whether directories, symlinks or which names files have changed since the last save */
+  private treeChanged = true;
+  /** Files written to or otherwise changed since the last save */
+  private changedFiles = new Set<FileNode>();
+  /** The number each file is saved under */
+  private fileIds = new WeakMap<FileNode, number>();
+  private nextFileId = 1;
+  /** Numbers of the files in storage */
+  private storedFiles = new Set<number>();
+  /** A save waiting for saveDelay to pass */
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+  /** Writes to asynchronous storage that haven't finished */
+  private storageWrites: Promise<void> = Promise.resolve();
+  private userStack: UserState[];
+  /** How many lines of commandHistory the history file has already */
+  private historyWritten = 0;
+  /** Status of the last $(...) in the command being expanded, if any */
+  private substitutionStatus: number | null = null;
+  /** Names given to export before they were set, exported once they are */
+  private exportMarks = new Set<string>();
+  /** Variables shadowed by "local", one scope per running function */
+  private localScopes: Record<string, SavedVariable>[] = [];
+  /** Number of loops around the running command, for break and continue */
+  private loopDepth = 0;
+  /** Number of files being sourced, which return can leave */
+  private sourceDepth = 0;
+  /** Number of child shells (scripts, ( ) and $(...)) that exit would leave */
+  private subshellDepth = 0;
+  /** $0 inside a script */
+  private scriptName: string | null = null;
+  /** Where the running built-in writes, for built-ins such as sh that run other commands */
+  private commandIO: ShellIO | null = null;
+  /** Aliases being expanded, so an alias such as ls='ls -a' doesn't expand itself */
+  private expandingAliases: string[] = [];
+  /** When each user last gave sudo their password */
+  private sudoTimestamps: Record<string, number> = {};
+  /** Permission bits taken away from new files and directories */
+  private umask = 0o022;
+  /** The command line waiting for the terminal or an async command, if any */
+  private pendingCommand: PendingCommand | null = null;
+  /** Interrupts the command line or job running now */
+  private interrupter = new Interrupter();
+  /** Steps run since the last pause for the event loop */
+  private steps = 0;
+  /** The command line running in the foreground, which the terminal shows output for */
+  private foreground: PendingCommand | null = null;
+  /** What background jobs wrote while no command line was running */
+  private terminalBacklog: [string, 'stdout' | 'stderr'][] = [];
+  /** Running processes by PID: init, shells, commands and background jobs */
+  private processes = new Map<number, Process>();
+  private nextPid = SHELL_PID + 1;
+  /** PID of the shell reading commands: the login shell, or the last su started */
+  private shellPid = SHELL_PID;
+  /** PID of the running command or job that new processes are children of, or null for the shell */
+  private parentPid: number | null = null;
+  /** Background jobs, in the order they started */
+  private jobs: Job[] = [];
+  /** Counts job starts and stops, to tell which was latest */
+  private jobClock = 0;
+  /** PID of the last background job, as $! gives */
+  private lastBackgroundPid: number | null = null;
+  /** The job being stepped now, if any */
+  private runningJob: Job | null = null;
+  /** The built-in filters that can read a pipe as it's written (see PIPE_READERS) */
+  private pipeReaders = new Set<CommandHandler>();
+  /** Width of the terminal in characters, which ls lays out columns to fit */
+  private terminalColumns = 80;
+
+  constructor(options: UnixShellOptions = {}) {
+    const { fileSystem, username = 'user', customCommands = {}, persistence = null } = options;
+
+    // Set up persistence configuration
+    this.persistence = persistence;
+    this.persistencePrefix = 'unixshell';
+    let session: SavedSession | null = null;
+
+    if (this.persistence && this.persistence.enabled) {
+      this.persistencePrefix = this.persistence.prefix || 'unixshell';
+      this.storage =
+        this.persistence.storage ||
+        (typeof localStorage === 'undefined' ? null : createLocalStorage());
+
+      // What saveDelay holds back is saved before the page goes away
+      if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', () => this.flushStorage());
+      }
+
+      // Try to load from storage if persistence is enabled
+      const loaded = this.loadFromStorage();
+      if (loaded) {
+        // Successfully loaded from storage
+        this.fileSystem = this.loadFileSystem(loaded.fileSystem, loaded.currentUser);
+        this.currentUser = loaded.currentUser;
+        this.currentPath = loaded.currentPath;
+        session = loaded.session;
+      } else {
+        // No saved data or loading failed, use provided or default
+        this.fileSystem = this.loadFileSystem(
+          fileSystem || this.createDefaultFileSystem(username),
+          username
+        );
+        this.currentUser = username;
+        this.currentPath = '';
+      }
+    } else {
+      // No persistence, use provided or default
+      this.fileSystem = this.loadFileSystem(
+        fileSystem || this.createDefaultFileSystem(username),
+        username
+      );
+      this.currentUser = username;
+      this.currentPath = '';
+    }
+
+    // Users, home directories and login shells come from /etc/passwd
+    this.ensureAccount(this.currentUser);
+    const account = this.getAccount(this.currentUser)!;
+    if (!this.currentPath) {
+      const home = this.getNode(account.home);
+      this.currentPath = home && home.type === 'directory' ? account.home : '/';
+    }
+
+    // Shells su started that exit goes back to, as the saved session left them
+    const stack = session ? session.userStack : [];
+    this.userStack = stack.map((state, i) => ({ ...state, pid: SHELL_PID + i }));
+
+    // init, then the login shell the terminal runs and a shell for each su
+    const started = Date.now();
+    this.processes.set(1, { pid: 1, ppid: 0, user: 'root', argv: ['init'], tty: '?', started });
+    [...stack.map((state) => state.user), this.currentUser].forEach((user, i) => {
+      const owner = this.getAccount(user);
+      this.processes.set(SHELL_PID + i, {
+        pid: SHELL_PID + i,
+        ppid: i === 0 ? 1 : SHELL_PID + i - 1,
+        user,
+        argv: [owner ? shellName(owner) : 'bash'],
+        tty: TTY,
+        started,
+      });
+    });
+    this.shellPid = SHELL_PID + stack.length;
+    this.nextPid = this.shellPid + 1;
+    this.addProcDirectory();
+    this.addNullDevice();
+
+    const shell = session && session.shell;
+    this.environment = shell
+      ? shell.environment
+      : {
+          USER: this.currentUser,
+          HOME: account.home,
+          PWD: this.currentPath,
+          PATH: '/usr/local/bin:/usr/bin:/bin',
+          SHELL: account.shell,
+        };
+    this.variables = shell ? shell.variables : {};
+    this.functions = shell ? shell.functions : {};
+    this.positionalParams = [];
+    this.aliases = shell ? shell.aliases : {};
+    this.commandHistory = shell ? shell.history : [];
+    this.historyWritten = shell ? shell.historyWritten : 0;
+    if (session) {
+      this.umask = session.umask;
+    }
+    this.lastExitStatus = 0;
+
+    // Initialize commands with custom commands
+    this.commands = {};
+    this.initializeCommands(customCommands);
+
+    // A saved shell carries on where it was, otherwise the terminal starts
+    // a login shell, which reads the history file
+    this.startupOutput = '';
+    if (!shell) {
+      this.startupOutput = this.runStartupFiles(true);
+      this.readHistory();
+    }
+  }
+
+  /**
+   * Creates a default filesystem structure
+   */
+  createDefaultFileSystem(username: string): FileSystem {
+    return {
+      '/': {
+        home: {
+          [username]: {
+            'README.md': '# Welcome\n\nThis is a simple Unix shell emulator.\n',
+            'example.txt': 'This is an example file.\n',
+          },
+        },
+        etc: {
+          hostname: 'localhost\n',
+        },
+        tmp: {},
+      },
+    };
+  }
+
+  /**
+   * Upgrades plain strings and objects in a filesystem to nodes with
+   * metadata, and makes sure it has accounts for everyone. Files under
+   * /home/NAME belong to that user, everything else to root, and all of them
+   * get the default modes and the current time. Files starting with #! are
+   * made executable, /tmp sticky and /root private.
+   */
+  private loadFileSystem(fileSystem: FileSystem, username: string): FileSystem {
+    const owners: Record<string, Owner> = { root: { uid: 0, gid: 0 } };
+    const home = directoryEntries(fileSystem['/'])?.home;
+    const homeEntries = (home && directoryEntries(home)) || {};
+    const etc = directoryEntries(fileSystem['/'])?.etc;
+    const passwd = etc && directoryEntries(etc)?.passwd;
+
+    if (passwd !== undefined && fileContent(passwd) !== null) {
+      // Users with accounts own their homes by their account's ids
+      for (const entry of parsePasswd(fileContent(passwd)!)) {
+        owners[entry.name] = { uid: entry.uid, gid: entry.gid };
+      }
+    } else {
+      // Home directories that already have metadata say which id each user has
+      for (const [name, node] of Object.entries(homeEntries)) {
+        if (isInode(node) && node.uid !== 0) {
+          owners[name] = { uid: node.uid, gid: node.gid };
+        }
+      }
+    }
+
+    // Users seen for the first time get the next free id from 1000, this
+    // shell's user first
+    const ownerOf = (name: string): Owner => {
+      if (!Object.prototype.hasOwnProperty.call(owners, name)) {
+        const id = Math.max(999, ...Object.values(owners).map((owner) => owner.uid)) + 1;
+        owners[name] = { uid: id, gid: id };
+      }
+      return owners[name];
+    };
+    if (Object.prototype.hasOwnProperty.call(homeEntries, username)) {
+      ownerOf(username);
+    }
+
+    const root = this.upgradeNode(fileSystem['/'], '/', owners.root, Date.now(), ownerOf);
+    return { '/': root as DirectoryNode };
+  }
+
+  /**
+   * Upgrades one node and everything below it, giving plain nodes the owner
+   */
+  private upgradeNode(
+    node: FileSystemNode,
+    path: string,
+    owner: Owner,
+    now: number,
+    ownerOf: (name: string) => Owner
+  ): Inode {
+    const { uid, gid } = owner;
+    if (typeof node === 'string') {
+      // Scripts with a #! line stay runnable
+      const mode = node.startsWith('#!') ? NEW_DIRECTORY_MODE : NEW_FILE_MODE;
+      return {
+        type: 'file',
+        content: node,
+        mode: mode & ~this.umask,
+        uid,
+        gid,
+        atime: now,
+        mtime: now,
+        ctime: now,
+      };
+    }
+
+    if (isInode(node) && node.type !== 'directory') {
+      return node;
+    }
+
+    const entries = directoryEntries(node)!;
+    const children: Record<string, Inode> = {};
+    for (const [name, child] of Object.entries(entries)) {
+      const childPath = path === '/' ? `/${name}` : `${path}/${name}`;
+      const childOwner = path === '/home' ? ownerOf(name) : isInode(node) ? node : owner;
+      children[name] = this.upgradeNode(child, childPath, childOwner, now, ownerOf);
+    }
+
+    if (isInode(node)) {
+      node.children = children;
+      return node;
+    }
+    return {
+      type: 'directory',
+      children,
+      mode: UPGRADED_MODES[path] ?? NEW_DIRECTORY_MODE & ~this.umask,
+      uid,
+      gid,
+      atime: now,
+      mtime: now,
+      ctime: now,
+    };
+  }
+
+  /**
+   * Makes sure a user has an account. A filesystem without /etc/passwd gets
+   * one, with /etc/group, /etc/shadow and /etc/sudoers, for root, the owners
+   * of the directories in /home and this user. Nobody has a password, and
+   * this user may use sudo.
+   */
+  private ensureAccount(username: string): void {
+    if (this.readSystemFile('/etc/passwd') !== null) {
+      if (!this.getAccount(username)) {
+        this.addAccount(username, {}, '');
+      }
+      return;
+    }
+
+    const users: PasswdEntry[] = [
+      {
+        name: 'root',
+        password: 'x',
+        uid: 0,
+        gid: 0,
+        gecos: 'root',
+        home: '/root',
+        shell: '/bin/bash',
+      },
+    ];
+    const home = this.getNode('/home');
+    for (const [name, node] of Object.entries(home?.type === 'directory' ? home.children : {})) {
+      if (node.type === 'directory' && node.uid !== 0) {
+        users.push({
+          name,
+          password: 'x',
+          uid: node.uid,
+          gid: node.gid,
+          gecos: '',
+          home: `/home/${name}`,
+          shell: '/bin/bash',
+        });
+      }
+    }
+    users.sort((a, b) => a.uid - b.uid);
+
+    const groups: GroupEntry[] = [
+      { name: 'root', password: 'x', gid: 0, members: [] },
+      { name: 'sudo', password: 'x', gid: SUDO_GID, members: [] },
+      { name: 'shadow', password: 'x', gid: SHADOW_GID, members: [] },
+      ...users
+        .filter((user) => user.uid !== 0)
+        .map((user) => ({ name: user.name, password: 'x', gid: user.gid, members: [] })),
+    ];
+    const now = Date.now();
+    this.writeSystemFile('/etc/passwd', formatPasswd(users), 0o644);
+    this.writeSystemFile('/etc/group', formatGroup(groups), 0o644);
+    this.writeSystemFile(
+      '/etc/shadow',
+      formatShadow(users.map((user) => newShadowEntry(user.name, '', now))),
+      0o640,
+      SHADOW_GID
+    );
+    this.writeSystemFile(
+      '/etc/sudoers',
+      '# User privilege specification\n' +
+        'root\tALL=(ALL:ALL) ALL\n\n' +
+        '# Members of group sudo may run any command\n' +
+        '%sudo\tALL=(ALL:ALL) ALL\n',
+      0o440
+    );
+
+    if (!this.getAccount(username)) {
+      this.addAccount(username, {}, '');
+    }
+    if (username !== 'root') {
+      this.editGroups((entries) => {
+        entries.find((group) => group.gid === SUDO_GID)!.members.push(username);
+      });
+    }
+  }
+
+  /**
+   * Makes a shell, first loading its saved state from storage that works
+   * asynchronously, such as IndexedDB. Other options are as for the
+   * constructor.
+   */
+  static async create(options: UnixShellOptions = {}): Promise<UnixShell> {
+    const persistence = options.persistence;
+    const storage = persistence && persistence.enabled ? persistence.storage : undefined;
+    if (!persistence || !storage) {
+      return new UnixShell(options);
+    }
+
+    // The constructor reads what's saved from a copy already loaded, with
+    // the files the saved tree names
+    const prefix = persistence.prefix || 'unixshell';
+    const keys = STORAGE_KEYS.map((name) => `${prefix}_${name}`);
+    const values = await Promise.all(keys.map((key) => storage.getItem(key)));
+    let tree: unknown = null;
+    try {
+      tree = values[0] === null ? null : JSON.parse(values[0]);
+    } catch {
+      // The constructor reports it
+    }
+    const fileKeys = [...storedFileIds(tree)].map((id) => `${prefix}_file_${id}`);
+    keys.push(...fileKeys);
+    values.push(...(await Promise.all(fileKeys.map((key) => storage.getItem(key)))));
+    const loaded = createMemoryStorage();
+    keys.forEach((key, i) => {
+      if (values[i] !== null) {
+        loaded.setItem(key, values[i]!);
+      }
+    });
+    const shell = new UnixShell({ ...options, persistence: { ...persistence, storage: loaded } });
+    shell.storage = storage;
+    return shell;
+  }
+
+  /**
+   * Loads shell state from storage. Storage that's asynchronous can only
+   * be loaded by UnixShell.create, so this gives null for it.
+   */
+  loadFromStorage(): LoadedState | null {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      const saved: Record<string, string | null> = {};
+      for (const name of STORAGE_KEYS) {
+        const value = this.storage.getItem(`${this.persistencePrefix}_${name}`);
+        if (value instanceof Promise) {
+          console.warn('Storage is asynchronous - use UnixShell.create to load from it');
+          // Saving now would replace what couldn't be loaded
+          this.storage = null;
+          return null;
+        }
+        saved[name] = value;
+      }
+
+      const savedFS = saved.filesystem;
+      const savedUser = saved.current_user;
+      const savedPath = saved.current_path;
+      if (!savedFS || !savedUser || !savedPath) {
+        return null;
+      }
+
+      const fileSystem = JSON.parse(savedFS) as FileSystem;
+
+      // Validate filesystem structure
+      if (!fileSystem['/']) {
+        console.warn('Invalid filesystem structure in storage - missing root');
+        return null;
+      }
+
+      // Files are saved under keys of their own, except in saves from
+      // before they were, which have them in the tree
+      const files = new Map<number, FileNode>();
+      for (const id of storedFileIds(fileSystem)) {
+        const value = this.storage.getItem(`${this.persistencePrefix}_file_${id}`) as string | null;
+        const file = value === null ? null : (JSON.parse(value) as FileNode);
+        if (!file || file.type !== 'file' || typeof file.content !== 'string') {
+          console.warn('Invalid filesystem structure in storage - missing file', id);
+          return null;
+        }
+        files.set(id, file);
+      }
+      let inTree = false;
+      const restore = (node: FileSystemNode): FileSystemNode => {
+        if (isStoredFile(node)) {
+          return files.get(node.id)!;
+        }
+        inTree = inTree || typeof node === 'string' || (isInode(node) && node.type === 'file');
+        const entries = directoryEntries(node);
+        for (const [name, child] of Object.entries(entries || {})) {
+          entries![name] = restore(child);
+        }
+        return node;
+      };
+      restore(fileSystem['/']);
+
+      // Validate that the saved path exists in the filesystem
+      const pathParts = savedPath.split('/').filter((p) => p);
+      let current: FileSystemNode = fileSystem['/'];
+      for (const part of pathParts) {
+        const entries = directoryEntries(current);
+        if (!entries || !(part in entries)) {
+          console.warn(
+            'Invalid filesystem structure in storage - saved path does not exist:',
+            savedPath
+          );
+          return null;
+        }
+        current = entries[part];
+      }
+
+      // A session that can't be loaded leaves the rest to log in afresh
+      let session: SavedSession;
+      try {
+        session = migrateSession(saved.session === null ? null : JSON.parse(saved.session));
+      } catch (e) {
+        console.warn('Ignoring the session in storage:', e instanceof Error ? e.message : e);
+        session = migrateSession(null);
+      }
+
+      for (const name of STORAGE_KEYS) {
+        if (saved[name] !== null) {
+          this.savedRecords[`${this.persistencePrefix}_${name}`] = saved[name]!;
+        }
+      }
+      for (const [id, file] of files) {
+        this.fileIds.set(file, id);
+        this.storedFiles.add(id);
+        this.nextFileId = Math.max(this.nextFileId, id + 1);
+      }
+      // An older save is written again with its files apart
+      this.treeChanged = inTree;
+      return {
+        fileSystem: fileSystem,
+        currentUser: savedUser,
+        currentPath: savedPath,
+        session,
+      };
+    } catch (e) {
+      console.error('Error loading from storage:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Saves all of the shell's state to storage at once, including a save
+   * waiting for saveDelay
+   */
+  saveToStorage(): void {
+    this.savedRecords = {};
+    this.treeChanged = true;
+    this.saveChanges(true);
+  }
+
+  /**
+   * The session record for storage: each shell's variables, aliases and
+   * history, down the stack su left
+   */
+  private saveSession(): SavedSession {
+    return {
+      version: SESSION_VERSION,
+      shell: {
+        environment: this.environment,
+        variables: this.variables,
+        functions: this.functions,
+        aliases: this.aliases,
+        history: this.commandHistory,
+        historyWritten: this.historyWritten,
+      },
+      userStack: this.userStack.map((state) => ({
+        user: state.user,
+        path: state.path,
+        environment: state.environment,
+        variables: state.variables,
+        functions: state.functions,
+        aliases: state.aliases,
+        history: state.history,
+        historyWritten: state.historyWritten,
+      })),
+      umask: this.umask,
+    };
+  }
+
+  /**
+   * Saves what changed since the last save, now or, with saveDelay, once
+   * that long has passed without another command
+   */
+  private scheduleSave(): void {
+    const delay = this.persistence?.saveDelay ?? 0;
+    if (!this.storage || delay <= 0) {
+      this.saveChanges();
+      return;
+    }
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+    }
+    this.saveTimer = setTimeout(() => this.saveChanges(), delay);
+  }
+
+  /**
+   * Writes the state that's different from what was last saved: the tree
+   * if it changed, the files that changed and the other records that are
+   * different. everything writes every file.
+   */
+  private saveChanges(everything = false): void {
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    const storage = this.storage;
+    if (!storage) {
+      return;
+    }
+
+    // A write that fails is tried again by the next save
+    const write = (name: string, value: string, failed: () => void): void => {
+      const retry = (e: unknown) => {
+        console.error('Error saving to storage:', e);
+        failed();
+      };
+      try {
+        const written = storage.setItem(`${this.persistencePrefix}_${name}`, value);
+        if (written instanceof Promise) {
+          const done = written.catch(retry);
+          this.storageWrites = this.storageWrites.then(() => done);
+        }
+      } catch (e) {
+        retry(e);
+      }
+    };
+
+    if (this.treeChanged) {
+      this.treeChanged = false;
+      const ids = new Set<number>();
+      const tree = { '/': this.storedTree(this.fileSystem['/'] as DirectoryNode, ids, everything) };
+      write('filesystem', JSON.stringify(tree), () => {
+        this.treeChanged = true;
+      });
+      for (const id of this.storedFiles) {
+        if (!ids.has(id)) {
+          this.removeFromStorage(`file_${id}`);
+        }
+      }
+      this.storedFiles = ids;
+    }
+    const files = [...this.changedFiles];
+    this.changedFiles.clear();
+    for (const file of files) {
+      const id = this.fileIds.get(file);
+      // Files that were removed have nothing to save
+      if (id !== undefined && this.storedFiles.has(id)) {
+        write(`file_${id}`, JSON.stringify(file), () => this.changedFiles.add(file));
+      }
+    }
+
+    const records: Record<string, string> = {
+      current_user: this.currentUser,
+      current_path: this.currentPath,
+      session: JSON.stringify(this.saveSession()),
+    };
+    for (const [name, value] of Object.entries(records)) {
+      const key = `${this.persistencePrefix}_${name}`;
+      if (this.savedRecords[key] === value) {
+        continue;
+      }
+      this.savedRecords[key] = value;
+      write(name, value, () => delete this.savedRecords[key]);
+    }
+  }
+
+  /**
+   * A directory as the saved tree has it, with each file in it standing for
+   * the number it's saved under. Files new since the last save are given a
+   * number and saved too, or with everything all of them are. ids gathers
+   * the numbers.
+   */
+  private storedTree(
+    dir: DirectoryNode,
+    ids: Set<number>,
+    everything: boolean
+  ): Omit<DirectoryNode, 'children'> & { children: Record<string, unknown> } {
+    const children: Record<string, unknown> = {};
+    for (const [name, child] of Object.entries(dir.children)) {
+      if (child.type === 'directory') {
+        children[name] = this.storedTree(child, ids, everything);
+        continue;
+      }
+      if (child.type === 'symlink') {
+        children[name] = child;
+        continue;
+      }
+      let id = this.fileIds.get(child);
+      if (id === undefined) {
+        id = this.nextFileId++;
+        this.fileIds.set(child, id);
+      }
+      if (everything || !this.storedFiles.has(id)) {
+        this.changedFiles.add(child);
+      }
+      ids.add(id);
+      children[name] = { type: 'file', id };
+    }
+    return { ...dir, children };
+  }
+
+  /**
+   * Removes a record from storage, by its name after the prefix
+   */
+  private removeFromStorage(name: string): void {
+    try {
+      const removed = this.storage!.removeItem(`${this.persistencePrefix}_${name}`);
+      if (removed instanceof Promise) {
+        const done = removed.catch((e) => console.error('Error clearing storage:', e));
+        this.storageWrites = this.storageWrites.then(() => done);
+      }
+    } catch (e) {
+      console.error('Error clearing storage:', e);
+    }
+  }
+
+  /**
+   * Saves now anything waiting for saveDelay, resolving once storage has
+   * finished writing it, as a page might before it's closed
+   */
+  flushStorage(): Promise<void> {
+    if (this.saveTimer !== null) {
+      this.saveChanges();
+    }
+    return this.storageWrites;
+  }
+
+  /**
+   * Clears saved state from storage
+   */
+  clearStorage(): void {
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.savedRecords = {};
+    this.treeChanged = true;
+    this.changedFiles.clear();
+    const files = this.storedFiles;
+    this.storedFiles = new Set();
+    if (!this.storage) {
+      return;
+    }
+
+    for (const name of STORAGE_KEYS) {
+      this.removeFromStorage(name);
+    }
+    for (const id of files) {
+      this.removeFromStorage(`file_${id}`);
+    }
+  }
+
+  /**
+   * Initializes built-in and custom commands
+   */
+  initializeCommands(customCommands: Record<string, CommandHandler>): void {
+    // Built-ins that run other commands pause with them when they wait for input
+    const running =
+      (handler: (args: string[], context: CommandContext) => Run<CommandOutput>): CommandHandler =>
+      (args, context) =>
+        continueRun(handler.call(this, args, context));
+
+    // Built-in commands
+    this.commands = {
+      help: this.cmd_help.bind(this),
+      ls: this.cmd_ls.bind(this),
+      cd: this.cmd_cd.bind(this),
+      pwd: this.cmd_pwd.bind(this),
+      cat: this.cmd_cat.bind(this),
+      grep: this.cmd_grep.bind(this),
+      head: this.cmd_head.bind(this),
+      tail: this.cmd_tail.bind(this),
+      wc: this.cmd_wc.bind(this),
+      sort: this.cmd_sort.bind(this),
+      uniq: this.cmd_uniq.bind(this),
+      cut: this.cmd_cut.bind(this),
+      tr: this.cmd_tr.bind(this),
+      tee: this.cmd_tee.bind(this),
+      sed: this.cmd_sed.bind(this),
+      awk: running(this.cmd_awk),
+      echo: this.cmd_echo.bind(this),
+      clear: this.cmd_clear.bind(this),
+      whoami: this.cmd_whoami.bind(this),
+      date: this.cmd_date.bind(this),
+      sleep: this.cmd_sleep.bind(this),
+      uname: this.cmd_uname.bind(this),
+      env: this.cmd_env.bind(this),
+      export: this.cmd_export.bind(this),
+      unset: this.cmd_unset.bind(this),
+      set: this.cmd_set.bind(this),
+      local: this.cmd_local.bind(this),
+      shift: this.cmd_shift.bind(this),
+      test: this.cmd_test.bind(this),
+      '[': this.cmd_bracket.bind(this),
+      true: this.cmd_true.bind(this),
+      false: this.cmd_false.bind(this),
+      ':': this.cmd_true.bind(this),
+      break: this.cmd_break.bind(this),
+      continue: this.cmd_continue.bind(this),
+      return: this.cmd_return.bind(this),
+      history: this.cmd_history.bind(this),
+      mkdir: this.cmd_mkdir.bind(this),
+      touch: this.cmd_touch.bind(this),
+      rm: running(this.cmd_rm),
+      cp: running(this.cmd_cp),
+      mv: running(this.cmd_mv),
+      ln: this.cmd_ln.bind(this),
+      readlink: this.cmd_readlink.bind(this),
+      chmod: this.cmd_chmod.bind(this),
+      chown: this.cmd_chown.bind(this),
+      chgrp: this.cmd_chgrp.bind(this),
+      umask: this.cmd_umask.bind(this),
+      tree: this.cmd_tree.bind(this),
+      find: running(this.cmd_find),
+      xargs: running(this.cmd_xargs),
+      du: this.cmd_du.bind(this),
+      df: this.cmd_df.bind(this),
+      tar: this.cmd_tar.bind(this),
+      gzip: this.cmd_gzip.bind(this),
+      gunzip: (args, context) => this.cmd_gzip(['-d', ...args], context),
+      zcat: (args, context) => this.cmd_gzip(['-dc', ...args], context),
+      zip: this.cmd_zip.bind(this),
+      unzip: running(this.cmd_unzip),
+      ps: this.cmd_ps.bind(this),
+      jobs: this.cmd_jobs.bind(this),
+      fg: running(this.cmd_fg),
+      bg: this.cmd_bg.bind(this),
+      kill: this.cmd_kill.bind(this),
+      wait: running(this.cmd_wait),
+      vi: this.cmd_vi.bind(this),
+      vim: this.cmd_vim.bind(this),
+      su: running(this.cmd_su),
+      sudo: running(this.cmd_sudo),
+      id: this.cmd_id.bind(this),
+      groups: this.cmd_groups.bind(this),
+      useradd: this.cmd_useradd.bind(this),
+      userdel: this.cmd_userdel.bind(this),
+      usermod: this.cmd_usermod.bind(this),
+      passwd: running(this.cmd_passwd),
+      exit: this.cmd_exit.bind(this),
+      sh: running(this.cmd_sh),
+      bash: running(this.cmd_bash),
+      source: running(this.cmd_source),
+      '.': running(this.cmd_source),
+      alias: this.cmd_alias.bind(this),
+      unalias: this.cmd_unalias.bind(this),
+    };
+
+    this.pipeReaders = new Set(PIPE_READERS.map((name) => this.commands[name]));
+
+    // Add custom commands (these will overwrite built-in commands if same name)
+    for (const [name, handler] of Object.entries(customCommands)) {
+      this.commands[name] = handler.bind(this);
+    }
+  }
+
+  /**
+   * The directory ~ stands for: HOME, or with HOME unset the user's home
+   * directory in /etc/passwd
+   */
+  private homeDirectory(): string {
+    return this.getVariable('HOME') ?? this.getAccount(this.currentUser)?.home ?? '/';
+  }
+
+  /**
+   * Resolves a path (relative or absolute) to an absolute path
+   */
+  resolvePath(path: string): string {
+    // Expand ~ to home directory
+    if (path.startsWith('~')) {
+      path = this.homeDirectory() + path.slice(1);
+    }
+
+    const parts = path.startsWith('/') ? [] : this.currentPath.split('/').filter((p) => p);
+    const newParts = path.split('/').filter((p) => p);
+
+    for (const part of newParts) {
+      if (part === '..') {
+        parts.pop();
+      } else if (part !== '.') {
+        parts.push(part);
+      }
+    }
+    return '/' + parts.join('/');
+  }
+
+  /**
+   * Gets a filesystem node at the specified path, following symlinks unless
+   * followLinks is false, when a link at the end of the path is returned itself
+   */
+  getNode(path: string, followLinks = true): Inode | null {
+    const found = this.walkPath(path, followLinks, false);
+    return typeof found === 'string' ? null : found.node;
+  }
+
+  /**
+   * The absolute path to a file with every symlink on the way resolved, as
+   * readlink -f and pwd -P give, or null if it doesn't exist
+   */
+  realPath(path: string): string | null {
+    const found = this.walkPath(path, true, false);
+    return typeof found === 'string' ? null : found.path;
+  }
+
+  /**
+   * Walks a path from /, following symlinks on the way, and the one at the
+   * end too if followLast is set or the path ends in /. With check set,
+   * directories on the way must be searchable. Returns the node and the path
+   * it was found at, or the error that stopped the walk.
+   */
+  private walkPath(
+    path: string,
+    followLast: boolean,
+    check: boolean
+  ): { node: Inode; path: string } | string {
+    let parts = this.resolvePath(path)
+      .split('/')
+      .filter((p) => p);
+    followLast = followLast || path.endsWith('/');
+    let current = this.fileSystem['/'] as DirectoryNode as Inode;
+    let links = 0;
+
+    for (let i = 0; i < parts.length; i++) {
+      if (current.type !== 'directory') {
+        return 'Not a directory';
+      }
+      if (check && !this.canAccess(current, EXECUTE)) {
+        return 'Permission denied';
+      }
+      const child = this.getEntry(current, parts[i]);
+      if (!child) {
+        return 'No such file or directory';
+      }
+
+      if (child.type === 'symlink' && (followLast || i < parts.length - 1)) {
+        if (++links > MAX_SYMLINKS) {
+          return 'Too many levels of symbolic links';
+        }
+        // Carry on from / with the target in place of the link
+        const base = child.target.startsWith('/') ? '' : `/${parts.slice(0, i).join('/')}`;
+        const rest = parts.slice(i + 1).join('/');
+        parts = this.resolvePath(`${base}/${child.target}/${rest}`)
+          .split('/')
+          .filter((p) => p);
+        current = this.fileSystem['/'] as DirectoryNode;
+        i = -1;
+        continue;
+      }
+      current = child;
+    }
+    return { node: current, path: `/${parts.join('/')}` };
+  }
+
+  /**
+   * Gets the type, size, mode, owner and times of a file or directory. With
+   * followLinks false, a symlink is described itself, as lstat does.
+   */
+  stat(path: string, followLinks = true): FileStat | null {
+    const node = this.getNode(path, followLinks);
+    if (!node) {
+      return null;
+    }
+    return {
+      type: node.type,
+      size: nodeSize(node),
+      mode: node.mode,
+      uid: node.uid,
+      gid: node.gid,
+      atime: node.atime,
+      mtime: node.mtime,
+      ctime: node.ctime,
+    };
+  }
+
+  /**
+   * Gets the bytes of a file, such as an archive to download, or null when
+   * there's no file at path
+   */
+  readFileBytes(path: string): Uint8Array | null {
+    const node = this.getNode(path);
+    return node && node.type === 'file' ? fileBytes(node) : null;
+  }
+
+  /**
+   * Gets the names of the user and group owning a file or directory
+   */
+  getOwner(path: string): FileOwner {
+    const node = this.getNode(path);
+    if (!node) {
+      return { user: 'root', group: 'root' };
+    }
+    return { user: this.userName(node.uid), group: this.groupName(node.gid) };
+  }
+
+  /**
+   * Reads a file as the system does, without permission checks. Returns
+   * null when it doesn't exist.
+   */
+  private readSystemFile(path: string): string | null {
+    const node = this.getNode(path);
+    return node && node.type === 'file' ? fileText(node) : null;
+  }
+
+  /**
+   * Writes a file as the system does, creating it owned by root when it's new
+   */
+  private writeSystemFile(path: string, content: string, mode: number, gid = 0): void {
+    const node = this.getNode(path);
+    if (node && node.type === 'file') {
+      setContent(node, content);
+      this.markModified(node);
+      return;
+    }
+
+    const slash = path.lastIndexOf('/');
+    const dirPath = path.slice(0, slash) || '/';
+    let dir = this.getNode(dirPath);
+    if (!dir) {
+      this.writeSystemDirectory(dirPath);
+      dir = this.getNode(dirPath)!;
+    }
+    if (dir.type !== 'directory') {
+      return;
+    }
+    const now = Date.now();
+    dir.children[path.slice(slash + 1)] = {
+      type: 'file',
+      content,
+      mode,
+      uid: 0,
+      gid,
+      atime: now,
+      mtime: now,
+      ctime: now,
+    };
+    this.markModified(dir);
+  }
+
+  /**
+   * Creates a directory owned by root, such as a missing /etc
+   */
+  private writeSystemDirectory(path: string): void {
+    const parent = this.getNode(path.slice(0, path.lastIndexOf('/')) || '/');
+    if (parent && parent.type === 'directory') {
+      const now = Date.now();
+      parent.children[path.slice(path.lastIndexOf('/') + 1)] = {
+        type: 'directory',
+        children: {},
+        mode: 0o755,
+        uid: 0,
+        gid: 0,
+        atime: now,
+        mtime: now,
+        ctime: now,
+      };
+      this.markChanged(parent);
+    }
+  }
+
+  /**
+   * Looks up an entry in a directory, where /proc shows the process table as
+   * it is now and /dev/null is always empty
+   */
+  private getEntry(dir: DirectoryNode, name: string): Inode | undefined {
+    const root = this.fileSystem['/'] as DirectoryNode;
+    if (name === 'proc' && dir === root) {
+      return this.procDirectory();
+    }
+    const node = getChild(dir, name);
+    if (name === 'null' && node && node.type === 'file' && dir === getChild(root, 'dev')) {
+      node.content = '';
+      delete node.encoding;
+    }
+    return node;
+  }
+
+  /**
+   * Adds an empty /proc to the filesystem so that listings of / show it;
+   * getNode fills it in from the process table
+   */
+  private addProcDirectory(): void {
+    const root = this.fileSystem['/'] as DirectoryNode;
+    if (!getChild(root, 'proc')) {
+      this.writeSystemDirectory('/proc');
+      root.children.proc.mode = 0o555;
+    }
+  }
+
+  /**
+   * Adds /dev/null, which reads as empty and discards what's written to it
+   */
+  private addNullDevice(): void {
+    const node = this.getNode('/dev/null');
+    if (node && node.type === 'file') {
+      node.mode = 0o666;
+      this.markChanged(node);
+    } else {
+      this.writeSystemFile('/dev/null', '', 0o666);
+    }
+  }
+
+  /**
+   * Builds /proc from the process table, with a directory for each process
+   * holding its cmdline, comm and status
+   */
+  private procDirectory(): DirectoryNode {
+    const now = Date.now();
+    const children: Record<string, Inode> = {};
+    for (const process of this.processes.values()) {
+      const account = this.getAccount(process.user);
+      const uid = account ? account.uid : 0;
+      const gid = account ? account.gid : 0;
+      const times = { atime: process.started, mtime: process.started, ctime: process.started };
+      const file = (content: string): Inode => ({
+        type: 'file',
+        content,
+        mode: 0o444,
+        uid,
+        gid,
+        ...times,
+      });
+      children[process.pid] = {
+        type: 'directory',
+        children: {
+          cmdline: file(`${process.argv.join('\0')}\0`),
+          comm: file(`${process.argv[0]}\n`),
+          status: file(formatProcStatus(process, this.processState(process), uid, gid)),
+        },
+        mode: 0o555,
+        uid,
+        gid,
+        ...times,
+      };
+    }
+    return {
+      type: 'directory',
+      children,
+      mode: 0o555,
+      uid: 0,
+      gid: 0,
+      atime: now,
+      mtime: now,
+      ctime: now,
+    };
+  }
+
+  /**
+   * Users from /etc/passwd
+   */
+  private getAccounts(): PasswdEntry[] {
+    return parsePasswd(this.readSystemFile('/etc/passwd') || '');
+  }
+
+  /**
+   * Looks up a user in /etc/passwd
+   */
+  private getAccount(name: string): PasswdEntry | null {
+    return this.getAccounts().find((account) => account.name === name) || null;
+  }
+
+  /**
+   * Groups from /etc/group
+   */
+  private getGroupEntries(): GroupEntry[] {
+    return parseGroup(this.readSystemFile('/etc/group') || '');
+  }
+
+  private editAccounts(edit: (entries: PasswdEntry[]) => PasswdEntry[] | void): void {
+    const entries = this.getAccounts();
+    this.writeSystemFile('/etc/passwd', formatPasswd(edit(entries) || entries), 0o644);
+  }
+
+  private editGroups(edit: (entries: GroupEntry[]) => GroupEntry[] | void): void {
+    const entries = this.getGroupEntries();
+    this.writeSystemFile('/etc/group', formatGroup(edit(entries) || entries), 0o644);
+  }
+
+  private editShadow(edit: (entries: ShadowEntry[]) => ShadowEntry[] | void): void {
+    const entries = parseShadow(this.readSystemFile('/etc/shadow') || '');
+    this.writeSystemFile('/etc/shadow', formatShadow(edit(entries) || entries), 0o640, SHADOW_GID);
+  }
+
+  /**
+   * Adds a user to /etc/passwd and /etc/shadow, with a group of the same
+   * name unless they are given a gid. A user whose home directory already
+   * exists keeps the id that owns it when nobody else has it.
+   */
+  private addAccount(name: string, details: Partial<PasswdEntry>, hash: string): PasswdEntry {
+    const accounts = this.getAccounts();
+    const groups = this.getGroupEntries();
+    const home = details.home || `/home/${name}`;
+    const taken = (id: number): boolean =>
+      accounts.some((account) => account.uid === id) ||
+      (details.gid === undefined && groups.some((group) => group.gid === id));
+
+    let uid = details.uid;
+    const homeNode = this.getNode(home);
+    if (uid === undefined && homeNode && homeNode.uid !== 0 && !taken(homeNode.uid)) {
+      uid = homeNode.uid;
+    }
+    if (uid === undefined) {
+      uid = Math.max(999, ...accounts.map((a) => a.uid).filter((id) => id < NOBODY_ID)) + 1;
+      while (taken(uid)) {
+        uid++;
+      }
+    }
+
+    const entry: PasswdEntry = {
+      name,
+      password: 'x',
+      uid,
+      gid: details.gid ?? uid,
+      gecos: details.gecos || '',
+      home,
+      shell: details.shell || '/bin/bash',
+    };
+    this.editAccounts((entries) => [...entries, entry]);
+    if (details.gid === undefined) {
+      this.editGroups((entries) => [...entries, { name, password: 'x', gid: uid!, members: [] }]);
+    }
+    this.editShadow((entries) => [...entries, newShadowEntry(name, hash, Date.now())]);
+    return entry;
+  }
+
+  /**
+   * Ids of the groups a user is in: their primary group, then every group
+   * that lists them as a member
+   */
+  private groupIds(account: PasswdEntry): number[] {
+    const ids = [account.gid];
+    for (const group of this.getGroupEntries()) {
+      if (group.members.includes(account.name) && !ids.includes(group.gid)) {
+        ids.push(group.gid);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Uid of the current user. Someone missing from /etc/passwd is nobody.
+   */
+  private currentUid(): number {
+    const account = this.getAccount(this.currentUser);
+    return account ? account.uid : NOBODY_ID;
+  }
+
+  /**
+   * Name of the user with a uid, or the uid itself when nobody has it
+   */
+  private userName(uid: number): string {
+    const account = this.getAccounts().find((entry) => entry.uid === uid);
+    return account ? account.name : String(uid);
+  }
+
+  /**
+   * Name of the group with a gid, or the gid itself when no group has it
+   */
+  private groupName(gid: number): string {
+    const group = this.getGroupEntries().find((entry) => entry.gid === gid);
+    return group ? group.name : String(gid);
+  }
+
+  /**
+   * Looks up a uid by user name or number
+   */
+  private lookupUser(name: string): number | null {
+    const account = this.getAccount(name);
+    if (account) {
+      return account.uid;
+    }
+    return /^\d+$/.test(name) ? parseInt(name, 10) : null;
+  }
+
+  /**
+   * Looks up a gid by group name or number
+   */
+  private lookupGroup(name: string): number | null {
+    const group = this.getGroupEntries().find((entry) => entry.name === name);
+    if (group) {
+      return group.gid;
+    }
+    return /^\d+$/.test(name) ? parseInt(name, 10) : null;
+  }
+
+  /**
+   * The password hash of a user: the one in /etc/shadow, or in /etc/passwd
+   * for an account without a shadow entry. Empty means no password.
+   */
+  private passwordHash(name: string): string {
+    const shadow = parseShadow(this.readSystemFile('/etc/shadow') || '');
+    const entry = shadow.find((line) => line.name === name);
+    if (entry) {
+      return entry.hash;
+    }
+    const account = this.getAccount(name);
+    return account && account.password !== 'x' ? account.password : '';
+  }
+
+  /**
+   * Checks a user's password. Anything will do for a user without one, and
+   * nothing for a locked account.
+   */
+  private checkPassword(name: string, password: string | null): boolean {
+    const hash = this.passwordHash(name);
+    return hash === '' || (password !== null && verifyPassword(password, hash));
+  }
+
+  /**
+   * Creates a file owned by the current user
+   */
+  private createFile(content: string): FileNode {
+    return { type: 'file', content, ...this.newMetadata(NEW_FILE_MODE) };
+  }
+
+  /**
+   * Creates an empty directory owned by the current user
+   */
+  private createDirectory(): DirectoryNode {
+    return { type: 'directory', children: {}, ...this.newMetadata(NEW_DIRECTORY_MODE) };
+  }
+
+  private newMetadata(mode: number): FileMetadata {
+    const account = this.getAccount(this.currentUser);
+    const uid = account ? account.uid : NOBODY_ID;
+    const gid = account ? account.gid : NOBODY_ID;
+    const now = Date.now();
+    return { mode: mode & ~this.umask, uid, gid, atime: now, mtime: now, ctime: now };
+  }
+
+  /**
+   * Records that a node's contents changed, such as a directory gaining an entry
+   */
+  private markModified(node: Inode): void {
+    node.mtime = node.ctime = Date.now();
+    this.markChanged(node);
+  }
+
+  /**
+   * Records that a node changed, for the next save to write. Reading a file
+   * isn't a change: its access time is saved along with the next one.
+   */
+  private markChanged(node: Inode): void {
+    if (node.type === 'file') {
+      this.changedFiles.add(node);
+    } else {
+      this.treeChanged = true;
+    }
+  }
+
+  /**
+   * Checks if current user may write to a path, or create it when it doesn't exist
+   */
+  canWrite(path: string): boolean {
+    const node = this.findNode(path);
+    if (typeof node !== 'string') {
+      return this.canAccess(node, WRITE);
+    }
+    return this.checkCreate(path) === null;
+  }
+
+  /**
+   * Whether the current user has the requested rwx bits on a node, going by
+   * the owner, group or other bits that apply to them. Root may read and
+   * write anything, but only runs files with an x bit set for someone.
+   */
+  private canAccess(node: Inode, access: number): boolean {
+    const uid = this.currentUid();
+    if (uid === 0) {
+      return !(access & EXECUTE) || node.type === 'directory' || (node.mode & 0o111) !== 0;
+    }
+
+    let bits = node.mode & 7;
+    if (node.uid === uid) {
+      bits = (node.mode >> 6) & 7;
+    } else if (this.inGroup(node.gid)) {
+      bits = (node.mode >> 3) & 7;
+    }
+    return (bits & access) === access;
+  }
+
+  /**
+   * Whether the current user belongs to a group, as their primary group or
+   * as a member listed in /etc/group
+   */
+  private inGroup(gid: number): boolean {
+    const account = this.getAccount(this.currentUser);
+    return account !== null && this.groupIds(account).includes(gid);
+  }
+
+  /**
+   * Walks a path, checking the directories on the way can be searched and
+   * following symlinks as getNode does. Returns the node, or the error that
+   * stopped the walk.
+   */
+  private findNode(path: string, followLinks = true): Inode | string {
+    const found = this.walkPath(path, followLinks, true);
+    return typeof found === 'string' ? found : found.node;
+  }
+
+  /**
+   * Finds the directory a new entry at path would go in, checking the
+   * current user may add to it. Returns the directory or an error.
+   */
+  private findParent(path: string): { parent: DirectoryNode; name: string } | string {
+    const parts = this.resolvePath(path)
+      .split('/')
+      .filter((p) => p);
+    const name = parts.pop() || '';
+    const parent = this.findNode('/' + parts.join('/'));
+
+    if (typeof parent === 'string') {
+      return parent;
+    }
+    if (parent.type !== 'directory') {
+      return 'Not a directory';
+    }
+    return { parent, name };
+  }
+
+  /**
+   * Finds the file at path, or where it would be created, following symlinks
+   * to the files they point to, which may not exist yet. Returns the
+   * directory it's in, its name there and the file if it exists, or an error.
+   */
+  private findTarget(
+    path: string
+  ):
+    | { parent: DirectoryNode; name: string; existing: FileNode | DirectoryNode | undefined }
+    | string {
+    let current = this.resolvePath(path);
+    for (let links = 0; ; links++) {
+      const found = this.findParent(current);
+      if (typeof found === 'string') {
+        return found;
+      }
+      const existing = found.name ? getChild(found.parent, found.name) : found.parent;
+      if (!existing || existing.type !== 'symlink') {
+        return { ...found, existing };
+      }
+      if (links === MAX_SYMLINKS) {
+        return 'Too many levels of symbolic links';
+      }
+      current = this.linkTarget(current, existing);
+    }
+  }
+
+  /**
+   * The absolute path a symlink at path points to
+   */
+  private linkTarget(path: string, link: SymlinkNode): string {
+    if (link.target.startsWith('/')) {
+      return this.resolvePath(link.target);
+    }
+    const full = this.resolvePath(path);
+    return this.resolvePath(`${full.slice(0, full.lastIndexOf('/'))}/${link.target}`);
+  }
+
+  /**
+   * Checks that a new file or directory can be created at path
+   */
+  private checkCreate(path: string): string | null {
+    const found = this.findParent(path);
+    if (typeof found === 'string') {
+      return found;
+    }
+    return this.canAccess(found.parent, WRITE | EXECUTE) ? null : 'Permission denied';
+  }
+
+  /**
+   * Reads a file operand for a command, where '-' means stdin.
+   * Returns null and records an error message if the file can't be read,
+   * as "command: file: error" unless the command words it another way.
+   */
+  readOperand(
+    command: string,
+    file: string,
+    context: CommandContext,
+    errors: string[],
+    describe = (error: string) => `${command}: ${file}: ${error}`
+  ): string | null {
+    if (file === '-') {
+      return context.stdin || '';
+    }
+
+    const node = this.openFile(file);
+    if (typeof node === 'string') {
+      errors.push(describe(node));
+      return null;
+    }
+    return fileText(node);
+  }
+
+  /**
+   * Whether a filter given these file operands reads the terminal: it reads
+   * stdin for no files or '-', and stdin isn't piped or redirected
+   */
+  private readsTerminal(files: string[], context: CommandContext): boolean {
+    return context.stdin === null && (files.length === 0 || files.includes('-'));
+  }
+
+  /**
+   * Reads lines typed at the terminal up to the end of input (Ctrl-D),
+   * then runs a filter with them as its stdin. enough, told of each line,
+   * stops it sooner for filters that only need so much.
+   */
+  private readTerminal(
+    run: (stdin: string) => CommandOutput,
+    enough: (line: string, text: string) => boolean = () => false,
+    text = ''
+  ): InputRequest {
+    return {
+      prompt: '',
+      onAnswer: (line) => {
+        if (line === null) {
+          return run(text);
+        }
+        const read = `${text}${line}\n`;
+        return enough(line, read) ? run(read) : this.readTerminal(run, enough, read);
+      },
+    };
+  }
+
+  /**
+   * Reads lines typed at the terminal, or from a pipe, up to the end of
+   * input, writing what a filter makes of each as soon as it's read. finish
+   * gives the rest of its result at the end of input, or once done says it
+   * needs no more.
+   */
+  private filterLines(
+    filter: (line: string) => string,
+    finish: () => CommandOutput,
+    done: () => boolean = () => false,
+    io: ShellIO = this.commandIO!
+  ): InputRequest {
+    return {
+      prompt: '',
+      onAnswer: (line) => {
+        if (line === null) {
+          return finish();
+        }
+        const output = filter(line);
+        if (output) {
+          io.stdout(output);
+        }
+        return done() ? finish() : this.filterLines(filter, finish, done, io);
+      },
+    };
+  }
+
+  /**
+   * Whether a filter's operands only name stdin, so it can write each line
+   * as it's read
+   */
+  private readsOnlyStdin(files: string[]): boolean {
+    return files.every((file) => file === '-');
+  }
+
+  /**
+   * Opens a file for reading, recording the access. Returns the file, or
+   * the error that stopped it.
+   */
+  private openFile(path: string): FileNode | string {
+    const node = this.findNode(path);
+    if (typeof node === 'string') {
+      return node;
+    }
+    if (!this.canAccess(node, READ)) {
+      return 'Permission denied';
+    }
+    if (node.type !== 'file') {
+      return 'Is a directory';
+    }
+    node.atime = Date.now();
+    return node;
+  }
+
+  // Command implementations
+  cmd_help(): string {
+    const commandList = Object.keys(this.commands).sort();
+    return `Available commands:\n${commandList.map((cmd) => `  ${cmd}`).join('\n')}\n\nType any command to try it out!`;
+  }
+
+  /**
+   * Lists what's in each directory operand, or the current directory, and
+   * other operands themselves. Entries sort by name, newest first with -t
+   * or largest first with -S, and go in columns sized to the terminal, one
+   * per line when piped or with -1, or in a long listing with -l. -R lists
+   * subdirectories too, -F marks entries by type and --color colors them as
+   * LS_COLORS says.
+   */
+  cmd_ls(args: string[], context: CommandContext): CommandResult {
+    const end = args.indexOf('--');
+    if ((end === -1 ? args : args.slice(0, end)).includes('--help')) {
+      return { stdout: `${LS_USAGE}\n` };
+    }
+    const expanded = expandLongOptions(args, LS_LONG_OPTIONS);
+    if (typeof expanded === 'string') {
+      return failure(`ls: ${expanded}\nTry 'ls --help' for more information.`, 2);
+    }
+    const parsed = parseFlags('ls', expanded.args, 'aAdFhlrRStxC1w:');
+    if (!('flags' in parsed)) {
+      return { ...parsed, exitCode: 2 };
+    }
+    const { flags, values, operands } = parsed;
+
+    // -w, then an exported COLUMNS, then the terminal's own width
+    let width = context.columns;
+    if (values.w !== undefined) {
+      if (!/^\d+$/.test(values.w)) {
+        return failure(`ls: invalid line width: '${values.w}'`, 2);
+      }
+      width = parseInt(values.w, 10);
+    } else if (/^[1-9]\d*$/.test(context.env.COLUMNS || '')) {
+      width = parseInt(context.env.COLUMNS, 10);
+    }
+
+    // The last of -l, -1, -C and -x picks the format, as in GNU ls
+    let format = context.isTTY ? 'C' : '1';
+    for (const arg of expanded.args) {
+      if (arg === '--') {
+        break;
+      }
+      if (/^-[^-]/.test(arg)) {
+        for (const flag of arg.slice(1).split('w')[0]) {
+          format = 'l1Cx'.includes(flag) ? flag : format;
+        }
+      }
+    }
+
+    const sort: ListingOrder = flags.has('t') ? 'time' : flags.has('S') ? 'size' : 'name';
+    const classify = flags.has('F');
+    const colors =
+      expanded.color === 'always' || (expanded.color === 'auto' && context.isTTY)
+        ? parseLsColors(context.env.LS_COLORS)
+        : null;
+    const errors: string[] = [];
+    let exitCode = 0;
+
+    // A name as shown, with its width on screen leaving out color codes. In
+    // the long format a symlink shows its target instead of an @.
+    const showName = (entry: ListedNode): { text: string; width: number } => {
+      const color = colors ? entryColor(entry, colors) : null;
+      let text = colors ? colorName(entry.name, color, colors) : entry.name;
+      let mark = classify ? classifyIndicator(entry.type, entry.mode) : '';
+      if (format === 'l' && entry.node.type === 'symlink') {
+        const target = entry.node.target;
+        const targetColor = !colors
+          ? null
+          : entry.target
+            ? entryColor({ ...entry, ...entry.target, name: target }, colors)
+            : colors.mi || null;
+        mark =
+          classify && entry.target ? classifyIndicator(entry.target.type, entry.target.mode) : '';
+        text += ` -> ${colors ? colorName(target, targetColor, colors) : target}`;
+      }
+      return { text: text + mark, width: entry.name.length + mark.length };
+    };
+
+    // Lines of ls -l, their columns as wide as the widest entry's
+    let linkCounts: Map<Inode, number> | null = null;
+    const longListing = (entries: ListedNode[]): string[] => {
+      const rows = entries.map((entry) => {
+        const node = entry.node;
+        // A directory is linked from its parent, its own . and each
+        // subdirectory's .., and a file from each name it has
+        let links: number;
+        if (node.type === 'directory') {
+          links = 2 + Object.values(node.children).filter((c) => c.type === 'directory').length;
+        } else {
+          linkCounts = linkCounts || this.countLinks();
+          links = linkCounts.get(node) || 1;
+        }
+        return [
+          formatMode(node.type, node.mode),
+          String(links),
+          this.userName(node.uid),
+          this.groupName(node.gid),
+          flags.has('h') ? humanSize(entry.size) : String(entry.size),
+          formatFileTime(node.mtime),
+          showName(entry).text,
+        ];
+      });
+      return rows.length > 0
+        ? formatColumns(rows, [false, true, false, false, true, false, false]).split('\n')
+        : [];
+    };
+
+    const render = (entries: ListedNode[]): string => {
+      if (format === 'l') {
+        return longListing(entries).join('\n');
+      }
+      const names = entries.map(showName);
+      if (format === '1') {
+        return names.map((name) => name.text).join('\n');
+      }
+      return formatGrid(names, width, format === 'x');
+    };
+
+    // Operands that are directories are listed after the rest. -d, -F and
+    // -l show a symlink named on the command line rather than following it,
+    // and a dangling one is shown either way.
+    const files: ListedNode[] = [];
+    const directories: ListedNode[] = [];
+    for (const operand of operands.length > 0 ? operands : ['.']) {
+      const path = this.resolvePath(operand);
+      const link = operand.endsWith('/') ? null : this.getNode(path, false);
+      const symlink = link && link.type === 'symlink' ? link : null;
+      let node: Inode | null =
+        symlink && (flags.has('d') || classify || format === 'l') ? symlink : null;
+      if (!node) {
+        const found = this.findNode(path);
+        if (typeof found === 'string' && !symlink) {
+          errors.push(`ls: cannot access '${operand}': ${found}`);
+          exitCode = 2;
+          continue;
+        }
+        node = typeof found === 'string' ? symlink! : found;
+      }
+      const entry = this.listingEntry(operand, node, path);
+      (node.type === 'directory' && !flags.has('d') ? directories : files).push(entry);
+    }
+
+    const blocks: string[] = [];
+    if (files.length > 0) {
+      blocks.push(render(sortEntries(files, sort, flags.has('r'))));
+    }
+
+    const headers = operands.length > 1 || flags.has('R');
+    const listDirectory = (label: string, path: string, dir: DirectoryNode, operand: boolean) => {
+      if (!this.canAccess(dir, READ)) {
+        errors.push(`ls: cannot open directory '${label}': Permission denied`);
+        exitCode = operand ? 2 : Math.max(exitCode, 1);
+        return;
+      }
+      const entries = Object.keys(dir.children)
+        .filter((name) => flags.has('a') || flags.has('A') || !name.startsWith('.'))
+        .map((name) => this.listingEntry(name, dir.children[name], joinPath(path, name)));
+      if (flags.has('a')) {
+        const parentPath = this.resolvePath(joinPath(path, '..'));
+        const parent = this.getNode(parentPath)!;
+        entries.push(
+          this.listingEntry('.', dir, path),
+          this.listingEntry('..', parent, parentPath)
+        );
+      }
+      const sorted = sortEntries(entries, sort, flags.has('r'));
+
+      const lines = headers ? [`${label}:`] : [];
+      if (format === 'l') {
+        const bytes = sorted.reduce(
+          (sum, entry) => sum + (entry.type === 'symlink' ? 0 : allocatedSize(entry.size)),
+          0
+        );
+        lines.push(`total ${flags.has('h') ? humanSize(bytes) : bytes / 1024}`);
+      }
+      if (sorted.length > 0) {
+        lines.push(render(sorted));
+      }
+      if (lines.length > 0) {
+        blocks.push(lines.join('\n'));
+      }
+
+      if (flags.has('R')) {
+        for (const entry of sorted) {
+          if (entry.node.type === 'directory' && entry.name !== '.' && entry.name !== '..') {
+            listDirectory(joinPath(label, entry.name), entry.path, entry.node, false);
+          }
+        }
+      }
+    };
+    for (const entry of sortEntries(directories, sort, flags.has('r'))) {
+      if (entry.node.type === 'directory') {
+        listDirectory(entry.name, entry.path, entry.node, true);
+      }
+    }
+
+    return {
+      stdout: toLines(blocks.join('\n\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode,
+    };
+  }
+
+  /**
+   * What ls shows of a node at path under the given name, with the type and
+   * mode of what a symlink points to
+   */
+  private listingEntry(name: string, node: Inode, path: string): ListedNode {
+    const entry: ListedNode = {
+      name,
+      type: node.type,
+      mode: node.mode,
+      size: nodeSize(node),
+      mtime: node.mtime,
+      node,
+      path,
+    };
+    if (node.type === 'symlink') {
+      const target = this.getNode(path);
+      entry.target = target ? { type: target.type, mode: target.mode } : null;
+    }
+    return entry;
+  }
+
+  /**
+   * How many names each file and symlink has across the filesystem, as hard
+   * links share the node
+   */
+  private countLinks(): Map<Inode, number> {
+    const counts = new Map<Inode, number>();
+    const visit = (dir: DirectoryNode): void => {
+      for (const child of Object.values(dir.children)) {
+        if (child.type === 'directory') {
+          visit(child);
+        } else {
+          counts.set(child, (counts.get(child) || 0) + 1);
+        }
+      }
+    };
+    visit(this.fileSystem['/'] as DirectoryNode);
+    return counts;
+  }
+
+  cmd_cd(args: string[]): CommandOutput {
+    if (!args[0]) {
+      const home = this.getVariable('HOME');
+      if (home === undefined) {
+        return failure('bash: cd: HOME not set');
+      }
+      if (!home) {
+        return '';
+      }
+      args = [home];
+    }
+
+    const newPath = this.resolvePath(args[0]);
+    const node = this.findNode(newPath);
+
+    if (typeof node === 'string') {
+      return failure(`cd: ${args[0]}: ${node}`);
+    }
+
+    if (node.type === 'file') {
+      return failure(`cd: ${args[0]}: Not a directory`);
+    }
+
+    if (!this.canAccess(node, EXECUTE)) {
+      return failure(`cd: ${args[0]}: Permission denied`);
+    }
+
+    this.currentPath = newPath;
+    this.environment.PWD = this.currentPath;
+    return '';
+  }
+
+  cmd_pwd(): string {
+    return this.currentPath;
+  }
+
+  cmd_cat(args: string[], context: CommandContext): CommandOutput {
+    if (this.readsTerminal(args, context)) {
+      if (this.readsOnlyStdin(args)) {
+        return this.filterLines(
+          (line) => `${line}\n`,
+          () => ''
+        );
+      }
+      return this.readTerminal((stdin) => this.cmd_cat(args, { ...context, stdin }));
+    }
+
+    const files = args.length > 0 ? args : ['-'];
+    const errors: string[] = [];
+    let output = '';
+
+    for (const file of files) {
+      const content = this.readOperand('cat', file, context, errors);
+      if (content !== null) {
+        output += content;
+      }
+    }
+
+    return {
+      stdout: output,
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Prints lines matching a basic regular expression, or with -E an
+   * extended one and with -F a fixed string, from files or stdin. -r
+   * searches directories. Matches are highlighted with --color=always, or
+   * --color=auto when output goes to the terminal.
+   */
+  cmd_grep(args: string[], context: CommandContext): CommandOutput {
+    const expanded = expandLongOptions(args, GREP_LONG_OPTIONS, true);
+    if (typeof expanded === 'string') {
+      return failure(`grep: ${expanded}\nTry 'grep --help' for more information.`, 2);
+    }
+    const parsed = parseFlags('grep', expanded.args, 'iyvnclLrRwxoqshHEFGe:f:m:A:B:C:');
+    if (!('flags' in parsed)) {
+      return { ...parsed, exitCode: 2 };
+    }
+    const { flags, values, lists, operands } = parsed;
+    const errors: string[] = [];
+
+    // Patterns come from -e and -f, or else the first operand
+    let patterns: string[] = [];
+    if (flags.has('e') || flags.has('f')) {
+      for (const file of lists.f || []) {
+        const content = this.readOperand('grep', file, context, errors);
+        if (content === null) {
+          return failure(errors.join('\n'), 2);
+        }
+        patterns.push(...textLines(content));
+      }
+      patterns.push(...(lists.e || []));
+    } else if (operands.length > 0) {
+      patterns.push(operands.shift()!);
+    }
+    const recursive = flags.has('r') || flags.has('R');
+    if (patterns.length === 0) {
+      return failure('Usage: grep [OPTION]... PATTERN [FILE]...', 2);
+    }
+    patterns = patterns.reduce<string[]>((all, pattern) => all.concat(pattern.split('\n')), []);
+
+    let source: string;
+    try {
+      const extended = flags.has('E') && !flags.has('G');
+      source = patterns
+        .map((pattern) =>
+          flags.has('F') ? escapeRegex(pattern) : translateRegex(pattern, extended)
+        )
+        .map((pattern) => (patterns.length > 1 ? `(?:${pattern})` : pattern))
+        .join('|');
+    } catch (error) {
+      return failure(`grep: ${error instanceof RegexError ? error.message : error}`, 2);
+    }
+    if (flags.has('x')) {
+      source = `^(?:${source})$`;
+    }
+
+    const numbers: Record<string, number> = {};
+    for (const flag of ['A', 'B', 'C', 'm']) {
+      if (values[flag] === undefined) {
+        continue;
+      }
+      if (!/^\d+$/.test(values[flag])) {
+        const message =
+          flag === 'm' ? 'invalid max count' : `${values[flag]}: invalid context length argument`;
+        return failure(`grep: ${message}`, 2);
+      }
+      numbers[flag] = parseInt(values[flag], 10);
+    }
+    const contextLines = numbers.C || 0;
+
+    const files = operands.length > 0 ? operands : [recursive ? '.' : '-'];
+    const options: GrepOptions = {
+      regex: new RegExp(source, flags.has('i') || flags.has('y') ? 'gi' : 'g'),
+      invert: flags.has('v'),
+      wholeWords: flags.has('w'),
+      lineNumbers: flags.has('n'),
+      withFileNames: flags.has('H') || (!flags.has('h') && (files.length > 1 || recursive)),
+      onlyMatching: flags.has('o'),
+      summary: flags.has('q')
+        ? 'quiet'
+        : flags.has('l')
+          ? 'matching'
+          : flags.has('L')
+            ? 'nonmatching'
+            : flags.has('c')
+              ? 'count'
+              : null,
+      maxCount: numbers.m !== undefined ? numbers.m : Infinity,
+      before: numbers.B !== undefined ? numbers.B : contextLines,
+      after: numbers.A !== undefined ? numbers.A : contextLines,
+      color: expanded.color === 'always' || (expanded.color === 'auto' && context.isTTY),
+    };
+
+    if (!recursive && this.readsTerminal(operands, context)) {
+      // Stdin alone is grepped as it's read, and -m, -q, -l and -L stop
+      // reading once they have what they need
+      if (this.readsOnlyStdin(operands) && operands.length <= 1) {
+        const scan = new GrepScan('(standard input)', options, false);
+        return this.filterLines(
+          (line) => scan.line(line),
+          () => ({ stdout: scan.end(), exitCode: scan.selected ? 0 : 1 }),
+          () => scan.done
+        );
+      }
+      const scan = new GrepScan('', options, false);
+      return this.readTerminal(
+        (stdin) => this.cmd_grep(args, { ...context, stdin }),
+        (line) => {
+          scan.line(line);
+          return scan.done;
+        }
+      );
+    }
+
+    // Recursive searches list what's in directories, naming files from the
+    // operand, or from the current directory without ./ when there's none
+    const inputs: [string, string | null][] = [];
+    for (const file of files) {
+      const node = file === '-' ? null : this.getNode(file);
+      if (recursive && node && node.type === 'directory') {
+        const prefix = operands.length > 0 ? file.replace(/\/+$/, '') + '/' : '';
+        this.grepDirectory(prefix, file, flags.has('R'), inputs, errors);
+      } else {
+        inputs.push([file, this.readOperand('grep', file, context, errors)]);
+      }
+    }
+
+    let output = '';
+    let selected = false;
+    let separate = false;
+    for (const [file, content] of inputs) {
+      if (content === null) {
+        continue;
+      }
+      const name = file === '-' ? '(standard input)' : file;
+      const result = grepText(content, name, options, separate);
+      output += result.output;
+      separate = separate || result.output !== '';
+      selected = selected || result.selected;
+      if (selected && options.summary === 'quiet') {
+        break;
+      }
+    }
+
+    // Exit status 0 when something matched, 1 when nothing did, 2 on errors
+    const quietMatch = selected && options.summary === 'quiet';
+    return {
+      stdout: output,
+      stderr: flags.has('s') ? '' : toLines(errors.join('\n')),
+      exitCode: errors.length > 0 && !quietMatch ? 2 : selected ? 0 : 1,
+    };
+  }
+
+  /**
+   * Reads every file under a directory for grep -r, following symlinks in
+   * it with -R
+   */
+  private grepDirectory(
+    prefix: string,
+    path: string,
+    followLinks: boolean,
+    inputs: [string, string | null][],
+    errors: string[]
+  ): void {
+    const dir = this.getNode(path);
+    if (!dir || dir.type !== 'directory') {
+      return;
+    }
+    if (!this.canAccess(dir, READ | EXECUTE)) {
+      errors.push(`grep: ${prefix.replace(/\/$/, '') || path}: Permission denied`);
+      return;
+    }
+
+    for (const name of Object.keys(dir.children)) {
+      const childPath = `${path.replace(/\/+$/, '')}/${name}`;
+      const node = this.getNode(childPath, followLinks);
+      if (!node || node.type === 'symlink') {
+        continue;
+      }
+      if (node.type === 'directory') {
+        this.grepDirectory(`${prefix}${name}/`, childPath, followLinks, inputs, errors);
+        continue;
+      }
+      const file = this.openFile(childPath);
+      if (typeof file === 'string') {
+        errors.push(`grep: ${prefix}${name}: ${file}`);
+      } else {
+        inputs.push([`${prefix}${name}`, fileText(file)]);
+      }
+    }
+  }
+
+  /**
+   * Prints the first 10 lines of files or stdin, or the first -n lines or
+   * -c bytes. A negative count prints all but that many at the end.
+   */
+  cmd_head(args: string[], context: CommandContext): CommandOutput {
+    return this.headOrTail('head', args, context);
+  }
+
+  /**
+   * Prints the last 10 lines of files or stdin, or the last -n lines or -c
+   * bytes. A count of +N starts from line or byte N instead.
+   */
+  cmd_tail(args: string[], context: CommandContext): CommandOutput {
+    return this.headOrTail('tail', args, context);
+  }
+
+  /**
+   * head and tail, which only differ in which end of the text they keep.
+   * Several files get ==> name <== headers, unless -q; -v always adds them.
+   */
+  private headOrTail(
+    command: 'head' | 'tail',
+    args: string[],
+    context: CommandContext
+  ): CommandOutput {
+    // head -5 and tail -5 are short for -n 5
+    if (args.length > 0 && /^-\d+$/.test(args[0])) {
+      args = ['-n', args[0].slice(1), ...args.slice(1)];
+    }
+    const parsed = parseFlags(command, args, 'n:c:qv');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+
+    const bytes = flags.has('c');
+    const spec = (bytes ? values.c : values.n) || '10';
+    if (!/^[-+]?\d+$/.test(spec)) {
+      return failure(`${command}: invalid number of ${bytes ? 'bytes' : 'lines'}: '${spec}'`);
+    }
+    const count = parseInt(spec, 10);
+    const fromStart = command === 'tail' && spec.startsWith('+');
+    if (this.readsTerminal(operands, context)) {
+      // head stops reading once it has the lines or bytes it prints
+      let lines = 0;
+      const enough = (line: string, text: string): boolean =>
+        command === 'head' && count >= 0 && (bytes ? text.length >= count : ++lines >= count);
+      return this.readTerminal(
+        (stdin) => this.headOrTail(command, args, { ...context, stdin }),
+        enough
+      );
+    }
+
+    const files = operands.length > 0 ? operands : ['-'];
+    const headers = flags.has('v') || (files.length > 1 && !flags.has('q'));
+    const errors: string[] = [];
+    const parts: string[] = [];
+    for (const file of files) {
+      const content = this.readOperand(
+        command,
+        file,
+        context,
+        errors,
+        (error) => `${command}: cannot open '${file}' for reading: ${error}`
+      );
+      if (content === null) {
+        continue;
+      }
+
+      const units = bytes ? Array.from(content) : splitLines(content);
+      let kept: string[];
+      if (command === 'head') {
+        kept =
+          count < 0 ? units.slice(0, Math.max(units.length + count, 0)) : units.slice(0, count);
+      } else if (fromStart) {
+        kept = units.slice(Math.max(count - 1, 0));
+      } else {
+        kept = Math.abs(count) === 0 ? [] : units.slice(-Math.abs(count));
+      }
+
+      const name = file === '-' ? 'standard input' : file;
+      parts.push((headers ? `==> ${name} <==\n` : '') + kept.join(''));
+    }
+
+    return {
+      stdout: parts.join('\n'),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Counts lines, words and bytes in files or stdin, or just those asked
+   * for with -l, -w, -c and -m (characters), with a total for several files
+   */
+  cmd_wc(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('wc', args, 'lwcm');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const columns = (['l', 'w', 'm', 'c'] as const).filter((flag) => flags.has(flag));
+    if (columns.length === 0) {
+      columns.push('l', 'w', 'c');
+    }
+    const keys = { l: 'lines', w: 'words', m: 'chars', c: 'bytes' } as const;
+    if (this.readsTerminal(operands, context)) {
+      return this.readTerminal((stdin) => this.cmd_wc(args, { ...context, stdin }));
+    }
+
+    const files = operands.length > 0 ? operands : ['-'];
+    const errors: string[] = [];
+    const rows: [number[], string][] = [];
+    const total = [0, 0, 0, 0].slice(0, columns.length);
+    for (const file of files) {
+      const content = this.readOperand('wc', file, context, errors);
+      if (content === null) {
+        continue;
+      }
+      const counts = countText(content);
+      const row = columns.map((column) => counts[keys[column]]);
+      row.forEach((count, i) => (total[i] += count));
+      rows.push([row, file === '-' ? '' : file]);
+    }
+    if (files.length > 1) {
+      rows.push([total, 'total']);
+    }
+
+    // Counts line up in columns wide enough for the biggest file, or for
+    // anything stdin might hold; a lone count isn't padded
+    let width = 1;
+    if (columns.length > 1 || files.length > 1) {
+      width = String(rows.reduce((max, [row]) => Math.max(max, ...row), 0)).length;
+      if (files.includes('-')) {
+        width = Math.max(width, 7);
+      }
+    }
+    const lines = rows.map(([row, name]) =>
+      [...row.map((count) => String(count).padStart(width)), ...(name ? [name] : [])].join(' ')
+    );
+
+    return {
+      stdout: toLines(lines.join('\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Sorts lines of files or stdin by character code, as in the C locale.
+   * -n sorts numbers, -h numbers like 2K and 1G, -f ignores case, -b leading
+   * blanks and -r reverses. -k sorts by fields, split at blanks or at -t. -u
+   * drops lines that sort the same and -o writes the result to a file.
+   */
+  cmd_sort(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('sort', args, 'bfhnrsuk:t:o:');
+    if (!('flags' in parsed)) {
+      return { ...parsed, exitCode: 2 };
+    }
+    const { flags, values, lists, operands } = parsed;
+    const order: SortOrder = {
+      numeric: flags.has('n'),
+      human: flags.has('h'),
+      reverse: flags.has('r'),
+      foldCase: flags.has('f'),
+      ignoreBlanks: flags.has('b'),
+    };
+
+    const separator = values.t === undefined ? null : values.t;
+    if (separator !== null && separator.length !== 1) {
+      return failure(separator ? `sort: multi-character tab '${separator}'` : 'sort: empty tab', 2);
+    }
+    const keys: SortKey[] = [];
+    for (const spec of lists.k || []) {
+      const key = parseSortKey(spec, order);
+      if (!key) {
+        return failure(`sort: invalid field specification '${spec}'`, 2);
+      }
+      keys.push(key);
+    }
+    if (this.readsTerminal(operands, context)) {
+      return this.readTerminal((stdin) => this.cmd_sort(args, { ...context, stdin }));
+    }
+
+    const errors: string[] = [];
+    let lines: string[] = [];
+    for (const file of operands.length > 0 ? operands : ['-']) {
+      const content = this.readOperand(
+        'sort',
+        file,
+        context,
+        errors,
+        (error) => `sort: cannot read: ${file}: ${error}`
+      );
+      if (content === null) {
+        return failure(errors.join('\n'), 2);
+      }
+      lines = lines.concat(textLines(content));
+    }
+
+    // Lines whose keys are equal sort by the whole line, unless -s or -u
+    const compareKeys = (a: string, b: string): number => {
+      if (keys.length === 0) {
+        return compareText(a, b, order);
+      }
+      for (const key of keys) {
+        const result = compareText(
+          sortKeyText(a, key, separator),
+          sortKeyText(b, key, separator),
+          key
+        );
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+    const plain = { ...order, numeric: false, human: false, foldCase: false, ignoreBlanks: false };
+    const lastResort = !flags.has('s') && !flags.has('u');
+    lines.sort((a, b) => compareKeys(a, b) || (lastResort ? compareText(a, b, plain) : 0));
+    if (flags.has('u')) {
+      lines = lines.filter((line, i) => i === 0 || compareKeys(lines[i - 1], line) !== 0);
+    }
+
+    const output = toLines(lines.join('\n'));
+    if (values.o !== undefined) {
+      const error = this.writeFile(values.o, output, 'overwrite');
+      return error ? failure(`sort: open failed: ${values.o}: ${error}`, 2) : '';
+    }
+    return output;
+  }
+
+  /**
+   * Collapses runs of the same line in a file or stdin into one, writing to
+   * stdout or an output file. -c counts each run, -d prints only repeated
+   * lines and -u only unrepeated ones. -i ignores case, and -f and -s skip
+   * fields and characters before comparing.
+   */
+  cmd_uniq(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('uniq', args, 'cdiuf:s:');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+    if (operands.length > 2) {
+      return failure(
+        `uniq: extra operand '${operands[2]}'\nTry 'uniq --help' for more information.`
+      );
+    }
+    for (const flag of ['f', 's']) {
+      if (values[flag] !== undefined && !/^\d+$/.test(values[flag])) {
+        const what = flag === 'f' ? 'fields' : 'bytes';
+        return failure(`uniq: ${values[flag]}: invalid number of ${what} to skip`);
+      }
+    }
+    const skipFields = parseInt(values.f || '0', 10);
+    const skipChars = parseInt(values.s || '0', 10);
+    if (this.readsTerminal(operands.slice(0, 1), context)) {
+      return this.readTerminal((stdin) => this.cmd_uniq(args, { ...context, stdin }));
+    }
+
+    const errors: string[] = [];
+    const content = this.readOperand('uniq', operands[0] || '-', context, errors);
+    if (content === null) {
+      return failure(errors.join('\n'));
+    }
+
+    const compared = (line: string): string => {
+      let rest = line;
+      for (let i = 0; i < skipFields; i++) {
+        rest = rest.replace(/^\s*\S+/, '');
+      }
+      rest = rest.slice(skipChars);
+      return flags.has('i') ? rest.toLowerCase() : rest;
+    };
+    const runs: [string, number][] = [];
+    for (const line of textLines(content)) {
+      const last = runs[runs.length - 1];
+      if (last && compared(last[0]) === compared(line)) {
+        last[1]++;
+      } else {
+        runs.push([line, 1]);
+      }
+    }
+
+    const output = runs
+      .filter(([, count]) => !(flags.has('d') && count === 1) && !(flags.has('u') && count > 1))
+      .map(([line, count]) => (flags.has('c') ? `${String(count).padStart(7)} ${line}` : line));
+    const text = toLines(output.join('\n'));
+    if (operands[1] !== undefined) {
+      const error = this.writeFile(operands[1], text, 'overwrite');
+      return error ? failure(`uniq: ${operands[1]}: ${error}`) : '';
+    }
+    return text;
+  }
+
+  /**
+   * Prints parts of each line of files or stdin: the fields in -f, split
+   * at tabs or the -d delimiter, or the characters in -c (or bytes in -b).
+   * Lists are like 1,3-5,7-. Lines without a delimiter print whole, unless -s.
+   */
+  cmd_cut(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('cut', args, 'b:c:f:d:s');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+    const help = "Try 'cut --help' for more information.";
+    const modes = (['b', 'c', 'f'] as const).filter((flag) => flags.has(flag));
+    if (modes.length === 0) {
+      return failure(`cut: you must specify a list of bytes, characters, or fields\n${help}`);
+    }
+    if (modes.length > 1) {
+      return failure(`cut: only one type of list may be specified\n${help}`);
+    }
+    const fields = modes[0] === 'f';
+    if (!fields && (flags.has('d') || flags.has('s'))) {
+      const what = flags.has('d')
+        ? 'an input delimiter may be specified'
+        : 'suppressing non-delimited lines makes sense';
+      return failure(`cut: ${what} only when operating on fields\n${help}`);
+    }
+    const delimiter = values.d === undefined ? '\t' : values.d;
+    if (delimiter.length !== 1) {
+      return failure(`cut: the delimiter must be a single character\n${help}`);
+    }
+    const ranges: Range[] | string = parseRanges(
+      values[modes[0]],
+      fields ? 'field' : 'byte/character'
+    );
+    if (typeof ranges === 'string') {
+      return failure(`cut: ${ranges}\n${help}`);
+    }
+    // The part of a line cut prints, or null for a line -s leaves out
+    const cut = (line: string): string | null => {
+      if (!fields) {
+        return selectRanges(Array.from(line), ranges).join('');
+      } else if (line.includes(delimiter)) {
+        return selectRanges(line.split(delimiter), ranges).join(delimiter);
+      }
+      return flags.has('s') ? null : line;
+    };
+    if (this.readsTerminal(operands, context)) {
+      if (this.readsOnlyStdin(operands)) {
+        return this.filterLines(
+          (line) => {
+            const part = cut(line);
+            return part === null ? '' : `${part}\n`;
+          },
+          () => ''
+        );
+      }
+      return this.readTerminal((stdin) => this.cmd_cut(args, { ...context, stdin }));
+    }
+
+    const errors: string[] = [];
+    const output: string[] = [];
+    for (const file of operands.length > 0 ? operands : ['-']) {
+      const content = this.readOperand('cut', file, context, errors);
+      if (content === null) {
+        continue;
+      }
+      for (const line of textLines(content)) {
+        const part = cut(line);
+        if (part !== null) {
+          output.push(part);
+        }
+      }
+    }
+
+    return {
+      stdout: toLines(output.join('\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Translates the characters of stdin in the first set to those in the
+   * second, or with -d deletes them. -s squeezes runs of a character in the
+   * last set into one, and -c uses every character not in the first set.
+   */
+  cmd_tr(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('tr', args, 'cCds');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const help = "Try 'tr --help' for more information.";
+    const complement = flags.has('c') || flags.has('C');
+    const deleting = flags.has('d');
+    const squeezing = flags.has('s');
+    const translating = !deleting && !(squeezing && operands.length === 1);
+
+    if (operands.length === 0) {
+      return failure(`tr: missing operand\n${help}`);
+    }
+    if (operands.length === 1 && (translating || (deleting && squeezing))) {
+      const why = translating
+        ? 'Two strings must be given when translating.'
+        : 'Two strings must be given when deleting and squeezing.';
+      return failure(`tr: missing operand after '${operands[0]}'\n${why}\n${help}`);
+    }
+    const maxOperands = deleting && !squeezing ? 1 : 2;
+    if (operands.length > maxOperands) {
+      const why =
+        maxOperands === 1
+          ? 'Only one string may be given when deleting without squeezing repeats.\n'
+          : '';
+      return failure(`tr: extra operand '${operands[maxOperands]}'\n${why}${help}`);
+    }
+
+    const set1 = expandTrSet(operands[0]);
+    if (typeof set1 === 'string') {
+      return failure(`tr: ${set1}`);
+    }
+    const set2 = operands[1] === undefined ? [] : expandTrSet(operands[1], set1.length);
+    if (typeof set2 === 'string') {
+      return failure(`tr: ${set2}`);
+    }
+    if (translating && set2.length === 0) {
+      return failure('tr: when not truncating set1, string2 must be non-empty');
+    }
+
+    const inSet1 = (char: string): boolean => set1.includes(char) !== complement;
+    const mapping = new Map<string, string>();
+    if (translating && !complement) {
+      set1.forEach((char, i) => mapping.set(char, set2[Math.min(i, set2.length - 1)]));
+    }
+    const squeezeSet = operands.length === 2 ? set2 : set1;
+    const inSqueezeSet = (char: string): boolean =>
+      operands.length === 2 ? squeezeSet.includes(char) : inSet1(char);
+
+    // Squeezing carries on from one piece of input to the next
+    let last = '';
+    const translate = (text: string): string => {
+      let output = '';
+      for (const char of text) {
+        if (deleting && inSet1(char)) {
+          continue;
+        }
+        let result = char;
+        if (translating) {
+          result = complement
+            ? inSet1(char)
+              ? set2[set2.length - 1]
+              : char
+            : mapping.has(char)
+              ? mapping.get(char)!
+              : char;
+        }
+        if (squeezing && result === last && inSqueezeSet(result)) {
+          continue;
+        }
+        output += result;
+        last = result;
+      }
+      return output;
+    };
+
+    if (this.readsTerminal([], context)) {
+      return this.filterLines(
+        (line) => translate(`${line}\n`),
+        () => ''
+      );
+    }
+    return { stdout: translate(context.stdin || '') };
+  }
+
+  /**
+   * Copies stdin to stdout and to each file, appending with -a
+   */
+  cmd_tee(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('tee', args, 'ai');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    if (this.readsTerminal([], context)) {
+      return this.readTerminal((stdin) => this.cmd_tee(args, { ...context, stdin }));
+    }
+    const input = context.stdin || '';
+    const errors: string[] = [];
+    for (const file of operands) {
+      const error = this.writeFile(file, input, flags.has('a') ? 'append' : 'overwrite');
+      if (error) {
+        errors.push(`tee: ${file}: ${error}`);
+      }
+    }
+    return {
+      stdout: input,
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Edits text a line at a time with a sed script (see sed.ts), from the
+   * first operand or -e and -f. With -i each file is edited in place,
+   * keeping a copy of the original when -i gives a suffix.
+   */
+  cmd_sed(args: string[], context: CommandContext): CommandOutput {
+    const parsed = parseFlags('sed', args, 'ne:f:i::Ers');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, lists, operands } = parsed;
+    const errors: string[] = [];
+    const describe = (file: string) => (error: string) =>
+      error === 'Is a directory'
+        ? `sed: read error on ${file}: ${error}`
+        : `sed: can't read ${file}: ${error}`;
+
+    const scripts: SedScript[] = (lists.e || []).map((text, i) => ({
+      text,
+      source: `-e expression #${i + 1}`,
+      fromFile: false,
+    }));
+    for (const file of lists.f || []) {
+      const text = this.readOperand('sed', file, context, errors, (error) => {
+        return `sed: couldn't open file ${file}: ${error}`;
+      });
+      if (text === null) {
+        return failure(errors.join('\n'));
+      }
+      scripts.push({ text, source: `file ${file}`, fromFile: true });
+    }
+    if (scripts.length === 0) {
+      if (operands.length === 0) {
+        return failure('Usage: sed [OPTION]... {script-only-if-no-other-script} [input-file]...');
+      }
+      scripts.push({ text: operands.shift()!, source: '-e expression #1', fromFile: false });
+    }
+    if (!flags.has('i') && this.readsTerminal(operands, context)) {
+      if (this.readsOnlyStdin(operands)) {
+        return this.streamSed(scripts, flags);
+      }
+      return this.readTerminal((stdin) => this.cmd_sed(args, { ...context, stdin }));
+    }
+
+    let program: SedProgram;
+    let output = '';
+    let exitCode = 0;
+    try {
+      program = parseSed(scripts, flags.has('E') || flags.has('r'));
+      if (flags.has('i')) {
+        if (operands.length === 0) {
+          return failure('sed: no input files');
+        }
+        // Each file is its own input, written back with what the script printed
+        for (const file of operands) {
+          const node = this.openFile(file);
+          if (typeof node === 'string') {
+            errors.push(
+              node === 'Is a directory'
+                ? `sed: couldn't edit ${file}: not a regular file`
+                : describe(file)(node)
+            );
+            continue;
+          }
+          const original = fileText(node);
+          const result = runSed(program, original, flags.has('n'));
+          const backup = values.i ? this.writeFile(file + values.i, original, 'overwrite') : null;
+          const error = backup || this.writeFile(file, result.output, 'overwrite');
+          if (error) {
+            errors.push(`sed: couldn't open temporary file ${file}: ${error}`);
+          }
+          if (result.quit) {
+            exitCode = result.exitCode;
+            break;
+          }
+        }
+      } else {
+        const texts: string[] = [];
+        for (const file of operands.length > 0 ? operands : ['-']) {
+          const text = this.readOperand('sed', file, context, errors, describe(file));
+          if (text !== null) {
+            texts.push(text);
+          }
+        }
+        // Files are one stream, their line numbers running on, unless -s
+        const joined = texts
+          .map((text, i) => (i < texts.length - 1 && /[^\n]$/.test(text) ? `${text}\n` : text))
+          .join('');
+        const inputs = flags.has('s') ? texts : [joined];
+        for (const text of inputs) {
+          const result = runSed(program, text, flags.has('n'));
+          output += result.output;
+          if (result.quit) {
+            exitCode = result.exitCode;
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      if (error instanceof SedError) {
+        return { stdout: output, stderr: toLines(`sed: ${error.message}`), exitCode: 1 };
+      }
+      throw error;
+    }
+
+    return {
+      stdout: output,
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 2 : exitCode,
+    };
+  }
+
+  /**
+   * Runs sed over stdin as it's read, writing each line once the script is
+   * done with it, until the end of input or q
+   */
+  private streamSed(scripts: SedScript[], flags: Set<string>): CommandOutput {
+    let run: SedStream;
+    let step: IteratorResult<string, SedResult>;
+    let error: SedError | null = null;
+    const resume = (line: string | null): string => {
+      try {
+        step = run.next(line);
+        return step.done ? step.value.output : step.value;
+      } catch (caught) {
+        if (!(caught instanceof SedError)) throw caught;
+        error = caught;
+        return '';
+      }
+    };
+
+    try {
+      run = streamSed(parseSed(scripts, flags.has('E') || flags.has('r')), flags.has('n'));
+      step = run.next(null);
+    } catch (caught) {
+      if (!(caught instanceof SedError)) throw caught;
+      return failure(`sed: ${caught.message}`);
+    }
+    return this.filterLines(
+      (line) => resume(`${line}\n`),
+      () => {
+        const stdout = step.done ? '' : resume(null);
+        return error
+          ? { stdout, stderr: toLines(`sed: ${error.message}`), exitCode: 1 }
+          : { stdout, exitCode: step.done ? step.value.exitCode : 0 };
+      },
+      () => error !== null || !!step.done
+    );
+  }
+
+  /**
+   * Runs an awk program (see awk.ts) over files or stdin. The program is
+   * the first operand, or read with -f; -F sets FS and -v other variables.
+   * Files it prints to with > and >> are written when it finishes.
+   */
+  *cmd_awk(args: string[], context: CommandContext): Run<CommandOutput> {
+    const parsed = parseFlags('awk', args, 'F:v:f:', true);
+    if (!('flags' in parsed)) {
+      return { ...parsed, exitCode: 2 };
+    }
+    const { values, lists, operands } = parsed;
+    const errors: string[] = [];
+
+    let source: AwkSource;
+    if (lists.f) {
+      const texts: string[] = [];
+      for (const file of lists.f) {
+        const text = this.readOperand('awk', file, context, errors, (error) => {
+          return `awk: fatal: can't open source file \`${file}' for reading: ${error}`;
+        });
+        if (text === null) {
+          return failure(errors.join('\n'), 2);
+        }
+        texts.push(text);
+      }
+      source = { text: texts.join('\n'), name: lists.f[0] };
+    } else if (operands.length > 0) {
+      source = { text: operands.shift()!, name: 'cmd. line' };
+    } else {
+      return failure(
+        'Usage: awk [POSIX or GNU style options] -f progfile [--] file ...\n' +
+          "Usage: awk [POSIX or GNU style options] [--] 'program' file ...",
+        2
+      );
+    }
+
+    // -F t means a tab, as POSIX has it
+    const assignments = lists.v || [];
+    if (values.F !== undefined) {
+      assignments.unshift(`FS=${values.F === 't' ? '\t' : values.F}`);
+    }
+
+    let program: AwkProgram;
+    try {
+      program = parseAwk(source);
+    } catch (error) {
+      if (error instanceof AwkError) {
+        return failure(describeAwkError(error), 2);
+      }
+      throw error;
+    }
+    const run = runAwk(program, operands, assignments, {
+      stdin: context.stdin || '',
+      environment: context.env,
+      readFile: (path) => {
+        const file = this.openFile(path);
+        return typeof file === 'string' ? file : { content: fileText(file) };
+      },
+    });
+    let step = run.next();
+    while (!step.done) {
+      yield* this.checkpoint();
+      step = run.next();
+    }
+    const result = step.value;
+
+    for (const file of result.files) {
+      const error = this.writeFile(file.path, file.content, file.append ? 'append' : 'overwrite');
+      if (error) {
+        errors.push(`awk: fatal: can't redirect to \`${file.path}' (${error})`);
+      }
+    }
+    return {
+      stdout: result.output,
+      stderr: result.errors + toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 2 : result.exitCode,
+    };
+  }
+
+  /**
+   * Prints its arguments and a newline, leaving the newline off with -n
+   */
+  cmd_echo(args: string[]): CommandResult {
+    let newline = true;
+    while (args.length > 0 && /^-n+$/.test(args[0])) {
+      newline = false;
+      args = args.slice(1);
+    }
+    return { stdout: args.join(' ') + (newline ? '\n' : '') };
+  }
+
+  cmd_clear(): string {
+    return '__CLEAR__';
+  }
+
+  cmd_whoami(): string {
+    return this.currentUser;
+  }
+
+  cmd_date(): string {
+    return new Date().toString();
+  }
+
+  /**
+   * Waits for the total of its durations, each a number of seconds with an
+   * optional s, m, h or d suffix. Interrupting it ends the wait.
+   */
+  cmd_sleep(args: string[], context: CommandContext): CommandOutput {
+    if (args.length === 0) {
+      return failure("sleep: missing operand\nTry 'sleep --help' for more information.");
+    }
+
+    const units: Record<string, number> = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    let seconds = 0;
+    for (const arg of args) {
+      const match = /^(\d+\.?\d*|\.\d+)([smhd]?)$/.exec(arg);
+      if (!match) {
+        return failure(
+          `sleep: invalid time interval '${arg}'\nTry 'sleep --help' for more information.`
+        );
+      }
+      seconds += parseFloat(match[1]) * units[match[2]];
+    }
+
+    const { signal } = context;
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', wake);
+        resolve('');
+      };
+      const timer = setTimeout(wake, seconds * 1000);
+      signal.addEventListener('abort', wake);
+    });
+  }
+
+  cmd_uname(args: string[]): string {
+    if (args.includes('-a')) {
+      return 'UnixShell 1.0.0 UnixShell Terminal x86_64 GNU/JavaScript';
+    }
+    return 'UnixShell';
+  }
+
+  cmd_env(args: string[], context: CommandContext): string {
+    return Object.entries(context.env)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+  }
+
+  cmd_export(args: string[]): CommandOutput {
+    const unexport = args.includes('-n');
+    const names = args.filter((arg) => arg !== '-p' && arg !== '-n');
+
+    if (names.length === 0) {
+      return Object.keys(this.environment)
+        .sort()
+        .map((name) => `declare -x ${name}="${this.environment[name]}"`)
+        .join('\n');
+    }
+
+    const errors: string[] = [];
+    for (const arg of names) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg : arg.slice(0, eq);
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push(`export: \`${arg}': not a valid identifier`);
+        continue;
+      }
+
+      // export -n removes the export but keeps the variable
+      if (unexport) {
+        this.exportMarks.delete(name);
+        if (name in this.environment) {
+          this.variables[name] = this.environment[name];
+          delete this.environment[name];
+        }
+        continue;
+      }
+
+      // A name without a value is exported when it's set, as bash does
+      const value = eq === -1 ? this.getVariable(name) : arg.slice(eq + 1);
+      if (value === undefined) {
+        this.exportMarks.add(name);
+        continue;
+      }
+      this.environment[name] = value;
+      delete this.variables[name];
+      this.exportMarks.delete(name);
+    }
+
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  cmd_unset(args: string[]): CommandOutput {
+    const errors: string[] = [];
+    const unsetFunctions = args.includes('-f');
+
+    for (const name of args.filter((arg) => arg !== '-v' && arg !== '-f')) {
+      if (unsetFunctions) {
+        delete this.functions[name];
+        continue;
+      }
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push(`unset: \`${name}': not a valid identifier`);
+        continue;
+      }
+      delete this.environment[name];
+      delete this.variables[name];
+      this.exportMarks.delete(name);
+    }
+
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  cmd_set(args: string[]): CommandOutput {
+    // set -- a b c (or just set a b c) replaces the positional parameters
+    if (args[0] === '--' || (args.length > 0 && !args[0].startsWith('-'))) {
+      this.positionalParams = args[0] === '--' ? args.slice(1) : args;
+      return '';
+    }
+    if (args.length > 0) {
+      return failure(`set: ${args[0]}: invalid option`, 2);
+    }
+
+    // Lists every variable, quoting values the way bash does
+    const all: Record<string, string> = { ...this.variables, ...this.environment };
+    return Object.keys(all)
+      .sort()
+      .map((name) => {
+        const value = all[name];
+        return /^[A-Za-z0-9_./:@%+,=-]*$/.test(value)
+          ? `${name}=${value}`
+          : `${name}='${value.replace(/'/g, "'\\''")}'`;
+      })
+      .join('\n');
+  }
+
+  cmd_local(args: string[]): CommandOutput {
+    if (this.localScopes.length === 0) {
+      return failure('local: can only be used in a function');
+    }
+
+    const errors: string[] = [];
+    for (const arg of args) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg : arg.slice(0, eq);
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push(`local: \`${arg}': not a valid identifier`);
+        continue;
+      }
+
+      this.declareLocal(name);
+      if (eq === -1) {
+        delete this.environment[name];
+        delete this.variables[name];
+      } else {
+        this.setVariable(name, arg.slice(eq + 1));
+      }
+    }
+
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  cmd_shift(args: string[]): CommandOutput {
+    const count = args[0] === undefined ? 1 : Number(args[0]);
+    if (!Number.isInteger(count) || count < 0) {
+      return failure(`shift: ${args[0]}: numeric argument required`);
+    }
+    if (count > this.positionalParams.length) {
+      return { exitCode: 1 };
+    }
+
+    this.positionalParams = this.positionalParams.slice(count);
+    return '';
+  }
+
+  cmd_test(args: string[]): CommandOutput {
+    return this.runTest('test', args);
+  }
+
+  cmd_bracket(args: string[]): CommandOutput {
+    if (args[args.length - 1] !== ']') {
+      return failure("[: missing `]'", 2);
+    }
+    return this.runTest('[', args.slice(0, -1));
+  }
+
+  cmd_true(): CommandOutput {
+    return '';
+  }
+
+  cmd_false(): CommandOutput {
+    return { exitCode: 1 };
+  }
+
+  cmd_break(args: string[]): CommandOutput {
+    return this.loopControl('break', args);
+  }
+
+  cmd_continue(args: string[]): CommandOutput {
+    return this.loopControl('continue', args);
+  }
+
+  cmd_return(args: string[]): CommandOutput {
+    if (this.localScopes.length === 0 && this.sourceDepth === 0) {
+      return failure("return: can only `return' from a function or sourced script");
+    }
+
+    let status = this.lastExitStatus;
+    if (args[0] !== undefined) {
+      if (!/^-?\d+$/.test(args[0])) {
+        return failure(`return: ${args[0]}: numeric argument required`, 2);
+      }
+      status = parseInt(args[0], 10) & 255;
+    }
+    throw new FunctionReturn(status);
+  }
+
+  /**
+   * Evaluates test and [ arguments into an exit status
+   */
+  private runTest(name: string, args: string[]): CommandOutput {
+    try {
+      const testArgs: TestArg[] = args.map((value) => ({ value, operator: true }));
+      return { exitCode: evaluateTest(testArgs, (op, path) => this.fileTest(op, path)) ? 0 : 1 };
+    } catch (error) {
+      if (error instanceof TestError) {
+        return failure(`${name}: ${error.message}`, 2);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Answers -e, -f, -d and the other file checks in conditional expressions
+   */
+  private fileTest(op: string, path: string): boolean {
+    if (op === '-L' || op === '-h') {
+      const link = path ? this.getNode(path, false) : null;
+      return link !== null && link.type === 'symlink';
+    }
+    const node = path ? this.findNode(path) : null;
+    if (node === null || typeof node === 'string') {
+      return false;
+    }
+
+    switch (op) {
+      case '-f':
+        return node.type === 'file';
+      case '-d':
+        return node.type === 'directory';
+      case '-s':
+        return node.type !== 'file' || node.content.length > 0;
+      case '-r':
+        return this.canAccess(node, READ);
+      case '-w':
+        return this.canAccess(node, WRITE);
+      case '-x':
+        return this.canAccess(node, EXECUTE);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Breaks out of (or continues) the innermost loops
+   */
+  private loopControl(kind: 'break' | 'continue', args: string[]): CommandOutput {
+    const levels = args[0] === undefined ? 1 : Number(args[0]);
+    if (!/^\d*$/.test(args[0] || '')) {
+      return failure(`${kind}: ${args[0]}: numeric argument required`);
+    }
+    if (levels < 1) {
+      return failure(`${kind}: ${args[0]}: loop count out of range`);
+    }
+    if (this.loopDepth === 0) {
+      return failure(`${kind}: only meaningful in a \`for', \`while', or \`until' loop`, 0);
+    }
+    throw new LoopControl(kind, Math.min(levels, this.loopDepth));
+  }
+
+  *cmd_sh(args: string[], context: CommandContext): Run<CommandOutput> {
+    return yield* this.runShell('sh', args, context);
+  }
+
+  *cmd_bash(args: string[], context: CommandContext): Run<CommandOutput> {
+    return yield* this.runShell('bash', args, context);
+  }
+
+  *cmd_source(args: string[], context: CommandContext): Run<CommandOutput> {
+    if (args.length === 0) {
+      return failure('bash: source: filename argument required', 2);
+    }
+
+    const script = this.readScript(args[0]);
+    if (typeof script !== 'string') {
+      return failure(`bash: ${args[0]}: ${script.error}`);
+    }
+
+    const io = { ...this.commandIO!, stdin: context.stdin };
+    return { exitCode: yield* this.sourceScript(script, args[0], args.slice(1), io) };
+  }
+
+  /**
+   * Runs sh or bash with a script file, -c command string, or script on stdin
+   */
+  private *runShell(shell: string, args: string[], context: CommandContext): Run<CommandOutput> {
+    const io = { ...this.commandIO!, stdin: context.stdin };
+
+    if (args[0] === '-c') {
+      if (args.length < 2) {
+        return failure(`${shell}: -c: option requires an argument`, 2);
+      }
+      const name = args.length > 2 ? args[2] : shell;
+      return {
+        exitCode: yield* this.runChildScript(args[1], name, args.slice(3), context.env, io),
+      };
+    }
+
+    // Without a file the script comes from stdin, as in "echo ls | sh"
+    if (args.length === 0) {
+      const source = context.stdin || '';
+      return { exitCode: yield* this.runChildScript(source, shell, [], context.env, io) };
+    }
+
+    const script = this.readScript(args[0]);
+    if (typeof script !== 'string') {
+      return failure(`${shell}: ${args[0]}: ${script.error}`, script.exitCode);
+    }
+    return {
+      exitCode: yield* this.runChildScript(script, args[0], args.slice(1), context.env, io),
+    };
+  }
+
+  /**
+   * Runs ./script or any other command given as a path, choosing the
+   * interpreter from its #! line
+   */
+  private *runExecutable(path: string, args: string[], env: Environment, io: ShellIO): Run<number> {
+    const script = this.readScript(path, true);
+    if (typeof script !== 'string') {
+      io.stderr(`bash: ${path}: ${script.error}\n`);
+      return script.exitCode;
+    }
+
+    // Without a #! line, bash runs the file as a shell script
+    if (!script.startsWith('#!')) {
+      return yield* this.runChildScript(script, path, args, env, io);
+    }
+
+    // #!/bin/sh and #!/usr/bin/env bash both name a shell we can run
+    const [interpreter, argument] = script.split('\n')[0].slice(2).trim().split(/\s+/);
+    const program = interpreter.endsWith('/env') ? argument : interpreter.split('/').pop();
+    if (!program || !SCRIPT_INTERPRETERS.includes(program)) {
+      io.stderr(`bash: ${path}: ${interpreter}: bad interpreter: No such file or directory\n`);
+      return 126;
+    }
+
+    return yield* this.runChildScript(script, path, args, env, io);
+  }
+
+  /**
+   * Reads a script file, or explains why it can't be run. Running it as a
+   * program also needs its execute bit.
+   */
+  private readScript(path: string, execute = false): string | { error: string; exitCode: number } {
+    const node = this.findNode(path);
+    if (typeof node === 'string') {
+      return { error: node, exitCode: node === 'No such file or directory' ? 127 : 126 };
+    }
+    if (node.type !== 'file') {
+      return { error: 'Is a directory', exitCode: 126 };
+    }
+    if ((execute && !this.canAccess(node, EXECUTE)) || !this.canAccess(node, READ)) {
+      return { error: 'Permission denied', exitCode: 126 };
+    }
+    node.atime = Date.now();
+    return fileText(node);
+  }
+
+  /**
+   * Parses a script, reporting syntax errors against the script's name
+   */
+  private parseScript(source: string, name: string, io: ShellIO): ListNode | null {
+    try {
+      return parse(source);
+    } catch (error) {
+      if (error instanceof ShellSyntaxError) {
+        io.stderr(`${name}: ${error.message}\n`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a script in a child shell: it sees only exported variables, and its
+   * variables, functions and directory changes are gone when it finishes
+   */
+  private *runChildScript(
+    source: string,
+    name: string,
+    args: string[],
+    env: Environment,
+    io: ShellIO
+  ): Run<number> {
+    const ast = this.parseScript(source, name, io);
+    if (!ast) {
+      return 2;
+    }
+
+    const saved = {
+      environment: this.environment,
+      variables: this.variables,
+      exportMarks: this.exportMarks,
+      functions: this.functions,
+      positionalParams: this.positionalParams,
+      currentPath: this.currentPath,
+      umask: this.umask,
+      localScopes: this.localScopes,
+      loopDepth: this.loopDepth,
+      sourceDepth: this.sourceDepth,
+      scriptName: this.scriptName,
+    };
+
+    this.environment = { ...env };
+    this.variables = {};
+    this.exportMarks = new Set();
+    this.functions = {};
+    this.positionalParams = args;
+    this.localScopes = [];
+    this.loopDepth = 0;
+    this.sourceDepth = 0;
+    this.scriptName = name;
+    this.subshellDepth++;
+
+    try {
+      return yield* this.runList(ast, io);
+    } catch (error) {
+      if (!(error instanceof ScriptExit)) throw error;
+      return error.status;
+    } finally {
+      this.subshellDepth--;
+      Object.assign(this, saved);
+    }
+  }
+
+  /**
+   * Runs a script in the current shell, as source and . do. Arguments
+   * replace the positional parameters while it runs.
+   */
+  private *sourceScript(source: string, name: string, args: string[], io: ShellIO): Run<number> {
+    const ast = this.parseScript(source, name, io);
+    if (!ast) {
+      return 2;
+    }
+
+    const positionalParams = this.positionalParams;
+    if (args.length > 0) {
+      this.positionalParams = args;
+    }
+    this.sourceDepth++;
+
+    try {
+      return yield* this.runList(ast, io);
+    } catch (error) {
+      if (!(error instanceof FunctionReturn)) throw error;
+      return error.status;
+    } finally {
+      this.sourceDepth--;
+      if (args.length > 0) {
+        this.positionalParams = positionalParams;
+      }
+    }
+  }
+
+  cmd_alias(args: string[]): CommandOutput {
+    const show = (name: string): string =>
+      `alias ${name}='${this.aliases[name].replace(/'/g, "'\\''")}'`;
+    const names = args.filter((arg) => arg !== '-p');
+
+    if (names.length === 0) {
+      return Object.keys(this.aliases).sort().map(show).join('\n');
+    }
+
+    const lines: string[] = [];
+    const errors: string[] = [];
+    for (const arg of names) {
+      const eq = arg.indexOf('=');
+      if (eq === -1) {
+        if (arg in this.aliases) {
+          lines.push(show(arg));
+        } else {
+          errors.push(`alias: ${arg}: not found`);
+        }
+        continue;
+      }
+
+      const name = arg.slice(0, eq);
+      if (!name || /[\s/$`=|&;<>()'"\\]/.test(name)) {
+        errors.push(`alias: \`${name}': invalid alias name`);
+        continue;
+      }
+      this.aliases[name] = arg.slice(eq + 1);
+    }
+
+    return {
+      stdout: toLines(lines.join('\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  cmd_unalias(args: string[]): CommandOutput {
+    if (args.length === 0) {
+      return failure('unalias: usage: unalias [-a] name [name ...]', 2);
+    }
+    if (args.includes('-a')) {
+      this.aliases = {};
+      return '';
+    }
+
+    const errors: string[] = [];
+    for (const name of args) {
+      if (name in this.aliases) {
+        delete this.aliases[name];
+      } else {
+        errors.push(`unalias: ${name}: not found`);
+      }
+    }
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Sources /etc/profile and ~/.profile for a login shell, then ~/.bashrc,
+   * returning whatever they printed. There's no terminal to answer them yet,
+   * so commands in them that ask for input get end of input.
+   */
+  private runStartupFiles(login: boolean): string {
+    const home = this.environment.HOME;
+    const files = login
+      ? ['/etc/profile', `${home}/.profile`, `${home}/.bashrc`]
+      : [`${home}/.bashrc`];
+
+    let output = '';
+    const io: ShellIO = {
+      stdout: (text) => (output += text),
+      stderr: (text) => (output += text),
+      isTTY: true,
+    };
+
+    for (const file of files) {
+      const script = this.readScript(file);
+      if (typeof script === 'string') {
+        runToEnd(this.sourceScript(script, file, [], io));
+      }
+    }
+
+    return output;
+  }
+
+  cmd_history(args: string[]): CommandOutput {
+    const [option, operand] = args;
+    const usage = 'history: usage: history [-c] [-d offset] [n] or history -anrw [filename]';
+
+    if (option === '-c') {
+      this.commandHistory = [];
+      this.historyWritten = 0;
+      return '';
+    }
+
+    if (option === '-d') {
+      const offset = operand !== undefined && /^-?\d+$/.test(operand) ? parseInt(operand, 10) : NaN;
+      // Negative offsets count back from the end
+      const index = offset < 0 ? this.commandHistory.length + offset : offset - 1;
+      if (!(index >= 0 && index < this.commandHistory.length)) {
+        return failure(
+          operand === undefined
+            ? `history: -d: option requires an argument\n${usage}`
+            : `history: ${operand}: history position out of range`,
+          operand === undefined ? 2 : 1
+        );
+      }
+      this.commandHistory.splice(index, 1);
+      if (index < this.historyWritten) {
+        this.historyWritten--;
+      }
+      return '';
+    }
+
+    if (option === '-a' || option === '-r' || option === '-w') {
+      const file = operand === undefined ? this.historyFile() : operand;
+      if (!file) {
+        return '';
+      }
+      if (option === '-r') {
+        const lines = this.readHistoryFile(file);
+        if (typeof lines === 'string') {
+          return failure(`history: ${file}: ${lines}`);
+        }
+        this.commandHistory.push(...lines);
+        this.historyWritten = this.commandHistory.length;
+        return '';
+      }
+      const error = this.writeHistory(file, option === '-a');
+      return error ? failure(`history: ${file}: ${error}`) : '';
+    }
+
+    if (option !== undefined && option.startsWith('-') && option !== '--') {
+      return failure(`history: ${option}: invalid option\n${usage}`, 2);
+    }
+    const count = option === '--' ? operand : option;
+    if (count !== undefined && !/^\d+$/.test(count)) {
+      return failure(`history: ${count}: numeric argument required`);
+    }
+
+    const start =
+      count === undefined ? 0 : Math.max(0, this.commandHistory.length - parseInt(count, 10));
+    return this.commandHistory
+      .slice(start)
+      .map((cmd, i) => `${start + i + 1}  ${cmd}`)
+      .join('\n');
+  }
+
+  /**
+   * The file history is kept in: $HISTFILE, or ~/.bash_history unless
+   * HISTFILE is set but empty
+   */
+  private historyFile(): string | null {
+    const file = this.getVariable('HISTFILE');
+    if (file === undefined) {
+      return this.environment.HOME ? `${this.environment.HOME}/.bash_history` : null;
+    }
+    return file || null;
+  }
+
+  /**
+   * $HISTSIZE or $HISTFILESIZE: how many lines of history to keep
+   */
+  private historySize(name: 'HISTSIZE' | 'HISTFILESIZE'): number {
+    const value = this.getVariable(name);
+    return value !== undefined && /^\d+$/.test(value) ? parseInt(value, 10) : HISTORY_SIZE;
+  }
+
+  /**
+   * Gives the lines of a history file, or why it can't be read
+   */
+  private readHistoryFile(file: string): string[] | string {
+    const text = this.readScript(file);
+    return typeof text === 'string' ? text.split('\n').filter((line) => line !== '') : text.error;
+  }
+
+  /**
+   * Starts a shell's history with the last $HISTSIZE lines of its history
+   * file, as bash does when it starts. A missing file is an empty history.
+   */
+  private readHistory(): void {
+    const file = this.historyFile();
+    const lines = file ? this.readHistoryFile(file) : [];
+    const size = this.historySize('HISTSIZE');
+    this.commandHistory = typeof lines === 'string' || size === 0 ? [] : lines.slice(-size);
+    this.historyWritten = this.commandHistory.length;
+  }
+
+  /**
+   * Writes the history to a file, or appends what it has that the file
+   * doesn't yet, then trims the file to its last $HISTFILESIZE lines.
+   * Gives the error if the file can't be written.
+   */
+  private writeHistory(file: string, append: boolean): string | null {
+    let lines = this.commandHistory;
+    if (append) {
+      const existing = this.readHistoryFile(file);
+      lines = [
+        ...(typeof existing === 'string' ? [] : existing),
+        ...lines.slice(this.historyWritten),
+      ];
+    }
+    const size = this.historySize('HISTFILESIZE');
+    lines = size === 0 ? [] : lines.slice(-size);
+
+    const error = this.writeFile(file, lines.map((line) => `${line}\n`).join(''), 'overwrite');
+    if (!error) {
+      this.historyWritten = this.commandHistory.length;
+    }
+    return error;
+  }
+
+  cmd_mkdir(args: string[]): CommandOutput {
+    if (!args[0]) {
+      return failure('mkdir: missing operand');
+    }
+
+    const found = this.findParent(args[0]);
+    if (typeof found === 'string') {
+      return failure(`mkdir: cannot create directory '${args[0]}': ${found}`);
+    }
+
+    const { parent, name: dirName } = found;
+    if (!dirName || getChild(parent, dirName)) {
+      return failure(`mkdir: cannot create directory '${args[0]}': File exists`);
+    }
+
+    // Check write permission
+    if (!this.canAccess(parent, WRITE | EXECUTE)) {
+      return failure(`mkdir: cannot create directory '${args[0]}': Permission denied`);
+    }
+
+    parent.children[dirName] = this.createDirectory();
+    this.markModified(parent);
+    return '';
+  }
+
+  cmd_touch(args: string[]): CommandOutput {
+    // -a and -m update only the access or modification time, -c never creates files
+    let accessOnly = false;
+    let modifyOnly = false;
+    let noCreate = false;
+    const files: string[] = [];
+
+    for (const arg of args) {
+      if (arg.startsWith('-') && arg.length > 1 && files.length === 0) {
+        for (const flag of arg.slice(1)) {
+          if (flag === 'a') accessOnly = true;
+          else if (flag === 'm') modifyOnly = true;
+          else if (flag === 'c') noCreate = true;
+          else {
+            return failure(
+              `touch: invalid option -- '${flag}'\nTry 'touch --help' for more information.`
+            );
+          }
+        }
+      } else {
+        files.push(arg);
+      }
+    }
+
+    if (files.length === 0) {
+      return failure('touch: missing file operand');
+    }
+
+    const errors: string[] = [];
+    for (const file of files) {
+      const error = this.touchFile(
+        file,
+        !modifyOnly || accessOnly,
+        !accessOnly || modifyOnly,
+        noCreate
+      );
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Sets a file's times to now, creating it when it doesn't exist
+   */
+  private touchFile(
+    file: string,
+    access: boolean,
+    modify: boolean,
+    noCreate: boolean
+  ): string | null {
+    const found = this.findTarget(file);
+    if (typeof found === 'string') {
+      return noCreate ? null : `touch: cannot touch '${file}': ${found}`;
+    }
+
+    const { parent, name: fileName, existing } = found;
+    if (!existing) {
+      if (noCreate) {
+        return null;
+      }
+      if (!this.canAccess(parent, WRITE | EXECUTE)) {
+        return `touch: cannot touch '${file}': Permission denied`;
+      }
+      parent.children[fileName] = this.createFile('');
+      this.markModified(parent);
+      return null;
+    }
+
+    // Setting the times takes write access, or owning the file
+    const uid = this.currentUid();
+    if (uid !== 0 && existing.uid !== uid && !this.canAccess(existing, WRITE)) {
+      return `touch: cannot touch '${file}': Permission denied`;
+    }
+
+    const now = Date.now();
+    if (access) existing.atime = now;
+    if (modify) existing.mtime = now;
+    existing.ctime = now;
+    this.markChanged(existing);
+    return null;
+  }
+
+  /**
+   * Removes files, and directories with -r or empty ones with -d. -i asks
+   * before each removal, descending into directories to ask about what's
+   * in them. -f ignores missing files and, given after -i, stops the asking.
+   */
+  *cmd_rm(args: string[], context: CommandContext): Run<CommandOutput> {
+    const expanded = expandLongOptions(args, RM_LONG_OPTIONS);
+    if (typeof expanded === 'string') {
+      return failure(`rm: ${expanded}\nTry 'rm --help' for more information.`);
+    }
+    const parsed = parseFlags('rm', expanded.args, 'rRfidv');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    if (operands.length === 0) {
+      return failure('rm: missing operand');
+    }
+
+    // Whichever of -i and -f comes last decides whether rm asks
+    const given = expanded.args.filter((arg) => /^-[^-]/.test(arg)).join('');
+    const options: RemoveOptions = {
+      recursive: flags.has('r') || flags.has('R'),
+      emptyDirectories: flags.has('d'),
+      force: flags.has('f'),
+      interactive: given.lastIndexOf('i') > given.lastIndexOf('f'),
+      verbose: flags.has('v'),
+      input: lineReader(context.stdin),
+    };
+
+    const errors: string[] = [];
+    for (const target of operands) {
+      const found = this.findParent(target);
+      const node = typeof found === 'string' ? undefined : getChild(found.parent, found.name);
+      if (typeof found === 'string' || !node) {
+        const error = typeof found === 'string' ? found : 'No such file or directory';
+        if (!options.force || error !== 'No such file or directory') {
+          errors.push(`rm: cannot remove '${target}': ${error}`);
+        }
+        continue;
+      }
+      yield* this.removePath(found.parent, found.name, target, options, errors);
+    }
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Removes what one of rm's operands names, giving whether it's gone.
+   * With -i a directory's contents are each asked about first, and the
+   * directory is only removed if they all were.
+   */
+  private *removePath(
+    parent: DirectoryNode,
+    name: string,
+    path: string,
+    options: RemoveOptions,
+    errors: string[]
+  ): Run<boolean> {
+    const node = getChild(parent, name)!;
+    const ask = (question: string): Run<string | null> =>
+      readLine(options.input, `rm: ${question} '${path}'? `, false);
+
+    if (node.type === 'directory') {
+      const empty = Object.keys(node.children).length === 0;
+      if (!options.recursive && !(options.emptyDirectories && empty)) {
+        if (!options.force) {
+          errors.push(`rm: cannot remove '${path}': Is a directory`);
+        }
+        return false;
+      }
+      if (options.interactive && !empty) {
+        if (!/^y/i.test((yield* ask('descend into directory')) || '')) {
+          return false;
+        }
+        let removedAll = true;
+        for (const child of Object.keys(node.children)) {
+          const childPath = `${path.replace(/\/+$/, '')}/${child}`;
+          removedAll =
+            (yield* this.removePath(node, child, childPath, options, errors)) && removedAll;
+        }
+        if (!removedAll) {
+          return false;
+        }
+      }
+    }
+
+    if (options.interactive) {
+      const kind =
+        node.type === 'directory'
+          ? 'directory'
+          : node.type === 'symlink'
+            ? 'symbolic link'
+            : node.content
+              ? 'regular file'
+              : 'regular empty file';
+      if (!/^y/i.test((yield* ask(`remove ${kind}`)) || '')) {
+        return false;
+      }
+    }
+
+    const error = this.checkRemove(parent, node);
+    if (error) {
+      errors.push(`rm: cannot remove '${path}': ${error}`);
+      return false;
+    }
+    delete parent.children[name];
+    this.markModified(parent);
+    if (options.verbose) {
+      const kind = node.type === 'directory' ? 'directory ' : '';
+      this.commandIO!.stdout(`removed ${kind}'${path}'\n`);
+    }
+    return true;
+  }
+
+  /**
+   * Checks the current user may remove a node: that takes write access to
+   * its directory, owning it (or the directory) when the directory is
+   * sticky, and for a directory, being allowed to remove everything in it
+   */
+  private checkRemove(parent: DirectoryNode, node: Inode): string | null {
+    const error = this.checkUnlink(parent, node);
+    if (error) {
+      return error;
+    }
+
+    if (node.type === 'directory') {
+      for (const child of Object.values(node.children)) {
+        const error = this.canAccess(node, READ)
+          ? this.checkRemove(node, child)
+          : 'Permission denied';
+        if (error) {
+          return error;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks the current user may take a node out of its directory, as mv
+   * does: that takes write access to the directory, and owning the node (or
+   * the directory) when the directory is sticky
+   */
+  private checkUnlink(parent: DirectoryNode, node: Inode): string | null {
+    if (!this.canAccess(parent, WRITE | EXECUTE)) {
+      return 'Permission denied';
+    }
+
+    const uid = this.currentUid();
+    if (parent.mode & STICKY && uid !== 0 && node.uid !== uid && parent.uid !== uid) {
+      return 'Operation not permitted';
+    }
+    return null;
+  }
+
+  /**
+   * Whether the user may hard link to a file, as with Linux's
+   * protected_hardlinks: root and the owner may, and others only to a
+   * regular file they can read and write that isn't setuid, or setgid and
+   * executable
+   */
+  private mayHardLink(node: Inode): boolean {
+    const uid = this.currentUid();
+    if (uid === 0 || node.uid === uid) {
+      return true;
+    }
+    return (
+      node.type === 'file' &&
+      !(node.mode & SETUID) &&
+      (node.mode & (SETGID | 0o010)) !== (SETGID | 0o010) &&
+      this.canAccess(node, READ | WRITE)
+    );
+  }
+
+  /**
+   * Copies files, or directories with -r, to a new name or into a
+   * directory. -i asks before overwriting, -n never overwrites and -v names
+   * each copy. Symlinks are followed, except by -r, which copies them as links.
+   */
+  *cmd_cp(args: string[], context: CommandContext): Run<CommandOutput> {
+    const parsed = parseFlags('cp', args, 'rRinvf');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const targets = this.copyTargets('cp', operands);
+    if (!Array.isArray(targets)) {
+      return targets;
+    }
+
+    const options: CopyOptions = {
+      recursive: flags.has('r') || flags.has('R'),
+      interactive: flags.has('i') && !flags.has('n'),
+      noClobber: flags.has('n'),
+      verbose: flags.has('v'),
+      input: lineReader(context.stdin),
+    };
+    const errors: string[] = [];
+    for (const [source, target] of targets) {
+      yield* this.copyPath(source, target, options, errors);
+    }
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Pairs each source operand of cp, mv or ln with where it goes: into the
+   * last operand when that's a directory, otherwise to that name
+   */
+  private copyTargets(
+    command: string,
+    operands: string[],
+    followDestination = true
+  ): [string, string][] | CommandResult {
+    const help = `Try '${command} --help' for more information.`;
+    if (operands.length === 0) {
+      return failure(`${command}: missing file operand\n${help}`);
+    }
+    if (operands.length === 1) {
+      return failure(
+        `${command}: missing destination file operand after '${operands[0]}'\n${help}`
+      );
+    }
+
+    const sources = operands.slice(0, -1);
+    const destination = operands[operands.length - 1];
+    const node = this.getNode(destination, followDestination);
+    if (node && node.type === 'directory') {
+      const dir = destination.replace(/\/+$/, '');
+      return sources.map((source) => [source, `${dir}/${baseName(source)}`]);
+    }
+    if (sources.length > 1) {
+      return failure(`${command}: target '${destination}' is not a directory`);
+    }
+    return [[sources[0], destination]];
+  }
+
+  /**
+   * Copies one file, symlink or directory tree for cp, recording errors
+   */
+  private *copyPath(
+    source: string,
+    target: string,
+    options: CopyOptions,
+    errors: string[]
+  ): Run<void> {
+    const node = this.findNode(source, !options.recursive);
+    if (typeof node === 'string') {
+      errors.push(`cp: cannot stat '${source}': ${node}`);
+      return;
+    }
+
+    if (node.type === 'directory') {
+      if (!options.recursive) {
+        errors.push(`cp: -r not specified; omitting directory '${source}'`);
+        return;
+      }
+      yield* this.copyDirectory(source, target, node, options, errors);
+      return;
+    }
+
+    if (node.type === 'symlink') {
+      // Only -r gets here, and it copies the link as it is
+      const found = this.findParent(target);
+      const existing = typeof found === 'string' ? undefined : getChild(found.parent, found.name);
+      if (typeof found === 'string' || !this.canAccess(found.parent, WRITE | EXECUTE)) {
+        const error = typeof found === 'string' ? found : 'Permission denied';
+        errors.push(`cp: cannot create symbolic link '${target}': ${error}`);
+        return;
+      }
+      if (existing && existing.type === 'directory') {
+        errors.push(`cp: cannot overwrite directory '${target}' with non-directory`);
+        return;
+      }
+      if (existing && !(yield* this.confirmOverwrite('cp', target, options))) {
+        return;
+      }
+      found.parent.children[found.name] = this.createSymlink(node.target);
+      this.markModified(found.parent);
+      this.reportCopy(source, target, options);
+      return;
+    }
+
+    if (!this.canAccess(node, READ)) {
+      errors.push(`cp: cannot open '${source}' for reading: Permission denied`);
+      return;
+    }
+    const found = this.findTarget(target);
+    if (typeof found === 'string') {
+      errors.push(`cp: cannot create regular file '${target}': ${found}`);
+      return;
+    }
+    const { parent, name, existing } = found;
+    if (existing === node) {
+      errors.push(`cp: '${source}' and '${target}' are the same file`);
+      return;
+    }
+    if (existing && existing.type === 'directory') {
+      errors.push(`cp: cannot overwrite directory '${target}' with non-directory`);
+      return;
+    }
+    if (existing && !(yield* this.confirmOverwrite('cp', target, options))) {
+      return;
+    }
+
+    if (existing) {
+      if (!this.canAccess(existing, WRITE)) {
+        errors.push(`cp: cannot create regular file '${target}': Permission denied`);
+        return;
+      }
+      existing.content = node.content;
+      existing.encoding = node.encoding;
+      this.markModified(existing);
+    } else {
+      if (!this.canAccess(parent, WRITE | EXECUTE)) {
+        errors.push(`cp: cannot create regular file '${target}': Permission denied`);
+        return;
+      }
+      // A new copy keeps the original's permissions, less the umask
+      parent.children[name] = {
+        ...this.createFile(node.content),
+        encoding: node.encoding,
+        mode: node.mode & ~this.umask,
+      };
+      this.markModified(parent);
+    }
+    node.atime = Date.now();
+    this.reportCopy(source, target, options);
+  }
+
+  /**
+   * Copies a directory and everything in it for cp -r
+   */
+  private *copyDirectory(
+    source: string,
+    target: string,
+    node: DirectoryNode,
+    options: CopyOptions,
+    errors: string[]
+  ): Run<void> {
+    const found = this.findParent(target);
+    if (typeof found === 'string') {
+      errors.push(`cp: cannot create directory '${target}': ${found}`);
+      return;
+    }
+    const from = this.realPath(source)!;
+    const to = this.destinationPath(target);
+    if (to === from || to.startsWith(`${from}/`)) {
+      errors.push(`cp: cannot copy a directory, '${source}', into itself, '${target}'`);
+      return;
+    }
+
+    let dir = this.getNode(target);
+    if (dir && dir.type !== 'directory') {
+      errors.push(`cp: cannot overwrite non-directory '${target}' with directory '${source}'`);
+      return;
+    }
+    if (!this.canAccess(node, READ | EXECUTE)) {
+      errors.push(`cp: cannot access '${source}': Permission denied`);
+      return;
+    }
+    if (!dir) {
+      if (!this.canAccess(found.parent, WRITE | EXECUTE)) {
+        errors.push(`cp: cannot create directory '${target}': Permission denied`);
+        return;
+      }
+      dir = { ...this.createDirectory(), mode: node.mode & ~this.umask & 0o777 };
+      found.parent.children[found.name] = dir;
+      this.markModified(found.parent);
+      this.reportCopy(source, target, options);
+    }
+
+    for (const name of Object.keys(node.children)) {
+      yield* this.copyPath(`${source}/${name}`, `${target}/${name}`, options, errors);
+    }
+  }
+
+  /**
+   * Whether cp or mv may replace a file that's in the way: never with -n,
+   * and with -i only if the user says yes
+   */
+  private *confirmOverwrite(
+    command: string,
+    target: string,
+    options: { interactive: boolean; noClobber: boolean; input: LineReader }
+  ): Run<boolean> {
+    if (options.noClobber) {
+      return false;
+    }
+    if (!options.interactive) {
+      return true;
+    }
+    const answer = yield* readLine(options.input, `${command}: overwrite '${target}'? `, false);
+    return /^y/i.test(answer || '');
+  }
+
+  /**
+   * The absolute path of a file about to be created, with symlinks in the
+   * directories on the way resolved, to compare with where it came from
+   */
+  private destinationPath(path: string): string {
+    const full = this.resolvePath(path);
+    const slash = full.lastIndexOf('/');
+    const dir = this.realPath(full.slice(0, slash) || '/') || full.slice(0, slash);
+    return `${dir === '/' ? '' : dir}/${full.slice(slash + 1)}`;
+  }
+
+  private reportCopy(source: string, target: string, options: CopyOptions): void {
+    if (options.verbose) {
+      this.commandIO!.stdout(`'${source}' -> '${target}'\n`);
+    }
+  }
+
+  /**
+   * Creates a symlink owned by the current user. Symlinks show every
+   * permission; it's their target's that count.
+   */
+  private createSymlink(target: string): SymlinkNode {
+    return { type: 'symlink', target, ...this.newMetadata(0o777), mode: 0o777 };
+  }
+
+  /**
+   * Moves or renames files and directories. A symlink moves itself, not what
+   * it points to. -i asks before overwriting, -n never overwrites and -v
+   * names each move.
+   */
+  *cmd_mv(args: string[], context: CommandContext): Run<CommandOutput> {
+    const parsed = parseFlags('mv', args, 'finv');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const targets = this.copyTargets('mv', operands);
+    if (!Array.isArray(targets)) {
+      return targets;
+    }
+
+    const options = {
+      interactive: flags.has('i') && !flags.has('f') && !flags.has('n'),
+      noClobber: flags.has('n'),
+      input: lineReader(context.stdin),
+    };
+    const errors: string[] = [];
+    for (const [source, target] of targets) {
+      const error = yield* this.movePath(source, target, options);
+      if (error) {
+        errors.push(error);
+      } else if (error === null && flags.has('v')) {
+        this.commandIO!.stdout(`renamed '${source}' -> '${target}'\n`);
+      }
+    }
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Moves one node for mv. Gives an error, '' when it was skipped, or null
+   * once it's moved.
+   */
+  private *movePath(
+    source: string,
+    target: string,
+    options: { interactive: boolean; noClobber: boolean; input: LineReader }
+  ): Run<string | null> {
+    const from = this.findParent(source);
+    const node = typeof from === 'string' ? undefined : getChild(from.parent, from.name);
+    if (typeof from === 'string' || !node || !from.name) {
+      const error = typeof from === 'string' ? from : 'No such file or directory';
+      return `mv: cannot stat '${source}': ${error}`;
+    }
+    const to = this.findParent(target);
+    if (typeof to === 'string') {
+      return `mv: cannot move '${source}' to '${target}': ${to}`;
+    }
+
+    const existing = getChild(to.parent, to.name);
+    if (existing === node) {
+      return `mv: '${source}' and '${target}' are the same file`;
+    }
+    if (node.type === 'directory') {
+      const real = this.realPath(source)!;
+      if (this.destinationPath(target).startsWith(`${real}/`)) {
+        return `mv: cannot move '${source}' to a subdirectory of itself, '${target}'`;
+      }
+    }
+    if (existing) {
+      if (existing.type === 'directory' && node.type !== 'directory') {
+        return `mv: cannot overwrite directory '${target}' with non-directory`;
+      }
+      if (existing.type !== 'directory' && node.type === 'directory') {
+        return `mv: cannot overwrite non-directory '${target}' with directory '${source}'`;
+      }
+      if (existing.type === 'directory' && Object.keys(existing.children).length > 0) {
+        return `mv: cannot move '${source}' to '${target}': Directory not empty`;
+      }
+      if (!(yield* this.confirmOverwrite('mv', target, options))) {
+        return '';
+      }
+    }
+
+    const error =
+      this.checkUnlink(from.parent, node) ||
+      (existing ? this.checkUnlink(to.parent, existing) : null) ||
+      (this.canAccess(to.parent, WRITE | EXECUTE) ? null : 'Permission denied');
+    if (error) {
+      return `mv: cannot move '${source}' to '${target}': ${error}`;
+    }
+
+    delete from.parent.children[from.name];
+    to.parent.children[to.name] = node;
+    this.markModified(from.parent);
+    this.markModified(to.parent);
+    node.ctime = Date.now();
+    this.markChanged(node);
+    return null;
+  }
+
+  /**
+   * Makes links: hard links by default, which share the file itself, or
+   * symlinks with -s, which hold the path given. -f replaces what's in the
+   * way, -n treats a symlink to a directory as a file and -v names each link.
+   */
+  cmd_ln(args: string[]): CommandOutput {
+    const parsed = parseFlags('ln', args, 'sfnv');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const symbolic = flags.has('s');
+
+    // With only a target the link goes in the current directory
+    const targets =
+      operands.length === 1
+        ? this.copyTargets('ln', [operands[0], '.'])
+        : this.copyTargets('ln', operands, !flags.has('n'));
+    if (!Array.isArray(targets)) {
+      return targets;
+    }
+
+    const messages: string[] = [];
+    const errors: string[] = [];
+    for (const [target, linkPath] of targets) {
+      const failed = (error: string): void => {
+        errors.push(
+          symbolic
+            ? `ln: failed to create symbolic link '${linkPath}': ${error}`
+            : `ln: failed to create hard link '${linkPath}' => '${target}': ${error}`
+        );
+      };
+
+      let node: Inode | string = '';
+      if (!symbolic) {
+        node = this.findNode(target);
+        if (typeof node === 'string') {
+          errors.push(`ln: failed to access '${target}': ${node}`);
+          continue;
+        }
+        if (node.type === 'directory') {
+          errors.push(`ln: ${target}: hard link not allowed for directory`);
+          continue;
+        }
+        if (!this.mayHardLink(node)) {
+          failed('Operation not permitted');
+          continue;
+        }
+      }
+
+      const found = this.findParent(linkPath);
+      if (typeof found === 'string') {
+        failed(found);
+        continue;
+      }
+      const existing = getChild(found.parent, found.name);
+      if (existing) {
+        if (!flags.has('f')) {
+          failed('File exists');
+          continue;
+        }
+        if (existing.type === 'directory') {
+          errors.push(`ln: ${linkPath}: cannot overwrite directory`);
+          continue;
+        }
+        if (existing === node) {
+          errors.push(`ln: '${target}' and '${linkPath}' are the same file`);
+          continue;
+        }
+      }
+      const error = existing
+        ? this.checkUnlink(found.parent, existing)
+        : this.canAccess(found.parent, WRITE | EXECUTE)
+          ? null
+          : 'Permission denied';
+      if (error) {
+        failed(error);
+        continue;
+      }
+
+      if (typeof node === 'string') {
+        found.parent.children[found.name] = this.createSymlink(target);
+      } else {
+        found.parent.children[found.name] = node;
+        node.ctime = Date.now();
+        this.markChanged(node);
+      }
+      this.markModified(found.parent);
+      if (flags.has('v')) {
+        messages.push(`'${linkPath}' ${symbolic ? '->' : '=>'} '${target}'`);
+      }
+    }
+
+    return {
+      stdout: toLines(messages.join('\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Prints where symlinks point. -f, -e and -m print the full path with
+   * every symlink resolved instead: -e needs all of it to exist, -f all but
+   * the last part, -m none of it. -n leaves off the newline and -v reports
+   * errors, which are otherwise only an exit status of 1.
+   */
+  cmd_readlink(args: string[]): CommandOutput {
+    const parsed = parseFlags('readlink', args, 'femnvqs');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    if (operands.length === 0) {
+      return failure("readlink: missing operand\nTry 'readlink --help' for more information.");
+    }
+    const mode = (['e', 'f', 'm'] as const).filter((flag) => flags.has(flag)).pop();
+    const verbose = flags.has('v') && !flags.has('q') && !flags.has('s');
+
+    const lines: string[] = [];
+    const errors: string[] = [];
+    for (const file of operands) {
+      if (mode) {
+        const path = this.canonicalPath(file, mode);
+        if (path === null) {
+          errors.push(`readlink: ${file}: No such file or directory`);
+        } else {
+          lines.push(path);
+        }
+        continue;
+      }
+
+      const link = this.getNode(file, false);
+      if (link && link.type === 'symlink') {
+        lines.push(link.target);
+      } else {
+        errors.push(
+          `readlink: ${file}: ${link ? 'Invalid argument' : 'No such file or directory'}`
+        );
+      }
+    }
+
+    const end = flags.has('n') && operands.length === 1 ? '' : '\n';
+    return {
+      stdout: lines.length > 0 ? lines.join('\n') + end : '',
+      stderr: verbose ? toLines(errors.join('\n')) : '',
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * The absolute path to a file with every symlink resolved, for readlink:
+   * mode e needs all of the path to exist, f all but the last part, and m
+   * none of it. Gives null when too much is missing.
+   */
+  private canonicalPath(path: string, mode: 'e' | 'f' | 'm', links = 0): string | null {
+    const real = this.realPath(path);
+    if (real !== null || mode === 'e') {
+      return real;
+    }
+
+    // A symlink to something missing resolves to where it points
+    const full = this.resolvePath(path);
+    const link = this.getNode(full, false);
+    if (link && link.type === 'symlink') {
+      const target = this.linkTarget(full, link);
+      return links < MAX_SYMLINKS ? this.canonicalPath(target, mode, links + 1) : null;
+    }
+
+    const slash = full.lastIndexOf('/');
+    const dir = this.canonicalPath(full.slice(0, slash) || '/', mode === 'f' ? 'e' : 'm', links);
+    if (dir === null || (mode === 'f' && this.getNode(dir)!.type !== 'directory')) {
+      return null;
+    }
+    return `${dir === '/' ? '' : dir}/${full.slice(slash + 1)}`;
+  }
+
+  cmd_chmod(args: string[]): CommandOutput {
+    // -w and -rx are modes, not options
+    const options = this.parseChangeOptions('chmod', args, /^-[rwxXst]+$/);
+    if (!('operands' in options)) {
+      return options;
+    }
+
+    const [mode, ...files] = options.operands;
+    if (mode === undefined || files.length === 0) {
+      const after = mode === undefined ? '' : ` after '${mode}'`;
+      return failure(`chmod: missing operand${after}\nTry 'chmod --help' for more information.`);
+    }
+    if (parseMode(mode, 0, false, this.umask) === null) {
+      return failure(`chmod: invalid mode: '${mode}'\nTry 'chmod --help' for more information.`);
+    }
+
+    const uid = this.currentUid();
+    return this.changeEach('chmod', files, options, (node, name) => {
+      if (uid !== 0 && node.uid !== uid) {
+        return { error: `changing permissions of '${name}': Operation not permitted` };
+      }
+
+      const before = node.mode;
+      node.mode = parseMode(mode, before, node.type === 'directory', this.umask)!;
+      node.ctime = Date.now();
+      this.markChanged(node);
+
+      const show = (bits: number): string =>
+        `${formatOctalMode(bits)} (${formatMode(node.type, bits).slice(1)})`;
+      return {
+        message:
+          before === node.mode
+            ? `mode of '${name}' retained as ${show(before)}`
+            : `mode of '${name}' changed from ${show(before)} to ${show(node.mode)}`,
+      };
+    });
+  }
+
+  cmd_chown(args: string[]): CommandOutput {
+    const options = this.parseChangeOptions('chown', args);
+    if (!('operands' in options)) {
+      return options;
+    }
+
+    const [spec, ...files] = options.operands;
+    if (spec === undefined || files.length === 0) {
+      const after = spec === undefined ? '' : ` after '${spec}'`;
+      return failure(`chown: missing operand${after}\nTry 'chown --help' for more information.`);
+    }
+
+    // OWNER, OWNER:GROUP, OWNER: for the owner's own group, or :GROUP
+    const colon = spec.indexOf(':');
+    const userPart = colon === -1 ? spec : spec.slice(0, colon);
+    const groupPart = colon === -1 ? '' : spec.slice(colon + 1);
+    const newUid = userPart ? this.lookupUser(userPart) : undefined;
+    if (newUid === null) {
+      return failure(`chown: invalid user: '${spec}'`);
+    }
+    let newGid = groupPart ? this.lookupGroup(groupPart) : undefined;
+    if (newGid === null) {
+      return failure(`chown: invalid group: '${spec}'`);
+    }
+    if (colon !== -1 && !groupPart && newUid !== undefined) {
+      // OWNER: means the owner's login group
+      const account = this.getAccounts().find((entry) => entry.uid === newUid);
+      newGid = account ? account.gid : newUid;
+    }
+
+    return this.changeEach('chown', files, options, (node, name) =>
+      this.changeOwner('chown', node, name, newUid, newGid)
+    );
+  }
+
+  cmd_chgrp(args: string[]): CommandOutput {
+    const options = this.parseChangeOptions('chgrp', args);
+    if (!('operands' in options)) {
+      return options;
+    }
+
+    const [group, ...files] = options.operands;
+    if (group === undefined || files.length === 0) {
+      const after = group === undefined ? '' : ` after '${group}'`;
+      return failure(`chgrp: missing operand${after}\nTry 'chgrp --help' for more information.`);
+    }
+
+    const gid = this.lookupGroup(group);
+    if (gid === null) {
+      return failure(`chgrp: invalid group: '${group}'`);
+    }
+
+    return this.changeEach('chgrp', files, options, (node, name) =>
+      this.changeOwner('chgrp', node, name, undefined, gid)
+    );
+  }
+
+  /**
+   * Gives a node a new owner and/or group. Only root may change the owner;
+   * the owner may change the group to one they belong to.
+   */
+  private changeOwner(
+    command: 'chown' | 'chgrp',
+    node: Inode,
+    name: string,
+    newUid: number | undefined,
+    newGid: number | undefined
+  ): { error?: string; message?: string } {
+    const uid = this.currentUid();
+    const allowed =
+      uid === 0 ||
+      (node.uid === uid &&
+        (newUid === undefined || newUid === uid) &&
+        (newGid === undefined || this.inGroup(newGid)));
+
+    const what = command === 'chown' ? 'ownership' : 'group';
+    if (!allowed) {
+      return { error: `changing ${what} of '${name}': Operation not permitted` };
+    }
+
+    const show = (user: number, group: number): string =>
+      command === 'chown'
+        ? `${this.userName(user)}:${this.groupName(group)}`
+        : this.groupName(group);
+    const before = show(node.uid, node.gid);
+    node.uid = newUid ?? node.uid;
+    node.gid = newGid ?? node.gid;
+    node.ctime = Date.now();
+    this.markChanged(node);
+    const after = show(node.uid, node.gid);
+
+    return {
+      message:
+        before === after
+          ? `${what} of '${name}' retained as ${after}`
+          : `changed ${what} of '${name}' from ${before} to ${after}`,
+    };
+  }
+
+  /**
+   * Parses -R, -f and -v for chmod, chown and chgrp. Arguments matching
+   * operandPattern are operands even though they start with a dash.
+   */
+  private parseChangeOptions(
+    command: string,
+    args: string[],
+    operandPattern?: RegExp
+  ): ChangeOptions | CommandResult {
+    const options: ChangeOptions = {
+      recursive: false,
+      quiet: false,
+      verbose: false,
+      operands: [],
+    };
+
+    for (const arg of args) {
+      if (!arg.startsWith('-') || arg === '-' || operandPattern?.test(arg)) {
+        options.operands.push(arg);
+        continue;
+      }
+      for (const flag of arg.slice(1)) {
+        if (flag === 'R') options.recursive = true;
+        else if (flag === 'f') options.quiet = true;
+        else if (flag === 'v') options.verbose = true;
+        else {
+          return failure(
+            `${command}: invalid option -- '${flag}'\nTry '${command} --help' for more information.`
+          );
+        }
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Applies a change to each file, and with -R to everything under it.
+   * The change returns an error, or what -v reports.
+   */
+  private changeEach(
+    command: string,
+    files: string[],
+    options: ChangeOptions,
+    change: (node: Inode, name: string) => { error?: string; message?: string }
+  ): CommandResult {
+    const messages: string[] = [];
+    const errors: string[] = [];
+
+    const visit = (node: Inode, name: string): void => {
+      const result = change(node, name);
+      if (result.error) {
+        errors.push(`${command}: ${result.error}`);
+      } else if (options.verbose && result.message) {
+        messages.push(result.message);
+      }
+
+      if (options.recursive && node.type === 'directory') {
+        if (!this.canAccess(node, READ | EXECUTE)) {
+          errors.push(`${command}: cannot read directory '${name}': Permission denied`);
+          return;
+        }
+        // Symlinks on the way are left alone rather than followed
+        for (const [childName, child] of Object.entries(node.children)) {
+          if (child.type !== 'symlink') {
+            visit(child, `${name.replace(/\/$/, '')}/${childName}`);
+          }
+        }
+      }
+    };
+
+    for (const file of files) {
+      const node = this.findNode(file);
+      if (typeof node === 'string') {
+        errors.push(`${command}: cannot access '${file}': ${node}`);
+        continue;
+      }
+      visit(node, file);
+    }
+
+    return {
+      stdout: toLines(messages.join('\n')),
+      // -f hides most errors, but not the exit status
+      stderr: options.quiet ? '' : toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  cmd_umask(args: string[]): CommandOutput {
+    const symbolic = args[0] === '-S';
+    const mode = symbolic ? args[1] : args[0];
+
+    if (mode === undefined) {
+      if (!symbolic) {
+        return formatOctalMode(this.umask);
+      }
+      const allowed = ~this.umask & 0o777;
+      return ['u', 'g', 'o']
+        .map((who, i) => {
+          const bits = (allowed >> (6 - 3 * i)) & 7;
+          return `${who}=${bits & 4 ? 'r' : ''}${bits & 2 ? 'w' : ''}${bits & 1 ? 'x' : ''}`;
+        })
+        .join(',');
+    }
+
+    if (/^\d+$/.test(mode)) {
+      if (!/^[0-7]+$/.test(mode) || parseInt(mode, 8) > 0o777) {
+        return failure(`umask: ${mode}: octal number out of range`);
+      }
+      this.umask = parseInt(mode, 8);
+      return '';
+    }
+
+    // u=rwx,g=rx,o= names the bits to allow, so the umask is the rest
+    const allowed = parseMode(mode, ~this.umask & 0o777, true, 0);
+    if (allowed === null) {
+      return failure(`umask: \`${mode}': invalid symbolic mode`);
+    }
+    this.umask = ~allowed & 0o777;
+    return '';
+  }
+
+  cmd_tree(): string {
+    const buildTree = (
+      node: DirectoryNode,
+      prefix: string = '',
+      isLast: boolean = true
+    ): string => {
+      let result = '';
+      const entries = Object.entries(node.children);
+
+      entries.forEach(([name, value], index) => {
+        const isLastEntry = index === entries.length - 1;
+        const connector = isLastEntry ? '└── ' : '├── ';
+        const isDir = value.type === 'directory';
+        // Like tree, show directories we can't list without their contents
+        const unreadable = isDir && !this.canAccess(value, READ | EXECUTE);
+
+        result += prefix + connector + name + (isDir ? '/' : '');
+        result += value.type === 'symlink' ? ` -> ${value.target}` : '';
+        result += unreadable ? '  [error opening dir]\n' : '\n';
+
+        if (value.type === 'directory' && !unreadable) {
+          const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
+          result += buildTree(value, newPrefix, isLastEntry);
+        }
+      });
+
+      return result;
+    };
+
+    const node = this.getNode(this.currentPath);
+    return this.currentPath + '/\n' + buildTree(node as DirectoryNode);
+  }
+
+  /**
+   * Searches directory trees for files an expression is true for, printing
+   * them unless it has an action of its own. Symlinks aren't followed.
+   * Output is written as it's found, between that of -exec commands.
+   */
+  *cmd_find(args: string[], context: CommandContext): Run<CommandOutput> {
+    let command: FindCommand;
+    try {
+      command = parseFind(args, {
+        glob: (pattern, ignoreCase) => this.globPattern(pattern, ignoreCase),
+        user: (name) => this.lookupUser(name),
+        group: (name) => this.lookupGroup(name),
+        mtime: (path) => {
+          const node = this.findNode(path);
+          return typeof node === 'string' ? node : node.mtime;
+        },
+      });
+    } catch (error) {
+      if (error instanceof FindError) {
+        return failure(`find: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const walk: FindWalk = {
+      command,
+      batches: new Map(),
+      pruned: false,
+      quit: false,
+      failed: false,
+      stdin: context.stdin,
+    };
+    for (const path of command.paths) {
+      const node = this.findNode(path, false);
+      if (typeof node === 'string') {
+        this.commandIO!.stderr(`find: '${path}': ${node}\n`);
+        walk.failed = true;
+        continue;
+      }
+      yield* this.findIn(path, node, 0, walk);
+      if (walk.quit) {
+        break;
+      }
+    }
+
+    // -exec ... {} + runs once everything is found
+    for (const [exec, paths] of walk.batches) {
+      if (exec.kind === 'exec' && !(yield* this.findExec(exec.argv, paths, true, walk))) {
+        walk.failed = true;
+      }
+    }
+    return { exitCode: walk.failed ? 1 : 0 };
+  }
+
+  /**
+   * Evaluates find's expression for a file and, unless pruned, everything
+   * under it, down to -maxdepth and from -mindepth
+   */
+  private *findIn(path: string, node: Inode, depth: number, walk: FindWalk): Run<void> {
+    const { command } = walk;
+    const visit = depth >= command.minDepth;
+    walk.pruned = false;
+    if (visit && !command.depthFirst) {
+      yield* this.evaluateFind(command.expression, path, node, walk);
+    }
+
+    if (node.type === 'directory' && depth < command.maxDepth && !walk.pruned && !walk.quit) {
+      if (!this.canAccess(node, READ | EXECUTE)) {
+        this.commandIO!.stderr(`find: '${path}': Permission denied\n`);
+        walk.failed = true;
+      } else {
+        for (const name of Object.keys(node.children)) {
+          // -exec and -delete may have removed it on the way
+          const child = this.getEntry(node, name);
+          if (child) {
+            yield* this.findIn(joinPath(path, name), child, depth + 1, walk);
+          }
+          if (walk.quit) {
+            return;
+          }
+        }
+      }
+    }
+
+    if (visit && command.depthFirst) {
+      yield* this.evaluateFind(command.expression, path, node, walk);
+    }
+  }
+
+  /**
+   * Whether find's expression is true for a file, carrying out its actions
+   * on the way. -a and -o only evaluate their right side when it matters.
+   */
+  private *evaluateFind(
+    expression: FindExpression,
+    path: string,
+    node: Inode,
+    walk: FindWalk
+  ): Run<boolean> {
+    switch (expression.kind) {
+      case 'and':
+        return (
+          (yield* this.evaluateFind(expression.left, path, node, walk)) &&
+          (yield* this.evaluateFind(expression.right, path, node, walk))
+        );
+      case 'or':
+        return (
+          (yield* this.evaluateFind(expression.left, path, node, walk)) ||
+          (yield* this.evaluateFind(expression.right, path, node, walk))
+        );
+      case 'not':
+        return !(yield* this.evaluateFind(expression.operand, path, node, walk));
+      case 'name':
+        return expression.regex.test(baseName(path));
+      case 'path':
+        return expression.regex.test(path);
+      case 'type':
+        return expression.types.includes({ file: 'f', directory: 'd', symlink: 'l' }[node.type]);
+      case 'size':
+        return compareCount(expression.comparison, Math.ceil(nodeSize(node) / expression.unit));
+      case 'age':
+        return compareCount(
+          expression.comparison,
+          Math.floor((Date.now() - node.mtime) / expression.unit)
+        );
+      case 'newer':
+        return node.mtime > expression.time;
+      case 'empty':
+        if (node.type === 'directory') {
+          return Object.keys(node.children).length === 0;
+        }
+        return node.type === 'file' && node.content === '';
+      case 'user':
+        return node.uid === expression.uid;
+      case 'group':
+        return node.gid === expression.gid;
+      case 'perm': {
+        const mode = node.mode & 0o7777;
+        if (expression.match === 'all') {
+          return (mode & expression.mode) === expression.mode;
+        }
+        if (expression.match === 'any') {
+          return expression.mode === 0 || (mode & expression.mode) !== 0;
+        }
+        return mode === expression.mode;
+      }
+      case 'access':
+        return this.canAccess(node, expression.access);
+      case 'constant':
+        return expression.value;
+      case 'print':
+        this.commandIO!.stdout(path + expression.terminator);
+        return true;
+      case 'exec':
+        if (expression.batch) {
+          walk.batches.set(expression, [...(walk.batches.get(expression) || []), path]);
+          return true;
+        }
+        return yield* this.findExec(expression.argv, [path], false, walk);
+      case 'delete':
+        return this.findDelete(path, node, walk);
+      case 'prune':
+        walk.pruned = true;
+        return true;
+      case 'quit':
+        walk.quit = true;
+        return true;
+    }
+  }
+
+  /**
+   * Runs a command for find -exec, with {} standing for the path found, or
+   * in a batch for all of them. Returns whether it succeeded.
+   */
+  private *findExec(argv: string[], paths: string[], batch: boolean, walk: FindWalk): Run<boolean> {
+    const words = batch
+      ? [...argv.slice(0, -1), ...paths]
+      : argv.map((arg) => arg.split('{}').join(paths[0]));
+    const status = yield* this.runProgram(words, { ...this.commandIO!, stdin: walk.stdin });
+    if (status === null) {
+      this.commandIO!.stderr(`find: '${words[0]}': No such file or directory\n`);
+      walk.failed = true;
+    }
+    return status === 0;
+  }
+
+  /**
+   * Removes a file or empty directory for find -delete, reporting why when
+   * it can't. find never removes the . it started from.
+   */
+  private findDelete(path: string, node: Inode, walk: FindWalk): boolean {
+    if (baseName(path) === '.') {
+      return true;
+    }
+    const found = this.findParent(path);
+    const error =
+      typeof found === 'string'
+        ? found
+        : node.type === 'directory' && Object.keys(node.children).length > 0
+          ? 'Directory not empty'
+          : this.checkUnlink(found.parent, node);
+    if (typeof found === 'string' || error) {
+      this.commandIO!.stderr(`find: cannot delete '${path}': ${error}\n`);
+      walk.failed = true;
+      return false;
+    }
+    delete found.parent.children[found.name];
+    this.markModified(found.parent);
+    return true;
+  }
+
+  /**
+   * Runs a program for find -exec or xargs, which start it themselves
+   * rather than through the shell: a file when its name has a slash,
+   * otherwise a built-in. Gives null when there's no such program.
+   */
+  private *runProgram(argv: string[], io: ShellIO): Run<number | null> {
+    const [name, ...args] = argv;
+    if (name.includes('/')) {
+      return yield* this.runExecutable(name, args, this.environment, io);
+    }
+    if (!(name in this.commands)) {
+      return null;
+    }
+    return yield* this.runBuiltin(name, args, this.environment, io);
+  }
+
+  /**
+   * Runs a command, echo unless one is given, with items read from stdin
+   * as its arguments: all at once, -n at a time, for every -L lines, or
+   * with -I once for each line, put in place of a placeholder. Items are
+   * split at blanks and newlines, at NULs with -0 or at the -d delimiter;
+   * -a reads them from a file. -r runs nothing for no input and -t shows
+   * each command on stderr before running it.
+   */
+  *cmd_xargs(args: string[], context: CommandContext): Run<CommandOutput> {
+    const parsed = parseFlags('xargs', args, '0a:d:I:L:n:rt', true);
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+    const command = operands.length > 0 ? operands : ['echo'];
+    for (const option of ['n', 'L']) {
+      if (option in values && !/^\d+$/.test(values[option])) {
+        return failure(`xargs: invalid number "${values[option]}" for -${option} option`);
+      }
+      if (option in values && parseInt(values[option], 10) === 0) {
+        return failure(`xargs: value ${values[option]} for -${option} option should be >= 1`);
+      }
+    }
+
+    let input = context.stdin || '';
+    if ('a' in values) {
+      const errors: string[] = [];
+      const content = this.readOperand('xargs', values.a, context, errors, (error) => {
+        return `xargs: cannot open input file '${values.a}': ${error}`;
+      });
+      if (content === null) {
+        return failure(errors.join('\n'));
+      }
+      input = content;
+    }
+
+    // The items on each line, or on their own with a delimiter
+    let lines: string[][];
+    if (flags.has('0') || 'd' in values) {
+      const delimiter = flags.has('0') ? '\0' : parseDelimiter(values.d);
+      if (delimiter === null) {
+        return failure(
+          `xargs: invalid input delimiter specification ${values.d}: the delimiter must be ` +
+            'either a single character or an escape sequence starting with \\.'
+        );
+      }
+      const items = input.split(delimiter);
+      if (items[items.length - 1] === '') {
+        items.pop();
+      }
+      lines = items.map((item) => [item]);
+    } else if ('I' in values) {
+      lines = textLines(input)
+        .map((line) => line.replace(/^[ \t]+/, ''))
+        .filter((line) => line !== '')
+        .map((line) => [line]);
+    } else {
+      const split = splitItems(input);
+      if (typeof split === 'string') {
+        return failure(`xargs: ${split}`);
+      }
+      lines = split;
+    }
+
+    const runs: string[][] = [];
+    if ('I' in values) {
+      for (const [line] of lines) {
+        runs.push(command.map((arg) => arg.split(values.I).join(line)));
+      }
+    } else if ('L' in values) {
+      const count = parseInt(values.L, 10);
+      for (let i = 0; i < lines.length; i += count) {
+        runs.push([...command, ...lines.slice(i, i + count).flat()]);
+      }
+    } else {
+      const items = lines.flat();
+      const count = 'n' in values ? parseInt(values.n, 10) : Math.max(items.length, 1);
+      for (let i = 0; i < items.length; i += count) {
+        runs.push([...command, ...items.slice(i, i + count)]);
+      }
+    }
+    // Without input the command still runs once, unless -r says not to
+    if (runs.length === 0 && !flags.has('r') && !('I' in values)) {
+      runs.push(command);
+    }
+
+    // Commands get no input of their own
+    const io: ShellIO = { ...this.commandIO!, stdin: '' };
+    let exitCode = 0;
+    for (const argv of runs) {
+      if (flags.has('t')) {
+        this.commandIO!.stderr(`${argv.join(' ')}\n`);
+      }
+      const status = yield* this.runProgram(argv, io);
+      if (status === null) {
+        return failure(`xargs: ${argv[0]}: No such file or directory`, 127);
+      }
+      if (status === 255) {
+        return failure(`xargs: ${argv[0]}: exited with status 255; aborting`, 124);
+      }
+      if (status !== 0) {
+        exitCode = 123;
+      }
+    }
+    return { exitCode };
+  }
+
+  /**
+   * Reports the disk space directories take up, with everything in them,
+   * in 1K blocks or with -h as 4.0K, 12M and so on. -a shows files too, -s
+   * only the total for each path, -d the levels down to a depth and -c adds
+   * a grand total. -b counts bytes of content rather than the blocks files
+   * fill. Files with several hard links count once.
+   */
+  cmd_du(args: string[]): CommandResult {
+    const parsed = parseFlags('du', args, 'abcd:hks');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+    if (flags.has('s') && flags.has('a')) {
+      return failure(
+        "du: cannot both summarize and show all entries\nTry 'du --help' for more information."
+      );
+    }
+    if ('d' in values && !/^\d+$/.test(values.d)) {
+      return failure(`du: invalid maximum depth '${values.d}'`);
+    }
+
+    const options: DiskUsageOptions = {
+      all: flags.has('a'),
+      apparent: flags.has('b'),
+      maxDepth: flags.has('s') ? 0 : 'd' in values ? parseInt(values.d, 10) : Infinity,
+      seen: new Set(),
+      entries: [],
+      errors: [],
+    };
+    let total = 0;
+    for (const path of operands.length > 0 ? operands : ['.']) {
+      const node = this.findNode(path, false);
+      if (typeof node === 'string') {
+        options.errors.push(`du: cannot access '${path}': ${node}`);
+        continue;
+      }
+      total += this.diskUsage(path, node, 0, options);
+    }
+    if (flags.has('c')) {
+      options.entries.push([total, 'total']);
+    }
+
+    const format = (bytes: number): string => {
+      if (flags.has('h')) {
+        return humanSize(bytes);
+      }
+      return String(flags.has('b') ? bytes : Math.ceil(bytes / 1024));
+    };
+    return {
+      stdout: toLines(options.entries.map(([size, path]) => `${format(size)}\t${path}`).join('\n')),
+      stderr: toLines(options.errors.join('\n')),
+      exitCode: options.errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Adds up the space a file or directory takes for du, noting the entries
+   * to show on the way. Returns the size in bytes.
+   */
+  private diskUsage(path: string, node: Inode, depth: number, options: DiskUsageOptions): number {
+    if (options.seen.has(node)) {
+      return 0;
+    }
+    options.seen.add(node);
+
+    // Short symlinks live in their inode and take no blocks
+    let size = nodeSize(node);
+    if (!options.apparent) {
+      size = node.type === 'symlink' ? 0 : allocatedSize(size);
+    }
+    if (node.type === 'directory') {
+      if (!this.canAccess(node, READ | EXECUTE)) {
+        options.errors.push(`du: cannot read directory '${path}': Permission denied`);
+      } else {
+        for (const name of Object.keys(node.children)) {
+          const child = this.getEntry(node, name);
+          if (child) {
+            size += this.diskUsage(joinPath(path, name), child, depth + 1, options);
+          }
+        }
+      }
+    }
+
+    if (depth <= options.maxDepth && (depth === 0 || options.all || node.type === 'directory')) {
+      options.entries.push([size, path]);
+    }
+    return size;
+  }
+
+  /**
+   * Reports the size of the virtual disk and how much of it files use, in
+   * 1K blocks or with -h as 1.0G and so on. Every path is on the one disk.
+   */
+  cmd_df(args: string[]): CommandResult {
+    const parsed = parseFlags('df', args, 'hk');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const errors: string[] = [];
+    let count = operands.length > 0 ? 0 : 1;
+    for (const path of operands) {
+      const node = this.findNode(path);
+      if (typeof node === 'string') {
+        errors.push(`df: ${path}: ${node}`);
+      } else {
+        count++;
+      }
+    }
+
+    // Count every file, readable or not, and hard links once
+    const seen = new Set<Inode>();
+    const usage = (node: Inode): number => {
+      if (seen.has(node)) {
+        return 0;
+      }
+      seen.add(node);
+      if (node.type === 'symlink') {
+        return 0;
+      }
+      let size = allocatedSize(nodeSize(node));
+      if (node.type === 'directory') {
+        size += Object.values(node.children).reduce((sum, child) => sum + usage(child), 0);
+      }
+      return size;
+    };
+    const used = usage(this.fileSystem['/'] as DirectoryNode);
+    const available = Math.max(DISK_SIZE - used, 0);
+    const percent = `${Math.ceil((used * 100) / DISK_SIZE)}%`;
+
+    const human = flags.has('h');
+    const format = (bytes: number): string =>
+      human ? humanSize(bytes) : String(Math.ceil(bytes / 1024));
+    const rows = [
+      human
+        ? ['Filesystem', 'Size', 'Used', 'Avail', 'Use%', 'Mounted on']
+        : ['Filesystem', '1K-blocks', 'Used', 'Available', 'Use%', 'Mounted on'],
+    ];
+    for (let i = 0; i < count; i++) {
+      rows.push(['rootfs', format(DISK_SIZE), format(used), format(available), percent, '/']);
+    }
+
+    return {
+      stdout: count > 0 ? toLines(formatColumns(rows, [false, true, true, true, true, false])) : '',
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  /**
+   * Creates, extracts or lists tar archives: -c, -x or -t with the archive
+   * named by -f, or stdin or stdout for - or no -f. -z compresses with
+   * gzip, and extracting or listing finds gzip by itself. -C works from
+   * another directory and -v names each member. The first argument may be
+   * letters without a dash, as in tar czf backup.tgz dir.
+   */
+  cmd_tar(args: string[], context: CommandContext): CommandResult {
+    // Old-style letters take their arguments from the ones after, in order
+    if (args.length > 0 && !args[0].startsWith('-')) {
+      const rest = args.slice(1);
+      const letters: string[] = [];
+      for (const letter of args[0]) {
+        letters.push(`-${letter}`);
+        if ('fC'.includes(letter) && rest.length > 0) {
+          letters.push(rest.shift()!);
+        }
+      }
+      args = [...letters, ...rest];
+    }
+    const help = "Try 'tar --help' or 'tar --usage' for more information.";
+    const expanded = expandLongOptions(args, TAR_LONG_OPTIONS);
+    if (typeof expanded === 'string') {
+      return failure(`tar: ${expanded}\n${help}`, 2);
+    }
+    const parsed = parseFlags('tar', expanded.args, 'cxtf:zvC:');
+    if (!('flags' in parsed)) {
+      return { ...parsed, exitCode: 2 };
+    }
+    const { flags, values, operands } = parsed;
+
+    const modes = ['c', 'x', 't'].filter((mode) => flags.has(mode));
+    if (modes.length !== 1) {
+      return failure(
+        modes.length === 0
+          ? `tar: You must specify one of the '-Acdtrux', '--delete' or '--test-label' options\n${help}`
+          : `tar: You may not specify more than one '-Acdtrux', '--delete' or  '--test-label' option\n${help}`,
+        2
+      );
+    }
+    // Archives are bytes, which don't belong on a terminal
+    const file = values.f ?? '-';
+    if (file === '-' && (flags.has('c') ? context.isTTY : context.stdin === null)) {
+      const direction = flags.has('c') ? 'write archive contents to' : 'read archive contents from';
+      return failure(
+        `tar: Refusing to ${direction} terminal (missing -f option?)\ntar: Error is not recoverable: exiting now`,
+        2
+      );
+    }
+    const root = this.resolvePath(values.C ?? '.');
+    const rootNode = this.findNode(root);
+    if (typeof rootNode === 'string' || rootNode.type !== 'directory') {
+      const error = typeof rootNode === 'string' ? rootNode : 'Not a directory';
+      return failure(
+        `tar: ${values.C}: Cannot open: ${error}\ntar: Error is not recoverable: exiting now`,
+        2
+      );
+    }
+
+    if (flags.has('c')) {
+      return this.createTar(file, root, operands, flags.has('z'), flags.has('v'));
+    }
+
+    const archive =
+      file === '-' ? encodeStream(context.stdin ?? '') : this.readArchive('tar', file);
+    if (typeof archive === 'string') {
+      return failure(`${archive}\ntar: Error is not recoverable: exiting now`, 2);
+    }
+    let data = archive;
+    let entries: ArchiveEntry[];
+    try {
+      if (isGzip(data)) {
+        data = gunzip(data).data;
+      } else if (flags.has('z')) {
+        throw new ArchiveError('not in gzip format');
+      }
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) {
+        throw error;
+      }
+      return failure(
+        `gzip: stdin: ${error.message}\ntar: Child returned status 1\ntar: Error is not recoverable: exiting now`,
+        2
+      );
+    }
+    try {
+      entries = readTar(data);
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) {
+        throw error;
+      }
+      return failure(
+        `tar: ${error.message}\ntar: Exiting with failure status due to previous errors`,
+        2
+      );
+    }
+
+    // Operands pick members by name, with everything in a directory
+    const names = operands.map((operand) => operand.replace(/\/+$/, '').replace(/^(\.\/)+/, ''));
+    const selected = (entry: ArchiveEntry, name: string): boolean =>
+      entry.path === name || entry.path.startsWith(`${name}/`);
+    const messages: string[] = [];
+    let failed = false;
+    for (const name of names) {
+      if (!entries.some((entry) => selected(entry, name))) {
+        messages.push(`tar: ${name}: Not found in archive`);
+        failed = true;
+      }
+    }
+    if (names.length > 0) {
+      entries = entries.filter((entry) => names.some((name) => selected(entry, name)));
+    }
+
+    const lines: string[] = [];
+    if (flags.has('t')) {
+      // tar -tv widens the owner and size column as it goes, as GNU tar does
+      let width = 19;
+      for (const entry of entries) {
+        if (!flags.has('v')) {
+          lines.push(entry.type === 'directory' ? `${entry.path}/` : entry.path);
+          continue;
+        }
+        const owner = `${entry.user || entry.uid}/${entry.group || entry.gid}`;
+        const size = String(entry.data.length);
+        width = Math.max(width, owner.length + size.length + 1);
+        let mode = formatMode(entry.type === 'hardlink' ? 'file' : entry.type, entry.mode);
+        let name = entry.path;
+        if (entry.type === 'directory') {
+          name += '/';
+        } else if (entry.type === 'symlink') {
+          name += ` -> ${entry.linkTarget}`;
+        } else if (entry.type === 'hardlink') {
+          mode = `h${mode.slice(1)}`;
+          name += ` link to ${entry.linkTarget}`;
+        }
+        const time = formatShortTime(entry.mtime);
+        lines.push(`${mode} ${owner} ${size.padStart(width - owner.length - 1)} ${time} ${name}`);
+      }
+    } else {
+      const keepOwner = this.currentUid() === 0;
+      const directories: [DirectoryNode, number][] = [];
+      let strippedSlash = false;
+      for (const entry of entries) {
+        const path = entry.path.replace(/^\/+/, '');
+        if (path !== entry.path && !strippedSlash) {
+          messages.push("tar: Removing leading `/' from member names");
+          strippedSlash = true;
+        }
+        if (path.split('/').includes('..')) {
+          messages.push(`tar: ${path}: Member name contains '..'`);
+          failed = true;
+          continue;
+        }
+        if (flags.has('v')) {
+          lines.push(entry.type === 'directory' ? `${path}/` : path);
+        }
+        const error = this.extractEntry(entry, path, root, keepOwner, directories);
+        if (error) {
+          const action = {
+            file: 'Cannot open',
+            directory: 'Cannot mkdir',
+            symlink: `Cannot create symlink to '${entry.linkTarget}'`,
+            hardlink: `Cannot hard link to '${entry.linkTarget}'`,
+          }[entry.type];
+          messages.push(`tar: ${path}: ${action}: ${error}`);
+          failed = true;
+        }
+      }
+      for (const [dir, mtime] of directories) {
+        dir.mtime = mtime;
+        this.markChanged(dir);
+      }
+    }
+
+    if (failed) {
+      messages.push('tar: Exiting with failure status due to previous errors');
+    }
+    return {
+      stdout: toLines(lines.join('\n')),
+      stderr: toLines(messages.join('\n')),
+      exitCode: failed ? 2 : 0,
+    };
+  }
+
+  /**
+   * Writes the files and directories named by operands, relative to root,
+   * to a tar archive, gzipped with compress. A file seen again is stored as
+   * a hard link to where it was first, and the archive itself is skipped.
+   * An archive of - goes to stdout, and the names -v gives to stderr.
+   */
+  private createTar(
+    archive: string,
+    root: string,
+    operands: string[],
+    compress: boolean,
+    verbose: boolean
+  ): CommandResult {
+    if (operands.length === 0) {
+      return failure(
+        "tar: Cowardly refusing to create an empty archive\nTry 'tar --help' or 'tar --usage' for more information.",
+        2
+      );
+    }
+    const archiveNode = archive === '-' ? null : this.getNode(this.resolvePath(archive));
+    const entries: ArchiveEntry[] = [];
+    const links = new Map<Inode, string>();
+    const lines: string[] = [];
+    const messages: string[] = [];
+    let failed = false;
+
+    const add = (name: string, node: Inode): void => {
+      if (node === archiveNode) {
+        messages.push(`tar: ${name}: file is the archive; not dumped`);
+        return;
+      }
+      const entry = this.archiveEntry(name, node);
+      if (node.type === 'file') {
+        const first = links.get(node);
+        if (first !== undefined) {
+          entry.type = 'hardlink';
+          entry.linkTarget = first;
+          entry.data = new Uint8Array();
+        } else if (!this.canAccess(node, READ)) {
+          messages.push(`tar: ${name}: Cannot open: Permission denied`);
+          failed = true;
+          return;
+        } else {
+          links.set(node, name);
+        }
+      }
+      if (name) {
+        entries.push(entry);
+        lines.push(node.type === 'directory' ? `${name}/` : name);
+      }
+      if (node.type === 'directory') {
+        if (!this.canAccess(node, READ | EXECUTE)) {
+          messages.push(`tar: ${name}: Cannot open: Permission denied`);
+          failed = true;
+          return;
+        }
+        for (const child of Object.keys(node.children)) {
+          add(name ? `${name}/${child}` : child, node.children[child]);
+        }
+      }
+    };
+
+    let strippedSlash = false;
+    for (const operand of operands) {
+      const node = this.findNode(
+        operand.startsWith('/') ? operand : joinPath(root, operand),
+        false
+      );
+      if (typeof node === 'string') {
+        messages.push(`tar: ${operand}: Cannot stat: ${node}`);
+        failed = true;
+        continue;
+      }
+      let name = operand.replace(/\/+$/, '') || operand;
+      if (name.startsWith('/')) {
+        name = name.replace(/^\/+/, '');
+        if (!strippedSlash) {
+          messages.push("tar: Removing leading `/' from member names");
+          strippedSlash = true;
+        }
+      }
+      add(name, node);
+    }
+
+    let data = writeTar(entries);
+    if (compress) {
+      data = gzip(data, '', Date.now());
+    }
+    if (failed) {
+      messages.push('tar: Exiting with failure status due to previous errors');
+    }
+    if (archive === '-') {
+      return {
+        stdout: decodeStream(data),
+        stderr: toLines([...(verbose ? lines : []), ...messages].join('\n')),
+        exitCode: failed ? 2 : 0,
+      };
+    }
+
+    const error = this.writeFile(archive, data, 'overwrite');
+    if (error) {
+      return failure(
+        `tar: ${archive}: Cannot open: ${error}\ntar: Error is not recoverable: exiting now`,
+        2
+      );
+    }
+    return {
+      stdout: toLines(verbose ? lines.join('\n') : ''),
+      stderr: toLines(messages.join('\n')),
+      exitCode: failed ? 2 : 0,
+    };
+  }
+
+  /**
+   * A node as an archive entry named path
+   */
+  private archiveEntry(path: string, node: Inode): ArchiveEntry {
+    return {
+      path,
+      type: node.type,
+      mode: node.mode & 0o7777,
+      uid: node.uid,
+      gid: node.gid,
+      user: this.userName(node.uid),
+      group: this.groupName(node.gid),
+      mtime: node.mtime,
+      data: node.type === 'file' ? fileBytes(node) : new Uint8Array(),
+      linkTarget: node.type === 'symlink' ? node.target : '',
+    };
+  }
+
+  /**
+   * The bytes of an archive file, or the error a command gives for it
+   */
+  private readArchive(command: string, path: string): Uint8Array | string {
+    const node = this.findNode(path);
+    if (typeof node === 'string' || node.type !== 'file' || !this.canAccess(node, READ)) {
+      const error =
+        typeof node === 'string'
+          ? node
+          : node.type === 'directory'
+            ? 'Is a directory'
+            : 'Permission denied';
+      return `${command}: ${path}: Cannot open: ${error}`;
+    }
+    node.atime = Date.now();
+    return fileBytes(node);
+  }
+
+  /**
+   * Writes out an archive entry at path under root, making any missing
+   * directories on the way. Root keeps the archive's owners and modes;
+   * anyone else gets their own files, with the umask applied. A directory's
+   * time goes in directories, to be set once what's in it is written.
+   * Returns an error, or null.
+   */
+  private extractEntry(
+    entry: ArchiveEntry,
+    path: string,
+    root: string,
+    keepOwner: boolean,
+    directories: [DirectoryNode, number][]
+  ): string | null {
+    const full = this.resolvePath(joinPath(root, path));
+    const parent = this.makeDirectories(full.slice(0, full.lastIndexOf('/')) || '/');
+    if (typeof parent === 'string') {
+      return parent;
+    }
+    const name = baseName(full);
+    const existing = getChild(parent, name);
+    const owner = keepOwner
+      ? {
+          uid: this.lookupUser(entry.user) ?? entry.uid,
+          gid: this.lookupGroup(entry.group) ?? entry.gid,
+        }
+      : {};
+    const mode = keepOwner ? entry.mode : entry.mode & ~this.umask;
+
+    if (entry.type === 'directory' && existing && existing.type === 'directory') {
+      if (keepOwner || existing.uid === this.currentUid()) {
+        existing.mode = mode;
+        this.markChanged(existing);
+      }
+      directories.push([existing, entry.mtime]);
+      return null;
+    }
+    if (existing && existing.type === 'directory') {
+      return 'Is a directory';
+    }
+
+    let node: Inode;
+    if (entry.type === 'hardlink') {
+      const linked = this.getNode(this.resolvePath(joinPath(root, entry.linkTarget)), false);
+      if (!linked || linked.type !== 'file') {
+        return 'No such file or directory';
+      }
+      if (linked === existing) {
+        return null;
+      }
+      node = linked;
+    } else if (entry.type === 'symlink') {
+      node = { ...this.createSymlink(entry.linkTarget), ...owner, mtime: entry.mtime };
+    } else if (entry.type === 'directory') {
+      node = { ...this.createDirectory(), ...owner, mode };
+      directories.push([node, entry.mtime]);
+    } else {
+      const file: FileNode = { ...this.createFile(''), ...owner, mode, mtime: entry.mtime };
+      setContent(file, entry.data);
+      node = file;
+    }
+
+    // Whatever is in the way is replaced, as GNU tar unlinks it first
+    const error = existing ? this.checkUnlink(parent, existing) : null;
+    if (error || !this.canAccess(parent, WRITE | EXECUTE)) {
+      return error || 'Permission denied';
+    }
+    parent.children[name] = node;
+    this.markModified(parent);
+    return null;
+  }
+
+  /**
+   * Finds the directory at path, making it and any missing directories on
+   * the way as mkdir -p does. Returns it, or an error.
+   */
+  private makeDirectories(path: string): DirectoryNode | string {
+    const found = this.findNode(path);
+    if (typeof found !== 'string') {
+      return found.type === 'directory' ? found : 'Not a directory';
+    }
+    if (found !== 'No such file or directory') {
+      return found;
+    }
+    const full = this.resolvePath(path);
+    const parent = this.makeDirectories(full.slice(0, full.lastIndexOf('/')) || '/');
+    if (typeof parent === 'string') {
+      return parent;
+    }
+    if (!this.canAccess(parent, WRITE | EXECUTE)) {
+      return 'Permission denied';
+    }
+    const dir = this.createDirectory();
+    parent.children[baseName(full)] = dir;
+    this.markModified(parent);
+    return dir;
+  }
+
+  /**
+   * Compresses each file into FILE.gz, which keeps its mode and time, and
+   * removes the file, or with -d turns FILE.gz back into FILE. -k keeps the
+   * original, -c writes the result to stdout instead, as with no file or
+   * - for stdin, -f replaces a file in the way and -r goes into
+   * directories. gunzip is gzip -d and zcat is gzip -dc.
+   */
+  cmd_gzip(args: string[], context: CommandContext): CommandResult {
+    const expanded = expandLongOptions(args, GZIP_LONG_OPTIONS);
+    if (typeof expanded === 'string') {
+      return failure(`gzip: ${expanded}\nTry 'gzip --help' for more information.`);
+    }
+    const parsed = parseFlags('gzip', expanded.args, 'cdfkrv');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    const decompress = flags.has('d');
+    const toStdout = flags.has('c');
+    const files = operands.length > 0 ? operands : ['-'];
+
+    // Compressed data is bytes, which don't belong on a terminal
+    const fromStdin = files.includes('-');
+    if (!flags.has('f') && !decompress && (toStdout || fromStdin) && context.isTTY) {
+      return failure(
+        'gzip: compressed data not written to a terminal. Use -f to force compression.\nFor help, type: gzip -h'
+      );
+    }
+    if (!flags.has('f') && decompress && fromStdin && context.stdin === null) {
+      return failure(
+        'gzip: compressed data not read from a terminal. Use -f to force decompression.\nFor help, type: gzip -h'
+      );
+    }
+
+    let stdout = '';
+    const messages: string[] = [];
+    let exitCode = 0;
+    const error = (message: string): void => {
+      messages.push(`gzip: ${message}`);
+      exitCode = 1;
+    };
+    const warn = (message: string): void => {
+      messages.push(`gzip: ${message}`);
+      exitCode = exitCode || 2;
+    };
+
+    const processFile = (name: string): void => {
+      if (name === '-') {
+        const input = encodeStream(context.stdin ?? '');
+        try {
+          stdout += decodeStream(decompress ? gunzip(input).data : gzip(input, '', 0));
+        } catch (caught) {
+          if (!(caught instanceof ArchiveError)) {
+            throw caught;
+          }
+          error(`stdin: ${caught.message}`);
+        }
+        return;
+      }
+      const node = this.findNode(name, false);
+      if (typeof node === 'string') {
+        error(`${name}: ${node}`);
+        return;
+      }
+      if (node.type === 'directory') {
+        if (!flags.has('r')) {
+          warn(`${name} is a directory -- ignored`);
+          return;
+        }
+        for (const child of Object.keys(node.children)) {
+          processFile(joinPath(name, child));
+        }
+        return;
+      }
+      if (node.type === 'symlink') {
+        warn(`${name} is not a directory or a regular file - ignored`);
+        return;
+      }
+
+      let target = `${name}.gz`;
+      if (decompress) {
+        target = name.replace(/\.tgz$/i, '.tar').replace(/\.(gz|z)$/i, '');
+        if (target === name && !toStdout) {
+          warn(`${name}: unknown suffix -- ignored`);
+          return;
+        }
+      } else if (/\.(gz|tgz)$/i.test(name)) {
+        warn(`${name} already has .gz suffix -- unchanged`);
+        return;
+      }
+      if (!this.canAccess(node, READ)) {
+        error(`${name}: Permission denied`);
+        return;
+      }
+
+      const original = fileBytes(node);
+      let data: Uint8Array;
+      try {
+        data = decompress ? gunzip(original).data : gzip(original, baseName(name), node.mtime);
+      } catch (caught) {
+        if (!(caught instanceof ArchiveError)) {
+          throw caught;
+        }
+        error(`${name}: ${caught.message}`);
+        return;
+      }
+      node.atime = Date.now();
+      if (toStdout) {
+        stdout += decodeStream(data);
+        return;
+      }
+
+      if (this.getNode(this.resolvePath(target), false) && !flags.has('f')) {
+        warn(`${target} already exists;\tnot overwritten`);
+        return;
+      }
+      const failed = this.writeFile(target, data, 'overwrite');
+      if (failed) {
+        error(`${target}: ${failed}`);
+        return;
+      }
+      const written = this.getNode(this.resolvePath(target))!;
+      written.mode = node.mode;
+      written.mtime = node.mtime;
+      this.markChanged(written);
+
+      const found = this.findParent(name);
+      const unlinkError = typeof found === 'string' ? found : this.checkUnlink(found.parent, node);
+      if (!flags.has('k') && typeof found !== 'string' && !unlinkError) {
+        delete found.parent.children[found.name];
+        this.markModified(found.parent);
+      } else if (!flags.has('k')) {
+        error(`${name}: ${unlinkError}`);
+      }
+      if (flags.has('v')) {
+        const [small, large] = decompress ? [original, data] : [data, original];
+        const ratio = large.length > 0 ? (1 - small.length / large.length) * 100 : 0;
+        const action = flags.has('k') ? 'created' : 'replaced with';
+        messages.push(`${name}:\t${ratio.toFixed(1).padStart(5)}% -- ${action} ${target}`);
+      }
+    };
+    for (const file of files) {
+      processFile(file);
+    }
+
+    return { stdout, stderr: toLines(messages.join('\n')), exitCode };
+  }
+
+  /**
+   * Packs files into a zip archive, deflating those it shrinks, and adds
+   * .zip to the archive's name when it has no extension. An archive that
+   * exists is updated. -r goes into directories, -y stores symlinks as
+   * links rather than what they point to and -q prints nothing.
+   */
+  cmd_zip(args: string[]): CommandResult {
+    const parsed = parseFlags('zip', args, 'qry');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, operands } = parsed;
+    if (operands.length === 0) {
+      return failure('zip error: Nothing to do!', 12);
+    }
+    let archive = operands[0];
+    if (!baseName(archive).includes('.')) {
+      archive += '.zip';
+    }
+
+    const existing = this.findNode(archive);
+    let entries: ArchiveEntry[] = [];
+    if (typeof existing !== 'string' && existing.type === 'file') {
+      const data = this.readArchive('zip', archive);
+      if (typeof data === 'string') {
+        return failure(`zip error: Could not open for reading: ${archive}`, 15);
+      }
+      try {
+        entries = readZip(data);
+      } catch (error) {
+        if (!(error instanceof ArchiveError)) {
+          throw error;
+        }
+        return failure(`zip error: Zip file structure invalid (${archive})`, 3);
+      }
+    }
+
+    const messages: string[] = [];
+    const added: [string, boolean][] = [];
+    const add = (name: string, path: string): void => {
+      const node = this.findNode(path, !flags.has('y'));
+      if (typeof node === 'string') {
+        messages.push(`\tzip warning: name not matched: ${name}`);
+        return;
+      }
+      if (node === existing) {
+        return;
+      }
+      if (node.type === 'file' && !this.canAccess(node, READ)) {
+        messages.push(`\tzip warning: could not open for reading: ${name}`);
+        return;
+      }
+      // zip -r . adds what's in the directory, not the directory itself
+      if (name) {
+        const index = entries.findIndex((entry) => entry.path === name);
+        const entry = this.archiveEntry(name, node);
+        entries.splice(index === -1 ? entries.length : index, index === -1 ? 0 : 1, entry);
+        added.push([name, index !== -1]);
+      }
+      if (node.type === 'directory' && flags.has('r') && this.canAccess(node, READ | EXECUTE)) {
+        for (const child of Object.keys(node.children)) {
+          add(name ? `${name}/${child}` : child, joinPath(path, child));
+        }
+      }
+    };
+    for (const operand of operands.slice(1)) {
+      add(
+        operand
+          .replace(/^\/+/, '')
+          .replace(/^(\.\/)+/, '')
+          .replace(/\/+$/, '')
+          .replace(/^\.$/, ''),
+        operand
+      );
+    }
+
+    if (added.length === 0 && typeof existing === 'string') {
+      messages.push(`\nzip error: Nothing to do! (${archive})`);
+      return { stderr: toLines(messages.join('\n')), exitCode: 12 };
+    }
+    const zip = writeZip(entries);
+    const error = this.writeFile(archive, zip.data, 'overwrite');
+    if (error) {
+      messages.push(
+        `zip I/O error: ${error}\n\nzip error: Could not create output file (${archive})`
+      );
+      return { stderr: toLines(messages.join('\n')), exitCode: 15 };
+    }
+
+    const lines: string[] = [];
+    for (const [name, updated] of added) {
+      const entry = zip.entries.find((written) => written.path === name)!;
+      const percent =
+        entry.data.length > 0
+          ? Math.round((1 - entry.compressedSize / entry.data.length) * 100)
+          : 0;
+      const shown = entry.type === 'directory' ? `${name}/` : name;
+      lines.push(`  ${updated ? 'updating' : 'adding'}: ${shown} (${entry.method} ${percent}%)`);
+    }
+    return {
+      stdout: flags.has('q') ? '' : toLines(lines.join('\n')),
+      stderr: toLines(messages.join('\n')),
+    };
+  }
+
+  /**
+   * Extracts a zip archive, or the members named after it, into the current
+   * directory or the one -d names. It asks before replacing a file; -o
+   * replaces without asking and -n never does. -l lists what's in the
+   * archive instead and -q extracts quietly.
+   */
+  *cmd_unzip(args: string[], context: CommandContext): Run<CommandOutput> {
+    const parsed = parseFlags('unzip', args, 'd:lnoq');
+    if (!('flags' in parsed)) {
+      return parsed;
+    }
+    const { flags, values, operands } = parsed;
+    if (operands.length === 0) {
+      return { stdout: `${UNZIP_USAGE}\n` };
+    }
+    let archive = operands[0];
+    let node = this.findNode(archive);
+    if (typeof node === 'string' && !/\.zip$/i.test(archive)) {
+      const withSuffix = this.findNode(`${archive}.zip`);
+      if (typeof withSuffix !== 'string') {
+        archive += '.zip';
+        node = withSuffix;
+      }
+    }
+    const data = typeof node === 'string' ? node : this.readArchive('unzip', archive);
+    if (typeof data === 'string') {
+      const name = operands[0];
+      return failure(`unzip:  cannot find or open ${name}, ${name}.zip or ${name}.ZIP.`, 9);
+    }
+
+    const header = `Archive:  ${archive}`;
+    let entries: ArchiveEntry[];
+    try {
+      entries = readZip(data);
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) {
+        throw error;
+      }
+      if (error.message.startsWith('End-of-central-directory')) {
+        return failure(
+          `${header}\n  End-of-central-directory signature not found.  Either this file is not\n` +
+            '  a zipfile, or it constitutes one disk of a multi-part archive.  In the\n' +
+            '  latter case the central directory and zipfile comment will be found on\n' +
+            `  the last disk(s) of this archive.\nunzip:  cannot find zipfile directory in one of ${archive} or\n` +
+            `        ${archive}.zip, and cannot find ${archive}.ZIP, period.`,
+          9
+        );
+      }
+      return failure(`${header}\n  error:  ${error.message}`, 2);
+    }
+
+    // Names after the archive pick members, with everything in a directory
+    const names = operands.slice(1).map((name) => name.replace(/\/+$/, ''));
+    const missing = names.filter(
+      (name) => !entries.some((entry) => entry.path === name || entry.path.startsWith(`${name}/`))
+    );
+    if (names.length > 0) {
+      entries = entries.filter((entry) =>
+        names.some((name) => entry.path === name || entry.path.startsWith(`${name}/`))
+      );
+    }
+    const errors = missing.map((name) => `caution: filename not matched:  ${name}`);
+    const quiet = flags.has('q');
+
+    if (flags.has('l')) {
+      const total = entries.reduce((sum, entry) => sum + entry.data.length, 0);
+      const lines = [
+        header,
+        '  Length      Date    Time    Name',
+        '---------  ---------- -----   ----',
+      ];
+      for (const entry of entries) {
+        const name = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+        const size = String(entry.data.length).padStart(9);
+        lines.push(`${size}  ${formatShortTime(entry.mtime)}   ${name}`);
+      }
+      const count = `${entries.length} file${entries.length === 1 ? '' : 's'}`;
+      lines.push(
+        '---------                     -------',
+        `${String(total).padStart(9)}                     ${count}`
+      );
+      return {
+        stdout: toLines(lines.join('\n')),
+        stderr: toLines(errors.join('\n')),
+        exitCode: errors.length > 0 ? 11 : 0,
+      };
+    }
+
+    const root = values.d ?? '.';
+    if (values.d !== undefined) {
+      const dir = this.makeDirectories(values.d);
+      if (typeof dir === 'string') {
+        return failure(
+          `checkdir:  cannot create extraction directory: ${values.d}\n           ${dir}`,
+          3
+        );
+      }
+    }
+    const print = (line: string): void => {
+      if (!quiet) {
+        this.commandIO!.stdout(`${line}\n`);
+      }
+    };
+    print(header);
+
+    const input = lineReader(context.stdin);
+    let replace = flags.has('o') ? 'all' : flags.has('n') ? 'none' : 'ask';
+    const directories: [DirectoryNode, number][] = [];
+    for (const entry of entries) {
+      // Members can't reach outside the directory they're extracted to
+      const parts = entry.path.split('/');
+      let path = parts.filter((part) => part && part !== '.' && part !== '..').join('/');
+      if (parts.includes('..')) {
+        print(`warning:  skipped "../" path component(s) in ${entry.path}`);
+      }
+      if (!path) {
+        continue;
+      }
+
+      const existing = this.getNode(this.resolvePath(joinPath(root, path)), false);
+      if (existing && existing.type !== 'directory' && entry.type !== 'directory') {
+        if (replace === 'ask') {
+          const prompt = `replace ${path}? [y]es, [n]o, [A]ll, [N]one, [r]ename: `;
+          const answer = yield* readLine(input, prompt, false);
+          if (answer === null) {
+            errors.push('(EOF or read error, treating as "[N]one" ...)');
+            replace = 'none';
+          } else if (answer.startsWith('A')) {
+            replace = 'all';
+          } else if (answer.startsWith('N')) {
+            replace = 'none';
+          } else if (answer.startsWith('r')) {
+            const renamed = yield* readLine(input, 'new name: ', false);
+            if (!renamed) {
+              continue;
+            }
+            path = renamed;
+          } else if (!answer.startsWith('y')) {
+            continue;
+          }
+        }
+        if (replace === 'none') {
+          continue;
+        }
+      }
+
+      const verb =
+        entry.type === 'directory'
+          ? '   creating'
+          : entry.type === 'symlink'
+            ? '    linking'
+            : (entry as ZipEntry).method === 'deflated'
+              ? '  inflating'
+              : ' extracting';
+      const shown = entry.type === 'directory' ? `${path}/` : path;
+      print(`${verb}: ${shown}${entry.type === 'symlink' ? ` -> ${entry.linkTarget}` : ''}`);
+      const error = this.extractEntry(entry, path, root, false, directories);
+      if (error) {
+        errors.push(`error:  cannot create ${shown}\n        ${error}`);
+      }
+    }
+    for (const [dir, mtime] of directories) {
+      dir.mtime = mtime;
+      this.markChanged(dir);
+    }
+
+    return { stderr: toLines(errors.join('\n')), exitCode: errors.length > 0 ? 1 : 0 };
+  }
+
+  /**
+   * Reports processes from the process table. Without options it shows the
+   * user's processes on this terminal; -e, -A, a or x show everyone's, -f
+   * the full format and u (as in ps aux) the user-oriented one.
+   */
+  cmd_ps(args: string[]): CommandOutput {
+    let all = false;
+    let full = false;
+    let userFormat = false;
+    for (const arg of args) {
+      const bsd = !arg.startsWith('-');
+      for (const flag of bsd ? arg : arg.slice(1)) {
+        if (flag === 'e' || flag === 'A' || (bsd && (flag === 'a' || flag === 'x'))) {
+          all = true;
+        } else if (flag === 'f' && !bsd) {
+          full = true;
+        } else if (flag === 'u' && bsd) {
+          userFormat = true;
+        } else {
+          const kind = bsd ? 'option (BSD syntax)' : 'SysV option';
+          return failure(`error: unsupported ${kind}\n\nUsage:\n ps [options]`);
+        }
+      }
+    }
+
+    const processes = [...this.processes.values()]
+      .filter((process) => all || (process.user === this.currentUser && process.tty !== '?'))
+      .sort((a, b) => a.pid - b.pid);
+
+    if (userFormat) {
+      let output = 'USER         PID %CPU %MEM    VSZ   RSS TTY      STAT START   TIME COMMAND\n';
+      for (const process of processes) {
+        output +=
+          `${process.user.padEnd(8)}${String(process.pid).padStart(8)}  0.0  0.0      0     0 ` +
+          `${process.tty.padEnd(8)} ${this.processState(process).padEnd(4)} ` +
+          `${formatStartTime(process.started)}   0:00 ${process.argv.join(' ')}\n`;
+      }
+      return output;
+    }
+
+    if (full) {
+      let output = 'UID          PID    PPID  C STIME TTY          TIME CMD\n';
+      for (const process of processes) {
+        output +=
+          `${process.user.padEnd(8)}${String(process.pid).padStart(8)}` +
+          `${String(process.ppid).padStart(8)}  0 ${formatStartTime(process.started)} ` +
+          `${process.tty.padEnd(8)} 00:00:00 ${process.argv.join(' ')}\n`;
+      }
+      return output;
+    }
+
+    let output = '  PID TTY          TIME CMD\n';
+    for (const process of processes) {
+      output += `${String(process.pid).padStart(5)} ${process.tty.padEnd(8)} 00:00:00 ${process.argv[0]}\n`;
+    }
+    return output;
+  }
+
+  /**
+   * Lists background jobs: -l adds PIDs, -p shows only PIDs, and -r and -s
+   * only running or stopped jobs
+   */
+  cmd_jobs(args: string[]): CommandOutput {
+    const options = { l: false, p: false, r: false, s: false };
+    const specs: string[] = [];
+    for (const arg of args) {
+      if (arg.startsWith('-') && arg.length > 1) {
+        for (const flag of arg.slice(1)) {
+          if (!(flag in options)) {
+            return failure(
+              `jobs: -${flag}: invalid option\njobs: usage: jobs [-lprs] [jobspec ...]`,
+              2
+            );
+          }
+          options[flag as keyof typeof options] = true;
+        }
+      } else {
+        specs.push(arg);
+      }
+    }
+
+    let jobs = this.shellJobs();
+    let stderr = '';
+    if (specs.length > 0) {
+      jobs = [];
+      for (const spec of specs) {
+        const job = this.findJob(spec, 'jobs');
+        if (typeof job === 'string') {
+          stderr += `${job}\n`;
+        } else {
+          jobs.push(job);
+        }
+      }
+    }
+
+    let stdout = '';
+    for (const job of jobs) {
+      const running = job.status === null && !job.stopped;
+      if ((options.r && !running) || (options.s && !job.stopped)) {
+        continue;
+      }
+      stdout += options.p ? `${job.pid}\n` : `${this.formatJob(job, options.l)}\n`;
+      job.notified = true;
+    }
+    this.forgetFinishedJobs();
+    return { stdout, stderr, exitCode: stderr ? 1 : 0 };
+  }
+
+  /**
+   * Brings a job to the foreground, giving it the terminal and waiting for it
+   */
+  *cmd_fg(args: string[], context: CommandContext): Run<CommandOutput> {
+    const job = this.findJob(args[0], 'fg');
+    if (typeof job === 'string') {
+      return failure(job);
+    }
+
+    const io = this.commandIO!;
+    io.stdout(`${job.command}\n`);
+    job.touched = ++this.jobClock;
+    this.continueJob(job);
+    try {
+      for (;;) {
+        if (job.status !== null) {
+          job.notified = true;
+          this.forgetFinishedJobs();
+          return { exitCode: job.status };
+        }
+        if (job.request) {
+          // It can read the terminal now
+          const request = job.request;
+          job.request = null;
+          job.stopped = false;
+          const answer: string | null = yield request;
+          this.driveJob(job, answer);
+        } else if (job.stopped) {
+          io.stderr(`\n${this.formatJob(job)}\n`);
+          job.notified = true;
+          return { exitCode: 128 + SIGTSTP };
+        } else {
+          yield* waitFor(this.jobChange(job));
+        }
+      }
+    } finally {
+      // Ctrl-C goes to the job in the foreground
+      if (context.signal.aborted && job.status === null) {
+        this.signalJob(job, SIGINT);
+        job.notified = true;
+        this.forgetFinishedJobs();
+      }
+    }
+  }
+
+  /**
+   * Continues stopped jobs in the background
+   */
+  cmd_bg(args: string[]): CommandOutput {
+    let stdout = '';
+    let stderr = '';
+    for (const spec of args.length > 0 ? args : [undefined]) {
+      const job = this.findJob(spec, 'bg');
+      if (typeof job === 'string') {
+        stderr += `${job}\n`;
+      } else if (!job.stopped) {
+        stderr += `bg: job ${job.id} already in background\n`;
+      } else {
+        job.touched = ++this.jobClock;
+        this.continueJob(job);
+        job.notified = true;
+        const mark = this.jobsByRecency()[0] === job ? '+' : ' ';
+        stdout += `[${job.id}]${mark} ${job.command} &\n`;
+      }
+    }
+    return { stdout, stderr, exitCode: stderr && !stdout ? 1 : 0 };
+  }
+
+  /**
+   * Sends a signal, TERM by default, to processes or jobs. Jobs stop for
+   * STOP and TSTP, continue for CONT and end for the rest; other processes
+   * ignore signals. -l lists signals.
+   */
+  cmd_kill(args: string[]): CommandOutput {
+    const usage =
+      'kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]';
+    if (args[0] === '-l' || args[0] === '-L') {
+      if (args.length === 1) {
+        return formatSignalList();
+      }
+      // Names for numbers, as in kill -l $?, and numbers for names
+      let stdout = '';
+      let stderr = '';
+      for (const spec of args.slice(1)) {
+        const number = parseInt(spec, 10);
+        const name = /^\d+$/.test(spec) ? signalName(number > 128 ? number - 128 : number) : null;
+        const signal = /^\d+$/.test(spec) ? null : parseSignal(spec);
+        if (name !== null) {
+          stdout += `${name}\n`;
+        } else if (signal !== null) {
+          stdout += `${signal}\n`;
+        } else {
+          stderr += `kill: ${spec}: invalid signal specification\n`;
+        }
+      }
+      return { stdout, stderr, exitCode: stderr ? 1 : 0 };
+    }
+
+    let spec: string | undefined;
+    let i = 0;
+    if (args[0] === '-s' || args[0] === '-n') {
+      if (args.length < 2) {
+        return failure(`kill: ${args[0]}: option requires an argument\n${usage}`, 2);
+      }
+      spec = args[1];
+      i = 2;
+    } else if (args[0] && args[0].length > 1 && args[0].startsWith('-') && args[0] !== '--') {
+      spec = args[0].slice(1);
+      i = 1;
+    }
+    if (args[i] === '--') {
+      i++;
+    }
+    const signal = spec === undefined ? SIGTERM : parseSignal(spec);
+    if (signal === null) {
+      return failure(`kill: ${spec}: invalid signal specification`);
+    }
+    const targets = args.slice(i);
+    if (targets.length === 0) {
+      return failure(usage, 2);
+    }
+
+    const errors: string[] = [];
+    for (const target of targets) {
+      if (target.startsWith('%')) {
+        const job = this.findJob(target, 'kill');
+        if (typeof job === 'string') {
+          errors.push(job);
+        } else {
+          this.signalJob(job, signal);
+        }
+      } else if (/^\d+$/.test(target)) {
+        const process = this.processes.get(parseInt(target, 10));
+        if (!process) {
+          errors.push(`kill: (${target}) - No such process`);
+        } else if (this.currentUser !== 'root' && process.user !== this.currentUser) {
+          errors.push(`kill: (${target}) - Operation not permitted`);
+        } else {
+          const job = this.jobOfProcess(process.pid);
+          if (job) {
+            this.signalJob(job, signal);
+          }
+        }
+      } else {
+        errors.push(`kill: ${target}: arguments must be process or job IDs`);
+      }
+    }
+    return errors.length > 0 ? failure(errors.join('\n')) : '';
+  }
+
+  /**
+   * Waits for jobs to finish or stop: all of them, or those given by PID or
+   * job spec, giving the exit status of the last
+   */
+  *cmd_wait(args: string[]): Run<CommandOutput> {
+    const jobs: Job[] = [];
+    let stderr = '';
+    let exitCode = 0;
+    for (const arg of args) {
+      const pid = parseInt(arg, 10);
+      const job = arg.startsWith('%')
+        ? this.findJob(arg, 'wait')
+        : /^\d+$/.test(arg)
+          ? this.shellJobs().find((other) => other.pid === pid) ||
+            `wait: pid ${arg} is not a child of this shell`
+          : null;
+      if (job === null) {
+        stderr += `wait: \`${arg}': not a pid or valid job spec\n`;
+        exitCode = 2;
+      } else if (typeof job === 'string') {
+        stderr += `${job}\n`;
+        exitCode = 127;
+      } else {
+        jobs.push(job);
+      }
+    }
+
+    for (const job of args.length > 0 ? jobs : this.shellJobs()) {
+      while (job.status === null && !job.stopped) {
+        yield* waitFor(this.jobChange(job));
+      }
+      exitCode = job.status === null ? 128 + SIGTSTP : job.status;
+    }
+    return { stdout: '', stderr, exitCode: args.length > 0 ? exitCode : 0 };
+  }
+
+  cmd_vi(args: string[]): string {
+    return this.openEditor(args[0] || 'untitled');
+  }
+
+  cmd_vim(args: string[]): string {
+    return this.openEditor(args[0] || 'untitled');
+  }
+
+  *cmd_su(args: string[], context: CommandContext): Run<CommandOutput> {
+    return yield* this.su(args, context, this.currentUid() === 0);
+  }
+
+  /**
+   * Switches to another user, or runs a command as them with -c. Unless the
+   * caller is trusted, as root and sudo are, it asks for the user's password,
+   * which comes from the first line of stdin when that's piped.
+   */
+  private *su(args: string[], context: CommandContext, trusted: boolean): Run<CommandOutput> {
+    // su - (or -l, --login) starts a login shell in the user's home directory.
+    // Options can come after the user name too, until --
+    let login = false;
+    let command: string | null = null;
+    const operands: string[] = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        operands.push(...args.slice(i + 1));
+        break;
+      } else if (['-', '-l', '--login'].includes(arg)) {
+        login = true;
+      } else if (arg === '-c' || arg === '--command') {
+        if (i + 1 >= args.length) {
+          return failure(
+            "su: option requires an argument -- 'c'\nTry 'su --help' for more information."
+          );
+        }
+        command = args[++i];
+      } else if (arg.startsWith('--command=')) {
+        command = arg.slice('--command='.length);
+      } else if (arg.startsWith('-')) {
+        return failure(`su: invalid option -- '${arg[1]}'\nTry 'su --help' for more information.`);
+      } else {
+        operands.push(arg);
+      }
+    }
+
+    // Operands after the user name are $0, $1, ... of the command
+    const [name, ...params] = operands;
+    const account = this.getAccount(name || 'root');
+    if (!account) {
+      return failure(
+        `su: user ${name} does not exist or the user entry does not contain all the required fields`
+      );
+    }
+    const input = lineReader(context.stdin);
+    if (!trusted && !this.checkPassword(account.name, '')) {
+      const password = yield* readLine(input, 'Password: ', true);
+      if (!this.checkPassword(account.name, password)) {
+        return failure('su: Authentication failure');
+      }
+    }
+    if (/\/(nologin|false)$/.test(account.shell)) {
+      return failure('This account is currently not available.');
+    }
+
+    if (command === null) {
+      return this.switchUser(account, login);
+    }
+
+    const env = this.userEnvironment(account, login);
+    const io = { ...this.commandIO!, stdin: input.rest() };
+    const path = login ? this.loginPath(account) : this.currentPath;
+    return {
+      exitCode: yield* this.runAs(account.name, env, path, () =>
+        this.runChildScript(command!, params[0] ?? 'bash', params.slice(1), env, io)
+      ),
+    };
+  }
+
+  /**
+   * Starts a shell as another user, which exit leaves. A login shell starts
+   * in their home directory with a fresh environment.
+   */
+  private switchUser(account: PasswdEntry, login: boolean): string {
+    // su starts a new shell, so exit has to bring this one back as it was
+    this.userStack.push({
+      user: this.currentUser,
+      path: this.currentPath,
+      environment: this.environment,
+      variables: this.variables,
+      functions: this.functions,
+      aliases: this.aliases,
+      history: this.commandHistory,
+      historyWritten: this.historyWritten,
+      pid: this.shellPid,
+    });
+
+    this.shellPid = this.startProcess([shellName(account)], account.name, this.shellPid);
+    this.currentUser = account.name;
+    this.variables = {};
+    this.exportMarks = new Set();
+    this.functions = {};
+    this.aliases = {};
+    if (login) {
+      this.currentPath = this.loginPath(account);
+    }
+    this.environment = this.userEnvironment(account, login);
+
+    const output = this.runStartupFiles(login).replace(/\n$/, '');
+    this.readHistory();
+    return `__USER_SWITCHED__:${account.name}${output ? `\n${output}` : ''}`;
+  }
+
+  /**
+   * The environment a user gets from su: a fresh one for a login, otherwise
+   * this one with the user's name, home and shell
+   */
+  private userEnvironment(account: PasswdEntry, login: boolean): Environment {
+    if (login) {
+      return {
+        USER: account.name,
+        HOME: account.home,
+        PWD: this.loginPath(account),
+        PATH: '/usr/local/bin:/usr/bin:/bin',
+        SHELL: account.shell,
+      };
+    }
+    return {
+      ...this.environment,
+      USER: account.name,
+      HOME: account.home,
+      PWD: this.currentPath,
+      SHELL: account.shell,
+    };
+  }
+
+  /**
+   * Where a login starts: the user's home directory, or the current
+   * directory when their home doesn't exist
+   */
+  private loginPath(account: PasswdEntry): string {
+    const home = this.getNode(account.home);
+    return home && home.type === 'directory' ? account.home : this.currentPath;
+  }
+
+  /**
+   * Runs something as another user in a given environment and directory,
+   * as sudo and su -c do, then puts this user back
+   */
+  private *runAs<T>(name: string, env: Environment, path: string, run: () => Run<T>): Run<T> {
+    const saved = {
+      currentUser: this.currentUser,
+      environment: this.environment,
+      currentPath: this.currentPath,
+    };
+    this.currentUser = name;
+    this.environment = env;
+    this.currentPath = path;
+    try {
+      return yield* run();
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  *cmd_sudo(args: string[], context: CommandContext): Run<CommandOutput> {
+    const usage =
+      'usage: sudo -h | -K | -k | -V\n' +
+      'usage: sudo [-u user] [-S] [-k] [-l] [-i | -s] [command [arg ...]]';
+    let runAsName = 'root';
+    let readStdin = false;
+    let list = false;
+    let reset = false;
+    let shell: 'login' | 'shell' | null = null;
+
+    let i = 0;
+    for (; i < args.length && args[i].startsWith('-') && args[i] !== '-'; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        i++;
+        break;
+      }
+      if (arg === '-u' || arg === '--user') {
+        if (i + 1 >= args.length) {
+          return failure(`sudo: option requires an argument -- 'u'\n${usage}`);
+        }
+        runAsName = args[++i];
+        continue;
+      }
+      for (const flag of arg.slice(1)) {
+        if (flag === 'S') readStdin = true;
+        else if (flag === 'l') list = true;
+        else if (flag === 'k' || flag === 'K') reset = true;
+        else if (flag === 'i') shell = 'login';
+        else if (flag === 's') shell = 'shell';
+        else return failure(`sudo: invalid option -- '${flag}'\n${usage}`);
+      }
+    }
+    const command = args.slice(i);
+
+    if (reset) {
+      delete this.sudoTimestamps[this.currentUser];
+    }
+    if (command.length === 0 && !list && !shell) {
+      return reset ? '' : failure(usage);
+    }
+
+    const target = this.getAccount(runAsName);
+    if (!target) {
+      return failure(`sudo: unknown user ${runAsName}`);
+    }
+    const account = this.getAccount(this.currentUser);
+    const groups = account ? this.groupIds(account).map((gid) => this.groupName(gid)) : [];
+    const rules = sudoRulesFor(
+      parseSudoers(this.readSystemFile('/etc/sudoers') || ''),
+      this.currentUser,
+      groups
+    );
+
+    const host = this.hostname();
+    if (list) {
+      if (rules.length === 0) {
+        return failure(`Sorry, user ${this.currentUser} may not run sudo on ${host}.`);
+      }
+      const lines = rules.map((rule) => `    ${formatSudoRule(rule)}`);
+      return `User ${this.currentUser} may run the following commands on ${host}:\n${lines.join('\n')}`;
+    }
+
+    // Root may run anything; everyone else needs a rule in /etc/sudoers
+    const [name, ...rest] = shell ? [target.shell] : command;
+    let noPassword = true;
+    if (this.currentUid() !== 0) {
+      if (rules.length === 0) {
+        return failure(
+          `${this.currentUser} is not in the sudoers file.  This incident will be reported.`
+        );
+      }
+      const spec = findSudoCommand(rules, target.name, name, rest);
+      if (!spec) {
+        return failure(
+          `Sorry, user ${this.currentUser} is not allowed to execute '${[name, ...rest].join(' ')}' as ${target.name} on ${host}.`
+        );
+      }
+      noPassword = spec.noPassword;
+    }
+
+    // The password comes from the terminal, or with -S from stdin
+    const input = lineReader(readStdin ? context.stdin || '' : null);
+    const denied = yield* this.sudoAuthenticate(noPassword, input);
+    if (denied) {
+      return denied;
+    }
+
+    // sudo -i and sudo su start a shell as the user, which exit leaves
+    if (shell) {
+      return this.switchUser(target, shell === 'login');
+    }
+    if (name === 'su') {
+      const stdin = readStdin ? input.rest() : context.stdin;
+      return yield* this.su(rest, { ...context, stdin }, target.uid === 0);
+    }
+
+    const env: Environment = {
+      ...this.environment,
+      USER: target.name,
+      LOGNAME: target.name,
+      HOME: target.home,
+      SHELL: target.shell,
+      SUDO_USER: this.currentUser,
+      SUDO_UID: String(this.currentUid()),
+      SUDO_GID: String(account ? account.gid : NOBODY_ID),
+      SUDO_COMMAND: command.join(' '),
+    };
+    const io: ShellIO = { ...this.commandIO!, stdin: readStdin ? input.rest() : context.stdin };
+    if (!name.includes('/') && !(name in this.commands)) {
+      return failure(`sudo: ${name}: command not found`);
+    }
+    const status = yield* this.runAs(target.name, env, this.currentPath, () =>
+      name.includes('/')
+        ? this.runExecutable(name, rest, env, io)
+        : this.runBuiltin(name, rest, env, io)
+    );
+    return { exitCode: status };
+  }
+
+  /**
+   * Asks for the user's password before sudo runs something, unless they
+   * don't need one or gave it in the last 15 minutes. They get three tries,
+   * at the terminal or on stdin for -S. Returns the error if they don't get in.
+   */
+  private *sudoAuthenticate(noPassword: boolean, input: LineReader): Run<CommandResult | null> {
+    const user = this.currentUser;
+    const last = this.sudoTimestamps[user];
+    if (
+      noPassword ||
+      this.passwordHash(user) === '' ||
+      (last !== undefined && Date.now() - last < SUDO_TIMEOUT)
+    ) {
+      return null;
+    }
+
+    // With -S the prompt goes to stderr, and whatever is read isn't echoed
+    // back with a newline the way the terminal does
+    const prompt = `[sudo] password for ${user}: `;
+    const readStdin = input.rest() !== null;
+    let attempts = 0;
+    while (attempts < 3) {
+      if (readStdin) {
+        this.commandIO!.stderr(prompt);
+      }
+      const password = yield* readLine(input, prompt, true);
+      if (password === null) {
+        break;
+      }
+      if (this.checkPassword(user, password)) {
+        this.sudoTimestamps[user] = Date.now();
+        return null;
+      }
+      attempts++;
+      if (attempts < 3) {
+        this.commandIO!.stderr('Sorry, try again.\n');
+      }
+    }
+
+    const newline = readStdin ? '\n' : '';
+    if (attempts === 0) {
+      return failure(`${newline}sudo: no password was provided`);
+    }
+    return failure(
+      `${newline}sudo: ${attempts} incorrect password attempt${attempts === 1 ? '' : 's'}`
+    );
+  }
+
+  cmd_id(args: string[]): CommandOutput {
+    let only: string | null = null;
+    let names = false;
+    const users: string[] = [];
+    for (const arg of args) {
+      if (!arg.startsWith('-') || arg === '-') {
+        users.push(arg);
+        continue;
+      }
+      for (const flag of arg.slice(1)) {
+        if (flag === 'u' || flag === 'g' || flag === 'G') {
+          if (only !== null && only !== flag) {
+            return failure('id: cannot print "only" of more than one choice');
+          }
+          only = flag;
+        } else if (flag === 'n') {
+          names = true;
+        } else if (flag !== 'r') {
+          return failure(`id: invalid option -- '${flag}'\nTry 'id --help' for more information.`);
+        }
+      }
+    }
+    if (users.length > 1) {
+      return failure(`id: extra operand '${users[1]}'\nTry 'id --help' for more information.`);
+    }
+    if (names && only === null) {
+      return failure('id: cannot print only names or real IDs in default format');
+    }
+
+    const name = users[0] ?? this.currentUser;
+    const account = this.getAccount(name);
+    if (!account) {
+      return failure(`id: '${name}': no such user`);
+    }
+
+    const gids = this.groupIds(account);
+    if (only === 'u') {
+      return names ? account.name : String(account.uid);
+    }
+    if (only === 'g') {
+      return names ? this.groupName(account.gid) : String(account.gid);
+    }
+    if (only === 'G') {
+      return gids.map((gid) => (names ? this.groupName(gid) : String(gid))).join(' ');
+    }
+    const groups = gids.map((gid) => `${gid}(${this.groupName(gid)})`).join(',');
+    return `uid=${account.uid}(${account.name}) gid=${account.gid}(${this.groupName(account.gid)}) groups=${groups}`;
+  }
+
+  cmd_groups(args: string[]): CommandOutput {
+    const groupsOf = (account: PasswdEntry): string =>
+      this.groupIds(account)
+        .map((gid) => this.groupName(gid))
+        .join(' ');
+
+    if (args.length === 0) {
+      const account = this.getAccount(this.currentUser);
+      return account ? groupsOf(account) : '';
+    }
+
+    const lines: string[] = [];
+    const errors: string[] = [];
+    for (const name of args) {
+      const account = this.getAccount(name);
+      if (account) {
+        lines.push(`${name} : ${groupsOf(account)}`);
+      } else {
+        errors.push(`groups: '${name}': no such user`);
+      }
+    }
+    return {
+      stdout: toLines(lines.join('\n')),
+      stderr: toLines(errors.join('\n')),
+      exitCode: errors.length > 0 ? 1 : 0,
+    };
+  }
+
+  cmd_useradd(args: string[]): CommandOutput {
+    const parsed = this.parseAccountOptions('useradd', args, 'mM', 'cdgGsu');
+    if (!('options' in parsed)) {
+      return parsed;
+    }
+    const { options, operands } = parsed;
+    if (operands.length !== 1) {
+      return failure('Usage: useradd [options] LOGIN', 2);
+    }
+    const denied = this.requireRoot('useradd');
+    if (denied) {
+      return denied;
+    }
+
+    const name = operands[0];
+    if (!isValidAccountName(name)) {
+      return failure(`useradd: invalid user name '${name}'`, 3);
+    }
+    if (this.getAccount(name)) {
+      return failure(`useradd: user '${name}' already exists`, 9);
+    }
+
+    let uid: number | undefined;
+    if (options.u !== undefined) {
+      if (!/^\d+$/.test(options.u)) {
+        return failure(`useradd: invalid user ID '${options.u}'`, 3);
+      }
+      uid = parseInt(options.u, 10);
+      if (this.getAccounts().some((account) => account.uid === uid)) {
+        return failure(`useradd: UID ${uid} is not unique`, 4);
+      }
+    }
+
+    const groups = this.getGroupEntries();
+    let gid: number | undefined;
+    if (options.g !== undefined) {
+      const group = groups.find(
+        (entry) => entry.name === options.g || String(entry.gid) === options.g
+      );
+      if (!group) {
+        return failure(`useradd: group '${options.g}' does not exist`, 6);
+      }
+      gid = group.gid;
+    } else if (groups.some((group) => group.name === name)) {
+      return failure(
+        `useradd: group ${name} exists - if you want to add this user to that group, use -g.`,
+        9
+      );
+    }
+
+    const supplementary = options.G ? options.G.split(',') : [];
+    const missing = supplementary.find((group) => !groups.some((entry) => entry.name === group));
+    if (missing !== undefined) {
+      return failure(`useradd: group '${missing}' does not exist`, 6);
+    }
+
+    // New accounts are locked until passwd gives them a password
+    const account = this.addAccount(
+      name,
+      { uid, gid, home: options.d, shell: options.s || '/bin/sh', gecos: options.c },
+      '!'
+    );
+    if (supplementary.length > 0) {
+      this.editGroups((entries) => {
+        for (const group of entries) {
+          if (supplementary.includes(group.name) && !group.members.includes(name)) {
+            group.members.push(name);
+          }
+        }
+      });
+    }
+
+    if (options.m && !options.M) {
+      return this.createHome(account);
+    }
+    return '';
+  }
+
+  /**
+   * Creates a new user's home directory for useradd -m, with a copy of /etc/skel
+   */
+  private createHome(account: PasswdEntry): CommandOutput {
+    if (this.getNode(account.home)) {
+      return {
+        stderr:
+          `useradd: warning: the home directory ${account.home} already exists.\n` +
+          'useradd: Not copying any file from skel directory into it.\n',
+        exitCode: 0,
+      };
+    }
+
+    const parent = this.getNode(account.home.slice(0, account.home.lastIndexOf('/')) || '/');
+    if (!parent || parent.type !== 'directory') {
+      return failure(`useradd: cannot create directory ${account.home}`, 12);
+    }
+
+    const skel = this.getNode('/etc/skel');
+    const copy = (node: Inode): Inode => {
+      const now = Date.now();
+      const metadata = { uid: account.uid, gid: account.gid, atime: now, mtime: now, ctime: now };
+      if (node.type !== 'directory') {
+        return { ...node, ...metadata };
+      }
+      const children: Record<string, Inode> = {};
+      for (const [name, child] of Object.entries(node.children)) {
+        children[name] = copy(child);
+      }
+      return { ...node, ...metadata, children };
+    };
+
+    const home = copy(skel && skel.type === 'directory' ? skel : this.createDirectory());
+    home.mode = 0o755;
+    parent.children[account.home.slice(account.home.lastIndexOf('/') + 1)] = home;
+    this.markModified(parent);
+    return '';
+  }
+
+  cmd_userdel(args: string[]): CommandOutput {
+    const parsed = this.parseAccountOptions('userdel', args, 'rf', '');
+    if (!('options' in parsed)) {
+      return parsed;
+    }
+    const { options, operands } = parsed;
+    if (operands.length !== 1) {
+      return failure('Usage: userdel [options] LOGIN', 2);
+    }
+    const denied = this.requireRoot('userdel');
+    if (denied) {
+      return denied;
+    }
+
+    const name = operands[0];
+    const account = this.getAccount(name);
+    if (!account) {
+      return failure(`userdel: user '${name}' does not exist`, 6);
+    }
+    const inUse =
+      name === this.currentUser ||
+      name === this.environment.SUDO_USER ||
+      this.userStack.some((state) => state.user === name);
+    const process = [...this.processes.values()].find((other) => other.user === name);
+    if ((inUse || process) && !options.f) {
+      const pid = process ? process.pid : this.shellPid;
+      return failure(`userdel: user ${name} is currently used by process ${pid}`, 8);
+    }
+
+    this.editAccounts((entries) => entries.filter((entry) => entry.name !== name));
+    this.editShadow((entries) => entries.filter((entry) => entry.name !== name));
+    const accounts = this.getAccounts();
+    this.editGroups((entries) =>
+      entries
+        .filter(
+          (group) =>
+            group.name !== name ||
+            group.gid !== account.gid ||
+            accounts.some((other) => other.gid === group.gid)
+        )
+        .map((group) => ({
+          ...group,
+          members: group.members.filter((member) => member !== name),
+        }))
+    );
+
+    if (options.r) {
+      const home = this.getNode(account.home);
+      const parent = this.getNode(account.home.slice(0, account.home.lastIndexOf('/')) || '/');
+      if (!home || !parent || parent.type !== 'directory') {
+        return failure(`userdel: ${name} home directory (${account.home}) not found`, 12);
+      }
+      delete parent.children[account.home.slice(account.home.lastIndexOf('/') + 1)];
+      this.markModified(parent);
+    }
+    return '';
+  }
+
+  cmd_usermod(args: string[]): CommandOutput {
+    const usage = 'Usage: usermod [options] LOGIN';
+    const parsed = this.parseAccountOptions('usermod', args, 'aLU', 'cdgGs');
+    if (!('options' in parsed)) {
+      return parsed;
+    }
+    const { options, operands } = parsed;
+    if (operands.length !== 1 || Object.keys(options).length === 0) {
+      return failure(usage, 2);
+    }
+    if (options.a && options.G === undefined) {
+      return failure(`usermod: -a flag is ONLY allowed with the -G flag\n${usage}`, 2);
+    }
+    const denied = this.requireRoot('usermod');
+    if (denied) {
+      return denied;
+    }
+
+    const name = operands[0];
+    if (!this.getAccount(name)) {
+      return failure(`usermod: user '${name}' does not exist`, 6);
+    }
+
+    const groups = this.getGroupEntries();
+    let gid: number | undefined;
+    if (options.g !== undefined) {
+      const group = groups.find(
+        (entry) => entry.name === options.g || String(entry.gid) === options.g
+      );
+      if (!group) {
+        return failure(`usermod: group '${options.g}' does not exist`, 6);
+      }
+      gid = group.gid;
+    }
+    const supplementary = options.G ? options.G.split(',') : [];
+    const missing = supplementary.find((group) => !groups.some((entry) => entry.name === group));
+    if (missing !== undefined) {
+      return failure(`usermod: group '${missing}' does not exist`, 6);
+    }
+
+    this.editAccounts((entries) => {
+      const entry = entries.find((account) => account.name === name)!;
+      entry.gid = gid ?? entry.gid;
+      entry.shell = options.s ?? entry.shell;
+      entry.home = options.d ?? entry.home;
+      entry.gecos = options.c ?? entry.gecos;
+    });
+
+    // -G sets the supplementary groups, or adds to them with -a
+    if (options.G !== undefined) {
+      this.editGroups((entries) => {
+        for (const group of entries) {
+          const wanted = supplementary.includes(group.name);
+          const member = group.members.includes(name);
+          if (wanted && !member) {
+            group.members.push(name);
+          } else if (!wanted && member && !options.a) {
+            group.members = group.members.filter((other) => other !== name);
+          }
+        }
+      });
+    }
+
+    let warning = '';
+    if (options.L || options.U) {
+      this.editShadow((entries) => {
+        const entry = entries.find((line) => line.name === name);
+        if (!entry) {
+          return;
+        }
+        if (options.L && !entry.hash.startsWith('!')) {
+          entry.hash = '!' + entry.hash;
+        } else if (options.U && entry.hash.startsWith('!')) {
+          if (entry.hash === '!') {
+            warning =
+              "usermod: unlocking the user's password would result in a passwordless account.\n" +
+              "You should set a password with usermod -p to unlock this user's password.\n";
+          } else {
+            entry.hash = entry.hash.slice(1);
+          }
+        }
+      });
+    }
+    return { stderr: warning, exitCode: 0 };
+  }
+
+  *cmd_passwd(args: string[], context: CommandContext): Run<CommandOutput> {
+    let action: string | null = null;
+    const operands: string[] = [];
+    for (const arg of args) {
+      if (['-l', '-u', '-d', '-S'].includes(arg)) {
+        action = arg[1];
+      } else if (arg.startsWith('-')) {
+        return failure(`passwd: invalid option -- '${arg[1]}'\nUsage: passwd [options] [LOGIN]`, 2);
+      } else {
+        operands.push(arg);
+      }
+    }
+
+    const name = operands[0] ?? this.currentUser;
+    const account = this.getAccount(name);
+    if (!account) {
+      return failure(`passwd: user '${name}' does not exist`);
+    }
+    const isRoot = this.currentUid() === 0;
+    if (!isRoot && name !== this.currentUser) {
+      return failure(`passwd: You may not view or modify password information for ${name}.`);
+    }
+
+    const shadow = parseShadow(this.readSystemFile('/etc/shadow') || '');
+    const entry =
+      shadow.find((line) => line.name === name) || newShadowEntry(name, this.passwordHash(name), 0);
+
+    if (action === 'S') {
+      const status = /^[!*]/.test(entry.hash) ? 'L' : entry.hash === '' ? 'NP' : 'P';
+      const changed = new Date(parseInt(entry.lastChange, 10) * 86400000);
+      const date = [changed.getUTCMonth() + 1, changed.getUTCDate()]
+        .map((part) => String(part).padStart(2, '0'))
+        .concat(String(changed.getUTCFullYear()))
+        .join('/');
+      // Empty aging fields show as their defaults
+      const aging = ['0', '99999', '7', '-1'].map((fallback, i) => entry.rest[i] || fallback);
+      return `${name} ${status} ${date} ${aging.join(' ')}`;
+    }
+
+    if (action !== null) {
+      if (!isRoot) {
+        return failure('passwd: Permission denied.');
+      }
+      if (action === 'u' && entry.hash === '!') {
+        return failure(
+          'passwd: unlocking the password would result in a passwordless account.\n' +
+            'You should set a password with usermod -p to unlock the password of this account.',
+          3
+        );
+      }
+      if (action === 'l' && !entry.hash.startsWith('!')) {
+        entry.hash = '!' + entry.hash;
+      } else if (action === 'u' && entry.hash.startsWith('!')) {
+        entry.hash = entry.hash.slice(1);
+      } else if (action === 'd') {
+        entry.hash = '';
+      }
+      this.savePassword(entry);
+      return 'passwd: password expiry information changed.';
+    }
+
+    // Users give their current password first; root just sets a new one
+    const input = lineReader(context.stdin);
+    const stdout = isRoot ? '' : `Changing password for ${name}.\n`;
+    const unchanged =
+      'passwd: Authentication token manipulation error\npasswd: password unchanged\n';
+    if (stdout) {
+      this.commandIO!.stdout(stdout);
+    }
+    if (!isRoot && !this.checkPassword(name, yield* readLine(input, 'Current password: ', true))) {
+      return { stderr: unchanged, exitCode: 10 };
+    }
+    const password = yield* readLine(input, 'New password: ', true);
+    if (!password) {
+      return { stderr: 'No password has been supplied.\n' + unchanged, exitCode: 10 };
+    }
+    if ((yield* readLine(input, 'Retype new password: ', true)) !== password) {
+      return { stderr: 'Sorry, passwords do not match.\n' + unchanged, exitCode: 10 };
+    }
+
+    entry.hash = hashPassword(password);
+    entry.lastChange = String(daysSinceEpoch(Date.now()));
+    this.savePassword(entry);
+    return 'passwd: password updated successfully';
+  }
+
+  /**
+   * Writes a user's shadow entry back, adding it if they had none
+   */
+  private savePassword(updated: ShadowEntry): void {
+    this.editShadow((entries) => {
+      const index = entries.findIndex((entry) => entry.name === updated.name);
+      if (index === -1) {
+        entries.push(updated);
+      } else {
+        entries[index] = updated;
+      }
+    });
+    this.editAccounts((entries) => {
+      const account = entries.find((entry) => entry.name === updated.name);
+      if (account) {
+        account.password = 'x';
+      }
+    });
+  }
+
+  /**
+   * Refuses account changes from anyone but root, the way useradd, userdel
+   * and usermod do
+   */
+  private requireRoot(command: string): CommandResult | null {
+    if (this.currentUid() === 0) {
+      return null;
+    }
+    return failure(
+      `${command}: Permission denied.\n${command}: cannot lock /etc/passwd; try again later.`
+    );
+  }
+
+  /**
+   * Parses options for useradd, userdel and usermod. Letters in flags stand
+   * alone; letters in withValue take the rest of the argument or the next one.
+   */
+  private parseAccountOptions(
+    command: string,
+    args: string[],
+    flags: string,
+    withValue: string
+  ): { options: Record<string, string>; operands: string[] } | CommandResult {
+    const options: Record<string, string> = {};
+    const operands: string[] = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (!arg.startsWith('-') || arg === '-') {
+        operands.push(arg);
+        continue;
+      }
+      for (let j = 1; j < arg.length; j++) {
+        const letter = arg[j];
+        if (flags.includes(letter)) {
+          options[letter] = 'yes';
+        } else if (withValue.includes(letter)) {
+          const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+          if (value === undefined) {
+            return failure(
+              `${command}: option requires an argument -- '${letter}'\nUsage: ${command} [options] LOGIN`,
+              2
+            );
+          }
+          options[letter] = value;
+          break;
+        } else {
+          return failure(
+            `${command}: invalid option -- '${letter}'\nUsage: ${command} [options] LOGIN`,
+            2
+          );
+        }
+      }
+    }
+    return { options, operands };
+  }
+
+  cmd_exit(args: string[]): CommandOutput {
+    // Inside a script or subshell, exit only ends that
+    if (this.subshellDepth > 0) {
+      if (args[0] !== undefined && !/^-?\d+$/.test(args[0])) {
+        this.commandIO!.stderr(`exit: ${args[0]}: numeric argument required\n`);
+        throw new ScriptExit(2);
+      }
+      throw new ScriptExit(
+        args[0] === undefined ? this.lastExitStatus : parseInt(args[0], 10) & 255
+      );
+    }
+
+    // Pop the previous user from the stack
+    if (this.userStack.length === 0) {
+      return failure('exit: no other user session to return to');
+    }
+
+    // The shell leaving adds what was typed into it to its history file
+    const file = this.historyFile();
+    if (file) {
+      this.writeHistory(file, true);
+    }
+
+    const previousUser = this.userStack.pop()!;
+    this.processes.delete(this.shellPid);
+    this.shellPid = previousUser.pid;
+    this.currentUser = previousUser.user;
+    this.environment = previousUser.environment;
+    this.variables = previousUser.variables;
+    this.exportMarks = new Set();
+    this.functions = previousUser.functions;
+    this.aliases = previousUser.aliases;
+    this.commandHistory = previousUser.history;
+    this.historyWritten = previousUser.historyWritten;
+    this.currentPath = previousUser.path;
+    this.environment.PWD = this.currentPath;
+
+    return `__USER_SWITCHED__:${previousUser.user}`;
+  }
+
+  /**
+   * Expands a parsed word into arguments: parameters and command substitutions
+   * first, then word splitting of unquoted expansions, then wildcard matching
+   * on unquoted * and ?
+   */
+  private *expandWord(word: Word, io: ShellIO): Run<string[]> {
+    const fields: WordSegment[][] = [];
+    let current: WordSegment[] = [];
+
+    // Empty unquoted expansions vanish, but "" is still an argument
+    const endField = (): void => {
+      if (current.some((segment) => segment.quoted || segment.value)) {
+        fields.push(current);
+      }
+      current = [];
+    };
+
+    for (let index = 0; index < word.parts.length; index++) {
+      const part = word.parts[index];
+      if (part.type === 'literal') {
+        // Tilde expansion for a leading unquoted ~ or ~/
+        if (index === 0 && !part.quoted && /^~(\/|$)/.test(part.value)) {
+          current.push({ value: this.homeDirectory(), quoted: true });
+          current.push({ value: part.value.slice(1), quoted: false });
+        } else {
+          current.push({ value: part.value, quoted: part.quoted });
+        }
+        continue;
+      }
+
+      // "$@" gives each positional parameter its own field
+      if (part.type === 'param' && part.name === '@' && !part.op && part.quoted) {
+        if (this.positionalParams.length === 0) {
+          current = current.filter((segment) => segment.value);
+        }
+        this.positionalParams.forEach((param, i) => {
+          if (i > 0) endField();
+          current.push({ value: param, quoted: true });
+        });
+        continue;
+      }
+
+      const value = yield* this.expandPart(part, io);
+      if (part.quoted) {
+        current.push({ value, quoted: true });
+        continue;
+      }
+
+      value.split(/[ \t\n]+/).forEach((piece, i) => {
+        if (i > 0) endField();
+        if (piece) current.push({ value: piece, quoted: false });
+      });
+    }
+    endField();
+
+    const expanded: string[] = [];
+    for (const segments of fields) {
+      const value = segments.map((segment) => segment.value).join('');
+      const hasWildcard = segments.some(
+        (segment) => !segment.quoted && /[*?[]/.test(segment.value)
+      );
+
+      if (!hasWildcard) {
+        expanded.push(value);
+        continue;
+      }
+
+      expanded.push(...this.expandWildcards(value, this.globToRegExp(segments)));
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Turns expanded segments into a regex where unquoted *, ? and [...] are
+   * wildcards, as used for file names, case patterns and == in [[ ]]
+   */
+  private globToRegExp(segments: WordSegment[]): RegExp {
+    const chars: { ch: string; quoted: boolean }[] = [];
+    segments.forEach((segment) => {
+      for (const ch of segment.value) {
+        chars.push({ ch, quoted: segment.quoted });
+      }
+    });
+
+    let pattern = '';
+    for (let i = 0; i < chars.length; i++) {
+      const { ch, quoted } = chars[i];
+
+      if (!quoted && ch === '*') {
+        pattern += '.*';
+      } else if (!quoted && ch === '?') {
+        pattern += '.';
+      } else if (!quoted && ch === '[') {
+        // A ] right after [ or [! is part of the set
+        let end = i + 1;
+        if (chars[end] && (chars[end].ch === '!' || chars[end].ch === '^')) end++;
+        if (chars[end] && chars[end].ch === ']') end++;
+        while (end < chars.length && chars[end].ch !== ']') end++;
+
+        if (end >= chars.length) {
+          pattern += '\\[';
+          continue;
+        }
+
+        let set = chars
+          .slice(i + 1, end)
+          .map((c) => c.ch)
+          .join('');
+        const negated = set[0] === '!' || set[0] === '^';
+        if (negated) set = set.slice(1);
+        pattern += `[${negated ? '^' : ''}${set.replace(/[\\\]^]/g, '\\$&')}]`;
+        i = end;
+      } else {
+        pattern += ch.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${pattern}$`);
+  }
+
+  /**
+   * Turns a pattern given as an argument, as to find -name, into a regular
+   * expression. A backslash makes the character after it match itself.
+   */
+  private globPattern(pattern: string, ignoreCase = false): RegExp {
+    const segments: WordSegment[] = [];
+    for (let i = 0; i < pattern.length; i++) {
+      const escaped = pattern[i] === '\\' && i < pattern.length - 1;
+      segments.push({ value: escaped ? pattern[++i] : pattern[i], quoted: escaped });
+    }
+    const regex = this.globToRegExp(segments);
+    return ignoreCase ? new RegExp(regex.source, 'i') : regex;
+  }
+
+  /**
+   * Expands a word into one string without splitting, keeping track of which
+   * text was quoted so it can still be used as a pattern
+   */
+  private *expandSegments(word: Word, io: ShellIO): Run<WordSegment[]> {
+    const segments: WordSegment[] = [];
+    for (const part of word.parts) {
+      segments.push({ value: yield* this.expandPart(part, io), quoted: part.quoted });
+    }
+    return segments;
+  }
+
+  /**
+   * Expands parts into a single string with no splitting or wildcards,
+   * as used for assignment values and ${NAME:-word} operands
+   */
+  private *expandToString(parts: WordPart[], io: ShellIO): Run<string> {
+    let value = '';
+    for (const part of parts) {
+      value += yield* this.expandPart(part, io);
+    }
+    return value;
+  }
+
+  /**
+   * Expands one part of a word without splitting it
+   */
+  private *expandPart(part: WordPart, io: ShellIO): Run<string> {
+    switch (part.type) {
+      case 'literal':
+        return part.value;
+      case 'param':
+        return yield* this.expandParameter(part, io);
+      default:
+        return yield* this.substituteCommand(part.list, io);
+    }
+  }
+
+  /**
+   * Runs $(...) and returns its output without trailing newlines. Errors
+   * still reach the surrounding command's stderr.
+   */
+  private *substituteCommand(list: ListNode, io: ShellIO): Run<string> {
+    let output = '';
+    let status: number;
+
+    // Like a subshell, break, return and exit can't leave the substitution
+    const loopDepth = this.loopDepth;
+    this.loopDepth = 0;
+    this.subshellDepth++;
+    try {
+      status = yield* this.runList(list, {
+        stdout: (text) => (output += text),
+        stderr: io.stderr,
+        isTTY: false,
+      });
+    } catch (error) {
+      if (!(error instanceof FunctionReturn || error instanceof ScriptExit)) throw error;
+      status = error.status;
+    } finally {
+      this.loopDepth = loopDepth;
+      this.subshellDepth--;
+    }
+
+    this.lastExitStatus = this.substitutionStatus = status;
+    return output.replace(/\n+$/, '');
+  }
+
+  /**
+   * Expands $NAME, ${#NAME} and ${NAME<op>word}
+   */
+  private *expandParameter(part: ParamPart, io: ShellIO): Run<string> {
+    const value = this.getVariable(part.name);
+
+    if (part.op === '#') {
+      return String((value || '').length);
+    }
+    if (!part.op) {
+      return value || '';
+    }
+
+    // With a colon an empty value counts as unset
+    const isUnset = value === undefined || (part.op[0] === ':' && value === '');
+    const operand = (): Run<string> => this.expandToString(part.operand || [], io);
+
+    switch (part.op.replace(':', '')) {
+      case '-':
+        return isUnset ? yield* operand() : value!;
+      case '=':
+        if (isUnset) {
+          const assigned = yield* operand();
+          this.setVariable(part.name, assigned);
+          return assigned;
+        }
+        return value!;
+      default:
+        return isUnset ? '' : yield* operand();
+    }
+  }
+
+  /**
+   * Gets a shell variable, exported variable or special parameter such as $?
+   */
+  getVariable(name: string): string | undefined {
+    switch (name) {
+      case '?':
+        return String(this.lastExitStatus);
+      case '$':
+        return String(this.shellPid);
+      case '!':
+        return this.lastBackgroundPid === null ? undefined : String(this.lastBackgroundPid);
+      case '0':
+        return this.scriptName === null ? 'bash' : this.scriptName;
+      case '#':
+        return String(this.positionalParams.length);
+      case '@':
+      case '*':
+        return this.positionalParams.join(' ');
+    }
+
+    if (/^[1-9]\d*$/.test(name)) {
+      return this.positionalParams[parseInt(name, 10) - 1];
+    }
+
+    if (name in this.environment) {
+      return this.environment[name];
+    }
+    if (name in this.variables) {
+      return this.variables[name];
+    }
+    return undefined;
+  }
+
+  /**
+   * Sets a variable, keeping it exported if it already was or export named it
+   */
+  setVariable(name: string, value: string): void {
+    if (name in this.environment || this.exportMarks.has(name)) {
+      this.exportMarks.delete(name);
+      this.environment[name] = value;
+    } else {
+      this.variables[name] = value;
+    }
+  }
+
+  /**
+   * Expands a wildcard pattern against the current directory
+   */
+  private expandWildcards(arg: string, regex: RegExp): string[] {
+    const currentDir = this.getNode(this.currentPath);
+
+    if (currentDir && currentDir.type === 'directory' && this.canAccess(currentDir, READ)) {
+      // Hidden files only match patterns that start with a dot
+      const matches = Object.keys(currentDir.children).filter(
+        (name) => regex.test(name) && (!name.startsWith('.') || arg.startsWith('.'))
+      );
+
+      if (matches.length > 0) {
+        return matches;
+      }
+    }
+
+    // No matches, keep the pattern as-is
+    return [arg];
+  }
+
+  /**
+   * Executes a command line input and returns what the terminal should show
+   */
+  execute(commandLine: string): string {
+    const { output } = this.executeDetailed(commandLine);
+
+    // The terminal shows output without the final line break
+    return output.endsWith('\n') ? output.slice(0, -1) : output;
+  }
+
+  /**
+   * Executes a command line input, keeping stdout, stderr and the exit status apart
+   */
+  executeDetailed(commandLine: string): ExecutionResult {
+    const command = this.startCommand(commandLine, { result: emptyResult() });
+    return 'run' in command ? this.continueCommand(command, null) : command;
+  }
+
+  /**
+   * Executes a command line input like execute, waiting for commands that
+   * return promises or async iterables
+   */
+  async executeAsync(commandLine: string, options: ExecuteOptions = {}): Promise<string> {
+    const { output } = await this.executeDetailedAsync(commandLine, options);
+    return output.endsWith('\n') ? output.slice(0, -1) : output;
+  }
 
   /**
-   * Clears saved state from localStorage
+   * Executes a command line input like executeDetailed, waiting for commands
+   * that return promises or async iterables
    */
-  clearStorage(): void {
-    if (!this.persistence || !this.persistence.enabled || typeof localStorage === 'undefined') {
-      return;
+  async executeDetailedAsync(
+    commandLine: string,
+    options: ExecuteOptions = {}
+  ): Promise<ExecutionResult> {
+    const sink: OutputSink = { result: emptyResult(), onOutput: options.onOutput };
+    const command = this.startCommand(commandLine, sink);
+    return 'run' in command ? this.continueCommandAsync(command, null, options.signal) : command;
+  }
+
+  /**
+   * Parses a command line and sets it up to run, writing to the sink. Gives
+   * the result straight away when there's nothing to run.
+   */
+  private startCommand(commandLine: string, sink: OutputSink): PendingCommand | ExecutionResult {
+    if (!commandLine.trim()) {
+      this.catchUpTerminal(sink);
+      return sink.result;
     }
 
-    try {
-      const fsKey = `${this.persistencePrefix}_filesystem`;
-      const userKey = `${this.persistencePrefix}_current_user`;
-      const pathKey = `${this.persistencePrefix}_current_path`;
+    // A new command line abandons one still waiting
+    this.abandonPendingCommand();
 
-      localStorage.removeItem(fsKey);
-      localStorage.removeItem(userKey);
-      localStorage.removeItem(pathKey);
-    } catch (e) {
-      console.error('Error clearing localStorage:', e);
+    // Add to history, keeping the last $HISTSIZE lines
+    this.commandHistory.push(commandLine);
+    const excess = this.commandHistory.length - this.historySize('HISTSIZE');
+    if (excess > 0) {
+      this.commandHistory.splice(0, excess);
+      this.historyWritten = Math.max(0, this.historyWritten - excess);
+    }
+
+    // Output goes to whichever command line has the terminal, as background
+    // jobs keep writing after the command line that started them
+    const io: ShellIO = {
+      stdout: (text) => this.writeTerminal(text, 'stdout'),
+      stderr: (text) => this.writeTerminal(text, 'stderr'),
+      isTTY: true,
+    };
+
+    let ast: ListNode;
+    try {
+      ast = parse(commandLine);
+    } catch (error) {
+      if (error instanceof ShellSyntaxError) {
+        writeToSink(sink, `bash: ${error.message}\n`, 'stderr');
+        sink.result.exitCode = this.lastExitStatus = 2;
+        this.catchUpTerminal(sink);
+        return sink.result;
+      }
+      throw error;
     }
+
+    this.interrupter = new Interrupter();
+    return { run: this.runList(ast, io), sink, interrupter: this.interrupter, request: null };
   }
 
   /**
-   * Initializes built-in and custom commands
+   * Answers the line of input a command is waiting for, or null for end of
+   * input as Ctrl-D gives, and carries on running it. The result has the
+   * output from here on, and may be waiting for input again.
    */
-  initializeCommands(customCommands: Record<string, CommandHandler>): void {
-    // Built-in commands
-    this.commands = {
-      help: this.cmd_help.bind(this),
-      ls: this.cmd_ls.bind(this),
-      cd: this.cmd_cd.bind(this),
-      pwd: this.cmd_pwd.bind(this),
-      cat: this.cmd_cat.bind(this),
-      echo: this.cmd_echo.bind(this),
-      clear: this.cmd_clear.bind(this),
-      whoami: this.cmd_whoami.bind(this),
-      date: this.cmd_date.bind(this),
-      uname: this.cmd_uname.bind(this),
-      env: this.cmd_env.bind(this),
-      history: this.cmd_history.bind(this),
-      mkdir: this.cmd_mkdir.bind(this),
-      touch: this.cmd_touch.bind(this),
-      rm: this.cmd_rm.bind(this),
-      tree: this.cmd_tree.bind(this),
-      ps: this.cmd_ps.bind(this),
-      vi: this.cmd_vi.bind(this),
-      vim: this.cmd_vim.bind(this),
-      su: this.cmd_su.bind(this),
-      sudo: this.cmd_sudo.bind(this),
-      exit: this.cmd_exit.bind(this),
-    };
+  respond(answer: string | null): ExecutionResult {
+    const command = this.takePendingInput();
+    return command ? this.continueCommand(command, answer) : emptyResult();
+  }
 
-    // Add custom commands (these will overwrite built-in commands if same name)
-    for (const [name, handler] of Object.entries(customCommands)) {
-      this.commands[name] = handler.bind(this);
+  /**
+   * Answers the line of input a command is waiting for like respond, waiting
+   * for async commands as it carries on
+   */
+  async respondAsync(
+    answer: string | null,
+    options: ExecuteOptions = {}
+  ): Promise<ExecutionResult> {
+    const command = this.takePendingInput();
+    if (!command) {
+      return emptyResult();
     }
+    command.sink.onOutput = options.onOutput;
+    return this.continueCommandAsync(command, answer, options.signal);
   }
 
   /**
-   * Resolves a path (relative or absolute) to an absolute path
+   * The line of input a command is waiting for, or null when none is
    */
-  resolvePath(path: string): string {
-    // Expand ~ to home directory
-    if (path.startsWith('~')) {
-      path = this.environment.HOME + path.slice(1);
+  getPendingInput(): PendingInput | null {
+    return this.pendingCommand && this.pendingCommand.request;
+  }
+
+  /**
+   * Interrupts the running command line, as Ctrl-C sends SIGINT. Its
+   * commands' signal is aborted and it stops with exit status 130 once it's
+   * waiting for input or an async command; executeAsync then resolves with
+   * the output so far.
+   */
+  interrupt(): void {
+    const command = this.pendingCommand;
+    if (!command) {
+      // Called while it runs, as from onOutput, it stops at its next wait
+      if (this.foreground) {
+        this.foreground.interrupter.abort();
+      }
+      return;
     }
 
-    if (path.startsWith('/')) {
-      return path;
+    this.abandonPendingCommand();
+    delete command.sink.result.pendingInput;
+    this.finishCommand(command.sink, (this.lastExitStatus = 130));
+  }
+
+  /**
+   * Takes the command waiting for input, starting a new result for its output
+   */
+  private takePendingInput(): PendingCommand | null {
+    const command = this.pendingCommand;
+    if (!command || !command.request) {
+      return null;
     }
-    const parts = this.currentPath.split('/').filter((p) => p);
-    const newParts = path.split('/').filter((p) => p);
+    this.pendingCommand = null;
+    command.sink.result = emptyResult();
+    command.sink.onOutput = undefined;
+    this.interrupter = command.interrupter;
+    return command;
+  }
 
-    for (const part of newParts) {
-      if (part === '..') {
-        parts.pop();
-      } else if (part !== '.') {
-        parts.push(part);
+  /**
+   * Runs a command line until it finishes or waits for input. There's no
+   * waiting here, so async commands find their promises unsettled and fail.
+   */
+  private continueCommand(command: PendingCommand, answer: string | null): ExecutionResult {
+    this.giveTerminal(command);
+    let step = command.run.next(answer);
+    for (;;) {
+      if (step.done) {
+        return this.finishCommand(command.sink, step.value);
+      }
+      if (!(step.value instanceof Waiting)) {
+        return this.pauseCommand(command, step.value);
       }
+      step = command.run.next(null);
     }
-    return '/' + parts.join('/');
   }
 
   /**
-   * Gets a filesystem node at the specified path
+   * Runs a command line until it finishes or waits for input, waiting for
+   * async commands as they come. Another command line abandons it, and the
+   * signal or interrupt() stops it.
    */
-  getNode(path: string): FileSystemNode | null {
-    const fullPath = this.resolvePath(path);
-    const parts = fullPath.split('/').filter((p) => p);
-    let current: FileSystemNode = this.fileSystem['/'];
+  private async continueCommandAsync(
+    command: PendingCommand,
+    answer: string | null,
+    signal?: InterruptSignal
+  ): Promise<ExecutionResult> {
+    const { run, sink, interrupter } = command;
+    const interrupt = () => interrupter.abort();
+    if (signal) {
+      signal.addEventListener('abort', interrupt);
+      if (signal.aborted) {
+        interrupter.abort();
+      }
+    }
 
-    for (const part of parts) {
-      if (current && typeof current === 'object' && part in current) {
-        current = current[part];
-      } else {
-        return null;
+    try {
+      this.giveTerminal(command);
+      let step = run.next(answer);
+      for (;;) {
+        if (step.done) {
+          return this.finishCommand(sink, step.value);
+        }
+        if (!(step.value instanceof Waiting)) {
+          return this.pauseCommand(command, step.value);
+        }
+
+        command.request = null;
+        this.pendingCommand = command;
+        await Promise.race([step.value.done, interrupter.interrupted]);
+        if (this.pendingCommand !== command) {
+          return sink.result;
+        }
+        if (interrupter.aborted) {
+          this.interrupt();
+          return sink.result;
+        }
+        this.pendingCommand = null;
+        this.interrupter = interrupter;
+        step = run.next(null);
+      }
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', interrupt);
       }
     }
-    return current;
   }
 
   /**
-   * Gets the owner of a file/directory based on path
+   * Keeps a command line until the terminal answers its request for input
    */
-  getOwner(path: string): FileOwner {
-    if (path.startsWith(`/home/${this.currentUser}`) || path === `/home/${this.currentUser}`) {
-      return { user: this.currentUser, group: this.currentUser };
-    }
-    return { user: 'root', group: 'root' };
+  private pauseCommand(command: PendingCommand, request: PendingInput): ExecutionResult {
+    command.request = request;
+    this.pendingCommand = command;
+    this.foreground = null;
+    command.sink.result.pendingInput = request;
+    return command.sink.result;
   }
 
   /**
-   * Checks if current user has write permission to a path
+   * Records the exit status of a command line that has finished
    */
-  canWrite(path: string): boolean {
-    // Root can write anywhere
-    if (this.currentUser === 'root') {
-      return true;
+  private finishCommand(sink: OutputSink, exitCode: number): ExecutionResult {
+    sink.result.exitCode = exitCode;
+    this.foreground = null;
+    this.catchUpTerminal(sink);
+
+    // As with bash's PROMPT_COMMAND='history -a', the history file gets each
+    // command line once it has run, so nothing typed is lost with the page
+    const file = this.historyFile();
+    if (file && this.historyWritten < this.commandHistory.length) {
+      this.writeHistory(file, true);
     }
 
-    // Regular user can only write in their home directory
-    const fullPath = this.resolvePath(path);
-    return fullPath.startsWith(`/home/${this.currentUser}`);
-  }
+    // Save to storage after command execution (if persistence is enabled)
+    this.scheduleSave();
 
-  // Command implementations
-  cmd_help(): string {
-    const commandList = Object.keys(this.commands).sort();
-    return `Available commands:\n${commandList.map((cmd) => `  ${cmd}`).join('\n')}\n\nType any command to try it out!`;
+    return sink.result;
   }
 
-  cmd_ls(args: string[]): string {
-    // Parse flags and paths
-    let showHidden = false;
-    let longFormat = false;
-    let humanReadable = false;
-    const targetPaths: string[] = [];
-
-    for (const arg of args) {
-      if (arg.startsWith('-')) {
-        // Parse flags
-        if (arg.includes('a')) showHidden = true;
-        if (arg.includes('l')) longFormat = true;
-        if (arg.includes('h')) humanReadable = true;
-      } else {
-        targetPaths.push(arg);
+  /**
+   * Stops the command waiting for input or an async command, aborting its
+   * signal and undoing what it had set up to run
+   */
+  private abandonPendingCommand(): void {
+    const command = this.pendingCommand;
+    if (command) {
+      this.pendingCommand = null;
+      if (this.foreground === command) {
+        this.foreground = null;
       }
+      command.interrupter.abort();
+      command.run.return(this.lastExitStatus);
     }
+  }
 
-    // If no paths specified, use current directory
-    if (targetPaths.length === 0) {
-      targetPaths.push(this.currentPath);
+  /**
+   * Lets a command line write to the terminal, first showing what background
+   * jobs wrote while none could
+   */
+  private giveTerminal(command: PendingCommand): void {
+    this.foreground = command;
+    for (const [text, stream] of this.terminalBacklog.splice(0)) {
+      writeToSink(command.sink, text, stream);
     }
+  }
 
-    const results: string[] = [];
-
-    for (const targetPath of targetPaths) {
-      const path = targetPath === '.' ? this.currentPath : this.resolvePath(targetPath);
-      const node = this.getNode(path);
-
-      if (node === null || node === undefined) {
-        results.push(`ls: cannot access '${targetPath}': No such file or directory`);
-        continue;
-      }
+  /**
+   * Writes to the terminal, which shows it in the result of the command line
+   * running now, or of the next one when none is
+   */
+  private writeTerminal(text: string, stream: 'stdout' | 'stderr'): void {
+    if (this.foreground) {
+      writeToSink(this.foreground.sink, text, stream);
+    } else {
+      this.terminalBacklog.push([text, stream]);
+    }
+  }
 
-      if (typeof node === 'string') {
-        // It's a file, just list the filename
-        results.push(targetPath);
-        continue;
-      }
+  /**
+   * Adds what background jobs wrote while nothing had the terminal to a
+   * command line's result, then notices of jobs that finished or stopped, as
+   * bash shows before the next prompt
+   */
+  private catchUpTerminal(sink: OutputSink): void {
+    for (const [text, stream] of this.terminalBacklog.splice(0)) {
+      writeToSink(sink, text, stream);
+    }
+    const notices = this.jobNotices();
+    if (notices) {
+      writeToSink(sink, notices, 'stderr');
+    }
+  }
 
-      let entries = Object.keys(node);
+  /**
+   * The parts of the shell a job has its own copy of, as they are now
+   */
+  private saveShellState(): ShellState {
+    return {
+      currentUser: this.currentUser,
+      currentPath: this.currentPath,
+      environment: this.environment,
+      variables: this.variables,
+      exportMarks: this.exportMarks,
+      functions: this.functions,
+      positionalParams: this.positionalParams,
+      lastExitStatus: this.lastExitStatus,
+      umask: this.umask,
+      substitutionStatus: this.substitutionStatus,
+      localScopes: this.localScopes,
+      loopDepth: this.loopDepth,
+      sourceDepth: this.sourceDepth,
+      subshellDepth: this.subshellDepth,
+      scriptName: this.scriptName,
+      commandIO: this.commandIO,
+      expandingAliases: this.expandingAliases,
+      interrupter: this.interrupter,
+      shellPid: this.shellPid,
+      parentPid: this.parentPid,
+    };
+  }
 
-      // Filter hidden files unless -a is specified
-      if (!showHidden) {
-        entries = entries.filter((name) => !name.startsWith('.'));
-      }
+  /**
+   * Adds a process the current user starts, giving its PID
+   */
+  private startProcess(
+    argv: string[],
+    user = this.currentUser,
+    ppid = this.parentPid ?? this.shellPid
+  ): number {
+    const pid = this.nextPid++;
+    this.processes.set(pid, { pid, ppid, user, argv, tty: TTY, started: Date.now() });
+    return pid;
+  }
 
-      if (entries.length === 0) {
-        continue;
-      }
+  /**
+   * Starts an and-or list ending in & as a job in a subshell, running it
+   * until it first has to wait or, if it never does, for its first slice
+   * of STEPS_PER_YIELD steps
+   */
+  private startJob(node: AndOrNode, io: ShellIO): void {
+    // Scripts' jobs read no input, having no terminal to stop for
+    if (this.subshellDepth > 0 && (io.stdin === undefined || io.stdin === null)) {
+      io = { ...io, stdin: '' };
+    }
+    const pid = this.startProcess(['bash']);
+    const job: Job = {
+      id: Math.max(0, ...this.shellJobs().map((other) => other.id)) + 1,
+      depth: this.subshellDepth,
+      pid,
+      command: formatAndOr(node),
+      run: this.runJob(node, io),
+      state: {
+        ...this.saveShellState(),
+        environment: { ...this.environment },
+        variables: { ...this.variables },
+        exportMarks: new Set(this.exportMarks),
+        functions: { ...this.functions },
+        substitutionStatus: null,
+        localScopes: [],
+        loopDepth: 0,
+        sourceDepth: 0,
+        subshellDepth: this.subshellDepth + 1,
+        commandIO: null,
+        expandingAliases: [],
+        interrupter: new Interrupter(),
+        parentPid: pid,
+      },
+      status: null,
+      signal: null,
+      stopped: false,
+      request: null,
+      notified: true,
+      touched: ++this.jobClock,
+      listeners: [],
+    };
+    this.jobs.push(job);
+    this.lastBackgroundPid = pid;
 
-      // Sort entries (directories first, then alphabetically)
-      entries.sort((a, b) => {
-        const aIsDir = typeof node[a] === 'object';
-        const bIsDir = typeof node[b] === 'object';
+    // Interactive shells say which job it is
+    if (this.subshellDepth === 0) {
+      io.stderr(`[${job.id}] ${pid}\n`);
+    }
+    this.driveJob(job, null);
+  }
 
-        if (aIsDir && !bIsDir) return -1;
-        if (!aIsDir && bIsDir) return 1;
-        return a.localeCompare(b);
-      });
+  /**
+   * Runs a job's and-or list, stopping at exit as a subshell does
+   */
+  private *runJob(node: AndOrNode, io: ShellIO): Run<number> {
+    try {
+      return yield* this.runAndOr(node, io);
+    } catch (error) {
+      if (!(error instanceof ScriptExit)) throw error;
+      return error.status;
+    }
+  }
 
-      if (longFormat) {
-        // Long format listing
-        const listing = entries
-          .map((name) => {
-            const isDir = typeof node[name] === 'object';
-            const perms = isDir ? 'drwxr-xr-x' : '-rw-r--r--';
-            const links = isDir ? '2' : '1';
-
-            // Determine ownership based on file path
-            const filePath = path === '/' ? `/${name}` : `${path}/${name}`;
-            const owner = this.getOwner(filePath);
-            const user = owner.user;
-            const group = owner.group;
-
-            let size: string;
-            if (isDir) {
-              size = '4096';
-            } else {
-              const bytes = (node[name] as string).length;
-              if (humanReadable) {
-                if (bytes < 1024) size = bytes + 'B';
-                else if (bytes < 1024 * 1024) size = Math.round(bytes / 1024) + 'K';
-                else size = Math.round(bytes / (1024 * 1024)) + 'M';
-              } else {
-                size = bytes.toString();
-              }
-            }
+  /**
+   * Steps a job with its own state swapped in for the shell's
+   */
+  private stepJob(
+    job: Job,
+    step: (run: Run<number>) => IteratorResult<Pause, number>
+  ): IteratorResult<Pause, number> {
+    const outer = this.saveShellState();
+    const runningJob = this.runningJob;
+    Object.assign(this, job.state);
+    this.runningJob = job;
+    try {
+      return step(job.run);
+    } finally {
+      job.state = this.saveShellState();
+      Object.assign(this, outer);
+      this.runningJob = runningJob;
+    }
+  }
 
-            const date = new Date().toLocaleDateString('en-US', {
-              month: 'short',
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit',
-            });
-
-            return `${perms} ${links} ${user.padEnd(8)} ${group.padEnd(8)} ${size.padStart(humanReadable ? 5 : 8)} ${date} ${name}`;
-          })
-          .join('\n');
-        results.push(listing);
-      } else {
-        // Simple format
-        const formatted = entries.map((name) => {
-          const isDir = typeof node[name] === 'object';
-          return isDir ? `${name}/` : name;
-        });
+  /**
+   * Runs a job until it finishes or stops to read the terminal, waiting for
+   * its async commands and holding while it's stopped. Between its slices
+   * the event loop, and so the shell, gets a turn. Never rejects.
+   */
+  private async driveJob(job: Job, answer: string | null): Promise<void> {
+    try {
+      let step = this.stepJob(job, (run) => run.next(answer));
+      for (;;) {
+        if (step.done) {
+          this.endJob(job, step.value, job.signal);
+          return;
+        }
+        if (!(step.value instanceof Waiting)) {
+          // Reading the terminal stops a background job until fg gives it the terminal
+          job.request = step.value;
+          this.stopJob(job);
+          return;
+        }
 
-        // If output is being piped, use one per line
-        // Otherwise, use columns (space-separated)
-        if (this._isPiped) {
-          results.push(formatted.join('\n'));
-        } else {
-          // Multi-column output for terminal display with wider spacing
-          results.push(formatted.join('    '));
+        await Promise.race([step.value.done, job.state.interrupter.interrupted]);
+        while (job.stopped && job.status === null) {
+          await this.jobChange(job);
+        }
+        if (job.status !== null) {
+          return;
         }
+        step = this.stepJob(job, (run) => run.next(null));
       }
+    } catch (error) {
+      this.writeTerminal(`bash: ${(error as Error).message}\n`, 'stderr');
+      this.endJob(job, 1, null);
     }
+  }
 
-    return results.join('\n');
+  /**
+   * Resolves the next time a job stops, continues or finishes
+   */
+  private jobChange(job: Job): Promise<void> {
+    return new Promise((resolve) => job.listeners.push(resolve));
   }
 
-  cmd_cd(args: string[]): string {
-    if (!args[0]) {
-      this.currentPath = this.environment.HOME;
-      this.environment.PWD = this.currentPath;
-      return '';
+  /**
+   * Tells whatever waits for a job that it changed, and that jobs hasn't shown it
+   */
+  private changeJob(job: Job): void {
+    job.notified = false;
+    for (const listener of job.listeners.splice(0)) {
+      listener();
     }
+  }
 
-    const newPath = this.resolvePath(args[0]);
-    const node = this.getNode(newPath);
+  private stopJob(job: Job): void {
+    job.stopped = true;
+    job.touched = ++this.jobClock;
+    this.changeJob(job);
+  }
 
-    if (node === null || node === undefined) {
-      return `cd: ${args[0]}: No such file or directory`;
+  /**
+   * Continues a stopped job, unless it's waiting to read the terminal
+   */
+  private continueJob(job: Job): void {
+    if (!job.stopped || job.request) {
+      return;
     }
+    job.stopped = false;
+    job.touched = ++this.jobClock;
+    this.changeJob(job);
+  }
 
-    if (typeof node === 'string') {
-      return `cd: ${args[0]}: Not a directory`;
+  private endJob(job: Job, status: number, signal: number | null): void {
+    job.status = status;
+    job.signal = signal;
+    job.stopped = false;
+    job.request = null;
+    this.processes.delete(job.pid);
+    this.changeJob(job);
+  }
+
+  /**
+   * Sends a signal to a job: stop signals stop it, CONT continues it, and
+   * the rest end it with 128 plus the signal
+   */
+  private signalJob(job: Job, signal: number): void {
+    if (job.status !== null || signal === 0) {
+      return;
+    }
+    if (isStopSignal(signal)) {
+      if (!job.stopped) {
+        this.stopJob(job);
+      }
+      return;
+    }
+    if (signal === SIGCONT) {
+      this.continueJob(job);
+      return;
     }
 
-    this.currentPath = newPath;
-    this.environment.PWD = this.currentPath;
-    return '';
+    if (this.runningJob === job) {
+      // A job killing itself stops where it is
+      job.signal = signal;
+      throw new ScriptExit(128 + signal);
+    }
+    this.endJob(job, 128 + signal, signal);
+    job.state.interrupter.abort();
+    this.stepJob(job, (run) => run.return(128 + signal));
   }
 
-  cmd_pwd(): string {
-    return this.currentPath;
+  /**
+   * The jobs this shell started, rather than a script or subshell it ran
+   */
+  private shellJobs(): Job[] {
+    return this.jobs.filter((job) => job.depth === this.subshellDepth);
   }
 
-  cmd_cat(args: string[]): string {
-    if (!args[0]) {
-      return 'cat: missing file operand';
-    }
-
-    const node = this.getNode(args[0]);
+  /**
+   * Jobs by how recently they started, stopped or continued, stopped ones
+   * first, so the first is the current job (%+) and the second the previous one (%-)
+   */
+  private jobsByRecency(): Job[] {
+    return this.shellJobs().sort(
+      (a, b) => Number(b.stopped) - Number(a.stopped) || b.touched - a.touched
+    );
+  }
 
-    if (node === null || node === undefined) {
-      return `cat: ${args[0]}: No such file or directory`;
+  /**
+   * Finds a job from a job spec: %N, %+, %% or %- for the current or
+   * previous job, %STRING for the one whose command starts with STRING, or
+   * %?STRING for the one containing it. fg, bg and jobs also take a bare N.
+   * Gives an error message when there's no such job.
+   */
+  private findJob(spec: string | undefined, builtin: string): Job | string {
+    const jobs = this.jobsByRecency();
+    if (spec === undefined || spec === '%' || spec === '%%' || spec === '%+') {
+      return jobs[0] || `${builtin}: current: no such job`;
+    }
+    if (spec === '%-') {
+      return jobs[1] || jobs[0] || `${builtin}: previous: no such job`;
     }
 
-    if (typeof node !== 'string') {
-      return `cat: ${args[0]}: Is a directory`;
+    const name = spec.replace(/^%/, '');
+    if (/^\d+$/.test(name)) {
+      const job = this.shellJobs().find((other) => other.id === parseInt(name, 10));
+      return job || `${builtin}: ${spec}: no such job`;
+    }
+    const matches = this.shellJobs().filter((job) =>
+      name.startsWith('?') ? job.command.includes(name.slice(1)) : job.command.startsWith(name)
+    );
+    if (matches.length > 1) {
+      return `${builtin}: ${spec}: ambiguous job spec`;
     }
+    return matches[0] || `${builtin}: ${spec}: no such job`;
+  }
 
-    return node;
+  /**
+   * A job as jobs shows it, with its PID for jobs -l
+   */
+  private formatJob(job: Job, withPid = false): string {
+    const [current, previous] = this.jobsByRecency();
+    const mark = job === current ? '+' : job === previous ? '-' : ' ';
+    let state: string;
+    if (job.status === null) {
+      state = job.stopped ? 'Stopped' : 'Running';
+    } else if (job.signal !== null) {
+      state = signalDescription(job.signal);
+    } else {
+      state = job.status === 0 ? 'Done' : `Exit ${job.status}`;
+    }
+    const command = job.status === null && !job.stopped ? `${job.command} &` : job.command;
+    const pid = withPid ? ` ${job.pid}` : ' ';
+    return `[${job.id}]${mark}${pid} ${state.padEnd(24)}${command}`;
   }
 
-  cmd_echo(args: string[]): string {
-    // Join arguments and remove surrounding quotes
-    const text = args.join(' ');
-    // Remove surrounding single or double quotes
-    return text.replace(/^["']|["']$/g, '');
+  /**
+   * Notices of jobs that finished or stopped since jobs last showed them,
+   * forgetting the finished ones
+   */
+  private jobNotices(): string {
+    let notices = '';
+    for (const job of this.shellJobs()) {
+      if (!job.notified) {
+        notices += `${this.formatJob(job)}\n`;
+        job.notified = true;
+      }
+    }
+    this.forgetFinishedJobs();
+    return notices;
   }
 
-  cmd_clear(): string {
-    return '__CLEAR__';
+  /**
+   * Drops finished jobs once they've been shown, and those of scripts and
+   * subshells that have ended, which show nothing
+   */
+  private forgetFinishedJobs(): void {
+    this.jobs = this.jobs.filter(
+      (job) => job.status === null || (!job.notified && job.depth <= this.subshellDepth)
+    );
   }
 
-  cmd_whoami(): string {
-    return this.environment.USER;
+  /**
+   * The job a process belongs to, if it's a running job's subshell or one of
+   * its commands
+   */
+  private jobOfProcess(pid: number): Job | undefined {
+    for (
+      let process = this.processes.get(pid);
+      process;
+      process = this.processes.get(process.ppid)
+    ) {
+      const job = this.jobs.find((other) => other.pid === process!.pid && other.status === null);
+      if (job) {
+        return job;
+      }
+    }
+    return undefined;
   }
 
-  cmd_date(): string {
-    return new Date().toString();
+  /**
+   * R for the command running now, T for stopped jobs, S for the rest
+   */
+  private processState(process: Process): ProcessState {
+    const job = this.jobOfProcess(process.pid);
+    if (job && job.stopped) {
+      return 'T';
+    }
+    return process.pid === this.parentPid ? 'R' : 'S';
   }
 
-  cmd_uname(args: string[]): string {
-    if (args.includes('-a')) {
-      return 'UnixShell 1.0.0 UnixShell Terminal x86_64 GNU/JavaScript';
+  /**
+   * Runs each and-or list in order, returning the last exit status
+   */
+  private *runList(list: ListNode, io: ShellIO): Run<number> {
+    let status = 0;
+
+    for (const item of list.items) {
+      if (item.background) {
+        this.startJob(item, io);
+        status = this.lastExitStatus = 0;
+      } else {
+        status = yield* this.runAndOr(item, io);
+      }
     }
-    return 'UnixShell';
+
+    return status;
   }
 
-  cmd_env(): string {
-    return Object.entries(this.environment)
-      .map(([key, value]) => `${key}=${value}`)
-      .join('\n');
+  /**
+   * Runs an && / || chain. Chains are left-associative: each operator looks
+   * at the status of whatever ran last, so "a || b && c" runs c when a succeeds.
+   */
+  private *runAndOr(node: AndOrNode, io: ShellIO): Run<number> {
+    let status = yield* this.runPipeline(node.first, io);
+
+    for (const { op, pipeline } of node.rest) {
+      if ((op === '&&' && status === 0) || (op === '||' && status !== 0)) {
+        status = yield* this.runPipeline(pipeline, io);
+      }
+    }
+
+    return status;
   }
 
-  cmd_history(): string {
-    return this.commandHistory.map((cmd, i) => `${i + 1}  ${cmd}`).join('\n');
+  /**
+   * Runs a pipeline, feeding each stage's output to the next stage's stdin.
+   * The pipeline's status is that of its last command, inverted by !.
+   */
+  private *runPipeline(pipeline: PipelineNode, io: ShellIO): Run<number> {
+    const last = pipeline.commands.length - 1;
+    let stdin: string | Pipe | null = io.stdin === undefined ? null : io.stdin;
+    const pipes: Pipe[] = [];
+    let status: number;
+
+    try {
+      for (let i = 0; i < last; i++) {
+        const pipe = new Pipe(this.interrupter);
+        const stageIO: ShellIO = {
+          stdout: (text) => pipe.write(text),
+          stderr: io.stderr,
+          isTTY: false,
+        };
+        pipes.push(pipe);
+        const run = this.runApart(this.runStage(pipeline.commands[i], stdin, stageIO), pipe);
+        stdin = yield* pipe.fill(run, this.readsPipe(pipeline.commands[i + 1]));
+      }
+      status = yield* this.runStage(pipeline.commands[last], stdin, io);
+    } finally {
+      for (const pipe of pipes) {
+        pipe.close();
+      }
+    }
+
+    if (pipeline.negated) {
+      status = status === 0 ? 1 : 0;
+    }
+
+    this.lastExitStatus = status;
+    return status;
   }
 
-  cmd_mkdir(args: string[]): string {
-    if (!args[0]) {
-      return 'mkdir: missing operand';
+  /**
+   * Runs one stage of a pipeline. Given a pipe, it reads it as the stage
+   * before writes to it, and closes it when done.
+   */
+  private *runStage(node: CommandNode, stdin: string | Pipe | null, io: ShellIO): Run<number> {
+    if (!(stdin instanceof Pipe)) {
+      return yield* this.runCommand(node, stdin, io);
+    }
+    try {
+      return yield* this.runCommand(node, null, { ...io, pipe: stdin });
+    } finally {
+      stdin.close();
     }
+  }
 
-    const path = this.resolvePath(args[0]);
+  /**
+   * Runs a stage writing to a pipe, which may be resumed while the stage
+   * reading it runs, with the pipe's signal and its own running built-in
+   */
+  private *runApart(run: Run<number>, pipe: Pipe): Run<number> {
+    let own = {
+      interrupter: pipe.interrupter,
+      commandIO: this.commandIO,
+      parentPid: this.parentPid,
+    };
+    const step = <T>(resume: () => T): T => {
+      const outer = {
+        interrupter: this.interrupter,
+        commandIO: this.commandIO,
+        parentPid: this.parentPid,
+      };
+      Object.assign(this, own);
+      try {
+        return resume();
+      } finally {
+        own = {
+          interrupter: this.interrupter,
+          commandIO: this.commandIO,
+          parentPid: this.parentPid,
+        };
+        Object.assign(this, outer);
+      }
+    };
 
-    // Check write permission
-    if (!this.canWrite(path)) {
-      return `mkdir: cannot create directory '${args[0]}': Permission denied`;
+    let answer: string | null = null;
+    try {
+      for (;;) {
+        const next = step(() => run.next(answer));
+        if (next.done) {
+          return next.value;
+        }
+        answer = yield next.value;
+      }
+    } finally {
+      step(() => run.return(0));
     }
+  }
 
-    const parts = path.split('/').filter((p) => p);
-    const dirName = parts.pop()!;
-    const parentPath = '/' + parts.join('/');
-    const parent = this.getNode(parentPath);
-
-    if (!parent) {
-      return `mkdir: cannot create directory '${args[0]}': No such file or directory`;
+  /**
+   * Whether a pipeline stage can read its pipe a line at a time: one of the
+   * filters that do, named outright, without < input
+   */
+  private readsPipe(node: CommandNode): boolean {
+    if (
+      node.type !== 'command' ||
+      node.redirects.some((redirect) => redirect.op === '<') ||
+      this.aliasFor(node) !== null
+    ) {
+      return false;
     }
+    const [first] = node.words;
+    const part = first && first.parts.length === 1 ? first.parts[0] : null;
+    return (
+      part !== null &&
+      part.type === 'literal' &&
+      !(part.value in this.functions) &&
+      this.pipeReaders.has(this.commands[part.value])
+    );
+  }
 
-    if (typeof parent !== 'object') {
-      return `mkdir: cannot create directory '${args[0]}': Not a directory`;
+  /**
+   * Runs one stage of a pipeline, returning its exit status
+   */
+  private *runCommand(node: CommandNode, stdin: string | null, io: ShellIO): Run<number> {
+    yield* this.checkpoint();
+    if (node.type === 'command') {
+      return yield* this.runSimpleCommand(node, stdin, io);
     }
 
-    if (dirName in parent) {
-      return `mkdir: cannot create directory '${args[0]}': File exists`;
+    if (node.type === 'function') {
+      this.functions[node.name] = node.body;
+      return 0;
     }
 
-    parent[dirName] = {};
-    return '';
+    const redirected = yield* this.applyRedirects(node.redirects, stdin, io);
+    return redirected ? yield* this.runCompound(node, redirected) : 1;
   }
 
-  cmd_touch(args: string[]): string {
-    if (!args[0]) {
-      return 'touch: missing file operand';
+  /**
+   * Runs a single simple command with its redirections, returning its exit status
+   */
+  private *runSimpleCommand(
+    node: SimpleCommandNode,
+    stdin: string | null,
+    io: ShellIO
+  ): Run<number> {
+    const alias = this.aliasFor(node);
+    if (alias !== null) {
+      return yield* this.runAlias(alias, node, { ...io, stdin });
     }
 
-    const path = this.resolvePath(args[0]);
-
-    // Check write permission
-    if (!this.canWrite(path)) {
-      return `touch: cannot touch '${args[0]}': Permission denied`;
+    this.substitutionStatus = null;
+    const args: string[] = [];
+    for (const word of node.words) {
+      args.push(...(yield* this.expandWord(word, io)));
     }
-
-    const parts = path.split('/').filter((p) => p);
-    const fileName = parts.pop()!;
-    const parentPath = '/' + parts.join('/');
-    const parent = this.getNode(parentPath);
-
-    if (!parent) {
-      return `touch: cannot touch '${args[0]}': No such file or directory`;
+    const [command, ...commandArgs] = args;
+
+    // NAME=value on its own sets a shell variable; before a command it only
+    // applies to that command's environment
+    const assigned: Record<string, string> = {};
+    for (const assignment of node.assignments) {
+      assigned[assignment.name] = yield* this.expandToString(assignment.value.parts, io);
+      if (command === undefined) {
+        this.setVariable(assignment.name, assigned[assignment.name]);
+      }
     }
 
-    if (typeof parent !== 'object') {
-      return `touch: cannot touch '${args[0]}': Not a directory`;
+    const target = yield* this.applyRedirects(node.redirects, stdin, io);
+    if (!target) {
+      return 1;
     }
 
-    if (!(fileName in parent)) {
-      parent[fileName] = '';
+    // A command with a slash is a file to run, never a function or built-in
+    const env =
+      node.assignments.length > 0 ? { ...this.environment, ...assigned } : this.environment;
+    if (command !== undefined && command.includes('/')) {
+      return yield* this.runExecutable(command, commandArgs, env, target);
     }
-    return '';
-  }
 
-  cmd_rm(args: string[]): string {
-    if (!args[0]) {
-      return 'rm: missing operand';
+    if (command !== undefined && command in this.functions) {
+      return yield* this.runFunction(command, commandArgs, assigned, target);
     }
 
-    // Parse flags
-    let recursive = false;
-    let force = false;
-    let verbose = false;
-    const targets: string[] = [];
+    if (command === undefined) {
+      // Redirections only, e.g. "> file" truncates. A bare assignment takes
+      // the status of its last command substitution.
+      return this.substitutionStatus === null ? 0 : this.substitutionStatus;
+    }
+    if (!(command in this.commands)) {
+      target.stderr(`${command}: command not found\n`);
+      return 127;
+    }
+    return yield* this.runBuiltin(command, commandArgs, env, target);
+  }
 
-    for (const arg of args) {
-      if (arg.startsWith('-')) {
-        if (arg.includes('r') || arg.includes('R')) recursive = true;
-        if (arg.includes('f')) force = true;
-        if (arg.includes('v')) verbose = true;
-      } else {
-        targets.push(arg);
+  /**
+   * Runs a built-in or custom command, writing its output to io. A command
+   * asking for input gets the next line of its stdin when that's piped or
+   * redirected, and waits for the terminal otherwise.
+   */
+  private *runBuiltin(command: string, args: string[], env: Environment, io: ShellIO): Run<number> {
+    const context: CommandContext = {
+      stdin: io.stdin === undefined ? null : io.stdin,
+      env,
+      cwd: this.currentPath,
+      isTTY: io.isTTY,
+      columns: this.terminalColumns,
+      signal: this.interrupter,
+    };
+    const input = lineReader(context.stdin);
+
+    let result: Required<CommandResult>;
+    const commandIO = this.commandIO;
+    const parentPid = this.parentPid;
+    const pid = this.startProcess([command, ...args]);
+    this.commandIO = io;
+    this.parentPid = pid;
+    try {
+      let output = this.commands[command](args, context);
+      while (!isFinalOutput(output)) {
+        if (output instanceof PausedRun) {
+          output = yield* this.resumeRun(output);
+        } else if (isInputRequest(output)) {
+          let answer: string | null;
+          if (io.pipe) {
+            answer = yield* io.pipe.readLine();
+          } else if (context.stdin === null) {
+            answer = yield { prompt: output.prompt, masked: !!output.masked };
+          } else {
+            answer = input.read();
+          }
+          output = output.onAnswer(answer);
+        } else if (isPromise(output)) {
+          output = yield* waitFor(output);
+        } else {
+          output = yield* this.writeChunks(output, io);
+        }
+      }
+      result = toCommandResult(output);
+    } catch (error) {
+      if (error instanceof ControlSignal) {
+        throw error;
       }
+      result = toCommandResult(failure(`Error executing ${command}: ${(error as Error).message}`));
+    } finally {
+      this.commandIO = commandIO;
+      this.parentPid = parentPid;
+      this.processes.delete(pid);
     }
 
-    if (targets.length === 0) {
-      return 'rm: missing operand';
+    if (result.stdout) {
+      io.stdout(result.stdout);
+    }
+    if (result.stderr) {
+      io.stderr(result.stderr);
     }
 
-    const errors: string[] = [];
-    const removed: string[] = [];
-
-    // Process each target
-    for (const target of targets) {
-      const path = this.resolvePath(target);
-      const parts = path.split('/').filter((p) => p);
-      const fileName = parts.pop()!;
-      const parentPath = '/' + parts.join('/');
-      const parent = this.getNode(parentPath);
-
-      // Check write permission
-      if (!this.canWrite(parentPath)) {
-        errors.push(`rm: cannot remove '${target}': Permission denied`);
-        continue;
-      }
+    return result.exitCode;
+  }
 
-      if (!parent || typeof parent !== 'object' || !(fileName in parent)) {
-        if (!force) {
-          errors.push(`rm: cannot remove '${target}': No such file or directory`);
+  /**
+   * Writes an async command's chunks as they come, returning its exit status
+   */
+  private *writeChunks(chunks: AsyncIterable<OutputChunk>, io: ShellIO): Run<CommandResult> {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let exitCode = 0;
+    let finished = false;
+    try {
+      for (;;) {
+        const next = yield* waitFor(iterator.next());
+        if (next.done) {
+          finished = true;
+          return { exitCode };
         }
-        continue;
-      }
-
-      const isDir = typeof parent[fileName] === 'object';
 
-      if (isDir && !recursive) {
-        if (!force) {
-          errors.push(`rm: cannot remove '${target}': Is a directory`);
+        const chunk = typeof next.value === 'string' ? { stdout: next.value } : next.value;
+        if (chunk.stdout) {
+          io.stdout(chunk.stdout);
+        }
+        if (chunk.stderr) {
+          io.stderr(chunk.stderr);
+        }
+        if (chunk.exitCode !== undefined) {
+          exitCode = chunk.exitCode;
         }
-        continue;
       }
-
-      delete parent[fileName];
-      if (verbose) {
-        removed.push(`removed '${target}'`);
+    } finally {
+      // Stop the command if it's abandoned or can't be waited for
+      if (!finished && iterator.return) {
+        iterator.return().catch(() => undefined);
       }
     }
+  }
 
-    // Build output
-    let output = '';
-    if (verbose && removed.length > 0) {
-      output = removed.join('\n');
-    }
-    if (errors.length > 0) {
-      if (output) output += '\n';
-      output += errors.join('\n');
+  /**
+   * Carries on with a built-in that paused where a command it runs had to
+   * stop, passing each pause on. If the run is abandoned, so is
+   * the built-in.
+   */
+  private *resumeRun(paused: PausedRun): Run<CommandOutput> {
+    let pause = paused.pause;
+    try {
+      for (;;) {
+        const step = paused.run.next(yield pause);
+        if (step.done) {
+          return step.value;
+        }
+        pause = step.value;
+      }
+    } finally {
+      paused.run.return('');
     }
-
-    return output;
   }
 
-  cmd_tree(): string {
-    const buildTree = (
-      node: FileSystemDirectory,
-      prefix: string = '',
-      isLast: boolean = true
-    ): string => {
-      let result = '';
-      const entries = Object.entries(node);
+  /**
+   * Finds the alias a command starts with, if its first word is an unquoted alias name
+   */
+  private aliasFor(node: SimpleCommandNode): string | null {
+    const first = node.words[0];
+    if (!first || first.parts.length !== 1) {
+      return null;
+    }
 
-      entries.forEach(([name, value], index) => {
-        const isLastEntry = index === entries.length - 1;
-        const connector = isLastEntry ? '└── ' : '├── ';
-        const isDir = typeof value === 'object';
+    const part = first.parts[0];
+    if (part.type !== 'literal' || part.quoted || !(part.value in this.aliases)) {
+      return null;
+    }
+    return this.expandingAliases.includes(part.value) ? null : part.value;
+  }
 
-        result += prefix + connector + name + (isDir ? '/\n' : '\n');
+  /**
+   * Runs a command whose first word is an alias. The alias text is parsed,
+   * and the rest of the command's words and redirections join its last command.
+   */
+  private *runAlias(name: string, node: SimpleCommandNode, io: ShellIO): Run<number> {
+    let list: ListNode;
+    try {
+      list = parse(this.aliases[name]);
+    } catch (error) {
+      if (!(error instanceof ShellSyntaxError)) throw error;
+      io.stderr(`bash: ${error.message}\n`);
+      return 2;
+    }
 
-        if (isDir) {
-          const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
-          result += buildTree(value as FileSystemDirectory, newPrefix, isLastEntry);
-        }
+    const rest: SimpleCommandNode = { ...node, words: node.words.slice(1) };
+    const lastItem = list.items[list.items.length - 1];
+    if (!lastItem) {
+      // alias x='' just drops the word
+      list.items.push({
+        type: 'andor',
+        first: { type: 'pipeline', negated: false, commands: [rest] },
+        rest: [],
       });
+    } else {
+      const pipeline = lastItem.rest.length
+        ? lastItem.rest[lastItem.rest.length - 1].pipeline
+        : lastItem.first;
+      const last = pipeline.commands[pipeline.commands.length - 1];
+      if (last.type === 'command') {
+        last.words.push(...rest.words);
+        last.redirects.push(...rest.redirects);
+      } else if (rest.words.length > 0) {
+        io.stderr(`bash: syntax error near unexpected token \`${rest.words[0].text}'\n`);
+        return 2;
+      }
 
-      return result;
-    };
+      const first = list.items[0].first.commands[0];
+      if (first.type === 'command') {
+        first.assignments.unshift(...node.assignments);
+      }
+    }
 
-    const node = this.getNode(this.currentPath);
-    return this.currentPath + '/\n' + buildTree(node as FileSystemDirectory);
+    this.expandingAliases.push(name);
+    try {
+      return yield* this.runList(list, io);
+    } finally {
+      this.expandingAliases.pop();
+    }
   }
 
-  cmd_ps(args: string[]): string {
-    // Basic ps command - shows minimal process list
-    // Can be overridden by custom commands for more detailed output
-
-    // Base processes
-    const processes: ProcessInfo[] = [
-      { pid: 1, user: 'root', tty: '?', time: '0:01', cmd: 'init' },
-      { pid: 100, user: this.currentUser, tty: 'pts/0', time: '0:00', cmd: 'bash' },
-      { pid: 101, user: this.currentUser, tty: 'pts/0', time: '0:00', cmd: 'ps' },
-    ];
+  /**
+   * Applies redirections in order, returning where the command's stdin,
+   * stdout and stderr now point, or null after reporting an error
+   */
+  private *applyRedirects(
+    redirects: Redirect[],
+    stdin: string | null,
+    io: ShellIO
+  ): Run<ShellIO | null> {
+    // Descriptor table: where fd 1 and fd 2 currently point
+    const fds: Record<number, (text: string) => void> = { 1: io.stdout, 2: io.stderr };
+    let isTTY = io.isTTY;
+    let pipe = io.pipe;
+
+    for (const redirect of redirects) {
+      const target = (yield* this.expandWord(redirect.target, io)).join(' ');
+
+      if (redirect.op === '<') {
+        const inputNode = this.openFile(target);
+        if (typeof inputNode === 'string') {
+          io.stderr(`bash: ${target}: ${inputNode}\n`);
+          return null;
+        }
+        stdin = fileText(inputNode);
+        pipe = undefined;
+        continue;
+      }
 
-    // Simple output format
-    let output = '  PID TTY          TIME CMD\n';
-    processes.forEach((p) => {
-      output += `${String(p.pid).padStart(5)} ${p.tty.padEnd(12)} ${p.time.padStart(8)} ${p.cmd}\n`;
-    });
+      // 2>&1 and >&2 point one descriptor at another
+      if (redirect.op === '>&' && /^\d+$/.test(target)) {
+        const source = parseInt(target, 10);
+        if (!(source in fds)) {
+          io.stderr(`bash: ${target}: Bad file descriptor\n`);
+          return null;
+        }
+        fds[redirect.fd] = fds[source];
+        if (redirect.fd === 1) {
+          isTTY = isTTY && source === 1;
+        }
+        continue;
+      }
 
-    return output;
-  }
+      // Open (and for > truncate) the file up front, like bash does
+      const append = redirect.op === '>>' || redirect.op === '&>>';
+      const openError = this.writeToFile(target, '', append ? 'append' : 'overwrite');
+      if (openError) {
+        io.stderr(toLines(openError));
+        return null;
+      }
 
-  cmd_vi(args: string[]): string {
-    return this.openEditor(args[0] || 'untitled');
-  }
+      const writeFile = (text: string): void => {
+        this.writeToFile(target, text, 'append');
+      };
+      if (redirect.op === '>&' || redirect.op === '&>' || redirect.op === '&>>') {
+        fds[1] = fds[2] = writeFile;
+        isTTY = false;
+      } else {
+        fds[redirect.fd] = writeFile;
+        if (redirect.fd === 1) {
+          isTTY = false;
+        }
+      }
+    }
 
-  cmd_vim(args: string[]): string {
-    return this.openEditor(args[0] || 'untitled');
+    return { stdout: fds[1], stderr: fds[2], isTTY, stdin, pipe };
   }
 
-  cmd_su(args: string[]): string {
-    const targetUser = args[0] || 'root';
-
-    // Push current user to stack before switching
-    this.userStack.push({
-      user: this.currentUser,
-      home: this.environment.HOME,
-      path: this.currentPath,
-    });
-
-    this.currentUser = targetUser;
-    this.environment.USER = targetUser;
-    this.environment.HOME = targetUser === 'root' ? '/root' : `/home/${targetUser}`;
-
-    // Keep current directory (don't change to home)
-    this.environment.PWD = this.currentPath;
-
-    return `__USER_SWITCHED__:${targetUser}`;
-  }
+  /**
+   * Runs if, loops, case, groups and [[ ]]
+   */
+  private *runCompound(node: CompoundCommandNode, io: ShellIO): Run<number> {
+    switch (node.type) {
+      case 'if':
+        for (const clause of node.clauses) {
+          if ((yield* this.runList(clause.condition, io)) === 0) {
+            return yield* this.runList(clause.body, io);
+          }
+        }
+        return node.elseBody ? yield* this.runList(node.elseBody, io) : 0;
+
+      case 'for': {
+        let items = this.positionalParams.slice();
+        if (node.items) {
+          items = [];
+          for (const word of node.items) {
+            items.push(...(yield* this.expandWord(word, io)));
+          }
+        }
+        let index = 0;
+        return yield* this.runLoop(function* (this: UnixShell) {
+          if (index >= items.length) return null;
+          this.setVariable(node.name, items[index++]);
+          return yield* this.runList(node.body, io);
+        });
+      }
 
-  cmd_sudo(args: string[]): string {
-    // Handle "sudo su" specifically
-    if (args[0] === 'su') {
-      return this.cmd_su(args.slice(1));
-    }
+      case 'while':
+        return yield* this.runLoop(function* (this: UnixShell) {
+          const status = yield* this.runList(node.condition, io);
+          if ((status === 0) === node.until) return null;
+          return yield* this.runList(node.body, io);
+        });
 
-    // For other sudo commands, just run as current user
-    const command = args[0];
-    const cmdArgs = args.slice(1);
+      case 'case': {
+        const value = yield* this.expandToString(node.word.parts, io);
+        for (const item of node.items) {
+          for (const pattern of item.patterns) {
+            if (this.globToRegExp(yield* this.expandSegments(pattern, io)).test(value)) {
+              return yield* this.runList(item.body, io);
+            }
+          }
+        }
+        return 0;
+      }
 
-    if (command in this.commands) {
-      return this.commands[command](cmdArgs);
-    } else {
-      return `sudo: ${command}: command not found`;
-    }
-  }
+      case 'group':
+        return node.subshell
+          ? yield* this.runSubshell(node.body, io)
+          : yield* this.runList(node.body, io);
 
-  cmd_exit(): string {
-    // Pop the previous user from the stack
-    if (this.userStack.length === 0) {
-      return 'exit: no other user session to return to';
+      case 'conditional':
+        return yield* this.runConditional(node.words, io);
     }
-
-    const previousUser = this.userStack.pop()!;
-    this.currentUser = previousUser.user;
-    this.environment.USER = previousUser.user;
-    this.environment.HOME = previousUser.home;
-    this.currentPath = previousUser.path;
-    this.environment.PWD = this.currentPath;
-
-    return `__USER_SWITCHED__:${previousUser.user}`;
   }
 
   /**
-   * Expands wildcards in arguments
+   * Runs loop iterations until one returns null, handling break and continue.
+   * The status is that of the last command run in the body.
    */
-  private expandWildcards(args: string[]): string[] {
-    const expanded: string[] = [];
-
-    for (const arg of args) {
-      // Check if argument contains wildcards
-      if (arg.includes('*') || arg.includes('?')) {
-        const currentDir = this.getNode(this.currentPath);
-
-        if (currentDir && typeof currentDir === 'object') {
-          const pattern = arg.replace(/\*/g, '.*').replace(/\?/g, '.');
-          const regex = new RegExp(`^${pattern}$`);
-          const matches = Object.keys(currentDir).filter((name) => regex.test(name));
+  private *runLoop(iterate: (this: UnixShell) => Run<number | null>): Run<number> {
+    let status = 0;
+    this.loopDepth++;
 
-          if (matches.length > 0) {
-            expanded.push(...matches);
-          } else {
-            // No matches, keep the pattern as-is
-            expanded.push(arg);
+    try {
+      for (;;) {
+        yield* this.checkpoint();
+        try {
+          const result = yield* iterate.call(this);
+          if (result === null) break;
+          status = result;
+        } catch (error) {
+          if (!(error instanceof LoopControl)) throw error;
+          // break 2 and continue 2 are handled by the next loop out
+          if (error.levels > 1) {
+            error.levels--;
+            throw error;
           }
-        } else {
-          expanded.push(arg);
+          status = 0;
+          if (error.kind === 'break') break;
         }
-      } else {
-        expanded.push(arg);
       }
+    } finally {
+      this.loopDepth--;
     }
 
-    return expanded;
+    return status;
   }
 
   /**
-   * Executes a command line input
+   * Counts a step of running code: a command, a turn of a loop or, for
+   * awk, a record. Every STEPS_PER_YIELD steps, and at once when the
+   * command line is interrupted, it pauses for the event loop, so that an
+   * endless loop still lets executeAsync be interrupted and background jobs
+   * take turns with the terminal.
    */
-  execute(commandLine: string): string {
-    if (!commandLine.trim()) {
-      return '';
+  private *checkpoint(): Run<void> {
+    if (++this.steps >= STEPS_PER_YIELD || this.interrupter.aborted) {
+      this.steps = 0;
+      yield new Yielding();
     }
+  }
 
-    // Add to history
-    this.commandHistory.push(commandLine);
+  /**
+   * Runs ( list ), undoing any changes to variables, functions and the
+   * working directory afterwards
+   */
+  private *runSubshell(list: ListNode, io: ShellIO): Run<number> {
+    const environment = { ...this.environment };
+    const variables = { ...this.variables };
+    const exportMarks = new Set(this.exportMarks);
+    const functions = { ...this.functions };
+    const positionalParams = this.positionalParams;
+    const currentPath = this.currentPath;
+    const umask = this.umask;
+    this.subshellDepth++;
 
-    // Check for pipe to grep
-    let grepPattern: string | null = null;
-    let grepFlags: GrepFlags = { ignoreCase: false, invert: false };
-    let actualCommand = commandLine;
-
-    const pipeIndex = commandLine.indexOf('|');
-    if (pipeIndex !== -1) {
-      const beforePipe = commandLine.substring(0, pipeIndex).trim();
-      const afterPipe = commandLine.substring(pipeIndex + 1).trim();
-
-      if (afterPipe.startsWith('grep ') || afterPipe === 'grep') {
-        actualCommand = beforePipe;
-        const grepCommand = afterPipe.substring(4).trim();
-
-        let grepArgs = grepCommand;
-        const redirectMatch = grepCommand.match(/^(.+?)\s*>>?\s*.+$/);
-        if (redirectMatch) {
-          grepArgs = redirectMatch[1].trim();
-          commandLine = beforePipe + ' ' + grepCommand.substring(grepArgs.length);
-        }
-
-        const grepParts = grepArgs.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
-
-        for (let i = 0; i < grepParts.length; i++) {
-          const part = grepParts[i];
-          if (part === '-i') {
-            grepFlags.ignoreCase = true;
-          } else if (part === '-v') {
-            grepFlags.invert = true;
-          } else if (!grepPattern) {
-            grepPattern = part.replace(/^["']|["']$/g, '');
-          }
-        }
-      }
+    try {
+      return yield* this.runList(list, io);
+    } catch (error) {
+      if (!(error instanceof ScriptExit)) throw error;
+      return error.status;
+    } finally {
+      this.environment = environment;
+      this.variables = variables;
+      this.exportMarks = exportMarks;
+      this.functions = functions;
+      this.positionalParams = positionalParams;
+      this.currentPath = currentPath;
+      this.umask = umask;
+      this.subshellDepth--;
     }
+  }
 
-    // Check for output redirection
-    let redirectMode: 'append' | 'overwrite' | null = null;
-    let redirectFile: string | null = null;
-
-    const appendMatch = commandLine.match(/^(.+?)\s*>>\s*(.+)$/);
-    const overwriteMatch = commandLine.match(/^(.+?)\s*>\s*(.+)$/);
+  /**
+   * Evaluates [[ expression ]]. Words aren't split or globbed, and the right
+   * side of == and != is a pattern unless quoted.
+   */
+  private *runConditional(words: Word[], io: ShellIO): Run<number> {
+    const args: TestArg[] = [];
+    for (const word of words) {
+      const segments = yield* this.expandSegments(word, io);
+      const [part] = word.parts;
+      args.push({
+        value: segments.map((segment) => segment.value).join(''),
+        operator: word.parts.length === 1 && part.type === 'literal' && !part.quoted,
+        pattern: this.globToRegExp(segments),
+      });
+    }
 
-    if (appendMatch) {
-      redirectMode = 'append';
-      actualCommand = appendMatch[1].trim();
-      redirectFile = appendMatch[2].trim();
-    } else if (overwriteMatch) {
-      redirectMode = 'overwrite';
-      actualCommand = overwriteMatch[1].trim();
-      redirectFile = overwriteMatch[2].trim();
+    try {
+      return evaluateTest(args, (op, path) => this.fileTest(op, path), true) ? 0 : 1;
+    } catch (error) {
+      if (error instanceof TestError) {
+        io.stderr(`bash: [[: ${error.message}\n`);
+        return 2;
+      }
+      throw error;
     }
+  }
 
-    // Parse command and arguments
-    const parts = actualCommand.trim().split(/\s+/);
-    const command = parts[0];
-    let args = parts.slice(1);
+  /**
+   * Calls a shell function with its own positional parameters and local scope
+   */
+  private *runFunction(
+    name: string,
+    args: string[],
+    assigned: Record<string, string>,
+    io: ShellIO
+  ): Run<number> {
+    if (this.localScopes.length >= MAX_FUNCTION_DEPTH) {
+      io.stderr(`bash: ${name}: maximum function nesting level exceeded (${MAX_FUNCTION_DEPTH})\n`);
+      return 1;
+    }
 
-    // Expand wildcards in arguments
-    args = this.expandWildcards(args);
+    const positionalParams = this.positionalParams;
+    const loopDepth = this.loopDepth;
+    this.positionalParams = args;
+    this.loopDepth = 0;
+    this.localScopes.push({});
+
+    // VAR=value before a function call lasts for the call
+    for (const [variable, value] of Object.entries(assigned)) {
+      this.declareLocal(variable);
+      delete this.variables[variable];
+      this.environment[variable] = value;
+    }
 
-    // Execute the command
-    let output = '';
-    if (command in this.commands) {
-      try {
-        this._isPiped = grepPattern !== null;
-        output = this.commands[command](args);
-        this._isPiped = false;
-      } catch (error) {
-        return `Error executing ${command}: ${(error as Error).message}`;
-      }
-    } else {
-      return `${command}: command not found`;
+    try {
+      const stdin = io.stdin === undefined ? null : io.stdin;
+      return yield* this.runCommand(this.functions[name], stdin, io);
+    } catch (error) {
+      if (!(error instanceof FunctionReturn)) throw error;
+      return error.status;
+    } finally {
+      this.restoreLocals(this.localScopes.pop()!);
+      this.positionalParams = positionalParams;
+      this.loopDepth = loopDepth;
     }
+  }
 
-    // Apply grep filter if present
-    if (grepPattern !== null && output) {
-      const lines = output.split('\n');
-      const filtered = lines.filter((line) => {
-        let matches: boolean;
-        if (grepFlags.ignoreCase) {
-          matches = line.toLowerCase().includes(grepPattern.toLowerCase());
-        } else {
-          matches = line.includes(grepPattern);
-        }
-        return grepFlags.invert ? !matches : matches;
-      });
-      output = filtered.join('\n');
-      if (output.endsWith('\n\n')) {
-        output = output.slice(0, -1);
-      }
+  /**
+   * Remembers a variable's current value so the running function can shadow it
+   */
+  private declareLocal(name: string): void {
+    const scope = this.localScopes[this.localScopes.length - 1];
+    if (!(name in scope)) {
+      const exported = name in this.environment;
+      scope[name] = { value: exported ? this.environment[name] : this.variables[name], exported };
     }
+  }
 
-    // Handle redirection
-    if (redirectMode && redirectFile) {
-      const writeResult = this.writeToFile(redirectFile, output, redirectMode);
-      if (writeResult) {
-        return writeResult;
+  /**
+   * Puts back the variables a function shadowed with "local"
+   */
+  private restoreLocals(scope: Record<string, SavedVariable>): void {
+    for (const [name, saved] of Object.entries(scope)) {
+      delete this.environment[name];
+      delete this.variables[name];
+      if (saved.value !== undefined) {
+        (saved.exported ? this.environment : this.variables)[name] = saved.value;
       }
-      // Save to storage after file write
-      this.saveToStorage();
-      return '';
     }
+  }
 
-    // Save to storage after command execution (if persistence is enabled)
-    this.saveToStorage();
-
-    return output;
+  /**
+   * Writes content to a file. Bytes make a binary file, as when importing
+   * one from the host.
+   */
+  writeToFile(
+    filePath: string,
+    content: string | Uint8Array,
+    mode: 'append' | 'overwrite'
+  ): string | null {
+    const error = this.writeFile(filePath, content, mode);
+    return error && `bash: ${filePath}: ${error}`;
   }
 
   /**
-   * Writes content to a file
+   * Writes content to a file as writeToFile does, giving just the error
+   * for commands such as tee to report their own way. Bytes make a binary
+   * file.
    */
-  writeToFile(filePath: string, content: string, mode: 'append' | 'overwrite'): string | null {
+  private writeFile(
+    filePath: string,
+    content: string | Uint8Array,
+    mode: 'append' | 'overwrite'
+  ): string | null {
     const fullPath = this.resolvePath(filePath);
-    const parts = fullPath.split('/').filter((p) => p);
-    const fileName = parts.pop()!;
-    const parentPath = '/' + parts.join('/');
-    const parent = this.getNode(parentPath);
 
-    if (!parent) {
-      return `bash: ${filePath}: No such file or directory`;
+    // Anything written to /dev/null is discarded
+    if (fullPath === '/dev/null') {
+      return null;
+    }
+
+    const found = this.findTarget(fullPath);
+    if (typeof found === 'string') {
+      return found;
     }
 
-    if (typeof parent !== 'object') {
-      return `bash: ${filePath}: Not a directory`;
+    const { parent, name: fileName, existing } = found;
+    if (!existing) {
+      if (!this.canAccess(parent, WRITE | EXECUTE)) {
+        return 'Permission denied';
+      }
+      const file = this.createFile('');
+      setContent(file, content);
+      parent.children[fileName] = file;
+      this.markModified(parent);
+      return null;
     }
 
-    if (fileName in parent && typeof parent[fileName] === 'object') {
-      return `bash: ${filePath}: Is a directory`;
+    if (existing.type === 'directory') {
+      return 'Is a directory';
     }
 
-    if (mode === 'append' && fileName in parent) {
-      parent[fileName] = (parent[fileName] as string) + content;
-    } else {
-      parent[fileName] = content;
+    if (!this.canAccess(existing, WRITE)) {
+      return 'Permission denied';
     }
 
+    if (mode === 'append' && (existing.encoding || typeof content !== 'string')) {
+      const bytes = typeof content === 'string' ? encodeStream(content) : content;
+      setContent(existing, concatBytes([fileBytes(existing), bytes]));
+    } else {
+      setContent(existing, mode === 'append' ? existing.content + content : content);
+    }
+    this.markModified(existing);
     return null;
   }
 
+  /**
+   * Tells the shell the terminal's size in characters, as the host measures
+   * it when it starts and whenever it's resized. Commands see the width as
+   * context.columns, and like bash it sets COLUMNS and LINES.
+   */
+  setTerminalSize(columns: number, rows: number): void {
+    this.terminalColumns = columns;
+    this.setVariable('COLUMNS', String(columns));
+    this.setVariable('LINES', String(rows));
+  }
+
   /**
    * Gets the current working directory
    */
@@ -1053,6 +10522,54 @@ export class UnixShell {
     return this.currentPath;
   }
 
+  /**
+   * The machine's name from /etc/hostname, or localhost
+   */
+  private hostname(): string {
+    const name = (this.readSystemFile('/etc/hostname') || '').trim();
+    return name || 'localhost';
+  }
+
+  /**
+   * Builds the prompt from $PS1, expanding \u, \h, \H, \w, \W, \$ and \n
+   * the way bash does. Without PS1 the prompt looks like user@host:~$
+   */
+  getPrompt(): string {
+    const ps1 = this.getVariable('PS1');
+    const template = ps1 === undefined ? '\\u@\\h:\\w\\$ ' : ps1;
+
+    const hostname = this.hostname();
+
+    const home = this.environment.HOME;
+    let path = this.currentPath;
+    if (home && path === home) {
+      path = '~';
+    } else if (home && path.startsWith(home + '/')) {
+      path = '~' + path.slice(home.length);
+    }
+
+    return template.replace(/\\([uhHwW$n\\])/g, (match, code: string) => {
+      switch (code) {
+        case 'u':
+          return this.currentUser;
+        case 'h':
+          return hostname.split('.')[0];
+        case 'H':
+          return hostname;
+        case 'w':
+          return path;
+        case 'W':
+          return path === '/' || path === '~' ? path : path.split('/').pop()!;
+        case '$':
+          return this.currentUser === 'root' ? '#' : '$';
+        case 'n':
+          return '\n';
+        default:
+          return '\\';
+      }
+    });
+  }
+
   /**
    * Gets the current user
    */
@@ -1061,15 +10578,19 @@ export class UnixShell {
   }
 
   /**
-   * Opens the Vi editor
+   * Opens the Vi editor. A file that can't be read opens empty and
+   * read-only, with the error showing, as in vim.
    */
   openEditor(filename: string): string {
     const fullPath = this.resolvePath(filename);
-    const node = this.getNode(fullPath);
+    const node = this.openFile(fullPath);
 
     let content = '';
-    if (node && typeof node === 'string') {
-      content = node;
+    let error = '';
+    if (typeof node !== 'string') {
+      content = fileText(node);
+    } else if (node !== 'No such file or directory') {
+      error = node;
     }
 
     const saveCallback = (filename: string, content: string): boolean => {
@@ -1088,7 +10609,14 @@ export class UnixShell {
     }
 
     if (typeof window !== 'undefined' && (window as any).ViEditor) {
-      new (window as any).ViEditor(filename, content, saveCallback, exitCallback);
+      new (window as any).ViEditor(
+        filename,
+        content,
+        saveCallback,
+        exitCallback,
+        error !== '',
+        error && `"${filename}" [${error}]`
+      );
     }
 
     return '__VI_OPENED__';
@@ -1117,15 +10645,18 @@ export class UnixShell {
       searchDir = this.resolvePath(dirPart);
     }
 
-    const node = this.getNode(searchDir);
-    if (!node || typeof node !== 'object') {
+    const node = this.findNode(searchDir);
+    if (typeof node === 'string' || node.type !== 'directory' || !this.canAccess(node, READ)) {
       return { type: 'path', matches: [], prefix: pathPrefix };
     }
 
-    const matches = Object.keys(node)
+    const matches = Object.keys(node.children)
       .filter((name) => name.startsWith(filePrefix))
       .map((name) => {
-        const isDir = typeof node[name] === 'object';
+        // Symlinks to directories complete like directories
+        const child = node.children[name];
+        const target = child.type === 'symlink' ? this.getNode(`${searchDir}/${name}`) : child;
+        const isDir = target !== null && target.type === 'directory';
         return isDir ? name + '/' : name;
       });
 
@@ -1133,5 +10664,22 @@ export class UnixShell {
   }
 }
 
+export { parse, tokenize, ShellSyntaxError } from './parser';
+export { hashPassword, verifyPassword } from './passwords';
+export { createLocalStorage, createMemoryStorage, createIndexedDBStorage } from './storage';
+export type { StorageAdapter } from './storage';
+export type {
+  Word,
+  WordPart,
+  Redirect,
+  SimpleCommandNode,
+  CommandNode,
+  CompoundCommandNode,
+  PipelineNode,
+  AndOrNode,
+  ListNode,
+  Token,
+} from './parser';
+
 // Default export for convenience
 export default UnixShell;
@@ -0,0 +1,195 @@
+// Listing files for ls: the orders entries sort in, coloring names as
+// LS_COLORS says, and laying names out in columns to fit the terminal
+
+/**
+ * What ls knows about an entry to sort, color and mark it
+ */
+export interface ListingEntry {
+  /** The name as shown: the operand as given, or the name in its directory */
+  name: string;
+  type: 'file' | 'directory' | 'symlink';
+  mode: number;
+  size: number;
+  mtime: number;
+  /** What a symlink points to, or null when it's dangling */
+  target?: { type: 'file' | 'directory' | 'symlink'; mode: number } | null;
+}
+
+/**
+ * Orders ls sorts in: by name, newest first (-t) or largest first (-S)
+ */
+export type ListingOrder = 'name' | 'time' | 'size';
+
+/**
+ * Terminal colors by LS_COLORS key: two-letter file types such as di, and
+ * *.ext patterns in the order given
+ */
+export type LsColors = Record<string, string>;
+
+// GNU ls's colors for when LS_COLORS doesn't give them
+const BUILTIN_COLORS: LsColors = {
+  rs: '0',
+  di: '01;34',
+  ln: '01;36',
+  ex: '01;32',
+  su: '37;41',
+  sg: '30;43',
+  st: '37;44',
+  ow: '34;42',
+  tw: '30;42',
+};
+
+// Columns take at least a character and the two spaces after it
+const MIN_COLUMN_WIDTH = 3;
+
+/**
+ * Sorts entries by name, newest first or largest first, ties going by
+ * name, then reverses them for -r
+ */
+export function sortEntries<T extends ListingEntry>(
+  entries: T[],
+  order: ListingOrder,
+  reverse: boolean
+): T[] {
+  const sorted = entries.slice().sort((a, b) => {
+    const key = order === 'time' ? b.mtime - a.mtime : order === 'size' ? b.size - a.size : 0;
+    return key || a.name.localeCompare(b.name);
+  });
+  return reverse ? sorted.reverse() : sorted;
+}
+
+/**
+ * Reads an LS_COLORS value, key=color pairs separated by colons, over
+ * GNU's built-in colors. Malformed pairs are skipped.
+ */
+export function parseLsColors(spec: string | undefined): LsColors {
+  const colors: LsColors = { ...BUILTIN_COLORS };
+  for (const pair of (spec || '').split(':')) {
+    const match = pair.match(/^(\*[^=]+|[a-z]{2})=([\d;]*|target)$/);
+    if (match) {
+      colors[match[1]] = match[2];
+    }
+  }
+  return colors;
+}
+
+/**
+ * The color for an entry's name: by file type and mode bits, then by the
+ * first *.ext pattern that ends the name. A dangling symlink is or, and
+ * ln=target colors a symlink as what it points to. Gives null for none.
+ */
+export function entryColor(entry: ListingEntry, colors: LsColors): string | null {
+  const { type, mode } = entry;
+  let color: string | undefined;
+  if (type === 'symlink') {
+    if (!entry.target) {
+      color = colors.or || colors.ln;
+    } else if (colors.ln === 'target') {
+      return entryColor({ ...entry, ...entry.target }, colors);
+    } else {
+      color = colors.ln;
+    }
+  } else if (type === 'directory') {
+    const sticky = (mode & 0o1000) !== 0;
+    const otherWritable = (mode & 0o002) !== 0;
+    color =
+      sticky && otherWritable
+        ? colors.tw
+        : otherWritable
+          ? colors.ow
+          : sticky
+            ? colors.st
+            : colors.di;
+  } else if (mode & 0o4000 && colors.su) {
+    color = colors.su;
+  } else if (mode & 0o2000 && colors.sg) {
+    color = colors.sg;
+  } else if (mode & 0o111 && colors.ex) {
+    color = colors.ex;
+  } else {
+    const name = entry.name.toLowerCase();
+    const pattern = Object.keys(colors).find(
+      (key) => key.startsWith('*') && name.endsWith(key.slice(1).toLowerCase())
+    );
+    color = pattern ? colors[pattern] : colors.fi;
+  }
+  return color && color !== 'target' && !/^0*$/.test(color) ? color : null;
+}
+
+/**
+ * Wraps a name in a terminal color, resetting it after
+ */
+export function colorName(name: string, color: string | null, colors: LsColors): string {
+  return color ? `\x1b[${color}m${name}\x1b[${colors.rs || '0'}m` : name;
+}
+
+/**
+ * The character -F puts after a name: / for directories, @ for symlinks
+ * and * for executable files
+ */
+export function classifyIndicator(type: ListingEntry['type'], mode: number): string {
+  if (type === 'directory') {
+    return '/';
+  }
+  if (type === 'symlink') {
+    return '@';
+  }
+  return mode & 0o111 ? '*' : '';
+}
+
+/**
+ * Lays out names in as many columns as fit in width, as ls -C does: down
+ * the columns, or across the rows for -x. Each column is as wide as its
+ * widest name and two spaces apart from the next. Names come with their
+ * width, which leaves out color codes. A width of 0 means no limit.
+ */
+export function formatGrid(
+  names: { text: string; width: number }[],
+  width: number,
+  across: boolean
+): string {
+  const count = names.length;
+  if (count === 0) {
+    return '';
+  }
+  const limit = width > 0 ? width : Infinity;
+  const maxColumns = Math.max(1, Math.min(count, Math.floor(limit / MIN_COLUMN_WIDTH)));
+
+  // The most columns whose widths, with the spaces between, stay narrower
+  // than the terminal, as GNU ls keeps the last character free
+  let layout = { columns: 1, widths: [0] };
+  for (let columns = maxColumns; columns > 1; columns--) {
+    const rows = Math.ceil(count / columns);
+    const widths: number[] = [];
+    names.forEach((name, i) => {
+      const column = across ? i % columns : Math.floor(i / rows);
+      widths[column] = Math.max(widths[column] || 0, name.width);
+    });
+    const used = widths.reduce((sum, w) => sum + w, 0) + 2 * (widths.length - 1);
+    if (used < limit) {
+      layout = { columns, widths };
+      break;
+    }
+  }
+
+  const { columns, widths } = layout;
+  const rows = Math.ceil(count / columns);
+  const lines: string[] = [];
+  for (let row = 0; row < rows; row++) {
+    let line = '';
+    for (let column = 0; column < columns; column++) {
+      const i = across ? row * columns + column : column * rows + row;
+      if (i >= count) {
+        break;
+      }
+      const next = across ? i + 1 : i + rows;
+      const last = column === columns - 1 || next >= count;
+      line += names[i].text;
+      if (!last) {
+        line += ' '.repeat(widths[column] - names[i].width + 2);
+      }
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,1104 @@
+// Command line lexer and parser
+// Turns a shell command line into an AST that UnixShell.execute walks
+
+/**
+ * Literal text in a shell word, remembering whether it was quoted
+ */
+export interface LiteralPart {
+  type: 'literal';
+  value: string;
+  quoted: boolean;
+}
+
+/**
+ * Operators in ${NAME<op>word}: use a default (-), assign a default (=) or
+ * use an alternative (+). With a colon, an empty value counts as unset.
+ */
+export type ParamOperator = ':-' | ':=' | ':+' | '-' | '=' | '+';
+
+/**
+ * A parameter reference such as $HOME, ${USER}, ${#PATH} or ${NAME:-default}
+ */
+export interface ParamPart {
+  type: 'param';
+  name: string;
+  quoted: boolean;
+  /** '#' for the length of the value, otherwise a default/alternative operator */
+  op?: ParamOperator | '#';
+  /** The word after the operator */
+  operand?: WordPart[];
+}
+
+/**
+ * A command substitution, $(...) or `...`
+ */
+export interface CommandPart {
+  type: 'command';
+  list: ListNode;
+  quoted: boolean;
+}
+
+/**
+ * A piece of a shell word
+ */
+export type WordPart = LiteralPart | ParamPart | CommandPart;
+
+/**
+ * A shell word made of literal and quoted parts
+ */
+export interface Word {
+  parts: WordPart[];
+  text: string;
+}
+
+/**
+ * Redirection operators. >& duplicates a descriptor (2>&1), &> sends both
+ * stdout and stderr to a file.
+ */
+export type RedirectOperator = '>' | '>>' | '<' | '>&' | '&>' | '&>>';
+
+/**
+ * A redirection attached to a command
+ */
+export interface Redirect {
+  op: RedirectOperator;
+  fd: number;
+  target: Word;
+}
+
+/**
+ * A NAME=value assignment before a command (or on its own)
+ */
+export interface Assignment {
+  name: string;
+  value: Word;
+}
+
+/**
+ * A simple command: assignments, words and redirections
+ */
+export interface SimpleCommandNode {
+  type: 'command';
+  assignments: Assignment[];
+  words: Word[];
+  redirects: Redirect[];
+}
+
+/**
+ * if/then, with any elif clauses, and an optional else
+ */
+export interface IfNode {
+  type: 'if';
+  clauses: { condition: ListNode; body: ListNode }[];
+  elseBody: ListNode | null;
+  redirects: Redirect[];
+}
+
+/**
+ * for NAME in words; do ...; done. Without "in", loops over "$@".
+ */
+export interface ForNode {
+  type: 'for';
+  name: string;
+  items: Word[] | null;
+  body: ListNode;
+  redirects: Redirect[];
+}
+
+/**
+ * while and until loops
+ */
+export interface WhileNode {
+  type: 'while';
+  until: boolean;
+  condition: ListNode;
+  body: ListNode;
+  redirects: Redirect[];
+}
+
+/**
+ * case WORD in pattern|pattern) ...;; esac
+ */
+export interface CaseNode {
+  type: 'case';
+  word: Word;
+  items: { patterns: Word[]; body: ListNode }[];
+  redirects: Redirect[];
+}
+
+/**
+ * { list; } runs in the current shell, ( list ) in a subshell
+ */
+export interface GroupNode {
+  type: 'group';
+  subshell: boolean;
+  body: ListNode;
+  redirects: Redirect[];
+}
+
+/**
+ * [[ expression ]]. Unquoted operators such as && and ( are kept as words.
+ */
+export interface ConditionalNode {
+  type: 'conditional';
+  words: Word[];
+  redirects: Redirect[];
+}
+
+/**
+ * name() { ...; } or function name { ...; }
+ */
+export interface FunctionNode {
+  type: 'function';
+  name: string;
+  body: CompoundCommandNode;
+}
+
+/**
+ * Commands that group other commands
+ */
+export type CompoundCommandNode =
+  | IfNode
+  | ForNode
+  | WhileNode
+  | CaseNode
+  | GroupNode
+  | ConditionalNode;
+
+/**
+ * Anything that can be a stage in a pipeline
+ */
+export type CommandNode = SimpleCommandNode | CompoundCommandNode | FunctionNode;
+
+/**
+ * Commands joined with |, optionally negated with !
+ */
+export interface PipelineNode {
+  type: 'pipeline';
+  negated: boolean;
+  commands: CommandNode[];
+}
+
+/**
+ * Pipelines joined with && and ||
+ */
+export interface AndOrNode {
+  type: 'andor';
+  first: PipelineNode;
+  rest: { op: '&&' | '||'; pipeline: PipelineNode }[];
+  /** Set when it ends with & to run in the background */
+  background?: boolean;
+}
+
+/**
+ * And-or lists separated by ;, & or newlines
+ */
+export interface ListNode {
+  type: 'list';
+  items: AndOrNode[];
+}
+
+/**
+ * Operator tokens recognized by the lexer
+ */
+export type Operator = '|' | '||' | '&&' | '&' | ';' | ';;' | '(' | ')' | '\n' | RedirectOperator;
+
+/**
+ * Lexer token
+ */
+export type Token = { type: 'word'; word: Word } | { type: 'op'; op: Operator; fd?: number };
+
+/**
+ * Raised for malformed command lines (unterminated quotes, stray operators)
+ */
+export class ShellSyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ShellSyntaxError';
+    Object.setPrototypeOf(this, ShellSyntaxError.prototype);
+  }
+}
+
+// Longest operators first so '>>' wins over '>'
+const OPERATORS: Operator[] = [
+  '||',
+  '&&',
+  '&>>',
+  '&>',
+  '>>',
+  '>&',
+  ';;',
+  '|',
+  '&',
+  ';',
+  '(',
+  ')',
+  '>',
+  '<',
+  '\n',
+];
+
+const REDIRECT_OPERATORS: RedirectOperator[] = ['>', '>>', '<', '>&', '&>', '&>>'];
+
+// Parameters that can follow $ without braces
+const SPECIAL_PARAMS = '?$#@*!0123456789';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+// Operators allowed inside ${NAME<op>word}
+const PARAM_OPERATORS: ParamOperator[] = [':-', ':=', ':+', '-', '=', '+'];
+
+// Words that close a compound command, so a list inside one stops there
+const CLOSING_WORDS = ['then', 'elif', 'else', 'fi', 'do', 'done', 'esac', '}'];
+
+// Binary operators in [[ ]] that the lexer reads as redirections
+const CONDITIONAL_OPERATORS: Operator[] = ['&&', '||', '(', ')', '<', '>'];
+
+const isBlank = (ch: string): boolean => ch === ' ' || ch === '\t' || ch === '\r';
+
+/**
+ * Reads the parts of one word, starting at a given position. Top-level words
+ * stop at blanks and operators; nested text (the word in ${X:-word}) runs to
+ * the end of its input.
+ */
+class WordReader {
+  public parts: WordPart[] = [];
+
+  constructor(
+    private input: string,
+    public pos: number,
+    private nested: boolean = false
+  ) {}
+
+  read(): WordPart[] {
+    const input = this.input;
+
+    while (this.pos < input.length) {
+      const c = input[this.pos];
+
+      if (!this.nested && (isBlank(c) || OPERATORS.some((o) => input.startsWith(o, this.pos)))) {
+        break;
+      }
+
+      if (c === '\\') {
+        if (input[this.pos + 1] === '\n') {
+          this.pos += 2;
+        } else if (this.pos + 1 < input.length) {
+          this.pushLiteral(input[this.pos + 1], true);
+          this.pos += 2;
+        } else {
+          this.pushLiteral('\\', false);
+          this.pos++;
+        }
+        continue;
+      }
+
+      if (c === "'") {
+        const end = input.indexOf("'", this.pos + 1);
+        if (end === -1) {
+          throw new ShellSyntaxError("unexpected EOF while looking for matching `''");
+        }
+        this.pushLiteral(input.slice(this.pos + 1, end), true);
+        this.pos = end + 1;
+        continue;
+      }
+
+      if (c === '"') {
+        this.readDoubleQuoted();
+        continue;
+      }
+
+      if (c === '$' && this.readDollar(false)) {
+        continue;
+      }
+
+      if (c === '`') {
+        this.readBackticks(false);
+        continue;
+      }
+
+      this.pushLiteral(c, false);
+      this.pos++;
+    }
+
+    return this.parts;
+  }
+
+  private pushLiteral(value: string, quoted: boolean): void {
+    const last = this.parts[this.parts.length - 1];
+    if (last && last.type === 'literal' && last.quoted === quoted) {
+      last.value += value;
+    } else {
+      this.parts.push({ type: 'literal', value, quoted });
+    }
+  }
+
+  private readDoubleQuoted(): void {
+    const input = this.input;
+    this.pos++;
+    // An empty "" still produces a (quoted, empty) part
+    this.pushLiteral('', true);
+
+    while (this.pos < input.length && input[this.pos] !== '"') {
+      const c = input[this.pos];
+      // Inside double quotes a backslash only escapes $ ` " \ and newline
+      if (c === '\\' && this.pos + 1 < input.length && '$`"\\\n'.includes(input[this.pos + 1])) {
+        if (input[this.pos + 1] !== '\n') {
+          this.pushLiteral(input[this.pos + 1], true);
+        }
+        this.pos += 2;
+      } else if (c === '$' && this.readDollar(true)) {
+        continue;
+      } else if (c === '`') {
+        this.readBackticks(true);
+      } else {
+        this.pushLiteral(c, true);
+        this.pos++;
+      }
+    }
+
+    if (this.pos >= input.length) {
+      throw new ShellSyntaxError('unexpected EOF while looking for matching `"\'');
+    }
+    this.pos++;
+  }
+
+  /**
+   * Reads a $ expansion at the current position, returning false if the $ is literal
+   */
+  private readDollar(quoted: boolean): boolean {
+    const input = this.input;
+    const next = input[this.pos + 1];
+
+    if (next === '{') {
+      this.readBracedParam(quoted);
+      return true;
+    }
+
+    if (next === '(') {
+      const end = this.findClosingParen(this.pos + 2);
+      const list = parse(input.slice(this.pos + 2, end));
+      this.parts.push({ type: 'command', list, quoted });
+      this.pos = end + 1;
+      return true;
+    }
+
+    const name = NAME_PATTERN.exec(input.slice(this.pos + 1));
+    if (name) {
+      this.parts.push({ type: 'param', name: name[0], quoted });
+      this.pos += 1 + name[0].length;
+      return true;
+    }
+
+    if (next !== undefined && SPECIAL_PARAMS.includes(next)) {
+      this.parts.push({ type: 'param', name: next, quoted });
+      this.pos += 2;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Finds the ) that closes a $( starting at the given position, skipping
+   * over quoted text and nested parentheses
+   */
+  private findClosingParen(start: number): number {
+    const input = this.input;
+    let depth = 1;
+    let i = start;
+
+    while (i < input.length) {
+      const c = input[i];
+      if (c === '\\') {
+        i += 2;
+        continue;
+      }
+      if (c === "'" || c === '"') {
+        let end = i + 1;
+        while (end < input.length && input[end] !== c) {
+          end += c === '"' && input[end] === '\\' ? 2 : 1;
+        }
+        i = end + 1;
+        continue;
+      }
+      if (c === '(') {
+        depth++;
+      } else if (c === ')' && --depth === 0) {
+        return i;
+      }
+      i++;
+    }
+
+    throw new ShellSyntaxError("unexpected EOF while looking for matching `)'");
+  }
+
+  /**
+   * Reads `command`, where \`, \$ and \\ are unescaped before parsing
+   */
+  private readBackticks(quoted: boolean): void {
+    const input = this.input;
+    let source = '';
+    let i = this.pos + 1;
+
+    while (i < input.length && input[i] !== '`') {
+      if (input[i] === '\\' && '`$\\'.includes(input[i + 1])) {
+        source += input[i + 1];
+        i += 2;
+      } else {
+        source += input[i];
+        i++;
+      }
+    }
+
+    if (i >= input.length) {
+      throw new ShellSyntaxError("unexpected EOF while looking for matching ``'");
+    }
+
+    this.parts.push({ type: 'command', list: parse(source), quoted });
+    this.pos = i + 1;
+  }
+
+  /**
+   * Reads ${NAME}, ${#NAME} and ${NAME<op>word}
+   */
+  private readBracedParam(quoted: boolean): void {
+    const input = this.input;
+    const start = this.pos + 2;
+    let depth = 1;
+    let end = start;
+
+    while (end < input.length && depth > 0) {
+      if (input[end] === '\\') {
+        end += 2;
+        continue;
+      }
+      if (input.startsWith('${', end)) {
+        depth++;
+        end++;
+      } else if (input[end] === '}') {
+        depth--;
+      }
+      if (depth > 0) end++;
+    }
+
+    if (depth > 0) {
+      throw new ShellSyntaxError("unexpected EOF while looking for matching `}'");
+    }
+
+    const body = input.slice(start, end);
+    this.pos = end + 1;
+
+    const length = /^#([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?$#@*!])$/.exec(body);
+    if (length) {
+      this.parts.push({ type: 'param', name: length[1], quoted, op: '#' });
+      return;
+    }
+
+    const name = /^([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?$#@*!])/.exec(body);
+    if (!name) {
+      throw new ShellSyntaxError(`\${${body}}: bad substitution`);
+    }
+
+    const rest = body.slice(name[1].length);
+    if (!rest) {
+      this.parts.push({ type: 'param', name: name[1], quoted });
+      return;
+    }
+
+    const op = PARAM_OPERATORS.find((o) => rest.startsWith(o));
+    if (!op) {
+      throw new ShellSyntaxError(`\${${body}}: bad substitution`);
+    }
+
+    const operand = new WordReader(rest.slice(op.length), 0, true).read();
+    if (quoted) {
+      operand.forEach((part) => (part.quoted = true));
+    }
+    this.parts.push({ type: 'param', name: name[1], quoted, op, operand });
+  }
+}
+
+/**
+ * Splits a command line into word and operator tokens
+ */
+export function tokenize(input: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (isBlank(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line continuation
+    if (ch === '\\' && input[i + 1] === '\n') {
+      i += 2;
+      continue;
+    }
+
+    // Comments run to the end of the line
+    if (ch === '#') {
+      while (i < input.length && input[i] !== '\n') {
+        i++;
+      }
+      continue;
+    }
+
+    // A descriptor number directly before a redirection, as in 2> or 2>&1
+    const ioNumber = /^(\d+)(?=[<>])/.exec(input.slice(i));
+    if (ioNumber) {
+      const op = OPERATORS.find((o) => input.startsWith(o, i + ioNumber[1].length));
+      if (op && REDIRECT_OPERATORS.includes(op as RedirectOperator) && op[0] !== '&') {
+        tokens.push({ type: 'op', op, fd: parseInt(ioNumber[1], 10) });
+        i += ioNumber[1].length + op.length;
+        continue;
+      }
+    }
+
+    const op = OPERATORS.find((o) => input.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', op });
+      i += op.length;
+      continue;
+    }
+
+    const reader = new WordReader(input, i);
+    const parts = reader.read();
+    tokens.push({ type: 'word', word: { parts, text: input.slice(i, reader.pos) } });
+    i = reader.pos;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recognizes NAME=value words, which must start with an unquoted name and =
+ */
+function toAssignment(word: Word): Assignment | null {
+  const first = word.parts[0];
+  if (!first || first.type !== 'literal' || first.quoted) {
+    return null;
+  }
+
+  const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(first.value);
+  if (!match) {
+    return null;
+  }
+
+  const rest = first.value.slice(match[0].length);
+  const parts: WordPart[] = rest ? [{ ...first, value: rest }] : [];
+  parts.push(...word.parts.slice(1));
+  if (parts.length === 0) {
+    parts.push({ type: 'literal', value: '', quoted: true });
+  }
+
+  return { name: match[1], value: { parts, text: word.text.slice(match[0].length) } };
+}
+
+/**
+ * Whether a token is the given unquoted word, as reserved words must be
+ */
+function isWord(token: Token | undefined, text: string): boolean {
+  if (!token || token.type !== 'word' || token.word.parts.length !== 1) {
+    return false;
+  }
+  const part = token.word.parts[0];
+  return part.type === 'literal' && !part.quoted && part.value === text;
+}
+
+/**
+ * A word holding an operator's text, for operators inside [[ ]]
+ */
+function operatorWord(op: Operator): Word {
+  return { parts: [{ type: 'literal', value: op, quoted: false }], text: op };
+}
+
+/**
+ * Recursive descent parser over the token stream
+ */
+class Parser {
+  private pos = 0;
+
+  constructor(private tokens: Token[]) {}
+
+  parse(): ListNode {
+    const list = this.parseList();
+    const token = this.peek();
+    if (token) {
+      throw this.unexpected(token);
+    }
+    return list;
+  }
+
+  private peek(offset = 0): Token | undefined {
+    return this.tokens[this.pos + offset];
+  }
+
+  private peekOp(...ops: Operator[]): Operator | null {
+    const token = this.peek();
+    if (token && token.type === 'op' && ops.includes(token.op)) {
+      return token.op;
+    }
+    return null;
+  }
+
+  private skipNewlines(): void {
+    while (this.peekOp('\n')) {
+      this.pos++;
+    }
+  }
+
+  private unexpected(token?: Token): ShellSyntaxError {
+    if (!token) {
+      return new ShellSyntaxError('syntax error: unexpected end of file');
+    }
+    const text = token.type === 'op' ? (token.op === '\n' ? 'newline' : token.op) : token.word.text;
+    return new ShellSyntaxError(`syntax error near unexpected token \`${text}'`);
+  }
+
+  /**
+   * Consumes a reserved word, or fails with a syntax error
+   */
+  private expectWord(text: string): void {
+    if (!isWord(this.peek(), text)) {
+      throw this.unexpected(this.peek());
+    }
+    this.pos++;
+  }
+
+  /**
+   * Whether the next token ends the list being parsed
+   */
+  private atListEnd(): boolean {
+    const token = this.peek();
+    if (!token) return true;
+    if (token.type === 'op') return token.op === ')' || token.op === ';;';
+    return CLOSING_WORDS.some((word) => isWord(token, word));
+  }
+
+  private parseList(): ListNode {
+    const items: AndOrNode[] = [];
+    this.skipNewlines();
+
+    while (!this.atListEnd()) {
+      const item = this.parseAndOr();
+      items.push(item);
+      const op = this.peekOp(';', '&', '\n');
+      if (!op) {
+        break;
+      }
+      if (op === '&') {
+        item.background = true;
+      }
+      this.pos++;
+      this.skipNewlines();
+    }
+
+    return { type: 'list', items };
+  }
+
+  /**
+   * Parses the body of a compound command, which can't be empty
+   */
+  private parseBody(): ListNode {
+    const list = this.parseList();
+    if (list.items.length === 0) {
+      throw this.unexpected(this.peek());
+    }
+    return list;
+  }
+
+  private parseAndOr(): AndOrNode {
+    const node: AndOrNode = { type: 'andor', first: this.parsePipeline(), rest: [] };
+    let op: Operator | null;
+    while ((op = this.peekOp('&&', '||'))) {
+      this.pos++;
+      this.skipNewlines();
+      node.rest.push({ op: op as '&&' | '||', pipeline: this.parsePipeline() });
+    }
+    return node;
+  }
+
+  private parsePipeline(): PipelineNode {
+    const negated = isWord(this.peek(), '!');
+    if (negated) {
+      this.pos++;
+    }
+
+    const commands = [this.parseCommand()];
+    while (this.peekOp('|')) {
+      this.pos++;
+      this.skipNewlines();
+      commands.push(this.parseCommand());
+    }
+    return { type: 'pipeline', negated, commands };
+  }
+
+  private parseCommand(): CommandNode {
+    const token = this.peek();
+
+    if (token && token.type === 'op' && token.op === '(') {
+      this.pos++;
+      const body = this.parseBody();
+      if (!this.peekOp(')')) {
+        throw this.unexpected(this.peek());
+      }
+      this.pos++;
+      return this.withRedirects({ type: 'group', subshell: true, body, redirects: [] });
+    }
+
+    if (token && token.type === 'word') {
+      const compound = this.parseCompound();
+      if (compound) {
+        return this.withRedirects(compound);
+      }
+
+      if (isWord(token, 'function')) {
+        this.pos++;
+        return this.parseFunction();
+      }
+
+      // name() starts a function definition
+      const next = this.peek(1);
+      if (next && next.type === 'op' && next.op === '(') {
+        return this.parseFunction();
+      }
+
+      if (CLOSING_WORDS.some((word) => isWord(token, word))) {
+        throw this.unexpected(token);
+      }
+    }
+
+    return this.parseSimpleCommand();
+  }
+
+  /**
+   * Parses a compound command starting with a reserved word, if there is one
+   */
+  private parseCompound(): CompoundCommandNode | null {
+    const token = this.peek();
+
+    if (isWord(token, 'if')) {
+      return this.parseIf();
+    }
+    if (isWord(token, 'for')) {
+      return this.parseFor();
+    }
+    if (isWord(token, 'while') || isWord(token, 'until')) {
+      this.pos++;
+      const condition = this.parseBody();
+      this.expectWord('do');
+      const body = this.parseBody();
+      this.expectWord('done');
+      return { type: 'while', until: isWord(token, 'until'), condition, body, redirects: [] };
+    }
+    if (isWord(token, 'case')) {
+      return this.parseCase();
+    }
+    if (isWord(token, '{')) {
+      this.pos++;
+      const body = this.parseBody();
+      this.expectWord('}');
+      return { type: 'group', subshell: false, body, redirects: [] };
+    }
+    if (isWord(token, '[[')) {
+      return this.parseConditional();
+    }
+
+    return null;
+  }
+
+  private parseIf(): IfNode {
+    const node: IfNode = { type: 'if', clauses: [], elseBody: null, redirects: [] };
+
+    do {
+      this.pos++;
+      const condition = this.parseBody();
+      this.expectWord('then');
+      node.clauses.push({ condition, body: this.parseBody() });
+    } while (isWord(this.peek(), 'elif'));
+
+    if (isWord(this.peek(), 'else')) {
+      this.pos++;
+      node.elseBody = this.parseBody();
+    }
+    this.expectWord('fi');
+    return node;
+  }
+
+  private parseFor(): ForNode {
+    this.pos++;
+    const nameToken = this.peek();
+    if (
+      !nameToken ||
+      nameToken.type !== 'word' ||
+      !/^[A-Za-z_][A-Za-z0-9_]*$/.test(nameToken.word.text)
+    ) {
+      throw this.unexpected(nameToken);
+    }
+    this.pos++;
+
+    let items: Word[] | null = null;
+    this.skipNewlines();
+    if (isWord(this.peek(), 'in')) {
+      this.pos++;
+      items = [];
+      let token: Token | undefined;
+      while ((token = this.peek()) && token.type === 'word') {
+        items.push(token.word);
+        this.pos++;
+      }
+    }
+
+    if (this.peekOp(';', '\n')) {
+      this.pos++;
+    }
+    this.skipNewlines();
+    this.expectWord('do');
+    const body = this.parseBody();
+    this.expectWord('done');
+
+    return { type: 'for', name: nameToken.word.text, items, body, redirects: [] };
+  }
+
+  private parseCase(): CaseNode {
+    this.pos++;
+    const wordToken = this.peek();
+    if (!wordToken || wordToken.type !== 'word') {
+      throw this.unexpected(wordToken);
+    }
+    this.pos++;
+    this.skipNewlines();
+    this.expectWord('in');
+    this.skipNewlines();
+
+    const node: CaseNode = { type: 'case', word: wordToken.word, items: [], redirects: [] };
+    while (!isWord(this.peek(), 'esac')) {
+      if (this.peekOp('(')) {
+        this.pos++;
+      }
+
+      const patterns: Word[] = [];
+      for (;;) {
+        const pattern = this.peek();
+        if (!pattern || pattern.type !== 'word') {
+          throw this.unexpected(pattern);
+        }
+        patterns.push(pattern.word);
+        this.pos++;
+        if (!this.peekOp('|')) break;
+        this.pos++;
+      }
+
+      if (!this.peekOp(')')) {
+        throw this.unexpected(this.peek());
+      }
+      this.pos++;
+
+      // An item's commands may be empty, as in "*) ;;"
+      node.items.push({ patterns, body: this.parseList() });
+      if (!this.peekOp(';;')) break;
+      this.pos++;
+      this.skipNewlines();
+    }
+
+    this.expectWord('esac');
+    return node;
+  }
+
+  private parseConditional(): ConditionalNode {
+    this.pos++;
+    const words: Word[] = [];
+
+    for (;;) {
+      const token = this.peek();
+      if (!token) {
+        throw this.unexpected(token);
+      }
+      this.pos++;
+      if (isWord(token, ']]')) break;
+
+      if (token.type === 'word') {
+        words.push(token.word);
+      } else if (CONDITIONAL_OPERATORS.includes(token.op)) {
+        words.push(operatorWord(token.op));
+      } else if (token.op !== '\n') {
+        throw this.unexpected(token);
+      }
+    }
+
+    if (words.length === 0) {
+      throw this.unexpected(this.peek(-1));
+    }
+    return { type: 'conditional', words, redirects: [] };
+  }
+
+  private parseFunction(): FunctionNode {
+    const nameToken = this.peek();
+    if (!nameToken || nameToken.type !== 'word' || /[$`'"\\=]/.test(nameToken.word.text)) {
+      throw this.unexpected(nameToken);
+    }
+    this.pos++;
+
+    if (this.peekOp('(')) {
+      this.pos++;
+      if (!this.peekOp(')')) {
+        throw this.unexpected(this.peek());
+      }
+      this.pos++;
+    }
+    this.skipNewlines();
+
+    const body = this.parseCompound();
+    if (!body) {
+      throw this.unexpected(this.peek());
+    }
+    return { type: 'function', name: nameToken.word.text, body: this.withRedirects(body) };
+  }
+
+  /**
+   * Reads redirections after a compound command, as in "done > out.txt"
+   */
+  private withRedirects<T extends CompoundCommandNode>(node: T): T {
+    let redirect: Redirect | null;
+    while ((redirect = this.parseRedirect())) {
+      node.redirects.push(redirect);
+    }
+    return node;
+  }
+
+  /**
+   * Parses a redirection operator and its target, if one is next
+   */
+  private parseRedirect(): Redirect | null {
+    const token = this.peek();
+    const op = this.peekOp(...REDIRECT_OPERATORS) as RedirectOperator | null;
+    if (!token || token.type !== 'op' || !op) {
+      return null;
+    }
+
+    const fd = token.fd !== undefined ? token.fd : op === '<' ? 0 : 1;
+    this.pos++;
+    const target = this.peek();
+    if (!target || target.type !== 'word') {
+      throw this.unexpected(target);
+    }
+    this.pos++;
+    return { op, fd, target: target.word };
+  }
+
+  private parseSimpleCommand(): SimpleCommandNode {
+    const node: SimpleCommandNode = { type: 'command', assignments: [], words: [], redirects: [] };
+
+    for (;;) {
+      const token = this.peek();
+      if (!token) break;
+
+      if (token.type === 'word') {
+        const assignment = node.words.length === 0 ? toAssignment(token.word) : null;
+        if (assignment) {
+          node.assignments.push(assignment);
+        } else {
+          node.words.push(token.word);
+        }
+        this.pos++;
+        continue;
+      }
+
+      const redirect = this.parseRedirect();
+      if (!redirect) break;
+      node.redirects.push(redirect);
+    }
+
+    if (node.words.length === 0 && node.redirects.length === 0 && node.assignments.length === 0) {
+      throw this.unexpected(this.peek());
+    }
+    return node;
+  }
+}
+
+/**
+ * Parses a command line into a list AST
+ */
+export function parse(input: string): ListNode {
+  return new Parser(tokenize(input)).parse();
+}
+
+/**
+ * Writes an and-or list back out as a command line, as jobs shows a job
+ */
+export function formatAndOr(node: AndOrNode): string {
+  let text = formatPipeline(node.first);
+  for (const { op, pipeline } of node.rest) {
+    text += ` ${op} ${formatPipeline(pipeline)}`;
+  }
+  return text;
+}
+
+function formatList(list: ListNode): string {
+  return list.items.map((item) => `${formatAndOr(item)}${item.background ? ' &' : ';'}`).join(' ');
+}
+
+function formatPipeline(pipeline: PipelineNode): string {
+  return (pipeline.negated ? '! ' : '') + pipeline.commands.map(formatCommand).join(' | ');
+}
+
+function formatCommand(node: CommandNode): string {
+  switch (node.type) {
+    case 'command':
+      return [
+        ...node.assignments.map((assignment) => `${assignment.name}=${assignment.value.text}`),
+        ...node.words.map((word) => word.text),
+        ...node.redirects.map(formatRedirect),
+      ].join(' ');
+    case 'function':
+      return `${node.name} () ${formatCommand(node.body)}`;
+  }
+
+  let text: string;
+  switch (node.type) {
+    case 'if':
+      text = node.clauses
+        .map(
+          (clause, i) =>
+            `${i === 0 ? 'if' : 'elif'} ${formatList(clause.condition)} then ${formatList(clause.body)}`
+        )
+        .join(' ');
+      text += `${node.elseBody ? ` else ${formatList(node.elseBody)}` : ''} fi`;
+      break;
+    case 'for':
+      text = `for ${node.name}${node.items ? ` in ${node.items.map((word) => word.text).join(' ')}` : ''}; do ${formatList(node.body)} done`;
+      break;
+    case 'while':
+      text = `${node.until ? 'until' : 'while'} ${formatList(node.condition)} do ${formatList(node.body)} done`;
+      break;
+    case 'case':
+      text = `case ${node.word.text} in ${node.items
+        .map(
+          (item) => `${item.patterns.map((word) => word.text).join('|')}) ${formatList(item.body)};`
+        )
+        .join(' ')} esac`;
+      break;
+    case 'group':
+      text = node.subshell
+        ? `( ${formatList(node.body).replace(/;$/, '')} )`
+        : `{ ${formatList(node.body)} }`;
+      break;
+    case 'conditional':
+      text = `[[ ${node.words.map((word) => word.text).join(' ')} ]]`;
+      break;
+  }
+  return [text, ...node.redirects.map(formatRedirect)].join(' ');
+}
+
+function formatRedirect(redirect: Redirect): string {
+  const fd =
+    redirect.fd === (redirect.op === '<' ? 0 : 1) || redirect.op[0] === '&' ? '' : redirect.fd;
+  return redirect.op === '>&'
+    ? `${fd}>&${redirect.target.text}`
+    : `${fd}${redirect.op} ${redirect.target.text}`;
+}
@@ -0,0 +1,147 @@
+// Processes: signals for kill, and the fields ps and /proc show
+
+/**
+ * An entry in the shell's process table
+ */
+export interface Process {
+  pid: number;
+  /** PID of the shell or command that started it */
+  ppid: number;
+  user: string;
+  /** The command and its arguments */
+  argv: string[];
+  /** ? for init, which has no terminal */
+  tty: string;
+  /** When it started, in milliseconds since the epoch */
+  started: number;
+}
+
+/**
+ * R while it runs, S while it waits, T when stopped
+ */
+export type ProcessState = 'R' | 'S' | 'T';
+
+// Signal numbers as on Linux x86
+const SIGNALS: [string, number][] = [
+  ['HUP', 1],
+  ['INT', 2],
+  ['QUIT', 3],
+  ['KILL', 9],
+  ['USR1', 10],
+  ['USR2', 12],
+  ['PIPE', 13],
+  ['ALRM', 14],
+  ['TERM', 15],
+  ['CHLD', 17],
+  ['CONT', 18],
+  ['STOP', 19],
+  ['TSTP', 20],
+  ['TTIN', 21],
+  ['TTOU', 22],
+];
+
+// How jobs describes a job a signal ended, as bash does
+const SIGNAL_DESCRIPTIONS: Record<number, string> = {
+  1: 'Hangup',
+  2: 'Interrupt',
+  3: 'Quit',
+  9: 'Killed',
+  10: 'User defined signal 1',
+  12: 'User defined signal 2',
+  13: 'Broken pipe',
+  14: 'Alarm clock',
+  15: 'Terminated',
+};
+
+export const SIGINT = 2;
+export const SIGKILL = 9;
+export const SIGTERM = 15;
+export const SIGCONT = 18;
+export const SIGSTOP = 19;
+export const SIGTSTP = 20;
+
+/**
+ * Whether a signal stops a process rather than ending it
+ */
+export function isStopSignal(signal: number): boolean {
+  return signal === SIGSTOP || signal === SIGTSTP || signal === 21 || signal === 22;
+}
+
+/**
+ * Parses a signal name with or without SIG, in any case, or a number.
+ * Gives null for signals that don't exist.
+ */
+export function parseSignal(spec: string): number | null {
+  if (/^\d+$/.test(spec)) {
+    const signal = parseInt(spec, 10);
+    return signal === 0 || signalName(signal) !== null ? signal : null;
+  }
+  const name = spec.toUpperCase().replace(/^SIG/, '');
+  const entry = SIGNALS.find(([other]) => other === name);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * The name of a signal without SIG, or null for an unknown number
+ */
+export function signalName(signal: number): string | null {
+  const entry = SIGNALS.find(([, number]) => number === signal);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * What jobs shows for a job a signal ended
+ */
+export function signalDescription(signal: number): string {
+  return SIGNAL_DESCRIPTIONS[signal] || `Signal ${signal}`;
+}
+
+/**
+ * The signal table as kill -l prints it
+ */
+export function formatSignalList(): string {
+  const lines: string[] = [];
+  for (let i = 0; i < SIGNALS.length; i += 5) {
+    lines.push(
+      SIGNALS.slice(i, i + 5)
+        .map(([name, number]) => `${String(number).padStart(2)}) SIG${name}`.padEnd(16))
+        .join('')
+        .trimEnd()
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HH:MM of a time, as ps shows when a process started
+ */
+export function formatStartTime(time: number): string {
+  const date = new Date(time);
+  const pad = (value: number): string => String(value).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * The contents of /proc/PID/status
+ */
+export function formatProcStatus(
+  process: Process,
+  state: ProcessState,
+  uid: number,
+  gid: number
+): string {
+  const states: Record<ProcessState, string> = {
+    R: 'R (running)',
+    S: 'S (sleeping)',
+    T: 'T (stopped)',
+  };
+  const ids = (id: number): string => `${id}\t${id}\t${id}\t${id}`;
+  return (
+    `Name:\t${process.argv[0]}\n` +
+    `State:\t${states[state]}\n` +
+    `Pid:\t${process.pid}\n` +
+    `PPid:\t${process.ppid}\n` +
+    `Uid:\t${ids(uid)}\n` +
+    `Gid:\t${ids(gid)}\n`
+  );
+}
@@ -0,0 +1,228 @@
+// POSIX regular expressions, basic and extended, translated to JavaScript ones
+
+/**
+ * Raised for malformed patterns, with GNU's message
+ */
+export class RegexError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RegexError';
+    Object.setPrototypeOf(this, RegexError.prototype);
+  }
+}
+
+// What each [:class:] in a bracket expression stands for
+const CHARACTER_CLASSES: Record<string, string> = {
+  alpha: 'a-zA-Z',
+  digit: '0-9',
+  alnum: 'a-zA-Z0-9',
+  upper: 'A-Z',
+  lower: 'a-z',
+  space: ' \\t\\n\\r\\f\\v',
+  blank: ' \\t',
+  punct: '!-\\/:-@\\[-`{-~',
+  xdigit: '0-9A-Fa-f',
+  cntrl: '\\x00-\\x1f\\x7f',
+  print: ' -~',
+  graph: '!-~',
+};
+
+// Characters that are only special when escaped in a basic expression, and
+// only special unescaped in an extended one
+const EXTENDED_OPERATORS = '(){}|+?';
+
+/**
+ * Escapes text to match itself in a JavaScript regular expression
+ */
+export function escapeRegex(text: string): string {
+  return text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+}
+
+/**
+ * Translates a POSIX basic (or with extended, extended) regular expression
+ * to the source of a JavaScript one. GNU's extensions work too: \| \+ and \?
+ * in basic ones, \< \> \b \w \s and back-references.
+ */
+export function translateRegex(pattern: string, extended: boolean): string {
+  let source = '';
+  let groups = 0;
+  let depth = 0;
+  // Whether a repetition here would have nothing to repeat, making * itself
+  let atStart = true;
+
+  for (let i = 0; i < pattern.length; i++) {
+    let char = pattern[i];
+    let escaped = false;
+    if (char === '\\') {
+      if (i === pattern.length - 1) {
+        throw new RegexError('Trailing backslash');
+      }
+      char = pattern[++i];
+      escaped = true;
+      if (char === '<' || char === '>') {
+        source += '\\b';
+        continue;
+      }
+      if (/[1-9]/.test(char) && Number(char) > groups) {
+        throw new RegexError('Invalid back reference');
+      }
+      if (/[1-9wWsSbB]/.test(char)) {
+        source += `\\${char}`;
+        atStart = false;
+        continue;
+      }
+      if (!EXTENDED_OPERATORS.includes(char)) {
+        source += escapeRegex(char);
+        atStart = false;
+        continue;
+      }
+    }
+
+    // Basic expressions need \ before an operator, extended ones don't
+    const operator = EXTENDED_OPERATORS.includes(char) && escaped !== extended;
+    if (EXTENDED_OPERATORS.includes(char) && !operator) {
+      source += escapeRegex(char);
+      atStart = false;
+    } else if (char === '(') {
+      groups++;
+      depth++;
+      source += '(';
+      atStart = true;
+    } else if (char === ')') {
+      if (depth === 0) {
+        throw new RegexError('Unmatched ) or \\)');
+      }
+      depth--;
+      source += ')';
+      atStart = false;
+    } else if (char === '|') {
+      source += '|';
+      atStart = true;
+    } else if ((char === '*' || char === '+' || char === '?') && atStart) {
+      source += `\\${char}`;
+      atStart = false;
+    } else if (char === '{' && (atStart || !/^\d*(,\d*)?\\?\}/.test(pattern.slice(i + 1)))) {
+      // Not an interval, so just a brace
+      source += '\\{';
+      atStart = false;
+    } else if (char === '[') {
+      const end = bracketEnd(pattern, i);
+      source += translateBracket(pattern.slice(i + 1, end));
+      i = end;
+      atStart = false;
+    } else if (char === '^') {
+      // In a basic expression ^ is only an anchor at the start
+      source += extended || atStart ? '^' : '\\^';
+    } else if (char === '$') {
+      const rest = pattern.slice(i + 1);
+      const atEnd = extended || rest === '' || /^\\[)|]/.test(rest);
+      source += atEnd ? '$' : '\\$';
+      atStart = false;
+    } else if (char === ']' || char === '/' || (char === '}' && !operator)) {
+      source += `\\${char}`;
+      atStart = false;
+    } else {
+      source += char;
+      atStart = false;
+    }
+  }
+
+  if (depth > 0) {
+    throw new RegexError('Unmatched ( or \\(');
+  }
+  try {
+    new RegExp(source);
+  } catch (error) {
+    throw new RegexError('Invalid regular expression');
+  }
+  return source;
+}
+
+/**
+ * Where the bracket expression starting at start ends. A ] straight after
+ * the [ or [^ is part of the set, as are ] inside [:class:].
+ */
+function bracketEnd(pattern: string, start: number): number {
+  let i = start + 1;
+  if (pattern[i] === '^') {
+    i++;
+  }
+  if (pattern[i] === ']') {
+    i++;
+  }
+  for (; i < pattern.length; i++) {
+    if (pattern[i] === '[' && /[:.=]/.test(pattern[i + 1] || '')) {
+      const close = pattern.indexOf(`${pattern[i + 1]}]`, i + 2);
+      if (close === -1) {
+        break;
+      }
+      i = close + 1;
+    } else if (pattern[i] === ']') {
+      return i;
+    }
+  }
+  throw new RegexError('Unmatched [, [^, [:, [., or [=');
+}
+
+/**
+ * Translates the inside of a bracket expression, where backslashes are
+ * themselves and [:class:] names a set of characters
+ */
+function translateBracket(inside: string): string {
+  let negated = false;
+  if (inside.startsWith('^')) {
+    negated = true;
+    inside = inside.slice(1);
+  }
+
+  let set = '';
+  for (let i = 0; i < inside.length; i++) {
+    const char = inside[i];
+    if (char === '[' && inside[i + 1] === ':') {
+      const close = inside.indexOf(':]', i + 2);
+      const name = inside.slice(i + 2, close);
+      if (!(name in CHARACTER_CLASSES)) {
+        throw new RegexError('Invalid character class name');
+      }
+      set += CHARACTER_CLASSES[name];
+      i = close + 1;
+    } else if (char === '[' && (inside[i + 1] === '.' || inside[i + 1] === '=')) {
+      // Collating symbols and equivalence classes are just their character
+      const close = inside.indexOf(`${inside[i + 1]}]`, i + 2);
+      set += escapeRegex(inside.slice(i + 2, close));
+      i = close + 1;
+    } else if (char === '-' && i > 0 && i < inside.length - 1) {
+      set += '-';
+    } else {
+      set += /[\\\]\[^-]/.test(char) ? `\\${char}` : char;
+    }
+  }
+  return `[${negated ? '^' : ''}${set}]`;
+}
+
+/**
+ * Where a global regular expression matches in a line, as [start, end]
+ * pairs. With wholeWords, a match only counts when it isn't part of a
+ * longer word, as for grep -w.
+ */
+export function findMatches(line: string, regex: RegExp, wholeWords = false): [number, number][] {
+  const isWordChar = (char: string | undefined): boolean => !!char && /\w/.test(char);
+  const matches: [number, number][] = [];
+  let from = 0;
+  while (from <= line.length) {
+    regex.lastIndex = from;
+    const match = regex.exec(line);
+    if (!match) {
+      break;
+    }
+    const start = match.index;
+    const end = start + match[0].length;
+    if (wholeWords && (isWordChar(line[start - 1]) || isWordChar(line[end]))) {
+      from = start + 1;
+      continue;
+    }
+    matches.push([start, end]);
+    from = end > start ? end : end + 1;
+  }
+  return matches;
+}
@@ -0,0 +1,943 @@
+// sed: parsing scripts into commands and running them over text a line at
+// a time, with a pattern space and a hold space as GNU sed has
+
+import { RegexError, translateRegex } from './regex';
+import { splitLines } from './text-filters';
+
+/**
+ * Raised for malformed scripts, with GNU's message, and for errors running them
+ */
+export class SedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SedError';
+    Object.setPrototypeOf(this, SedError.prototype);
+  }
+}
+
+/**
+ * Which lines a command applies to: a line number, the last line, lines
+ * matching a regular expression (null for the last one used) or every
+ * step-th line from first. A range may also end count lines after it
+ * starts, or at the next line that's a multiple of step.
+ */
+type SedAddress =
+  | { kind: 'line'; line: number }
+  | { kind: 'last' }
+  | { kind: 'regex'; regex: RegExp | null }
+  | { kind: 'step'; first: number; step: number }
+  | { kind: 'relative'; count: number }
+  | { kind: 'multiple'; step: number };
+
+/**
+ * A piece of an s command's replacement: text, a group (0 for &), or a
+ * GNU case conversion such as \U
+ */
+type ReplacementPart =
+  | { kind: 'text'; text: string }
+  | { kind: 'group'; group: number }
+  | { kind: 'case'; conversion: string };
+
+interface Substitution {
+  /** null to use the last regular expression */
+  regex: RegExp | null;
+  replacement: ReplacementPart[];
+  global: boolean;
+  /** Replace only this match, or from it on with global */
+  occurrence: number;
+  print: boolean;
+}
+
+/**
+ * One command of a script, with the addresses that select its lines
+ */
+interface SedCommand {
+  name: string;
+  address1?: SedAddress;
+  address2?: SedAddress;
+  negated: boolean;
+  /** Text for a, i and c, or the label for :, b, t and T */
+  text: string;
+  /** Exit status for q and Q */
+  exitCode: number;
+  /** Where b, t and T go, and where a { block ends */
+  jump: number;
+  substitution?: Substitution;
+  /** Characters y changes, to what */
+  translation?: Map<string, string>;
+  /** Whether the command's range is open, and the line a +N range ends at */
+  inRange: boolean;
+  rangeEnd: number;
+}
+
+/**
+ * A parsed script, run by runSed
+ */
+export interface SedProgram {
+  commands: SedCommand[];
+}
+
+/**
+ * A script to parse, with where it came from for error messages
+ */
+export interface SedScript {
+  text: string;
+  /** -e expression #N, or file NAME for -f */
+  source: string;
+  fromFile: boolean;
+}
+
+// Commands that take no argument
+const SIMPLE_COMMANDS = '=dDgGhHnNpPxz';
+// Characters that are special in a regular expression, so a delimiter
+// standing for itself has to be put in brackets
+const REGEX_SPECIAL = '.[]*^$\\+?(){}|';
+
+/**
+ * Parses one script piece into commands, adding to those before it.
+ * Blocks that are still open are left on the blocks stack.
+ */
+class SedParser {
+  private pos = 0;
+
+  constructor(
+    private script: SedScript,
+    private extended: boolean,
+    private commands: SedCommand[],
+    private blocks: number[]
+  ) {}
+
+  /**
+   * An error at the current position, worded as GNU sed words it
+   */
+  error(message: string): SedError {
+    const { text, source, fromFile } = this.script;
+    if (fromFile) {
+      const line = text.slice(0, this.pos).split('\n').length;
+      return new SedError(`${source} line ${line}: ${message}`);
+    }
+    return new SedError(`${source}, char ${this.pos}: ${message}`);
+  }
+
+  private peek(): string | undefined {
+    return this.script.text[this.pos];
+  }
+
+  private skipSpaces(): void {
+    while (this.peek() === ' ' || this.peek() === '\t') {
+      this.pos++;
+    }
+  }
+
+  parse(): void {
+    const text = this.script.text;
+    for (;;) {
+      while (this.pos < text.length && /[\s;]/.test(text[this.pos])) {
+        this.pos++;
+      }
+      if (this.pos >= text.length) {
+        return;
+      }
+      if (this.peek() === '#') {
+        while (this.pos < text.length && text[this.pos] !== '\n') {
+          this.pos++;
+        }
+        continue;
+      }
+      this.parseCommand();
+    }
+  }
+
+  private parseCommand(): void {
+    const command: SedCommand = {
+      name: '',
+      negated: false,
+      text: '',
+      exitCode: 0,
+      jump: -1,
+      inRange: false,
+      rangeEnd: 0,
+    };
+    command.address1 = this.parseAddress(false);
+    if (command.address1) {
+      this.skipSpaces();
+      if (this.peek() === ',') {
+        this.pos++;
+        this.skipSpaces();
+        command.address2 = this.parseAddress(true);
+        if (!command.address2) {
+          throw this.error("unexpected `,'");
+        }
+      }
+    }
+    const first = command.address1;
+    if (first && first.kind === 'line' && first.line === 0) {
+      if (!command.address2 || command.address2.kind !== 'regex') {
+        throw this.error('invalid usage of line address 0');
+      }
+    }
+
+    this.skipSpaces();
+    while (this.peek() === '!') {
+      command.negated = true;
+      this.pos++;
+      this.skipSpaces();
+    }
+
+    const name = this.script.text[this.pos++];
+    if (name === undefined || name === '\n' || name === ';') {
+      throw this.error('missing command');
+    }
+    command.name = name;
+    const addresses = command.address2 ? 2 : command.address1 ? 1 : 0;
+
+    if (name === '{') {
+      this.blocks.push(this.commands.length);
+      this.commands.push(command);
+      return;
+    }
+    if (name === '}') {
+      if (addresses > 0) {
+        throw this.error("unexpected `}'");
+      }
+      const open = this.blocks.pop();
+      if (open === undefined) {
+        throw this.error("unexpected `}'");
+      }
+      this.commands[open].jump = this.commands.length;
+    } else if (name === ':') {
+      if (addresses > 0) {
+        throw this.error(": doesn't want any addresses");
+      }
+      command.text = this.readLabel();
+      if (!command.text) {
+        throw this.error('":" lacks a label');
+      }
+    } else if (name === 'b' || name === 't' || name === 'T') {
+      command.text = this.readLabel();
+    } else if (name === 'a' || name === 'i' || name === 'c') {
+      command.text = this.readText();
+    } else if (name === 'q' || name === 'Q') {
+      if (addresses > 1) {
+        throw this.error('command only uses one address');
+      }
+      this.skipSpaces();
+      const digits = this.script.text.slice(this.pos).match(/^\d+/);
+      if (digits) {
+        command.exitCode = parseInt(digits[0], 10);
+        this.pos += digits[0].length;
+      }
+    } else if (name === 's') {
+      command.substitution = this.parseSubstitution();
+    } else if (name === 'y') {
+      command.translation = this.parseTranslation();
+    } else if (!SIMPLE_COMMANDS.includes(name)) {
+      throw this.error(`unknown command: \`${name}'`);
+    }
+
+    this.commands.push(command);
+    this.endCommand();
+  }
+
+  /**
+   * Checks nothing but a separator, a comment or a } follows a command
+   */
+  private endCommand(): void {
+    this.skipSpaces();
+    const next = this.peek();
+    if (next !== undefined && !';\n}#'.includes(next)) {
+      throw this.error('extra characters after command');
+    }
+  }
+
+  private parseAddress(second: boolean): SedAddress | undefined {
+    const text = this.script.text;
+    const rest = text.slice(this.pos);
+    const number = rest.match(/^(\d+)(?:~(\d+))?/);
+    if (number) {
+      this.pos += number[0].length;
+      if (number[2] !== undefined) {
+        return { kind: 'step', first: parseInt(number[1], 10), step: parseInt(number[2], 10) };
+      }
+      return { kind: 'line', line: parseInt(number[1], 10) };
+    }
+    const offset = second ? rest.match(/^([+~])(\d+)/) : null;
+    if (offset) {
+      this.pos += offset[0].length;
+      const count = parseInt(offset[2], 10);
+      return offset[1] === '+' ? { kind: 'relative', count } : { kind: 'multiple', step: count };
+    }
+    if (rest[0] === '$') {
+      this.pos++;
+      return { kind: 'last' };
+    }
+    if (rest[0] === '/' || rest[0] === '\\') {
+      if (rest[0] === '\\') {
+        this.pos++;
+      }
+      const delimiter = text[this.pos++];
+      const pattern = this.readPart(delimiter, true);
+      if (pattern === null) {
+        throw this.error('unterminated address regex');
+      }
+      let ignoreCase = false;
+      while (this.peek() === 'I') {
+        ignoreCase = true;
+        this.pos++;
+      }
+      return { kind: 'regex', regex: pattern ? this.compile(pattern, ignoreCase) : null };
+    }
+    return undefined;
+  }
+
+  /**
+   * Reads up to the next unescaped delimiter, which the delimiter escaped
+   * stands for. In a regular expression \n and \t are a newline and a tab
+   * and other escapes are kept for the regex; elsewhere they're kept for the
+   * caller. Gives null when the delimiter never comes.
+   */
+  private readPart(delimiter: string, regex: boolean): string | null {
+    const text = this.script.text;
+    let part = '';
+    while (this.pos < text.length) {
+      const char = text[this.pos++];
+      if (char === delimiter) {
+        return part;
+      }
+      if (char === '\n' && regex) {
+        return null;
+      }
+      if (char !== '\\' || this.pos >= text.length) {
+        part += char;
+        continue;
+      }
+      const next = text[this.pos++];
+      if (next === delimiter && regex && REGEX_SPECIAL.includes(next)) {
+        part += next === '^' ? '\\^' : `[${next}]`;
+      } else if (next === delimiter) {
+        part += next === '&' ? '\\&' : next;
+      } else if ((next === 'n' || next === 't') && regex) {
+        part += next === 'n' ? '\n' : '\t';
+      } else if (next === '\n') {
+        part += '\n';
+      } else {
+        part += `\\${next}`;
+      }
+    }
+    return null;
+  }
+
+  private compile(pattern: string, ignoreCase: boolean): RegExp {
+    try {
+      return new RegExp(translateRegex(pattern, this.extended), ignoreCase ? 'i' : '');
+    } catch (error) {
+      if (error instanceof RegexError) {
+        throw this.error(error.message);
+      }
+      throw error;
+    }
+  }
+
+  private parseSubstitution(): Substitution {
+    const delimiter = this.script.text[this.pos++];
+    if (delimiter === undefined || delimiter === '\n' || delimiter === '\\') {
+      throw this.error("unterminated `s' command");
+    }
+    const pattern = this.readPart(delimiter, true);
+    const replacement = pattern === null ? null : this.readPart(delimiter, false);
+    if (pattern === null || replacement === null) {
+      throw this.error("unterminated `s' command");
+    }
+
+    const substitution: Substitution = {
+      regex: null,
+      replacement: parseReplacement(replacement),
+      global: false,
+      occurrence: 1,
+      print: false,
+    };
+    let ignoreCase = false;
+    for (;;) {
+      const flag = this.peek();
+      if (flag === 'g') {
+        substitution.global = true;
+      } else if (flag === 'p') {
+        substitution.print = true;
+      } else if (flag === 'i' || flag === 'I') {
+        ignoreCase = true;
+      } else if (flag !== undefined && /\d/.test(flag)) {
+        const digits = this.script.text.slice(this.pos).match(/^\d+/)![0];
+        substitution.occurrence = parseInt(digits, 10);
+        if (substitution.occurrence === 0) {
+          throw this.error("number option to `s' command may not be zero");
+        }
+        this.pos += digits.length - 1;
+      } else if (flag === undefined || /[\s;}#]/.test(flag)) {
+        break;
+      } else {
+        throw this.error("unknown option to `s'");
+      }
+      this.pos++;
+    }
+
+    if (pattern) {
+      substitution.regex = this.compile(pattern, ignoreCase);
+      // A group in the replacement has to be in the expression
+      const groups = new RegExp(`${substitution.regex.source}|`).exec('')!.length - 1;
+      for (const part of substitution.replacement) {
+        if (part.kind === 'group' && part.group > groups) {
+          throw this.error(`invalid reference \\${part.group} on \`s' command's RHS`);
+        }
+      }
+    }
+    return substitution;
+  }
+
+  private parseTranslation(): Map<string, string> {
+    const delimiter = this.script.text[this.pos++];
+    const unescape = (part: string): string[] =>
+      Array.from(part.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)));
+    const from = this.readPart(delimiter, false);
+    const to = from === null ? null : this.readPart(delimiter, false);
+    if (from === null || to === null) {
+      throw this.error("unterminated `y' command");
+    }
+    const source = unescape(from);
+    const target = unescape(to);
+    if (source.length !== target.length) {
+      throw this.error("strings for `y' command are different lengths");
+    }
+    return new Map(source.map((char, i) => [char, target[i]]));
+  }
+
+  /**
+   * A label for :, b, t and T, up to the end of the line or a ;
+   */
+  private readLabel(): string {
+    this.skipSpaces();
+    const match = this.script.text.slice(this.pos).match(/^[^;\n]*/)![0];
+    this.pos += match.length;
+    return match.trim();
+  }
+
+  /**
+   * The text of a, i or c: the rest of the line, in GNU's one-line form, or
+   * the lines after a\, where a backslash at the end of a line continues it
+   */
+  private readText(): string {
+    const text = this.script.text;
+    this.skipSpaces();
+    if (this.peek() === '\\') {
+      this.pos++;
+      this.skipSpaces();
+      if (this.peek() === '\n') {
+        this.pos++;
+      }
+    }
+    let result = '';
+    while (this.pos < text.length && text[this.pos] !== '\n') {
+      const char = text[this.pos++];
+      if (char === '\\' && this.pos < text.length) {
+        result += text[this.pos++];
+      } else {
+        result += char;
+      }
+    }
+    if (!result) {
+      throw this.error("expected \\ after `a', `c' or `i'");
+    }
+    return result;
+  }
+}
+
+/**
+ * Splits an s command's replacement into text, groups and case conversions
+ */
+function parseReplacement(replacement: string): ReplacementPart[] {
+  const parts: ReplacementPart[] = [];
+  const addText = (text: string): void => {
+    const last = parts[parts.length - 1];
+    if (last && last.kind === 'text') {
+      last.text += text;
+    } else {
+      parts.push({ kind: 'text', text });
+    }
+  };
+  for (let i = 0; i < replacement.length; i++) {
+    const char = replacement[i];
+    if (char === '&') {
+      parts.push({ kind: 'group', group: 0 });
+    } else if (char !== '\\' || i === replacement.length - 1) {
+      addText(char);
+    } else {
+      const next = replacement[++i];
+      if (/\d/.test(next)) {
+        parts.push({ kind: 'group', group: Number(next) });
+      } else if ('ULulE'.includes(next)) {
+        parts.push({ kind: 'case', conversion: next });
+      } else {
+        addText(next === 'n' ? '\n' : next === 't' ? '\t' : next);
+      }
+    }
+  }
+  return parts;
+}
+
+/**
+ * Parses sed scripts, given with -e, -f or as the first operand. Labels
+ * and blocks may span the pieces. Throws SedError when one is malformed.
+ */
+export function parseSed(scripts: SedScript[], extended: boolean): SedProgram {
+  const commands: SedCommand[] = [];
+  const blocks: number[] = [];
+  for (const script of scripts) {
+    new SedParser(script, extended, commands, blocks).parse();
+  }
+  if (blocks.length > 0) {
+    const source = scripts[scripts.length - 1].source;
+    throw new SedError(`${source}, char 0: unmatched \`{'`);
+  }
+
+  const labels = new Map<string, number>();
+  commands.forEach((command, i) => {
+    if (command.name === ':') {
+      labels.set(command.text, i);
+    }
+  });
+  for (const command of commands) {
+    if ('btT'.includes(command.name)) {
+      const target = command.text ? labels.get(command.text) : commands.length;
+      if (target === undefined) {
+        throw new SedError(`can't find label for jump to \`${command.text}'`);
+      }
+      command.jump = target;
+    }
+  }
+  return { commands };
+}
+
+/**
+ * What running a script gave: its output, and the status q or Q exited
+ * with, if they did
+ */
+export interface SedResult {
+  output: string;
+  exitCode: number;
+  quit: boolean;
+}
+
+/**
+ * A script running over input that comes a line at a time. Whenever it
+ * needs another line it yields what it has printed since it last did, and
+ * is resumed with the line, newline included, or null at the end of input.
+ */
+export type SedStream = Generator<string, SedResult, string | null>;
+
+/**
+ * Runs a script over text, printing each line's pattern space at the end
+ * of its cycle unless quiet (sed -n). A last line without a newline is
+ * printed without one.
+ */
+export function runSed(program: SedProgram, text: string, quiet: boolean): SedResult {
+  const lines = splitLines(text);
+  const run = streamSed(program, quiet);
+  let output = '';
+  let index = 0;
+  let step = run.next(null);
+  while (!step.done) {
+    output += step.value;
+    step = run.next(index < lines.length ? lines[index++] : null);
+  }
+  return { ...step.value, output: output + step.value.output };
+}
+
+/**
+ * Runs a script over lines as they come, as from a pipe (see SedStream)
+ */
+export function streamSed(program: SedProgram, quiet: boolean): SedStream {
+  return new SedRun(program, quiet).run();
+}
+
+/**
+ * The state of running a script: the input, the pattern and hold spaces
+ * and what has been printed
+ */
+class SedRun {
+  /** The line after the current one once read, null at the end of input */
+  private ahead: string | null | undefined = undefined;
+  /** Whether $ addresses need each line's next read before it runs */
+  private lookahead: boolean;
+  /** Whether the line read last ended with a newline */
+  private newline = true;
+  private lineNumber = 0;
+  private output = '';
+  /** The last line had no newline and has been printed without one */
+  private missingNewline = false;
+  private hold = '';
+  private lastRegex: RegExp | null = null;
+  /** Whether an s has succeeded since the last line was read or t taken */
+  private substituted = false;
+  /** Text a queued to print at the end of the cycle */
+  private appended: string[] = [];
+
+  constructor(
+    private program: SedProgram,
+    private quiet: boolean
+  ) {
+    for (const command of program.commands) {
+      const first = command.address1;
+      command.inRange = !!first && first.kind === 'line' && first.line === 0;
+    }
+    this.lookahead = program.commands.some(
+      (command) => command.address1?.kind === 'last' || command.address2?.kind === 'last'
+    );
+  }
+
+  /**
+   * Whether the current line is the last, once the next has been read ahead
+   */
+  private isLast(): boolean {
+    return this.ahead === null;
+  }
+
+  /**
+   * Reads the next line ahead if it hasn't been, handing over what's been
+   * printed while waiting for it. Gives whether there is one.
+   */
+  private *peek(): Generator<string, boolean, string | null> {
+    if (this.ahead === undefined) {
+      this.ahead = yield this.output;
+      this.output = '';
+    }
+    return this.ahead !== null;
+  }
+
+  private *readLine(): Generator<string, string | null, string | null> {
+    if (!(yield* this.peek())) {
+      return null;
+    }
+    const line = this.ahead!;
+    this.ahead = undefined;
+    this.lineNumber++;
+    this.substituted = false;
+    this.newline = line.endsWith('\n');
+    if (this.lookahead) {
+      yield* this.peek();
+    }
+    return line.replace(/\n$/, '');
+  }
+
+  private write(text: string): void {
+    if (this.missingNewline && text) {
+      this.output += '\n';
+      this.missingNewline = false;
+    }
+    this.output += text;
+  }
+
+  /**
+   * Prints a line, leaving the newline off when it's the last line of
+   * input and that had none
+   */
+  private printLine(line: string): void {
+    this.write(line);
+    if (!this.newline) {
+      this.missingNewline = true;
+    } else {
+      this.output += '\n';
+    }
+  }
+
+  private flushAppended(): void {
+    for (const text of this.appended) {
+      this.write(`${text}\n`);
+    }
+    this.appended = [];
+  }
+
+  *run(): SedStream {
+    const commands = this.program.commands;
+    let pattern = yield* this.readLine();
+    while (pattern !== null) {
+      let pc = 0;
+      let print = !this.quiet;
+      let stop: number | null = null;
+      // D starts the next cycle without reading a new line
+      let keep = false;
+
+      cycle: while (pc < commands.length) {
+        const command = commands[pc];
+        if (!this.selects(command, pattern)) {
+          pc = command.name === '{' ? command.jump + 1 : pc + 1;
+          continue;
+        }
+        pc++;
+
+        switch (command.name) {
+          case '=':
+            this.write(`${this.lineNumber}\n`);
+            break;
+          case 'a':
+            this.appended.push(command.text);
+            break;
+          case 'i':
+            this.write(`${command.text}\n`);
+            break;
+          case 'c':
+            // A range is changed to the text once, at its end
+            if (!command.address2 || !command.inRange || command.negated) {
+              this.write(`${command.text}\n`);
+            }
+            print = false;
+            break cycle;
+          case 'd':
+            print = false;
+            break cycle;
+          case 'D': {
+            const newline = pattern.indexOf('\n');
+            print = false;
+            if (newline !== -1) {
+              pattern = pattern.slice(newline + 1);
+              keep = true;
+            }
+            break cycle;
+          }
+          case 'p':
+            this.printLine(pattern);
+            break;
+          case 'P':
+            this.write(`${pattern.split('\n')[0]}\n`);
+            break;
+          case 'h':
+            this.hold = pattern;
+            break;
+          case 'H':
+            this.hold += `\n${pattern}`;
+            break;
+          case 'g':
+            pattern = this.hold;
+            break;
+          case 'G':
+            pattern += `\n${this.hold}`;
+            break;
+          case 'x':
+            [pattern, this.hold] = [this.hold, pattern];
+            break;
+          case 'z':
+            pattern = '';
+            break;
+          case 'n':
+          case 'N': {
+            // Without another line, sed ends as though the script had
+            if (!(yield* this.peek())) {
+              stop = 0;
+              break cycle;
+            }
+            if (command.name === 'n' && !this.quiet) {
+              this.printLine(pattern);
+            }
+            this.flushAppended();
+            const next = (yield* this.readLine())!;
+            pattern = command.name === 'n' ? next : `${pattern}\n${next}`;
+            break;
+          }
+          case 'q':
+            stop = command.exitCode;
+            break cycle;
+          case 'Q':
+            return { output: this.output, exitCode: command.exitCode, quit: true };
+          case 'b':
+            pc = command.jump;
+            break;
+          case 't':
+          case 'T':
+            if (this.substituted === (command.name === 't')) {
+              pc = command.jump;
+            }
+            this.substituted = false;
+            break;
+          case 's':
+            pattern = this.substitute(command.substitution!, pattern);
+            break;
+          case 'y':
+            pattern = Array.from(pattern, (char) => command.translation!.get(char) || char).join(
+              ''
+            );
+            break;
+        }
+      }
+
+      if (print) {
+        this.printLine(pattern);
+      }
+      this.flushAppended();
+      if (stop !== null) {
+        return { output: this.output, exitCode: stop, quit: true };
+      }
+      if (!keep) {
+        pattern = yield* this.readLine();
+      }
+    }
+    return { output: this.output, exitCode: 0, quit: false };
+  }
+
+  /**
+   * Whether a command applies to the current line, opening and closing its
+   * range as lines go by
+   */
+  private selects(command: SedCommand, pattern: string): boolean {
+    const { address1, address2 } = command;
+    if (!address1) {
+      return true;
+    }
+
+    let selected: boolean;
+    if (!address2) {
+      selected = this.matches(address1, pattern);
+    } else if (command.inRange) {
+      selected = true;
+      command.inRange = !this.endsRange(command, address2, pattern);
+    } else if (this.matches(address1, pattern)) {
+      selected = true;
+      command.inRange = this.continuesRange(command, address2);
+    } else {
+      selected = false;
+    }
+    return selected !== command.negated;
+  }
+
+  private matches(address: SedAddress, pattern: string): boolean {
+    switch (address.kind) {
+      case 'line':
+        return this.lineNumber === address.line;
+      case 'last':
+        return this.isLast();
+      case 'step':
+        if (address.step <= 0) {
+          return this.lineNumber === address.first;
+        }
+        return (
+          this.lineNumber >= address.first && (this.lineNumber - address.first) % address.step === 0
+        );
+      case 'regex':
+        return this.regex(address.regex).test(pattern);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Whether a range that has just started goes on past this line
+   */
+  private continuesRange(command: SedCommand, end: SedAddress): boolean {
+    switch (end.kind) {
+      case 'line':
+        return end.line > this.lineNumber;
+      case 'relative':
+        command.rangeEnd = this.lineNumber + end.count;
+        return end.count > 0;
+      case 'multiple':
+        return end.step > 0 && this.lineNumber % end.step !== 0;
+      case 'last':
+        return !this.isLast();
+      default:
+        // A regular expression is only checked from the next line
+        return true;
+    }
+  }
+
+  /**
+   * Whether an open range ends with this line
+   */
+  private endsRange(command: SedCommand, end: SedAddress, pattern: string): boolean {
+    switch (end.kind) {
+      case 'line':
+        return this.lineNumber >= end.line;
+      case 'relative':
+        return this.lineNumber >= command.rangeEnd;
+      case 'multiple':
+        return this.lineNumber % end.step === 0;
+      default:
+        return this.matches(end, pattern);
+    }
+  }
+
+  /**
+   * The regular expression to use, remembering it as the last one used
+   */
+  private regex(regex: RegExp | null): RegExp {
+    const used = regex || this.lastRegex;
+    if (!used) {
+      throw new SedError('no previous regular expression');
+    }
+    this.lastRegex = used;
+    return used;
+  }
+
+  private substitute(substitution: Substitution, pattern: string): string {
+    const regex = this.regex(substitution.regex);
+    const search = new RegExp(regex.source, `${regex.flags}g`);
+    let result = '';
+    let last = 0;
+    let count = 0;
+    let match: RegExpExecArray | null;
+    while ((match = search.exec(pattern))) {
+      count++;
+      if (count >= substitution.occurrence) {
+        result += pattern.slice(last, match.index) + expandReplacement(substitution, match);
+        last = match.index + match[0].length;
+        if (!substitution.global) {
+          break;
+        }
+      }
+      if (match[0] === '') {
+        search.lastIndex++;
+      }
+    }
+    if (count < substitution.occurrence) {
+      return pattern;
+    }
+
+    this.substituted = true;
+    const changed = result + pattern.slice(last);
+    if (substitution.print) {
+      this.printLine(changed);
+    }
+    return changed;
+  }
+}
+
+/**
+ * The text a match is replaced with, with & and \1... filled in and case
+ * converted where \U, \L, \u and \l say
+ */
+function expandReplacement(substitution: Substitution, match: RegExpExecArray): string {
+  let result = '';
+  let mode = '';
+  let once = '';
+  const add = (text: string): void => {
+    if (mode === 'U') {
+      text = text.toUpperCase();
+    } else if (mode === 'L') {
+      text = text.toLowerCase();
+    }
+    if (once && text) {
+      text = (once === 'u' ? text[0].toUpperCase() : text[0].toLowerCase()) + text.slice(1);
+      once = '';
+    }
+    result += text;
+  };
+
+  for (const part of substitution.replacement) {
+    if (part.kind === 'text') {
+      add(part.text);
+    } else if (part.kind === 'group') {
+      add(match[part.group] || '');
+    } else if (part.conversion === 'u' || part.conversion === 'l') {
+      once = part.conversion;
+    } else {
+      mode = part.conversion === 'E' ? '' : part.conversion;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,132 @@
+// Saved sessions: what persistence keeps of the shell beyond its files,
+// user and directory. The record carries a version, and records saved by
+// older versions are upgraded as they're loaded.
+
+import type { CompoundCommandNode } from './parser';
+import type { Environment } from './index';
+
+/**
+ * Version of the session record this shell saves
+ */
+export const SESSION_VERSION = 1;
+
+/**
+ * What each shell has of its own, which su sets aside and exit puts back
+ */
+export interface SavedShell {
+  environment: Environment;
+  variables: Record<string, string>;
+  functions: Record<string, CompoundCommandNode>;
+  aliases: Record<string, string>;
+  /** Command lines typed into the shell, oldest first */
+  history: string[];
+  /** How many of them the history file has already */
+  historyWritten: number;
+}
+
+/**
+ * A shell that su started another from, with its user and directory
+ */
+export interface SavedUser extends SavedShell {
+  user: string;
+  path: string;
+}
+
+/**
+ * The session record, as of SESSION_VERSION
+ */
+export interface SavedSession {
+  version: number;
+  /** The shell reading commands, or null to log in afresh */
+  shell: SavedShell | null;
+  /** Shells su left behind for exit to go back to, the login shell first */
+  userStack: SavedUser[];
+  umask: number;
+}
+
+/**
+ * A session record that can't be loaded
+ */
+export class SessionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SessionError';
+    Object.setPrototypeOf(this, SessionError.prototype);
+  }
+}
+
+type SessionRecord = Record<string, unknown>;
+
+// Each upgrades a record from the version it's at in the list to the next.
+// Version 0 is no record at all: saves from before sessions were kept have
+// just the filesystem, user and directory, so the shell logs in afresh.
+const MIGRATIONS: ((record: SessionRecord | null) => SessionRecord)[] = [
+  () => ({ version: 1, shell: null, userStack: [], umask: 0o022 }),
+];
+
+const isStrings = (value: unknown): boolean =>
+  typeof value === 'object' &&
+  value !== null &&
+  Object.values(value).every((item) => typeof item === 'string');
+
+function isShell(value: unknown): value is SavedShell {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+  const shell = value as Record<string, unknown>;
+  return (
+    isStrings(shell.environment) &&
+    isStrings(shell.variables) &&
+    typeof shell.functions === 'object' &&
+    shell.functions !== null &&
+    isStrings(shell.aliases) &&
+    Array.isArray(shell.history) &&
+    isStrings(shell.history) &&
+    typeof shell.historyWritten === 'number'
+  );
+}
+
+/**
+ * Brings a session record, as parsed from storage, up to SESSION_VERSION.
+ * null is the missing record of a save from before sessions were kept.
+ * Throws a SessionError for a record from a newer version or one that
+ * isn't a session.
+ */
+export function migrateSession(saved: unknown): SavedSession {
+  if (saved !== null && (typeof saved !== 'object' || Array.isArray(saved))) {
+    throw new SessionError('not a session record');
+  }
+  let record = saved as SessionRecord | null;
+  let version = 0;
+  if (record !== null) {
+    if (typeof record.version !== 'number' || !Number.isInteger(record.version)) {
+      throw new SessionError('session record has no version');
+    }
+    version = record.version;
+  }
+  if (version < 1 && record !== null) {
+    throw new SessionError(`unknown session record version ${version}`);
+  }
+  if (version > SESSION_VERSION) {
+    throw new SessionError(
+      `session record is version ${version}, newer than this shell's ${SESSION_VERSION}`
+    );
+  }
+
+  for (; version < SESSION_VERSION; version++) {
+    record = MIGRATIONS[version](record);
+  }
+
+  const session = record as unknown as SavedSession;
+  if (
+    (session.shell !== null && !isShell(session.shell)) ||
+    !Array.isArray(session.userStack) ||
+    !session.userStack.every(
+      (state) => isShell(state) && typeof state.user === 'string' && typeof state.path === 'string'
+    ) ||
+    typeof session.umask !== 'number'
+  ) {
+    throw new SessionError('session record is incomplete');
+  }
+  return session;
+}
@@ -0,0 +1,92 @@
+// Storage adapters: where persistence keeps the shell's state between
+// page loads. Each is a store of strings by key, as localStorage is.
+
+/**
+ * A store of strings by key that persistence saves the shell's state in.
+ * localStorage is one as it is. Methods may return promises instead, for
+ * stores such as IndexedDB that only work asynchronously.
+ */
+export interface StorageAdapter {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+/**
+ * The browser's localStorage, which persistence uses by default. It's
+ * synchronous but holds only about 5MB for the whole site.
+ */
+export function createLocalStorage(): StorageAdapter {
+  return {
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    removeItem: (key) => localStorage.removeItem(key),
+  };
+}
+
+/**
+ * Keeps state in memory, starting with the items given, so it lasts only
+ * as long as the page. Shells sharing one see each other's saves, as they
+ * would with localStorage.
+ */
+export function createMemoryStorage(items: Record<string, string> = {}): StorageAdapter {
+  const store = new Map(Object.entries(items));
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key)! : null),
+    setItem: (key, value) => {
+      store.set(key, value);
+    },
+    removeItem: (key) => {
+      store.delete(key);
+    },
+  };
+}
+
+/**
+ * Keeps state in an IndexedDB database, which may hold far more than
+ * localStorage. It's asynchronous, so shells that use it are made with
+ * UnixShell.create. The database and its object store are made the first
+ * time they're opened.
+ */
+export function createIndexedDBStorage(
+  databaseName = 'unixshell',
+  storeName = 'state'
+): StorageAdapter {
+  let database: Promise<IDBDatabase> | null = null;
+  const open = (): Promise<IDBDatabase> => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  // Runs one request in a transaction of its own
+  const run = <T>(
+    mode: IDBTransactionMode,
+    action: (store: IDBObjectStore) => IDBRequest<T>
+  ): Promise<T> =>
+    open().then(
+      (db) =>
+        new Promise<T>((resolve, reject) => {
+          const request = action(db.transaction(storeName, mode).objectStore(storeName));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  return {
+    getItem: (key) =>
+      run('readonly', (store) => store.get(key)).then((value) =>
+        typeof value === 'string' ? value : null
+      ),
+    setItem: (key, value) => run('readwrite', (store) => store.put(value, key)).then(() => {}),
+    removeItem: (key) => run('readwrite', (store) => store.delete(key)).then(() => {}),
+  };
+}
@@ -0,0 +1,194 @@
+// Conditional expressions for test, [ and [[
+// Parses the arguments recursively and evaluates them as it goes
+
+/**
+ * One argument of a conditional expression
+ */
+export interface TestArg {
+  value: string;
+  /** False for quoted words in [[ ]], which are never operators */
+  operator: boolean;
+  /** Glob pattern for the right side of == and != in [[ ]] */
+  pattern?: RegExp;
+}
+
+/**
+ * File checks (-e, -f, -d, ...) are answered by the shell
+ */
+export type FileTest = (op: string, path: string) => boolean;
+
+/**
+ * Raised for malformed expressions and bad integers
+ */
+export class TestError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TestError';
+    Object.setPrototypeOf(this, TestError.prototype);
+  }
+}
+
+const FILE_OPERATORS = ['-e', '-f', '-d', '-s', '-r', '-w', '-x', '-L', '-h'];
+const UNARY_OPERATORS = ['-z', '-n', ...FILE_OPERATORS];
+const INTEGER_OPERATORS = ['-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+const BINARY_OPERATORS = ['=', '==', '!=', '<', '>', ...INTEGER_OPERATORS];
+
+/**
+ * Recursive descent over test arguments. test and [ join terms with -a and
+ * -o; [[ uses && and || and adds pattern matching and =~.
+ */
+class TestParser {
+  private pos = 0;
+
+  constructor(
+    private args: TestArg[],
+    private fileTest: FileTest,
+    private extended: boolean
+  ) {}
+
+  parse(): boolean {
+    const result = this.parseOr();
+    if (this.pos < this.args.length) {
+      throw new TestError(`${this.args[this.pos].value}: unexpected operator`);
+    }
+    return result;
+  }
+
+  /**
+   * Whether the argument at an offset is the given operator
+   */
+  private isOp(value: string, offset = 0): boolean {
+    const arg = this.args[this.pos + offset];
+    return arg !== undefined && arg.operator && arg.value === value;
+  }
+
+  private parseOr(): boolean {
+    let result = this.parseAnd();
+    while (this.isOp(this.extended ? '||' : '-o')) {
+      this.pos++;
+      // Evaluate the right side even when it can't change the result, so
+      // syntax errors are still reported
+      const right = this.parseAnd();
+      result = result || right;
+    }
+    return result;
+  }
+
+  private parseAnd(): boolean {
+    let result = this.parseNot();
+    while (this.isOp(this.extended ? '&&' : '-a')) {
+      this.pos++;
+      const right = this.parseNot();
+      result = result && right;
+    }
+    return result;
+  }
+
+  private parseNot(): boolean {
+    // "! = x" compares the string "!"
+    if (this.isOp('!') && !this.isBinaryAt(1)) {
+      this.pos++;
+      return !this.parseNot();
+    }
+    return this.parsePrimary();
+  }
+
+  private isBinaryAt(offset: number): boolean {
+    const arg = this.args[this.pos + offset];
+    if (!arg || !arg.operator || this.pos + offset + 1 >= this.args.length) {
+      return false;
+    }
+    return BINARY_OPERATORS.includes(arg.value) || (this.extended && arg.value === '=~');
+  }
+
+  private parsePrimary(): boolean {
+    const arg = this.args[this.pos];
+    if (!arg) {
+      throw new TestError('argument expected');
+    }
+
+    if (this.isBinaryAt(1)) {
+      const op = this.args[this.pos + 1].value;
+      const right = this.args[this.pos + 2];
+      this.pos += 3;
+      return this.binary(arg.value, op, right);
+    }
+
+    if (this.isOp('(')) {
+      this.pos++;
+      const result = this.parseOr();
+      if (!this.isOp(')')) {
+        throw new TestError("`)' expected");
+      }
+      this.pos++;
+      return result;
+    }
+
+    if (arg.operator && UNARY_OPERATORS.includes(arg.value) && this.pos + 1 < this.args.length) {
+      const operand = this.args[this.pos + 1].value;
+      this.pos += 2;
+      if (arg.value === '-z') return operand === '';
+      if (arg.value === '-n') return operand !== '';
+      return this.fileTest(arg.value, operand);
+    }
+
+    // A lone string is true when it isn't empty
+    this.pos++;
+    return arg.value !== '';
+  }
+
+  private binary(left: string, op: string, right: TestArg): boolean {
+    switch (op) {
+      case '=':
+      case '==':
+        return right.pattern ? right.pattern.test(left) : left === right.value;
+      case '!=':
+        return right.pattern ? !right.pattern.test(left) : left !== right.value;
+      case '<':
+        return left < right.value;
+      case '>':
+        return left > right.value;
+      case '=~':
+        try {
+          return new RegExp(right.value).test(left);
+        } catch (error) {
+          throw new TestError(`${right.value}: invalid regular expression`);
+        }
+    }
+
+    const a = toInteger(left);
+    const b = toInteger(right.value);
+    switch (op) {
+      case '-eq':
+        return a === b;
+      case '-ne':
+        return a !== b;
+      case '-lt':
+        return a < b;
+      case '-le':
+        return a <= b;
+      case '-gt':
+        return a > b;
+      default:
+        return a >= b;
+    }
+  }
+}
+
+function toInteger(value: string): number {
+  if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+    throw new TestError(`${value}: integer expression expected`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Evaluates a conditional expression, throwing TestError when it is malformed
+ */
+export function evaluateTest(args: TestArg[], fileTest: FileTest, extended = false): boolean {
+  // With no arguments test is simply false
+  if (args.length === 0) {
+    return false;
+  }
+  return new TestParser(args, fileTest, extended).parse();
+}
@@ -0,0 +1,381 @@
+// Text filters: splitting and counting lines, and the field lists, sort
+// keys and character sets of cut, sort and tr
+
+/**
+ * Length of text in UTF-8 bytes, which is what ls reports as a file's size.
+ * Raw bytes carried in text from a stream count one each.
+ */
+export function byteLength(text: string): number {
+  let bytes = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0)!;
+    if (code >= 0xdc80 && code <= 0xdcff) {
+      bytes++;
+      continue;
+    }
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+/**
+ * Splits text into lines, each keeping its newline. The last line may not
+ * have one.
+ */
+export function splitLines(text: string): string[] {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Splits text into lines without their newlines, as filters that print
+ * whole lines see them
+ */
+export function textLines(text: string): string[] {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Lines, words, characters and bytes in text, as wc counts them
+ */
+export interface TextCounts {
+  lines: number;
+  words: number;
+  chars: number;
+  bytes: number;
+}
+
+export function countText(text: string): TextCounts {
+  return {
+    lines: (text.match(/\n/g) || []).length,
+    words: (text.match(/\S+/g) || []).length,
+    chars: Array.from(text).length,
+    bytes: byteLength(text),
+  };
+}
+
+/**
+ * A range of fields or characters from a cut list, numbered from 1, with
+ * end Infinity for N-
+ */
+export interface Range {
+  start: number;
+  end: number;
+}
+
+/**
+ * Parses a cut list such as 1,3-5,7- into ranges. Gives an error message
+ * for a malformed list; kind names what's numbered in it.
+ */
+export function parseRanges(list: string, kind: 'field' | 'byte/character'): Range[] | string {
+  const ranges: Range[] = [];
+  for (const part of list.split(',')) {
+    const match = part.match(/^(\d*)(-?)(\d*)$/);
+    if (!match || part === '') {
+      const invalid = kind === 'field' ? 'field value' : 'byte/character position';
+      return `invalid ${invalid} '${part}'`;
+    }
+    if (part === '-') {
+      return 'invalid range with no endpoint: -';
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[3] ? parseInt(match[3], 10) : match[2] ? Infinity : start;
+    if (start === 0 || end === 0) {
+      return 'fields and positions are numbered from 1';
+    }
+    if (end < start) {
+      return 'invalid decreasing range';
+    }
+    ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+/**
+ * The items whose positions fall in any of the ranges, in their own order
+ */
+export function selectRanges<T>(items: T[], ranges: Range[]): T[] {
+  return items.filter((item, i) =>
+    ranges.some((range) => i + 1 >= range.start && i + 1 <= range.end)
+  );
+}
+
+/**
+ * How sort compares lines, or the part of them a key picks out
+ */
+export interface SortOrder {
+  numeric: boolean;
+  /** Numbers with K, M, G... suffixes, as du -h prints them */
+  human: boolean;
+  reverse: boolean;
+  foldCase: boolean;
+  ignoreBlanks: boolean;
+}
+
+/**
+ * A -k key: from a field (and character in it) to another, or to the end
+ * of the line
+ */
+export interface SortKey extends SortOrder {
+  startField: number;
+  startChar: number;
+  /** 0 for the end of the line */
+  endField: number;
+  /** 0 for the end of the field */
+  endChar: number;
+}
+
+/**
+ * Parses a sort key such as 2, 2,2 or 1.3,1.5nr. Ordering letters on the
+ * key replace sort's own options for it. Gives null when it's malformed.
+ */
+export function parseSortKey(spec: string, defaults: SortOrder): SortKey | null {
+  const match = spec.match(/^(\d+)(?:\.(\d+))?([bfhnr]*)(?:,(\d+)(?:\.(\d+))?([bfhnr]*))?$/);
+  if (!match || match[1] === '0' || match[2] === '0' || match[4] === '0') {
+    return null;
+  }
+  const letters = (match[3] || '') + (match[6] || '');
+  const order = letters
+    ? {
+        numeric: letters.includes('n'),
+        human: letters.includes('h'),
+        reverse: letters.includes('r'),
+        foldCase: letters.includes('f'),
+        ignoreBlanks: letters.includes('b'),
+      }
+    : defaults;
+  return {
+    ...order,
+    startField: parseInt(match[1], 10),
+    startChar: match[2] ? parseInt(match[2], 10) : 1,
+    endField: match[4] ? parseInt(match[4], 10) : 0,
+    endChar: match[5] ? parseInt(match[5], 10) : 0,
+  };
+}
+
+/**
+ * Where each field of a line starts and ends. Without a separator, fields
+ * are runs of non-blanks with the blanks before them, as sort sees them.
+ */
+function fieldBounds(line: string, separator: string | null): [number, number][] {
+  const bounds: [number, number][] = [];
+  if (separator === null) {
+    const pattern = /[ \t]*[^ \t]+/g;
+    let match;
+    while ((match = pattern.exec(line))) {
+      bounds.push([match.index, match.index + match[0].length]);
+    }
+    return bounds;
+  }
+
+  let start = 0;
+  for (const field of line.split(separator)) {
+    bounds.push([start, start + field.length]);
+    start += field.length + 1;
+  }
+  return bounds;
+}
+
+/**
+ * The part of a line a key picks out
+ */
+export function sortKeyText(line: string, key: SortKey, separator: string | null): string {
+  const bounds = fieldBounds(line, separator);
+  const position = (field: number, char: number): number => {
+    let index = bounds[field - 1][0];
+    if (key.ignoreBlanks) {
+      while (index < bounds[field - 1][1] && /[ \t]/.test(line[index])) {
+        index++;
+      }
+    }
+    return index + char - 1;
+  };
+
+  if (key.startField > bounds.length) {
+    return '';
+  }
+  const start = Math.min(position(key.startField, key.startChar), line.length);
+  let end = line.length;
+  if (key.endField > 0 && key.endField <= bounds.length) {
+    end = key.endChar > 0 ? position(key.endField, key.endChar + 1) : bounds[key.endField - 1][1];
+  }
+  return line.slice(start, Math.max(start, Math.min(end, line.length)));
+}
+
+const HUMAN_SUFFIXES = 'KMGTPEZY';
+
+/**
+ * The number at the start of text, or 0 when there isn't one, as sort -n
+ * and -h read it
+ */
+function leadingNumber(text: string, human: boolean): number {
+  const match = text.match(/^\s*(-?(?:\d+(?:\.\d*)?|\.\d+))([KMGTPEZY]?)/i);
+  if (!match) {
+    return 0;
+  }
+  const value = parseFloat(match[1]);
+  const power = human && match[2] ? HUMAN_SUFFIXES.indexOf(match[2].toUpperCase()) + 1 : 0;
+  return value * Math.pow(1024, power);
+}
+
+/**
+ * Compares two keys, or whole lines, in the given order. Text compares by
+ * character code, as in the C locale.
+ */
+export function compareText(a: string, b: string, order: SortOrder): number {
+  let result: number;
+  if (order.numeric || order.human) {
+    result = leadingNumber(a, order.human) - leadingNumber(b, order.human);
+  } else {
+    if (order.ignoreBlanks) {
+      a = a.replace(/^[ \t]+/, '');
+      b = b.replace(/^[ \t]+/, '');
+    }
+    if (order.foldCase) {
+      a = a.toUpperCase();
+      b = b.toUpperCase();
+    }
+    result = a < b ? -1 : a > b ? 1 : 0;
+  }
+  return order.reverse ? -result : result;
+}
+
+// What each [:class:] in a tr set stands for
+const TR_CLASSES: Record<string, string> = {
+  alpha: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  digit: '0123456789',
+  alnum: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  space: ' \t\n\v\f\r',
+  blank: ' \t',
+  punct: '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~',
+  xdigit: '0123456789ABCDEFabcdef',
+};
+
+// Escapes tr understands after a backslash
+const TR_ESCAPES: Record<string, string> = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  f: '\f',
+  v: '\v',
+  a: '\x07',
+  b: '\b',
+  '\\': '\\',
+};
+
+/**
+ * Expands a tr set such as a-z, [:upper:], \n or, in the second set, [x*]
+ * and [x*3] into its characters. [x*] repeats x to fill the set out to
+ * length. Gives an error message for a malformed set.
+ */
+export function expandTrSet(spec: string, length = 0): string[] | string {
+  // Resolve escapes first, remembering which characters were escaped
+  const chars: { char: string; escaped: boolean }[] = [];
+  for (let i = 0; i < spec.length; i++) {
+    if (spec[i] !== '\\' || i === spec.length - 1) {
+      chars.push({ char: spec[i], escaped: false });
+      continue;
+    }
+    const octal = spec.slice(i + 1).match(/^[0-7]{1,3}/);
+    if (octal) {
+      chars.push({ char: String.fromCharCode(parseInt(octal[0], 8)), escaped: true });
+      i += octal[0].length;
+    } else {
+      const next = spec[++i];
+      chars.push({ char: TR_ESCAPES[next] || next, escaped: true });
+    }
+  }
+
+  const text = chars.map((c) => (c.escaped ? '\0' : c.char)).join('');
+  const set: string[] = [];
+  let fill: { char: string; at: number } | null = null;
+  for (let i = 0; i < chars.length; i++) {
+    const rest = text.slice(i);
+    const named = rest.match(/^\[:([a-z]+):\]/);
+    const repeat = rest.match(/^\[(.)\*(\d*)\]/);
+    if (named) {
+      if (!(named[1] in TR_CLASSES)) {
+        return `invalid character class '${named[1]}'`;
+      }
+      set.push(...TR_CLASSES[named[1]]);
+      i += named[0].length - 1;
+    } else if (repeat) {
+      const char = chars[i + 1].char;
+      if (repeat[2] && parseInt(repeat[2], 10) > 0) {
+        set.push(...char.repeat(parseInt(repeat[2], 10)));
+      } else {
+        fill = { char, at: set.length };
+      }
+      i += repeat[0].length - 1;
+    } else if (i + 2 < chars.length && text[i + 1] === '-') {
+      const from = chars[i].char.charCodeAt(0);
+      const to = chars[i + 2].char.charCodeAt(0);
+      if (to < from) {
+        const range = spec.slice(i, i + 3);
+        return `range-endpoints of '${range}' are in reverse collating sequence order`;
+      }
+      for (let code = from; code <= to; code++) {
+        set.push(String.fromCharCode(code));
+      }
+      i += 2;
+    } else {
+      set.push(chars[i].char);
+    }
+  }
+
+  if (fill) {
+    set.splice(fill.at, 0, ...fill.char.repeat(Math.max(length - set.length, 0)));
+  }
+  return set;
+}
+
+/**
+ * Splits xargs input into the items on each line, dropping blank lines.
+ * Items are separated by blanks, which quotes and backslashes keep in an
+ * item as they do in the shell. Gives an error message for an unmatched quote.
+ */
+export function splitItems(text: string): string[][] | string {
+  const lines: string[][] = [];
+  for (const line of textLines(text)) {
+    const items: string[] = [];
+    let item: string | null = null;
+    let quote: string | null = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        item += char === quote ? '' : char;
+        quote = char === quote ? null : quote;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+        item = item || '';
+      } else if (char === '\\' && i < line.length - 1) {
+        item = (item || '') + line[++i];
+      } else if (char === ' ' || char === '\t') {
+        if (item !== null) {
+          items.push(item);
+        }
+        item = null;
+      } else {
+        item = (item || '') + char;
+      }
+    }
+
+    if (quote) {
+      const kind = quote === "'" ? 'single' : 'double';
+      return `unmatched ${kind} quote; by default quotes are special to xargs unless you use the -0 option`;
+    }
+    if (item !== null) {
+      items.push(item);
+    }
+    if (items.length > 0) {
+      lines.push(items);
+    }
+  }
+  return lines;
+}
@@ -33,6 +33,7 @@ export class ViEditor {
   private yankBuffer: string;
   private message: string;
   private modified: boolean;
+  private readOnly: boolean;
 
   private element: HTMLDivElement | null;
   private contentArea!: HTMLPreElement;
@@ -45,12 +46,16 @@ export class ViEditor {
    * @param content - Initial file content
    * @param saveCallback - Function to call when saving
    * @param exitCallback - Function to call when exiting
+   * @param readOnly - Whether writing needs ! to override, as for a file that couldn't be read
+   * @param message - Message to show when the editor opens
    */
   constructor(
     filename: string,
     content: string,
     saveCallback: SaveCallback | null,
-    exitCallback: ExitCallback | null
+    exitCallback: ExitCallback | null,
+    readOnly = false,
+    message = ''
   ) {
     this.filename = filename;
     this.lines = content ? content.split('\n') : [''];
@@ -63,8 +68,9 @@ export class ViEditor {
     this.commandBuffer = '';
     this.normalModeBuffer = '';
     this.yankBuffer = '';
-    this.message = '';
+    this.message = message;
     this.modified = false;
+    this.readOnly = readOnly;
 
     this.element = null;
     this.setupUI();
@@ -486,10 +492,11 @@ export class ViEditor {
    * Executes a command mode command
    */
   private executeCommand(cmd: string): void {
-    if (cmd === 'w') {
+    if (cmd === 'w' || cmd === 'w!') {
       // Write file
-      this.save();
-      this.message = `"${this.filename}" ${this.lines.length}L written`;
+      if (this.save(cmd === 'w!')) {
+        this.message = `"${this.filename}" ${this.lines.length}L written`;
+      }
       this.mode = 'normal';
     } else if (cmd === 'q') {
       // Quit
@@ -502,10 +509,13 @@ export class ViEditor {
     } else if (cmd === 'q!') {
       // Force quit
       this.close();
-    } else if (cmd === 'wq' || cmd === 'x') {
+    } else if (cmd === 'wq' || cmd === 'wq!' || cmd === 'x') {
       // Write and quit
-      this.save();
-      this.close();
+      if (this.save(cmd === 'wq!')) {
+        this.close();
+      } else {
+        this.mode = 'normal';
+      }
     } else {
       this.message = `Not an editor command: ${cmd}`;
       this.mode = 'normal';
@@ -513,14 +523,22 @@ export class ViEditor {
   }
 
   /**
-   * Saves the file
+   * Saves the file, unless it's read-only and not forced. Returns whether
+   * it was written, leaving an error message if not.
    */
-  private save(): void {
+  private save(force = false): boolean {
+    if (this.readOnly && !force) {
+      this.message = "E45: 'readonly' option is set (add ! to override)";
+      return false;
+    }
     const content = this.lines.join('\n');
-    if (this.saveCallback) {
-      this.saveCallback(this.filename, content);
+    if (this.saveCallback && !this.saveCallback(this.filename, content)) {
+      this.message = `"${this.filename}" E212: Can't open file for writing`;
+      return false;
     }
     this.modified = false;
+    this.readOnly = false;
+    return true;
   }
 
   /**
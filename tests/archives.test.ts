@@ -0,0 +1,369 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, FileNode } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+import {
+  ArchiveEntry,
+  ArchiveError,
+  gunzip,
+  gzip,
+  readTar,
+  readZip,
+  writeTar,
+  writeZip,
+} from '../src/archives';
+import {
+  crc32,
+  decodeBase64,
+  decodeStream,
+  decodeUtf8,
+  encodeBase64,
+  encodeStream,
+  encodeUtf8,
+} from '../src/bytes';
+import { deflate, inflate } from '../src/deflate';
+
+// Made by gzip -9n and by Python's gzip, whose longer input gets a block
+// with its own Huffman codes
+const GZIP_HELLO = 'H4sIAAAAAAACA8tIzcnJV8hAJ7nK84tyUrgAMjX+5h4AAAA=';
+const GZIP_DYNAMIC =
+  'H4sIAAAAAAACA7WO2w2AIBAEW9kKbMBqREFOhRPkIVTvxR743MxsMslqhEzrCRW5ehh+cWR3P+CiI5Lga+kNG+/zv8bI9yKea1AiVUoWhooW1LXHRSFzlO/+TAMTxvR+tCpowmABAAA=';
+const FOX =
+  'the quick brown fox jumps over the lazy dog; '.repeat(3) +
+  'pack my box with five dozen liquor jugs. ';
+
+// Made by zip -rX of a directory d holding hi.txt and two
+const ZIP_FILE =
+  'UEsDBAoAAAAAAIMYIlgAAAAAAAAAAAAAAAACAAAAZC9QSwMECgAAAAAAgxgiWH7ADwYHAAAABwAAAAUAAABkL3R3b3NlY29uZApQSwMEFAAAAAgAgxgiWDI1/uYRAAAAHgAAAAgAAABkL2hpLnR4dMtIzcnJV8hAJ7nK84tyUrgAUEsBAh4DCgAAAAAAgxgiWAAAAAAAAAAAAAAAAAIAAAAAAAAAAAAQAO1BAAAAAGQvUEsBAh4DCgAAAAAAgxgiWH7ADwYHAAAABwAAAAUAAAAAAAAAAQAAAKSBIAAAAGQvdHdvUEsBAh4DFAAAAAgAgxgiWDI1/uYRAAAAHgAAAAgAAAAAAAAAAQAAAKSBSgAAAGQvaGkudHh0UEsFBgAAAAADAAMAmQAAAIEAAAAAAA==';
+
+const entry = (
+  path: string,
+  type: ArchiveEntry['type'],
+  data = '',
+  linkTarget = ''
+): ArchiveEntry => ({
+  path,
+  type,
+  mode: type === 'directory' ? 0o755 : 0o644,
+  uid: 1000,
+  gid: 1000,
+  user: 'testuser',
+  group: 'testuser',
+  mtime: Date.UTC(2024, 0, 2, 3, 4, 5),
+  data: encodeUtf8(data),
+  linkTarget,
+});
+
+describe('archive formats', () => {
+  test('should encode UTF-8 and base64 and checksum bytes', () => {
+    expect(Array.from(encodeUtf8('aé✓😀'))).toEqual([
+      0x61, 0xc3, 0xa9, 0xe2, 0x9c, 0x93, 0xf0, 0x9f, 0x98, 0x80,
+    ]);
+    expect(decodeUtf8(encodeUtf8('aé✓😀'))).toBe('aé✓😀');
+    expect(decodeUtf8(new Uint8Array([0x61, 0xff, 0xc3]))).toBe('a\ufffd\ufffd');
+    // Streams keep the bytes that aren't UTF-8
+    expect(decodeStream(new Uint8Array([0x61, 0xff, 0xc3]))).toBe('a\udcff\udcc3');
+    expect(Array.from(encodeStream('é\udcff'))).toEqual([0xc3, 0xa9, 0xff]);
+    expect(encodeBase64(encodeUtf8('hello'))).toBe('aGVsbG8=');
+    expect(decodeUtf8(decodeBase64('aGVsbG8='))).toBe('hello');
+    expect(crc32(encodeUtf8('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('should inflate what real tools deflate, and its own output', () => {
+    expect(decodeUtf8(gunzip(decodeBase64(GZIP_HELLO)).data)).toBe(
+      'hello hello hello hello\nworld\n'
+    );
+    expect(decodeUtf8(gunzip(decodeBase64(GZIP_DYNAMIC)).data)).toBe(FOX + FOX);
+
+    const bytes = new Uint8Array(70000).map((_, i) => (i * 7919) % 251);
+    const text = encodeUtf8(FOX.repeat(100));
+    for (const data of [bytes, text, new Uint8Array()]) {
+      expect(inflate(deflate(data)).output).toEqual(data);
+    }
+    expect(deflate(text).length).toBeLessThan(text.length / 10);
+  });
+
+  test('should write gzip headers and check what it reads', () => {
+    const data = gzip(encodeUtf8('hi\n'), 'hi.txt', Date.UTC(2024, 0, 1));
+    expect(Array.from(data.slice(0, 4))).toEqual([0x1f, 0x8b, 8, 8]);
+    expect(gunzip(data)).toEqual({ data: encodeUtf8('hi\n'), name: 'hi.txt' });
+
+    const corrupt = data.slice();
+    corrupt[corrupt.length - 8] ^= 1;
+    expect(() => gunzip(corrupt)).toThrow('invalid compressed data--crc error');
+    expect(() => gunzip(data.slice(0, 12))).toThrow(ArchiveError);
+    expect(() => gunzip(encodeUtf8('plain'))).toThrow('not in gzip format');
+  });
+
+  test('should round-trip tar archives, with pax headers for long names', () => {
+    const long = `dir/${'nested/'.repeat(30)}file.txt`;
+    const entries = [
+      entry('dir', 'directory'),
+      entry('dir/a.txt', 'file', 'hello\n'),
+      entry(long, 'file', 'deep\n'),
+      entry('dir/link', 'symlink', '', 'a.txt'),
+      entry('dir/hard', 'hardlink', '', 'dir/a.txt'),
+    ];
+    const data = writeTar(entries);
+    expect(data.length % 10240).toBe(0);
+    expect(decodeUtf8(data.slice(257, 263))).toBe('ustar\0');
+    expect(readTar(data)).toEqual(entries);
+    expect(() => readTar(encodeUtf8('not a tar archive'.repeat(40)))).toThrow(
+      'This does not look like a tar archive'
+    );
+  });
+
+  test('should read zip archives from zip and round-trip its own', () => {
+    const read = readZip(decodeBase64(ZIP_FILE));
+    expect(read.map((e) => [e.path, e.type, e.mode.toString(8), e.method])).toEqual([
+      ['d', 'directory', '755', 'stored'],
+      ['d/two', 'file', '644', 'stored'],
+      ['d/hi.txt', 'file', '644', 'deflated'],
+    ]);
+    expect(decodeUtf8(read[2].data)).toBe('hello hello hello hello\nworld\n');
+
+    const entries = [entry('d', 'directory'), entry('d/fox', 'file', FOX.repeat(10))];
+    const written = writeZip(entries);
+    expect(written.entries.map((e) => e.method)).toEqual(['stored', 'deflated']);
+    const back = readZip(written.data);
+    expect(back.map((e) => [e.path, e.type, decodeUtf8(e.data)])).toEqual([
+      ['d', 'directory', ''],
+      ['d/fox', 'file', FOX.repeat(10)],
+    ]);
+    expect(() => readZip(encodeUtf8('not a zip'))).toThrow(ArchiveError);
+  });
+});
+
+describe('UnixShell - archives', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('mkdir dir; mkdir dir/sub; echo hello > dir/a.txt; echo deep > dir/sub/b');
+  });
+
+  test('should keep bytes that are not UTF-8 as a binary file', () => {
+    const bytes = new Uint8Array([0x00, 0xff, 0x80, 0x41]);
+    expect(shell.writeToFile('bin', bytes, 'overwrite')).toBeNull();
+    expect((shell.getNode('bin') as FileNode).encoding).toBe('base64');
+    expect(shell.readFileBytes('bin')).toEqual(bytes);
+    expect(shell.stat('bin')!.size).toBe(4);
+
+    shell.execute('cp bin copy');
+    expect(shell.readFileBytes('copy')).toEqual(bytes);
+    shell.writeToFile('text', encodeUtf8('é\n'), 'overwrite');
+    expect((shell.getNode('text') as FileNode).encoding).toBeUndefined();
+    expect(shell.execute('cat text')).toBe('é');
+  });
+
+  test('should create, list and extract gzipped tar archives', () => {
+    shell.execute('ln -s a.txt dir/link; ln dir/a.txt dir/hard');
+    expect(shell.execute('tar czvf backup.tgz dir/')).toBe(
+      'dir/\ndir/sub/\ndir/sub/b\ndir/a.txt\ndir/link\ndir/hard'
+    );
+    expect(shell.readFileBytes('backup.tgz')!.slice(0, 2)).toEqual(new Uint8Array([0x1f, 0x8b]));
+    expect(shell.execute('tar -tf backup.tgz')).toBe(
+      'dir/\ndir/sub/\ndir/sub/b\ndir/a.txt\ndir/link\ndir/hard'
+    );
+    expect(shell.execute('tar --list --file=backup.tgz dir/sub')).toBe('dir/sub/\ndir/sub/b');
+    const listing = shell.execute('tar tvf backup.tgz').split('\n');
+    expect(listing[3]).toMatch(/^-rw-r--r-- testuser\/testuser 6 [-\d]{10} \d\d:\d\d dir\/a\.txt$/);
+    expect(listing[4]).toMatch(/^lrwxrwxrwx .* dir\/link -> a\.txt$/);
+    expect(listing[5]).toMatch(/^hrw-r--r-- .* dir\/hard link to dir\/a\.txt$/);
+
+    shell.execute('mkdir out');
+    expect(shell.execute('tar xzf backup.tgz -C out')).toBe('');
+    expect(shell.execute('cat out/dir/a.txt out/dir/sub/b out/dir/link')).toBe(
+      'hello\ndeep\nhello'
+    );
+    expect(shell.getNode('out/dir/hard')).toBe(shell.getNode('out/dir/a.txt'));
+    // Tar keeps times to the second
+    const mtime = shell.stat('dir/a.txt')!.mtime;
+    expect(shell.stat('out/dir/a.txt')!.mtime).toBe(mtime - (mtime % 1000));
+    expect(
+      shell.execute('echo changed > dir/sub/b; tar -xf backup.tgz dir/sub/b; cat dir/sub/b')
+    ).toBe('deep');
+  });
+
+  test('should report tar errors as GNU tar does', () => {
+    expect(shell.execute('tar cf empty.tar')).toBe(
+      "tar: Cowardly refusing to create an empty archive\nTry 'tar --help' or 'tar --usage' for more information."
+    );
+    expect(shell.execute('tar tz')).toMatch(
+      /^tar: Refusing to read archive contents from terminal/
+    );
+    expect(shell.execute('tar f x.tar')).toMatch(/^tar: You must specify one of the '-Acdtrux'/);
+
+    const missing = shell.executeDetailed('tar cf a.tar dir nope');
+    expect(missing.stderr).toBe(
+      'tar: nope: Cannot stat: No such file or directory\ntar: Exiting with failure status due to previous errors\n'
+    );
+    expect(missing.exitCode).toBe(2);
+    expect(shell.execute('tar tf a.tar nope')).toBe(
+      'tar: nope: Not found in archive\ntar: Exiting with failure status due to previous errors'
+    );
+    expect(shell.execute('tar tf notes.txt')).toBe(
+      'tar: This does not look like a tar archive\ntar: Exiting with failure status due to previous errors'
+    );
+    expect(shell.execute('tar tzf a.tar')).toBe(
+      'gzip: stdin: not in gzip format\ntar: Child returned status 1\ntar: Error is not recoverable: exiting now'
+    );
+    expect(shell.execute('tar cf /tmp/abs.tar /home/testuser/notes.txt')).toBe(
+      "tar: Removing leading `/' from member names"
+    );
+    expect(shell.execute('tar tf /tmp/abs.tar')).toBe('home/testuser/notes.txt');
+  });
+
+  test('should extract only inside the target directory, with the umask applied', () => {
+    const archive = writeTar([
+      entry('../escape', 'file', 'x'),
+      { ...entry('run', 'file', 'x'), mode: 0o777 },
+    ]);
+    shell.writeToFile('evil.tar', archive, 'overwrite');
+    shell.execute('umask 027');
+    const result = shell.executeDetailed('tar xf evil.tar');
+    expect(result.stderr).toMatch(/^tar: \.\.\/escape: Member name contains '\.\.'\n/);
+    expect(result.exitCode).toBe(2);
+    expect(shell.getNode('/home/escape')).toBeNull();
+    expect(shell.stat('run')!.mode).toBe(0o750);
+  });
+
+  test('should compress files with gzip and decompress them with gunzip and zcat', () => {
+    const notes = shell.execute('cat notes.txt');
+    const mode = shell.stat('notes.txt')!.mode;
+    expect(shell.execute('gzip notes.txt; ls notes*')).toBe('notes.txt.gz');
+    expect(shell.stat('notes.txt.gz')!.mode).toBe(mode);
+    expect(shell.execute('zcat notes.txt.gz')).toBe(notes);
+    expect(shell.execute('gunzip -c notes.txt.gz | head -1')).toBe(notes.split('\n')[0]);
+    expect(shell.execute('gunzip notes.txt.gz; cat notes.txt')).toBe(notes);
+
+    shell.execute('gzip -k notes.txt');
+    expect(shell.execute('ls notes*')).toBe('notes.txt  notes.txt.gz');
+    expect(shell.execute('gzip notes.txt')).toBe(
+      'gzip: notes.txt.gz already exists;\tnot overwritten'
+    );
+    expect(shell.execute('gzip -f notes.txt; ls notes*')).toBe('notes.txt.gz');
+    expect(shell.execute('gzip -r dir; ls dir dir/sub')).toBe(
+      'dir:\na.txt.gz  sub\n\ndir/sub:\nb.gz'
+    );
+    expect(shell.execute('gzip -dr dir; cat dir/sub/b')).toBe('deep');
+  });
+
+  test('should carry archives through pipes and redirects', () => {
+    const notes = shell.execute('cat notes.txt');
+    shell.execute('gzip -c notes.txt > notes.gz');
+    expect(shell.execute('cat notes.gz | gunzip')).toBe(notes);
+    expect(shell.execute('wc -c < notes.gz')).toBe(String(shell.stat('notes.gz')!.size));
+    expect(shell.execute('echo hello | gzip | zcat')).toBe('hello');
+
+    expect(shell.execute('tar czf - dir | tar tz')).toBe('dir/\ndir/sub/\ndir/sub/b\ndir/a.txt');
+    shell.execute('tar cf - dir > dir.tar; mkdir out; cat dir.tar | tar xf - -C out');
+    expect(shell.execute('cat out/dir/sub/b')).toBe('deep');
+    expect(shell.execute('tar tf dir.tar dir/a.txt')).toBe('dir/a.txt');
+    // Bytes that aren't text show as a terminal shows them
+    expect(shell.execute('head -c 2 notes.gz')).toBe('\u001f\ufffd');
+  });
+
+  test('should report gzip errors', () => {
+    expect(shell.execute('gzip dir')).toBe('gzip: dir is a directory -- ignored');
+    expect(shell.execute('gunzip notes.txt')).toBe('gzip: notes.txt: unknown suffix -- ignored');
+    expect(shell.execute('gzip nope')).toBe('gzip: nope: No such file or directory');
+    expect(shell.execute('cp notes.txt fake.gz; gunzip fake.gz')).toBe(
+      'gzip: fake.gz: not in gzip format'
+    );
+    expect(shell.execute('gzip -c notes.txt')).toBe(
+      'gzip: compressed data not written to a terminal. Use -f to force compression.\nFor help, type: gzip -h'
+    );
+    expect(shell.execute('gunzip')).toMatch(/^gzip: compressed data not read from a terminal/);
+    shell.execute('gzip notes.txt');
+    expect(shell.execute('gzip notes.txt.gz')).toBe(
+      'gzip: notes.txt.gz already has .gz suffix -- unchanged'
+    );
+  });
+
+  test('should create and update zip archives', () => {
+    expect(shell.execute('zip -r archive dir README.md')).toBe(
+      '  adding: dir/ (stored 0%)\n  adding: dir/sub/ (stored 0%)\n  adding: dir/sub/b (stored 0%)\n' +
+        '  adding: dir/a.txt (stored 0%)\n  adding: README.md (deflated 24%)'
+    );
+    expect(shell.execute('echo changed > dir/a.txt; zip archive.zip dir/a.txt notes.txt')).toBe(
+      '  updating: dir/a.txt (stored 0%)\n  adding: notes.txt (deflated 14%)'
+    );
+    expect(shell.execute('zip -q archive dir/sub/b nope')).toBe(
+      '\tzip warning: name not matched: nope'
+    );
+    const empty = shell.executeDetailed('zip nothing.zip nope');
+    expect(empty.stderr).toBe(
+      '\tzip warning: name not matched: nope\n\nzip error: Nothing to do! (nothing.zip)\n'
+    );
+    expect(empty.exitCode).toBe(12);
+
+    const entries = readZip(shell.readFileBytes('archive.zip')!);
+    expect(entries.map((e) => e.path)).toEqual([
+      'dir',
+      'dir/sub',
+      'dir/sub/b',
+      'dir/a.txt',
+      'README.md',
+      'notes.txt',
+    ]);
+    expect(decodeUtf8(entries[3].data)).toBe('changed\n');
+  });
+
+  test('should list and extract zip archives', () => {
+    shell.writeToFile('r.zip', decodeBase64(ZIP_FILE), 'overwrite');
+    const listing = shell.execute('unzip -l r').split('\n');
+    expect(listing.slice(0, 3)).toEqual([
+      'Archive:  r.zip',
+      '  Length      Date    Time    Name',
+      '---------  ---------- -----   ----',
+    ]);
+    expect(listing[3]).toMatch(/^ {8}0 {2}[-\d]{10} \d\d:\d\d {3}d\/$/);
+    expect(listing.slice(-2)).toEqual([
+      '---------                     -------',
+      '       37                     3 files',
+    ]);
+
+    expect(shell.execute('unzip r.zip -d out')).toBe(
+      'Archive:  r.zip\n   creating: d/\n extracting: d/two\n  inflating: d/hi.txt'
+    );
+    expect(shell.execute('cat out/d/hi.txt out/d/two')).toBe(
+      'hello hello hello hello\nworld\nsecond'
+    );
+    expect(shell.execute('unzip nope')).toBe(
+      'unzip:  cannot find or open nope, nope.zip or nope.ZIP.'
+    );
+    expect(shell.execute('unzip notes.txt')).toMatch(
+      /End-of-central-directory signature not found/
+    );
+  });
+
+  test('should ask before replacing files when unzipping', () => {
+    shell.execute('zip -q files.zip notes.txt README.md');
+    const readme = shell.execute('cat README.md');
+    shell.execute('echo mine > notes.txt; echo mine > README.md');
+
+    const first = shell.executeDetailed('unzip files.zip');
+    expect(first.pendingInput!.prompt).toBe(
+      'replace notes.txt? [y]es, [n]o, [A]ll, [N]one, [r]ename: '
+    );
+    const second = shell.respond('n');
+    expect(second.pendingInput!.prompt).toMatch(/^replace README\.md\?/);
+    shell.respond('y');
+    expect(shell.execute('cat notes.txt')).toBe('mine');
+    expect(shell.execute('cat README.md')).toBe(readme);
+
+    shell.execute('echo mine > README.md');
+    expect(shell.execute('unzip -n files.zip; cat README.md')).toBe('Archive:  files.zip\nmine');
+    expect(shell.execute('unzip -oq files.zip; cat README.md')).toBe(readme);
+
+    shell.execute('echo mine > notes.txt; echo r > answers; echo renamed.txt >> answers');
+    shell.execute('unzip -q files.zip notes.txt < answers');
+    expect(shell.execute('cat notes.txt')).toBe('mine');
+    expect(shell.execute('cat renamed.txt')).toBe(
+      shell.execute('unzip -oq files.zip; cat notes.txt')
+    );
+  });
+});
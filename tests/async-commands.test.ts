@@ -0,0 +1,139 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, OutputChunk } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Resolves after a tick, as a network request would
+ */
+function later<T>(value: T): Promise<T> {
+  return new Promise((resolve) => setTimeout(() => resolve(value), 1));
+}
+
+/**
+ * A command that fetches a page, failing for missing ones
+ */
+async function fetchPage(args: string[]) {
+  const page = await later(args[0]);
+  if (page === 'missing') {
+    throw new Error('404 Not Found');
+  }
+  return `<h1>${page}</h1>\n`;
+}
+
+/**
+ * A command that streams a reply for each ping, failing for unreachable hosts
+ */
+async function* ping(args: string[]): AsyncGenerator<OutputChunk> {
+  const count = parseInt(args[1] || '3', 10);
+  for (let i = 1; i <= count; i++) {
+    yield await later(`reply from ${args[0]}: seq=${i}\n`);
+  }
+  if (args[0] === 'unreachable') {
+    yield { stderr: 'ping: host unreachable\n', exitCode: 2 };
+  }
+}
+
+describe('UnixShell - Async Commands', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: { fetch: fetchPage, ping },
+    });
+  });
+
+  test('should wait for commands that return promises', async () => {
+    expect(await shell.executeAsync('fetch home')).toBe('<h1>home</h1>');
+    expect(await shell.executeAsync('echo start; fetch about; echo end')).toBe(
+      'start\n<h1>about</h1>\nend'
+    );
+  });
+
+  test('should write chunks from async iterables as they come', async () => {
+    const result = await shell.executeDetailedAsync('ping example.com 2');
+    expect(result.stdout).toBe('reply from example.com: seq=1\nreply from example.com: seq=2\n');
+    expect(result.exitCode).toBe(0);
+  });
+
+  test('should take stderr and exit status from result chunks', async () => {
+    const result = await shell.executeDetailedAsync('ping unreachable 1');
+    expect(result.stdout).toBe('reply from unreachable: seq=1\n');
+    expect(result.stderr).toBe('ping: host unreachable\n');
+    expect(result.exitCode).toBe(2);
+    expect(await shell.executeAsync('ping unreachable 0 || echo failed $?')).toBe(
+      'ping: host unreachable\nfailed 2'
+    );
+  });
+
+  test('should run async commands in pipelines, redirections and substitutions', async () => {
+    expect(await shell.executeAsync('ping example.com | grep seq=2')).toBe(
+      'reply from example.com: seq=2'
+    );
+    await shell.executeAsync('fetch home > page.html');
+    expect(shell.execute('cat page.html')).toBe('<h1>home</h1>');
+    expect(await shell.executeAsync('echo "title: $(fetch about)"')).toBe('title: <h1>about</h1>');
+    expect(await shell.executeAsync('for i in 1 2; do fetch $i; done')).toBe(
+      '<h1>1</h1>\n<h1>2</h1>'
+    );
+  });
+
+  test('should report rejected promises as errors', async () => {
+    const result = await shell.executeDetailedAsync('fetch missing');
+    expect(result.stderr).toBe('Error executing fetch: 404 Not Found\n');
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should fail async commands run synchronously', () => {
+    const result = shell.executeDetailed('echo before; fetch home; echo after');
+    expect(result.stdout).toBe('before\nafter\n');
+    expect(result.stderr).toBe('Error executing fetch: asynchronous commands need executeAsync\n');
+    expect(shell.execute('ping example.com')).toBe(
+      'Error executing ping: asynchronous commands need executeAsync'
+    );
+  });
+
+  test('should keep running synchronous commands with executeAsync', async () => {
+    expect(await shell.executeAsync('echo hello | grep hell')).toBe('hello');
+    expect((await shell.executeDetailedAsync('false')).exitCode).toBe(1);
+    expect((await shell.executeDetailedAsync('if then')).exitCode).toBe(2);
+  });
+
+  test('should ask for input between async commands', async () => {
+    shell.commands.greet = () => ({
+      prompt: 'Name: ',
+      onAnswer: async (name) => `Hello, ${await later(name)}!`,
+    });
+
+    let result = await shell.executeDetailedAsync('fetch home; greet; fetch bye');
+    expect(result.output).toBe('<h1>home</h1>\n');
+    expect(result.pendingInput).toEqual({ prompt: 'Name: ', masked: false });
+
+    result = await shell.respondAsync('alice');
+    expect(result.output).toBe('Hello, alice!\n<h1>bye</h1>\n');
+    expect(shell.getPendingInput()).toBeNull();
+  });
+
+  test('should abandon an async command when another command line runs', async () => {
+    let stopped = false;
+    shell.commands.forever = async function* () {
+      try {
+        for (;;) {
+          yield await later('tick\n');
+        }
+      } finally {
+        stopped = true;
+      }
+    };
+
+    const running = shell.executeDetailedAsync('forever; echo never');
+    expect(shell.getPendingInput()).toBeNull();
+    expect(shell.execute('echo interrupted')).toBe('interrupted');
+
+    const result = await running;
+    expect(result.output).not.toContain('never');
+    await later(null);
+    expect(stopped).toBe(true);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Command Lists', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        true: () => ({ exitCode: 0 }),
+        false: () => ({ exitCode: 1 }),
+      },
+    });
+  });
+
+  test('should run commands separated by ; regardless of status', () => {
+    const output = shell.execute('cd /nope; pwd');
+    expect(output).toBe('cd: /nope: No such file or directory\n/home/testuser');
+  });
+
+  test('should run the right side of && only on success', () => {
+    shell.execute('mkdir build && cd build');
+    expect(shell.getCurrentPath()).toBe('/home/testuser/build');
+
+    shell.execute('cd /');
+    shell.execute('mkdir /home/testuser/build && cd /home/testuser/build');
+    expect(shell.getCurrentPath()).toBe('/');
+  });
+
+  test('should run the right side of || only on failure', () => {
+    expect(shell.execute('rm foo || echo missing')).toBe(
+      "rm: cannot remove 'foo': No such file or directory\nmissing"
+    );
+    expect(shell.execute('touch foo; rm foo || echo missing')).toBe('');
+  });
+
+  test('should chain && and || left to right', () => {
+    expect(shell.execute('true && echo a || echo b')).toBe('a');
+    expect(shell.execute('false && echo a || echo b')).toBe('b');
+    expect(shell.execute('true || echo a && echo b')).toBe('b');
+    expect(shell.execute('false || false || echo c')).toBe('c');
+  });
+
+  test('should return the status of the last command run', () => {
+    expect(shell.executeDetailed('false && echo skipped').exitCode).toBe(1);
+    expect(shell.executeDetailed('false || true').exitCode).toBe(0);
+    expect(shell.executeDetailed('true; false').exitCode).toBe(1);
+  });
+
+  test('should use pipeline status for short-circuiting', () => {
+    expect(shell.execute('echo abc | grep x && echo found || echo none')).toBe('none');
+    expect(shell.execute('echo abc | grep b && echo found')).toBe('abc\nfound');
+  });
+
+  test('should see the status of the previous command through $?', () => {
+    expect(shell.execute('false; echo $?; true; echo $?')).toBe('1\n0');
+  });
+
+  test('should concatenate output in order', () => {
+    shell.execute('echo one > a.txt');
+    expect(shell.execute('cat a.txt; echo two && cat a.txt')).toBe('one\ntwo\none');
+  });
+
+  test('should apply redirections per command in a list', () => {
+    shell.execute('echo first > a.txt; echo second > b.txt');
+    expect(shell.execute('cat a.txt')).toBe('first');
+    expect(shell.execute('cat b.txt')).toBe('second');
+  });
+
+  test('should accept && and || at the end of a line followed by more commands', () => {
+    expect(shell.execute('true &&\necho continued')).toBe('continued');
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Command Substitution', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        argc: (args: string[]) => String(args.length),
+        fruits: () => 'banana\napple\ncherry',
+      },
+    });
+  });
+
+  test('should replace $(...) with the command output', () => {
+    expect(shell.execute('echo "I am $(whoami)"')).toBe('I am testuser');
+  });
+
+  test('should support backticks', () => {
+    expect(shell.execute('echo `whoami`')).toBe('testuser');
+  });
+
+  test('should strip trailing newlines', () => {
+    expect(shell.execute('echo "[$(echo hi)]"')).toBe('[hi]');
+  });
+
+  test('should split unquoted output into arguments', () => {
+    expect(shell.execute('argc $(fruits)')).toBe('3');
+    expect(shell.execute('argc "$(fruits)"')).toBe('1');
+    expect(shell.execute('echo "$(fruits)"')).toBe('banana\napple\ncherry');
+  });
+
+  test('should run pipelines inside substitutions', () => {
+    expect(shell.execute('echo $(fruits | grep an)')).toBe('banana');
+  });
+
+  test('should use substitutions in paths', () => {
+    shell.execute('mkdir sub');
+    shell.execute('cd `pwd`/sub');
+    expect(shell.execute('pwd')).toBe('/home/testuser/sub');
+  });
+
+  test('should nest substitutions', () => {
+    expect(shell.execute('echo $(echo $(echo deep))')).toBe('deep');
+    expect(shell.execute('echo $(echo ")")')).toBe(')');
+  });
+
+  test('should assign substitution output to variables', () => {
+    shell.execute('ME=$(whoami)');
+    expect(shell.execute('echo $ME')).toBe('testuser');
+  });
+
+  test('should keep substitution output whole in assignments', () => {
+    shell.execute('LIST=$(fruits)');
+    expect(shell.execute('echo "$LIST"')).toBe('banana\napple\ncherry');
+  });
+
+  test('should pass errors through to stderr', () => {
+    const result = shell.executeDetailed('echo "[$(cat missing.txt)]"');
+    expect(result.stdout).toBe('[]\n');
+    expect(result.stderr).toBe('cat: missing.txt: No such file or directory\n');
+  });
+
+  test('should give bare assignments the substitution exit status', () => {
+    expect(shell.executeDetailed('X=$(cat missing.txt 2> err.txt)').exitCode).toBe(1);
+    expect(shell.executeDetailed('X=$(pwd)').exitCode).toBe(0);
+  });
+
+  test('should not add substitutions to history', () => {
+    shell.execute('echo $(pwd)');
+    expect(shell.commandHistory).toEqual(['echo $(pwd)']);
+  });
+
+  test('should not expand substitutions in single quotes', () => {
+    expect(shell.execute("echo '$(whoami)' '`whoami`'")).toBe('$(whoami) `whoami`');
+  });
+});
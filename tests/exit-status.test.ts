@@ -0,0 +1,205 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Exit Status', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        fail: (args: string[]) => ({
+          stdout: 'partial\n',
+          stderr: 'fail: something broke\n',
+          exitCode: args[0] ? parseInt(args[0], 10) : 3,
+        }),
+        boom: () => {
+          throw new Error('kaboom');
+        },
+      },
+    });
+  });
+
+  test('should report success for commands that work', () => {
+    const result = shell.executeDetailed('echo hello');
+    expect(result).toEqual({ stdout: 'hello\n', stderr: '', exitCode: 0, output: 'hello\n' });
+  });
+
+  test('should separate stderr from stdout', () => {
+    const result = shell.executeDetailed('cat README.md missing.txt');
+    expect(result.stdout).toContain('Welcome');
+    expect(result.stdout).not.toContain('missing.txt');
+    expect(result.stderr).toBe('cat: missing.txt: No such file or directory\n');
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should still show errors from execute', () => {
+    expect(shell.execute('cat missing.txt')).toBe('cat: missing.txt: No such file or directory');
+  });
+
+  test('should exit 127 for unknown commands', () => {
+    const result = shell.executeDetailed('nosuchcommand');
+    expect(result.exitCode).toBe(127);
+    expect(result.stderr).toBe('nosuchcommand: command not found\n');
+  });
+
+  test('should exit 2 on syntax errors', () => {
+    expect(shell.executeDetailed('echo "open').exitCode).toBe(2);
+  });
+
+  test('should exit 1 when a handler throws', () => {
+    const result = shell.executeDetailed('boom');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toContain('kaboom');
+  });
+
+  test('should pass through custom command results', () => {
+    const result = shell.executeDetailed('fail 4');
+    expect(result).toEqual({
+      stdout: 'partial\n',
+      stderr: 'fail: something broke\n',
+      exitCode: 4,
+      output: 'partial\nfail: something broke\n',
+    });
+  });
+
+  test('should use the exit status of the last pipeline stage', () => {
+    expect(shell.executeDetailed('fail | echo ok').exitCode).toBe(0);
+    expect(shell.executeDetailed('echo ok | fail').exitCode).toBe(3);
+  });
+
+  test('should exit 1 when grep finds nothing', () => {
+    expect(shell.executeDetailed('echo abc | grep xyz').exitCode).toBe(1);
+    expect(shell.executeDetailed('echo abc | grep b').exitCode).toBe(0);
+  });
+
+  test('should exit 2 from ls for missing paths', () => {
+    expect(shell.executeDetailed('ls /nope').exitCode).toBe(2);
+  });
+});
+
+describe('UnixShell - $?', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should expand $? to the last exit status', () => {
+    shell.execute('cat missing.txt');
+    expect(shell.execute('echo $?')).toBe('1');
+    expect(shell.execute('echo $?')).toBe('0');
+  });
+
+  test('should expand $? inside double quotes but not single quotes', () => {
+    shell.execute('nosuchcommand');
+    expect(shell.execute('echo "status: $?"')).toBe('status: 127');
+    expect(shell.execute("echo '$?'")).toBe('$?');
+  });
+
+  test('should update $? after each command in a list', () => {
+    expect(shell.execute('cat missing.txt 2> err.txt; echo $?')).toBe('1');
+  });
+
+  test('should track the exit status on the shell', () => {
+    shell.execute('cd /nowhere');
+    expect(shell.lastExitStatus).toBe(1);
+  });
+});
+
+describe('UnixShell - Stderr Redirection', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: {
+        '/': {
+          ...createExampleFiles('testuser')['/'],
+          dev: { null: '' },
+        },
+      },
+    });
+  });
+
+  test('should keep error text out of > files', () => {
+    const output = shell.execute('cat missing.txt > out.txt');
+    expect(output).toBe('cat: missing.txt: No such file or directory');
+    expect(shell.execute('cat out.txt')).toBe('');
+  });
+
+  test('should write stderr to a file with 2>', () => {
+    const output = shell.execute('cat missing.txt 2> errors.txt');
+    expect(output).toBe('');
+    expect(shell.execute('cat errors.txt')).toBe('cat: missing.txt: No such file or directory');
+  });
+
+  test('should append stderr with 2>>', () => {
+    shell.execute('cat a.txt 2> errors.txt');
+    shell.execute('cat b.txt 2>> errors.txt');
+    expect(shell.execute('cat errors.txt').split('\n')).toHaveLength(2);
+  });
+
+  test('should merge stderr into stdout with 2>&1', () => {
+    shell.execute('cat README.md missing.txt > all.txt 2>&1');
+    const saved = shell.execute('cat all.txt');
+    expect(saved).toContain('Welcome');
+    expect(saved).toContain('missing.txt: No such file or directory');
+  });
+
+  test('should send stderr down a pipe with 2>&1', () => {
+    expect(shell.execute('cat missing.txt 2>&1 | grep missing')).toContain('No such file');
+    expect(shell.executeDetailed('cat missing.txt 2>&1 | grep missing').exitCode).toBe(0);
+  });
+
+  test('should keep stderr out of pipes by default', () => {
+    const result = shell.executeDetailed('cat missing.txt | grep missing');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toContain('No such file or directory');
+  });
+
+  test('should apply redirections in order', () => {
+    // stderr still reaches the terminal's stdout because it was duplicated before stdout moved
+    const result = shell.executeDetailed('cat missing.txt 2>&1 > out.txt');
+    expect(result.stdout).toContain('missing.txt');
+    expect(shell.execute('cat out.txt')).toBe('');
+  });
+
+  test('should send both streams to a file with &>', () => {
+    shell.execute('cat README.md missing.txt &> all.txt');
+    const saved = shell.execute('cat all.txt');
+    expect(saved).toContain('Welcome');
+    expect(saved).toContain('No such file or directory');
+  });
+
+  test('should send stdout to stderr with >&2', () => {
+    const result = shell.executeDetailed('echo oops >&2');
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toBe('oops\n');
+  });
+
+  test('should discard output written to /dev/null', () => {
+    expect(shell.execute('cat missing.txt 2> /dev/null')).toBe('');
+    expect(shell.execute('cat /dev/null')).toBe('');
+  });
+
+  test('should read /dev/null as empty, whatever was written to it', () => {
+    expect(shell.executeDetailed('cat /dev/null')).toMatchObject({
+      stdout: '',
+      stderr: '',
+      exitCode: 0,
+    });
+    expect(shell.executeDetailed('wc -l < /dev/null')).toMatchObject({
+      stdout: '0\n',
+      exitCode: 0,
+    });
+    shell.execute('echo hidden >> /dev/null; cp example.txt /dev/null');
+    expect(shell.execute('wc -c /dev/null')).toBe('0 /dev/null');
+    expect(shell.execute('ls -l /dev/null')).toMatch(/^-rw-rw-rw- 1 root root 0 /);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, expect, test, beforeEach, afterEach, jest } from '@jest/globals';
+import { UnixShell, FileSystem, FileNode } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+// Mid-January 2020 at noon UTC, the same calendar day in any time zone
+const OLD_TIME = Date.UTC(2020, 0, 15, 12, 0);
+
+describe('UnixShell - File Metadata', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should upgrade plain files and directories with default modes and owners', () => {
+    expect(shell.stat('/home/testuser/notes.txt')).toMatchObject({
+      type: 'file',
+      mode: 0o644,
+      uid: 1000,
+      gid: 1000,
+    });
+    expect(shell.stat('/home/testuser')).toMatchObject({
+      type: 'directory',
+      mode: 0o755,
+      uid: 1000,
+      size: 4096,
+    });
+    expect(shell.stat('/etc/hostname')).toMatchObject({ uid: 0, gid: 0, size: 10 });
+    expect(shell.getOwner('/etc/hostname')).toEqual({ user: 'root', group: 'root' });
+    expect(shell.stat('/missing')).toBeNull();
+  });
+
+  test('should count sizes in UTF-8 bytes', () => {
+    shell.execute('echo héllo > accent.txt');
+    expect(shell.stat('accent.txt')!.size).toBe(7);
+  });
+
+  test('should accept files and directories that already carry metadata', () => {
+    const file: FileNode = {
+      type: 'file',
+      content: 'secret\n',
+      mode: 0o600,
+      uid: 1000,
+      gid: 1000,
+      atime: OLD_TIME,
+      mtime: OLD_TIME,
+      ctime: OLD_TIME,
+    };
+    const fileSystem: FileSystem = createExampleFiles('testuser');
+    (fileSystem['/'] as Record<string, any>).home.testuser['key.pem'] = file;
+
+    shell = new UnixShell({ username: 'testuser', fileSystem });
+
+    expect(shell.execute('cat key.pem')).toBe('secret');
+    expect(shell.execute('ls -l')).toMatch(
+      /-rw------- 1 testuser testuser +7 Jan 15 {2}2020 key\.pem/
+    );
+  });
+
+  test('should show real modes, owners, link counts and times in ls -l', () => {
+    shell.execute('mkdir project');
+    shell.execute('mkdir project/src');
+    shell.execute('echo hello > project/readme');
+
+    const listing = shell.execute('ls -l project');
+    expect(listing).toMatch(/^drwxr-xr-x 2 testuser testuser +4096 \w{3} [ \d]\d \d\d:\d\d src$/m);
+    expect(listing).toMatch(/^-rw-r--r-- 1 testuser testuser +6 \w{3} [ \d]\d \d\d:\d\d readme$/m);
+    expect(shell.execute('ls -l')).toMatch(/^drwxr-xr-x 3 testuser .* project$/m);
+  });
+
+  test('should update times with touch', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME);
+    shell.execute('touch old.txt');
+    expect(shell.stat('old.txt')).toMatchObject({ atime: OLD_TIME, mtime: OLD_TIME });
+
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME + 1000);
+    shell.execute('touch -a old.txt');
+    expect(shell.stat('old.txt')).toMatchObject({ atime: OLD_TIME + 1000, mtime: OLD_TIME });
+
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME + 2000);
+    shell.execute('touch -m old.txt');
+    expect(shell.stat('old.txt')).toMatchObject({
+      atime: OLD_TIME + 1000,
+      mtime: OLD_TIME + 2000,
+      ctime: OLD_TIME + 2000,
+    });
+  });
+
+  test('should touch several files and leave missing ones alone with -c', () => {
+    shell.execute('touch one.txt two.txt');
+    expect(shell.stat('one.txt')).not.toBeNull();
+    expect(shell.stat('two.txt')).not.toBeNull();
+
+    const result = shell.executeDetailed('touch -c three.txt');
+    expect(result.exitCode).toBe(0);
+    expect(shell.stat('three.txt')).toBeNull();
+  });
+
+  test('should reject unknown touch options', () => {
+    const result = shell.executeDetailed('touch -z file.txt');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toBe(
+      "touch: invalid option -- 'z'\nTry 'touch --help' for more information.\n"
+    );
+  });
+
+  test('should update the file and its directory when redirecting', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME);
+    shell.execute('echo first > log.txt');
+    expect(shell.stat('.')!.mtime).toBe(OLD_TIME);
+
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME + 5000);
+    shell.execute('echo second >> log.txt');
+    expect(shell.stat('log.txt')).toMatchObject({
+      size: 13,
+      atime: OLD_TIME,
+      mtime: OLD_TIME + 5000,
+    });
+    // Changing a file doesn't change the directory it's in
+    expect(shell.stat('.')!.mtime).toBe(OLD_TIME);
+  });
+
+  test('should record reads in the access time', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME);
+    shell.execute('echo data > read.txt');
+
+    jest.spyOn(Date, 'now').mockReturnValue(OLD_TIME + 3000);
+    shell.execute('cat read.txt');
+    expect(shell.stat('read.txt')).toMatchObject({ atime: OLD_TIME + 3000, mtime: OLD_TIME });
+  });
+
+  test('should give new files to the user who creates them', () => {
+    shell.execute('su root');
+    shell.execute('touch by-root');
+    shell.execute('exit');
+    shell.execute('touch by-user');
+
+    expect(shell.getOwner('by-root')).toEqual({ user: 'root', group: 'root' });
+    expect(shell.getOwner('by-user')).toEqual({ user: 'testuser', group: 'testuser' });
+  });
+
+  test('should give each home directory its own owner', () => {
+    const fileSystem: FileSystem = createExampleFiles('testuser');
+    (fileSystem['/'] as Record<string, any>).home.alice = { 'todo.txt': 'write tests\n' };
+
+    shell = new UnixShell({ username: 'testuser', fileSystem });
+
+    expect(shell.getOwner('/home/alice/todo.txt')).toEqual({ user: 'alice', group: 'alice' });
+    expect(shell.stat('/home/alice')!.uid).not.toBe(shell.stat('/home/testuser')!.uid);
+  });
+});
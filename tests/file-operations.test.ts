@@ -0,0 +1,278 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - cp and mv', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('echo one > a; echo two > b; mkdir dir');
+  });
+
+  test('should copy files to a new name or into a directory', () => {
+    expect(shell.execute('cp a c; cat c')).toBe('one');
+    expect(shell.execute('cp a b dir; ls dir')).toBe('a  b');
+    expect(shell.execute('cp -v a dir/')).toBe("'a' -> 'dir/a'");
+    expect(shell.execute('cat dir/b')).toBe('two');
+  });
+
+  test('should keep the mode of copied files, less the umask', () => {
+    shell.execute('chmod 755 a; umask 027; cp a run');
+    expect(shell.stat('run')!.mode).toBe(0o750);
+    expect(shell.stat('run')!.uid).toBe(1000);
+  });
+
+  test('should copy directories with -r', () => {
+    shell.execute('touch dir/x; mkdir dir/sub; echo deep > dir/sub/y');
+    expect(shell.execute('cp dir copy')).toBe("cp: -r not specified; omitting directory 'dir'");
+    expect(shell.execute('cp -rv dir copy')).toBe(
+      "'dir' -> 'copy'\n'dir/x' -> 'copy/x'\n'dir/sub' -> 'copy/sub'\n'dir/sub/y' -> 'copy/sub/y'"
+    );
+    expect(shell.execute('cat copy/sub/y')).toBe('deep');
+    expect(shell.execute('cp -r dir dir/sub')).toBe(
+      "cp: cannot copy a directory, 'dir', into itself, 'dir/sub/dir'"
+    );
+  });
+
+  test('should ask before overwriting with -i and never overwrite with -n', () => {
+    expect(shell.executeDetailed('cp -i a b').pendingInput).toEqual({
+      prompt: "cp: overwrite 'b'? ",
+      masked: false,
+    });
+    shell.respond('n');
+    expect(shell.execute('cat b')).toBe('two');
+    shell.execute('cp -i a b');
+    shell.respond('y');
+    expect(shell.execute('cat b')).toBe('one');
+
+    shell.execute('echo three > c');
+    expect(shell.executeDetailed('cp -n a c').exitCode).toBe(0);
+    expect(shell.execute('cat c')).toBe('three');
+    expect(shell.execute('echo y | mv -i c a; cat a')).toBe('three');
+  });
+
+  test('should rename and move files and directories', () => {
+    expect(shell.execute('mv -v a renamed')).toBe("renamed 'a' -> 'renamed'");
+    shell.execute('mv renamed b dir');
+    expect(shell.execute('ls; ls dir')).toBe('dir  example.txt  notes.txt  README.md\nb  renamed');
+    shell.execute('mkdir other; mv dir other');
+    expect(shell.execute('cat other/dir/b')).toBe('two');
+    expect(shell.execute('mv other other/dir')).toBe(
+      "mv: cannot move 'other' to a subdirectory of itself, 'other/dir/other'"
+    );
+  });
+
+  test('should report cp and mv errors like coreutils', () => {
+    expect(shell.execute('cp')).toBe(
+      "cp: missing file operand\nTry 'cp --help' for more information."
+    );
+    expect(shell.execute('mv a')).toBe(
+      "mv: missing destination file operand after 'a'\nTry 'mv --help' for more information."
+    );
+    expect(shell.execute('cp a b c')).toBe("cp: target 'c' is not a directory");
+    expect(shell.execute('cp a a')).toBe("cp: 'a' and 'a' are the same file");
+    expect(shell.execute('mv missing x')).toBe(
+      "mv: cannot stat 'missing': No such file or directory"
+    );
+    expect(shell.execute('mv dir a')).toBe(
+      "mv: cannot overwrite non-directory 'a' with directory 'dir'"
+    );
+    expect(shell.execute('cp -z a b')).toBe(
+      "cp: invalid option -- 'z'\nTry 'cp --help' for more information."
+    );
+    expect(shell.executeDetailed('cp a b c').exitCode).toBe(1);
+  });
+
+  test('should check permissions when copying and moving', () => {
+    expect(shell.execute('cp /etc/shadow .')).toBe(
+      "cp: cannot open '/etc/shadow' for reading: Permission denied"
+    );
+    expect(shell.execute('cp a /etc')).toBe(
+      "cp: cannot create regular file '/etc/a': Permission denied"
+    );
+    expect(shell.execute('mv /etc/hostname .')).toBe(
+      "mv: cannot move '/etc/hostname' to './hostname': Permission denied"
+    );
+  });
+});
+
+describe('UnixShell - rm', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('echo one > a; touch empty; mkdir dir; mkdir dir/sub; echo two > dir/b');
+  });
+
+  test('should ask before removing each file with -i', () => {
+    expect(shell.executeDetailed('rm -i a').pendingInput).toEqual({
+      prompt: "rm: remove regular file 'a'? ",
+      masked: false,
+    });
+    expect(shell.respond('n')).toMatchObject({ stdout: '', exitCode: 0 });
+    expect(shell.execute('cat a')).toBe('one');
+
+    shell.execute('rm -i a empty');
+    expect(shell.respond('y').pendingInput).toEqual({
+      prompt: "rm: remove regular empty file 'empty'? ",
+      masked: false,
+    });
+    shell.respond('no');
+    expect(shell.execute('ls a')).toBe("ls: cannot access 'a': No such file or directory");
+    expect(shell.execute('ls empty')).toBe('empty');
+    // Piped answers are read without prompting, as for cp -i
+    expect(shell.execute('echo y | rm -iv empty')).toBe("removed 'empty'");
+  });
+
+  test('should ask about what is in a directory before the directory', () => {
+    shell.execute('rm -ri dir');
+    const prompts = [
+      shell.getPendingInput()!.prompt,
+      shell.respond('y').pendingInput!.prompt,
+      shell.respond('n').pendingInput!.prompt,
+    ];
+    expect(prompts).toEqual([
+      "rm: descend into directory 'dir'? ",
+      "rm: remove directory 'dir/sub'? ",
+      "rm: remove regular file 'dir/b'? ",
+    ]);
+    expect(shell.respond('y').pendingInput).toBeUndefined();
+    // dir/sub was kept, so dir stays too
+    expect(shell.execute('find dir')).toBe('dir\ndir/sub');
+  });
+
+  test('should let the last of -i and -f decide', () => {
+    expect(shell.executeDetailed('rm -if a').pendingInput).toBeUndefined();
+    expect(shell.executeDetailed('rm -fi empty').pendingInput).toBeDefined();
+    expect(shell.respond('y').exitCode).toBe(0);
+    expect(shell.execute('rm -f missing; echo $?')).toBe('0');
+  });
+
+  test('should parse flags and long options', () => {
+    expect(shell.execute('rm dir')).toBe("rm: cannot remove 'dir': Is a directory");
+    expect(shell.execute('rm -d dir/sub --verbose')).toBe("removed directory 'dir/sub'");
+    expect(shell.execute('rm --recursive --force dir missing; ls dir')).toBe(
+      "ls: cannot access 'dir': No such file or directory"
+    );
+    expect(shell.execute('rm -x a')).toBe(
+      "rm: invalid option -- 'x'\nTry 'rm --help' for more information."
+    );
+  });
+});
+
+describe('UnixShell - Links', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('echo hello > file; mkdir dir');
+  });
+
+  test('should follow symlinks to files and directories', () => {
+    shell.execute('ln -s file link; ln -s dir dirlink');
+    expect(shell.execute('cat link')).toBe('hello');
+    shell.execute('echo more >> link');
+    expect(shell.execute('cat file')).toBe('hello\nmore');
+
+    shell.execute('cd dirlink; touch inside; cd ..');
+    expect(shell.execute('ls dir')).toBe('inside');
+    expect(shell.execute('test -L link && test -f link && echo yes')).toBe('yes');
+    expect(shell.stat('link')!.type).toBe('file');
+    expect(shell.stat('link', false)!.type).toBe('symlink');
+  });
+
+  test('should show symlinks as name -> target in ls -l', () => {
+    shell.execute('ln -s /etc/hostname host');
+    expect(shell.execute('ls -l host')).toMatch(
+      /^lrwxrwxrwx 1 testuser testuser +13 .* host -> \/etc\/hostname$/
+    );
+    expect(shell.execute('tree')).toContain('host -> /etc/hostname');
+  });
+
+  test('should resolve relative targets from the link’s directory', () => {
+    shell.execute('ln -s ../file dir/up');
+    expect(shell.execute('cat dir/up')).toBe('hello');
+    expect(shell.realPath('dir/up')).toBe('/home/testuser/file');
+  });
+
+  test('should leave dangling symlinks until their target is written', () => {
+    shell.execute('ln -s later dangling');
+    expect(shell.execute('cat dangling')).toBe('cat: dangling: No such file or directory');
+    shell.execute('echo now > dangling');
+    expect(shell.execute('cat later')).toBe('now');
+  });
+
+  test('should stop following symlinks that loop', () => {
+    shell.execute('ln -s b a; ln -s a b');
+    expect(shell.execute('cat a')).toBe('cat: a: Too many levels of symbolic links');
+  });
+
+  test('should make hard links to the same file', () => {
+    shell.execute('ln file hard');
+    shell.execute('echo again >> hard');
+    expect(shell.execute('cat file')).toBe('hello\nagain');
+    shell.execute('rm file');
+    expect(shell.execute('cat hard')).toBe('hello\nagain');
+    expect(shell.execute('ln dir dirhard')).toBe('ln: dir: hard link not allowed for directory');
+  });
+
+  test('should count hard links in ls -l', () => {
+    shell.execute('ln file hard');
+    expect(shell.execute('ls -l file')).toMatch(/^-rw-r--r-- 2 testuser /);
+    shell.execute('rm hard');
+    expect(shell.execute('ls -l file')).toMatch(/^-rw-r--r-- 1 testuser /);
+  });
+
+  test("should not hard link to others' files the user can't read and write", () => {
+    expect(shell.execute('ln /etc/shadow mine')).toBe(
+      "ln: failed to create hard link 'mine' => '/etc/shadow': Operation not permitted"
+    );
+    expect(shell.execute('ls mine')).toContain('No such file or directory');
+  });
+
+  test('should replace files with -f and name links with -v', () => {
+    shell.execute('touch taken');
+    expect(shell.execute('ln -s file taken')).toBe(
+      "ln: failed to create symbolic link 'taken': File exists"
+    );
+    expect(shell.execute('ln -sfv file taken')).toBe("'taken' -> 'file'");
+    expect(shell.execute('ln -s /etc/passwd; readlink passwd')).toBe('/etc/passwd');
+    expect(shell.execute('ln -s /etc/passwd /etc/x')).toBe(
+      "ln: failed to create symbolic link '/etc/x': Permission denied"
+    );
+  });
+
+  test('should move and remove symlinks rather than their targets', () => {
+    shell.execute('ln -s file link; mv link dir; rm dir/link');
+    expect(shell.execute('cat file')).toBe('hello');
+    shell.execute('ln -s dir dirlink; cp -r dirlink copy');
+    expect(shell.execute('readlink copy')).toBe('dir');
+  });
+
+  test('should read where symlinks point with readlink', () => {
+    shell.execute('ln -s file link; ln -s link chain; ln -s missing dangling');
+    expect(shell.execute('readlink chain')).toBe('link');
+    expect(shell.execute('readlink -f chain')).toBe('/home/testuser/file');
+    expect(shell.execute('readlink -f dangling')).toBe('/home/testuser/missing');
+    expect(shell.executeDetailed('readlink -e dangling').exitCode).toBe(1);
+    expect(shell.execute('readlink -m nothing/here')).toBe('/home/testuser/nothing/here');
+
+    const result = shell.executeDetailed('readlink file');
+    expect(result.output).toBe('');
+    expect(result.exitCode).toBe(1);
+    expect(shell.execute('readlink -v file')).toBe('readlink: file: Invalid argument');
+    expect(shell.execute('readlink')).toBe(
+      "readlink: missing operand\nTry 'readlink --help' for more information."
+    );
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - find', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('mkdir src; echo a > src/a.js; echo bb > src/b.ts; mkdir src/lib');
+    shell.execute('touch src/lib/C.JS');
+  });
+
+  test('should list everything under a directory, starting with it', () => {
+    expect(shell.execute('find src')).toBe('src\nsrc/a.js\nsrc/b.ts\nsrc/lib\nsrc/lib/C.JS');
+    expect(shell.execute('cd src; find; cd ..')).toBe('.\n./a.js\n./b.ts\n./lib\n./lib/C.JS');
+  });
+
+  test('should match names, types and depths', () => {
+    expect(shell.execute('find src -name "*.js"')).toBe('src/a.js');
+    expect(shell.execute('find src -iname "*.js"')).toBe('src/a.js\nsrc/lib/C.JS');
+    expect(shell.execute('find . -type d')).toBe('.\n./src\n./src/lib');
+    expect(shell.execute('find src -maxdepth 1 -type f')).toBe('src/a.js\nsrc/b.ts');
+    expect(shell.execute('find src -mindepth 2')).toBe('src/lib/C.JS');
+    expect(shell.execute('find src -path "*/lib/*"')).toBe('src/lib/C.JS');
+  });
+
+  test('should match sizes, times and owners', () => {
+    expect(shell.execute('find src -type f -size -1')).toBe('src/lib/C.JS');
+    expect(shell.execute('find src -type f -size 3c')).toBe('src/b.ts');
+    expect(shell.execute('find src -empty')).toBe('src/lib/C.JS');
+    expect(shell.execute('find src -type f -mtime -1')).toBe('src/a.js\nsrc/b.ts\nsrc/lib/C.JS');
+    expect(shell.execute('find src -mmin +5')).toBe('');
+    expect(shell.execute('find src -user testuser -perm 644 -name "?.[jt]s"')).toBe(
+      'src/a.js\nsrc/b.ts'
+    );
+  });
+
+  test('should combine tests with !, -o and parentheses', () => {
+    expect(shell.execute('find src ! -name "*.js" -type f')).toBe('src/b.ts\nsrc/lib/C.JS');
+    expect(shell.execute('find src \\( -name a.js -o -name b.ts \\) -print')).toBe(
+      'src/a.js\nsrc/b.ts'
+    );
+    expect(shell.execute('find src -name lib -prune -o -type f -print')).toBe('src/a.js\nsrc/b.ts');
+  });
+
+  test('should run commands with -exec', () => {
+    expect(shell.execute('find src -name "*.ts" -exec cat {} \\;')).toBe('bb');
+    expect(shell.execute('find src -type f -exec echo found: {} +')).toBe(
+      'found: src/a.js src/b.ts src/lib/C.JS'
+    );
+    expect(
+      shell.execute('find src -name "*.js" -exec echo first {} \\; -exec echo then {} \\;')
+    ).toBe('first src/a.js\nthen src/a.js');
+    expect(shell.execute('find src -name a.js -exec nothing {} \\;')).toBe(
+      "find: 'nothing': No such file or directory"
+    );
+  });
+
+  test('should separate names with NULs for -print0', () => {
+    expect(shell.execute('find src -type f -print0')).toBe('src/a.js\0src/b.ts\0src/lib/C.JS\0');
+  });
+
+  test('should delete what it finds with -delete', () => {
+    shell.execute('find src -name "*.ts" -delete');
+    expect(shell.execute('find src -type f')).toBe('src/a.js\nsrc/lib/C.JS');
+    shell.execute('find src -delete');
+    expect(shell.execute('ls')).toBe('example.txt  notes.txt  README.md');
+  });
+
+  test('should report errors like findutils', () => {
+    const missing = shell.executeDetailed('find nowhere');
+    expect(missing.output).toBe("find: 'nowhere': No such file or directory\n");
+    expect(missing.exitCode).toBe(1);
+    expect(shell.execute('find src -bogus')).toBe("find: unknown predicate '-bogus'");
+    expect(shell.execute('find src -name')).toBe("find: missing argument to '-name'");
+    expect(shell.execute('find src -type x')).toBe('find: Unknown argument to -type: x');
+    expect(shell.execute('find src -exec echo')).toBe("find: missing argument to '-exec'");
+    expect(shell.execute('find src -name x -o')).toBe(
+      "find: invalid expression; you have used a binary operator '-o' with nothing after it."
+    );
+    expect(shell.execute('find src -type f a.js')).toBe(
+      "find: paths must precede expression: 'a.js'"
+    );
+    expect(shell.execute('find src -user nobody2')).toBe(
+      "find: 'nobody2' is not the name of a known user"
+    );
+  });
+
+  test('should report directories it can’t read and carry on', () => {
+    shell.execute('chmod 000 src/lib');
+    const result = shell.executeDetailed('find src -type d');
+    expect(result.output).toBe("src\nsrc/lib\nfind: 'src/lib': Permission denied\n");
+    expect(result.exitCode).toBe(1);
+  });
+});
+
+describe('UnixShell - xargs', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should pass input as arguments to a command, echo by default', () => {
+    expect(shell.execute('echo one two three | xargs')).toBe('one two three');
+    expect(shell.execute('echo one two three | xargs -n 2 echo got')).toBe(
+      'got one two\ngot three'
+    );
+    expect(shell.execute('echo README.md | xargs grep -c Unix')).toBe('2');
+  });
+
+  test('should keep quoted items together', () => {
+    shell.writeToFile('items', '\'a b\' c\\ d\n"e"\n', 'overwrite');
+    expect(shell.execute('xargs -n 1 < items')).toBe('a b\nc d\ne');
+    expect(shell.execute('echo "\'a" | xargs')).toBe(
+      'xargs: unmatched single quote; by default quotes are special to xargs unless you use the -0 option'
+    );
+  });
+
+  test('should split at NULs, a delimiter or whole lines', () => {
+    shell.execute('mkdir dir; touch dir/x dir/y');
+    expect(shell.execute('find dir -type f -print0 | xargs -0 echo')).toBe('dir/x dir/y');
+    shell.writeToFile('list', 'a,b c,d', 'overwrite');
+    expect(shell.execute('xargs -d , -n 1 < list')).toBe('a\nb c\nd');
+    shell.writeToFile('lines', 'one two\nthree\n', 'overwrite');
+    expect(shell.execute('xargs -L 1 echo line < lines')).toBe('line one two\nline three');
+    expect(shell.execute('xargs -I {} echo [{}] < lines')).toBe('[one two]\n[three]');
+  });
+
+  test('should feed find results to other commands', () => {
+    shell.execute('mkdir dir; echo hi > dir/a.txt; echo there > dir/b.txt');
+    expect(shell.execute('find dir -name "*.txt" | xargs cat')).toBe('hi\nthere');
+    shell.execute('find dir -name "*.txt" | xargs rm');
+    expect(shell.execute('ls dir')).toBe('');
+  });
+
+  test('should run the command once without input unless -r is given', () => {
+    expect(shell.execute('echo | xargs echo empty')).toBe('empty');
+    expect(shell.execute('echo | xargs -r echo empty')).toBe('');
+  });
+
+  test('should show commands with -t and report how they went', () => {
+    expect(shell.execute('echo x | xargs -t echo')).toBe('echo x\nx');
+    const failed = shell.executeDetailed('echo a | xargs false');
+    expect(failed.exitCode).toBe(123);
+    const missing = shell.executeDetailed('echo a | xargs nothing');
+    expect(missing.output).toBe('xargs: nothing: No such file or directory\n');
+    expect(missing.exitCode).toBe(127);
+    expect(shell.execute('echo a | xargs -n x')).toBe('xargs: invalid number "x" for -n option');
+  });
+});
+
+describe('UnixShell - du and df', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('mkdir dir; mkdir dir/sub; echo hello > dir/a; touch dir/sub/empty');
+  });
+
+  test('should count each directory in 1K blocks, files taking whole 4K blocks', () => {
+    expect(shell.execute('du dir')).toBe('4\tdir/sub\n12\tdir');
+    expect(shell.execute('du -a dir')).toBe('0\tdir/sub/empty\n4\tdir/sub\n4\tdir/a\n12\tdir');
+    expect(shell.execute('du -b dir/a')).toBe('6\tdir/a');
+  });
+
+  test('should summarize and total with -s, -h and -c', () => {
+    expect(shell.execute('du -sh dir')).toBe('12K\tdir');
+    expect(shell.execute('du -sc dir notes.txt')).toBe('12\tdir\n4\tnotes.txt\n16\ttotal');
+    expect(shell.execute('du -d 0 dir')).toBe('12\tdir');
+  });
+
+  test('should count hard links once', () => {
+    shell.execute('ln dir/a dir/b');
+    expect(shell.execute('du -s dir')).toBe('12\tdir');
+  });
+
+  test('should report du errors', () => {
+    const result = shell.executeDetailed('du missing');
+    expect(result.output).toBe("du: cannot access 'missing': No such file or directory\n");
+    expect(result.exitCode).toBe(1);
+    expect(shell.execute('du -sa')).toBe(
+      "du: cannot both summarize and show all entries\nTry 'du --help' for more information."
+    );
+    shell.execute('chmod 000 dir/sub');
+    expect(shell.execute('du dir')).toBe(
+      "4\tdir/sub\n12\tdir\ndu: cannot read directory 'dir/sub': Permission denied"
+    );
+  });
+
+  test('should report the disk’s size and use with df', () => {
+    const [header, row] = shell.execute('df').split('\n');
+    expect(header).toBe('Filesystem 1K-blocks Used Available Use% Mounted on');
+    const [, size, used, available] = row.split(/ +/);
+    expect(Number(size)).toBe(1048576);
+    expect(Number(used) + Number(available)).toBe(1048576);
+
+    expect(shell.execute('df -h .')).toMatch(
+      /^Filesystem Size +Used Avail Use% Mounted on\nrootfs +1\.0G +\d+K +1\.0G +1% \/$/
+    );
+    const before = Number(shell.execute('df').split('\n')[1].split(/ +/)[2]);
+    shell.writeToFile('big', 'x'.repeat(10000), 'overwrite');
+    expect(Number(shell.execute('df').split('\n')[1].split(/ +/)[2])).toBe(before + 12);
+    expect(shell.execute('df nowhere')).toBe('df: nowhere: No such file or directory');
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, FileSystem } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Example files with a second account for su, and history files
+ */
+function withHistory(histories: Record<string, string>): FileSystem {
+  const fileSystem = createExampleFiles('testuser');
+  const root = fileSystem['/'] as Record<string, any>;
+  root.etc.passwd =
+    'root:x:0:0:root:/root:/bin/bash\n' +
+    'testuser:x:1000:1000::/home/testuser:/bin/bash\n' +
+    'alice:x:1001:1001:Alice:/home/alice:/bin/bash\n';
+  root.etc.group = 'root:x:0:\ntestuser:x:1000:\nalice:x:1001:\n';
+  root.home.alice = {};
+  for (const [user, history] of Object.entries(histories)) {
+    root.home[user]['.bash_history'] = history;
+  }
+  return fileSystem;
+}
+
+describe('UnixShell - history', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({ username: 'testuser', fileSystem: withHistory({}) });
+    shell.execute('pwd');
+    shell.execute('whoami');
+  });
+
+  test('should show the last n lines', () => {
+    expect(shell.execute('history 2')).toBe('2  whoami\n3  history 2');
+    expect(shell.execute('history 0')).toBe('');
+  });
+
+  test('should clear the history and delete lines by offset', () => {
+    shell.execute('history -d 1');
+    expect(shell.commandHistory).toEqual(['whoami', 'history -d 1']);
+    // Counting from the end, -1 is the history -d line itself
+    shell.execute('history -d -2');
+    expect(shell.commandHistory).toEqual(['whoami', 'history -d -2']);
+
+    shell.execute('history -c');
+    expect(shell.execute('history')).toBe('1  history');
+  });
+
+  test('should report bad arguments', () => {
+    expect(shell.executeDetailed('history -d 99')).toMatchObject({
+      stderr: 'history: 99: history position out of range\n',
+      exitCode: 1,
+    });
+    expect(shell.executeDetailed('history -x')).toMatchObject({
+      stderr:
+        'history: -x: invalid option\n' +
+        'history: usage: history [-c] [-d offset] [n] or history -anrw [filename]\n',
+      exitCode: 2,
+    });
+    expect(shell.executeDetailed('history many')).toMatchObject({
+      stderr: 'history: many: numeric argument required\n',
+      exitCode: 1,
+    });
+  });
+
+  test('should write, append to and read the history file', () => {
+    shell.execute('history -w');
+    expect(shell.execute('cat ~/.bash_history')).toBe('pwd\nwhoami\nhistory -w');
+
+    // -a adds only what isn't in the file yet
+    shell.execute('echo one');
+    shell.execute('history -a');
+    expect(shell.execute('cat ~/.bash_history')).toBe(
+      'pwd\nwhoami\nhistory -w\ncat ~/.bash_history\necho one\nhistory -a'
+    );
+
+    shell.execute('history -c');
+    shell.execute('history -r');
+    expect(shell.commandHistory).toEqual([
+      'history -r',
+      'pwd',
+      'whoami',
+      'history -w',
+      'cat ~/.bash_history',
+      'echo one',
+      'history -a',
+      'cat ~/.bash_history',
+    ]);
+  });
+
+  test('should use the file given, or $HISTFILE', () => {
+    shell.execute('history -w /tmp/saved');
+    expect(shell.execute('cat /tmp/saved')).toBe('pwd\nwhoami\nhistory -w /tmp/saved');
+
+    shell.execute('HISTFILE=/tmp/other');
+    shell.execute('history -w');
+    expect(shell.execute('tail -n 1 /tmp/other')).toBe('history -w');
+    expect(shell.executeDetailed('history -r /tmp/missing')).toMatchObject({
+      stderr: 'history: /tmp/missing: No such file or directory\n',
+      exitCode: 1,
+    });
+  });
+
+  test('should keep the last $HISTSIZE lines, and $HISTFILESIZE in the file', () => {
+    shell.execute('HISTSIZE=3');
+    shell.execute('echo a');
+    expect(shell.commandHistory).toEqual(['whoami', 'HISTSIZE=3', 'echo a']);
+    shell.execute('echo b');
+    shell.execute('echo c');
+    expect(shell.commandHistory).toEqual(['echo a', 'echo b', 'echo c']);
+
+    shell.execute('HISTFILESIZE=2');
+    shell.execute('history -w');
+    expect(shell.execute('cat ~/.bash_history')).toBe('HISTFILESIZE=2\nhistory -w');
+  });
+});
+
+describe('UnixShell - ~/.bash_history', () => {
+  test('should start a login shell with the history file', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withHistory({ testuser: 'ls -la\ncd /tmp\n' }),
+    });
+    expect(shell.commandHistory).toEqual(['ls -la', 'cd /tmp']);
+    expect(shell.execute('history')).toBe('1  ls -la\n2  cd /tmp\n3  history');
+  });
+
+  test('should append each command line to the file once it has run', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withHistory({ testuser: 'ls\n' }),
+    });
+    shell.execute('echo hi');
+    expect(shell.getNode('~/.bash_history')).toMatchObject({ content: 'ls\necho hi\n' });
+    shell.execute('cd /tmp');
+    expect(shell.execute('cat ~/.bash_history')).toBe('ls\necho hi\ncd /tmp');
+  });
+
+  test('should keep no history file with HISTFILE empty', () => {
+    const shell = new UnixShell({ username: 'testuser', fileSystem: withHistory({}) });
+    shell.execute('HISTFILE=');
+    shell.execute('history -w');
+    expect(shell.execute('ls -a ~')).not.toContain('.bash_history');
+  });
+
+  test('should give su its own history, appended to its file on exit', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withHistory({ testuser: 'ls\n', alice: 'date\n' }),
+    });
+    shell.execute('su - alice');
+    expect(shell.commandHistory).toEqual(['date']);
+    shell.execute('echo from alice');
+    shell.execute('exit');
+
+    expect(shell.commandHistory).toEqual(['ls', 'su - alice']);
+    expect(shell.execute('cat /home/alice/.bash_history')).toBe('date\necho from alice\nexit');
+    // The login shell's file has its lines up to su, and the cat once it's run
+    expect(shell.execute('cat ~/.bash_history')).toBe(
+      'ls\nsu - alice\ncat /home/alice/.bash_history'
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, CommandOutput } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * A command that asks what 2 + 2 is
+ */
+function quiz(): CommandOutput {
+  return {
+    prompt: 'What is 2 + 2? ',
+    onAnswer: (answer) => {
+      if (answer === null) {
+        return { stderr: 'quiz: no answer\n', exitCode: 1 };
+      }
+      return answer.trim() === '4' ? 'Correct!' : { stdout: 'Wrong!\n', exitCode: 1 };
+    },
+  };
+}
+
+/**
+ * A command that asks for a name, then a secret
+ */
+function signup(): CommandOutput {
+  return {
+    prompt: 'Name: ',
+    onAnswer: (name) => ({
+      prompt: 'Secret: ',
+      masked: true,
+      onAnswer: (secret) => `${name} has a ${(secret || '').length} letter secret`,
+    }),
+  };
+}
+
+describe('UnixShell - Interactive Input', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: { quiz, signup },
+    });
+  });
+
+  test('should wait for the terminal to answer a command', () => {
+    let result = shell.executeDetailed('echo before; quiz; echo after');
+    expect(result.output).toBe('before\n');
+    expect(result.pendingInput).toEqual({ prompt: 'What is 2 + 2? ', masked: false });
+    expect(shell.getPendingInput()).toEqual({ prompt: 'What is 2 + 2? ', masked: false });
+
+    result = shell.respond('4');
+    expect(result.output).toBe('Correct!\nafter\n');
+    expect(result.pendingInput).toBeUndefined();
+    expect(result.exitCode).toBe(0);
+    expect(shell.getPendingInput()).toBeNull();
+  });
+
+  test('should chain questions and mask answers when asked', () => {
+    expect(shell.executeDetailed('signup').pendingInput).toEqual({
+      prompt: 'Name: ',
+      masked: false,
+    });
+    expect(shell.respond('alice').pendingInput).toEqual({ prompt: 'Secret: ', masked: true });
+    expect(shell.respond('rabbit').stdout).toBe('alice has a 6 letter secret\n');
+  });
+
+  test('should pass end of input on as null', () => {
+    shell.execute('quiz');
+    const result = shell.respond(null);
+    expect(result.stderr).toBe('quiz: no answer\n');
+    expect(result.exitCode).toBe(1);
+    expect(shell.execute('echo $?')).toBe('1');
+  });
+
+  test('should answer from piped or redirected stdin without asking', () => {
+    expect(shell.execute('echo 4 | quiz')).toBe('Correct!');
+    shell.execute('echo alice > answers; echo secret >> answers');
+    expect(shell.execute('signup < answers')).toBe('alice has a 6 letter secret');
+    shell.execute('touch empty');
+    expect(shell.executeDetailed('quiz < empty').stderr).toBe('quiz: no answer\n');
+  });
+
+  test('should ask from inside loops, pipelines, functions and substitutions', () => {
+    shell.execute('for i in 1 2; do quiz; done');
+    expect(shell.respond('3').output).toBe('Wrong!\n');
+    expect(shell.respond('4').output).toBe('Correct!\n');
+
+    shell.execute('quiz | grep -i correct');
+    expect(shell.respond('4').output).toBe('Correct!\n');
+
+    shell.execute('ask() { local tries=1; quiz; }');
+    shell.execute('ask');
+    expect(shell.respond('4').output).toBe('Correct!\n');
+
+    shell.execute('result=$(quiz)');
+    shell.respond('4');
+    expect(shell.execute('echo $result')).toBe('Correct!');
+  });
+
+  test('should ask from inside scripts', () => {
+    shell.writeToFile('ask.sh', 'echo asking\nquiz\necho status $?\n', 'overwrite');
+    expect(shell.execute('sh ask.sh')).toBe('asking');
+    expect(shell.respond('5').output).toBe('Wrong!\nstatus 1\n');
+  });
+
+  test('should abandon a command waiting for input when another one runs', () => {
+    shell.execute('x=outer');
+    shell.execute('f() { local x=inner; quiz; echo never; }');
+    shell.execute('f');
+    expect(shell.getPendingInput()).not.toBeNull();
+
+    expect(shell.execute('echo $x')).toBe('outer');
+    expect(shell.getPendingInput()).toBeNull();
+    expect(shell.respond('4').output).toBe('');
+  });
+
+  test('should report errors thrown while handling an answer', () => {
+    shell.commands.broken = () => ({
+      prompt: '? ',
+      onAnswer: () => {
+        throw new Error('bad answer');
+      },
+    });
+    shell.execute('broken');
+    const result = shell.respond('x');
+    expect(result.stderr).toBe('Error executing broken: bad answer\n');
+    expect(result.exitCode).toBe(1);
+  });
+});
+
+describe('UnixShell - Password Prompts', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('su root');
+    shell.execute('useradd -m alice');
+    shell.execute('(echo wonderland; echo wonderland) | passwd alice');
+    shell.execute('(echo hunter2; echo hunter2) | passwd testuser');
+    shell.execute('exit');
+  });
+
+  test('should ask su for a masked password at the terminal', () => {
+    expect(shell.executeDetailed('su alice').pendingInput).toEqual({
+      prompt: 'Password: ',
+      masked: true,
+    });
+    expect(shell.respond('wonderland').output).toBe('__USER_SWITCHED__:alice\n');
+    expect(shell.getCurrentUser()).toBe('alice');
+  });
+
+  test('should give sudo three tries at the terminal', () => {
+    shell.execute('sudo whoami');
+    let result = shell.respond('wrong');
+    expect(result.stderr).toBe('Sorry, try again.\n');
+    expect(result.pendingInput).toEqual({ prompt: '[sudo] password for testuser: ', masked: true });
+
+    result = shell.respond('hunter2');
+    expect(result.stdout).toBe('root\n');
+    expect(result.exitCode).toBe(0);
+
+    shell.execute('sudo -k');
+    shell.execute('sudo true');
+    shell.respond('a');
+    shell.respond('b');
+    result = shell.respond('c');
+    expect(result.stderr).toBe('sudo: 3 incorrect password attempts\n');
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should ask for passwords when sudo runs in a script', () => {
+    shell.execute("sh -c 'sudo whoami; echo done'");
+    expect(shell.respond('hunter2').output).toBe('root\ndone\n');
+  });
+
+  test('should change a password at the terminal with passwd', () => {
+    let result = shell.executeDetailed('passwd');
+    expect(result.output).toBe('Changing password for testuser.\n');
+    expect(result.pendingInput!.prompt).toBe('Current password: ');
+    expect(shell.respond('hunter2').pendingInput!.prompt).toBe('New password: ');
+    expect(shell.respond('swordfish').pendingInput!.prompt).toBe('Retype new password: ');
+
+    result = shell.respond('swordfish');
+    expect(result.output).toBe('passwd: password updated successfully\n');
+    expect(shell.execute('echo swordfish | sudo -S -k whoami')).toContain('root');
+  });
+});
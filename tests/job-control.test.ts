@@ -0,0 +1,254 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, CommandContext, CommandOutput } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Resolves after the given number of milliseconds
+ */
+function delay(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * A command that runs until it's told to stop, like a server
+ */
+function serve(args: string[], context: CommandContext): Promise<CommandOutput> {
+  return new Promise((resolve) => {
+    context.signal.addEventListener('abort', () => resolve({ exitCode: 130 }));
+  });
+}
+
+/**
+ * A command that asks what 2 + 2 is
+ */
+function quiz(): CommandOutput {
+  return {
+    prompt: 'What is 2 + 2? ',
+    onAnswer: (answer) => ((answer || '').trim() === '4' ? 'Correct!' : 'Wrong!'),
+  };
+}
+
+describe('UnixShell - Job Control', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: { serve, quiz },
+    });
+  });
+
+  test('should run commands ending in & in the background', async () => {
+    const result = shell.executeDetailed('sleep 0.02 && echo woke &');
+    const pid = shell.execute('echo $!');
+    expect(result.stderr).toBe(`[1] ${pid}\n`);
+    expect(result.exitCode).toBe(0);
+
+    await delay(40);
+    expect(shell.executeDetailed('true').output).toBe(
+      'woke\n[1]+  Done                    sleep 0.02 && echo woke\n'
+    );
+    expect(shell.execute('jobs')).toBe('');
+  });
+
+  test('should report jobs that finish straight away after the command line', () => {
+    expect(shell.execute('echo one & echo two')).toMatch(
+      /^\[1\] \d+\none\ntwo\n\[1\]\+  Done {20}echo one$/
+    );
+    expect(shell.execute('false &')).toMatch(/^\[1\] \d+\n\[1\]\+  Exit 1 {18}false$/);
+  });
+
+  test('should list jobs with the current and previous ones marked', () => {
+    shell.execute('serve &');
+    shell.execute('sleep 10 &');
+    const pid = Number(shell.execute('echo $!'));
+    shell.execute('serve x | cat &');
+
+    expect(shell.execute('jobs')).toBe(
+      '[1]   Running                 serve &\n' +
+        '[2]-  Running                 sleep 10 &\n' +
+        '[3]+  Running                 serve x | cat &'
+    );
+    expect(shell.execute('jobs -l %2')).toBe(`[2]- ${pid} Running                 sleep 10 &`);
+    expect(shell.execute('jobs -p').split('\n')[1]).toBe(String(pid));
+    expect(shell.execute('jobs %4')).toBe('jobs: %4: no such job');
+  });
+
+  test('should end jobs with kill and report how they ended', () => {
+    shell.execute('serve &');
+    shell.execute('sleep 10 &');
+
+    expect(shell.execute('kill %1')).toBe('[1]-  Terminated              serve');
+    expect(shell.execute('kill -9 $!')).toBe('[2]+  Killed                  sleep 10');
+    expect(shell.execute('jobs')).toBe('');
+    expect(shell.execute('kill %1')).toBe('kill: %1: no such job');
+  });
+
+  test('should stop and continue jobs', () => {
+    shell.execute('serve &');
+    expect(shell.execute('kill -STOP %1')).toBe('[1]+  Stopped                 serve');
+    expect(shell.execute('jobs -s')).toBe('[1]+  Stopped                 serve');
+    expect(shell.execute('jobs -r')).toBe('');
+
+    expect(shell.execute('bg')).toBe('[1]+ serve &');
+    expect(shell.execute('jobs -r')).toBe('[1]+  Running                 serve &');
+    expect(shell.execute('bg %1')).toBe('bg: job 1 already in background');
+  });
+
+  test('should wait for background jobs', async () => {
+    shell.execute('{ sleep 0.01; echo first; } &');
+    shell.execute('(sleep 0.02; exit 3) &');
+
+    const result = await shell.executeDetailedAsync('wait %2; echo status $?');
+    expect(result.output).toBe(
+      'first\nstatus 3\n[1]-  Done                    { sleep 0.01; echo first; }\n' +
+        '[2]+  Exit 3                  ( sleep 0.02; exit 3 )\n'
+    );
+    expect(await shell.executeAsync('wait; wait 999')).toBe(
+      'wait: pid 999 is not a child of this shell'
+    );
+  });
+
+  test('should bring jobs to the foreground', async () => {
+    shell.execute('sleep 0.01 && echo done &');
+    expect(await shell.executeAsync('fg')).toBe('sleep 0.01 && echo done\ndone');
+    expect(shell.execute('jobs')).toBe('');
+    expect(shell.execute('fg')).toBe('fg: current: no such job');
+  });
+
+  test('should stop jobs that read the terminal until fg', () => {
+    expect(shell.execute('quiz &')).toMatch(/^\[1\] \d+\n\[1\]\+  Stopped {17}quiz$/);
+    expect(shell.execute('bg')).toBe('[1]+ quiz &');
+    expect(shell.execute('jobs')).toBe('[1]+  Stopped                 quiz');
+
+    const result = shell.executeDetailed('fg %quiz');
+    expect(result.output).toBe('quiz\n');
+    expect(result.pendingInput).toEqual({ prompt: 'What is 2 + 2? ', masked: false });
+    expect(shell.respond('4').output).toBe('Correct!\n');
+    expect(shell.execute('jobs')).toBe('');
+  });
+
+  test('should give scripts jobs no terminal input', async () => {
+    shell.writeToFile('bg.sh', 'quiz &\nwait\necho waited\n', 'overwrite');
+    expect(await shell.executeAsync('sh bg.sh')).toBe('Wrong!\nwaited');
+  });
+
+  test('should take turns with a job that never waits', async () => {
+    const result = shell.executeDetailed('while true; do :; done &');
+    expect(result.stderr).toMatch(/^\[1\] \d+\n$/);
+    expect(shell.execute('echo still here')).toBe('still here');
+    expect(await shell.executeAsync('sleep 0.01; jobs')).toBe(
+      '[1]+  Running                 while true; do :; done &'
+    );
+
+    expect(shell.execute('kill %1')).toBe('[1]+  Terminated              while true; do :; done');
+    await delay(10);
+    expect(shell.execute('jobs')).toBe('');
+  });
+
+  test('should interrupt the job in the foreground', async () => {
+    shell.execute('serve &');
+    const running = shell.executeDetailedAsync('fg');
+    await delay(1);
+    shell.interrupt();
+
+    const result = await running;
+    expect(result.output).toBe('serve\n');
+    expect(result.exitCode).toBe(130);
+    expect(shell.execute('jobs; ps')).not.toContain('serve');
+  });
+
+  test('should keep a job state of its own', async () => {
+    shell.execute('x=1');
+    shell.execute('{ x=2; cd /tmp; } &');
+    await delay(1);
+    expect(shell.execute('echo $x; pwd')).toBe('1\n/home/testuser');
+  });
+
+  test('should check kill arguments', () => {
+    expect(shell.execute('kill -l')).toContain(' 9) SIGKILL');
+    expect(shell.execute('kill -l 143 TERM')).toBe('TERM\n15');
+    expect(shell.execute('kill -s BOGUS 100')).toBe('kill: BOGUS: invalid signal specification');
+    expect(shell.execute('kill 999')).toBe('kill: (999) - No such process');
+    expect(shell.execute('kill 1')).toBe('kill: (1) - Operation not permitted');
+    expect(shell.execute('kill abc')).toBe('kill: abc: arguments must be process or job IDs');
+    expect(shell.executeDetailed('kill').exitCode).toBe(2);
+  });
+});
+
+describe('UnixShell - Processes', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: { serve },
+    });
+  });
+
+  test('should list the shell and the commands running', () => {
+    shell.execute('serve --port 80 &');
+    const pid = Number(shell.execute('echo $!'));
+    expect(shell.execute('ps')).toBe(
+      '  PID TTY          TIME CMD\n' +
+        '  100 pts/0    00:00:00 bash\n' +
+        `  ${pid} pts/0    00:00:00 bash\n` +
+        `  ${pid + 1} pts/0    00:00:00 serve\n` +
+        `  ${pid + 3} pts/0    00:00:00 ps`
+    );
+    expect(shell.execute('echo $$')).toBe('100');
+  });
+
+  test('should show everyone’s processes in full and user formats', () => {
+    shell.execute('serve &');
+    const pid = Number(shell.execute('echo $!'));
+    const full = shell.execute('ps -ef').split('\n');
+    expect(full[0]).toBe('UID          PID    PPID  C STIME TTY          TIME CMD');
+    expect(full[1]).toMatch(/^root {11}1 {7}0  0 \d\d:\d\d \? {8}00:00:00 init$/);
+    expect(full[4]).toMatch(
+      new RegExp(`^testuser {5}${pid + 1} {5}${pid}  0 \\d\\d:\\d\\d pts/0    00:00:00 serve$`)
+    );
+
+    shell.execute('kill -STOP %1');
+    const stats = shell
+      .execute('ps aux')
+      .split('\n')
+      .slice(1)
+      .map((line) => line.split(/ +/))
+      .map((columns) => `${columns[7]} ${columns.slice(10).join(' ')}`);
+    expect(stats).toEqual(['S init', 'S bash', 'T bash', 'T serve', 'R ps aux']);
+    expect(shell.execute('ps -z')).toContain('error: unsupported SysV option');
+  });
+
+  test('should track shells started by su', () => {
+    shell.execute('su root');
+    const pid = shell.execute('echo $$');
+    expect(pid).not.toBe('100');
+    expect(shell.execute('ps -f')).toContain(`root         ${pid}     100  0 `);
+    shell.execute('exit');
+    expect(shell.execute('echo $$')).toBe('100');
+    expect(shell.execute('ps -e')).not.toContain(`  ${pid} `);
+  });
+
+  test('should show processes under /proc', () => {
+    shell.execute('serve &');
+    const pid = Number(shell.execute('echo $!'));
+    expect(shell.execute('ls /')).toContain('proc');
+    expect(shell.execute('ls /proc').match(/\d+/g)).toEqual([
+      '1',
+      '100',
+      `${pid}`,
+      `${pid + 1}`,
+      `${pid + 4}`,
+    ]);
+    expect(shell.execute(`cat /proc/${pid + 1}/status`)).toBe(
+      `Name:\tserve\nState:\tS (sleeping)\nPid:\t${pid + 1}\nPPid:\t${pid}\n` +
+        'Uid:\t1000\t1000\t1000\t1000\nGid:\t1000\t1000\t1000\t1000'
+    );
+    expect(shell.execute('cat /proc/$$/comm')).toBe('bash');
+    expect(shell.execute(`cat /proc/${pid + 1}/cmdline`)).toBe('serve\0');
+    expect(shell.execute('echo x > /proc/1/comm')).toContain('Permission denied');
+  });
+});
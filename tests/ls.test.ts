@@ -0,0 +1,151 @@
+import { describe, expect, test, beforeEach, afterEach, jest } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { formatGrid, parseLsColors, entryColor } from '../src/listing';
+import { createExampleFiles } from '../src/example-files';
+
+describe('ls', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should lay out names down columns sized to the terminal', () => {
+    const names = ['a', 'bb', 'ccc', 'dddd', 'e'].map((text) => ({ text, width: text.length }));
+    expect(formatGrid(names, 80, false)).toBe('a  bb  ccc  dddd  e');
+    expect(formatGrid(names, 12, false)).toBe('a   ccc   e\nbb  dddd');
+    expect(formatGrid(names, 12, true)).toBe('a    bb\nccc  dddd\ne');
+    expect(formatGrid(names, 1, false)).toBe('a\nbb\nccc\ndddd\ne');
+
+    shell.execute('mkdir wide; cd wide; touch one two three four five six');
+    expect(shell.execute('ls')).toBe('five  four  one  six  three  two');
+    shell.setTerminalSize(20, 24);
+    expect(shell.execute('ls')).toBe('five  one  three\nfour  six  two');
+    expect(shell.execute('echo $COLUMNS $LINES')).toBe('20 24');
+    expect(shell.execute('ls -w 0')).toBe('five  four  one  six  three  two');
+    expect(shell.execute('ls -x')).toBe('five  four   one\nsix   three  two');
+    expect(shell.execute('COLUMNS=12 ls')).toBe('five  six\nfour  three\none   two');
+  });
+
+  test('should list one per line when piped or with -1, and columns with -C', () => {
+    expect(shell.execute('ls | cat')).toBe('example.txt\nnotes.txt\nREADME.md');
+    expect(shell.execute('ls -1')).toBe('example.txt\nnotes.txt\nREADME.md');
+    expect(shell.execute('ls -C | cat')).toBe('example.txt  notes.txt  README.md');
+    expect(shell.execute('ls -1 -l')).toMatch(/^total 12\n-rw-r--r-- /);
+    expect(shell.execute('ls -l -1')).toBe('example.txt\nnotes.txt\nREADME.md');
+  });
+
+  test('should parse flags and long options like GNU ls', () => {
+    expect(shell.execute('ls --help')).toMatch(/^Usage: ls \[OPTION\]\.\.\. \[FILE\]\.\.\./);
+    expect(shell.execute('ls -a')).toBe(
+      '.  ..  .bash_history  .bashrc  example.txt  notes.txt  README.md'
+    );
+    expect(shell.execute('ls -A')).toBe(
+      '.bash_history  .bashrc  example.txt  notes.txt  README.md'
+    );
+    expect(shell.execute('ls --almost-all --reverse')).toBe(
+      'README.md  notes.txt  example.txt  .bashrc  .bash_history'
+    );
+    expect(shell.execute('ls -- -a')).toBe("ls: cannot access '-a': No such file or directory");
+
+    const bad = shell.executeDetailed('ls -z');
+    expect(bad.stderr).toBe("ls: invalid option -- 'z'\nTry 'ls --help' for more information.\n");
+    expect(bad.exitCode).toBe(2);
+    expect(shell.execute('ls --size')).toBe(
+      "ls: unrecognized option '--size'\nTry 'ls --help' for more information."
+    );
+    expect(shell.execute('ls -w x')).toBe("ls: invalid line width: 'x'");
+  });
+
+  test('should sort by time or size, and reverse with -r', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(new Date(2024, 0, 1).getTime());
+    shell.execute('echo old > b');
+    jest.spyOn(Date, 'now').mockReturnValue(new Date(2024, 0, 2).getTime());
+    shell.execute('echo newer and longer > a');
+    jest.spyOn(Date, 'now').mockReturnValue(new Date(2024, 0, 3).getTime());
+    shell.execute('echo c > c');
+
+    expect(shell.execute('ls -t a b c')).toBe('c  a  b');
+    expect(shell.execute('ls -tr a b c')).toBe('b  a  c');
+    expect(shell.execute('ls -S a b c')).toBe('a  b  c');
+    expect(shell.execute('ls -Sr a b c')).toBe('c  b  a');
+    expect(shell.execute('ls c b a')).toBe('a  b  c');
+  });
+
+  test('should list operands that aren’t directories first, then each directory', () => {
+    shell.execute('mkdir d; mkdir e; touch d/x e/y');
+    expect(shell.execute('ls e notes.txt d')).toBe('notes.txt\n\nd:\nx\n\ne:\ny');
+    expect(shell.execute('ls -d d e')).toBe('d  e');
+    expect(shell.execute('ls -dF d notes.txt')).toBe('d/  notes.txt');
+
+    const result = shell.executeDetailed('ls nope d');
+    expect(result.stdout).toBe('d:\nx\n');
+    expect(result.stderr).toBe("ls: cannot access 'nope': No such file or directory\n");
+    expect(result.exitCode).toBe(2);
+  });
+
+  test('should list subdirectories with -R', () => {
+    shell.execute('mkdir top; mkdir top/a; mkdir top/a/deep; mkdir top/b');
+    shell.execute('touch top/file top/a/deep/leaf');
+    expect(shell.execute('ls -R top')).toBe(
+      'top:\na  b  file\n\ntop/a:\ndeep\n\ntop/a/deep:\nleaf\n\ntop/b:'
+    );
+    shell.execute('cd top/a');
+    expect(shell.execute('ls -R')).toBe('.:\ndeep\n\n./deep:\nleaf');
+  });
+
+  test('should mark types with -F and show symlinks themselves', () => {
+    shell.execute('mkdir dir; touch dir/inside run; chmod +x run');
+    shell.execute('ln -s dir link; ln -s missing dangling');
+    expect(shell.execute('ls -F')).toBe(
+      'dangling@  dir/  example.txt  link@  notes.txt  README.md  run*'
+    );
+    expect(shell.execute('ls link')).toBe('inside');
+    expect(shell.execute('ls -F link')).toBe('link@');
+    expect(shell.execute('ls dangling')).toBe('dangling');
+    expect(shell.execute('ls -lF link')).toMatch(/ link -> dir\/$/);
+    expect(shell.execute('ls -l dir')).toMatch(/^total 0\n-rw-r--r-- 1 testuser testuser 0 /);
+  });
+
+  test('should align the columns of a long listing', () => {
+    shell.execute('echo hi > small');
+    const listing = shell.execute('ls -l small README.md');
+    expect(listing).toMatch(/^-rw-r--r-- 1 testuser testuser 390 .* README\.md\n/);
+    expect(listing).toMatch(/\n-rw-r--r-- 1 testuser testuser   3 .* small$/);
+    expect(shell.execute('ls -lh /etc')).toMatch(/^total 28K\n/);
+  });
+
+  test('should color names as LS_COLORS says', () => {
+    shell.execute('mkdir dir; touch run pkg.tar; chmod +x run; ln -s missing dangling');
+    expect(shell.execute('ls --color=always dir run')).toBe('\x1b[01;32mrun\x1b[0m\n\ndir:');
+    expect(shell.execute('ls --color=always -d dir /tmp')).toBe(
+      '\x1b[30;42m/tmp\x1b[0m  \x1b[01;34mdir\x1b[0m'
+    );
+    expect(shell.execute('ls --color=auto -d dir | cat')).toBe('dir');
+    expect(shell.execute('ls --color=never -d dir')).toBe('dir');
+    expect(shell.execute('ls --color=sometimes')).toBe(
+      "ls: invalid argument 'sometimes' for '--color'\nTry 'ls --help' for more information."
+    );
+
+    shell.execute("export LS_COLORS='di=01;33:or=01;31:*.tar=01;35'");
+    expect(shell.execute('ls --color -d dir pkg.tar dangling')).toBe(
+      '\x1b[01;31mdangling\x1b[0m  \x1b[01;33mdir\x1b[0m  \x1b[01;35mpkg.tar\x1b[0m'
+    );
+
+    const colors = parseLsColors('ln=target:fi=00:bogus');
+    expect(entryColor({ name: 'a', type: 'file', mode: 0o644, size: 0, mtime: 0 }, colors)).toBe(
+      null
+    );
+    const link = { name: 'l', type: 'symlink' as const, mode: 0o777, size: 1, mtime: 0 };
+    expect(entryColor({ ...link, target: { type: 'directory', mode: 0o755 } }, colors)).toBe(
+      '01;34'
+    );
+  });
+});
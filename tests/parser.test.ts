@@ -0,0 +1,306 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import {
+  parse,
+  tokenize,
+  formatAndOr,
+  ShellSyntaxError,
+  Word,
+  SimpleCommandNode,
+} from '../src/parser';
+import { createExampleFiles } from '../src/example-files';
+
+const text = (word: Word): string =>
+  word.parts
+    .map((part) => {
+      if (part.type === 'literal') return part.value;
+      return part.type === 'param' ? `$${part.name}` : '$(...)';
+    })
+    .join('');
+
+describe('Parser - Tokenizer', () => {
+  test('should split words on whitespace', () => {
+    const tokens = tokenize('ls  -la   /tmp');
+    expect(tokens.map((t) => (t.type === 'word' ? text(t.word) : t.op))).toEqual([
+      'ls',
+      '-la',
+      '/tmp',
+    ]);
+  });
+
+  test('should keep quoted whitespace and operators inside one word', () => {
+    const tokens = tokenize('echo "a | b" \'c > d\'');
+    expect(tokens).toHaveLength(3);
+    expect(tokens.every((t) => t.type === 'word')).toBe(true);
+    expect(tokens.map((t) => (t.type === 'word' ? text(t.word) : ''))).toEqual([
+      'echo',
+      'a | b',
+      'c > d',
+    ]);
+  });
+
+  test('should handle backslash escapes', () => {
+    const tokens = tokenize('touch my\\ file.txt "say \\"hi\\"" \'no\\escape\'');
+    expect(tokens.map((t) => (t.type === 'word' ? text(t.word) : ''))).toEqual([
+      'touch',
+      'my file.txt',
+      'say "hi"',
+      'no\\escape',
+    ]);
+  });
+
+  test('should join adjacent quoted and unquoted parts', () => {
+    const tokens = tokenize('pre"mid"\'end\'');
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].type === 'word' && text(tokens[0].word)).toBe('premidend');
+  });
+
+  test('should mark quoted parts', () => {
+    const [token] = tokenize('"*.txt"');
+    expect(token.type === 'word' && token.word.parts.every((part) => part.quoted)).toBe(true);
+  });
+
+  test('should recognize all operators', () => {
+    const tokens = tokenize('a|b||c&&d;e>f>>g<h');
+    expect(tokens.filter((t) => t.type === 'op').map((t) => t.type === 'op' && t.op)).toEqual([
+      '|',
+      '||',
+      '&&',
+      ';',
+      '>',
+      '>>',
+      '<',
+    ]);
+  });
+
+  test('should read descriptor numbers on redirections', () => {
+    const tokens = tokenize('cmd 2> err 2>&1 >&2 &> all 3 > x');
+    expect(tokens.filter((t) => t.type === 'op')).toEqual([
+      { type: 'op', op: '>', fd: 2 },
+      { type: 'op', op: '>&', fd: 2 },
+      { type: 'op', op: '>&' },
+      { type: 'op', op: '&>' },
+      { type: 'op', op: '>' },
+    ]);
+  });
+
+  test('should read $? as a parameter outside single quotes', () => {
+    const [, plain, quoted, single] = tokenize('echo $? "$?" \'$?\'');
+    expect(plain.type === 'word' && plain.word.parts[0].type).toBe('param');
+    expect(quoted.type === 'word' && quoted.word.parts.some((p) => p.type === 'param')).toBe(true);
+    expect(single.type === 'word' && single.word.parts[0].type).toBe('literal');
+  });
+
+  test('should parse command substitutions into a nested list', () => {
+    const [, dollar, backtick, quoted] = tokenize('echo $(ls | grep a) `pwd` "in $(date)"');
+    const dollarPart = dollar.type === 'word' && dollar.word.parts[0];
+    expect(dollarPart && dollarPart.type === 'command' && dollarPart.list.items).toHaveLength(1);
+    expect(backtick.type === 'word' && backtick.word.parts[0].type).toBe('command');
+    expect(quoted.type === 'word' && quoted.word.parts.some((p) => p.type === 'command')).toBe(
+      true
+    );
+  });
+
+  test('should find the closing paren past quotes and nesting', () => {
+    const tokens = tokenize('echo $(echo ")" $(echo x))');
+    expect(tokens).toHaveLength(2);
+  });
+
+  test('should throw on unterminated command substitutions', () => {
+    expect(() => tokenize('echo $(pwd')).toThrow(ShellSyntaxError);
+    expect(() => tokenize('echo `pwd')).toThrow(ShellSyntaxError);
+  });
+
+  test('should keep an empty quoted string as an argument', () => {
+    const tokens = tokenize('echo ""');
+    expect(tokens).toHaveLength(2);
+  });
+
+  test('should throw on unterminated quotes', () => {
+    expect(() => tokenize('echo "oops')).toThrow(ShellSyntaxError);
+    expect(() => tokenize("echo 'oops")).toThrow(ShellSyntaxError);
+  });
+});
+
+describe('Parser - AST', () => {
+  test('should parse a simple command', () => {
+    const ast = parse('echo hello world');
+    expect(ast.items).toHaveLength(1);
+    const command = ast.items[0].first.commands[0] as SimpleCommandNode;
+    expect(command.words.map(text)).toEqual(['echo', 'hello', 'world']);
+    expect(command.redirects).toHaveLength(0);
+  });
+
+  test('should parse pipelines', () => {
+    const ast = parse('cat file | grep foo | grep bar');
+    expect(ast.items[0].first.commands).toHaveLength(3);
+  });
+
+  test('should parse redirections anywhere in a command', () => {
+    const ast = parse('> out.txt echo hi >> log.txt < in.txt');
+    const command = ast.items[0].first.commands[0] as SimpleCommandNode;
+    expect(command.words.map(text)).toEqual(['echo', 'hi']);
+    expect(command.redirects.map((r) => [r.op, text(r.target)])).toEqual([
+      ['>', 'out.txt'],
+      ['>>', 'log.txt'],
+      ['<', 'in.txt'],
+    ]);
+  });
+
+  test('should parse lists and and-or chains', () => {
+    const ast = parse('mkdir a && cd a || echo no; pwd');
+    expect(ast.items).toHaveLength(2);
+    expect(ast.items[0].rest.map((r) => r.op)).toEqual(['&&', '||']);
+  });
+
+  test('should allow a trailing semicolon', () => {
+    expect(parse('pwd;').items).toHaveLength(1);
+  });
+
+  test('should mark and-or lists ending in & to run in the background', () => {
+    const ast = parse('sleep 1 && echo a & echo b; sleep 2&');
+    expect(ast.items.map((item) => !!item.background)).toEqual([true, false, true]);
+    expect(() => parse('& echo')).toThrow(ShellSyntaxError);
+    expect(() => parse('echo a &;')).toThrow(ShellSyntaxError);
+  });
+
+  test('should format and-or lists back into commands', () => {
+    const format = (line: string) => formatAndOr(parse(line).items[0]);
+    expect(format('ls   -l|grep "a b">out 2>&1 &&echo  ok')).toBe(
+      'ls -l | grep "a b" > out 2>&1 && echo ok'
+    );
+    expect(format('for x in 1 2; do echo $x & done')).toBe('for x in 1 2; do echo $x & done');
+    expect(format('(cd /tmp; pwd) || { echo no; }')).toBe('( cd /tmp; pwd ) || { echo no; }');
+  });
+
+  test('should parse if, loops and case into compound commands', () => {
+    const ast = parse(
+      'if true; then echo a; elif false; then echo b; else echo c; fi\n' +
+        'for x in 1 2; do echo $x; done > out.txt\n' +
+        'while false; do :; done; until true; do :; done\n' +
+        'case $x in a|b) echo ab;; *) echo other;; esac'
+    );
+    const types = ast.items.map((item) => item.first.commands[0].type);
+    expect(types).toEqual(['if', 'for', 'while', 'while', 'case']);
+
+    const ifNode = ast.items[0].first.commands[0];
+    expect(ifNode.type === 'if' && ifNode.clauses).toHaveLength(2);
+    const forNode = ast.items[1].first.commands[0];
+    expect(forNode.type === 'for' && forNode.redirects).toHaveLength(1);
+    const caseNode = ast.items[4].first.commands[0];
+    expect(caseNode.type === 'case' && caseNode.items[0].patterns.map(text)).toEqual(['a', 'b']);
+  });
+
+  test('should parse function definitions', () => {
+    const [first, second] = parse('greet() { echo hi; }; function bye { echo bye; }').items;
+    expect(first.first.commands[0]).toMatchObject({ type: 'function', name: 'greet' });
+    expect(second.first.commands[0]).toMatchObject({ type: 'function', name: 'bye' });
+  });
+
+  test('should keep operators inside [[ ]] as words', () => {
+    const command = parse('[[ -n $x && ( a < b ) ]]').items[0].first.commands[0];
+    expect(command.type === 'conditional' && command.words.map(text)).toEqual([
+      '-n',
+      '$x',
+      '&&',
+      '(',
+      'a',
+      '<',
+      'b',
+      ')',
+    ]);
+  });
+
+  test('should treat reserved words as plain arguments after a command', () => {
+    const command = parse('echo if then fi').items[0].first.commands[0] as SimpleCommandNode;
+    expect(command.words.map(text)).toEqual(['echo', 'if', 'then', 'fi']);
+  });
+
+  test('should skip comments', () => {
+    const ast = parse('echo hi # a comment\n# another\necho a#b');
+    const words = ast.items.map((item) =>
+      (item.first.commands[0] as SimpleCommandNode).words.map(text)
+    );
+    expect(words).toEqual([
+      ['echo', 'hi'],
+      ['echo', 'a#b'],
+    ]);
+  });
+
+  test('should reject unfinished compound commands', () => {
+    expect(() => parse('if true; then echo hi')).toThrow(ShellSyntaxError);
+    expect(() => parse('for x in a; do echo $x')).toThrow(ShellSyntaxError);
+    expect(() => parse('if true; then fi')).toThrow("syntax error near unexpected token `fi'");
+    expect(() => parse('done')).toThrow("syntax error near unexpected token `done'");
+  });
+
+  test('should reject stray operators', () => {
+    expect(() => parse('| grep foo')).toThrow(ShellSyntaxError);
+    expect(() => parse('ls |')).toThrow(ShellSyntaxError);
+    expect(() => parse('echo hi >')).toThrow(ShellSyntaxError);
+    expect(() => parse('a && && b')).toThrow(ShellSyntaxError);
+  });
+});
+
+describe('UnixShell - Quoting', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should pass quoted pipes to echo literally', () => {
+    expect(shell.execute('echo "a | b"')).toBe('a | b');
+  });
+
+  test('should create files with spaces in their names', () => {
+    shell.execute('touch "my file.txt"');
+    expect(shell.getNode('/home/testuser/my file.txt')).toMatchObject({
+      type: 'file',
+      content: '',
+    });
+  });
+
+  test('should preserve inner whitespace in quoted arguments', () => {
+    expect(shell.execute("echo 'a   b'")).toBe('a   b');
+  });
+
+  test('should not expand quoted wildcards', () => {
+    shell.execute('touch a.txt');
+    expect(shell.execute('echo "*.txt"')).toBe('*.txt');
+  });
+
+  test('should give handlers unquoted argv', () => {
+    const seen: string[][] = [];
+    const custom = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        args: (args: string[]) => {
+          seen.push(args);
+          return '';
+        },
+      },
+    });
+    custom.execute('args "one two" \'three\' four\\ five');
+    expect(seen[0]).toEqual(['one two', 'three', 'four five']);
+  });
+
+  test('should report syntax errors', () => {
+    expect(shell.execute('echo "unterminated')).toContain('unexpected EOF');
+    expect(shell.execute('ls | | grep x')).toContain("syntax error near unexpected token `|'");
+  });
+
+  test('should run commands separated by semicolons', () => {
+    const output = shell.execute('echo one; echo two');
+    expect(output).toBe('one\ntwo');
+  });
+
+  test('should redirect quoted file names', () => {
+    shell.execute('echo hello > "out file.txt"');
+    expect(shell.execute('cat "out file.txt"')).toBe('hello');
+  });
+});
@@ -0,0 +1,283 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+import { formatMode, parseMode } from '../src/file-modes';
+
+describe('File Modes', () => {
+  test('should format modes the way ls does', () => {
+    expect(formatMode('file', 0o644)).toBe('-rw-r--r--');
+    expect(formatMode('directory', 0o1777)).toBe('drwxrwxrwt');
+    expect(formatMode('file', 0o4755)).toBe('-rwsr-xr-x');
+    expect(formatMode('file', 0o2644)).toBe('-rw-r-Sr--');
+  });
+
+  test('should parse octal and symbolic modes', () => {
+    expect(parseMode('750', 0o644, false, 0o022)).toBe(0o750);
+    expect(parseMode('u+x', 0o644, false, 0o022)).toBe(0o744);
+    expect(parseMode('go-r,u=rwx', 0o644, false, 0o022)).toBe(0o700);
+    expect(parseMode('a=rX', 0o600, true, 0o022)).toBe(0o555);
+    expect(parseMode('a=rX', 0o600, false, 0o022)).toBe(0o444);
+    expect(parseMode('g=u', 0o640, false, 0o022)).toBe(0o660);
+    expect(parseMode('+t', 0o777, true, 0o022)).toBe(0o1777);
+  });
+
+  test('should leave umask bits alone when no one is named', () => {
+    expect(parseMode('+w', 0o444, false, 0o022)).toBe(0o644);
+    expect(parseMode('=rw', 0o777, false, 0o022)).toBe(0o644);
+  });
+
+  test('should reject invalid modes', () => {
+    expect(parseMode('abc', 0, false, 0)).toBeNull();
+    expect(parseMode('u+q', 0, false, 0)).toBeNull();
+    expect(parseMode('10000', 0, false, 0)).toBeNull();
+  });
+});
+
+describe('UnixShell - Permissions', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should refuse to read files without the read bit', () => {
+    shell.execute('echo secret > secret.txt');
+    shell.execute('chmod 000 secret.txt');
+
+    const result = shell.executeDetailed('cat secret.txt');
+    expect(result.stderr).toBe('cat: secret.txt: Permission denied\n');
+    expect(result.exitCode).toBe(1);
+    expect(shell.execute('cat < secret.txt')).toBe('bash: secret.txt: Permission denied');
+
+    // Root reads anything
+    shell.execute('su root');
+    expect(shell.execute('cat secret.txt')).toBe('secret');
+  });
+
+  test('should refuse to write files without the write bit', () => {
+    shell.execute('echo original > locked.txt');
+    shell.execute('chmod a-w locked.txt');
+
+    const result = shell.executeDetailed('echo changed > locked.txt');
+    expect(result.stderr).toBe('bash: locked.txt: Permission denied\n');
+    expect(result.exitCode).toBe(1);
+    expect(shell.execute('cat locked.txt')).toBe('original');
+  });
+
+  test("should keep users out of root's files", () => {
+    expect(shell.execute('cat /etc/hostname')).toBe('localhost');
+    expect(shell.execute('echo x >> /etc/hostname')).toBe('bash: /etc/hostname: Permission denied');
+    expect(shell.execute('mkdir /etc/new')).toBe(
+      "mkdir: cannot create directory '/etc/new': Permission denied"
+    );
+    expect(shell.execute('rm /etc/motd')).toBe("rm: cannot remove '/etc/motd': Permission denied");
+    expect(shell.execute('touch /etc/hostname')).toBe(
+      "touch: cannot touch '/etc/hostname': Permission denied"
+    );
+  });
+
+  test('should need the execute bit to go through a directory', () => {
+    shell.execute('mkdir box');
+    shell.execute('echo inside > box/item');
+    shell.execute('chmod 600 box');
+
+    expect(shell.execute('cat box/item')).toBe('cat: box/item: Permission denied');
+    expect(shell.execute('cd box')).toBe('cd: box: Permission denied');
+    expect(shell.execute('ls box')).toBe('item');
+    expect(shell.executeDetailed('[ -e box/item ]').exitCode).toBe(1);
+  });
+
+  test('should need the read bit to list a directory', () => {
+    shell.execute('mkdir hidden');
+    shell.execute('touch hidden/file');
+    shell.execute('chmod 300 hidden');
+
+    const result = shell.executeDetailed('ls hidden');
+    expect(result.stderr).toBe("ls: cannot open directory 'hidden': Permission denied\n");
+    expect(result.exitCode).toBe(2);
+    expect(shell.execute('cat hidden/file')).toBe('');
+  });
+
+  test('should use the group bits for members of the group', () => {
+    shell.execute('su root');
+    shell.execute('echo shared > shared.txt');
+    shell.execute('chown root:testuser shared.txt');
+    shell.execute('chmod 640 shared.txt');
+    shell.execute('echo other > other.txt');
+    shell.execute('chmod 604 other.txt');
+    shell.execute('chown root:testuser other.txt');
+    shell.execute('exit');
+
+    expect(shell.execute('cat shared.txt')).toBe('shared');
+    // The group bits apply to the group even when other may read
+    expect(shell.execute('cat other.txt')).toBe('cat: other.txt: Permission denied');
+  });
+
+  test('should run files with the execute bit', () => {
+    shell.writeToFile('hello.sh', 'echo hello from $0\n', 'overwrite');
+
+    const result = shell.executeDetailed('./hello.sh');
+    expect(result.stderr).toBe('bash: ./hello.sh: Permission denied\n');
+    expect(result.exitCode).toBe(126);
+
+    // Without a #! line the file runs as a shell script
+    shell.execute('chmod u+x hello.sh');
+    expect(shell.execute('./hello.sh')).toBe('hello from ./hello.sh');
+    expect(shell.executeDetailed('[ -x hello.sh ]').exitCode).toBe(0);
+  });
+
+  test('should keep scripts given as plain strings executable', () => {
+    const fileSystem = createExampleFiles('testuser');
+    (fileSystem['/'] as Record<string, any>).home.testuser['run.sh'] = '#!/bin/sh\necho ran\n';
+    shell = new UnixShell({ username: 'testuser', fileSystem });
+
+    expect(shell.execute('./run.sh')).toBe('ran');
+  });
+
+  test('should answer -r, -w and -x from the mode', () => {
+    shell.execute('touch f');
+    shell.execute('chmod 400 f');
+    expect(shell.executeDetailed('[ -r f ]').exitCode).toBe(0);
+    expect(shell.executeDetailed('[ -w f ]').exitCode).toBe(1);
+    expect(shell.executeDetailed('[ -x f ]').exitCode).toBe(1);
+    expect(shell.executeDetailed('[ -w /etc/hostname ]').exitCode).toBe(1);
+  });
+
+  test('should only let owners remove files from sticky directories', () => {
+    expect(shell.execute('ls -l /')).toMatch(/^drwxrwxrwt .* tmp$/m);
+
+    shell.execute('su root');
+    shell.execute('touch /tmp/rootfile');
+    shell.execute('exit');
+
+    shell.execute('touch /tmp/mine');
+    expect(shell.execute('rm /tmp/mine')).toBe('');
+    expect(shell.execute('rm /tmp/rootfile')).toBe(
+      "rm: cannot remove '/tmp/rootfile': Operation not permitted"
+    );
+  });
+});
+
+describe('UnixShell - chmod, chown, chgrp and umask', () => {
+  let shell: UnixShell;
+
+  const mode = (path: string): string => (shell.stat(path)!.mode & 0o7777).toString(8);
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('touch file.txt');
+  });
+
+  test('should change modes with octal and symbolic modes', () => {
+    shell.execute('chmod 750 file.txt');
+    expect(mode('file.txt')).toBe('750');
+    shell.execute('chmod g-x,o+r file.txt');
+    expect(mode('file.txt')).toBe('744');
+    shell.execute('chmod -x file.txt');
+    expect(mode('file.txt')).toBe('644');
+  });
+
+  test('should report mode changes with -v', () => {
+    expect(shell.execute('chmod -v 755 file.txt')).toBe(
+      "mode of 'file.txt' changed from 0644 (rw-r--r--) to 0755 (rwxr-xr-x)"
+    );
+    expect(shell.execute('chmod -v 755 file.txt')).toBe(
+      "mode of 'file.txt' retained as 0755 (rwxr-xr-x)"
+    );
+  });
+
+  test('should change a whole tree with -R', () => {
+    shell.execute('mkdir dir');
+    shell.execute('mkdir dir/sub');
+    shell.execute('touch dir/sub/deep');
+    shell.execute('chmod -R go= dir');
+
+    expect(mode('dir')).toBe('700');
+    expect(mode('dir/sub')).toBe('700');
+    expect(mode('dir/sub/deep')).toBe('600');
+  });
+
+  test('should report chmod errors the way coreutils does', () => {
+    let result = shell.executeDetailed('chmod 99 file.txt');
+    expect(result.stderr).toBe(
+      "chmod: invalid mode: '99'\nTry 'chmod --help' for more information.\n"
+    );
+    expect(result.exitCode).toBe(1);
+
+    result = shell.executeDetailed('chmod 644');
+    expect(result.stderr).toBe(
+      "chmod: missing operand after '644'\nTry 'chmod --help' for more information.\n"
+    );
+
+    expect(shell.execute('chmod 644 missing')).toBe(
+      "chmod: cannot access 'missing': No such file or directory"
+    );
+    expect(shell.execute('chmod 777 /etc/hostname')).toBe(
+      "chmod: changing permissions of '/etc/hostname': Operation not permitted"
+    );
+    expect(shell.executeDetailed('chmod -f 777 /etc/hostname').stderr).toBe('');
+  });
+
+  test('should let only root change the owner', () => {
+    expect(shell.execute('chown root file.txt')).toBe(
+      "chown: changing ownership of 'file.txt': Operation not permitted"
+    );
+
+    shell.execute('su root');
+    expect(shell.execute('chown -v root: file.txt')).toBe(
+      "changed ownership of 'file.txt' from testuser:testuser to root:root"
+    );
+    expect(shell.getOwner('file.txt')).toEqual({ user: 'root', group: 'root' });
+    shell.execute('chown testuser file.txt');
+    expect(shell.getOwner('file.txt')).toEqual({ user: 'testuser', group: 'root' });
+  });
+
+  test('should report unknown users and groups', () => {
+    expect(shell.execute('chown nobody file.txt')).toBe("chown: invalid user: 'nobody'");
+    expect(shell.execute('chown testuser:staff file.txt')).toBe(
+      "chown: invalid group: 'testuser:staff'"
+    );
+    expect(shell.execute('chgrp staff file.txt')).toBe("chgrp: invalid group: 'staff'");
+  });
+
+  test('should let owners change the group only to their own groups', () => {
+    expect(shell.execute('chgrp root file.txt')).toBe(
+      "chgrp: changing group of 'file.txt': Operation not permitted"
+    );
+    expect(shell.executeDetailed('chgrp testuser file.txt').exitCode).toBe(0);
+
+    shell.execute('su root');
+    shell.execute('chgrp 0 file.txt');
+    expect(shell.getOwner('file.txt').group).toBe('root');
+  });
+
+  test('should show and set the umask', () => {
+    expect(shell.execute('umask')).toBe('0022');
+    expect(shell.execute('umask -S')).toBe('u=rwx,g=rx,o=rx');
+
+    shell.execute('umask 077');
+    shell.execute('touch private.txt');
+    shell.execute('mkdir private');
+    expect(mode('private.txt')).toBe('600');
+    expect(mode('private')).toBe('700');
+
+    shell.execute('umask u=rwx,g=rx,o=');
+    expect(shell.execute('umask')).toBe('0027');
+  });
+
+  test('should keep umask changes inside subshells', () => {
+    shell.execute('(umask 077)');
+    expect(shell.execute('umask')).toBe('0022');
+  });
+
+  test('should report bad umask values', () => {
+    expect(shell.execute('umask 999')).toBe('umask: 999: octal number out of range');
+    expect(shell.execute('umask u+q')).toBe("umask: `u+q': invalid symbolic mode");
+  });
+});
@@ -1,6 +1,11 @@
-import { describe, expect, test, beforeEach, afterEach } from '@jest/globals';
-import { UnixShell } from '../src/index';
+import { describe, expect, test, beforeEach, afterEach, jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { UnixShell, createIndexedDBStorage, createMemoryStorage } from '../src/index';
 import { createExampleFiles } from '../src/example-files';
+import { createFileStorage } from '../src/file-storage';
+import { SESSION_VERSION, SessionError, migrateSession } from '../src/session';
 
 // Mock localStorage
 class LocalStorageMock {
@@ -146,9 +151,11 @@ describe('UnixShell - Persistence', () => {
   });
 
   test('should restore current user from localStorage', () => {
+    const fileSystem = createExampleFiles('testuser');
+    (fileSystem['/'] as Record<string, any>).home.alice = {};
     const shell1 = new UnixShell({
       username: 'testuser',
-      fileSystem: createExampleFiles('testuser'),
+      fileSystem,
       persistence: {
         enabled: true,
         prefix: 'test',
@@ -257,6 +264,34 @@ describe('UnixShell - Persistence', () => {
     const output = shell2.execute('ls');
     expect(output).toContain('app.js');
   });
+
+  test('should persist file metadata', () => {
+    const shell1 = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      persistence: {
+        enabled: true,
+        prefix: 'test',
+      },
+    });
+
+    shell1.execute('su root');
+    shell1.execute('echo config > settings.conf');
+    const saved = shell1.stat('settings.conf');
+
+    const shell2 = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      persistence: {
+        enabled: true,
+        prefix: 'test',
+      },
+    });
+
+    expect(shell2.stat('/home/testuser/settings.conf')).toEqual(saved);
+    expect(shell2.getOwner('/home/testuser/settings.conf').user).toBe('root');
+    expect(shell2.getOwner('/home/testuser').user).toBe('testuser');
+  });
 });
 
 describe('UnixShell - Persistence Edge Cases', () => {
@@ -310,3 +345,436 @@ describe('UnixShell - Persistence Edge Cases', () => {
     expect(() => shell.clearStorage()).not.toThrow();
   });
 });
+
+// Just enough of IndexedDB for createIndexedDBStorage: one database with
+// object stores of values by key, each request answering on a later tick
+class IndexedDBMock {
+  stores: Record<string, Map<string, unknown>> = {};
+
+  open() {
+    const request: any = {};
+    setTimeout(() => {
+      const db = {
+        createObjectStore: (name: string) => {
+          this.stores[name] = this.stores[name] || new Map();
+        },
+        transaction: (name: string) => ({ objectStore: () => this.objectStore(name) }),
+      };
+      request.result = db;
+      if (Object.keys(this.stores).length === 0) {
+        request.onupgradeneeded();
+      }
+      request.onsuccess();
+    });
+    return request;
+  }
+
+  private objectStore(name: string) {
+    const store = this.stores[name];
+    const answer = (result: unknown) => {
+      const request: any = { result };
+      setTimeout(() => request.onsuccess());
+      return request;
+    };
+    return {
+      get: (key: string) => answer(store.get(key)),
+      put: (value: unknown, key: string) => answer(store.set(key, value) && key),
+      delete: (key: string) => answer(store.delete(key) && undefined),
+    };
+  }
+}
+
+describe('UnixShell - Storage Adapters', () => {
+  test('should save to and restore from memory storage instead of localStorage', () => {
+    localStorage.clear();
+    const storage = createMemoryStorage();
+    const options = {
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      persistence: { enabled: true, prefix: 'mem', storage },
+    };
+    const shell1 = new UnixShell(options);
+    shell1.execute('echo kept > kept.txt; cd /tmp');
+
+    expect(localStorage.getItem('mem_filesystem')).toBeNull();
+    expect(storage.getItem('mem_current_path')).toBe('/tmp');
+    const shell2 = new UnixShell(options);
+    expect(shell2.getCurrentPath()).toBe('/tmp');
+    expect(shell2.execute('cat ~/kept.txt')).toBe('kept');
+
+    shell2.clearStorage();
+    expect(storage.getItem('mem_filesystem')).toBeNull();
+  });
+
+  test('should write only what changed since the last save', () => {
+    const storage = createMemoryStorage();
+    const setItem = jest.spyOn(storage, 'setItem');
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      persistence: { enabled: true, prefix: 'inc', storage },
+    });
+
+    const keys = () => {
+      const written = setItem.mock.calls.map(([key]) => key);
+      setItem.mockClear();
+      return written;
+    };
+
+    // The first save writes the tree and then each file under its own key
+    shell.execute('pwd');
+    const first = keys();
+    const files = first.filter((key) => /^inc_file_\d+$/.test(key));
+    expect(files.length).toBeGreaterThan(5);
+    expect(first).toEqual([
+      'inc_filesystem',
+      ...files,
+      'inc_current_user',
+      'inc_current_path',
+      'inc_session',
+    ]);
+    expect(storage.getItem('inc_filesystem')).not.toContain('Development Notes');
+    // Each command line goes on to the history file too
+    const history = files.find(
+      (key) => JSON.parse(storage.getItem(key) as string).content === 'pwd\n'
+    ) as string;
+    expect(history).toBeDefined();
+
+    shell.execute('cd /');
+    expect(keys()).toEqual([history, 'inc_current_path', 'inc_session']);
+    // Only the history has changed, as reading a file isn't a change
+    shell.execute('cat ~/notes.txt');
+    expect(keys()).toEqual([history, 'inc_session']);
+
+    // Writing to a file saves just that file
+    shell.execute('echo more >> ~/notes.txt');
+    const [notes, ...rest] = keys();
+    expect(rest).toEqual([history, 'inc_session']);
+    expect(JSON.parse(storage.getItem(notes) as string).content).toContain('more');
+    shell.execute('chmod 600 ~/notes.txt');
+    expect(keys()).toEqual([notes, history, 'inc_session']);
+
+    // A new file saves the tree and the file, and removing it its key
+    shell.execute('touch ~/new');
+    expect(keys()).toEqual([
+      'inc_filesystem',
+      history,
+      `inc_file_${files.length + 1}`,
+      'inc_session',
+    ]);
+    shell.execute('rm ~/new');
+    expect(keys()).toEqual(['inc_filesystem', history, 'inc_session']);
+    expect(storage.getItem(`inc_file_${files.length + 1}`)).toBeNull();
+
+    shell.saveToStorage();
+    expect(keys()).toHaveLength(files.length + 4);
+  });
+
+  test('should keep hard links as one file when saved', () => {
+    const storage = createMemoryStorage();
+    const options = {
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      persistence: { enabled: true, prefix: 'links', storage },
+    };
+    new UnixShell(options).execute('ln notes.txt linked');
+
+    const shell = new UnixShell(options);
+    expect(shell.getNode('linked')).toBe(shell.getNode('notes.txt'));
+  });
+
+  test('should load a save with the files in the tree, and save them apart', () => {
+    const storage = createMemoryStorage({
+      old_filesystem: JSON.stringify({ '/': { home: { testuser: { 'old.txt': 'kept' } } } }),
+      old_current_user: 'testuser',
+      old_current_path: '/home/testuser',
+    });
+    const shell = new UnixShell({
+      username: 'testuser',
+      persistence: { enabled: true, prefix: 'old', storage },
+    });
+    expect(shell.execute('cat old.txt')).toBe('kept');
+    expect(storage.getItem('old_filesystem')).not.toContain('kept');
+    expect(
+      new UnixShell({ persistence: { enabled: true, prefix: 'old', storage } }).execute(
+        'cat old.txt'
+      )
+    ).toBe('kept');
+  });
+
+  test('should save once commands pause for saveDelay, or when flushed', async () => {
+    jest.useFakeTimers();
+    try {
+      const storage = createMemoryStorage();
+      const setItem = jest.spyOn(storage, 'setItem');
+      const shell = new UnixShell({
+        username: 'testuser',
+        fileSystem: createExampleFiles('testuser'),
+        persistence: { enabled: true, prefix: 'slow', storage, saveDelay: 500 },
+      });
+
+      shell.execute('touch a');
+      jest.advanceTimersByTime(400);
+      shell.execute('touch b');
+      jest.advanceTimersByTime(400);
+      expect(setItem).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(100);
+      expect(storage.getItem('slow_filesystem')).toContain('"b"');
+      const keys = setItem.mock.calls.map(([key]) => key);
+      expect(new Set(keys).size).toBe(keys.length);
+
+      shell.execute('touch c');
+      await shell.flushStorage();
+      expect(storage.getItem('slow_filesystem')).toContain('"c"');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should save after each command unless told to wait, and when the page is hidden', () => {
+    jest.useFakeTimers();
+    try {
+      const storage = createMemoryStorage();
+      new UnixShell({
+        username: 'testuser',
+        fileSystem: createExampleFiles('testuser'),
+        persistence: { enabled: true, prefix: 'default', storage },
+      }).execute('cd /tmp');
+      expect(storage.getItem('default_current_path')).toBe('/tmp');
+
+      // Leaving the page saves what's waiting for saveDelay
+      const shell = new UnixShell({
+        username: 'testuser',
+        fileSystem: createExampleFiles('testuser'),
+        persistence: { enabled: true, prefix: 'later', storage, saveDelay: 250 },
+      });
+      shell.execute('cd /');
+      expect(storage.getItem('later_current_path')).toBeNull();
+      window.dispatchEvent(new Event('pagehide'));
+      expect(storage.getItem('later_current_path')).toBe('/');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should keep state in files with the file storage adapter', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unixshell-'));
+    try {
+      const options = {
+        username: 'testuser',
+        fileSystem: createExampleFiles('testuser'),
+        persistence: {
+          enabled: true,
+          prefix: 'disk',
+          storage: createFileStorage(directory),
+        },
+      };
+      new UnixShell(options).execute('mkdir saved; cd saved');
+
+      const names = fs.readdirSync(directory).sort();
+      expect(names.filter((name) => !name.startsWith('disk_file_'))).toEqual([
+        'disk_current_path',
+        'disk_current_user',
+        'disk_filesystem',
+        'disk_session',
+      ]);
+      expect(names.length).toBeGreaterThan(4);
+      expect(fs.readFileSync(path.join(directory, 'disk_current_path'), 'utf8')).toBe(
+        '/home/testuser/saved'
+      );
+      expect(new UnixShell(options).getCurrentPath()).toBe('/home/testuser/saved');
+
+      new UnixShell(options).clearStorage();
+      expect(fs.readdirSync(directory)).toEqual([]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should load asynchronous storage such as IndexedDB with UnixShell.create', async () => {
+    (global as any).indexedDB = new IndexedDBMock();
+    try {
+      const options = {
+        username: 'testuser',
+        fileSystem: createExampleFiles('testuser'),
+        persistence: { enabled: true, prefix: 'idb', storage: createIndexedDBStorage() },
+      };
+      const shell1 = await UnixShell.create(options);
+      shell1.execute('echo stored > big.txt; cd /etc');
+      await shell1.flushStorage();
+
+      const shell2 = await UnixShell.create(options);
+      expect(shell2.getCurrentPath()).toBe('/etc');
+      expect(shell2.execute('cat ~/big.txt')).toBe('stored');
+      shell2.execute('cd /');
+      await shell2.flushStorage();
+      expect(await options.persistence.storage.getItem('idb_current_path')).toBe('/');
+
+      // The constructor can't wait for it, so it neither loads nor saves
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const shell3 = new UnixShell(options);
+      expect(warn).toHaveBeenCalledWith(
+        'Storage is asynchronous - use UnixShell.create to load from it'
+      );
+      expect(shell3.getCurrentPath()).toBe('/home/testuser');
+      shell3.execute('cd /tmp');
+      await shell3.flushStorage();
+      expect(await options.persistence.storage.getItem('idb_current_path')).toBe('/');
+      warn.mockRestore();
+    } finally {
+      delete (global as any).indexedDB;
+    }
+  });
+});
+
+describe('UnixShell - Session State', () => {
+  // Example files with a second account for su, which has no password
+  function withAlice() {
+    const fileSystem = createExampleFiles('testuser');
+    const root = fileSystem['/'] as Record<string, any>;
+    root.etc.passwd =
+      'root:x:0:0:root:/root:/bin/bash\n' +
+      'testuser:x:1000:1000::/home/testuser:/bin/bash\n' +
+      'alice:x:1001:1001:Alice:/home/alice:/bin/bash\n';
+    root.etc.group = 'root:x:0:\ntestuser:x:1000:\nalice:x:1001:\n';
+    root.home.alice = {};
+    return fileSystem;
+  }
+
+  const options = () => ({
+    username: 'testuser',
+    fileSystem: withAlice(),
+    persistence: { enabled: true, prefix: 'session', storage },
+  });
+  let storage: ReturnType<typeof createMemoryStorage>;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+  });
+
+  test('should restore history, variables, aliases, functions and umask', () => {
+    const shell1 = new UnixShell(options());
+    shell1.execute('export EDITOR=vi; COLOR=blue');
+    shell1.execute("alias ll='ls -l'; greet() { echo hello $1; }");
+    shell1.execute('umask 077');
+
+    const shell2 = new UnixShell(options());
+    expect(shell2.commandHistory).toEqual([
+      'export EDITOR=vi; COLOR=blue',
+      "alias ll='ls -l'; greet() { echo hello $1; }",
+      'umask 077',
+    ]);
+    expect(shell2.execute('echo $EDITOR $COLOR')).toBe('vi blue');
+    expect(shell2.execute('env')).toContain('EDITOR=vi');
+    expect(shell2.execute('alias ll')).toBe("alias ll='ls -l'");
+    expect(shell2.execute('greet world')).toBe('hello world');
+    expect(shell2.execute('umask')).toBe('0077');
+    expect(shell2.execute('history 2')).toBe('8  umask\n9  history 2');
+  });
+
+  test('should carry on a saved session rather than run startup files again', () => {
+    const fileSystem = withAlice();
+    (fileSystem['/'] as any).home.testuser['.bashrc'] = 'echo welcome\nGREETING=hi\n';
+    const shell1 = new UnixShell({ ...options(), fileSystem });
+    expect(shell1.startupOutput).toBe('welcome\n');
+    shell1.execute('GREETING=bye');
+
+    const shell2 = new UnixShell({ ...options(), fileSystem });
+    expect(shell2.startupOutput).toBe('');
+    expect(shell2.execute('echo $GREETING')).toBe('bye');
+  });
+
+  test('should restore the su stack, so exit goes back to the user before', () => {
+    const shell1 = new UnixShell(options());
+    shell1.execute('FAVOURITE=tea');
+    shell1.execute('su - alice');
+    shell1.execute('cd /tmp; MOOD=happy');
+
+    const shell2 = new UnixShell(options());
+    expect(shell2.getCurrentUser()).toBe('alice');
+    expect(shell2.getCurrentPath()).toBe('/tmp');
+    expect(shell2.execute('echo $MOOD $HOME')).toBe('happy /home/alice');
+    expect(shell2.execute('history')).toBe(
+      '1  cd /tmp; MOOD=happy\n2  echo $MOOD $HOME\n3  history'
+    );
+    // A shell for testuser and one for alice started from it
+    expect(shell2.execute('ps -ef')).toMatch(
+      /\ntestuser +100 +1 .* bash\nalice +101 +100 .* bash\n/
+    );
+
+    shell2.execute('exit');
+    expect(shell2.getCurrentUser()).toBe('testuser');
+    expect(shell2.getCurrentPath()).toBe('/home/testuser');
+    expect(shell2.execute('echo $FAVOURITE $USER')).toBe('tea testuser');
+    expect(shell2.commandHistory).toEqual(['FAVOURITE=tea', 'su - alice', 'echo $FAVOURITE $USER']);
+    expect(shell2.execute('exit')).toBe('exit: no other user session to return to');
+
+    const shell3 = new UnixShell(options());
+    expect(shell3.getCurrentUser()).toBe('testuser');
+    expect(shell3.execute('exit')).toBe('exit: no other user session to return to');
+  });
+
+  test('should load a save from before sessions were kept as a fresh login', () => {
+    const old = new UnixShell(options());
+    old.execute('echo kept > kept.txt; echo ls > .bash_history; cd /tmp; ANSWER=42');
+    storage.removeItem('session_session');
+
+    const shell = new UnixShell(options());
+    expect(shell.getCurrentPath()).toBe('/tmp');
+    expect(shell.execute('cat ~/kept.txt')).toBe('kept');
+    expect(shell.execute('echo $PWD ${ANSWER:-unset}')).toBe('/tmp unset');
+    expect(shell.commandHistory).toEqual([
+      'ls',
+      'echo kept > kept.txt; echo ls > .bash_history; cd /tmp; ANSWER=42',
+      'cat ~/kept.txt',
+      'echo $PWD ${ANSWER:-unset}',
+    ]);
+    expect(JSON.parse(storage.getItem('session_session') as string).version).toBe(1);
+  });
+
+  test('should ignore a session it cannot load but keep the files', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      new UnixShell(options()).execute('echo kept > kept.txt; ANSWER=42');
+      const saved = JSON.parse(storage.getItem('session_session') as string);
+
+      storage.setItem('session_session', JSON.stringify({ ...saved, version: 99 }));
+      let shell = new UnixShell(options());
+      expect(warn).toHaveBeenLastCalledWith(
+        'Ignoring the session in storage:',
+        "session record is version 99, newer than this shell's 1"
+      );
+      expect(shell.execute('cat kept.txt; echo ${ANSWER:-unset}')).toBe('kept\nunset');
+
+      storage.setItem('session_session', JSON.stringify({ version: 1, shell: null }));
+      shell = new UnixShell(options());
+      expect(warn).toHaveBeenLastCalledWith(
+        'Ignoring the session in storage:',
+        'session record is incomplete'
+      );
+      expect(shell.execute('cat kept.txt')).toBe('kept');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('migrateSession', () => {
+  test('should upgrade a missing record to a fresh login', () => {
+    expect(migrateSession(null)).toEqual({
+      version: SESSION_VERSION,
+      shell: null,
+      userStack: [],
+      umask: 0o022,
+    });
+  });
+
+  test('should reject records it does not know', () => {
+    expect(() => migrateSession('session')).toThrow(SessionError);
+    expect(() => migrateSession({ shell: null })).toThrow('session record has no version');
+    expect(() => migrateSession({ version: 0 })).toThrow('unknown session record version 0');
+    expect(() => migrateSession({ version: 2 })).toThrow(
+      "session record is version 2, newer than this shell's 1"
+    );
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, CommandContext } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Pipelines', () => {
+  let shell: UnixShell;
+  let contexts: CommandContext[];
+
+  beforeEach(() => {
+    contexts = [];
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        upper: (args: string[], context: CommandContext) => {
+          contexts.push(context);
+          return (context.stdin || '').toUpperCase();
+        },
+        lines: (args: string[], context: CommandContext) => {
+          const text = context.stdin || '';
+          return String(text.split('\n').filter((line) => line).length);
+        },
+        fruits: () => 'banana\napple\ncherry',
+      },
+    });
+  });
+
+  test('should filter output through grep', () => {
+    const output = shell.execute('fruits | grep an');
+    expect(output).toBe('banana');
+  });
+
+  test('should chain several grep stages', () => {
+    const output = shell.execute('fruits | grep -v apple | grep -i CHERRY');
+    expect(output).toBe('cherry');
+  });
+
+  test('should pass output into custom commands', () => {
+    const output = shell.execute('fruits | upper');
+    expect(output).toBe('BANANA\nAPPLE\nCHERRY');
+  });
+
+  test('should run pipelines with more than two stages', () => {
+    const output = shell.execute('fruits | grep a | upper | lines');
+    expect(output).toBe('2');
+  });
+
+  test('should give every stage its own context', () => {
+    shell.execute('echo hi | upper | upper');
+    expect(contexts).toHaveLength(2);
+    expect(contexts[0].stdin).toBe('hi\n');
+    expect(contexts[0].isTTY).toBe(false);
+    expect(contexts[1].stdin).toBe('HI\n');
+    expect(contexts[1].isTTY).toBe(true);
+  });
+
+  test('should not give stdin to unpiped commands', () => {
+    shell.execute('upper');
+    expect(contexts[0].stdin).toBeNull();
+    expect(contexts[0].isTTY).toBe(true);
+  });
+
+  test('should mark redirected output as not a TTY', () => {
+    shell.execute('echo hi | upper > out.txt');
+    expect(contexts[0].isTTY).toBe(false);
+    expect(shell.execute('cat out.txt')).toBe('HI');
+  });
+
+  test('should list one entry per line when ls is piped', () => {
+    shell.execute('touch a.txt');
+    const output = shell.execute('ls | grep .');
+    expect(output.split('\n')).toContain('a.txt');
+    expect(output.split('\n')).toContain('README.md');
+  });
+
+  test('should pass nothing on when a stage is redirected', () => {
+    const output = shell.execute('fruits > list.txt | upper');
+    expect(output).toBe('');
+    expect(shell.execute('cat list.txt')).toBe('banana\napple\ncherry');
+  });
+
+  test('should pipe file contents', () => {
+    const output = shell.execute('cat example.txt | grep "vim ex"');
+    expect(output).toBe('You can edit it with: vim example.txt');
+  });
+});
+
+describe('UnixShell - Command Stdin', () => {
+  let shell: UnixShell;
+  let lastContext: CommandContext | null;
+
+  beforeEach(() => {
+    lastContext = null;
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        legacy: function (args: string[]) {
+          return `legacy ${args.join(',')}`;
+        },
+        inspect: (args: string[], context: CommandContext) => {
+          lastContext = context;
+          return context.stdin === null ? 'no stdin' : `stdin: ${context.stdin.trim()}`;
+        },
+      },
+    });
+  });
+
+  test('should keep handlers that only take args working', () => {
+    expect(shell.execute('legacy a b')).toBe('legacy a,b');
+    expect(shell.execute('echo x | legacy c')).toBe('legacy c');
+  });
+
+  test('should give handlers env and cwd', () => {
+    shell.execute('cd /tmp');
+    shell.execute('inspect');
+    expect(lastContext!.cwd).toBe('/tmp');
+    expect(lastContext!.env.USER).toBe('testuser');
+    expect(lastContext!.env.PWD).toBe('/tmp');
+  });
+
+  test('should feed a file to stdin with <', () => {
+    shell.execute('echo redirected > in.txt');
+    expect(shell.execute('inspect < in.txt')).toBe('stdin: redirected');
+  });
+
+  test('should report missing < files', () => {
+    expect(shell.execute('inspect < missing.txt')).toBe(
+      'bash: missing.txt: No such file or directory'
+    );
+  });
+
+  test('should let cat read stdin when given no files', () => {
+    expect(shell.execute('echo piped | cat')).toBe('piped');
+    expect(shell.execute('cat < example.txt')).toBe(shell.execute('cat example.txt'));
+  });
+
+  test('should read stdin for - in cat arguments', () => {
+    shell.execute('echo first > a.txt');
+    expect(shell.execute('echo middle | cat a.txt - a.txt')).toBe('first\nmiddle\nfirst');
+  });
+
+  test('should concatenate several files with cat', () => {
+    shell.execute('echo one > a.txt');
+    shell.execute('echo two > b.txt');
+    expect(shell.execute('cat a.txt b.txt')).toBe('one\ntwo');
+  });
+
+  test('should read the terminal up to end of input when filters have no files', () => {
+    let result = shell.executeDetailed('cat');
+    expect(result.pendingInput).toEqual({ prompt: '', masked: false });
+    // cat, grep, cut, tr and sed print each line as it's typed
+    result = shell.respond('hello');
+    expect(result.stdout).toBe('hello\n');
+    expect(result.pendingInput).toEqual({ prompt: '', masked: false });
+    expect(shell.respond(null)).toMatchObject({ stdout: '', exitCode: 0 });
+
+    // Each filter treats the lines typed the same way
+    const typed = (command: string): { stdout: string; exitCode: number } => {
+      shell.executeDetailed(command);
+      const results = [shell.respond('banana'), shell.respond('apple'), shell.respond(null)];
+      return {
+        stdout: results.map((each) => each.stdout).join(''),
+        exitCode: results[2].exitCode,
+      };
+    };
+    expect(typed('grep an')).toMatchObject({ stdout: 'banana\n', exitCode: 0 });
+    expect(typed('grep cherry').exitCode).toBe(1);
+    expect(typed('wc -l').stdout).toBe('2\n');
+    expect(typed('tail -n 1').stdout).toBe('apple\n');
+    expect(typed('sort').stdout).toBe('apple\nbanana\n');
+    expect(typed('uniq -c').stdout).toBe('      1 banana\n      1 apple\n');
+    expect(typed('cut -c 1-3').stdout).toBe('ban\napp\n');
+    expect(typed('tr a-z A-Z').stdout).toBe('BANANA\nAPPLE\n');
+    expect(typed('sed s/a/o/').stdout).toBe('bonana\nopple\n');
+    expect(typed('tee copy.txt').stdout).toBe('banana\napple\n');
+    expect(shell.execute('cat copy.txt')).toBe('banana\napple');
+
+    // head stops reading once it has its lines, and grep -m once it has its matches
+    shell.executeDetailed('head -n 1');
+    expect(shell.respond('banana')).toMatchObject({ stdout: 'banana\n', exitCode: 0 });
+    shell.executeDetailed('grep -m 1 an');
+    shell.respond('apple');
+    expect(shell.respond('banana')).toMatchObject({ stdout: 'banana\n', exitCode: 0 });
+    expect(shell.getPendingInput()).toBeNull();
+  });
+
+  test('should not wait for the terminal when filters have files or piped input', () => {
+    expect(shell.executeDetailed('echo hi | cat').pendingInput).toBeUndefined();
+    expect(shell.executeDetailed('wc -l < example.txt').pendingInput).toBeUndefined();
+    expect(shell.executeDetailed('grep -c x example.txt').pendingInput).toBeUndefined();
+  });
+
+  test('should grep files given as arguments', () => {
+    expect(shell.execute('grep "vim ex" example.txt')).toBe(
+      'You can edit it with: vim example.txt'
+    );
+  });
+
+  test('should prefix matches with file names when grepping several files', () => {
+    shell.execute('echo apple > a.txt');
+    shell.execute('echo apricot > b.txt');
+    expect(shell.execute('grep ap a.txt b.txt')).toBe('a.txt:apple\nb.txt:apricot');
+  });
+
+  test('should report missing grep files', () => {
+    expect(shell.execute('grep x missing.txt')).toContain(
+      'grep: missing.txt: No such file or directory'
+    );
+  });
+
+  test('should grep stdin from < redirection', () => {
+    expect(shell.execute('grep -i WELCOME < README.md')).toContain('Welcome');
+  });
+});
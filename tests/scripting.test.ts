@@ -0,0 +1,283 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Control Flow', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should run if/then/else on exit status', () => {
+    expect(shell.execute('if true; then echo yes; else echo no; fi')).toBe('yes');
+    expect(shell.execute('if false; then echo yes; else echo no; fi')).toBe('no');
+    expect(shell.execute('if cat missing.txt 2> err.txt; then echo yes; fi')).toBe('');
+  });
+
+  test('should run the first matching elif', () => {
+    const script = 'if false; then echo 1; elif true; then echo 2; elif true; then echo 3; fi';
+    expect(shell.execute(script)).toBe('2');
+  });
+
+  test('should run multi-line scripts', () => {
+    const script = ['if [ -f README.md ]', 'then', '  echo found', 'fi'].join('\n');
+    expect(shell.execute(script)).toBe('found');
+  });
+
+  test('should loop over words with for', () => {
+    expect(shell.execute('for x in a b c; do echo $x; done')).toBe('a\nb\nc');
+  });
+
+  test('should loop over globbed files and substitutions', () => {
+    shell.execute('touch a.txt; touch b.txt');
+    expect(shell.execute('for f in [ab].txt; do echo "file $f"; done')).toBe(
+      'file a.txt\nfile b.txt'
+    );
+    expect(shell.execute('for u in $(whoami); do echo $u; done')).toBe('testuser');
+  });
+
+  test('should run while and until loops', () => {
+    shell.execute('touch flag');
+    expect(shell.execute('while [ -f flag ]; do echo once; rm flag; done')).toBe('once');
+    expect(shell.execute('until [ -f flag ]; do echo again; touch flag; done')).toBe('again');
+  });
+
+  test('should break and continue', () => {
+    const script =
+      'for x in 1 2 3 4; do if [ $x = 2 ]; then continue; fi; echo $x; ' +
+      'if [ $x = 3 ]; then break; fi; done';
+    expect(shell.execute(script)).toBe('1\n3');
+  });
+
+  test('should break out of nested loops with break 2', () => {
+    const script = 'for a in 1 2; do for b in x y; do echo $a$b; break 2; done; done';
+    expect(shell.execute(script)).toBe('1x');
+  });
+
+  test('should complain about break outside a loop', () => {
+    const result = shell.executeDetailed('break');
+    expect(result.stderr).toContain('only meaningful in a');
+    expect(result.exitCode).toBe(0);
+  });
+
+  test('should match case patterns', () => {
+    const script = (word: string): string =>
+      `case ${word} in a|b) echo ab;; *.txt) echo text;; [xy]*) echo xy;; *) echo other;; esac`;
+    expect(shell.execute(script('b'))).toBe('ab');
+    expect(shell.execute(script('notes.txt'))).toBe('text');
+    expect(shell.execute(script('yes'))).toBe('xy');
+    expect(shell.execute(script('zzz'))).toBe('other');
+  });
+
+  test('should match quoted case patterns literally', () => {
+    expect(shell.execute('case "*" in "*") echo star;; *) echo other;; esac')).toBe('star');
+    expect(shell.execute('case abc in "*") echo star;; *) echo other;; esac')).toBe('other');
+  });
+
+  test('should redirect the output of a whole loop', () => {
+    shell.execute('for x in 1 2; do echo $x; done > nums.txt');
+    expect(shell.execute('cat nums.txt')).toBe('1\n2');
+  });
+
+  test('should pipe into and out of compound commands', () => {
+    expect(shell.execute('echo hello | if true; then cat; fi')).toBe('hello');
+    expect(shell.execute('for x in b a; do echo $x; done | grep a')).toBe('a');
+  });
+
+  test('should negate pipelines with !', () => {
+    expect(shell.executeDetailed('! true').exitCode).toBe(1);
+    expect(shell.execute('if ! cat missing.txt 2> err.txt; then echo missing; fi')).toBe('missing');
+  });
+
+  test('should run { } groups in the current shell and ( ) in a subshell', () => {
+    shell.execute('{ cd /tmp; X=1; }');
+    expect(shell.execute('pwd; echo $X')).toBe('/tmp\n1');
+    shell.execute('(cd /; Y=2)');
+    expect(shell.execute('pwd; echo "[$Y]"')).toBe('/tmp\n[]');
+  });
+
+  test('should report syntax errors in scripts', () => {
+    const result = shell.executeDetailed('if true; then echo hi');
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toContain('unexpected end of file');
+  });
+});
+
+describe('UnixShell - Functions', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should define and call functions', () => {
+    shell.execute('greet() { echo "Hello, $1!"; }');
+    expect(shell.execute('greet World')).toBe('Hello, World!');
+  });
+
+  test('should support the function keyword', () => {
+    shell.execute('function twice { echo $1; echo $1; }');
+    expect(shell.execute('twice hi')).toBe('hi\nhi');
+  });
+
+  test('should expose $#, $@ and $*', () => {
+    shell.execute('count() { echo $#; }');
+    shell.execute('each() { for arg in "$@"; do echo "<$arg>"; done; }');
+    shell.execute('joined() { echo "$*"; }');
+    expect(shell.execute('count a "b c" d')).toBe('3');
+    expect(shell.execute('each a "b c"')).toBe('<a>\n<b c>');
+    expect(shell.execute('each')).toBe('');
+    expect(shell.execute('joined a b')).toBe('a b');
+  });
+
+  test('should loop over arguments when for has no list', () => {
+    shell.execute('args() { for a; do echo $a; done; }');
+    expect(shell.execute('args x y')).toBe('x\ny');
+  });
+
+  test('should restore positional parameters after a call', () => {
+    shell.execute('inner() { echo $1; }');
+    shell.execute('outer() { inner b; echo $1; }');
+    expect(shell.execute('outer a')).toBe('b\na');
+  });
+
+  test('should shift positional parameters', () => {
+    shell.execute('rest() { shift; echo "$@"; }');
+    expect(shell.execute('rest a b c')).toBe('b c');
+  });
+
+  test('should return a status', () => {
+    shell.execute('check() { if [ "$1" = ok ]; then return 0; fi; return 3; echo unreachable; }');
+    expect(shell.executeDetailed('check ok').exitCode).toBe(0);
+    const result = shell.executeDetailed('check bad');
+    expect(result.exitCode).toBe(3);
+    expect(result.stdout).toBe('');
+  });
+
+  test('should keep local variables inside the function', () => {
+    shell.execute('NAME=global');
+    shell.execute('f() { local NAME=inner; echo $NAME; }');
+    expect(shell.execute('f')).toBe('inner');
+    expect(shell.execute('echo $NAME')).toBe('global');
+  });
+
+  test('should let functions set global variables', () => {
+    shell.execute('setit() { RESULT=done; }');
+    shell.execute('setit');
+    expect(shell.execute('echo $RESULT')).toBe('done');
+  });
+
+  test('should reject local outside a function', () => {
+    expect(shell.execute('local x=1')).toBe('local: can only be used in a function');
+  });
+
+  test('should recurse', () => {
+    shell.execute(
+      'down() { case $1 in 0) ;; 3) echo 3; down 2;; 2) echo 2; down 1;; ' +
+        '1) echo 1; down 0;; esac; }'
+    );
+    expect(shell.execute('down 3')).toBe('3\n2\n1');
+  });
+
+  test('should stop runaway recursion', () => {
+    shell.execute('forever() { forever; }');
+    const result = shell.executeDetailed('forever');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toContain('maximum function nesting level exceeded');
+  });
+
+  test('should redirect function output', () => {
+    shell.execute('hello() { echo hello; }');
+    shell.execute('hello > greeting.txt');
+    expect(shell.execute('cat greeting.txt')).toBe('hello');
+    expect(shell.execute('hello | grep hell')).toBe('hello');
+  });
+
+  test('should prefer functions over commands and unset them with unset -f', () => {
+    shell.execute('ls() { echo "no listing"; }');
+    expect(shell.execute('ls')).toBe('no listing');
+    shell.execute('unset -f ls');
+    expect(shell.execute('ls')).toContain('README.md');
+  });
+
+  test('should set positional parameters with set --', () => {
+    shell.execute('set -- one two');
+    expect(shell.execute('echo $# $2')).toBe('2 two');
+  });
+});
+
+describe('UnixShell - test, [ and [[', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  const status = (command: string): number => shell.executeDetailed(command).exitCode;
+
+  test('should compare strings', () => {
+    expect(status('[ abc = abc ]')).toBe(0);
+    expect(status('[ abc != abc ]')).toBe(1);
+    expect(status('test -z ""')).toBe(0);
+    expect(status('test -n ""')).toBe(1);
+    expect(status('[ hello ]')).toBe(0);
+    expect(status('[ "" ]')).toBe(1);
+    expect(status('[ ]')).toBe(1);
+  });
+
+  test('should compare integers', () => {
+    expect(status('[ 3 -gt 2 ]')).toBe(0);
+    expect(status('[ 3 -le 2 ]')).toBe(1);
+    expect(status('[ 10 -eq 10 ]')).toBe(0);
+    const result = shell.executeDetailed('[ abc -eq 1 ]');
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toBe('[: abc: integer expression expected\n');
+  });
+
+  test('should check files', () => {
+    expect(status('[ -f README.md ]')).toBe(0);
+    expect(status('[ -d README.md ]')).toBe(1);
+    expect(status('[ -d /tmp ]')).toBe(0);
+    expect(status('[ -e missing.txt ]')).toBe(1);
+    expect(status('[ -e "" ]')).toBe(1);
+  });
+
+  test('should combine expressions', () => {
+    expect(status('[ ! -e missing.txt ]')).toBe(0);
+    expect(status('[ -f README.md -a -d /tmp ]')).toBe(0);
+    expect(status('[ -f missing -o 1 -eq 1 ]')).toBe(0);
+    expect(status('[ \\( 1 -eq 2 \\) -o a = a ]')).toBe(0);
+  });
+
+  test('should require the closing ]', () => {
+    const result = shell.executeDetailed('[ a = a');
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toBe("[: missing `]'\n");
+  });
+
+  test('should evaluate [[ ]] with && and || and no word splitting', () => {
+    shell.execute('X="two words"');
+    expect(status('[[ $X = "two words" ]]')).toBe(0);
+    expect(status('[[ -n $NOPE ]]')).toBe(1);
+    expect(status('[[ -f README.md && ! -d README.md ]]')).toBe(0);
+    expect(status('[[ -d README.md || ( 1 -lt 2 ) ]]')).toBe(0);
+  });
+
+  test('should match patterns and regexes in [[ ]]', () => {
+    expect(status('[[ notes.txt == *.txt ]]')).toBe(0);
+    expect(status('[[ notes.txt == "*.txt" ]]')).toBe(1);
+    expect(status('[[ abc != a* ]]')).toBe(1);
+    expect(status('[[ abc123 =~ ^[a-z]+[0-9]+$ ]]')).toBe(0);
+    expect(status('[[ b < c ]]')).toBe(0);
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Running Scripts', () => {
+  let shell: UnixShell;
+
+  const write = (path: string, lines: string[]): void => {
+    const error = shell.writeToFile(path, lines.join('\n') + '\n', 'overwrite');
+    expect(error).toBeNull();
+  };
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should run a script with sh and bash', () => {
+    write('hello.sh', ['echo "hello from $0"']);
+    expect(shell.execute('sh hello.sh')).toBe('hello from hello.sh');
+    expect(shell.execute('bash hello.sh')).toBe('hello from hello.sh');
+  });
+
+  test('should pass positional parameters to scripts', () => {
+    write('args.sh', ['echo "$# args: $@"', 'echo "first: $1"']);
+    expect(shell.execute('sh args.sh one "two three"')).toBe('2 args: one two three\nfirst: one');
+  });
+
+  test('should run scripts with control flow and functions', () => {
+    write('count.sh', [
+      '#!/bin/sh',
+      '# Prints each argument, marking the last one',
+      'show() {',
+      '  echo "$1: $2"',
+      '}',
+      'for arg in "$@"; do',
+      '  if [ "$arg" = "$LAST" ]; then',
+      '    show last $arg',
+      '  else',
+      '    show item $arg',
+      '  fi',
+      'done',
+    ]);
+    expect(shell.execute('LAST=b bash count.sh a b')).toBe('item: a\nlast: b');
+  });
+
+  test('should use the exit status of the last command', () => {
+    write('fail.sh', ['echo before', 'cat missing.txt']);
+    const result = shell.executeDetailed('sh fail.sh');
+    expect(result.exitCode).toBe(1);
+    expect(result.output).toBe('before\ncat: missing.txt: No such file or directory\n');
+  });
+
+  test('should stop at exit with its status', () => {
+    write('exit.sh', ['echo one', 'exit 3', 'echo two']);
+    const result = shell.executeDetailed('sh exit.sh');
+    expect(result.stdout).toBe('one\n');
+    expect(result.exitCode).toBe(3);
+    expect(shell.getCurrentUser()).toBe('testuser');
+  });
+
+  test('should exit from inside functions and loops', () => {
+    write('early.sh', ['f() { for x in 1 2; do exit 4; done; }', 'f', 'echo unreachable']);
+    const result = shell.executeDetailed('sh early.sh');
+    expect(result.exitCode).toBe(4);
+    expect(result.stdout).toBe('');
+  });
+
+  test('should keep the caller shell untouched', () => {
+    write('change.sh', ['cd /tmp', 'LOCAL=1', 'export EXPORTED=1', 'f() { :; }']);
+    shell.execute('sh change.sh');
+    expect(shell.execute('pwd')).toBe('/home/testuser');
+    expect(shell.execute('echo "[$LOCAL$EXPORTED]"')).toBe('[]');
+    expect(shell.functions).toEqual({});
+  });
+
+  test('should only show exported variables to scripts', () => {
+    write('vars.sh', ['echo "[$SECRET][$PUBLIC][$ONCE]"']);
+    shell.execute('SECRET=1; export PUBLIC=2');
+    expect(shell.execute('ONCE=3 sh vars.sh')).toBe('[][2][3]');
+  });
+
+  test('should run command strings with -c', () => {
+    expect(shell.execute("sh -c 'echo $0 $1' name arg")).toBe('name arg');
+    expect(shell.executeDetailed("bash -c 'exit 5'").exitCode).toBe(5);
+  });
+
+  test('should read a script from stdin', () => {
+    expect(shell.execute('echo "echo piped script" | sh')).toBe('piped script');
+  });
+
+  test('should report missing scripts and syntax errors', () => {
+    const missing = shell.executeDetailed('sh nope.sh');
+    expect(missing.stderr).toBe('sh: nope.sh: No such file or directory\n');
+    expect(missing.exitCode).toBe(127);
+
+    write('broken.sh', ['if true; then', 'echo hi']);
+    const broken = shell.executeDetailed('bash broken.sh');
+    expect(broken.stderr).toBe('broken.sh: syntax error: unexpected end of file\n');
+    expect(broken.exitCode).toBe(2);
+  });
+
+  test('should only leave a subshell on exit', () => {
+    expect(shell.execute('(echo in; exit 2); echo "after $?"')).toBe('in\nafter 2');
+  });
+});
+
+describe('UnixShell - Executable Files', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should run ./script with a shebang', () => {
+    shell.writeToFile('run.sh', '#!/bin/sh\necho "ran $0 with $1"\n', 'overwrite');
+    shell.execute('chmod +x run.sh');
+    expect(shell.execute('./run.sh arg')).toBe('ran ./run.sh with arg');
+    expect(shell.execute('/home/testuser/run.sh')).toBe('ran /home/testuser/run.sh with ');
+  });
+
+  test('should accept #!/usr/bin/env bash', () => {
+    shell.writeToFile('env.sh', '#!/usr/bin/env bash\necho ok\n', 'overwrite');
+    shell.execute('chmod +x env.sh');
+    expect(shell.execute('./env.sh')).toBe('ok');
+  });
+
+  test('should refuse files that are not executable', () => {
+    const result = shell.executeDetailed('./README.md');
+    expect(result.stderr).toBe('bash: ./README.md: Permission denied\n');
+    expect(result.exitCode).toBe(126);
+    expect(shell.executeDetailed('[ -x README.md ]').exitCode).toBe(1);
+  });
+
+  test('should report unknown interpreters', () => {
+    shell.writeToFile('tool.py', '#!/usr/bin/python3\nprint("hi")\n', 'overwrite');
+    shell.execute('chmod +x tool.py');
+    const result = shell.executeDetailed('./tool.py');
+    expect(result.stderr).toBe(
+      'bash: ./tool.py: /usr/bin/python3: bad interpreter: No such file or directory\n'
+    );
+    expect(result.exitCode).toBe(126);
+  });
+
+  test('should report missing files and directories', () => {
+    expect(shell.executeDetailed('./nope.sh').exitCode).toBe(127);
+    expect(shell.execute('/tmp')).toBe('bash: /tmp: Is a directory');
+  });
+
+  test('should pipe and redirect script output', () => {
+    shell.writeToFile('list.sh', '#!/bin/sh\necho apple\necho banana\n', 'overwrite');
+    shell.execute('chmod +x list.sh');
+    expect(shell.execute('./list.sh | grep ban')).toBe('banana');
+    shell.execute('./list.sh > fruit.txt');
+    expect(shell.execute('cat fruit.txt')).toBe('apple\nbanana');
+  });
+});
+
+describe('UnixShell - source', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should run a file in the current shell', () => {
+    shell.writeToFile(
+      'setup.sh',
+      'GREETING=hi\ngreet() { echo "$GREETING $1"; }\ncd /tmp\n',
+      'overwrite'
+    );
+    shell.execute('source setup.sh');
+    expect(shell.execute('greet there')).toBe('hi there');
+    expect(shell.execute('pwd')).toBe('/tmp');
+  });
+
+  test('should support . as a synonym', () => {
+    shell.writeToFile('vars.sh', 'FROM_DOT=yes\n', 'overwrite');
+    shell.execute('. ./vars.sh');
+    expect(shell.execute('echo $FROM_DOT')).toBe('yes');
+  });
+
+  test('should pass arguments and restore positional parameters', () => {
+    shell.writeToFile('args.sh', 'echo "$1 $#"\n', 'overwrite');
+    shell.execute('set -- outer');
+    expect(shell.execute('source args.sh a b')).toBe('a 2');
+    expect(shell.execute('echo $1')).toBe('outer');
+  });
+
+  test('should stop sourcing at return', () => {
+    shell.writeToFile('early.sh', 'echo one\nreturn 4\necho two\n', 'overwrite');
+    const result = shell.executeDetailed('source early.sh');
+    expect(result.stdout).toBe('one\n');
+    expect(result.exitCode).toBe(4);
+  });
+
+  test('should report missing files', () => {
+    expect(shell.execute('source nope.sh')).toBe('bash: nope.sh: No such file or directory');
+    expect(shell.execute('source')).toBe('bash: source: filename argument required');
+  });
+});
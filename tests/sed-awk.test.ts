@@ -0,0 +1,236 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - sed', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.writeToFile('fruit', 'one apple\ntwo banana\nthree cherry\nfour date\n', 'overwrite');
+  });
+
+  test('should substitute the first match, every match or the Nth', () => {
+    expect(shell.execute("sed 's/a/A/' fruit")).toBe(
+      'one Apple\ntwo bAnana\nthree cherry\nfour dAte'
+    );
+    expect(shell.execute("sed -n 's/a/A/gp' fruit")).toBe('one Apple\ntwo bAnAnA\nfour dAte');
+    expect(shell.execute("echo banana | sed 's/a/_/2'")).toBe('ban_na');
+    expect(shell.execute("echo banana | sed 's/a/_/2g'")).toBe('ban_n_');
+    expect(shell.execute("echo Hello | sed 's/hello/bye/I'")).toBe('bye');
+  });
+
+  test('should fill in groups and convert case in replacements', () => {
+    expect(shell.execute("echo 'john smith' | sed 's/\\(\\w*\\) \\(\\w*\\)/\\2, \\1/'")).toBe(
+      'smith, john'
+    );
+    expect(shell.execute("echo 'john smith' | sed -E 's/(\\w+) (\\w+)/\\u\\2 [&]/'")).toBe(
+      'Smith [john smith]'
+    );
+    expect(shell.execute("echo 'a-b' | sed 's/.*/\\U&/'")).toBe('A-B');
+    expect(shell.execute("echo /usr/bin | sed 's|/|:|g'")).toBe(':usr:bin');
+  });
+
+  test('should select lines by number, regex, step and range', () => {
+    expect(shell.execute("sed -n '2p' fruit")).toBe('two banana');
+    expect(shell.execute("sed -n '$p' fruit")).toBe('four date');
+    expect(shell.execute("sed -n '/an/p' fruit")).toBe('two banana');
+    expect(shell.execute("sed -n '2,3p' fruit")).toBe('two banana\nthree cherry');
+    expect(shell.execute("sed -n '/two/,/four/p' fruit")).toBe(
+      'two banana\nthree cherry\nfour date'
+    );
+    expect(shell.execute("sed -n '1~2p' fruit")).toBe('one apple\nthree cherry');
+    expect(shell.execute("sed -n '1,+1p' fruit")).toBe('one apple\ntwo banana');
+    expect(shell.execute("sed '2,3!d' fruit")).toBe('two banana\nthree cherry');
+    expect(shell.execute("sed '0,/e/s/e/E/' fruit")).toBe(
+      'onE apple\ntwo banana\nthree cherry\nfour date'
+    );
+  });
+
+  test('should delete, insert, append, change and quit', () => {
+    expect(shell.execute("sed '1d;$d' fruit")).toBe('two banana\nthree cherry');
+    expect(shell.execute("sed '2i\\\nbefore' fruit | head -n 3")).toBe(
+      'one apple\nbefore\ntwo banana'
+    );
+    expect(shell.execute("sed '1a after' fruit | head -n 3")).toBe('one apple\nafter\ntwo banana');
+    expect(shell.execute("sed '2,3c gone' fruit")).toBe('one apple\ngone\nfour date');
+    expect(shell.execute('sed 2q fruit')).toBe('one apple\ntwo banana');
+    expect(shell.execute("sed -n '$=' fruit")).toBe('4');
+    expect(shell.execute("sed 'y/abc/ABC/' fruit | head -n 1")).toBe('one Apple');
+  });
+
+  test('should run blocks, the hold space and branches', () => {
+    expect(shell.execute("sed -n '/^t/{s/t/T/;p}' fruit")).toBe('Two banana\nThree cherry');
+    expect(shell.execute("sed -n '1!G;h;$p' fruit")).toBe(
+      'four date\nthree cherry\ntwo banana\none apple'
+    );
+    expect(shell.execute("sed ':a;N;$!ba;s/\\n/,/g' fruit")).toBe(
+      'one apple,two banana,three cherry,four date'
+    );
+    expect(shell.execute("echo aaa | sed ':x;s/a/b/;tx'")).toBe('bbb');
+  });
+
+  test('should edit files in place with -i, keeping a backup with a suffix', () => {
+    expect(shell.execute("sed -i.bak 's/apple/pear/' fruit")).toBe('');
+    expect(shell.execute('head -n 1 fruit')).toBe('one pear');
+    expect(shell.execute('head -n 1 fruit.bak')).toBe('one apple');
+    shell.execute("sed -i '2,$d' fruit");
+    expect(shell.execute('cat fruit')).toBe('one pear');
+  });
+
+  test('should keep a missing newline at the end, and read scripts with -e and -f', () => {
+    shell.writeToFile('partial', 'no newline', 'overwrite');
+    expect(shell.execute("sed 's/no/a/' partial")).toBe('a newline');
+    expect(shell.execute("sed 's/no/a/' partial | wc -c")).toBe('9');
+    expect(shell.execute("echo abc | sed -e 's/a/1/' -e 's/b/2/'")).toBe('12c');
+    shell.writeToFile('script.sed', '# upper case\ns/c/C/\n', 'overwrite');
+    expect(shell.execute('echo abc | sed -f script.sed')).toBe('abC');
+  });
+
+  test('should report errors like GNU sed', () => {
+    const unterminated = shell.executeDetailed("sed 's/a/b' fruit");
+    expect(unterminated.output).toBe("sed: -e expression #1, char 5: unterminated `s' command\n");
+    expect(unterminated.exitCode).toBe(1);
+    expect(shell.execute("sed 'k' fruit")).toBe(
+      "sed: -e expression #1, char 1: unknown command: `k'"
+    );
+    expect(shell.execute("sed 's/a/\\1/' fruit")).toBe(
+      "sed: -e expression #1, char 7: invalid reference \\1 on `s' command's RHS"
+    );
+    expect(shell.execute("sed 'b end' fruit")).toBe("sed: can't find label for jump to `end'");
+    const missing = shell.executeDetailed('sed p nosuch');
+    expect(missing.output).toBe("sed: can't read nosuch: No such file or directory\n");
+    expect(missing.exitCode).toBe(2);
+  });
+});
+
+describe('UnixShell - awk', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.writeToFile('people', 'alice 30 paris\nbob 25 london\ncarol 35 paris\n', 'overwrite');
+  });
+
+  test('should print fields, split at blanks or -F', () => {
+    expect(shell.execute("awk '{print $1}' people")).toBe('alice\nbob\ncarol');
+    expect(shell.execute("awk '{print $2, $1}' people")).toBe('30 alice\n25 bob\n35 carol');
+    expect(shell.execute("awk '{print NF, $NF}' people | head -n 1")).toBe('3 paris');
+    expect(shell.execute("echo 'a:b:c' | awk -F: '{print $2}'")).toBe('b');
+    expect(shell.execute("echo 'a1b22c' | awk -F'[0-9]+' '{print $3}'")).toBe('c');
+    expect(shell.execute('awk -F: \'$1 == "testuser" {print $7}\' /etc/passwd')).toBe('/bin/bash');
+  });
+
+  test('should run actions for matching patterns and ranges', () => {
+    expect(shell.execute("awk '$2 > 28' people")).toBe('alice 30 paris\ncarol 35 paris');
+    expect(shell.execute("awk '/lon/ {print NR}' people")).toBe('2');
+    expect(shell.execute("awk '$1 ~ /^[ab]/ && $3 !~ /paris/' people")).toBe('bob 25 london');
+    expect(shell.execute("awk 'NR==2, NR==3 {print $1}' people")).toBe('bob\ncarol');
+  });
+
+  test('should run BEGIN and END with variables and arrays', () => {
+    expect(shell.execute("awk '{sum += $2} END {print sum / NR}' people")).toBe('30');
+    expect(shell.execute('awk \'BEGIN {print "name"} {print $1} END {print NR}\' people')).toBe(
+      'name\nalice\nbob\ncarol\n3'
+    );
+    expect(shell.execute("awk '{n[$3]++} END {for (city in n) print city, n[city]}' people")).toBe(
+      'paris 2\nlondon 1'
+    );
+    expect(shell.execute("awk -v greeting=hi 'BEGIN {print greeting}'")).toBe('hi');
+  });
+
+  test('should format with printf and sprintf', () => {
+    expect(shell.execute('awk \'{printf "%-6s|%4d|\\n", $1, $2}\' people | head -n 1')).toBe(
+      'alice |  30|'
+    );
+    expect(
+      shell.execute('awk \'BEGIN {printf "%05.1f %x %c %s%%\\n", 3.14159, 255, 65, 50}\'')
+    ).toBe('003.1 ff A 50%');
+    expect(shell.execute('awk \'BEGIN {print sprintf("%e", 1234.5), 1/3}\'')).toBe(
+      '1.234500e+03 0.333333'
+    );
+  });
+
+  test('should have the string and math built-ins', () => {
+    expect(shell.execute("awk '{print toupper(substr($1, 1, 1)) substr($1, 2)}' people")).toBe(
+      'Alice\nBob\nCarol'
+    );
+    expect(shell.execute('awk \'{gsub(/a/, "4"); print}\' people | head -n 1')).toBe(
+      '4lice 30 p4ris'
+    );
+    expect(shell.execute('awk \'BEGIN {n = split("a,b,c", parts, ","); print n, parts[3]}\'')).toBe(
+      '3 c'
+    );
+    expect(
+      shell.execute(
+        'awk \'BEGIN {print length("hello"), index("hello", "ll"), int(-3.7), sqrt(16), 2^10}\''
+      )
+    ).toBe('5 3 -3 4 1024');
+    expect(shell.execute('awk \'BEGIN {if (match("foobar", /o+/)) print RSTART, RLENGTH}\'')).toBe(
+      '2 2'
+    );
+  });
+
+  test('should change fields and rebuild the record with OFS', () => {
+    expect(shell.execute("awk '{$2 = $2 + 1; print}' people | head -n 1")).toBe('alice 31 paris');
+    expect(shell.execute('awk \'BEGIN {OFS = "-"} {$1 = $1; print}\' people | head -n 1')).toBe(
+      'alice-30-paris'
+    );
+    expect(shell.execute("echo 'a b c' | awk '{NF = 2; print}'")).toBe('a b');
+    expect(shell.execute("echo 'a b' | awk '{$4 = \"d\"; print; print NF}'")).toBe('a b  d\n4');
+  });
+
+  test('should run loops, functions, next and exit', () => {
+    expect(
+      shell.execute("awk 'BEGIN {for (i = 1; i <= 3; i++) s = s i; while (j < 2) j++; print s, j}'")
+    ).toBe('123 2');
+    expect(
+      shell.execute(
+        "awk 'function fact(n) {return n <= 1 ? 1 : n * fact(n - 1)} BEGIN {print fact(5)}'"
+      )
+    ).toBe('120');
+    expect(shell.execute("awk '/bob/ {next} {print $1}' people")).toBe('alice\ncarol');
+    const exited = shell.executeDetailed(
+      'awk \'NR == 2 {exit 3} {print $1} END {print "end"}\' people'
+    );
+    expect(exited.output).toBe('alice\nend\n');
+    expect(exited.exitCode).toBe(3);
+  });
+
+  test('should read programs with -f and write files with > and >>', () => {
+    shell.writeToFile(
+      'total.awk',
+      '# add up ages\n{ total += $2 }\nEND { print total }\n',
+      'overwrite'
+    );
+    expect(shell.execute('awk -f total.awk people')).toBe('90');
+    shell.execute('awk \'{print $1 > "names"} END {print "done" >> "names"}\' people');
+    expect(shell.execute('cat names')).toBe('alice\nbob\ncarol\ndone');
+    expect(shell.execute('awk \'BEGIN {while ((getline line < "names") > 0) n++; print n}\'')).toBe(
+      '4'
+    );
+  });
+
+  test('should report errors like gawk', () => {
+    const syntax = shell.executeDetailed("awk '{print' people");
+    expect(syntax.output).toBe(
+      'awk: cmd. line:1: {print\nawk: cmd. line:1:       ^ unexpected newline or end of string\n'
+    );
+    expect(syntax.exitCode).toBe(2);
+    expect(shell.execute("awk 'BEGIN {print 1/0}'")).toBe(
+      'awk: cmd. line:1: fatal: division by zero attempted'
+    );
+    expect(shell.execute("awk '{print}' nosuch")).toBe(
+      "awk: cmd. line:1: fatal: cannot open file `nosuch' for reading: No such file or directory"
+    );
+    expect(shell.execute("awk 'BEGIN {undefined()}'")).toBe(
+      "awk: cmd. line:1: fatal: function `undefined' not defined"
+    );
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, FileSystem } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Example files plus extra files under /etc and the home directories
+ */
+function withFiles(etc: Record<string, string>, homes: Record<string, Record<string, string>>) {
+  const fileSystem: FileSystem = createExampleFiles('testuser');
+  const root = fileSystem['/'] as Record<string, any>;
+  Object.assign(root.etc, etc);
+  for (const [user, files] of Object.entries(homes)) {
+    root.home[user] = { ...(root.home[user] || {}), ...files };
+  }
+  root.root = {};
+  return fileSystem;
+}
+
+describe('UnixShell - Startup Files', () => {
+  test('should source /etc/profile, ~/.profile and ~/.bashrc on startup', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withFiles(
+        { profile: 'export EDITOR=vim\nORDER=profile\n' },
+        {
+          testuser: {
+            '.profile': 'ORDER="$ORDER home-profile"\n',
+            '.bashrc': 'ORDER="$ORDER bashrc"\nalias hi="echo hello"\n',
+          },
+        }
+      ),
+    });
+
+    expect(shell.execute('echo $ORDER')).toBe('profile home-profile bashrc');
+    expect(shell.execute('env')).toContain('EDITOR=vim');
+    expect(shell.execute('hi there')).toBe('hello there');
+  });
+
+  test('should keep startup output for the host to show', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withFiles({ profile: 'cat /etc/motd\n' }, {}),
+    });
+    expect(shell.startupOutput).toContain('Welcome to Unix Shell JS!');
+  });
+
+  test('should not add startup commands to history', () => {
+    const shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    expect(shell.commandHistory).toEqual([]);
+  });
+
+  test('should start normally without startup files', () => {
+    const shell = new UnixShell({ username: 'guest' });
+    expect(shell.startupOutput).toBe('');
+    expect(shell.execute('whoami')).toBe('guest');
+  });
+});
+
+describe('UnixShell - su and Startup Files', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withFiles(
+        { profile: 'LOGIN=yes\n' },
+        {
+          testuser: { '.bashrc': 'alias me="echo testuser"\n' },
+          alice: { '.bashrc': 'alias me="echo alice"\necho "hi alice"\n' },
+        }
+      ),
+    });
+  });
+
+  test("should run the new user's ~/.bashrc on su", () => {
+    const output = shell.execute('su alice');
+    expect(output).toBe('__USER_SWITCHED__:alice\nhi alice');
+    expect(shell.execute('me')).toBe('alice');
+  });
+
+  test('should keep the environment and directory on plain su', () => {
+    shell.execute('cd /tmp; export KEEP=1');
+    shell.execute('su alice');
+    expect(shell.execute('pwd')).toBe('/tmp');
+    expect(shell.execute('echo $KEEP $HOME')).toBe('1 /home/alice');
+    expect(shell.execute('echo "[$LOGIN]"')).toBe('[]');
+  });
+
+  test('should start a login shell with su -', () => {
+    shell.execute('cd /tmp; export KEEP=1');
+    shell.execute('su - alice');
+    expect(shell.execute('pwd')).toBe('/home/alice');
+    expect(shell.execute('echo "[$KEEP]" $LOGIN')).toBe('[] yes');
+    expect(shell.execute('me')).toBe('alice');
+  });
+
+  test('should put the previous shell back on exit', () => {
+    shell.execute('NAME=outer; greet() { echo hi; }');
+    shell.execute('su - alice');
+    expect(shell.execute('echo "[$NAME]"')).toBe('[]');
+    expect(shell.executeDetailed('greet').exitCode).toBe(127);
+
+    shell.execute('exit');
+    expect(shell.getCurrentUser()).toBe('testuser');
+    expect(shell.execute('echo $NAME; greet; me')).toBe('outer\nhi\ntestuser');
+    expect(shell.execute('pwd')).toBe('/home/testuser');
+  });
+
+  test('should log in as root with su - and no user', () => {
+    shell.execute('su -');
+    expect(shell.getCurrentUser()).toBe('root');
+    expect(shell.execute('pwd')).toBe('/root');
+  });
+});
+
+describe('UnixShell - Aliases', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should define and list aliases', () => {
+    shell.execute("alias greet='echo hello'");
+    expect(shell.execute('greet world')).toBe('hello world');
+    expect(shell.execute('alias greet')).toBe("alias greet='echo hello'");
+    expect(shell.execute('alias')).toContain("alias ll='ls -la'");
+  });
+
+  test('should not expand an alias inside itself', () => {
+    shell.execute("alias ls='ls -a'");
+    expect(shell.execute('ls')).toContain('.bashrc');
+  });
+
+  test('should expand aliases with pipes and redirections', () => {
+    shell.execute("alias words='echo one two | grep one'");
+    expect(shell.execute('words')).toBe('one two');
+    shell.execute("alias say='echo'");
+    shell.execute('say saved > out.txt');
+    expect(shell.execute('cat out.txt')).toBe('saved');
+  });
+
+  test('should only expand unquoted command names', () => {
+    shell.execute("alias greet='echo hello'");
+    expect(shell.executeDetailed("'greet'").exitCode).toBe(127);
+    expect(shell.execute('echo greet')).toBe('greet');
+  });
+
+  test('should remove aliases with unalias', () => {
+    shell.execute("alias greet='echo hello'");
+    shell.execute('unalias greet');
+    expect(shell.executeDetailed('greet').exitCode).toBe(127);
+    expect(shell.execute('unalias greet')).toBe('unalias: greet: not found');
+    shell.execute('unalias -a');
+    expect(shell.execute('alias')).toBe('');
+  });
+
+  test('should report unknown aliases', () => {
+    const result = shell.executeDetailed('alias nope');
+    expect(result.stderr).toBe('alias: nope: not found\n');
+    expect(result.exitCode).toBe(1);
+  });
+});
+
+describe('UnixShell - Prompt', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should build the prompt from PS1', () => {
+    expect(shell.getPrompt()).toBe('testuser@localhost:~$ ');
+    shell.execute('cd /tmp');
+    expect(shell.getPrompt()).toBe('testuser@localhost:/tmp$ ');
+  });
+
+  test('should support custom prompts', () => {
+    shell.execute("PS1='[\\W]\\$ '");
+    shell.execute('mkdir projects; cd projects');
+    expect(shell.getPrompt()).toBe('[projects]$ ');
+  });
+
+  test('should show # for root', () => {
+    shell.execute('su');
+    expect(shell.getPrompt()).toBe('root@localhost:/home/testuser# ');
+  });
+});
@@ -0,0 +1,273 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, CommandContext } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Resolves after a tick
+ */
+function tick(): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, 1));
+}
+
+/**
+ * A command like yes that prints y until it's interrupted
+ */
+async function* yes(args: string[], context: CommandContext) {
+  while (!context.signal.aborted) {
+    yield `${args[0] || 'y'}\n`;
+    await tick();
+  }
+}
+
+describe('UnixShell - Streaming and Interrupts', () => {
+  let shell: UnixShell;
+  let streamed: [string, string][];
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: { yes },
+    });
+    streamed = [];
+  });
+
+  const onOutput = (text: string, stream: string) => {
+    streamed.push([text, stream]);
+  };
+
+  test('should stream output to the host as it is written', async () => {
+    const result = await shell.executeDetailedAsync(
+      'echo one; echo two >&2; sleep 0.01; echo three',
+      {
+        onOutput,
+      }
+    );
+    expect(streamed).toEqual([
+      ['one\n', 'stdout'],
+      ['two\n', 'stderr'],
+      ['three\n', 'stdout'],
+    ]);
+    expect(result.output).toBe('one\ntwo\nthree\n');
+  });
+
+  test('should interrupt a running command with exit status 130', async () => {
+    const running = shell.executeDetailedAsync('yes; echo never', {
+      onOutput: (text) => {
+        streamed.push([text, 'stdout']);
+        if (streamed.length === 3) {
+          shell.interrupt();
+        }
+      },
+    });
+
+    const result = await running;
+    expect(result.output).toBe('y\ny\ny\n');
+    expect(result.exitCode).toBe(130);
+    expect(shell.execute('echo $?')).toBe('130');
+  });
+
+  test('should stream what filters read from an endless command, keeping it when interrupted', async () => {
+    shell.commands.forever = async function* () {
+      for (;;) {
+        yield 'y\n';
+        await tick();
+      }
+    };
+
+    for (const command of ['forever | grep y', 'forever | cat', 'forever | sed s/y/n/']) {
+      streamed = [];
+      const result = await shell.executeDetailedAsync(command, {
+        onOutput: (text, stream) => {
+          streamed.push([text, stream]);
+          if (streamed.length === 3) {
+            shell.interrupt();
+          }
+        },
+      });
+      const line = command.endsWith('/') ? 'n\n' : 'y\n';
+      expect(streamed).toEqual([
+        [line, 'stdout'],
+        [line, 'stdout'],
+        [line, 'stdout'],
+      ]);
+      expect(result).toMatchObject({ stdout: line.repeat(3), exitCode: 130 });
+    }
+  });
+
+  test('should interrupt when the host signal is aborted', async () => {
+    const controller = new AbortController();
+    const running = shell.executeDetailedAsync('sleep 60; echo never', {
+      signal: controller.signal,
+    });
+    await tick();
+    controller.abort();
+
+    const result = await running;
+    expect(result.output).toBe('');
+    expect(result.exitCode).toBe(130);
+  });
+
+  test('should not run a command line whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const result = await shell.executeDetailedAsync('sleep 60; echo never', {
+      signal: controller.signal,
+    });
+    expect(result.exitCode).toBe(130);
+    expect(result.output).toBe('');
+  });
+
+  test('should interrupt a whole loop, restoring what it set up', async () => {
+    shell.execute('x=outer');
+    shell.execute('f() { local x=inner; while true; do sleep 60; done; }');
+    const running = shell.executeAsync('f');
+    await tick();
+    shell.interrupt();
+
+    expect(await running).toBe('');
+    expect(shell.execute('echo $x')).toBe('outer');
+  });
+
+  test('should interrupt an endless loop that never waits', async () => {
+    const controller = new AbortController();
+    const running = shell.executeDetailedAsync('while true; do echo y; done; echo never', {
+      signal: controller.signal,
+    });
+    await tick();
+    controller.abort();
+
+    const result = await running;
+    expect(result.exitCode).toBe(130);
+    expect(result.output).toMatch(/^(y\n)+$/);
+  });
+
+  test('should interrupt an endless awk loop', async () => {
+    const running = shell.executeDetailedAsync("awk 'BEGIN { while (1) n++ }'; echo never");
+    await tick();
+    shell.interrupt();
+
+    const result = await running;
+    expect(result.exitCode).toBe(130);
+    expect(result.output).toBe('');
+  });
+
+  test('should stop an endless producer once the filter reading it is done', async () => {
+    let stopped = 0;
+    shell.commands.inf = async function* (args: string[], context: CommandContext) {
+      try {
+        while (!context.signal.aborted) {
+          yield 'y\n';
+          await tick();
+        }
+      } finally {
+        stopped++;
+      }
+    };
+
+    expect(await shell.executeAsync('inf | head -2')).toBe('y\ny');
+    expect(await shell.executeAsync('inf | grep -m1 y')).toBe('y');
+    expect(await shell.executeAsync('inf | head -n 3 | tail -1; echo $?')).toBe('y\n0');
+    expect(await shell.executeAsync('inf | grep -q y && echo found')).toBe('found');
+    await tick();
+    expect(stopped).toBe(4);
+  });
+
+  test('should stream an endless producer through filters to the one that is done', async () => {
+    let stopped = 0;
+    shell.commands.forever = async function* () {
+      try {
+        for (let n = 0; ; n++) {
+          yield `${n}\n`;
+          await tick();
+        }
+      } finally {
+        stopped++;
+      }
+    };
+
+    expect(await shell.executeAsync('forever | cat | head -1')).toBe('0');
+    expect(await shell.executeAsync('forever | grep 7 | head -1')).toBe('7');
+    expect(await shell.executeAsync('forever | grep -n -B 1 -m 1 5 | cat')).toBe('5-4\n6:5');
+    expect(await shell.executeAsync("forever | sed -n '/3/s/^/x/p' | head -1")).toBe('x3');
+    expect(await shell.executeAsync('forever | tr 0-9 a-j | cut -c 2 | grep . | head -2')).toBe(
+      'a\nb'
+    );
+    await tick();
+    expect(stopped).toBe(5);
+  });
+
+  test('should stop an endless loop once the filter reading it is done', async () => {
+    expect(shell.execute('while true; do echo y; done | head -1')).toBe('y');
+    expect(await shell.executeAsync('while true; do echo y; done | head -1')).toBe('y');
+    expect(await shell.executeAsync('while true; do echo y; done | cat | head -2')).toBe('y\ny');
+    expect(shell.execute('while true; do echo y; done | grep -n y | head -1')).toBe('1:y');
+  });
+
+  test('should interrupt a command waiting for input', () => {
+    shell.execute('su root');
+    shell.execute('useradd alice');
+    shell.execute('(echo secret; echo secret) | passwd alice');
+    shell.execute('exit');
+
+    expect(shell.executeDetailed('su alice; echo never').pendingInput).toBeDefined();
+    shell.interrupt();
+    expect(shell.getPendingInput()).toBeNull();
+    expect(shell.getCurrentUser()).toBe('testuser');
+    expect(shell.execute('echo $?')).toBe('130');
+  });
+
+  test('should tell commands they were interrupted through their signal', async () => {
+    let aborted = false;
+    shell.commands.wait = (args: string[], context: CommandContext) =>
+      new Promise((resolve) => {
+        context.signal.addEventListener('abort', () => {
+          aborted = true;
+          resolve({ stdout: 'stopped\n', exitCode: 1 });
+        });
+      });
+
+    const running = shell.executeDetailedAsync('wait');
+    await tick();
+    expect(shell.getPendingInput()).toBeNull();
+    shell.interrupt();
+
+    expect(aborted).toBe(true);
+    expect((await running).exitCode).toBe(130);
+  });
+
+  test('should do nothing when nothing is running', () => {
+    shell.execute('false');
+    shell.interrupt();
+    expect(shell.execute('echo $?')).toBe('1');
+  });
+});
+
+describe('UnixShell - sleep', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should wait for the given time', async () => {
+    const start = Date.now();
+    const result = await shell.executeDetailedAsync('sleep 0.02 .01s');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+    expect(result).toEqual({ stdout: '', stderr: '', output: '', exitCode: 0 });
+  });
+
+  test('should reject bad durations', async () => {
+    expect(await shell.executeAsync('sleep')).toBe(
+      "sleep: missing operand\nTry 'sleep --help' for more information."
+    );
+    const result = await shell.executeDetailedAsync('sleep 1x');
+    expect(result.stderr).toBe(
+      "sleep: invalid time interval '1x'\nTry 'sleep --help' for more information.\n"
+    );
+    expect(result.exitCode).toBe(1);
+  });
+});
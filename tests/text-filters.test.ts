@@ -0,0 +1,235 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { translateRegex, RegexError } from '../src/regex';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Text Filters', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.writeToFile('scores', 'bob 7\nalice 12\ncarol 3\nalice 12\ndave 7\n', 'overwrite');
+  });
+
+  test('should print the start and end of files with head and tail', () => {
+    expect(shell.execute('head -n 2 scores')).toBe('bob 7\nalice 12');
+    expect(shell.execute('head -1 scores')).toBe('bob 7');
+    expect(shell.execute('head -n -3 scores')).toBe('bob 7\nalice 12');
+    expect(shell.execute('tail -n 2 scores')).toBe('alice 12\ndave 7');
+    expect(shell.execute('tail -n +4 scores')).toBe('alice 12\ndave 7');
+    expect(shell.execute('cat scores | tail -c 7')).toBe('dave 7');
+    expect(shell.execute('head -n 1 scores notes.txt')).toBe(
+      '==> scores <==\nbob 7\n\n==> notes.txt <==\nDevelopment Notes'
+    );
+    expect(shell.execute('head -n x scores')).toBe("head: invalid number of lines: 'x'");
+    expect(shell.execute('tail missing')).toBe(
+      "tail: cannot open 'missing' for reading: No such file or directory"
+    );
+  });
+
+  test('should count lines, words and bytes with wc', () => {
+    expect(shell.execute('wc scores')).toBe(' 5 10 39 scores');
+    expect(shell.execute('wc -l scores')).toBe('5 scores');
+    expect(shell.execute('cat scores | wc -w')).toBe('10');
+    expect(shell.execute('cat scores | wc')).toBe('      5      10      39');
+    expect(shell.execute('echo héllo | wc -mc')).toBe('      6       7');
+    expect(shell.execute('wc -l scores notes.txt')).toBe(' 5 scores\n 6 notes.txt\n11 total');
+  });
+
+  test('should sort lines by text, number and key', () => {
+    expect(shell.execute('sort scores')).toBe('alice 12\nalice 12\nbob 7\ncarol 3\ndave 7');
+    expect(shell.execute('sort -r scores | head -n 1')).toBe('dave 7');
+    expect(shell.execute('sort -k2 -n scores')).toBe('carol 3\nbob 7\ndave 7\nalice 12\nalice 12');
+    expect(shell.execute('sort -k2,2nr -u scores')).toBe('alice 12\nbob 7\ncarol 3');
+    expect(shell.execute('echo "b:2 a:10 c:1" | tr " " "\\n" | sort -t: -k2n')).toBe(
+      'c:1\nb:2\na:10'
+    );
+    expect(shell.execute('echo "1G 10K 2M" | tr " " "\\n" | sort -h')).toBe('10K\n2M\n1G');
+    expect(shell.execute('sort -u -o sorted scores; cat sorted')).toBe(
+      'alice 12\nbob 7\ncarol 3\ndave 7'
+    );
+    expect(shell.executeDetailed('sort -k 0 scores').exitCode).toBe(2);
+  });
+
+  test('should collapse repeated lines with uniq', () => {
+    expect(shell.execute('sort scores | uniq')).toBe('alice 12\nbob 7\ncarol 3\ndave 7');
+    expect(shell.execute('sort scores | uniq -c')).toBe(
+      '      2 alice 12\n      1 bob 7\n      1 carol 3\n      1 dave 7'
+    );
+    expect(shell.execute('sort scores | uniq -d')).toBe('alice 12');
+    expect(shell.execute('cut -d " " -f 2 scores | sort -n | uniq -u')).toBe('3');
+    expect(shell.execute('echo "a X\nb x" | uniq -i -f 1')).toBe('a X');
+  });
+
+  test('should cut fields and characters', () => {
+    expect(shell.execute('cut -d " " -f 1 scores | head -n 2')).toBe('bob\nalice');
+    expect(shell.execute('cut -d: -f1,7 /etc/passwd | head -n 1')).toBe('root:/bin/bash');
+    expect(shell.execute('echo abcdef | cut -c 2-4,6')).toBe('bcdf');
+    expect(shell.execute('echo "no tabs" | cut -f 2')).toBe('no tabs');
+    expect(shell.execute('echo "no tabs" | cut -s -f 2')).toBe('');
+    expect(shell.execute('cut scores')).toBe(
+      "cut: you must specify a list of bytes, characters, or fields\nTry 'cut --help' for more information."
+    );
+    expect(shell.execute('cut -f 3-1 scores')).toBe(
+      "cut: invalid decreasing range\nTry 'cut --help' for more information."
+    );
+  });
+
+  test('should translate, delete and squeeze characters with tr', () => {
+    expect(shell.execute('echo hello | tr a-z A-Z')).toBe('HELLO');
+    expect(shell.execute("echo hello | tr '[:lower:]' '[:upper:]'")).toBe('HELLO');
+    expect(shell.execute('echo hello | tr el ip')).toBe('hippo');
+    expect(shell.execute('echo hello world | tr -d lo')).toBe('he wrd');
+    expect(shell.execute('echo "a   b  c" | tr -s " "')).toBe('a b c');
+    expect(shell.execute('echo "phone: 555-1234" | tr -cd "0-9\\n"')).toBe('5551234');
+    expect(shell.execute('echo abc | tr abc "[x*]"')).toBe('xxx');
+    expect(shell.execute('echo hi | tr a')).toBe(
+      "tr: missing operand after 'a'\nTwo strings must be given when translating.\nTry 'tr --help' for more information."
+    );
+    expect(shell.execute('echo hi | tr z-a x')).toBe(
+      "tr: range-endpoints of 'z-a' are in reverse collating sequence order"
+    );
+  });
+
+  test('should copy stdin to files and stdout with tee', () => {
+    expect(shell.execute('echo first | tee a b')).toBe('first');
+    expect(shell.execute('cat a b')).toBe('first\nfirst');
+    shell.execute('echo second | tee -a a > /dev/null');
+    expect(shell.execute('cat a')).toBe('first\nsecond');
+
+    const result = shell.executeDetailed('echo x | tee /etc/nope');
+    expect(result.stdout).toBe('x\n');
+    expect(result.stderr).toBe('tee: /etc/nope: Permission denied\n');
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should chain filters into one-liners', () => {
+    expect(shell.execute('cut -d " " -f 1 scores | sort | uniq -c | sort -rn | head -n 1')).toBe(
+      '      2 alice'
+    );
+    expect(shell.execute('cat scores | tr -s " " | cut -d " " -f 2 | sort -n | tail -n 1')).toBe(
+      '12'
+    );
+  });
+});
+
+describe('UnixShell - grep', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+    shell.execute('mkdir src');
+    shell.writeToFile('src/app.js', 'const a = 1;\n// TODO: tidy\nlet b = 22;\n', 'overwrite');
+    shell.writeToFile('src/util.js', 'function todo() {}\nexport default todo;\n', 'overwrite');
+    shell.writeToFile('log', 'one\ntwo\nthree\nfour\nfive\nsix\n', 'overwrite');
+  });
+
+  test('should match basic and extended regular expressions', () => {
+    expect(shell.execute("grep '^t' log")).toBe('two\nthree');
+    expect(shell.execute("grep 'e$' log")).toBe('one\nthree\nfive');
+    expect(shell.execute("grep 'f[a-z]*e' log")).toBe('five');
+    expect(shell.execute("grep 'o\\|x' log")).toBe('one\ntwo\nfour\nsix');
+    expect(shell.execute("grep -E '^(one|six)$' log")).toBe('one\nsix');
+    expect(shell.execute("grep -E '[0-9]{2}' src/app.js")).toBe('let b = 22;');
+    expect(shell.execute("grep '[[:digit:]]' src/app.js")).toBe('const a = 1;\nlet b = 22;');
+    expect(shell.execute("grep -F 'a.' src/app.js")).toBe('');
+    expect(shell.execute('grep -e one -e six log')).toBe('one\nsix');
+  });
+
+  test('should number, count and list matches', () => {
+    expect(shell.execute('grep -n o log')).toBe('1:one\n2:two\n4:four');
+    expect(shell.execute('grep -c o log')).toBe('3');
+    expect(shell.execute('grep -ic TODO src/app.js src/util.js')).toBe(
+      'src/app.js:1\nsrc/util.js:2'
+    );
+    expect(shell.execute('grep -l todo src/app.js src/util.js log')).toBe('src/util.js');
+    expect(shell.execute('grep -L todo src/app.js src/util.js')).toBe('src/app.js');
+    expect(shell.execute('grep -m 1 -n e log')).toBe('1:one');
+  });
+
+  test('should search directories with -r', () => {
+    expect(shell.execute('grep -rn TODO src')).toBe('src/app.js:2:// TODO: tidy');
+    expect(shell.execute('(cd src && grep -ri todo)')).toBe(
+      'app.js:// TODO: tidy\nutil.js:function todo() {}\nutil.js:export default todo;'
+    );
+    // The command lines above are in the history file by now
+    expect(shell.execute('grep -rl todo .')).toBe('./src/util.js\n./.bash_history');
+    expect(shell.execute('grep todo src')).toBe('grep: src: Is a directory');
+  });
+
+  test('should match whole words and lines, and print only matches', () => {
+    expect(shell.execute('grep -w to src/util.js')).toBe('');
+    expect(shell.execute('grep -w todo src/util.js')).toBe(
+      'function todo() {}\nexport default todo;'
+    );
+    expect(shell.execute('grep -x two log')).toBe('two');
+    expect(shell.execute("grep -o '[0-9]\\+' src/app.js")).toBe('1\n22');
+    expect(shell.execute('grep -ho todo src/app.js src/util.js')).toBe('todo\ntodo');
+  });
+
+  test('should print context around matches', () => {
+    expect(shell.execute('grep -A 1 two log')).toBe('two\nthree');
+    expect(shell.execute('grep -B1 four log')).toBe('three\nfour');
+    expect(shell.execute('grep -n -C 1 -e two -e six log')).toBe(
+      '1-one\n2:two\n3-three\n--\n5-five\n6:six'
+    );
+  });
+
+  test('should highlight matches with --color', () => {
+    expect(shell.execute('grep --color=always tw log')).toBe('\x1b[01;31m\x1b[Ktw\x1b[m\x1b[Ko');
+    expect(shell.execute('grep --color=always -n six log')).toBe(
+      '\x1b[32m\x1b[K6\x1b[m\x1b[K\x1b[36m\x1b[K:\x1b[m\x1b[K\x1b[01;31m\x1b[Ksix\x1b[m\x1b[K'
+    );
+    expect(shell.execute('grep --color=auto tw log')).toContain('\x1b[01;31m');
+    expect(shell.execute('grep --color=auto tw log | cat')).toBe('two');
+    expect(shell.execute('grep --color tw log > out; cat out')).toBe('two');
+  });
+
+  test('should report errors and exit like GNU grep', () => {
+    expect(shell.executeDetailed('grep -q one log missing').exitCode).toBe(0);
+    expect(shell.executeDetailed('grep one log missing').exitCode).toBe(2);
+    expect(shell.execute('grep -s one missing')).toBe('');
+    expect(shell.executeDetailed('grep seven log').exitCode).toBe(1);
+    expect(shell.execute("grep 'a[b' log")).toBe('grep: Unmatched [, [^, [:, [., or [=');
+    expect(shell.execute("grep -E '(a' log")).toBe('grep: Unmatched ( or \\(');
+    expect(shell.execute('grep --nope x log')).toBe(
+      "grep: unrecognized option '--nope'\nTry 'grep --help' for more information."
+    );
+    expect(shell.executeDetailed('grep -A x y log').exitCode).toBe(2);
+  });
+});
+
+describe('Regex - translateRegex', () => {
+  test('should keep basic expression operators literal unless escaped', () => {
+    expect(translateRegex('a+b?(c)', false)).toBe('a\\+b\\?\\(c\\)');
+    expect(translateRegex('\\(ab\\)\\{2\\}\\1', false)).toBe('(ab){2}\\1');
+    expect(translateRegex('*a^b$c', false)).toBe('\\*a\\^b\\$c');
+  });
+
+  test('should keep extended expression operators unless escaped', () => {
+    expect(translateRegex('(a|b)+\\.', true)).toBe('(a|b)+\\.');
+    expect(translateRegex('\\(x\\)', true)).toBe('\\(x\\)');
+    expect(translateRegex('{x', true)).toBe('\\{x');
+  });
+
+  test('should translate bracket expressions and word boundaries', () => {
+    expect(translateRegex('[[:upper:]_]', false)).toBe('[A-Z_]');
+    expect(translateRegex('[]a\\]', false)).toBe('[\\]a\\\\]');
+    expect(translateRegex('[^-x]', false)).toBe('[^\\-x]');
+    expect(translateRegex('\\<word\\>', false)).toBe('\\bword\\b');
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => translateRegex('[a', false)).toThrow(RegexError);
+    expect(() => translateRegex('a)', true)).toThrow('Unmatched ) or \\)');
+    expect(() => translateRegex('\\(a', false)).toThrow('Unmatched ( or \\(');
+    expect(() => translateRegex('[[:nope:]]', false)).toThrow('Invalid character class name');
+    expect(() => translateRegex('(a)\\2', true)).toThrow('Invalid back reference');
+  });
+});
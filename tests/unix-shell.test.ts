@@ -51,6 +51,14 @@ describe('UnixShell - Core Functionality', () => {
     expect(output).toBe('Hello World');
   });
 
+  test('should end echo with a newline, even with nothing to print, unless given -n', () => {
+    shell.execute('echo a > /tmp/f; echo >> /tmp/f; echo "" >> /tmp/f; echo b >> /tmp/f');
+    expect(shell.execute('wc -l /tmp/f')).toBe('4 /tmp/f');
+    expect(shell.execute('for i in 1 2; do echo; done | wc -l')).toBe('2');
+    expect(shell.executeDetailed('echo -n hi; echo -n " there"').stdout).toBe('hi there');
+    expect(shell.execute('echo -nn a -n; echo b')).toBe('a -nb');
+  });
+
   test('should maintain command history', () => {
     shell.execute('pwd');
     shell.execute('whoami');
@@ -315,6 +323,11 @@ describe('UnixShell - User Switching', () => {
   });
 
   test('should switch to specific user with su username', () => {
+    // su only switches to users with an account
+    const fileSystem = createExampleFiles('testuser');
+    (fileSystem['/'] as Record<string, any>).home.alice = {};
+    shell = new UnixShell({ username: 'testuser', fileSystem });
+
     const output = shell.execute('su alice');
     expect(output).toContain('__USER_SWITCHED__:alice');
     expect(shell.getCurrentUser()).toBe('alice');
@@ -0,0 +1,407 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, FileSystem } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+import { hashPassword, verifyPassword, sha256 } from '../src/passwords';
+import { parseSudoers, findSudoCommand } from '../src/accounts';
+
+/**
+ * Example files with the given /etc files, such as a passwd with passwords
+ */
+function withEtc(etc: Record<string, string>): FileSystem {
+  const fileSystem = createExampleFiles('testuser');
+  const root = fileSystem['/'] as Record<string, any>;
+  Object.assign(root.etc, etc);
+  root.root = {};
+  root.home.alice = {};
+  return fileSystem;
+}
+
+const PASSWD =
+  'root:x:0:0:root:/root:/bin/bash\n' +
+  'testuser:x:1000:1000::/home/testuser:/bin/bash\n' +
+  'alice:x:1001:1001:Alice:/home/alice:/bin/bash\n' +
+  'www-data:x:33:33:www-data:/var/www:/usr/sbin/nologin\n';
+
+const GROUP = 'root:x:0:\nsudo:x:27:\nwww-data:x:33:\ntestuser:x:1000:\nalice:x:1001:\n';
+
+const SHADOW =
+  `root:${hashPassword('toor', 'salt0')}:20000:0:99999:7:::\n` +
+  `testuser:${hashPassword('hunter2', 'salt1')}:20000:0:99999:7:::\n` +
+  `alice:${hashPassword('wonderland', 'salt2')}:20000:0:99999:7:::\n` +
+  'www-data:*:20000:0:99999:7:::\n';
+
+describe('Passwords', () => {
+  test('should hash with SHA-256', () => {
+    expect(sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  test('should verify salted hashes', () => {
+    const hash = hashPassword('secret');
+    expect(hash).toMatch(/^\$sha256\$[^$]{16}\$[0-9a-f]{64}$/);
+    expect(verifyPassword('secret', hash)).toBe(true);
+    expect(verifyPassword('Secret', hash)).toBe(false);
+    expect(verifyPassword('secret', '!' + hash)).toBe(false);
+  });
+});
+
+describe('Sudoers', () => {
+  test('should match commands by name, with the last match winning', () => {
+    const rules = parseSudoers(
+      '# comment\nDefaults env_reset\n' +
+        'alice ALL=(ALL) ALL\n' +
+        'alice ALL=(root) NOPASSWD: /usr/bin/cat, /usr/bin/ls ""\n'
+    );
+    expect(findSudoCommand(rules, 'root', 'cat', ['/etc/shadow'])).toMatchObject({
+      noPassword: true,
+    });
+    expect(findSudoCommand(rules, 'root', 'ls', [])).toMatchObject({ noPassword: true });
+    expect(findSudoCommand(rules, 'root', 'ls', ['/root'])).toMatchObject({ noPassword: false });
+    expect(findSudoCommand(rules, 'bob', 'cat', [])).toMatchObject({ command: 'ALL' });
+  });
+});
+
+describe('UnixShell - Users and Groups', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should create /etc/passwd, /etc/group, /etc/shadow and /etc/sudoers', () => {
+    expect(shell.execute('cat /etc/passwd')).toBe(
+      'root:x:0:0:root:/root:/bin/bash\ntestuser:x:1000:1000::/home/testuser:/bin/bash'
+    );
+    expect(shell.execute('cat /etc/group')).toContain('sudo:x:27:testuser');
+    expect(shell.execute('cat /etc/shadow')).toBe('cat: /etc/shadow: Permission denied');
+    expect(shell.execute('cat /etc/sudoers')).toBe('cat: /etc/sudoers: Permission denied');
+    expect(shell.execute('ls -l /etc')).toMatch(/^-rw-r----- 1 root +shadow .* shadow$/m);
+  });
+
+  test('should keep the accounts in a filesystem that has them', () => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withEtc({ passwd: PASSWD, group: GROUP, shadow: SHADOW }),
+    });
+
+    expect(shell.execute('cat /etc/passwd')).toBe(PASSWD.trim());
+    expect(shell.getOwner('/home/alice')).toEqual({ user: 'alice', group: 'alice' });
+    expect(shell.stat('/home/alice')!.uid).toBe(1001);
+  });
+
+  test('should add the shell user when /etc/passwd lacks them', () => {
+    shell = new UnixShell({
+      username: 'guest',
+      fileSystem: withEtc({ passwd: PASSWD, group: GROUP }),
+    });
+
+    expect(shell.execute('id')).toBe('uid=1002(guest) gid=1002(guest) groups=1002(guest)');
+    expect(shell.getCurrentPath()).toBe('/');
+  });
+
+  test('should show ids and groups with id', () => {
+    expect(shell.execute('id')).toBe(
+      'uid=1000(testuser) gid=1000(testuser) groups=1000(testuser),27(sudo)'
+    );
+    expect(shell.execute('id -u')).toBe('1000');
+    expect(shell.execute('id -un')).toBe('testuser');
+    expect(shell.execute('id -Gn')).toBe('testuser sudo');
+    expect(shell.execute('id root')).toBe('uid=0(root) gid=0(root) groups=0(root)');
+
+    const result = shell.executeDetailed('id nobody');
+    expect(result.stderr).toBe("id: 'nobody': no such user\n");
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should list groups', () => {
+    expect(shell.execute('groups')).toBe('testuser sudo');
+    expect(shell.execute('groups root testuser')).toBe('root : root\ntestuser : testuser sudo');
+    expect(shell.execute('groups ghost')).toBe("groups: 'ghost': no such user");
+  });
+
+  test('should take HOME and SHELL from /etc/passwd', () => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withEtc({
+        passwd: PASSWD.replace('/home/testuser:/bin/bash', '/home/testuser:/bin/sh'),
+        group: GROUP,
+      }),
+    });
+    expect(shell.execute('echo $HOME $SHELL')).toBe('/home/testuser /bin/sh');
+
+    shell.execute('su - alice');
+    expect(shell.execute('echo $HOME')).toBe('/home/alice');
+  });
+});
+
+describe('UnixShell - su and sudo', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: withEtc({
+        passwd: PASSWD,
+        group: GROUP.replace('sudo:x:27:', 'sudo:x:27:testuser'),
+        shadow: SHADOW,
+        sudoers:
+          'root ALL=(ALL:ALL) ALL\n%sudo ALL=(ALL:ALL) ALL\nalice ALL=(root) NOPASSWD: /usr/bin/id\n',
+      }),
+    });
+  });
+
+  test('should ask su for the password of the user', () => {
+    let result = shell.executeDetailed('su alice');
+    expect(result.pendingInput).toEqual({ prompt: 'Password: ', masked: true });
+    result = shell.respond('wrong');
+    expect(result.stderr).toBe('su: Authentication failure\n');
+    expect(result.exitCode).toBe(1);
+    expect(shell.getCurrentUser()).toBe('testuser');
+
+    result = shell.executeDetailed('echo wrong | su alice');
+    expect(result.stderr).toBe('su: Authentication failure\n');
+
+    expect(shell.execute('echo wonderland | su alice')).toBe('__USER_SWITCHED__:alice');
+    expect(shell.getCurrentUser()).toBe('alice');
+  });
+
+  test('should let root su without a password', () => {
+    shell.execute('echo toor | su');
+    expect(shell.getCurrentUser()).toBe('root');
+    shell.execute('su alice');
+    expect(shell.getCurrentUser()).toBe('alice');
+  });
+
+  test('should refuse unknown users and accounts without a shell', () => {
+    expect(shell.execute('su ghost')).toBe(
+      'su: user ghost does not exist or the user entry does not contain all the required fields'
+    );
+    shell.execute('echo toor | su');
+    expect(shell.execute('su www-data')).toBe('This account is currently not available.');
+  });
+
+  test('should run one command as another user with su -c', () => {
+    const result = shell.executeDetailed("echo wonderland | su -c 'whoami; echo $HOME' alice");
+    expect(result.stdout).toBe('alice\n/home/alice\n');
+    expect(shell.getCurrentUser()).toBe('testuser');
+  });
+
+  test('should read su options after the user name', () => {
+    let result = shell.executeDetailed('echo wonderland | su alice -c whoami');
+    expect(result.stdout).toBe('alice\n');
+    expect(shell.getCurrentUser()).toBe('testuser');
+
+    result = shell.executeDetailed("echo wonderland | su alice -l -c 'pwd; echo $0 $1' sh one");
+    expect(result.stdout).toBe('/home/alice\nsh one\n');
+    expect(shell.getCurrentUser()).toBe('testuser');
+  });
+
+  test('should need a password for sudo, read with -S', () => {
+    let result = shell.executeDetailed('sudo whoami');
+    expect(result.pendingInput).toEqual({ prompt: '[sudo] password for testuser: ', masked: true });
+    result = shell.respond(null);
+    expect(result.stderr).toBe('sudo: no password was provided\n');
+    expect(result.exitCode).toBe(1);
+
+    result = shell.executeDetailed('echo hunter2 | sudo -S whoami');
+    expect(result.stdout).toBe('root\n');
+    expect(result.stderr).toBe('[sudo] password for testuser: ');
+    expect(shell.getCurrentUser()).toBe('testuser');
+
+    // sudo remembers the password for a while, until -k
+    expect(shell.execute('sudo whoami')).toBe('root');
+    shell.execute('sudo -k');
+    expect(shell.executeDetailed('sudo whoami').pendingInput).toBeDefined();
+  });
+
+  test('should give three tries with sudo -S', () => {
+    const result = shell.executeDetailed('(echo a; echo b; echo c) | sudo -S whoami');
+    expect(result.stderr).toBe(
+      '[sudo] password for testuser: Sorry, try again.\n' +
+        '[sudo] password for testuser: Sorry, try again.\n' +
+        '[sudo] password for testuser: \nsudo: 3 incorrect password attempts\n'
+    );
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should follow /etc/sudoers', () => {
+    shell.execute('echo toor | su');
+    shell.execute('su alice');
+
+    // alice may only run id, without a password
+    expect(shell.execute('sudo id -u')).toBe('0');
+    expect(shell.execute('sudo whoami')).toBe(
+      "Sorry, user alice is not allowed to execute 'whoami' as root on localhost."
+    );
+    expect(shell.execute('sudo -l')).toBe(
+      'User alice may run the following commands on localhost:\n    (root) NOPASSWD: /usr/bin/id'
+    );
+
+    shell.execute('exit');
+    shell.execute('useradd bob');
+    shell.execute('su bob');
+    expect(shell.execute('sudo id')).toBe(
+      'bob is not in the sudoers file.  This incident will be reported.'
+    );
+  });
+
+  test('should run commands as another user with sudo -u', () => {
+    shell.execute('echo hunter2 | sudo -S true');
+    expect(shell.execute('sudo -u alice whoami')).toBe('alice');
+    expect(shell.execute("sudo -u alice sh -c 'echo $SUDO_USER'")).toBe('testuser');
+    expect(shell.execute('sudo -u ghost whoami')).toBe('sudo: unknown user ghost');
+  });
+
+  test('should start a root shell with sudo -i and sudo su', () => {
+    shell.execute('echo hunter2 | sudo -S true');
+    expect(shell.execute('sudo -i')).toBe('__USER_SWITCHED__:root');
+    expect(shell.getCurrentPath()).toBe('/root');
+    shell.execute('exit');
+
+    shell.execute('sudo su alice');
+    expect(shell.getCurrentUser()).toBe('alice');
+    shell.execute('exit');
+    expect(shell.getCurrentUser()).toBe('testuser');
+  });
+});
+
+describe('UnixShell - Managing Accounts', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+    });
+  });
+
+  test('should let only root manage accounts', () => {
+    const result = shell.executeDetailed('useradd bob');
+    expect(result.stderr).toBe(
+      'useradd: Permission denied.\nuseradd: cannot lock /etc/passwd; try again later.\n'
+    );
+    expect(result.exitCode).toBe(1);
+  });
+
+  test('should add users with useradd', () => {
+    shell.execute('su');
+    shell.execute('useradd -m -s /bin/bash -G sudo bob');
+
+    expect(shell.execute('grep bob /etc/passwd')).toBe('bob:x:1001:1001::/home/bob:/bin/bash');
+    expect(shell.execute('id bob')).toBe('uid=1001(bob) gid=1001(bob) groups=1001(bob),27(sudo)');
+    expect(shell.getOwner('/home/bob')).toEqual({ user: 'bob', group: 'bob' });
+    // New accounts are locked until they get a password
+    expect(shell.execute('grep bob /etc/shadow')).toMatch(/^bob:!:\d+:0:99999:7:::$/);
+  });
+
+  test('should copy /etc/skel into new homes', () => {
+    shell.execute('su');
+    shell.execute('mkdir /etc/skel');
+    shell.execute('echo "alias ll=\'ls -l\'" > /etc/skel/.bashrc');
+    shell.execute('useradd -m carol');
+
+    expect(shell.execute('cat /home/carol/.bashrc')).toBe("alias ll='ls -l'");
+    expect(shell.getOwner('/home/carol/.bashrc')).toEqual({ user: 'carol', group: 'carol' });
+  });
+
+  test('should report useradd errors', () => {
+    shell.execute('su');
+    expect(shell.executeDetailed('useradd testuser')).toMatchObject({
+      stderr: "useradd: user 'testuser' already exists\n",
+      exitCode: 9,
+    });
+    expect(shell.executeDetailed('useradd Bad!Name')).toMatchObject({
+      stderr: "useradd: invalid user name 'Bad!Name'\n",
+      exitCode: 3,
+    });
+    expect(shell.executeDetailed('useradd -g staff dave')).toMatchObject({
+      stderr: "useradd: group 'staff' does not exist\n",
+      exitCode: 6,
+    });
+    expect(shell.executeDetailed('useradd -u 1000 dave')).toMatchObject({
+      stderr: 'useradd: UID 1000 is not unique\n',
+      exitCode: 4,
+    });
+  });
+
+  test('should remove users with userdel', () => {
+    shell.execute('su');
+    shell.execute('useradd -m bob');
+    shell.execute('userdel -r bob');
+
+    expect(shell.execute('id bob')).toBe("id: 'bob': no such user");
+    expect(shell.execute('grep bob /etc/group')).toBe('');
+    expect(shell.stat('/home/bob')).toBeNull();
+
+    expect(shell.executeDetailed('userdel bob').exitCode).toBe(6);
+    expect(shell.executeDetailed('userdel testuser')).toMatchObject({
+      stderr: `userdel: user testuser is currently used by process 100\n`,
+      exitCode: 8,
+    });
+  });
+
+  test('should change groups, shells and locks with usermod', () => {
+    shell.execute('su');
+    shell.execute('useradd bob');
+    shell.execute('usermod -a -G sudo bob');
+    shell.execute('usermod -s /bin/bash -c "Bob Builder" bob');
+
+    expect(shell.execute('groups bob')).toBe('bob : bob sudo');
+    expect(shell.execute('grep bob /etc/passwd')).toBe(
+      'bob:x:1001:1001:Bob Builder:/home/bob:/bin/bash'
+    );
+
+    shell.execute('usermod -G testuser bob');
+    expect(shell.execute('groups bob')).toBe('bob : bob testuser');
+    expect(shell.execute('usermod -G staff bob')).toBe("usermod: group 'staff' does not exist");
+  });
+
+  test('should set passwords with passwd', () => {
+    shell.execute('su');
+    shell.execute('useradd bob');
+    expect(shell.execute('(echo builder; echo builder) | passwd bob')).toBe(
+      'passwd: password updated successfully'
+    );
+    expect(shell.execute('passwd -S bob')).toMatch(/^bob P \d\d\/\d\d\/\d{4} 0 99999 7 -1$/);
+    shell.execute('exit');
+
+    expect(shell.executeDetailed('echo nope | su bob').exitCode).toBe(1);
+    shell.execute('echo builder | su bob');
+    expect(shell.getCurrentUser()).toBe('bob');
+
+    // Users give their current password before the new one
+    let result = shell.executeDetailed('(echo wrong; echo new; echo new) | passwd');
+    expect(result.stdout).toBe('Changing password for bob.\n');
+    expect(result.stderr).toBe(
+      'passwd: Authentication token manipulation error\npasswd: password unchanged\n'
+    );
+    expect(result.exitCode).toBe(10);
+
+    result = shell.executeDetailed('(echo builder; echo new; echo other) | passwd');
+    expect(result.stderr).toContain('Sorry, passwords do not match.');
+
+    expect(shell.execute('(echo builder; echo fixer; echo fixer) | passwd')).toBe(
+      'Changing password for bob.\npasswd: password updated successfully'
+    );
+    expect(shell.execute('passwd testuser')).toBe(
+      'passwd: You may not view or modify password information for testuser.'
+    );
+  });
+
+  test('should lock and unlock passwords', () => {
+    shell.execute('su');
+    shell.execute('(echo pw; echo pw) | passwd testuser');
+    shell.execute('passwd -l testuser');
+    expect(shell.execute('passwd -S testuser')).toMatch(/^testuser L /);
+    shell.execute('exit');
+    expect(shell.executeDetailed('echo pw | sudo -S true').exitCode).toBe(1);
+
+    shell.execute('su');
+    shell.execute('passwd -u testuser');
+    shell.execute('exit');
+    expect(shell.executeDetailed('echo pw | sudo -S true').exitCode).toBe(0);
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, expect, test, beforeEach } from '@jest/globals';
+import { UnixShell, CommandContext } from '../src/index';
+import { createExampleFiles } from '../src/example-files';
+
+describe('UnixShell - Variable Expansion', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        argc: (args: string[]) => String(args.length),
+        showenv: (args: string[], context: CommandContext) => context.env[args[0]] || '(unset)',
+      },
+    });
+  });
+
+  test('should expand environment variables', () => {
+    expect(shell.execute('echo $HOME')).toBe('/home/testuser');
+    expect(shell.execute('echo ${USER}')).toBe('testuser');
+    shell.execute('cd /tmp');
+    expect(shell.execute('echo $PWD')).toBe('/tmp');
+  });
+
+  test('should expand variables next to other text', () => {
+    expect(shell.execute('echo ${USER}_backup $USER.txt')).toBe('testuser_backup testuser.txt');
+  });
+
+  test('should use variables in paths', () => {
+    shell.execute('cd /');
+    expect(shell.execute('cat $HOME/README.md')).toContain('Welcome');
+  });
+
+  test('should not expand inside single quotes', () => {
+    expect(shell.execute("echo '$HOME ${USER}'")).toBe('$HOME ${USER}');
+  });
+
+  test('should expand inside double quotes', () => {
+    expect(shell.execute('echo "home is $HOME"')).toBe('home is /home/testuser');
+  });
+
+  test('should leave escaped dollars alone', () => {
+    expect(shell.execute('echo \\$HOME "\\$HOME"')).toBe('$HOME $HOME');
+  });
+
+  test('should expand unset variables to nothing', () => {
+    expect(shell.execute('echo [$NOPE]')).toBe('[]');
+    expect(shell.execute('argc $NOPE')).toBe('0');
+    expect(shell.execute('argc "$NOPE"')).toBe('1');
+  });
+
+  test('should support ${VAR:-default}', () => {
+    expect(shell.execute('echo ${NOPE:-fallback}')).toBe('fallback');
+    expect(shell.execute('echo ${USER:-fallback}')).toBe('testuser');
+    shell.execute('EMPTY=');
+    expect(shell.execute('echo ${EMPTY:-fallback}')).toBe('fallback');
+    expect(shell.execute('echo "[${EMPTY-fallback}]"')).toBe('[]');
+  });
+
+  test('should expand variables inside defaults', () => {
+    expect(shell.execute('echo ${NOPE:-$HOME/dir}')).toBe('/home/testuser/dir');
+  });
+
+  test('should support ${VAR:=default}, ${VAR:+alt} and ${#VAR}', () => {
+    expect(shell.execute('echo ${NEW:=assigned}')).toBe('assigned');
+    expect(shell.execute('echo $NEW')).toBe('assigned');
+    expect(shell.execute('echo ${NEW:+alternative}')).toBe('alternative');
+    expect(shell.execute('echo "[${NOPE:+alternative}]"')).toBe('[]');
+    expect(shell.execute('echo ${#USER}')).toBe('8');
+  });
+
+  test('should split unquoted expansions into separate arguments', () => {
+    shell.execute('FILES="a.txt b.txt"');
+    expect(shell.execute('argc $FILES')).toBe('2');
+    expect(shell.execute('argc "$FILES"')).toBe('1');
+    shell.execute('touch "$FILES"');
+    expect(shell.getNode('/home/testuser/a.txt b.txt')).toMatchObject({
+      type: 'file',
+      content: '',
+    });
+  });
+
+  test('should expand ~ to the home directory', () => {
+    expect(shell.execute('echo ~ ~/docs')).toBe('/home/testuser /home/testuser/docs');
+    expect(shell.execute('echo "~" a~')).toBe('~ a~');
+  });
+
+  test('should fall back to the passwd home directory for ~ once HOME is unset', () => {
+    shell.execute('cd /tmp; unset HOME');
+    expect(shell.execute('echo ~; ls -d ~/README.md')).toBe(
+      '/home/testuser\n/home/testuser/README.md'
+    );
+
+    const result = shell.executeDetailed('cd');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toBe('bash: cd: HOME not set\n');
+    expect(shell.execute('pwd; ls -d .')).toBe('/tmp\n.');
+  });
+
+  test('should report bad substitutions', () => {
+    expect(shell.execute('echo ${!!}')).toContain('bad substitution');
+  });
+});
+
+describe('UnixShell - Assignments and Builtins', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    shell = new UnixShell({
+      username: 'testuser',
+      fileSystem: createExampleFiles('testuser'),
+      customCommands: {
+        showenv: (args: string[], context: CommandContext) => context.env[args[0]] || '(unset)',
+      },
+    });
+  });
+
+  test('should set shell variables with NAME=value', () => {
+    shell.execute('GREETING=hello');
+    expect(shell.execute('echo $GREETING world')).toBe('hello world');
+  });
+
+  test('should keep quoted assignment values intact', () => {
+    shell.execute('MSG="two  words"');
+    expect(shell.execute('echo "$MSG"')).toBe('two  words');
+  });
+
+  test('should expand variables in assignments', () => {
+    shell.execute('DIR=$HOME/projects');
+    expect(shell.execute('echo $DIR')).toBe('/home/testuser/projects');
+  });
+
+  test('should not export plain assignments', () => {
+    shell.execute('LOCAL=1');
+    expect(shell.execute('env')).not.toContain('LOCAL=');
+    expect(shell.execute('showenv LOCAL')).toBe('(unset)');
+  });
+
+  test('should export variables', () => {
+    shell.execute('LOCAL=1');
+    shell.execute('export LOCAL');
+    expect(shell.execute('env')).toContain('LOCAL=1');
+
+    shell.execute('export EDITOR=vim');
+    expect(shell.execute('env')).toContain('EDITOR=vim');
+    expect(shell.execute('showenv EDITOR')).toBe('vim');
+  });
+
+  test('should keep exported variables exported when reassigned', () => {
+    shell.execute('export MODE=a');
+    shell.execute('MODE=b');
+    expect(shell.execute('env')).toContain('MODE=b');
+  });
+
+  test('should list exports with export and no arguments', () => {
+    expect(shell.execute('export')).toContain('declare -x USER="testuser"');
+  });
+
+  test('should export a name given without a value only once it is set', () => {
+    shell.execute('export LATER');
+    expect(shell.execute('env')).not.toContain('LATER');
+    expect(shell.execute('export')).not.toContain('LATER');
+    expect(shell.execute('echo "[${LATER-unset}]"')).toBe('[unset]');
+
+    shell.execute('LATER=now');
+    expect(shell.execute('showenv LATER')).toBe('now');
+  });
+
+  test('should remove exports with export -n', () => {
+    shell.execute('export MODE=a');
+    shell.execute('export -n MODE');
+    expect(shell.execute('env')).not.toContain('MODE=');
+    expect(shell.execute('echo $MODE')).toBe('a');
+  });
+
+  test('should reject invalid identifiers', () => {
+    const result = shell.executeDetailed('export 1abc=x');
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toContain("export: `1abc=x': not a valid identifier");
+  });
+
+  test('should unset variables', () => {
+    shell.execute('A=1');
+    shell.execute('export B=2');
+    shell.execute('unset A B');
+    expect(shell.execute('echo "[$A$B]"')).toBe('[]');
+    expect(shell.execute('env')).not.toContain('B=2');
+  });
+
+  test('should list all variables with set', () => {
+    shell.execute('LOCAL="has space"');
+    const output = shell.execute('set');
+    expect(output).toContain("LOCAL='has space'");
+    expect(output).toContain('USER=testuser');
+  });
+
+  test('should apply prefix assignments only to the command', () => {
+    expect(shell.execute('EDITOR=nano showenv EDITOR')).toBe('nano');
+    expect(shell.execute('showenv EDITOR')).toBe('(unset)');
+    expect(shell.execute('echo "[$EDITOR]"')).toBe('[]');
+  });
+
+  test('should only show exported variables in env', () => {
+    shell.execute('SECRET=x; export PUBLIC=y');
+    const output = shell.execute('env');
+    expect(output).toContain('PUBLIC=y');
+    expect(output).not.toContain('SECRET');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, test, beforeEach, afterEach } from '@jest/globals';
+import { UnixShell } from '../src/index';
+import { ViEditor } from '../src/vi-editor';
+import { createExampleFiles } from '../src/example-files';
+
+/**
+ * Presses each key in turn, as the editor reads them from the document
+ */
+function press(...keys: string[]): void {
+  for (const key of keys) {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key }));
+  }
+}
+
+/**
+ * Types a command line, from the : that starts it to the Enter that runs it
+ */
+function command(text: string): void {
+  press(':', ...text.split(''), 'Enter');
+}
+
+/**
+ * What the editor's status line shows
+ */
+function statusLine(): string {
+  const editor = document.querySelector('.vi-editor');
+  return editor ? editor.lastElementChild!.textContent || '' : '';
+}
+
+describe('UnixShell - vi', () => {
+  let shell: UnixShell;
+
+  beforeEach(() => {
+    (window as any).ViEditor = ViEditor;
+    shell = new UnixShell({ username: 'testuser', fileSystem: createExampleFiles('testuser') });
+  });
+
+  afterEach(() => {
+    command('q!');
+    delete (window as any).ViEditor;
+  });
+
+  test('should edit and write a file', () => {
+    shell.writeToFile('notes', 'hello', 'overwrite');
+    expect(shell.execute('vi notes')).toBe('__VI_OPENED__');
+    press('$', 'a', '!', 'Escape');
+    command('w');
+    expect(statusLine()).toBe('"notes" 1L written');
+    expect(shell.execute('cat notes')).toBe('hello!');
+  });
+
+  test('should open a file it cannot read read-only, with the error', () => {
+    shell.execute('echo secret > private; chmod 200 private');
+    shell.execute('vi private');
+    expect(statusLine()).toBe('"private" [Permission denied]');
+
+    press('i', 'x', 'Escape');
+    command('w');
+    expect(statusLine()).toBe("E45: 'readonly' option is set (add ! to override)");
+    command('wq');
+    expect(document.querySelector('.vi-editor')).not.toBeNull();
+    shell.execute('chmod 600 private');
+    expect(shell.execute('cat private')).toBe('secret');
+  });
+
+  test('should report a forced write that fails', () => {
+    shell.execute('vi /etc/shadow');
+    command('w!');
+    expect(statusLine()).toBe('"/etc/shadow" E212: Can\'t open file for writing');
+  });
+});